@@ -0,0 +1,89 @@
+/**
+ * Authentication REST API for ZodiaCore
+ *
+ * Express router for the /api/v1/auth flow documented in docs/api/index.md:
+ * register, login, refresh (with rotation), logout and the current user.
+ * Responses use the standard success/error envelopes.
+ *
+ * Usage:
+ * app.use('/api/v1/auth', createAuthRouter(new AuthService({ secret })));
+ */
+
+const express = require('express');
+const { authenticate } = require('./middleware');
+const { AuthError } = require('./errors');
+const { sendSuccess, asyncRoute, notFoundHandler, createErrorHandler } = require('../http/api-response');
+
+/**
+ * Create the auth router
+ * @param {AuthService} authService - Service issuing and checking credentials
+ * @returns {Object} Express router
+ */
+function createAuthRouter(authService) {
+  const router = express.Router();
+  const requireAuth = authenticate({ secret: authService.secret, issuer: authService.issuer });
+
+  // Parse bodies here so malformed JSON reaches this router's error handler
+  router.use(express.json({ limit: '10kb' }));
+
+  /**
+   * POST /api/v1/auth/register
+   * Create an account and start a session
+   */
+  router.post('/register', asyncRoute(async (req, res) => {
+    const { email, password, name } = req.body || {};
+    sendSuccess(req, res, await authService.register({ email, password, name }), 201);
+  }));
+
+  /**
+   * POST /api/v1/auth/login
+   * Start a session from email and password
+   */
+  router.post('/login', asyncRoute(async (req, res) => {
+    const { email, password } = req.body || {};
+    sendSuccess(req, res, await authService.login({ email, password }));
+  }));
+
+  /**
+   * POST /api/v1/auth/refresh
+   * Rotate the refresh token and issue a new access token
+   */
+  router.post('/refresh', asyncRoute(async (req, res) => {
+    sendSuccess(req, res, await authService.refresh((req.body || {}).refreshToken));
+  }));
+
+  /**
+   * POST /api/v1/auth/logout
+   * Revoke the session the refresh token belongs to
+   */
+  router.post('/logout', asyncRoute(async (req, res) => {
+    await authService.logout((req.body || {}).refreshToken);
+    sendSuccess(req, res, { loggedOut: true });
+  }));
+
+  /**
+   * GET /api/v1/auth/me
+   * The user the access token was issued to
+   */
+  router.get('/me', requireAuth, asyncRoute(async (req, res) => {
+    const user = await authService.getUser(req.user.id);
+    if (!user) {
+      throw new AuthError(404, 'NOT_FOUND', 'User not found');
+    }
+    sendSuccess(req, res, { user });
+  }));
+
+  // Unknown auth routes, then the error envelope; AuthErrors carry their own status
+  const handleError = createErrorHandler({ label: 'Auth API' });
+  router.use(notFoundHandler);
+  router.use((error, req, res, next) => {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    handleError(error, req, res, next);
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
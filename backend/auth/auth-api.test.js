@@ -0,0 +1,137 @@
+/**
+ * Authentication REST API and Middleware Tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { AuthService } = require('./auth-service');
+const { createAuthRouter } = require('./auth-api');
+const { authenticate, requireRoles } = require('./middleware');
+
+const SECRET = 'test-secret';
+
+describe('Auth API', () => {
+  let app;
+
+  beforeEach(() => {
+    const authService = new AuthService({ secret: SECRET, passwordCost: { N: 1024, r: 8, p: 1 } });
+    app = express();
+    app.use('/api/v1/auth', createAuthRouter(authService));
+  });
+
+  function register(email = 'ada@example.com') {
+    return request(app).post('/api/v1/auth/register').send({ email, password: 'password123', name: 'Ada' });
+  }
+
+  it('POST /register returns 201 with a session', async () => {
+    const res = await register();
+
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data).toMatchObject({ user: { email: 'ada@example.com', name: 'Ada' }, tokenType: 'Bearer' });
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.metadata.version).toBe('1.0.0');
+  });
+
+  it('POST /register reports validation errors and conflicts', async () => {
+    const invalid = await request(app).post('/api/v1/auth/register').send({ email: 'x' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+    expect(invalid.body.error.details.errors).toEqual(expect.arrayContaining([expect.stringMatching(/^password:/)]));
+
+    await register();
+    const duplicate = await register();
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('CONFLICT');
+  });
+
+  it('POST /login rejects wrong credentials with 401', async () => {
+    await register();
+    const res = await request(app).post('/api/v1/auth/login').send({ email: 'ada@example.com', password: 'wrongpass' });
+
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body.error.code).toBe('AUTHENTICATION_ERROR');
+  });
+
+  it('refreshes, detects reuse and logs out', async () => {
+    const { refreshToken } = (await register()).body.data;
+
+    const refreshed = await request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+    expect(reused.body.error.details.reason).toBe('token_reused');
+
+    const session = (await request(app).post('/api/v1/auth/login')
+      .send({ email: 'ada@example.com', password: 'password123' })).body.data;
+    const loggedOut = await request(app).post('/api/v1/auth/logout').send({ refreshToken: session.refreshToken });
+    expect(loggedOut.body.data).toEqual({ loggedOut: true });
+    const afterLogout = await request(app).post('/api/v1/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(afterLogout.status).toBe(401);
+  });
+
+  it('GET /me requires a bearer token', async () => {
+    const { token } = (await register()).body.data;
+
+    const anonymous = await request(app).get('/api/v1/auth/me');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.error.details.reason).toBe('missing_token');
+
+    const res = await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe('ada@example.com');
+  });
+
+  it('returns 400 for malformed JSON and 404 for unknown routes', async () => {
+    const malformed = await request(app).post('/api/v1/auth/login')
+      .set('Content-Type', 'application/json').send('{"email":');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('VALIDATION_ERROR');
+
+    const unknown = await request(app).get('/api/v1/auth/unknown');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('NOT_FOUND');
+  });
+});
+
+describe('Auth middleware', () => {
+  let app;
+  let authService;
+
+  beforeEach(() => {
+    authService = new AuthService({ secret: SECRET, passwordCost: { N: 1024, r: 8, p: 1 } });
+    app = express();
+    app.get('/profile', authenticate({ secret: SECRET }), (req, res) => res.json(req.user));
+    app.get('/optional', authenticate({ secret: SECRET, optional: true }), (req, res) => res.json({ user: req.user || null }));
+    app.get('/admin', authenticate({ secret: SECRET }), requireRoles('admin'), (req, res) => res.json({ ok: true }));
+  });
+
+  it('sets req.user from a valid token', async () => {
+    const session = await authService.register({ email: 'ada@example.com', password: 'password123' });
+    const res = await request(app).get('/profile').set('Authorization', `Bearer ${session.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ id: session.user.id, email: 'ada@example.com', roles: ['user'] });
+  });
+
+  it('rejects invalid tokens and lets optional routes through', async () => {
+    const invalid = await request(app).get('/profile').set('Authorization', 'Bearer not.a.jwt');
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.error.details.reason).toBe('invalid_token');
+
+    const optional = await request(app).get('/optional');
+    expect(optional.status).toBe(200);
+    expect(optional.body.user).toBeNull();
+  });
+
+  it('requireRoles answers 403 without a matching role', async () => {
+    const session = await authService.register({ email: 'ada@example.com', password: 'password123' });
+    const res = await request(app).get('/admin').set('Authorization', `Bearer ${session.token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('AUTHORIZATION_ERROR');
+  });
+});
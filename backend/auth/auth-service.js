@@ -0,0 +1,293 @@
+/**
+ * Authentication Service for ZodiaCore
+ *
+ * Registers users, checks passwords and issues sessions made of a JWT access
+ * token and an opaque refresh token. Refresh tokens are single use: each
+ * refresh revokes the presented token and issues a new one in the same family.
+ * Presenting an already rotated token means it was copied, so the whole family
+ * (the session) is revoked.
+ *
+ * Storage is pluggable; see memory-store.js for the store interface.
+ *
+ * Usage:
+ * const { AuthService } = require('./backend/auth/auth-service');
+ * const auth = new AuthService({ secret: process.env.JWT_SECRET });
+ * const session = await auth.login({ email, password });
+ */
+
+const crypto = require('crypto');
+const { InMemoryAuthStore } = require('./memory-store');
+const { hashPassword, verifyPassword } = require('./password');
+const {
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  durationToMs,
+} = require('./tokens');
+const { AuthenticationError, ValidationError } = require('./errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_NAME_LENGTH = 100;
+const DEFAULT_ROLES = ['user'];
+
+/**
+ * Strip credentials from a stored user
+ * @param {Object} user - Stored user
+ * @returns {Object} User safe to return to clients
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    roles: user.roles,
+    createdAt: user.createdAt,
+  };
+}
+
+class AuthService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.secret - JWT signing secret (required)
+   * @param {Object} options.store - Auth store (defaults to InMemoryAuthStore)
+   * @param {string} options.issuer - JWT issuer
+   * @param {string} options.accessTokenExpiresIn - Access token lifetime ('15m')
+   * @param {string} options.refreshTokenExpiresIn - Refresh token lifetime ('7d')
+   * @param {Object} options.passwordCost - scrypt cost parameters
+   */
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('AuthService requires a JWT signing secret');
+    }
+
+    this.secret = options.secret;
+    this.store = options.store || new InMemoryAuthStore();
+    this.issuer = options.issuer;
+    this.accessTokenExpiresIn = options.accessTokenExpiresIn || '15m';
+    this.refreshTokenExpiresIn = options.refreshTokenExpiresIn || '7d';
+    this.passwordCost = options.passwordCost;
+    this.dummyPasswordHash = null;
+  }
+
+  /**
+   * Register a user and start a session
+   * @param {Object} input - { email, password, name }
+   * @returns {Promise<Object>} Session ({ user, token, refreshToken, tokenType, expiresIn })
+   * @throws {ValidationError} When the input is invalid
+   * @throws {ConflictError} When the email is already registered
+   */
+  async register(input = {}) {
+    const errors = [];
+    const email = this.validateEmail(input.email, errors);
+    this.validatePassword(input.password, errors);
+    if (input.name !== undefined &&
+        (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > MAX_NAME_LENGTH)) {
+      errors.push(`name: Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const user = await this.store.createUser({
+      id: crypto.randomUUID(),
+      email,
+      name: input.name ? input.name.trim() : undefined,
+      roles: [...DEFAULT_ROLES],
+      passwordHash: await hashPassword(input.password, this.passwordCost),
+      createdAt: new Date(),
+    });
+
+    return (await this.createSession(user, crypto.randomUUID())).session;
+  }
+
+  /**
+   * Check credentials and start a session
+   * @param {Object} input - { email, password }
+   * @returns {Promise<Object>} Session
+   * @throws {AuthenticationError} When the credentials do not match
+   */
+  async login(input = {}) {
+    const errors = [];
+    const email = this.validateEmail(input.email, errors);
+    if (typeof input.password !== 'string' || input.password.length === 0) {
+      errors.push('password: Required');
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const user = await this.store.findUserByEmail(email);
+    // Hash against a dummy for unknown emails so both failures take as long
+    const passwordHash = user ? user.passwordHash : await this.getDummyPasswordHash();
+    const matches = await verifyPassword(input.password, passwordHash);
+    if (!user || !matches) {
+      throw new AuthenticationError('Invalid email or password', { reason: 'invalid_credentials' });
+    }
+
+    return (await this.createSession(user, crypto.randomUUID())).session;
+  }
+
+  /**
+   * Exchange a refresh token for a new session (rotation)
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Promise<Object>} Session with a new access and refresh token
+   * @throws {AuthenticationError} When the token is unknown, expired, revoked or reused
+   */
+  async refresh(refreshToken) {
+    const record = await this.findRefreshToken(refreshToken);
+
+    if (record.revokedAt) {
+      if (record.replacedBy) {
+        // A rotated token came back: someone else holds a copy of it
+        await this.store.revokeRefreshTokenFamily(record.familyId);
+        throw new AuthenticationError('Refresh token reuse detected; session revoked', { reason: 'token_reused' });
+      }
+      throw new AuthenticationError('Refresh token revoked', { reason: 'token_revoked' });
+    }
+
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw new AuthenticationError('Refresh token expired', { reason: 'token_expired' });
+    }
+
+    const user = await this.store.findUserById(record.userId);
+    if (!user) {
+      throw new AuthenticationError('Invalid refresh token', { reason: 'invalid_token' });
+    }
+
+    // Claim the token before issuing its replacement; only one concurrent refresh can win
+    const replacementId = crypto.randomUUID();
+    const claimed = await this.store.revokeRefreshToken(record.id, replacementId);
+    if (!claimed) {
+      // Another request rotated it between our read and the claim: two holders of one token
+      await this.store.revokeRefreshTokenFamily(record.familyId);
+      throw new AuthenticationError('Refresh token reuse detected; session revoked', { reason: 'token_reused' });
+    }
+
+    return (await this.createSession(user, record.familyId, replacementId)).session;
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token of the session
+   * @returns {Promise<void>}
+   */
+  async logout(refreshToken) {
+    const record = await this.findRefreshToken(refreshToken);
+    await this.store.revokeRefreshTokenFamily(record.familyId);
+  }
+
+  /**
+   * Revoke every session of a user (e.g. after a password change)
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async revokeAllSessions(userId) {
+    await this.store.revokeUserRefreshTokens(userId);
+  }
+
+  /**
+   * Verify an access token issued by this service
+   * @param {string} token - Access token
+   * @returns {Object} Decoded payload
+   */
+  verifyAccessToken(token) {
+    return verifyAccessToken(token, { secret: this.secret, issuer: this.issuer });
+  }
+
+  /**
+   * Get a user without credentials
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} Public user
+   */
+  async getUser(id) {
+    const user = await this.store.findUserById(id);
+    return user ? toPublicUser(user) : null;
+  }
+
+  /**
+   * Issue an access token and a refresh token in the given family
+   * @param {Object} user - Stored user
+   * @param {string} familyId - Refresh token family (one per login)
+   * @param {string} refreshTokenId - ID for the new refresh token record
+   * @returns {Promise<Object>} { session, refreshTokenRecord }
+   * @private
+   */
+  async createSession(user, familyId, refreshTokenId = crypto.randomUUID()) {
+    const refreshToken = generateRefreshToken();
+    const createdAt = new Date();
+    const refreshTokenRecord = await this.store.saveRefreshToken({
+      id: refreshTokenId,
+      tokenHash: hashRefreshToken(refreshToken),
+      userId: user.id,
+      familyId,
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + durationToMs(this.refreshTokenExpiresIn)),
+      revokedAt: null,
+      replacedBy: null,
+    });
+
+    const session = {
+      user: toPublicUser(user),
+      token: signAccessToken(user, {
+        secret: this.secret,
+        expiresIn: this.accessTokenExpiresIn,
+        issuer: this.issuer,
+      }),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: Math.floor(durationToMs(this.accessTokenExpiresIn) / 1000),
+    };
+    return { session, refreshTokenRecord };
+  }
+
+  /**
+   * Look up a refresh token record
+   * @private
+   */
+  async findRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+      throw new ValidationError(['refreshToken: Required']);
+    }
+    const record = await this.store.findRefreshToken(hashRefreshToken(refreshToken));
+    if (!record) {
+      throw new AuthenticationError('Invalid refresh token', { reason: 'invalid_token' });
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  validateEmail(email, errors) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      errors.push('email: Must be a valid email address');
+      return null;
+    }
+    return email.trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  validatePassword(password, errors) {
+    if (typeof password !== 'string' ||
+        password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      errors.push(`password: Must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getDummyPasswordHash() {
+    if (!this.dummyPasswordHash) {
+      this.dummyPasswordHash = await hashPassword(crypto.randomUUID(), this.passwordCost);
+    }
+    return this.dummyPasswordHash;
+  }
+}
+
+module.exports = { AuthService, toPublicUser };
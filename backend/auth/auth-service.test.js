@@ -0,0 +1,162 @@
+/**
+ * Authentication Service Tests
+ *
+ * Uses a low scrypt cost so password hashing stays fast.
+ */
+
+const { AuthService } = require('./auth-service');
+const { InMemoryAuthStore } = require('./memory-store');
+const { AuthError } = require('./errors');
+
+const SECRET = 'test-secret';
+const FAST_COST = { N: 1024, r: 8, p: 1 };
+
+/**
+ * Assert that a promise rejects with an AuthError of the given code and reason
+ */
+async function expectAuthError(promise, code, reason) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error).toBeInstanceOf(AuthError);
+  expect(error.code).toBe(code);
+  if (reason) {
+    expect(error.details.reason).toBe(reason);
+  }
+  return error;
+}
+
+describe('AuthService', () => {
+  let store;
+  let auth;
+
+  beforeEach(() => {
+    store = new InMemoryAuthStore();
+    auth = new AuthService({ secret: SECRET, store, passwordCost: FAST_COST });
+  });
+
+  it('requires a signing secret', () => {
+    expect(() => new AuthService()).toThrow(/secret/);
+  });
+
+  describe('register', () => {
+    it('creates a user and returns a session', async () => {
+      const session = await auth.register({ email: ' Ada@Example.com ', password: 'password123', name: 'Ada' });
+
+      expect(session.user).toMatchObject({ email: 'ada@example.com', name: 'Ada', roles: ['user'] });
+      expect(session.user.passwordHash).toBeUndefined();
+      expect(session.tokenType).toBe('Bearer');
+      expect(session.expiresIn).toBe(900);
+      expect(auth.verifyAccessToken(session.token)).toMatchObject({ sub: session.user.id, type: 'access' });
+      expect(typeof session.refreshToken).toBe('string');
+    });
+
+    it('rejects invalid input with every failing field', async () => {
+      const error = await expectAuthError(auth.register({ email: 'nope', password: 'short' }), 'VALIDATION_ERROR');
+      expect(error.status).toBe(400);
+      expect(error.details.errors).toHaveLength(2);
+    });
+
+    it('rejects a duplicate email', async () => {
+      await auth.register({ email: 'ada@example.com', password: 'password123' });
+      const error = await expectAuthError(auth.register({ email: 'ADA@example.com', password: 'password456' }), 'CONFLICT');
+      expect(error.status).toBe(409);
+    });
+  });
+
+  describe('login', () => {
+    beforeEach(async () => {
+      await auth.register({ email: 'ada@example.com', password: 'password123' });
+    });
+
+    it('starts a session for valid credentials', async () => {
+      const session = await auth.login({ email: 'ada@example.com', password: 'password123' });
+      expect(session.user.email).toBe('ada@example.com');
+    });
+
+    it('gives the same error for a wrong password and an unknown email', async () => {
+      const wrong = await expectAuthError(auth.login({ email: 'ada@example.com', password: 'wrongpass' }),
+        'AUTHENTICATION_ERROR', 'invalid_credentials');
+      const unknown = await expectAuthError(auth.login({ email: 'bob@example.com', password: 'password123' }),
+        'AUTHENTICATION_ERROR', 'invalid_credentials');
+      expect(wrong.message).toBe(unknown.message);
+    });
+  });
+
+  describe('refresh', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = await auth.register({ email: 'ada@example.com', password: 'password123' });
+    });
+
+    it('rotates the refresh token', async () => {
+      const next = await auth.refresh(session.refreshToken);
+
+      expect(next.refreshToken).not.toBe(session.refreshToken);
+      expect(auth.verifyAccessToken(next.token).sub).toBe(session.user.id);
+      await expect(auth.refresh(next.refreshToken)).resolves.toHaveProperty('refreshToken');
+    });
+
+    it('revokes the whole session when a rotated token is reused', async () => {
+      const next = await auth.refresh(session.refreshToken);
+
+      await expectAuthError(auth.refresh(session.refreshToken), 'AUTHENTICATION_ERROR', 'token_reused');
+      await expectAuthError(auth.refresh(next.refreshToken), 'AUTHENTICATION_ERROR', 'token_revoked');
+    });
+
+    it('lets only one of two concurrent refreshes of a token succeed', async () => {
+      const results = await Promise.allSettled([auth.refresh(session.refreshToken), auth.refresh(session.refreshToken)]);
+
+      const fulfilled = results.filter((result) => result.status === 'fulfilled');
+      const rejected = results.filter((result) => result.status === 'rejected');
+      expect(fulfilled).toHaveLength(1);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason.details.reason).toBe('token_reused');
+      // The race counts as reuse, so the winner's new token is revoked with the family
+      await expectAuthError(auth.refresh(fulfilled[0].value.refreshToken), 'AUTHENTICATION_ERROR', 'token_revoked');
+    });
+
+    it('rejects unknown and expired tokens', async () => {
+      await expectAuthError(auth.refresh('not-a-token'), 'AUTHENTICATION_ERROR', 'invalid_token');
+
+      const now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now + 8 * 86400000);
+      try {
+        await expectAuthError(auth.refresh(session.refreshToken), 'AUTHENTICATION_ERROR', 'token_expired');
+      } finally {
+        vi.restoreAllMocks();
+      }
+    });
+
+    it('requires a refresh token', async () => {
+      await expectAuthError(auth.refresh(undefined), 'VALIDATION_ERROR');
+    });
+  });
+
+  describe('logout', () => {
+    it('revokes the session but not other sessions', async () => {
+      const first = await auth.register({ email: 'ada@example.com', password: 'password123' });
+      const second = await auth.login({ email: 'ada@example.com', password: 'password123' });
+
+      await auth.logout(first.refreshToken);
+
+      await expectAuthError(auth.refresh(first.refreshToken), 'AUTHENTICATION_ERROR', 'token_revoked');
+      await expect(auth.refresh(second.refreshToken)).resolves.toHaveProperty('token');
+    });
+
+    it('revokeAllSessions ends every session of the user', async () => {
+      const first = await auth.register({ email: 'ada@example.com', password: 'password123' });
+      const second = await auth.login({ email: 'ada@example.com', password: 'password123' });
+
+      await auth.revokeAllSessions(first.user.id);
+
+      await expectAuthError(auth.refresh(first.refreshToken), 'AUTHENTICATION_ERROR', 'token_revoked');
+      await expectAuthError(auth.refresh(second.refreshToken), 'AUTHENTICATION_ERROR', 'token_revoked');
+    });
+  });
+
+  it('rejects access tokens signed with another secret', async () => {
+    const session = await auth.register({ email: 'ada@example.com', password: 'password123' });
+    const other = new AuthService({ secret: 'other-secret' });
+    expect(() => other.verifyAccessToken(session.token)).toThrow(AuthError);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Error Classes for the ZodiaCore Authentication Service
+ *
+ * Each error carries the HTTP status and the documented error code
+ * (docs/api/index.md) it is reported with.
+ */
+
+const { ApiError } = require('../http/api-response');
+
+/**
+ * Base authentication service error; an ApiError, so the shared error
+ * middleware reports it with its own status and code
+ */
+class AuthError extends ApiError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Documented error code
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   */
+  constructor(status, code, message, details = undefined) {
+    super(status, code, message, details);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Missing, invalid, expired or revoked credentials (401)
+ */
+class AuthenticationError extends AuthError {
+  constructor(message = 'Authentication required', details = undefined) {
+    super(401, 'AUTHENTICATION_ERROR', message, details);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Authenticated user lacks a required role (403)
+ */
+class AuthorizationError extends AuthError {
+  constructor(message = 'Insufficient permissions', details = undefined) {
+    super(403, 'AUTHORIZATION_ERROR', message, details);
+    this.name = 'AuthorizationError';
+  }
+}
+
+/**
+ * Invalid request input (400); details.errors holds 'field: message' strings
+ */
+class ValidationError extends AuthError {
+  constructor(errors) {
+    super(400, 'VALIDATION_ERROR', 'Invalid input parameters', { errors });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Resource already exists (409)
+ */
+class ConflictError extends AuthError {
+  constructor(message) {
+    super(409, 'CONFLICT', message);
+    this.name = 'ConflictError';
+  }
+}
+
+module.exports = {
+  AuthError,
+  AuthenticationError,
+  AuthorizationError,
+  ValidationError,
+  ConflictError,
+};
@@ -0,0 +1,98 @@
+/**
+ * In-Memory Storage for the ZodiaCore Authentication Service
+ *
+ * Reference implementation of the auth store interface used by AuthService.
+ * A persistent store (e.g. MongoDB) must provide the same async methods:
+ *
+ * - createUser(user)                   -> user; ConflictError if the email exists
+ * - findUserById(id)                   -> user | null
+ * - findUserByEmail(email)             -> user | null
+ * - saveRefreshToken(record)           -> record; stored revoked if its family was revoked
+ * - findRefreshToken(tokenHash)        -> record | null
+ * - revokeRefreshToken(id, replacedBy) -> true if this call revoked it, false if it
+ *                                         was already revoked (one atomic update)
+ * - revokeRefreshTokenFamily(familyId) -> void; also revokes tokens saved later
+ * - revokeUserRefreshTokens(userId)    -> void
+ *
+ * Refresh token records are { id, tokenHash, userId, familyId, createdAt,
+ * expiresAt, revokedAt, replacedBy }; only the token hash is ever stored.
+ * The conditional revoke is what makes refresh-token rotation safe when two
+ * requests present the same token at once.
+ * Data lives in process memory, so this store suits tests and local development.
+ */
+
+const { ConflictError } = require('./errors');
+
+class InMemoryAuthStore {
+  constructor() {
+    this.users = new Map();
+    this.usersByEmail = new Map();
+    this.refreshTokens = new Map();
+    this.refreshTokensByHash = new Map();
+    this.revokedFamilies = new Set();
+  }
+
+  async createUser(user) {
+    if (this.usersByEmail.has(user.email)) {
+      throw new ConflictError(`User '${user.email}' already exists`);
+    }
+    this.users.set(user.id, { ...user });
+    this.usersByEmail.set(user.email, user.id);
+    return { ...user };
+  }
+
+  async findUserById(id) {
+    const user = this.users.get(id);
+    return user ? { ...user } : null;
+  }
+
+  async findUserByEmail(email) {
+    const id = this.usersByEmail.get(email);
+    return id ? this.findUserById(id) : null;
+  }
+
+  async saveRefreshToken(record) {
+    const saved = { ...record };
+    if (this.revokedFamilies.has(saved.familyId) && !saved.revokedAt) {
+      saved.revokedAt = new Date();
+    }
+    this.refreshTokens.set(saved.id, saved);
+    this.refreshTokensByHash.set(saved.tokenHash, saved.id);
+    return { ...saved };
+  }
+
+  async findRefreshToken(tokenHash) {
+    const id = this.refreshTokensByHash.get(tokenHash);
+    const record = id && this.refreshTokens.get(id);
+    return record ? { ...record } : null;
+  }
+
+  async revokeRefreshToken(id, replacedBy = null) {
+    const record = this.refreshTokens.get(id);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+    record.revokedAt = new Date();
+    record.replacedBy = replacedBy;
+    return true;
+  }
+
+  async revokeRefreshTokenFamily(familyId) {
+    this.revokedFamilies.add(familyId);
+    for (const record of this.refreshTokens.values()) {
+      if (record.familyId === familyId && !record.revokedAt) {
+        record.revokedAt = new Date();
+      }
+    }
+  }
+
+  async revokeUserRefreshTokens(userId) {
+    for (const record of this.refreshTokens.values()) {
+      if (record.userId === userId && !record.revokedAt) {
+        record.revokedAt = new Date();
+      }
+    }
+  }
+}
+
+module.exports = { InMemoryAuthStore };
@@ -0,0 +1,109 @@
+/**
+ * Authentication Middleware for ZodiaCore
+ *
+ * Verifies bearer access tokens issued by the auth service. Verification is
+ * stateless (shared JWT secret), so the gateway and every service can protect
+ * routes without calling the auth service. Failures are answered directly with
+ * the documented error envelope, independent of the host app's error handler.
+ *
+ * Usage:
+ * const { authenticate, requireRoles } = require('../../backend/auth/middleware');
+ * router.use(authenticate({ secret: process.env.JWT_SECRET }));
+ * router.delete('/charts/:id', requireRoles('admin'), handler);
+ */
+
+const { verifyAccessToken } = require('./tokens');
+const { AuthenticationError, AuthorizationError } = require('./errors');
+
+/**
+ * Send an auth error in the documented error envelope
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {AuthError} error - Error to report
+ */
+function sendAuthError(req, res, error) {
+  if (error.status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  res.status(error.status).json({
+    success: false,
+    error: { code: error.code, message: error.message, details: error.details },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      requestId: req.correlationId,
+    },
+  });
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token, or null when absent
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create middleware that requires a valid access token and sets req.user
+ * to { id, email, roles }
+ * @param {Object} options - Middleware options
+ * @param {string} options.secret - JWT secret (defaults to process.env.JWT_SECRET)
+ * @param {string} options.issuer - Expected issuer
+ * @param {boolean} options.optional - Continue without req.user when no token is sent
+ * @returns {Function} Express middleware
+ */
+function authenticate(options = {}) {
+  const secret = options.secret || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('authenticate() requires a JWT secret');
+  }
+
+  return (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      if (options.optional) {
+        return next();
+      }
+      return sendAuthError(req, res, new AuthenticationError('Authentication required', { reason: 'missing_token' }));
+    }
+
+    try {
+      const payload = verifyAccessToken(token, { secret, issuer: options.issuer });
+      req.user = { id: payload.sub, email: payload.email, roles: payload.roles || [] };
+      return next();
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        return sendAuthError(req, res, error);
+      }
+      return next(error);
+    }
+  };
+}
+
+/**
+ * Create middleware that requires req.user to hold at least one of the roles;
+ * use after authenticate()
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} Express middleware
+ */
+function requireRoles(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(req, res, new AuthenticationError('Authentication required', { reason: 'missing_token' }));
+    }
+    if (!roles.some((role) => req.user.roles.includes(role))) {
+      return sendAuthError(req, res, new AuthorizationError('Insufficient permissions', { requiredRoles: roles }));
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRoles,
+  getBearerToken,
+  sendAuthError,
+};
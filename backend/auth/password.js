@@ -0,0 +1,54 @@
+/**
+ * Password Hashing for the ZodiaCore Authentication Service
+ *
+ * Uses Node's built-in scrypt with a random per-password salt. Hashes are
+ * stored as 'scrypt$<N>$<r>$<p>$<salt>$<key>' so cost parameters can be raised
+ * later without invalidating existing hashes.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const DEFAULT_COST = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Hash a password
+ * @param {string} password - Plain-text password
+ * @param {Object} cost - scrypt cost parameters ({ N, r, p })
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashPassword(password, cost = DEFAULT_COST) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH, cost);
+  return ['scrypt', cost.N, cost.r, cost.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Hash from hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, key] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
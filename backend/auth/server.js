@@ -0,0 +1,135 @@
+// ZodiaCore Authentication Service Server
+// Provides the /api/v1/auth registration, login and token refresh endpoints
+// Includes health check endpoint for monitoring
+
+require('dotenv').config(); // Load environment variables
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('rate-limiter-flexible');
+const { AuthService } = require('./auth-service');
+const { InMemoryAuthStore } = require('./memory-store');
+const { createAuthRouter } = require('./auth-api');
+
+// Import centralized logger (assuming shared logger exists)
+let logger;
+try {
+  const { getLogger } = require('../logger');
+  logger = getLogger(null, 'auth-service');
+} catch (error) {
+  // Fallback logger if backend logger not available
+  logger = {
+    info: console.log,
+    error: console.error,
+    debug: console.debug,
+    warn: console.warn,
+  };
+}
+
+if (!process.env.JWT_SECRET) {
+  logger.error('JWT_SECRET must be set to start the authentication service');
+  process.exit(1);
+}
+
+// Users and sessions are kept in memory until a persistent store is configured
+const authService = new AuthService({
+  secret: process.env.JWT_SECRET,
+  store: new InMemoryAuthStore(),
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN,
+  refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
+});
+
+// Initialize Express application
+const app = express();
+
+// Add correlation ID middleware if available
+let correlationIdMiddleware = (req, res, next) => next();
+try {
+  correlationIdMiddleware = require('../logger').correlationIdMiddleware;
+} catch (error) {
+  // Use fallback if not available
+}
+app.use(correlationIdMiddleware);
+
+// Security middleware
+app.use(helmet());
+
+// CORS configuration
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    credentials: true,
+  })
+);
+
+// Rate limiting; tighter than the other services to slow password guessing
+const rateLimiter = new rateLimit.RateLimiterMemory({
+  keyPrefix: 'auth-service',
+  points: 20, // Number of requests
+  duration: 60, // Per 60 seconds
+});
+
+app.use((req, res, next) => {
+  rateLimiter
+    .consume(req.ip)
+    .then(() => {
+      next();
+    })
+    .catch(() => {
+      res.status(429).send('Too Many Requests');
+    });
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    service: 'auth-service',
+    version: '1.0.0',
+    correlationId: req.correlationId,
+  });
+});
+
+// Authentication REST API (register, login, refresh, logout, me); parses its own JSON bodies
+app.use('/api/v1/auth', createAuthRouter(authService));
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  (req.logger?.error || logger.error)('Unhandled error:', err);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message:
+      process.env.NODE_ENV === 'development'
+        ? err.message
+        : 'Something went wrong',
+    correlationId: req.correlationId,
+  });
+});
+
+// Determine port from environment or default
+const PORT = process.env.PORT || 3006;
+
+// Start the server
+const server = app.listen(PORT, () => {
+  logger.info(`Authentication Service is running on port ${PORT}`);
+  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+});
+
+// Graceful shutdown handling
+process.on('SIGTERM', () => {
+  logger.info('SIGTERM received, shutting down gracefully');
+  server.close(() => {
+    logger.info('Authentication Service terminated');
+  });
+});
+
+process.on('SIGINT', () => {
+  logger.info('SIGINT received, shutting down gracefully');
+  server.close(() => {
+    logger.info('Authentication Service terminated');
+  });
+});
+
+module.exports = app;
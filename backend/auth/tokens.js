@@ -0,0 +1,95 @@
+/**
+ * Token Utilities for the ZodiaCore Authentication Service
+ *
+ * Access tokens are short-lived HS256 JWTs verified statelessly by every
+ * service. Refresh tokens are opaque random strings; only their SHA-256 hash
+ * is stored, so a leaked store cannot be replayed against /auth/refresh.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AuthenticationError } = require('./errors');
+
+const DEFAULT_ISSUER = 'zodiacore-auth';
+const ACCESS_TOKEN_TYPE = 'access';
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User ({ id, email, roles })
+ * @param {Object} options - { secret, expiresIn, issuer }
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, { secret, expiresIn = '15m', issuer = DEFAULT_ISSUER }) {
+  return jwt.sign(
+    { email: user.email, roles: user.roles, type: ACCESS_TOKEN_TYPE },
+    secret,
+    { algorithm: 'HS256', subject: user.id, expiresIn, issuer, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed JWT
+ * @param {Object} options - { secret, issuer }
+ * @returns {Object} Decoded payload
+ * @throws {AuthenticationError} When the token is invalid, expired or not an access token
+ */
+function verifyAccessToken(token, { secret, issuer = DEFAULT_ISSUER }) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { algorithms: ['HS256'], issuer });
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new AuthenticationError('Access token expired', { reason: 'token_expired' });
+    }
+    throw new AuthenticationError('Invalid access token', { reason: 'invalid_token' });
+  }
+
+  if (payload.type !== ACCESS_TOKEN_TYPE) {
+    throw new AuthenticationError('Invalid access token', { reason: 'invalid_token' });
+  }
+  return payload;
+}
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} URL-safe random token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Convert a duration ('15m', '7d', '3600' or seconds) to milliseconds
+ * @param {string|number} duration - Duration in jsonwebtoken's expiresIn format
+ * @returns {number} Milliseconds
+ */
+function durationToMs(duration) {
+  if (typeof duration === 'number') {
+    return duration * 1000;
+  }
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Unsupported duration '${duration}'`);
+  }
+  const unitMs = { '': 1000, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return parseInt(match[1], 10) * unitMs[match[2]];
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  durationToMs,
+  DEFAULT_ISSUER,
+};
@@ -0,0 +1,392 @@
+/**
+ * iCalendar Builder
+ *
+ * Serializes events to RFC 5545 iCalendar text for export and subscription
+ * feeds. Timed events are written in the calendar's IANA zone with a
+ * VTIMEZONE built from the tz data compiled into Node's ICU, listing the
+ * transitions that cover the events, so clients need no zone database of
+ * their own. All-day events are written as dates. Lines end in CRLF and are
+ * folded at 75 octets without splitting UTF-8 sequences.
+ *
+ * UIDs come from stableUid, a hash of what identifies an event, so a
+ * regenerated feed updates the events a client already holds instead of
+ * duplicating them.
+ */
+
+const crypto = require('crypto');
+const { getZoneOffsetMillis, isValidTimeZone } = require('../timezone/tz-resolver');
+
+const PRODUCT_ID = '-//ZodiaCore//Astrology Calendar 1.0//EN';
+const UID_DOMAIN = 'zodiacore';
+const MAX_LINE_OCTETS = 75;
+const MS_PER_DAY = 86400000;
+const UTC_ZONES = ['UTC', 'Etc/UTC', 'GMT', 'Etc/GMT'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Zone abbreviations (TZNAME) are taken from ICU; formatters are cached per zone
+const nameFormatters = new Map();
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * Write an instant as a UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} e.g. 20240115T063000Z
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Write an instant as local date-time in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {string} e.g. 20240115T120000
+ */
+function formatLocal(date, timeZone) {
+  const local = new Date(date.getTime() + getZoneOffsetMillis(timeZone, date.getTime()));
+  return formatUtc(local).slice(0, -1);
+}
+
+/**
+ * Write a calendar date
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string} e.g. 20240115
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * Write a UTC offset as +HHMM, or +HHMMSS for local mean time
+ * @param {number} offsetMillis - Offset from UTC
+ * @returns {string} Offset
+ */
+function formatOffset(offsetMillis) {
+  const sign = offsetMillis < 0 ? '-' : '+';
+  const seconds = Math.round(Math.abs(offsetMillis) / 1000);
+  const pad = value => String(value).padStart(2, '0');
+  const hhmm = pad(Math.floor(seconds / 3600)) + pad(Math.floor(seconds / 60) % 60);
+  return sign + hhmm + (seconds % 60 ? pad(seconds % 60) : '');
+}
+
+/**
+ * Write a number of minutes before an event as a negative duration
+ * @param {number} minutes - Minutes before the event
+ * @returns {string} e.g. -PT30M, -P1D, -P1W
+ */
+function formatTrigger(minutes) {
+  if (minutes === 0) {
+    return 'PT0S';
+  }
+  if (minutes % 10080 === 0) {
+    return `-P${minutes / 10080}W`;
+  }
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor(minutes / 60) % 24;
+  const rest = minutes % 60;
+  const time = (hours ? `${hours}H` : '') + (rest ? `${rest}M` : '');
+  return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @param {number} days - Days to add
+ * @returns {string} Date
+ */
+function addDays(date, days) {
+  const [, year, month, day] = date.match(DATE_PATTERN).map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Build a UID that stays the same for the same event
+ * @param {...*} parts - Values identifying the event, e.g. feed type, user and date
+ * @returns {string} UID
+ */
+function stableUid(...parts) {
+  const hash = crypto.createHash('sha1').update(parts.map(String).join('\u001f')).digest('hex');
+  return `${hash.slice(0, 32)}@${UID_DOMAIN}`;
+}
+
+/**
+ * Whether a zone is written as UTC (with a Z suffix and no VTIMEZONE)
+ * @param {string} timeZone - IANA zone
+ * @returns {boolean} True for UTC
+ */
+function isUtcZone(timeZone) {
+  return !timeZone || UTC_ZONES.includes(timeZone);
+}
+
+/**
+ * Abbreviation of a zone at an instant, e.g. EST or GMT+5:30
+ * @param {string} timeZone - IANA zone
+ * @param {number} utcMillis - Instant
+ * @returns {string} Abbreviation
+ */
+function zoneName(timeZone, utcMillis) {
+  if (!nameFormatters.has(timeZone)) {
+    nameFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }));
+  }
+  const parts = nameFormatters.get(timeZone).formatToParts(new Date(utcMillis));
+  return parts.find(part => part.type === 'timeZoneName').value;
+}
+
+/**
+ * Find the offset transitions of a zone, to the second, by daily sampling
+ * and bisection
+ * @param {string} timeZone - IANA zone
+ * @param {number} fromMillis - Range start
+ * @param {number} toMillis - Range end
+ * @returns {Array<Object>} Transitions { at, from, to } in order
+ */
+function findTransitions(timeZone, fromMillis, toMillis) {
+  const transitions = [];
+  let previous = fromMillis;
+  let previousOffset = getZoneOffsetMillis(timeZone, previous);
+  while (previous < toMillis) {
+    const next = Math.min(previous + MS_PER_DAY, toMillis);
+    const nextOffset = getZoneOffsetMillis(timeZone, next);
+    if (nextOffset !== previousOffset) {
+      let low = previous;
+      let high = next;
+      while (high - low > 1000) {
+        const middle = Math.floor((low + high) / 2);
+        if (getZoneOffsetMillis(timeZone, middle) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: Math.floor(high / 1000) * 1000, from: previousOffset, to: nextOffset });
+    }
+    previous = next;
+    previousOffset = nextOffset;
+  }
+  return transitions;
+}
+
+/**
+ * Build the VTIMEZONE for a zone over a range of instants. The observance in
+ * force at the range start is included, so the component stands on its own.
+ * An observance is DAYLIGHT when its offset is ahead of the lower of the
+ * January and July offsets of its year.
+ * @param {string} timeZone - IANA zone
+ * @param {Date} from - Earliest instant written in the zone
+ * @param {Date} to - Latest instant written in the zone
+ * @returns {Array<string>} Content lines
+ */
+function buildTimezone(timeZone, from, to) {
+  // Searching a year back finds the transition already in force at the start
+  const transitions = findTransitions(timeZone, from.getTime() - 366 * MS_PER_DAY, to.getTime());
+  const inRange = transitions.filter(transition => transition.at > from.getTime() && transition.at <= to.getTime());
+  const before = transitions.filter(transition => transition.at <= from.getTime()).pop();
+  const observances = before ? [before, ...inRange] : inRange;
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  if (observances.length === 0) {
+    // No transitions nearby: a single observance from 1970
+    const offset = getZoneOffsetMillis(timeZone, from.getTime());
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(offset)}`,
+      `TZOFFSETTO:${formatOffset(offset)}`,
+      `TZNAME:${escapeText(zoneName(timeZone, from.getTime()))}`,
+      'END:STANDARD'
+    );
+  }
+  for (const transition of observances) {
+    const year = new Date(transition.at).getUTCFullYear();
+    const standardOffset = Math.min(
+      getZoneOffsetMillis(timeZone, Date.UTC(year, 0, 1)),
+      getZoneOffsetMillis(timeZone, Date.UTC(year, 6, 1))
+    );
+    const kind = transition.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the local time of the transition under the offset it ends
+    const localStart = formatUtc(new Date(transition.at + transition.from)).slice(0, -1);
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${localStart}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `TZNAME:${escapeText(zoneName(timeZone, transition.at))}`,
+      `END:${kind}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Write a DTSTART or DTEND property
+ * @private
+ */
+function dateProperty(name, value, timeZone) {
+  if (typeof value === 'string') {
+    return `${name};VALUE=DATE:${formatDate(value)}`;
+  }
+  if (isUtcZone(timeZone)) {
+    return `${name}:${formatUtc(value)}`;
+  }
+  return `${name};TZID=${timeZone}:${formatLocal(value, timeZone)}`;
+}
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - Event
+ * @param {string} event.uid - Unique, stable identifier (see stableUid)
+ * @param {string} event.summary - Title
+ * @param {Date|string} event.start - Start instant, or date as YYYY-MM-DD for an all-day event
+ * @param {Date|string} [event.end] - End instant or exclusive end date (default: one day after an all-day start)
+ * @param {string} [event.description] - Details
+ * @param {string} [event.location] - Place
+ * @param {Array<string>} [event.categories] - Categories
+ * @param {number} [event.priority] - 1 (highest) to 9 (lowest)
+ * @param {boolean} [event.transparent] - Whether the event leaves the user free
+ * @param {Array<Object>} [event.alarms] - Reminders { minutesBefore, description? }
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.timezone] - Zone for timed events (default UTC)
+ * @param {Date} [options.stamp] - DTSTAMP (default now)
+ * @returns {Array<string>} Content lines
+ */
+function buildEvent(event, { timezone, stamp = new Date() } = {}) {
+  const allDay = typeof event.start === 'string';
+  if (allDay ? !DATE_PATTERN.test(event.start) : isNaN(event.start?.getTime?.())) {
+    throw new RangeError(`Event '${event.summary}' needs a start date`);
+  }
+  const end = event.end ?? (allDay ? addDays(event.start, 1) : undefined);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    dateProperty('DTSTART', event.start, timezone)
+  ];
+  if (end !== undefined) {
+    lines.push(dateProperty('DTEND', end, timezone));
+  }
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.priority) {
+    lines.push(`PRIORITY:${event.priority}`);
+  }
+  lines.push(`TRANSP:${(event.transparent ?? allDay) ? 'TRANSPARENT' : 'OPAQUE'}`);
+
+  for (const alarm of event.alarms || []) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:${formatTrigger(alarm.minutesBefore)}`,
+      `DESCRIPTION:${escapeText(alarm.description || event.summary)}`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {string} [options.description] - Calendar description
+ * @param {string} [options.timezone] - IANA zone for timed events (default UTC)
+ * @param {number} [options.refreshMinutes] - Suggested polling interval for subscribers
+ * @param {Date} [options.stamp] - DTSTAMP for every event (default now)
+ * @param {Array<Object>} events - Events as taken by buildEvent
+ * @returns {string} iCalendar text with CRLF line endings
+ * @throws {RangeError} If the zone is unknown or an event has no start
+ */
+function buildCalendar({ name, description, timezone, refreshMinutes, stamp = new Date() }, events) {
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new RangeError(`Unknown time zone '${timezone}'`);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+  if (timezone) {
+    lines.push(`X-WR-TIMEZONE:${timezone}`);
+  }
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  const eventLines = events.flatMap(event => buildEvent(event, { timezone, stamp }));
+
+  const instants = events
+    .flatMap(event => [event.start, event.end])
+    .filter(value => value instanceof Date);
+  if (instants.length > 0 && !isUtcZone(timezone)) {
+    const times = instants.map(instant => instant.getTime());
+    lines.push(...buildTimezone(timezone, new Date(Math.min(...times)), new Date(Math.max(...times))));
+  }
+
+  lines.push(...eventLines, 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  formatOffset,
+  formatTrigger,
+  stableUid,
+  buildTimezone,
+  buildEvent,
+  buildCalendar
+};
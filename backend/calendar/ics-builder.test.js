@@ -0,0 +1,113 @@
+/**
+ * iCalendar Builder Tests
+ */
+
+const {
+  escapeText,
+  foldLine,
+  formatOffset,
+  formatTrigger,
+  stableUid,
+  buildTimezone,
+  buildEvent,
+  buildCalendar
+} = require('./ics-builder');
+
+const STAMP = new Date('2024-01-01T00:00:00Z');
+
+describe('ics-builder', () => {
+  it('escapes text and folds long lines at 75 octets', () => {
+    expect(escapeText('Sun, Moon; Mars\\Venus\nnext')).toBe('Sun\\, Moon\\; Mars\\\\Venus\\nnext');
+
+    const folded = foldLine(`DESCRIPTION:${'ॐ'.repeat(40)}`).split('\r\n');
+    expect(folded.length).toBeGreaterThan(1);
+    expect(folded.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(folded.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    // Unfolding restores the line without splitting a character
+    expect(folded.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'ॐ'.repeat(40)}`);
+  });
+
+  it('writes offsets, alarm triggers and stable UIDs', () => {
+    expect(formatOffset(19800000)).toBe('+0530');
+    expect(formatOffset(-18000000)).toBe('-0500');
+    expect(formatOffset(-17762000)).toBe('-045602');
+    expect(formatTrigger(30)).toBe('-PT30M');
+    expect(formatTrigger(720)).toBe('-PT12H');
+    expect(formatTrigger(1470)).toBe('-P1DT30M');
+    expect(formatTrigger(10080)).toBe('-P1W');
+
+    expect(stableUid('muhurat', 'user-1', '2024-03-01')).toBe(stableUid('muhurat', 'user-1', '2024-03-01'));
+    expect(stableUid('muhurat', 'user-1', '2024-03-01')).not.toBe(stableUid('muhurat', 'user-2', '2024-03-01'));
+    expect(stableUid('a')).toMatch(/^[0-9a-f]{32}@zodiacore$/);
+  });
+
+  it('builds VTIMEZONE observances from the zone transitions', () => {
+    const newYork = buildTimezone('America/New_York', new Date('2024-01-10T00:00:00Z'), new Date('2024-12-01T00:00:00Z'));
+    expect(newYork.filter(line => /^(BEGIN:(STANDARD|DAYLIGHT)|DTSTART)/.test(line))).toEqual([
+      'BEGIN:STANDARD', 'DTSTART:20231105T020000',
+      'BEGIN:DAYLIGHT', 'DTSTART:20240310T020000',
+      'BEGIN:STANDARD', 'DTSTART:20241103T020000'
+    ]);
+    expect(newYork).toContain('TZNAME:EDT');
+
+    const kolkata = buildTimezone('Asia/Kolkata', new Date('2024-01-10T00:00:00Z'), new Date('2024-12-01T00:00:00Z'));
+    expect(kolkata).toEqual(expect.arrayContaining(['DTSTART:19700101T000000', 'TZOFFSETFROM:+0530', 'TZOFFSETTO:+0530']));
+  });
+
+  it('writes timed and all-day events with alarms', () => {
+    const timed = buildEvent({
+      uid: 'timed@zodiacore',
+      summary: 'Abhijit Muhurat',
+      start: new Date('2024-03-01T06:30:00Z'),
+      end: new Date('2024-03-01T07:18:00Z'),
+      categories: ['Muhurat', 'Marriage'],
+      priority: 1,
+      alarms: [{ minutesBefore: 30 }]
+    }, { timezone: 'Asia/Kolkata', stamp: STAMP });
+    expect(timed).toEqual(expect.arrayContaining([
+      'DTSTAMP:20240101T000000Z',
+      'DTSTART;TZID=Asia/Kolkata:20240301T120000',
+      'DTEND;TZID=Asia/Kolkata:20240301T124800',
+      'CATEGORIES:Muhurat,Marriage',
+      'PRIORITY:1',
+      'TRANSP:OPAQUE',
+      'TRIGGER:-PT30M',
+      'DESCRIPTION:Abhijit Muhurat'
+    ]));
+    expect(buildEvent({ uid: 'u', summary: 'UTC', start: new Date('2024-03-01T06:30:00Z') }, { stamp: STAMP }))
+      .toContain('DTSTART:20240301T063000Z');
+
+    const allDay = buildEvent({ uid: 'day@zodiacore', summary: 'Ekadashi', start: '2024-12-31' }, { stamp: STAMP });
+    expect(allDay).toEqual(expect.arrayContaining([
+      'DTSTART;VALUE=DATE:20241231', 'DTEND;VALUE=DATE:20250101', 'TRANSP:TRANSPARENT'
+    ]));
+    expect(() => buildEvent({ uid: 'u', summary: 'Bad', start: '2024-1-1' })).toThrow(/start date/);
+  });
+
+  it('wraps events in a calendar with the zones they use', () => {
+    const events = [
+      { uid: 'a@zodiacore', summary: 'Winter', start: new Date('2024-01-15T15:00:00Z') },
+      { uid: 'b@zodiacore', summary: 'Summer', start: new Date('2024-07-15T15:00:00Z') }
+    ];
+    const ics = buildCalendar({ name: 'Muhurats, Delhi', timezone: 'America/New_York', refreshMinutes: 720, stamp: STAMP }, events);
+    const lines = ics.split('\r\n');
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.slice(0, 6)).toEqual([
+      'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//ZodiaCore//Astrology Calendar 1.0//EN',
+      'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:Muhurats\\, Delhi'
+    ]);
+    expect(lines).toEqual(expect.arrayContaining([
+      'REFRESH-INTERVAL;VALUE=DURATION:PT720M',
+      'DTSTART;TZID=America/New_York:20240115T100000',
+      'DTSTART;TZID=America/New_York:20240715T110000'
+    ]));
+    expect(lines.filter(line => line === 'BEGIN:VTIMEZONE')).toHaveLength(1);
+    expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+
+    // All-day events need no VTIMEZONE
+    expect(buildCalendar({ name: 'Fasts', timezone: 'Asia/Kolkata', stamp: STAMP }, [{ uid: 'c', summary: 'Vrat', start: '2024-01-01' }]))
+      .not.toContain('VTIMEZONE');
+    expect(() => buildCalendar({ name: 'Bad', timezone: 'Mars/Olympus' }, [])).toThrow(/time zone/);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Chart Interchange Document
+ *
+ * The service-neutral Chart described by chart-schema.json, which lets a
+ * chart cast in one service feed synastry, counseling or mundane analysis in
+ * another. Each service converts its own chart objects with a chart adapter
+ * (toCanonical / fromCanonical); this module holds what they share: schema
+ * validation, the instant and angle helpers and zodiac conversion.
+ *
+ * Documents are validated against the JSON Schema itself by a small
+ * interpreter covering the keywords in SCHEMA_KEYWORDS, so the schema stays the
+ * single definition of the format. A change that existing readers would
+ * reject needs a new schemaVersion.
+ */
+
+const CHART_SCHEMA = require('./chart-schema.json');
+
+const CHART_SCHEMA_VERSION = CHART_SCHEMA.properties.schemaVersion.const;
+const BODY_IDS = CHART_SCHEMA.properties.bodies.propertyNames.enum;
+const HOUSE_SYSTEMS = CHART_SCHEMA.properties.houseSystem.enum;
+
+// Keywords checkSchema understands, plus annotations it ignores; the tests
+// fail if the schema starts using any other
+const SCHEMA_KEYWORDS = [
+  '$schema', '$id', '$defs', '$ref', 'title', 'description',
+  'type', 'const', 'enum',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern',
+  'items', 'minItems', 'maxItems',
+  'properties', 'required', 'additionalProperties', 'propertyNames', 'minProperties',
+  'if', 'then', 'else'
+];
+
+const JULIAN_DAY_UNIX_EPOCH = 2440587.5;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Normalize an angle to [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Normalized angle
+ */
+function normalizeLongitude(degrees) {
+  if (degrees >= 0 && degrees < 360) {
+    return degrees;
+  }
+  const normalized = ((degrees % 360) + 360) % 360;
+  // Rounding can land a tiny negative angle exactly on 360
+  return normalized === 360 ? 0 : normalized;
+}
+
+/**
+ * JSON type of a value as the schema names it
+ * @param {*} value - Value to classify
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Resolve a local '#/$defs/...' reference
+ * @param {string} ref - JSON pointer into the chart schema
+ * @returns {Object} Referenced subschema
+ */
+function resolveRef(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], CHART_SCHEMA);
+}
+
+/**
+ * Check a value against a subschema, collecting 'path: message' errors
+ * @param {*} value - Value to check
+ * @param {Object} schema - Subschema
+ * @param {string} path - Path of the value, for messages
+ * @param {Array<string>} errors - Error accumulator
+ */
+function checkSchema(value, schema, path, errors) {
+  if (schema.$ref) {
+    checkSchema(value, resolveRef(schema.$ref), path, errors);
+    return;
+  }
+
+  const type = jsonType(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${path}: Must be ${allowed.join(' or ')}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path}: Must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: Must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push(`${path}: Must be a finite number`);
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: Must be at least ${schema.minimum}`);
+    } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: Must be greater than ${schema.exclusiveMinimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: Must be at most ${schema.maximum}`);
+    } else if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: Must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: Must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: Has an invalid format`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: Must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: Must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: Is required`);
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${path}: Must have at least ${schema.minProperties} entries`);
+    }
+    for (const key of keys) {
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        checkSchema(key, schema.propertyNames, `${path}.${key}`, nameErrors);
+        if (nameErrors.length > 0) {
+          errors.push(`${path}.${key}: Is not a recognized key`);
+          continue;
+        }
+      }
+      if (properties[key]) {
+        checkSchema(value[key], properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: Is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  if (schema.if) {
+    const conditionErrors = [];
+    checkSchema(value, schema.if, path, conditionErrors);
+    const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+    if (branch) {
+      checkSchema(value, branch, path, errors);
+    }
+  }
+}
+
+/**
+ * Validate a chart document against the chart schema
+ * @param {*} document - Candidate document
+ * @returns {Object} { valid, errors } with 'path: message' errors
+ */
+function validateChart(document) {
+  const errors = [];
+  checkSchema(document, CHART_SCHEMA, 'chart', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Describe an instant by Julian Day and UTC timestamp
+ * @param {number} julianDay - Julian Day (UT)
+ * @returns {Object} { julianDay, utc }
+ */
+function momentFromJulianDay(julianDay) {
+  // Whole milliseconds keep the timestamp stable across round trips
+  const utc = new Date(Math.round((julianDay - JULIAN_DAY_UNIX_EPOCH) * MS_PER_DAY));
+  return { julianDay, utc: utc.toISOString() };
+}
+
+/**
+ * Build the angles block from the ascendant and midheaven
+ * @param {number} ascendant - Ascendant longitude
+ * @param {number} midheaven - Midheaven longitude
+ * @param {number} [vertex] - Vertex longitude, when known
+ * @returns {Object} { ASC, MC, DSC, IC, VTX? }
+ */
+function deriveAngles(ascendant, midheaven, vertex) {
+  const angles = {
+    ASC: normalizeLongitude(ascendant),
+    MC: normalizeLongitude(midheaven),
+    DSC: normalizeLongitude(ascendant + 180),
+    IC: normalizeLongitude(midheaven + 180)
+  };
+  if (vertex !== undefined) {
+    angles.VTX = normalizeLongitude(vertex);
+  }
+  return angles;
+}
+
+/**
+ * Re-express a chart in another zodiac. Every longitude (bodies, cusps and
+ * angles) moves by the ayanamsa; house divisions stay the same arcs of sky,
+ * so whole-sign cusps stop falling on sign boundaries.
+ * @param {Object} document - Valid chart document
+ * @param {string} zodiac - 'tropical' or 'sidereal'
+ * @param {Object} [ayanamsa] - { system, value } for the target; required
+ *   for sidereal unless the document already is sidereal in that system
+ * @returns {Object} Converted document (the input is left unchanged)
+ * @throws {RangeError} If the zodiac is unknown or the ayanamsa is missing
+ */
+function convertZodiac(document, zodiac, ayanamsa = null) {
+  if (!['tropical', 'sidereal'].includes(zodiac)) {
+    throw new RangeError(`Unknown zodiac '${zodiac}'`);
+  }
+  if (zodiac === 'sidereal' && !ayanamsa) {
+    throw new RangeError('Converting to the sidereal zodiac needs an ayanamsa');
+  }
+
+  const target = zodiac === 'sidereal' ? ayanamsa : (ayanamsa || document.ayanamsa);
+  const toTropical = document.zodiac === 'sidereal' ? document.ayanamsa.value : 0;
+  const fromTropical = zodiac === 'sidereal' ? ayanamsa.value : 0;
+  const shift = toTropical - fromTropical;
+  if (document.zodiac === zodiac && shift === 0) {
+    return { ...document, ayanamsa: target };
+  }
+
+  const move = longitude => normalizeLongitude(longitude + shift);
+  const bodies = {};
+  for (const [id, body] of Object.entries(document.bodies)) {
+    bodies[id] = { ...body, longitude: move(body.longitude) };
+  }
+  const angles = {};
+  for (const [name, longitude] of Object.entries(document.angles)) {
+    angles[name] = move(longitude);
+  }
+
+  return {
+    ...document,
+    zodiac,
+    ayanamsa: target,
+    houses: document.houses.map(move),
+    angles,
+    bodies
+  };
+}
+
+module.exports = {
+  CHART_SCHEMA,
+  CHART_SCHEMA_VERSION,
+  BODY_IDS,
+  HOUSE_SYSTEMS,
+  SCHEMA_KEYWORDS,
+  normalizeLongitude,
+  validateChart,
+  momentFromJulianDay,
+  deriveAngles,
+  convertZodiac
+};
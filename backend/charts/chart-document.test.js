@@ -0,0 +1,126 @@
+/**
+ * Chart Interchange Document Tests
+ */
+
+const {
+  CHART_SCHEMA,
+  CHART_SCHEMA_VERSION,
+  BODY_IDS,
+  SCHEMA_KEYWORDS,
+  validateChart,
+  momentFromJulianDay,
+  deriveAngles,
+  convertZodiac
+} = require('./chart-document');
+
+const SIDEREAL_CHART = {
+  schemaVersion: '1.0',
+  type: 'natal',
+  label: 'Example',
+  moment: { julianDay: 2451545, utc: '2000-01-01T12:00:00.000Z' },
+  location: { latitude: 28.6139, longitude: 77.209 },
+  zodiac: 'sidereal',
+  ayanamsa: { system: 'LAHIRI', value: 23.85 },
+  houseSystem: 'WHOLE_SIGN',
+  houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330],
+  angles: { ASC: 15, MC: 280, DSC: 195, IC: 100 },
+  bodies: {
+    SUN: { longitude: 256.5, speed: 1.02 },
+    MOON: { longitude: 350, latitude: 5.1 },
+    MEAN_NODE: { longitude: 100, retrograde: true }
+  },
+  source: { service: 'vedic', generator: 'VedicBirthChartGenerator' }
+};
+
+/**
+ * Every keyword used anywhere in a schema
+ * @param {Object} schema - JSON Schema
+ * @param {Set<string>} keywords - Accumulator
+ * @returns {Set<string>} Keywords found
+ */
+function collectKeywords(schema, keywords = new Set()) {
+  for (const [keyword, value] of Object.entries(schema)) {
+    keywords.add(keyword);
+    if (keyword === 'properties' || keyword === '$defs') {
+      Object.values(value).forEach(subschema => collectKeywords(subschema, keywords));
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && keyword !== 'const') {
+      collectKeywords(value, keywords);
+    }
+  }
+  return keywords;
+}
+
+describe('chart-document', () => {
+  it('uses only schema keywords the validator checks', () => {
+    const unsupported = [...collectKeywords(CHART_SCHEMA)].filter(keyword => !SCHEMA_KEYWORDS.includes(keyword));
+    expect(unsupported).toEqual([]);
+  });
+
+  it('accepts a conforming document and names the schema version', () => {
+    expect(CHART_SCHEMA_VERSION).toBe('1.0');
+    expect(CHART_SCHEMA.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+    expect(BODY_IDS).toEqual(expect.arrayContaining(['SUN', 'PLUTO', 'TRUE_NODE', 'CHIRON', 'MEAN_LILITH']));
+    expect(validateChart(SIDEREAL_CHART)).toEqual({ valid: true, errors: [] });
+    expect(validateChart({ ...SIDEREAL_CHART, zodiac: 'tropical', ayanamsa: null, location: null }).valid).toBe(true);
+  });
+
+  it('reports every schema violation with its path', () => {
+    const { valid, errors } = validateChart({
+      ...SIDEREAL_CHART,
+      schemaVersion: '2.0',
+      houseSystem: 'CAMPANUS',
+      houses: [0, 30, 60],
+      angles: { ASC: 360, MC: 280, DSC: 195 },
+      bodies: { SUN: { longitude: -1 }, RAHU: { longitude: 100 }, MOON: { longitude: 10, sign: 'Aries' } },
+      extra: true
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'chart.schemaVersion: Must be "1.0"',
+      'chart.houseSystem: Must be one of PLACIDUS, KOCH, EQUAL, WHOLE_SIGN',
+      'chart.houses: Must have at least 12 items',
+      'chart.angles.IC: Is required',
+      'chart.angles.ASC: Must be less than 360',
+      'chart.bodies.SUN.longitude: Must be at least 0',
+      'chart.bodies.RAHU: Is not a recognized key',
+      'chart.bodies.MOON.sign: Is not allowed',
+      'chart.extra: Is not allowed'
+    ]));
+    expect(validateChart(null).errors).toEqual(['chart: Must be object']);
+  });
+
+  it('requires an ayanamsa for sidereal charts', () => {
+    expect(validateChart({ ...SIDEREAL_CHART, ayanamsa: null }).errors).toEqual(['chart.ayanamsa: Must be object']);
+    const { moment, ...withoutMoment } = SIDEREAL_CHART;
+    expect(validateChart({ ...withoutMoment, moment: { julianDay: 2451545, utc: '2000-01-01 12:00' } }).errors)
+      .toEqual(['chart.moment.utc: Has an invalid format']);
+  });
+
+  it('derives the instant and the angles', () => {
+    expect(momentFromJulianDay(2451545)).toEqual({ julianDay: 2451545, utc: '2000-01-01T12:00:00.000Z' });
+    expect(deriveAngles(350, 260)).toEqual({ ASC: 350, MC: 260, DSC: 170, IC: 80 });
+    expect(deriveAngles(-10, 400, 185)).toEqual({ ASC: 350, MC: 40, DSC: 170, IC: 220, VTX: 185 });
+  });
+
+  it('moves every longitude between zodiacs and back', () => {
+    const tropical = convertZodiac(SIDEREAL_CHART, 'tropical');
+    expect(tropical.zodiac).toBe('tropical');
+    expect(tropical.ayanamsa).toEqual(SIDEREAL_CHART.ayanamsa);
+    expect(tropical.bodies.SUN).toEqual({ longitude: 280.35, speed: 1.02 });
+    expect(tropical.bodies.MOON.longitude).toBeCloseTo(13.85, 10);
+    expect(tropical.houses[0]).toBe(23.85);
+    expect(tropical.angles.MC).toBeCloseTo(303.85, 10);
+    expect(validateChart(tropical).valid).toBe(true);
+    // The input is left alone
+    expect(SIDEREAL_CHART.bodies.SUN.longitude).toBe(256.5);
+
+    const fagan = convertZodiac(tropical, 'sidereal', { system: 'FAGAN_BRADLEY', value: 24.74 });
+    expect(fagan.bodies.SUN.longitude).toBeCloseTo(255.61, 10);
+    expect(fagan.ayanamsa.system).toBe('FAGAN_BRADLEY');
+
+    expect(convertZodiac(SIDEREAL_CHART, 'sidereal', SIDEREAL_CHART.ayanamsa).bodies).toBe(SIDEREAL_CHART.bodies);
+    expect(() => convertZodiac(SIDEREAL_CHART, 'sidereal')).toThrow(/needs an ayanamsa/);
+    expect(() => convertZodiac(SIDEREAL_CHART, 'draconic')).toThrow(/Unknown zodiac/);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Public API Router for ZodiaCore
+ *
+ * Everything a ZodiaCore entry point exposes under /api and /health: place
+ * autocomplete answered from the offline dataset, then the gateway to the
+ * astrology services, behind JWT authentication when a secret is configured.
+ * Both gateway/server.js and index.js mount it, so they enforce the same rules.
+ *
+ * Usage:
+ * const { createApiRouter } = require('./gateway/api-router');
+ * app.use(createApiRouter()); // mount before body parsing middleware
+ */
+
+const express = require('express');
+const { createGateway, getDefaultRoutes } = require('./gateway');
+const { createGeocodingRouter } = require('../geocoding/geocoding-api');
+const { notFoundHandler, createErrorHandler } = require('../http/api-response');
+
+/**
+ * Create the public API router from environment variables
+ * @param {Object} env - Environment variables (JWT_SECRET, GATEWAY_TIMEOUT_MS, *_SERVICE_URL)
+ * @returns {Object} Express router
+ */
+function createApiRouter(env = process.env) {
+  const router = express.Router();
+
+  // Require a valid access token on the astrology APIs when a JWT secret is configured
+  let authenticate;
+  if (env.JWT_SECRET) {
+    authenticate = require('../auth/middleware').authenticate({ secret: env.JWT_SECRET });
+  }
+
+  // Place-name autocomplete is answered here from the bundled offline dataset
+  router.use('/api/v1/geo', createGeocodingRouter());
+
+  // Gateway routes; requests are streamed upstream, so no body parsing here.
+  // Upstream responses are already compressed by the services.
+  router.use(
+    createGateway({
+      routes: getDefaultRoutes(env),
+      authenticate,
+      timeout: parseInt(env.GATEWAY_TIMEOUT_MS, 10) || undefined,
+    })
+  );
+
+  // Unknown API routes get the error envelope, not a fallback such as the frontend's index.html
+  router.use('/api', notFoundHandler);
+  router.use(createErrorHandler({ label: 'Gateway' }));
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,38 @@
+/**
+ * Public API Router Tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createApiRouter } = require('./api-router');
+
+describe('createApiRouter', () => {
+  function createApp(env) {
+    const app = express();
+    app.use(createApiRouter(env));
+    // Stands in for index.js serving the frontend
+    app.get(/.*/, (req, res) => res.send('<html></html>'));
+    return app;
+  }
+
+  it('requires an access token on the astrology APIs when JWT_SECRET is set', async () => {
+    const response = await request(createApp({ JWT_SECRET: 'test-secret' })).post('/api/v1/zc1/birth-chart').send({});
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('AUTHENTICATION_ERROR');
+  });
+
+  it('answers place autocomplete without authentication', async () => {
+    const response = await request(createApp({ JWT_SECRET: 'test-secret' })).get('/api/v1/geo/autocomplete?q=Mumbai');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.results[0].name).toBe('Mumbai');
+  });
+
+  it('returns NOT_FOUND for unrouted APIs such as an unconfigured ZC4', async () => {
+    const response = await request(createApp({})).get('/api/v1/zc4/personal-cycles/user-1');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toEqual({ code: 'NOT_FOUND', message: 'Route GET /api/v1/zc4/personal-cycles/user-1 not found' });
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * API Gateway for ZodiaCore
+ *
+ * Routes the versioned astrology APIs to the microservices that implement them
+ * and exposes an aggregated health check. Requests are streamed to the upstream
+ * unchanged (path, query, headers and body), with the correlation ID forwarded
+ * in the x-correlation-id header so service logs can be joined across hops.
+ *
+ * Routes:
+ * - /api/v1/zc1 -> vedic-service
+ * - /api/v1/zc2 -> chinese-service
+ * - /api/v1/zc3 -> western-service
+ * - /api/v1/zc4 -> numerology service, only when ZC4_SERVICE_URL is configured
+ * - /api/v1/auth -> auth-service (public: never behind options.authenticate)
+ *
+ * A route's publicPaths lists requests ({ method, path } with path a RegExp
+ * tested against the path below the prefix) that skip options.authenticate.
+ *
+ * Usage:
+ * const { createGateway } = require('./backend/gateway/gateway');
+ * app.use(createGateway()); // mount before body parsing middleware
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const express = require('express');
+
+const CORRELATION_ID_HEADER = 'x-correlation-id';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_HEALTH_TIMEOUT_MS = 5000;
+
+// Connection-scoped headers that must not be forwarded between hops (RFC 7230 §6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+/**
+ * Build the default route table from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Route table keyed by API prefix
+ */
+function getDefaultRoutes(env = process.env) {
+  const routes = {
+    '/api/v1/zc1': {
+      service: 'vedic-service',
+      url: env.ZC1_SERVICE_URL || 'http://vedic-service:3001',
+      // Calendar apps cannot send bearer tokens; the token in a feed's URL protects it
+      publicPaths: [{ method: 'GET', path: /^\/calendar\/feeds\/[^/]+\/[^/]+\.ics$/ }],
+    },
+    '/api/v1/zc2': {
+      service: 'chinese-service',
+      url: env.ZC2_SERVICE_URL || 'http://chinese-service:3004',
+    },
+    '/api/v1/zc3': {
+      service: 'western-service',
+      url: env.ZC3_SERVICE_URL || 'http://western-service:3002',
+    },
+    '/api/v1/auth': {
+      service: 'auth-service',
+      url: env.AUTH_SERVICE_URL || 'http://auth:3006',
+      public: true,
+    },
+  };
+  // No bundled service serves the ZC4 numerology API; route it only to a configured one
+  if (env.ZC4_SERVICE_URL) {
+    routes['/api/v1/zc4'] = { service: 'numerology', url: env.ZC4_SERVICE_URL };
+  }
+  return routes;
+}
+
+/**
+ * Build the unified gateway error body
+ * @param {Object} req - Express request
+ * @param {string} code - Documented error code
+ * @param {string} message - Error message
+ * @param {Object} details - Additional error details
+ * @returns {Object} Error envelope
+ */
+function buildErrorBody(req, code, message, details) {
+  return {
+    success: false,
+    error: { code, message, details },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      requestId: req.correlationId,
+    },
+  };
+}
+
+/**
+ * Copy headers, dropping hop-by-hop headers
+ * @param {Object} headers - Incoming headers
+ * @returns {Object} Headers safe to forward
+ */
+function filterHeaders(headers) {
+  const filtered = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+      filtered[name] = value;
+    }
+  }
+  return filtered;
+}
+
+/**
+ * Ensure every request carries a correlation ID, reusing one set by
+ * correlationIdMiddleware or sent by the client
+ */
+function ensureCorrelationId(req, res, next) {
+  if (!req.correlationId) {
+    req.correlationId = req.headers[CORRELATION_ID_HEADER] || crypto.randomUUID();
+  }
+  res.set(CORRELATION_ID_HEADER, req.correlationId);
+  next();
+}
+
+/**
+ * Create a handler that streams requests to an upstream service
+ * @param {string} prefix - API prefix handled by the route
+ * @param {Object} route - Route definition ({ service, url })
+ * @param {number} timeout - Upstream socket timeout in milliseconds
+ * @returns {Function} Express middleware
+ */
+function createProxyHandler(prefix, route, timeout) {
+  return (req, res) => {
+    const target = new URL(req.originalUrl, route.url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const headers = filterHeaders(req.headers);
+    headers.host = target.host;
+    headers[CORRELATION_ID_HEADER] = req.correlationId;
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress]
+      .filter(Boolean)
+      .join(', ');
+    headers['x-forwarded-host'] = req.headers.host;
+    headers['x-forwarded-proto'] = req.protocol;
+
+    const upstreamRequest = client.request(
+      target,
+      { method: req.method, headers, timeout },
+      (upstreamResponse) => {
+        res.status(upstreamResponse.statusCode);
+        // setHeader rather than res.set, which would append a charset to Content-Type
+        for (const [name, value] of Object.entries(filterHeaders(upstreamResponse.headers))) {
+          res.setHeader(name, value);
+        }
+        res.setHeader(CORRELATION_ID_HEADER, req.correlationId);
+        upstreamResponse.pipe(res);
+      }
+    );
+
+    upstreamRequest.on('timeout', () => {
+      const error = new Error(`Upstream ${route.service} timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      upstreamRequest.destroy(error);
+    });
+
+    upstreamRequest.on('error', (error) => {
+      (req.logger?.error || console.error)(`Gateway upstream error (${route.service}):`, error.message);
+
+      if (res.headersSent) {
+        // The upstream failed mid-response; all we can do is drop the connection
+        res.destroy(error);
+        return;
+      }
+
+      res.status(503).json(
+        buildErrorBody(req, 'SERVICE_UNAVAILABLE', `${route.service} is unavailable`, {
+          service: route.service,
+          route: prefix,
+          reason: error.code === 'ETIMEDOUT' ? 'timeout' : 'connection_failed',
+        })
+      );
+    });
+
+    req.pipe(upstreamRequest);
+  };
+}
+
+/**
+ * Run the authenticate middleware except on a route's public paths
+ * @param {Function} authenticate - Authentication middleware
+ * @param {Array<Object>} publicPaths - { method, path } entries that skip it
+ * @returns {Function} Express middleware
+ */
+function authenticateExcept(authenticate, publicPaths = []) {
+  return (req, res, next) => {
+    const isPublic = publicPaths.some(({ method, path }) => req.method === method && path.test(req.path));
+    if (isPublic) {
+      next();
+      return;
+    }
+    authenticate(req, res, next);
+  };
+}
+
+/**
+ * Check the health endpoint of one upstream service
+ * @param {Object} route - Route definition ({ service, url })
+ * @param {number} timeout - Request timeout in milliseconds
+ * @param {string} correlationId - Correlation ID to forward
+ * @returns {Promise<Object>} Health summary for the service
+ */
+function checkServiceHealth(route, timeout, correlationId) {
+  const startTime = Date.now();
+  const target = new URL('/health', route.url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve) => {
+    const request = client.get(
+      target,
+      { headers: { [CORRELATION_ID_HEADER]: correlationId }, timeout },
+      (response) => {
+        // Only the status matters; drain the body so the socket is released
+        response.resume();
+        response.on('end', () => {
+          resolve({
+            status: response.statusCode >= 200 && response.statusCode < 300 ? 'healthy' : 'unhealthy',
+            statusCode: response.statusCode,
+            responseTime: Date.now() - startTime,
+          });
+        });
+      }
+    );
+
+    request.on('timeout', () => request.destroy(new Error(`Health check timed out after ${timeout}ms`)));
+    request.on('error', (error) => {
+      resolve({
+        status: 'unavailable',
+        error: error.message,
+        responseTime: Date.now() - startTime,
+      });
+    });
+  });
+}
+
+/**
+ * Create the gateway router
+ * @param {Object} options - Gateway options
+ * @param {Object} options.routes - Route table keyed by API prefix (defaults to getDefaultRoutes())
+ * @param {Function} options.authenticate - Middleware run before proxying non-public routes
+ *   and paths (e.g. authenticate() from backend/auth/middleware)
+ * @param {number} options.timeout - Upstream request timeout in milliseconds
+ * @param {number} options.healthTimeout - Per-service health check timeout in milliseconds
+ * @returns {Object} Express router
+ */
+function createGateway(options = {}) {
+  const routes = options.routes || getDefaultRoutes();
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  const healthTimeout = options.healthTimeout || DEFAULT_HEALTH_TIMEOUT_MS;
+
+  const router = express.Router();
+  router.use(ensureCorrelationId);
+
+  // Aggregated health: healthy when every upstream is, degraded when some are
+  router.get('/health', async (req, res) => {
+    // Several prefixes may share one service; check each service once
+    const services = {};
+    for (const [prefix, route] of Object.entries(routes)) {
+      services[route.service] = services[route.service] || { route, prefixes: [] };
+      services[route.service].prefixes.push(prefix);
+    }
+
+    const names = Object.keys(services);
+    const results = await Promise.all(
+      names.map((name) => checkServiceHealth(services[name].route, healthTimeout, req.correlationId))
+    );
+
+    const report = {};
+    names.forEach((name, index) => {
+      report[name] = {
+        ...results[index],
+        url: services[name].route.url,
+        routes: services[name].prefixes,
+      };
+    });
+
+    const healthyCount = results.filter((result) => result.status === 'healthy').length;
+    let status = 'healthy';
+    if (healthyCount === 0) {
+      status = 'unhealthy';
+    } else if (healthyCount < results.length) {
+      status = 'degraded';
+    }
+
+    res.status(status === 'unhealthy' ? 503 : 200).json({
+      status,
+      timestamp: new Date().toISOString(),
+      service: 'gateway',
+      services: report,
+      correlationId: req.correlationId,
+    });
+  });
+
+  // Route table for clients and operators
+  router.get('/api/status', (req, res) => {
+    res.json({
+      message: 'ZodiaCore API gateway is operational',
+      version: '1.0.0',
+      routes: Object.entries(routes).map(([prefix, route]) => ({ prefix, service: route.service })),
+      correlationId: req.correlationId,
+    });
+  });
+
+  for (const [prefix, route] of Object.entries(routes)) {
+    const handlers = [createProxyHandler(prefix, route, timeout)];
+    if (options.authenticate && !route.public) {
+      handlers.unshift(authenticateExcept(options.authenticate, route.publicPaths));
+    }
+    router.use(prefix, ...handlers);
+  }
+
+  return router;
+}
+
+module.exports = {
+  createGateway,
+  getDefaultRoutes,
+  checkServiceHealth,
+  CORRELATION_ID_HEADER,
+};
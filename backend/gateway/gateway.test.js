@@ -0,0 +1,247 @@
+/**
+ * API Gateway Tests
+ *
+ * Runs the gateway against local stub servers standing in for the
+ * astrology microservices.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createGateway, getDefaultRoutes } = require('./gateway');
+
+/**
+ * Start an HTTP server on a random local port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<Object>} Server and its base URL
+ */
+function startStub(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Stub service that echoes what it received, answering /health itself
+ * @param {string} name - Service name reported in responses
+ */
+function echoService(name) {
+  return (req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const healthy = req.url === '/health';
+      res.writeHead(healthy ? 200 : 201, { 'content-type': 'application/json', 'x-service': name });
+      res.end(JSON.stringify(healthy ? { status: 'healthy' } : {
+        service: name,
+        method: req.method,
+        url: req.url,
+        correlationId: req.headers['x-correlation-id'],
+        body,
+      }));
+    });
+  };
+}
+
+describe('API Gateway', () => {
+  const stubs = {};
+  let deadUrl;
+
+  beforeAll(async () => {
+    stubs.vedic = await startStub(echoService('vedic'));
+    stubs.chinese = await startStub(echoService('chinese'));
+    stubs.western = await startStub(echoService('western'));
+    // Accepts requests but never answers
+    stubs.hanging = await startStub(() => {});
+
+    // Reserve a port, then free it so connections are refused
+    const dead = await startStub(() => {});
+    deadUrl = dead.url;
+    await new Promise((resolve) => dead.server.close(resolve));
+  });
+
+  afterAll(async () => {
+    for (const { server } of Object.values(stubs)) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  function createApp(overrides = {}) {
+    const app = express();
+    app.use(
+      createGateway({
+        routes: {
+          '/api/v1/zc1': { service: 'vedic-service', url: stubs.vedic.url },
+          '/api/v1/zc2': { service: 'chinese-service', url: stubs.chinese.url },
+          '/api/v1/zc3': { service: 'western-service', url: stubs.western.url },
+          '/api/v1/zc4': { service: 'numerology', url: stubs.vedic.url },
+          ...overrides,
+        },
+        timeout: 200,
+        healthTimeout: 200,
+      })
+    );
+    return app;
+  }
+
+  test('default routes map each API to its service', () => {
+    const routes = getDefaultRoutes({ ZC1_SERVICE_URL: 'http://vedic:1' });
+    expect(routes['/api/v1/zc1']).toMatchObject({ service: 'vedic-service', url: 'http://vedic:1' });
+    expect(routes['/api/v1/zc2'].service).toBe('chinese-service');
+    expect(routes['/api/v1/zc3'].service).toBe('western-service');
+    expect(routes['/api/v1/auth']).toMatchObject({ service: 'auth-service', public: true });
+  });
+
+  test('routes ZC4 only to a configured numerology service', () => {
+    expect(getDefaultRoutes({})['/api/v1/zc4']).toBeUndefined();
+    expect(getDefaultRoutes({ ZC4_SERVICE_URL: 'http://numerology:1' })['/api/v1/zc4'])
+      .toEqual({ service: 'numerology', url: 'http://numerology:1' });
+  });
+
+  describe('proxying', () => {
+    test.each([
+      ['/api/v1/zc1/birth-chart', 'vedic'],
+      ['/api/v1/zc2/bazi', 'chinese'],
+      ['/api/v1/zc3/aspects', 'western'],
+      ['/api/v1/zc4/life-path', 'vedic'],
+    ])('routes %s to the %s stub', async (path, service) => {
+      const response = await request(createApp())
+        .post(path)
+        .send({ birthData: { date: '1990-05-15' } });
+
+      expect(response.status).toBe(201);
+      expect(response.headers['x-service']).toBe(service);
+      expect(response.body.url).toBe(path);
+      expect(JSON.parse(response.body.body)).toEqual({ birthData: { date: '1990-05-15' } });
+    });
+
+    test('keeps the query string', async () => {
+      const response = await request(createApp()).get('/api/v1/zc1/dasha/user123?targetDate=2024-01-01');
+
+      expect(response.body).toMatchObject({ method: 'GET', url: '/api/v1/zc1/dasha/user123?targetDate=2024-01-01' });
+    });
+
+    test('forwards the client correlation ID', async () => {
+      const response = await request(createApp())
+        .get('/api/v1/zc3/anything')
+        .set('x-correlation-id', 'corr-123');
+
+      expect(response.body.correlationId).toBe('corr-123');
+      expect(response.headers['x-correlation-id']).toBe('corr-123');
+    });
+
+    test('generates a correlation ID when none is sent', async () => {
+      const response = await request(createApp()).get('/api/v1/zc2/anything');
+
+      expect(response.body.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(response.headers['x-correlation-id']).toBe(response.body.correlationId);
+    });
+
+    test('runs the authenticate middleware on protected routes only', async () => {
+      const app = express();
+      app.use(
+        createGateway({
+          routes: {
+            '/api/v1/zc1': { service: 'vedic-service', url: stubs.vedic.url },
+            '/api/v1/auth': { service: 'auth-service', url: stubs.western.url, public: true },
+          },
+          authenticate: (req, res, next) => (req.headers.authorization ? next() : res.status(401).end()),
+        })
+      );
+
+      expect((await request(app).get('/api/v1/zc1/anything')).status).toBe(401);
+      expect((await request(app).get('/api/v1/zc1/anything').set('authorization', 'Bearer t')).status).toBe(201);
+      expect((await request(app).post('/api/v1/auth/login')).status).toBe(201);
+    });
+
+    test('lets the calendar feed through without a bearer token', async () => {
+      const app = express();
+      app.use(
+        createGateway({
+          routes: { '/api/v1/zc1': { ...getDefaultRoutes({})['/api/v1/zc1'], url: stubs.vedic.url } },
+          authenticate: (req, res, next) => (req.headers.authorization ? next() : res.status(401).end()),
+        })
+      );
+
+      expect((await request(app).get('/api/v1/zc1/calendar/feeds/user123/panchang.ics?token=t')).status).toBe(201);
+      expect((await request(app).put('/api/v1/zc1/calendar/feeds/user123/panchang')).status).toBe(401);
+      expect((await request(app).get('/api/v1/zc1/calendar/feeds/user123/panchang')).status).toBe(401);
+    });
+
+    test('leaves other routes to the host app', async () => {
+      const app = createApp();
+      app.use((req, res) => res.status(418).end());
+
+      const response = await request(app).get('/api/v1/zc5/anything');
+      expect(response.status).toBe(418);
+    });
+  });
+
+  describe('upstream failures', () => {
+    test('returns SERVICE_UNAVAILABLE when the service is down', async () => {
+      const app = createApp({ '/api/v1/zc2': { service: 'chinese-service', url: deadUrl } });
+
+      const response = await request(app)
+        .get('/api/v1/zc2/horoscope/user123/daily')
+        .set('x-correlation-id', 'corr-down');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({
+        success: false,
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'chinese-service is unavailable',
+          details: { service: 'chinese-service', route: '/api/v1/zc2', reason: 'connection_failed' },
+        },
+        metadata: { timestamp: expect.any(String), requestId: 'corr-down' },
+      });
+    });
+
+    test('reports timeouts with the same error', async () => {
+      const app = createApp({ '/api/v1/zc3': { service: 'western-service', url: stubs.hanging.url } });
+
+      const response = await request(app).get('/api/v1/zc3/birth-chart');
+
+      expect(response.status).toBe(503);
+      expect(response.body.error.code).toBe('SERVICE_UNAVAILABLE');
+      expect(response.body.error.details.reason).toBe('timeout');
+    });
+  });
+
+  describe('GET /health', () => {
+    test('is healthy when every service is', async () => {
+      const response = await request(createApp()).get('/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('healthy');
+      expect(Object.keys(response.body.services)).toEqual(['vedic-service', 'chinese-service', 'western-service', 'numerology']);
+      expect(response.body.services['vedic-service']).toMatchObject({ status: 'healthy', statusCode: 200, routes: ['/api/v1/zc1'] });
+    });
+
+    test('is degraded when a service is down', async () => {
+      const app = createApp({ '/api/v1/zc4': { service: 'numerology', url: deadUrl } });
+
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('degraded');
+      expect(response.body.services.numerology.status).toBe('unavailable');
+    });
+
+    test('is unhealthy when every service is down', async () => {
+      const app = express();
+      app.use(createGateway({ routes: { '/api/v1/zc1': { service: 'vedic-service', url: deadUrl } } }));
+
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(503);
+      expect(response.body.status).toBe('unhealthy');
+    });
+  });
+});
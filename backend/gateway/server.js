@@ -0,0 +1,125 @@
+// ZodiaCore API Gateway Server
+// Routes /api/v1/zc1..zc3 (and zc4 when ZC4_SERVICE_URL is set) to the astrology microservices
+// Serves /api/v1/geo place autocomplete from the bundled offline city dataset
+// Includes an aggregated health check endpoint for monitoring
+
+require('dotenv').config(); // Load environment variables
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('rate-limiter-flexible');
+const { createApiRouter } = require('./api-router');
+
+// Import centralized logger (assuming shared logger exists)
+let logger;
+try {
+  const { getLogger } = require('../logger');
+  logger = getLogger(null, 'gateway');
+} catch (error) {
+  // Fallback logger if backend logger not available
+  logger = {
+    info: console.log,
+    error: console.error,
+    debug: console.debug,
+    warn: console.warn,
+  };
+}
+
+// Initialize Express application
+const app = express();
+
+// Add correlation ID middleware if available
+let correlationIdMiddleware = (req, res, next) => next();
+try {
+  correlationIdMiddleware = require('../logger').correlationIdMiddleware;
+} catch (error) {
+  // Use fallback if not available; the gateway assigns IDs itself
+}
+app.use(correlationIdMiddleware);
+
+// Security middleware
+app.use(helmet());
+
+// CORS configuration
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    credentials: true,
+  })
+);
+
+// Rate limiting
+const rateLimiter = new rateLimit.RateLimiterMemory({
+  keyPrefix: 'gateway',
+  points: 100, // Number of requests
+  duration: 60, // Per 60 seconds
+});
+
+app.use((req, res, next) => {
+  rateLimiter
+    .consume(req.ip)
+    .then(() => {
+      next();
+    })
+    .catch(() => {
+      res.status(429).send('Too Many Requests');
+    });
+});
+
+// Place autocomplete and the authenticated gateway routes
+app.use(createApiRouter());
+
+// Unknown routes
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: `Route ${req.method} ${req.originalUrl} not found`,
+    },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      requestId: req.correlationId,
+    },
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  (req.logger?.error || logger.error)('Unhandled error:', err);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message:
+      process.env.NODE_ENV === 'development'
+        ? err.message
+        : 'Something went wrong',
+    correlationId: req.correlationId,
+  });
+});
+
+// Determine port from environment or default
+const PORT = process.env.PORT || 3009;
+
+// Start the server
+const server = app.listen(PORT, () => {
+  logger.info(`ZodiaCore API Gateway is running on port ${PORT}`);
+  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+});
+
+// Graceful shutdown handling
+process.on('SIGTERM', () => {
+  logger.info('SIGTERM received, shutting down gracefully');
+  server.close(() => {
+    logger.info('ZodiaCore API Gateway terminated');
+  });
+});
+
+process.on('SIGINT', () => {
+  logger.info('SIGINT received, shutting down gracefully');
+  server.close(() => {
+    logger.info('ZodiaCore API Gateway terminated');
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,730 @@
+/**
+ * Bundled City Dataset
+ *
+ * GeoNames-style gazetteer of capitals and major cities, bundled so place
+ * lookup works with no network. Coordinates are rounded to 0.01° (about
+ * 1 km), which keeps chart angles within a few arc-minutes; populations are
+ * city-proper figures used only to rank matches.
+ *
+ * Each row is [name, alternate names ('|'-separated), ISO 3166 country code,
+ * first-level admin region, latitude, longitude, population, IANA zone].
+ */
+
+const COUNTRIES = {
+  AE: ['United Arab Emirates', 'UAE|Emirates'],
+  AF: ['Afghanistan', ''],
+  AM: ['Armenia', ''],
+  AO: ['Angola', ''],
+  AR: ['Argentina', ''],
+  AT: ['Austria', 'Österreich'],
+  AU: ['Australia', ''],
+  AZ: ['Azerbaijan', ''],
+  BD: ['Bangladesh', ''],
+  BE: ['Belgium', 'Belgique|België'],
+  BG: ['Bulgaria', ''],
+  BH: ['Bahrain', ''],
+  BO: ['Bolivia', ''],
+  BR: ['Brazil', 'Brasil'],
+  BT: ['Bhutan', ''],
+  BY: ['Belarus', ''],
+  CA: ['Canada', ''],
+  CD: ['Democratic Republic of the Congo', 'DR Congo|Congo-Kinshasa|Zaire'],
+  CH: ['Switzerland', 'Schweiz|Suisse|Svizzera'],
+  CI: ['Ivory Coast', "Côte d'Ivoire"],
+  CL: ['Chile', ''],
+  CN: ['China', "People's Republic of China|PRC"],
+  CO: ['Colombia', ''],
+  CR: ['Costa Rica', ''],
+  CU: ['Cuba', ''],
+  CY: ['Cyprus', ''],
+  CZ: ['Czechia', 'Czech Republic'],
+  DE: ['Germany', 'Deutschland'],
+  DK: ['Denmark', 'Danmark'],
+  DO: ['Dominican Republic', ''],
+  DZ: ['Algeria', ''],
+  EC: ['Ecuador', ''],
+  EE: ['Estonia', ''],
+  EG: ['Egypt', ''],
+  ES: ['Spain', 'España'],
+  ET: ['Ethiopia', ''],
+  FI: ['Finland', 'Suomi'],
+  FJ: ['Fiji', ''],
+  FR: ['France', ''],
+  GB: ['United Kingdom', 'UK|Great Britain|Britain'],
+  GE: ['Georgia', ''],
+  GH: ['Ghana', ''],
+  GR: ['Greece', 'Hellas'],
+  GT: ['Guatemala', ''],
+  GY: ['Guyana', ''],
+  HK: ['Hong Kong', ''],
+  HR: ['Croatia', 'Hrvatska'],
+  HU: ['Hungary', 'Magyarország'],
+  ID: ['Indonesia', ''],
+  IE: ['Ireland', 'Éire'],
+  IL: ['Israel', ''],
+  IN: ['India', 'Bharat'],
+  IQ: ['Iraq', ''],
+  IR: ['Iran', 'Persia'],
+  IS: ['Iceland', ''],
+  IT: ['Italy', 'Italia'],
+  JM: ['Jamaica', ''],
+  JO: ['Jordan', ''],
+  JP: ['Japan', 'Nippon'],
+  KE: ['Kenya', ''],
+  KH: ['Cambodia', ''],
+  KP: ['North Korea', ''],
+  KR: ['South Korea', 'Korea'],
+  KW: ['Kuwait', ''],
+  KZ: ['Kazakhstan', ''],
+  LA: ['Laos', ''],
+  LB: ['Lebanon', ''],
+  LK: ['Sri Lanka', 'Ceylon'],
+  LT: ['Lithuania', ''],
+  LU: ['Luxembourg', ''],
+  LV: ['Latvia', ''],
+  LY: ['Libya', ''],
+  MA: ['Morocco', ''],
+  MD: ['Moldova', ''],
+  MG: ['Madagascar', ''],
+  MM: ['Myanmar', 'Burma'],
+  MN: ['Mongolia', ''],
+  MO: ['Macau', 'Macao'],
+  MT: ['Malta', ''],
+  MU: ['Mauritius', ''],
+  MV: ['Maldives', ''],
+  MX: ['Mexico', 'México'],
+  MY: ['Malaysia', ''],
+  MZ: ['Mozambique', ''],
+  NG: ['Nigeria', ''],
+  NL: ['Netherlands', 'Holland|Nederland'],
+  NO: ['Norway', 'Norge'],
+  NP: ['Nepal', ''],
+  NZ: ['New Zealand', 'Aotearoa'],
+  OM: ['Oman', ''],
+  PA: ['Panama', ''],
+  PE: ['Peru', ''],
+  PG: ['Papua New Guinea', ''],
+  PH: ['Philippines', ''],
+  PK: ['Pakistan', ''],
+  PL: ['Poland', 'Polska'],
+  PR: ['Puerto Rico', ''],
+  PT: ['Portugal', ''],
+  PY: ['Paraguay', ''],
+  QA: ['Qatar', ''],
+  RO: ['Romania', ''],
+  RS: ['Serbia', ''],
+  RU: ['Russia', 'Russian Federation'],
+  SA: ['Saudi Arabia', ''],
+  SD: ['Sudan', ''],
+  SE: ['Sweden', 'Sverige'],
+  SG: ['Singapore', ''],
+  SI: ['Slovenia', ''],
+  SK: ['Slovakia', ''],
+  SN: ['Senegal', ''],
+  SR: ['Suriname', ''],
+  SY: ['Syria', ''],
+  TH: ['Thailand', ''],
+  TN: ['Tunisia', ''],
+  TR: ['Turkey', 'Türkiye'],
+  TT: ['Trinidad and Tobago', 'Trinidad'],
+  TW: ['Taiwan', ''],
+  TZ: ['Tanzania', ''],
+  UA: ['Ukraine', ''],
+  UG: ['Uganda', ''],
+  US: ['United States', 'USA|United States of America|America'],
+  UY: ['Uruguay', ''],
+  UZ: ['Uzbekistan', ''],
+  VE: ['Venezuela', ''],
+  VN: ['Vietnam', 'Viet Nam'],
+  WS: ['Samoa', ''],
+  YE: ['Yemen', ''],
+  ZA: ['South Africa', ''],
+  ZM: ['Zambia', ''],
+  ZW: ['Zimbabwe', '']
+};
+
+const CITIES = [
+  // India
+  ['Mumbai', 'Bombay', 'IN', 'Maharashtra', 19.07, 72.88, 12691836, 'Asia/Kolkata'],
+  ['Delhi', 'Dilli', 'IN', 'Delhi', 28.65, 77.23, 10927986, 'Asia/Kolkata'],
+  ['New Delhi', '', 'IN', 'Delhi', 28.61, 77.21, 317797, 'Asia/Kolkata'],
+  ['Bengaluru', 'Bangalore', 'IN', 'Karnataka', 12.97, 77.59, 5104047, 'Asia/Kolkata'],
+  ['Kolkata', 'Calcutta', 'IN', 'West Bengal', 22.57, 88.36, 4631392, 'Asia/Kolkata'],
+  ['Chennai', 'Madras', 'IN', 'Tamil Nadu', 13.09, 80.28, 4328063, 'Asia/Kolkata'],
+  ['Hyderabad', '', 'IN', 'Telangana', 17.38, 78.46, 3597816, 'Asia/Kolkata'],
+  ['Ahmedabad', 'Amdavad', 'IN', 'Gujarat', 23.03, 72.58, 3719710, 'Asia/Kolkata'],
+  ['Pune', 'Poona', 'IN', 'Maharashtra', 18.52, 73.86, 2935744, 'Asia/Kolkata'],
+  ['Surat', '', 'IN', 'Gujarat', 21.17, 72.83, 2894504, 'Asia/Kolkata'],
+  ['Kanpur', 'Cawnpore', 'IN', 'Uttar Pradesh', 26.47, 80.35, 2823249, 'Asia/Kolkata'],
+  ['Jaipur', '', 'IN', 'Rajasthan', 26.92, 75.79, 2711758, 'Asia/Kolkata'],
+  ['Lucknow', '', 'IN', 'Uttar Pradesh', 26.84, 80.92, 2472011, 'Asia/Kolkata'],
+  ['Nagpur', '', 'IN', 'Maharashtra', 21.15, 79.09, 2228018, 'Asia/Kolkata'],
+  ['Indore', '', 'IN', 'Madhya Pradesh', 22.72, 75.83, 1837041, 'Asia/Kolkata'],
+  ['Patna', '', 'IN', 'Bihar', 25.59, 85.14, 1599920, 'Asia/Kolkata'],
+  ['Bhopal', '', 'IN', 'Madhya Pradesh', 23.25, 77.40, 1599914, 'Asia/Kolkata'],
+  ['Ludhiana', '', 'IN', 'Punjab', 30.90, 75.85, 1545368, 'Asia/Kolkata'],
+  ['Agra', '', 'IN', 'Uttar Pradesh', 27.18, 78.01, 1430055, 'Asia/Kolkata'],
+  ['Vadodara', 'Baroda', 'IN', 'Gujarat', 22.30, 73.20, 1409476, 'Asia/Kolkata'],
+  ['Nashik', 'Nasik', 'IN', 'Maharashtra', 19.99, 73.79, 1289497, 'Asia/Kolkata'],
+  ['Thane', '', 'IN', 'Maharashtra', 19.20, 72.96, 1261517, 'Asia/Kolkata'],
+  ['Meerut', '', 'IN', 'Uttar Pradesh', 28.98, 77.71, 1223184, 'Asia/Kolkata'],
+  ['Faridabad', '', 'IN', 'Haryana', 28.41, 77.31, 1220229, 'Asia/Kolkata'],
+  ['Ghaziabad', '', 'IN', 'Uttar Pradesh', 28.67, 77.44, 1199191, 'Asia/Kolkata'],
+  ['Rajkot', '', 'IN', 'Gujarat', 22.29, 70.79, 1177362, 'Asia/Kolkata'],
+  ['Varanasi', 'Benares|Banaras|Kashi', 'IN', 'Uttar Pradesh', 25.32, 83.01, 1164404, 'Asia/Kolkata'],
+  ['Dhanbad', '', 'IN', 'Jharkhand', 23.80, 86.43, 1161561, 'Asia/Kolkata'],
+  ['Amritsar', '', 'IN', 'Punjab', 31.63, 74.87, 1092450, 'Asia/Kolkata'],
+  ['Prayagraj', 'Allahabad', 'IN', 'Uttar Pradesh', 25.44, 81.85, 1073438, 'Asia/Kolkata'],
+  ['Ranchi', '', 'IN', 'Jharkhand', 23.34, 85.31, 1073440, 'Asia/Kolkata'],
+  ['Howrah', '', 'IN', 'West Bengal', 22.59, 88.31, 1072161, 'Asia/Kolkata'],
+  ['Visakhapatnam', 'Vizag|Vishakhapatnam', 'IN', 'Andhra Pradesh', 17.69, 83.22, 1063178, 'Asia/Kolkata'],
+  ['Gwalior', '', 'IN', 'Madhya Pradesh', 26.22, 78.18, 1054420, 'Asia/Kolkata'],
+  ['Vijayawada', 'Bezawada', 'IN', 'Andhra Pradesh', 16.51, 80.65, 1034358, 'Asia/Kolkata'],
+  ['Jodhpur', '', 'IN', 'Rajasthan', 26.29, 73.02, 1033918, 'Asia/Kolkata'],
+  ['Madurai', '', 'IN', 'Tamil Nadu', 9.92, 78.12, 1017865, 'Asia/Kolkata'],
+  ['Chhatrapati Sambhajinagar', 'Aurangabad', 'IN', 'Maharashtra', 19.88, 75.34, 1016441, 'Asia/Kolkata'],
+  ['Raipur', '', 'IN', 'Chhattisgarh', 21.25, 81.63, 1010087, 'Asia/Kolkata'],
+  ['Kota', '', 'IN', 'Rajasthan', 25.18, 75.83, 1001694, 'Asia/Kolkata'],
+  ['Srinagar', '', 'IN', 'Jammu and Kashmir', 34.09, 74.80, 975857, 'Asia/Kolkata'],
+  ['Coimbatore', 'Kovai', 'IN', 'Tamil Nadu', 11.02, 76.96, 959823, 'Asia/Kolkata'],
+  ['Chandigarh', '', 'IN', 'Chandigarh', 30.73, 76.78, 960787, 'Asia/Kolkata'],
+  ['Thiruvananthapuram', 'Trivandrum', 'IN', 'Kerala', 8.52, 76.94, 957730, 'Asia/Kolkata'],
+  ['Guwahati', 'Gauhati', 'IN', 'Assam', 26.18, 91.75, 957352, 'Asia/Kolkata'],
+  ['Jabalpur', 'Jubbulpore', 'IN', 'Madhya Pradesh', 23.17, 79.95, 951469, 'Asia/Kolkata'],
+  ['Solapur', 'Sholapur', 'IN', 'Maharashtra', 17.67, 75.91, 951118, 'Asia/Kolkata'],
+  ['Hubballi', 'Hubli|Hubli-Dharwad', 'IN', 'Karnataka', 15.35, 75.14, 943857, 'Asia/Kolkata'],
+  ['Mysuru', 'Mysore', 'IN', 'Karnataka', 12.30, 76.64, 920550, 'Asia/Kolkata'],
+  ['Bareilly', '', 'IN', 'Uttar Pradesh', 28.36, 79.42, 903668, 'Asia/Kolkata'],
+  ['Moradabad', '', 'IN', 'Uttar Pradesh', 28.84, 78.78, 887871, 'Asia/Kolkata'],
+  ['Gurugram', 'Gurgaon', 'IN', 'Haryana', 28.46, 77.03, 876824, 'Asia/Kolkata'],
+  ['Aligarh', '', 'IN', 'Uttar Pradesh', 27.88, 78.08, 874408, 'Asia/Kolkata'],
+  ['Jalandhar', 'Jullundur', 'IN', 'Punjab', 31.33, 75.58, 862196, 'Asia/Kolkata'],
+  ['Tiruchirappalli', 'Trichy|Tiruchi|Trichinopoly', 'IN', 'Tamil Nadu', 10.80, 78.69, 847387, 'Asia/Kolkata'],
+  ['Bhubaneswar', 'Bhubaneshwar', 'IN', 'Odisha', 20.27, 85.84, 837737, 'Asia/Kolkata'],
+  ['Salem', '', 'IN', 'Tamil Nadu', 11.65, 78.16, 829267, 'Asia/Kolkata'],
+  ['Warangal', '', 'IN', 'Telangana', 17.97, 79.59, 811844, 'Asia/Kolkata'],
+  ['Guntur', '', 'IN', 'Andhra Pradesh', 16.30, 80.44, 743354, 'Asia/Kolkata'],
+  ['Bhiwandi', '', 'IN', 'Maharashtra', 19.30, 73.06, 711329, 'Asia/Kolkata'],
+  ['Saharanpur', '', 'IN', 'Uttar Pradesh', 29.96, 77.55, 705478, 'Asia/Kolkata'],
+  ['Gorakhpur', '', 'IN', 'Uttar Pradesh', 26.76, 83.37, 673446, 'Asia/Kolkata'],
+  ['Amravati', '', 'IN', 'Maharashtra', 20.93, 77.75, 647057, 'Asia/Kolkata'],
+  ['Bikaner', '', 'IN', 'Rajasthan', 28.02, 73.31, 644406, 'Asia/Kolkata'],
+  ['Noida', '', 'IN', 'Uttar Pradesh', 28.54, 77.39, 642381, 'Asia/Kolkata'],
+  ['Jamshedpur', 'Tatanagar', 'IN', 'Jharkhand', 22.80, 86.18, 629659, 'Asia/Kolkata'],
+  ['Bhilai', '', 'IN', 'Chhattisgarh', 21.21, 81.43, 625697, 'Asia/Kolkata'],
+  ['Cuttack', '', 'IN', 'Odisha', 20.46, 85.88, 606007, 'Asia/Kolkata'],
+  ['Firozabad', '', 'IN', 'Uttar Pradesh', 27.15, 78.40, 603797, 'Asia/Kolkata'],
+  ['Kochi', 'Cochin|Ernakulam', 'IN', 'Kerala', 9.93, 76.26, 602046, 'Asia/Kolkata'],
+  ['Bhavnagar', '', 'IN', 'Gujarat', 21.76, 72.15, 593368, 'Asia/Kolkata'],
+  ['Dehradun', 'Dehra Dun', 'IN', 'Uttarakhand', 30.32, 78.03, 578420, 'Asia/Kolkata'],
+  ['Durgapur', '', 'IN', 'West Bengal', 23.52, 87.31, 566937, 'Asia/Kolkata'],
+  ['Asansol', '', 'IN', 'West Bengal', 23.68, 86.98, 563917, 'Asia/Kolkata'],
+  ['Nanded', '', 'IN', 'Maharashtra', 19.16, 77.31, 550564, 'Asia/Kolkata'],
+  ['Kolhapur', '', 'IN', 'Maharashtra', 16.70, 74.24, 549236, 'Asia/Kolkata'],
+  ['Ajmer', '', 'IN', 'Rajasthan', 26.45, 74.64, 542321, 'Asia/Kolkata'],
+  ['Kalaburagi', 'Gulbarga', 'IN', 'Karnataka', 17.33, 76.83, 532031, 'Asia/Kolkata'],
+  ['Jamnagar', '', 'IN', 'Gujarat', 22.47, 70.06, 529308, 'Asia/Kolkata'],
+  ['Ujjain', 'Avantika', 'IN', 'Madhya Pradesh', 23.18, 75.78, 515215, 'Asia/Kolkata'],
+  ['Siliguri', '', 'IN', 'West Bengal', 26.71, 88.43, 513264, 'Asia/Kolkata'],
+  ['Nellore', '', 'IN', 'Andhra Pradesh', 14.44, 79.99, 505258, 'Asia/Kolkata'],
+  ['Jhansi', '', 'IN', 'Uttar Pradesh', 25.45, 78.57, 505693, 'Asia/Kolkata'],
+  ['Sangli', '', 'IN', 'Maharashtra', 16.85, 74.58, 502697, 'Asia/Kolkata'],
+  ['Jammu', '', 'IN', 'Jammu and Kashmir', 32.73, 74.86, 502197, 'Asia/Kolkata'],
+  ['Erode', '', 'IN', 'Tamil Nadu', 11.34, 77.72, 498129, 'Asia/Kolkata'],
+  ['Mangaluru', 'Mangalore', 'IN', 'Karnataka', 12.91, 74.86, 488968, 'Asia/Kolkata'],
+  ['Belagavi', 'Belgaum', 'IN', 'Karnataka', 15.85, 74.50, 488157, 'Asia/Kolkata'],
+  ['Kurnool', '', 'IN', 'Andhra Pradesh', 15.83, 78.04, 484327, 'Asia/Kolkata'],
+  ['Tirunelveli', 'Nellai', 'IN', 'Tamil Nadu', 8.73, 77.70, 473637, 'Asia/Kolkata'],
+  ['Gaya', '', 'IN', 'Bihar', 24.79, 85.00, 470839, 'Asia/Kolkata'],
+  ['Udaipur', '', 'IN', 'Rajasthan', 24.58, 73.71, 451100, 'Asia/Kolkata'],
+  ['Tiruppur', 'Tirupur', 'IN', 'Tamil Nadu', 11.11, 77.34, 444352, 'Asia/Kolkata'],
+  ['Mathura', '', 'IN', 'Uttar Pradesh', 27.49, 77.67, 441894, 'Asia/Kolkata'],
+  ['Davanagere', 'Davangere', 'IN', 'Karnataka', 14.46, 75.92, 435125, 'Asia/Kolkata'],
+  ['Kozhikode', 'Calicut', 'IN', 'Kerala', 11.25, 75.78, 431560, 'Asia/Kolkata'],
+  ['Akola', '', 'IN', 'Maharashtra', 20.71, 77.00, 427146, 'Asia/Kolkata'],
+  ['Vellore', '', 'IN', 'Tamil Nadu', 12.92, 79.13, 423425, 'Asia/Kolkata'],
+  ['Ballari', 'Bellary', 'IN', 'Karnataka', 15.14, 76.92, 410445, 'Asia/Kolkata'],
+  ['Patiala', '', 'IN', 'Punjab', 30.34, 76.39, 406192, 'Asia/Kolkata'],
+  ['Agartala', '', 'IN', 'Tripura', 23.84, 91.28, 400004, 'Asia/Kolkata'],
+  ['Bhagalpur', '', 'IN', 'Bihar', 25.25, 86.98, 400146, 'Asia/Kolkata'],
+  ['Muzaffarpur', '', 'IN', 'Bihar', 26.12, 85.39, 393724, 'Asia/Kolkata'],
+  ['Latur', '', 'IN', 'Maharashtra', 18.40, 76.56, 382940, 'Asia/Kolkata'],
+  ['Rohtak', '', 'IN', 'Haryana', 28.90, 76.58, 374292, 'Asia/Kolkata'],
+  ['Berhampur', 'Brahmapur', 'IN', 'Odisha', 19.31, 84.79, 355823, 'Asia/Kolkata'],
+  ['Ahilyanagar', 'Ahmednagar', 'IN', 'Maharashtra', 19.09, 74.74, 350859, 'Asia/Kolkata'],
+  ['Kollam', 'Quilon', 'IN', 'Kerala', 8.88, 76.60, 349033, 'Asia/Kolkata'],
+  ['Kadapa', 'Cuddapah', 'IN', 'Andhra Pradesh', 14.47, 78.82, 344078, 'Asia/Kolkata'],
+  ['Alwar', '', 'IN', 'Rajasthan', 27.56, 76.60, 341422, 'Asia/Kolkata'],
+  ['Rajamahendravaram', 'Rajahmundry', 'IN', 'Andhra Pradesh', 17.00, 81.80, 341831, 'Asia/Kolkata'],
+  ['Bilaspur', '', 'IN', 'Chhattisgarh', 22.09, 82.15, 330106, 'Asia/Kolkata'],
+  ['Shivamogga', 'Shimoga', 'IN', 'Karnataka', 13.93, 75.57, 322650, 'Asia/Kolkata'],
+  ['Rourkela', '', 'IN', 'Odisha', 22.22, 84.86, 320040, 'Asia/Kolkata'],
+  ['Junagadh', '', 'IN', 'Gujarat', 21.52, 70.46, 319462, 'Asia/Kolkata'],
+  ['Thrissur', 'Trichur', 'IN', 'Kerala', 10.52, 76.21, 315957, 'Asia/Kolkata'],
+  ['Kakinada', '', 'IN', 'Andhra Pradesh', 16.99, 82.25, 312255, 'Asia/Kolkata'],
+  ['Nizamabad', '', 'IN', 'Telangana', 18.67, 78.10, 311152, 'Asia/Kolkata'],
+  ['Darbhanga', '', 'IN', 'Bihar', 26.15, 85.90, 296039, 'Asia/Kolkata'],
+  ['Panipat', '', 'IN', 'Haryana', 29.39, 76.97, 294292, 'Asia/Kolkata'],
+  ['Aizawl', '', 'IN', 'Mizoram', 23.73, 92.72, 293416, 'Asia/Kolkata'],
+  ['Gandhinagar', '', 'IN', 'Gujarat', 23.22, 72.65, 292167, 'Asia/Kolkata'],
+  ['Tirupati', 'Tirumala', 'IN', 'Andhra Pradesh', 13.63, 79.42, 287035, 'Asia/Kolkata'],
+  ['Bathinda', 'Bhatinda', 'IN', 'Punjab', 30.21, 74.95, 285813, 'Asia/Kolkata'],
+  ['Satna', '', 'IN', 'Madhya Pradesh', 24.58, 80.83, 283004, 'Asia/Kolkata'],
+  ['Sagar', 'Saugor', 'IN', 'Madhya Pradesh', 23.84, 78.74, 274556, 'Asia/Kolkata'],
+  ['Imphal', '', 'IN', 'Manipur', 24.81, 93.94, 268243, 'Asia/Kolkata'],
+  ['Anantapur', 'Anantapuramu', 'IN', 'Andhra Pradesh', 14.68, 77.60, 262340, 'Asia/Kolkata'],
+  ['Karimnagar', '', 'IN', 'Telangana', 18.44, 79.13, 261185, 'Asia/Kolkata'],
+  ['Puducherry', 'Pondicherry|Pondy', 'IN', 'Puducherry', 11.93, 79.83, 244377, 'Asia/Kolkata'],
+  ['Mirzapur', '', 'IN', 'Uttar Pradesh', 25.15, 82.57, 233691, 'Asia/Kolkata'],
+  ['Kannur', 'Cannanore', 'IN', 'Kerala', 11.87, 75.37, 232486, 'Asia/Kolkata'],
+  ['Bhuj', '', 'IN', 'Gujarat', 23.25, 69.67, 213514, 'Asia/Kolkata'],
+  ['Haridwar', 'Hardwar', 'IN', 'Uttarakhand', 29.95, 78.16, 228832, 'Asia/Kolkata'],
+  ['Nagercoil', '', 'IN', 'Tamil Nadu', 8.18, 77.41, 224849, 'Asia/Kolkata'],
+  ['Thanjavur', 'Tanjore', 'IN', 'Tamil Nadu', 10.79, 79.14, 222943, 'Asia/Kolkata'],
+  ['Puri', 'Jagannath Puri', 'IN', 'Odisha', 19.81, 85.83, 200564, 'Asia/Kolkata'],
+  ['Silchar', '', 'IN', 'Assam', 24.83, 92.78, 172830, 'Asia/Kolkata'],
+  ['Shimla', 'Simla', 'IN', 'Himachal Pradesh', 31.10, 77.17, 169578, 'Asia/Kolkata'],
+  ['Kanchipuram', 'Kanchi|Conjeevaram', 'IN', 'Tamil Nadu', 12.83, 79.70, 164265, 'Asia/Kolkata'],
+  ['Kurukshetra', 'Thanesar', 'IN', 'Haryana', 29.97, 76.88, 154962, 'Asia/Kolkata'],
+  ['Dibrugarh', '', 'IN', 'Assam', 27.48, 94.91, 154296, 'Asia/Kolkata'],
+  ['Udupi', '', 'IN', 'Karnataka', 13.34, 74.75, 144960, 'Asia/Kolkata'],
+  ['Shillong', '', 'IN', 'Meghalaya', 25.57, 91.88, 143229, 'Asia/Kolkata'],
+  ['Jorhat', '', 'IN', 'Assam', 26.75, 94.22, 126736, 'Asia/Kolkata'],
+  ['Panaji', 'Panjim', 'IN', 'Goa', 15.50, 73.83, 114405, 'Asia/Kolkata'],
+  ['Sri Vijaya Puram', 'Port Blair', 'IN', 'Andaman and Nicobar Islands', 11.67, 92.74, 112050, 'Asia/Kolkata'],
+  ['Rishikesh', '', 'IN', 'Uttarakhand', 30.09, 78.27, 102138, 'Asia/Kolkata'],
+  ['Gangtok', '', 'IN', 'Sikkim', 27.33, 88.61, 100286, 'Asia/Kolkata'],
+  ['Kohima', '', 'IN', 'Nagaland', 25.67, 94.11, 99039, 'Asia/Kolkata'],
+  ['Margao', 'Madgaon', 'IN', 'Goa', 15.27, 73.96, 78393, 'Asia/Kolkata'],
+  ['Vrindavan', 'Brindavan', 'IN', 'Uttar Pradesh', 27.58, 77.70, 63005, 'Asia/Kolkata'],
+  ['Itanagar', '', 'IN', 'Arunachal Pradesh', 27.08, 93.61, 59490, 'Asia/Kolkata'],
+  ['Ayodhya', '', 'IN', 'Uttar Pradesh', 26.80, 82.20, 55890, 'Asia/Kolkata'],
+  ['Rameswaram', 'Rameshwaram', 'IN', 'Tamil Nadu', 9.29, 79.31, 44856, 'Asia/Kolkata'],
+  ['Nainital', '', 'IN', 'Uttarakhand', 29.39, 79.45, 41377, 'Asia/Kolkata'],
+  ['Dwarka', 'Dwaraka', 'IN', 'Gujarat', 22.24, 68.97, 38873, 'Asia/Kolkata'],
+  ['Dharamshala', 'Dharamsala', 'IN', 'Himachal Pradesh', 32.22, 76.32, 30764, 'Asia/Kolkata'],
+  ['Leh', '', 'IN', 'Ladakh', 34.16, 77.58, 30870, 'Asia/Kolkata'],
+  ['Pushkar', '', 'IN', 'Rajasthan', 26.49, 74.55, 21626, 'Asia/Kolkata'],
+
+  // Rest of South Asia
+  ['Karachi', '', 'PK', 'Sindh', 24.86, 67.01, 14910352, 'Asia/Karachi'],
+  ['Lahore', '', 'PK', 'Punjab', 31.55, 74.34, 11126285, 'Asia/Karachi'],
+  ['Faisalabad', 'Lyallpur', 'PK', 'Punjab', 31.42, 73.08, 3203846, 'Asia/Karachi'],
+  ['Rawalpindi', '', 'PK', 'Punjab', 33.60, 73.04, 2098231, 'Asia/Karachi'],
+  ['Peshawar', '', 'PK', 'Khyber Pakhtunkhwa', 34.01, 71.58, 1970042, 'Asia/Karachi'],
+  ['Multan', '', 'PK', 'Punjab', 30.20, 71.47, 1871843, 'Asia/Karachi'],
+  ['Hyderabad', '', 'PK', 'Sindh', 25.39, 68.37, 1732693, 'Asia/Karachi'],
+  ['Islamabad', '', 'PK', 'Islamabad Capital Territory', 33.72, 73.04, 1014825, 'Asia/Karachi'],
+  ['Quetta', '', 'PK', 'Balochistan', 30.19, 67.01, 1001205, 'Asia/Karachi'],
+  ['Dhaka', 'Dacca', 'BD', 'Dhaka', 23.81, 90.41, 10356500, 'Asia/Dhaka'],
+  ['Chattogram', 'Chittagong', 'BD', 'Chattogram', 22.34, 91.83, 3920222, 'Asia/Dhaka'],
+  ['Khulna', '', 'BD', 'Khulna', 22.82, 89.55, 1342339, 'Asia/Dhaka'],
+  ['Rajshahi', '', 'BD', 'Rajshahi', 24.37, 88.60, 700133, 'Asia/Dhaka'],
+  ['Sylhet', '', 'BD', 'Sylhet', 24.90, 91.87, 526412, 'Asia/Dhaka'],
+  ['Kathmandu', '', 'NP', 'Bagmati', 27.71, 85.32, 1442271, 'Asia/Kathmandu'],
+  ['Pokhara', '', 'NP', 'Gandaki', 28.21, 83.99, 414141, 'Asia/Kathmandu'],
+  ['Lalitpur', 'Patan', 'NP', 'Bagmati', 27.67, 85.32, 284922, 'Asia/Kathmandu'],
+  ['Biratnagar', '', 'NP', 'Koshi', 26.46, 87.28, 244750, 'Asia/Kathmandu'],
+  ['Colombo', '', 'LK', 'Western', 6.93, 79.85, 752993, 'Asia/Colombo'],
+  ['Kandy', '', 'LK', 'Central', 7.29, 80.63, 125400, 'Asia/Colombo'],
+  ['Galle', '', 'LK', 'Southern', 6.05, 80.22, 93118, 'Asia/Colombo'],
+  ['Jaffna', '', 'LK', 'Northern', 9.66, 80.01, 88138, 'Asia/Colombo'],
+  ['Thimphu', '', 'BT', 'Thimphu', 27.47, 89.64, 114551, 'Asia/Thimphu'],
+  ['Malé', 'Male', 'MV', 'Malé', 4.18, 73.51, 133412, 'Indian/Maldives'],
+  ['Kabul', '', 'AF', 'Kabul', 34.53, 69.17, 4434550, 'Asia/Kabul'],
+
+  // East and Southeast Asia
+  ['Shanghai', '', 'CN', 'Shanghai', 31.23, 121.47, 22315474, 'Asia/Shanghai'],
+  ['Beijing', 'Peking|Peiping', 'CN', 'Beijing', 39.90, 116.41, 18960744, 'Asia/Shanghai'],
+  ['Shenzhen', '', 'CN', 'Guangdong', 22.54, 114.06, 17494398, 'Asia/Shanghai'],
+  ['Guangzhou', 'Canton', 'CN', 'Guangdong', 23.13, 113.26, 16096724, 'Asia/Shanghai'],
+  ['Chengdu', '', 'CN', 'Sichuan', 30.66, 104.07, 13568357, 'Asia/Shanghai'],
+  ["Xi'an", 'Xian|Sian|Chang\'an', 'CN', 'Shaanxi', 34.26, 108.94, 12952907, 'Asia/Shanghai'],
+  ['Suzhou', 'Soochow', 'CN', 'Jiangsu', 31.30, 120.60, 12748262, 'Asia/Shanghai'],
+  ['Hangzhou', 'Hangchow', 'CN', 'Zhejiang', 30.29, 120.16, 11936010, 'Asia/Shanghai'],
+  ['Shijiazhuang', '', 'CN', 'Hebei', 38.04, 114.51, 11235086, 'Asia/Shanghai'],
+  ['Tianjin', 'Tientsin', 'CN', 'Tianjin', 39.14, 117.18, 11090314, 'Asia/Shanghai'],
+  ['Dongguan', '', 'CN', 'Guangdong', 23.02, 113.75, 10466625, 'Asia/Shanghai'],
+  ['Wuhan', 'Hankow', 'CN', 'Hubei', 30.58, 114.27, 10392693, 'Asia/Shanghai'],
+  ['Zhengzhou', '', 'CN', 'Henan', 34.76, 113.65, 10260667, 'Asia/Shanghai'],
+  ['Changsha', '', 'CN', 'Hunan', 28.20, 112.97, 10047914, 'Asia/Shanghai'],
+  ['Foshan', '', 'CN', 'Guangdong', 23.02, 113.12, 9498863, 'Asia/Shanghai'],
+  ['Ningbo', '', 'CN', 'Zhejiang', 29.87, 121.55, 9404283, 'Asia/Shanghai'],
+  ['Hefei', '', 'CN', 'Anhui', 31.86, 117.28, 9369881, 'Asia/Shanghai'],
+  ['Nanjing', 'Nanking', 'CN', 'Jiangsu', 32.06, 118.78, 9314685, 'Asia/Shanghai'],
+  ['Shenyang', 'Mukden', 'CN', 'Liaoning', 41.79, 123.43, 9070093, 'Asia/Shanghai'],
+  ['Changchun', '', 'CN', 'Jilin', 43.88, 125.32, 9066906, 'Asia/Shanghai'],
+  ['Nanning', '', 'CN', 'Guangxi', 22.82, 108.32, 8741584, 'Asia/Shanghai'],
+  ['Kunming', '', 'CN', 'Yunnan', 25.04, 102.71, 8460088, 'Asia/Shanghai'],
+  ['Fuzhou', 'Foochow', 'CN', 'Fujian', 26.06, 119.31, 8291268, 'Asia/Shanghai'],
+  ['Chongqing', 'Chungking', 'CN', 'Chongqing', 29.56, 106.55, 7457600, 'Asia/Shanghai'],
+  ['Wuxi', '', 'CN', 'Jiangsu', 31.57, 120.30, 7462135, 'Asia/Shanghai'],
+  ['Luoyang', '', 'CN', 'Henan', 34.62, 112.45, 7056699, 'Asia/Shanghai'],
+  ['Nanchang', '', 'CN', 'Jiangxi', 28.68, 115.85, 6255007, 'Asia/Shanghai'],
+  ['Guiyang', '', 'CN', 'Guizhou', 26.58, 106.72, 5987018, 'Asia/Shanghai'],
+  ['Harbin', '', 'CN', 'Heilongjiang', 45.75, 126.65, 5878939, 'Asia/Shanghai'],
+  ['Qingdao', 'Tsingtao', 'CN', 'Shandong', 36.07, 120.37, 5381000, 'Asia/Shanghai'],
+  ['Taiyuan', '', 'CN', 'Shanxi', 37.87, 112.56, 5304061, 'Asia/Shanghai'],
+  ['Xiamen', 'Amoy', 'CN', 'Fujian', 24.48, 118.09, 5163970, 'Asia/Shanghai'],
+  ['Guilin', 'Kweilin', 'CN', 'Guangxi', 25.28, 110.29, 4931137, 'Asia/Shanghai'],
+  ['Lanzhou', '', 'CN', 'Gansu', 36.06, 103.83, 4359446, 'Asia/Shanghai'],
+  ['Jinan', 'Tsinan', 'CN', 'Shandong', 36.67, 116.99, 4335989, 'Asia/Shanghai'],
+  ['Dalian', 'Dairen', 'CN', 'Liaoning', 38.91, 121.60, 4087733, 'Asia/Shanghai'],
+  ['Ürümqi', 'Urumqi|Urumchi', 'CN', 'Xinjiang', 43.80, 87.60, 4054369, 'Asia/Urumqi'],
+  ['Hohhot', 'Huhehaote', 'CN', 'Inner Mongolia', 40.84, 111.75, 3446100, 'Asia/Shanghai'],
+  ['Haikou', '', 'CN', 'Hainan', 20.04, 110.34, 2873358, 'Asia/Shanghai'],
+  ['Yinchuan', '', 'CN', 'Ningxia', 38.47, 106.27, 2859074, 'Asia/Shanghai'],
+  ['Xining', '', 'CN', 'Qinghai', 36.62, 101.78, 2467965, 'Asia/Shanghai'],
+  ['Sanya', '', 'CN', 'Hainan', 18.25, 109.51, 1031396, 'Asia/Shanghai'],
+  ['Lhasa', '', 'CN', 'Tibet', 29.65, 91.17, 867891, 'Asia/Shanghai'],
+  ['Kashgar', 'Kashi', 'CN', 'Xinjiang', 39.47, 75.99, 711274, 'Asia/Urumqi'],
+  ['Qufu', '', 'CN', 'Shandong', 35.60, 116.99, 640498, 'Asia/Shanghai'],
+  ['Hong Kong', 'Xianggang|Victoria', 'HK', 'Hong Kong', 22.28, 114.16, 7482500, 'Asia/Hong_Kong'],
+  ['Macau', 'Macao', 'MO', 'Macau', 22.20, 113.55, 682300, 'Asia/Macau'],
+  ['Taipei', 'Taibei', 'TW', 'Taipei', 25.05, 121.53, 2646204, 'Asia/Taipei'],
+  ['Taichung', '', 'TW', 'Taichung', 24.15, 120.68, 2815100, 'Asia/Taipei'],
+  ['Kaohsiung', '', 'TW', 'Kaohsiung', 22.62, 120.31, 2773533, 'Asia/Taipei'],
+  ['Tainan', '', 'TW', 'Tainan', 22.99, 120.21, 1874917, 'Asia/Taipei'],
+  ['Tokyo', 'Edo', 'JP', 'Tokyo', 35.69, 139.69, 13960000, 'Asia/Tokyo'],
+  ['Yokohama', '', 'JP', 'Kanagawa', 35.44, 139.64, 3777491, 'Asia/Tokyo'],
+  ['Osaka', '', 'JP', 'Osaka', 34.69, 135.50, 2753862, 'Asia/Tokyo'],
+  ['Nagoya', '', 'JP', 'Aichi', 35.18, 136.91, 2327557, 'Asia/Tokyo'],
+  ['Sapporo', '', 'JP', 'Hokkaido', 43.06, 141.35, 1973395, 'Asia/Tokyo'],
+  ['Fukuoka', '', 'JP', 'Fukuoka', 33.59, 130.40, 1612392, 'Asia/Tokyo'],
+  ['Kobe', '', 'JP', 'Hyogo', 34.69, 135.20, 1522944, 'Asia/Tokyo'],
+  ['Kyoto', '', 'JP', 'Kyoto', 35.01, 135.77, 1463723, 'Asia/Tokyo'],
+  ['Hiroshima', '', 'JP', 'Hiroshima', 34.39, 132.46, 1199391, 'Asia/Tokyo'],
+  ['Sendai', '', 'JP', 'Miyagi', 38.27, 140.87, 1096704, 'Asia/Tokyo'],
+  ['Naha', '', 'JP', 'Okinawa', 26.21, 127.68, 317625, 'Asia/Tokyo'],
+  ['Seoul', '', 'KR', 'Seoul', 37.57, 126.98, 9776000, 'Asia/Seoul'],
+  ['Busan', 'Pusan', 'KR', 'Busan', 35.18, 129.08, 3448737, 'Asia/Seoul'],
+  ['Incheon', 'Inchon', 'KR', 'Incheon', 37.46, 126.71, 2954955, 'Asia/Seoul'],
+  ['Daegu', 'Taegu', 'KR', 'Daegu', 35.87, 128.60, 2437164, 'Asia/Seoul'],
+  ['Daejeon', 'Taejon', 'KR', 'Daejeon', 36.35, 127.38, 1475221, 'Asia/Seoul'],
+  ['Gwangju', 'Kwangju', 'KR', 'Gwangju', 35.16, 126.85, 1469293, 'Asia/Seoul'],
+  ['Pyongyang', '', 'KP', 'Pyongyang', 39.03, 125.75, 3255288, 'Asia/Pyongyang'],
+  ['Ulaanbaatar', 'Ulan Bator|Urga', 'MN', 'Ulaanbaatar', 47.92, 106.92, 1396288, 'Asia/Ulaanbaatar'],
+  ['Singapore', '', 'SG', 'Singapore', 1.29, 103.85, 5685807, 'Asia/Singapore'],
+  ['Kuala Lumpur', 'KL', 'MY', 'Kuala Lumpur', 3.14, 101.69, 1982112, 'Asia/Kuala_Lumpur'],
+  ['Johor Bahru', 'Johor Baharu', 'MY', 'Johor', 1.49, 103.74, 858118, 'Asia/Kuala_Lumpur'],
+  ['George Town', 'Penang', 'MY', 'Penang', 5.41, 100.34, 708127, 'Asia/Kuala_Lumpur'],
+  ['Kuching', '', 'MY', 'Sarawak', 1.55, 110.34, 570407, 'Asia/Kuching'],
+  ['Kota Kinabalu', 'Jesselton', 'MY', 'Sabah', 5.98, 116.07, 452058, 'Asia/Kuching'],
+  ['Bangkok', 'Krung Thep', 'TH', 'Bangkok', 13.75, 100.50, 10539000, 'Asia/Bangkok'],
+  ['Chiang Mai', '', 'TH', 'Chiang Mai', 18.79, 98.98, 131091, 'Asia/Bangkok'],
+  ['Phuket', '', 'TH', 'Phuket', 7.89, 98.40, 89072, 'Asia/Bangkok'],
+  ['Ho Chi Minh City', 'Saigon', 'VN', 'Ho Chi Minh City', 10.82, 106.63, 8993082, 'Asia/Ho_Chi_Minh'],
+  ['Hanoi', 'Ha Noi', 'VN', 'Hanoi', 21.03, 105.85, 8053663, 'Asia/Bangkok'],
+  ['Da Nang', 'Danang|Tourane', 'VN', 'Da Nang', 16.07, 108.22, 1134310, 'Asia/Ho_Chi_Minh'],
+  ['Phnom Penh', '', 'KH', 'Phnom Penh', 11.56, 104.92, 2129371, 'Asia/Phnom_Penh'],
+  ['Vientiane', '', 'LA', 'Vientiane Prefecture', 17.97, 102.60, 948477, 'Asia/Vientiane'],
+  ['Yangon', 'Rangoon', 'MM', 'Yangon', 16.87, 96.20, 5160512, 'Asia/Yangon'],
+  ['Mandalay', '', 'MM', 'Mandalay', 21.97, 96.08, 1225546, 'Asia/Yangon'],
+  ['Naypyidaw', 'Nay Pyi Taw', 'MM', 'Naypyidaw Union Territory', 19.75, 96.13, 924608, 'Asia/Yangon'],
+  ['Quezon City', '', 'PH', 'Metro Manila', 14.68, 121.04, 2960048, 'Asia/Manila'],
+  ['Manila', '', 'PH', 'Metro Manila', 14.60, 120.98, 1846513, 'Asia/Manila'],
+  ['Davao City', 'Davao', 'PH', 'Davao Region', 7.07, 125.61, 1776949, 'Asia/Manila'],
+  ['Cebu City', 'Cebu', 'PH', 'Central Visayas', 10.32, 123.89, 964169, 'Asia/Manila'],
+  ['Jakarta', 'Batavia|Djakarta', 'ID', 'Jakarta', -6.21, 106.85, 10562088, 'Asia/Jakarta'],
+  ['Surabaya', 'Soerabaja', 'ID', 'East Java', -7.25, 112.75, 2874314, 'Asia/Jakarta'],
+  ['Bandung', '', 'ID', 'West Java', -6.91, 107.61, 2444160, 'Asia/Jakarta'],
+  ['Medan', '', 'ID', 'North Sumatra', 3.59, 98.67, 2435252, 'Asia/Jakarta'],
+  ['Makassar', 'Ujung Pandang', 'ID', 'South Sulawesi', -5.15, 119.43, 1423877, 'Asia/Makassar'],
+  ['Denpasar', 'Bali', 'ID', 'Bali', -8.65, 115.22, 726800, 'Asia/Makassar'],
+  ['Jayapura', 'Hollandia', 'ID', 'Papua', -2.53, 140.72, 398478, 'Asia/Jayapura'],
+  ['Yogyakarta', 'Jogjakarta|Jogja', 'ID', 'Yogyakarta', -7.80, 110.36, 373589, 'Asia/Jakarta'],
+
+  // Middle East, Caucasus and Central Asia
+  ['Istanbul', 'Constantinople|Byzantium', 'TR', 'Istanbul', 41.01, 28.98, 15462452, 'Europe/Istanbul'],
+  ['Ankara', 'Angora', 'TR', 'Ankara', 39.93, 32.86, 5663322, 'Europe/Istanbul'],
+  ['İzmir', 'Izmir|Smyrna', 'TR', 'İzmir', 38.42, 27.14, 4367251, 'Europe/Istanbul'],
+  ['Tehran', 'Teheran', 'IR', 'Tehran', 35.69, 51.42, 8693706, 'Asia/Tehran'],
+  ['Mashhad', 'Meshed', 'IR', 'Razavi Khorasan', 36.30, 59.61, 3001184, 'Asia/Tehran'],
+  ['Isfahan', 'Esfahan', 'IR', 'Isfahan', 32.65, 51.67, 1961260, 'Asia/Tehran'],
+  ['Shiraz', '', 'IR', 'Fars', 29.61, 52.54, 1565572, 'Asia/Tehran'],
+  ['Baghdad', '', 'IQ', 'Baghdad', 33.34, 44.40, 7216000, 'Asia/Baghdad'],
+  ['Basra', 'Basrah', 'IQ', 'Basra', 30.51, 47.78, 1326564, 'Asia/Baghdad'],
+  ['Riyadh', '', 'SA', 'Riyadh', 24.69, 46.72, 7676654, 'Asia/Riyadh'],
+  ['Jeddah', 'Jiddah', 'SA', 'Makkah', 21.49, 39.19, 4697000, 'Asia/Riyadh'],
+  ['Mecca', 'Makkah', 'SA', 'Makkah', 21.42, 39.83, 2042000, 'Asia/Riyadh'],
+  ['Medina', 'Madinah', 'SA', 'Medina', 24.47, 39.61, 1488782, 'Asia/Riyadh'],
+  ['Dubai', '', 'AE', 'Dubai', 25.20, 55.27, 3331420, 'Asia/Dubai'],
+  ['Abu Dhabi', '', 'AE', 'Abu Dhabi', 24.45, 54.38, 1483000, 'Asia/Dubai'],
+  ['Sharjah', '', 'AE', 'Sharjah', 25.35, 55.39, 1274749, 'Asia/Dubai'],
+  ['Muscat', '', 'OM', 'Muscat', 23.59, 58.41, 1421409, 'Asia/Muscat'],
+  ['Doha', '', 'QA', 'Doha', 25.29, 51.53, 1186023, 'Asia/Qatar'],
+  ['Manama', '', 'BH', 'Capital', 26.23, 50.59, 157474, 'Asia/Bahrain'],
+  ['Kuwait City', 'Kuwait', 'KW', 'Al Asimah', 29.38, 47.99, 60064, 'Asia/Kuwait'],
+  ["Sana'a", 'Sanaa', 'YE', 'Amanat Al Asimah', 15.35, 44.21, 2957000, 'Asia/Aden'],
+  ['Amman', '', 'JO', 'Amman', 31.95, 35.93, 4007526, 'Asia/Amman'],
+  ['Beirut', 'Beyrouth', 'LB', 'Beirut', 33.89, 35.50, 2421354, 'Asia/Beirut'],
+  ['Damascus', 'Dimashq', 'SY', 'Damascus', 33.51, 36.29, 2079000, 'Asia/Damascus'],
+  ['Jerusalem', '', 'IL', 'Jerusalem', 31.77, 35.22, 936425, 'Asia/Jerusalem'],
+  ['Tel Aviv', 'Tel Aviv-Yafo', 'IL', 'Tel Aviv', 32.08, 34.78, 467875, 'Asia/Jerusalem'],
+  ['Tashkent', 'Toshkent', 'UZ', 'Tashkent', 41.30, 69.24, 2860600, 'Asia/Tashkent'],
+  ['Almaty', 'Alma-Ata', 'KZ', 'Almaty', 43.24, 76.89, 2000900, 'Asia/Almaty'],
+  ['Astana', 'Nur-Sultan|Akmola', 'KZ', 'Astana', 51.17, 71.45, 1350228, 'Asia/Almaty'],
+  ['Baku', '', 'AZ', 'Baku', 40.41, 49.87, 2300500, 'Asia/Baku'],
+  ['Tbilisi', 'Tiflis', 'GE', 'Tbilisi', 41.69, 44.80, 1118035, 'Asia/Tbilisi'],
+  ['Yerevan', 'Erevan', 'AM', 'Yerevan', 40.18, 44.51, 1093485, 'Asia/Yerevan'],
+
+  // Europe
+  ['Moscow', 'Moskva', 'RU', 'Moscow', 55.76, 37.62, 12506468, 'Europe/Moscow'],
+  ['London', '', 'GB', 'England', 51.51, -0.13, 8961989, 'Europe/London'],
+  ['Saint Petersburg', 'St Petersburg|Leningrad|Petrograd', 'RU', 'Saint Petersburg', 59.94, 30.31, 5351935, 'Europe/Moscow'],
+  ['Berlin', '', 'DE', 'Berlin', 52.52, 13.40, 3644826, 'Europe/Berlin'],
+  ['Madrid', '', 'ES', 'Madrid', 40.42, -3.70, 3266126, 'Europe/Madrid'],
+  ['Kyiv', 'Kiev', 'UA', 'Kyiv City', 50.45, 30.52, 2952301, 'Europe/Kyiv'],
+  ['Rome', 'Roma', 'IT', 'Lazio', 41.90, 12.50, 2872800, 'Europe/Rome'],
+  ['Paris', '', 'FR', 'Île-de-France', 48.86, 2.35, 2138551, 'Europe/Paris'],
+  ['Minsk', '', 'BY', 'Minsk', 53.90, 27.57, 2009786, 'Europe/Minsk'],
+  ['Vienna', 'Wien', 'AT', 'Vienna', 48.21, 16.37, 1911191, 'Europe/Vienna'],
+  ['Bucharest', 'București', 'RO', 'Bucharest', 44.43, 26.10, 1883425, 'Europe/Bucharest'],
+  ['Hamburg', '', 'DE', 'Hamburg', 53.55, 9.99, 1841179, 'Europe/Berlin'],
+  ['Warsaw', 'Warszawa', 'PL', 'Masovia', 52.23, 21.01, 1790658, 'Europe/Warsaw'],
+  ['Budapest', '', 'HU', 'Budapest', 47.50, 19.04, 1752286, 'Europe/Budapest'],
+  ['Novosibirsk', '', 'RU', 'Novosibirsk', 55.04, 82.93, 1625631, 'Asia/Novosibirsk'],
+  ['Barcelona', '', 'ES', 'Catalonia', 41.39, 2.17, 1620343, 'Europe/Madrid'],
+  ['Yekaterinburg', 'Ekaterinburg|Sverdlovsk', 'RU', 'Sverdlovsk', 56.84, 60.61, 1493749, 'Asia/Yekaterinburg'],
+  ['Munich', 'München|Muenchen', 'DE', 'Bavaria', 48.14, 11.58, 1471508, 'Europe/Berlin'],
+  ['Kharkiv', 'Kharkov', 'UA', 'Kharkiv', 49.99, 36.23, 1421125, 'Europe/Kyiv'],
+  ['Milan', 'Milano', 'IT', 'Lombardy', 45.46, 9.19, 1371498, 'Europe/Rome'],
+  ['Prague', 'Praha', 'CZ', 'Prague', 50.08, 14.44, 1335084, 'Europe/Prague'],
+  ['Kazan', '', 'RU', 'Tatarstan', 55.79, 49.12, 1257391, 'Europe/Moscow'],
+  ['Nizhny Novgorod', 'Gorky', 'RU', 'Nizhny Novgorod', 56.33, 44.00, 1244254, 'Europe/Moscow'],
+  ['Sofia', '', 'BG', 'Sofia City', 42.70, 23.32, 1236047, 'Europe/Sofia'],
+  ['Brussels', 'Bruxelles|Brussel', 'BE', 'Brussels-Capital', 50.85, 4.35, 1208542, 'Europe/Brussels'],
+  ['Dublin', 'Baile Átha Cliath', 'IE', 'Leinster', 53.35, -6.26, 1173179, 'Europe/Dublin'],
+  ['Belgrade', 'Beograd', 'RS', 'Belgrade', 44.79, 20.45, 1166763, 'Europe/Belgrade'],
+  ['Omsk', '', 'RU', 'Omsk', 54.99, 73.37, 1154116, 'Asia/Omsk'],
+  ['Birmingham', '', 'GB', 'England', 52.48, -1.90, 1144919, 'Europe/London'],
+  ['Samara', 'Kuybyshev', 'RU', 'Samara', 53.20, 50.15, 1144759, 'Europe/Samara'],
+  ['Krasnoyarsk', '', 'RU', 'Krasnoyarsk', 56.01, 92.89, 1093771, 'Asia/Krasnoyarsk'],
+  ['Cologne', 'Köln|Koeln', 'DE', 'North Rhine-Westphalia', 50.94, 6.96, 1085664, 'Europe/Berlin'],
+  ['Odesa', 'Odessa', 'UA', 'Odesa', 46.48, 30.72, 1015826, 'Europe/Kyiv'],
+  ['Naples', 'Napoli', 'IT', 'Campania', 40.85, 14.27, 959188, 'Europe/Rome'],
+  ['Stockholm', '', 'SE', 'Stockholm', 59.33, 18.07, 975551, 'Europe/Stockholm'],
+  ['Amsterdam', '', 'NL', 'North Holland', 52.37, 4.89, 872680, 'Europe/Amsterdam'],
+  ['Marseille', 'Marseilles', 'FR', "Provence-Alpes-Côte d'Azur", 43.30, 5.37, 870731, 'Europe/Paris'],
+  ['Turin', 'Torino', 'IT', 'Piedmont', 45.07, 7.69, 870456, 'Europe/Rome'],
+  ['Zagreb', '', 'HR', 'Zagreb', 45.81, 15.98, 806341, 'Europe/Zagreb'],
+  ['Leeds', '', 'GB', 'England', 53.80, -1.55, 793139, 'Europe/London'],
+  ['Valencia', 'València', 'ES', 'Valencian Community', 39.47, -0.38, 791413, 'Europe/Madrid'],
+  ['Kraków', 'Krakow|Cracow', 'PL', 'Lesser Poland', 50.06, 19.94, 779115, 'Europe/Warsaw'],
+  ['Frankfurt am Main', 'Frankfurt', 'DE', 'Hesse', 50.11, 8.68, 753056, 'Europe/Berlin'],
+  ['Seville', 'Sevilla', 'ES', 'Andalusia', 37.39, -5.98, 688711, 'Europe/Madrid'],
+  ['Oslo', 'Christiania', 'NO', 'Oslo', 59.91, 10.75, 697010, 'Europe/Oslo'],
+  ['Athens', 'Athina', 'GR', 'Attica', 37.98, 23.73, 664046, 'Europe/Athens'],
+  ['Helsinki', 'Helsingfors', 'FI', 'Uusimaa', 60.17, 24.94, 658864, 'Europe/Helsinki'],
+  ['Rotterdam', '', 'NL', 'South Holland', 51.92, 4.48, 651446, 'Europe/Amsterdam'],
+  ['Copenhagen', 'København', 'DK', 'Capital Region', 55.68, 12.57, 644431, 'Europe/Copenhagen'],
+  ['Palermo', '', 'IT', 'Sicily', 38.12, 13.36, 657561, 'Europe/Rome'],
+  ['Glasgow', '', 'GB', 'Scotland', 55.86, -4.25, 635640, 'Europe/London'],
+  ['Chișinău', 'Chisinau|Kishinev', 'MD', 'Chișinău', 47.01, 28.86, 635994, 'Europe/Chisinau'],
+  ['Stuttgart', '', 'DE', 'Baden-Württemberg', 48.78, 9.18, 634830, 'Europe/Berlin'],
+  ['Irkutsk', '', 'RU', 'Irkutsk', 52.30, 104.30, 623869, 'Asia/Irkutsk'],
+  ['Düsseldorf', 'Dusseldorf|Duesseldorf', 'DE', 'North Rhine-Westphalia', 51.23, 6.78, 619294, 'Europe/Berlin'],
+  ['Riga', '', 'LV', 'Riga', 56.95, 24.11, 614618, 'Europe/Riga'],
+  ['Vladivostok', '', 'RU', 'Primorsky', 43.12, 131.89, 604901, 'Asia/Vladivostok'],
+  ['Leipzig', '', 'DE', 'Saxony', 51.34, 12.37, 587857, 'Europe/Berlin'],
+  ['Gothenburg', 'Göteborg', 'SE', 'Västra Götaland', 57.71, 11.97, 579281, 'Europe/Stockholm'],
+  ['Vilnius', 'Wilno', 'LT', 'Vilnius', 54.69, 25.28, 580020, 'Europe/Vilnius'],
+  ['Dresden', '', 'DE', 'Saxony', 51.05, 13.74, 556780, 'Europe/Berlin'],
+  ['Manchester', '', 'GB', 'England', 53.48, -2.24, 552858, 'Europe/London'],
+  ['The Hague', "Den Haag|'s-Gravenhage", 'NL', 'South Holland', 52.08, 4.30, 545838, 'Europe/Amsterdam'],
+  ['Antwerp', 'Antwerpen|Anvers', 'BE', 'Flanders', 51.22, 4.40, 529247, 'Europe/Brussels'],
+  ['Lyon', 'Lyons', 'FR', 'Auvergne-Rhône-Alpes', 45.76, 4.84, 522969, 'Europe/Paris'],
+  ['Edinburgh', '', 'GB', 'Scotland', 55.95, -3.19, 506520, 'Europe/London'],
+  ['Lisbon', 'Lisboa', 'PT', 'Lisbon', 38.72, -9.14, 504718, 'Europe/Lisbon'],
+  ['Liverpool', '', 'GB', 'England', 53.41, -2.98, 496784, 'Europe/London'],
+  ['Toulouse', '', 'FR', 'Occitanie', 43.60, 1.44, 493465, 'Europe/Paris'],
+  ['Kaliningrad', 'Königsberg|Koenigsberg', 'RU', 'Kaliningrad', 54.71, 20.51, 489359, 'Europe/Kaliningrad'],
+  ['Bratislava', 'Pressburg', 'SK', 'Bratislava', 48.15, 17.11, 475503, 'Europe/Bratislava'],
+  ['Bristol', '', 'GB', 'England', 51.45, -2.59, 472400, 'Europe/London'],
+  ['Tallinn', 'Reval', 'EE', 'Harju', 59.44, 24.75, 437619, 'Europe/Tallinn'],
+  ['Zurich', 'Zürich', 'CH', 'Zurich', 47.38, 8.54, 415367, 'Europe/Zurich'],
+  ['Florence', 'Firenze', 'IT', 'Tuscany', 43.77, 11.26, 382258, 'Europe/Rome'],
+  ['Las Palmas de Gran Canaria', 'Las Palmas', 'ES', 'Canary Islands', 28.10, -15.41, 378517, 'Atlantic/Canary'],
+  ['Leicester', '', 'GB', 'England', 52.64, -1.13, 368600, 'Europe/London'],
+  ['Cardiff', 'Caerdydd', 'GB', 'Wales', 51.48, -3.18, 362756, 'Europe/London'],
+  ['Belfast', '', 'GB', 'Northern Ireland', 54.60, -5.93, 345418, 'Europe/London'],
+  ['Nice', 'Nizza', 'FR', "Provence-Alpes-Côte d'Azur", 43.70, 7.27, 342669, 'Europe/Paris'],
+  ['Thessaloniki', 'Salonica', 'GR', 'Central Macedonia', 40.64, 22.94, 325182, 'Europe/Athens'],
+  ['Nicosia', 'Lefkosia', 'CY', 'Nicosia', 35.19, 33.38, 330000, 'Asia/Nicosia'],
+  ['Ljubljana', 'Laibach', 'SI', 'Ljubljana', 46.06, 14.51, 295504, 'Europe/Ljubljana'],
+  ['Strasbourg', 'Strassburg', 'FR', 'Grand Est', 48.58, 7.75, 290576, 'Europe/Paris'],
+  ['Bergen', '', 'NO', 'Vestland', 60.39, 5.32, 285911, 'Europe/Oslo'],
+  ['Venice', 'Venezia', 'IT', 'Veneto', 45.44, 12.32, 261905, 'Europe/Rome'],
+  ['Bordeaux', '', 'FR', 'Nouvelle-Aquitaine', 44.84, -0.58, 260958, 'Europe/Paris'],
+  ['Porto', 'Oporto', 'PT', 'Porto', 41.15, -8.61, 249633, 'Europe/Lisbon'],
+  ['Cork', 'Corcaigh', 'IE', 'Munster', 51.90, -8.47, 210853, 'Europe/Dublin'],
+  ['Geneva', 'Genève|Genf', 'CH', 'Geneva', 46.20, 6.14, 203856, 'Europe/Zurich'],
+  ['Salzburg', '', 'AT', 'Salzburg', 47.81, 13.04, 155021, 'Europe/Vienna'],
+  ['Bern', 'Berne', 'CH', 'Bern', 46.95, 7.45, 134794, 'Europe/Zurich'],
+  ['Reykjavík', 'Reykjavik', 'IS', 'Capital Region', 64.15, -21.94, 131136, 'Atlantic/Reykjavik'],
+  ['Luxembourg', 'Luxemburg', 'LU', 'Luxembourg', 49.61, 6.13, 124528, 'Europe/Luxembourg'],
+  ['Valletta', '', 'MT', 'South Eastern', 35.90, 14.51, 6444, 'Europe/Malta'],
+
+  // Africa
+  ['Lagos', '', 'NG', 'Lagos', 6.45, 3.39, 9000000, 'Africa/Lagos'],
+  ['Cairo', 'Al Qahirah', 'EG', 'Cairo', 30.04, 31.24, 9606916, 'Africa/Cairo'],
+  ['Kinshasa', 'Léopoldville', 'CD', 'Kinshasa', -4.33, 15.31, 7785965, 'Africa/Kinshasa'],
+  ['Johannesburg', 'Jozi|Egoli', 'ZA', 'Gauteng', -26.20, 28.04, 5635127, 'Africa/Johannesburg'],
+  ['Dar es Salaam', '', 'TZ', 'Dar es Salaam', -6.79, 39.21, 4364541, 'Africa/Dar_es_Salaam'],
+  ['Nairobi', '', 'KE', 'Nairobi', -1.29, 36.82, 4397073, 'Africa/Nairobi'],
+  ['Alexandria', 'Al Iskandariyah', 'EG', 'Alexandria', 31.20, 29.92, 3811516, 'Africa/Cairo'],
+  ['Abidjan', '', 'CI', 'Abidjan', 5.36, -4.01, 3677115, 'Africa/Abidjan'],
+  ['Kano', '', 'NG', 'Kano', 12.00, 8.52, 3626068, 'Africa/Lagos'],
+  ['Ibadan', '', 'NG', 'Oyo', 7.38, 3.90, 3565108, 'Africa/Lagos'],
+  ['Cape Town', 'Kaapstad', 'ZA', 'Western Cape', -33.92, 18.42, 3433441, 'Africa/Johannesburg'],
+  ['Casablanca', 'Dar el Beida', 'MA', 'Casablanca-Settat', 33.57, -7.59, 3359818, 'Africa/Casablanca'],
+  ['Addis Ababa', 'Addis Abeba', 'ET', 'Addis Ababa', 9.03, 38.74, 3352000, 'Africa/Addis_Ababa'],
+  ['Durban', 'eThekwini', 'ZA', 'KwaZulu-Natal', -29.86, 31.03, 3120282, 'Africa/Johannesburg'],
+  ['Luanda', '', 'AO', 'Luanda', -8.84, 13.23, 2776168, 'Africa/Luanda'],
+  ['Dakar', '', 'SN', 'Dakar', 14.69, -17.44, 2646503, 'Africa/Dakar'],
+  ['Accra', '', 'GH', 'Greater Accra', 5.56, -0.20, 2514005, 'Africa/Accra'],
+  ['Algiers', 'Alger|El Djazair', 'DZ', 'Algiers', 36.75, 3.04, 2364230, 'Africa/Algiers'],
+  ['Khartoum', '', 'SD', 'Khartoum', 15.50, 32.56, 1974647, 'Africa/Khartoum'],
+  ['Lusaka', '', 'ZM', 'Lusaka', -15.39, 28.32, 1742979, 'Africa/Lusaka'],
+  ['Kampala', '', 'UG', 'Central', 0.35, 32.58, 1680600, 'Africa/Kampala'],
+  ['Harare', 'Salisbury', 'ZW', 'Harare', -17.83, 31.05, 1542813, 'Africa/Harare'],
+  ['Antananarivo', 'Tananarive', 'MG', 'Analamanga', -18.91, 47.54, 1391433, 'Indian/Antananarivo'],
+  ['Mombasa', '', 'KE', 'Mombasa', -4.04, 39.67, 1208333, 'Africa/Nairobi'],
+  ['Maputo', 'Lourenço Marques', 'MZ', 'Maputo', -25.97, 32.57, 1191613, 'Africa/Maputo'],
+  ['Tripoli', 'Tarabulus', 'LY', 'Tripoli', 32.89, 13.19, 1150989, 'Africa/Tripoli'],
+  ['Tunis', '', 'TN', 'Tunis', 36.81, 10.18, 1056247, 'Africa/Tunis'],
+  ['Marrakesh', 'Marrakech', 'MA', 'Marrakesh-Safi', 31.63, -8.01, 928850, 'Africa/Casablanca'],
+  ['Pretoria', 'Tshwane', 'ZA', 'Gauteng', -25.75, 28.19, 741651, 'Africa/Johannesburg'],
+  ['Abuja', '', 'NG', 'Federal Capital Territory', 9.06, 7.50, 590400, 'Africa/Lagos'],
+  ['Rabat', '', 'MA', 'Rabat-Salé-Kénitra', 34.01, -6.83, 572717, 'Africa/Casablanca'],
+  ['Port Louis', '', 'MU', 'Port Louis', -20.16, 57.50, 155226, 'Indian/Mauritius'],
+
+  // North America
+  ['New York City', 'New York|NYC', 'US', 'New York', 40.71, -74.01, 8804190, 'America/New_York'],
+  ['Mexico City', 'Ciudad de México|CDMX', 'MX', 'Mexico City', 19.43, -99.13, 9209944, 'America/Mexico_City'],
+  ['Los Angeles', 'LA', 'US', 'California', 34.05, -118.24, 3898747, 'America/Los_Angeles'],
+  ['Toronto', '', 'CA', 'Ontario', 43.65, -79.38, 2731571, 'America/Toronto'],
+  ['Chicago', '', 'US', 'Illinois', 41.88, -87.63, 2746388, 'America/Chicago'],
+  ['Houston', '', 'US', 'Texas', 29.76, -95.37, 2304580, 'America/Chicago'],
+  ['Havana', 'La Habana', 'CU', 'La Habana', 23.13, -82.38, 2141652, 'America/Havana'],
+  ['Tijuana', '', 'MX', 'Baja California', 32.53, -117.04, 1922523, 'America/Tijuana'],
+  ['Montreal', 'Montréal', 'CA', 'Quebec', 45.50, -73.57, 1762949, 'America/Toronto'],
+  ['Puebla', '', 'MX', 'Puebla', 19.04, -98.21, 1692181, 'America/Mexico_City'],
+  ['Phoenix', '', 'US', 'Arizona', 33.45, -112.07, 1608139, 'America/Phoenix'],
+  ['Philadelphia', '', 'US', 'Pennsylvania', 39.95, -75.17, 1603797, 'America/New_York'],
+  ['San Antonio', '', 'US', 'Texas', 29.42, -98.49, 1434625, 'America/Chicago'],
+  ['San Diego', '', 'US', 'California', 32.72, -117.16, 1386932, 'America/Los_Angeles'],
+  ['Guadalajara', '', 'MX', 'Jalisco', 20.67, -103.35, 1385629, 'America/Mexico_City'],
+  ['Calgary', '', 'CA', 'Alberta', 51.05, -114.07, 1306784, 'America/Edmonton'],
+  ['Dallas', '', 'US', 'Texas', 32.78, -96.80, 1304379, 'America/Chicago'],
+  ['Monterrey', '', 'MX', 'Nuevo León', 25.69, -100.32, 1142994, 'America/Monterrey'],
+  ['Ottawa', '', 'CA', 'Ontario', 45.42, -75.70, 1017449, 'America/Toronto'],
+  ['San Jose', '', 'US', 'California', 37.34, -121.89, 1013240, 'America/Los_Angeles'],
+  ['Edmonton', '', 'CA', 'Alberta', 53.55, -113.49, 1010899, 'America/Edmonton'],
+  ['Guatemala City', 'Ciudad de Guatemala', 'GT', 'Guatemala', 14.63, -90.51, 994938, 'America/Guatemala'],
+  ['Austin', '', 'US', 'Texas', 30.27, -97.74, 961855, 'America/Chicago'],
+  ['Jacksonville', '', 'US', 'Florida', 30.33, -81.66, 949611, 'America/New_York'],
+  ['Fort Worth', '', 'US', 'Texas', 32.75, -97.33, 918915, 'America/Chicago'],
+  ['Columbus', '', 'US', 'Ohio', 39.96, -83.00, 905748, 'America/New_York'],
+  ['Cancún', 'Cancun', 'MX', 'Quintana Roo', 21.16, -86.85, 888797, 'America/Cancun'],
+  ['Indianapolis', '', 'US', 'Indiana', 39.77, -86.16, 887642, 'America/Indiana/Indianapolis'],
+  ['Charlotte', '', 'US', 'North Carolina', 35.23, -80.84, 874579, 'America/New_York'],
+  ['San Francisco', 'SF', 'US', 'California', 37.77, -122.42, 873965, 'America/Los_Angeles'],
+  ['Vancouver', '', 'CA', 'British Columbia', 49.28, -123.12, 662248, 'America/Vancouver'],
+  ['Winnipeg', '', 'CA', 'Manitoba', 49.90, -97.14, 749607, 'America/Winnipeg'],
+  ['Seattle', '', 'US', 'Washington', 47.61, -122.33, 737015, 'America/Los_Angeles'],
+  ['Denver', '', 'US', 'Colorado', 39.74, -104.99, 715522, 'America/Denver'],
+  ['Washington', 'Washington D.C.|Washington DC', 'US', 'District of Columbia', 38.90, -77.04, 689545, 'America/New_York'],
+  ['Nashville', '', 'US', 'Tennessee', 36.16, -86.78, 689447, 'America/Chicago'],
+  ['Oklahoma City', '', 'US', 'Oklahoma', 35.47, -97.52, 681054, 'America/Chicago'],
+  ['El Paso', '', 'US', 'Texas', 31.76, -106.49, 678815, 'America/Denver'],
+  ['Boston', '', 'US', 'Massachusetts', 42.36, -71.06, 675647, 'America/New_York'],
+  ['Kingston', '', 'JM', 'Kingston', 18.00, -76.79, 662426, 'America/Jamaica'],
+  ['Portland', '', 'US', 'Oregon', 45.52, -122.68, 652503, 'America/Los_Angeles'],
+  ['Las Vegas', '', 'US', 'Nevada', 36.17, -115.14, 641903, 'America/Los_Angeles'],
+  ['Detroit', '', 'US', 'Michigan', 42.33, -83.05, 639111, 'America/Detroit'],
+  ['Memphis', '', 'US', 'Tennessee', 35.15, -90.05, 633104, 'America/Chicago'],
+  ['Louisville', '', 'US', 'Kentucky', 38.25, -85.76, 617638, 'America/Kentucky/Louisville'],
+  ['Baltimore', '', 'US', 'Maryland', 39.29, -76.61, 585708, 'America/New_York'],
+  ['Milwaukee', '', 'US', 'Wisconsin', 43.04, -87.91, 577222, 'America/Chicago'],
+  ['Albuquerque', '', 'US', 'New Mexico', 35.08, -106.65, 564559, 'America/Denver'],
+  ['Quebec City', 'Québec', 'CA', 'Quebec', 46.81, -71.21, 549459, 'America/Toronto'],
+  ['Tucson', '', 'US', 'Arizona', 32.22, -110.97, 542629, 'America/Phoenix'],
+  ['Sacramento', '', 'US', 'California', 38.58, -121.49, 524943, 'America/Los_Angeles'],
+  ['Kansas City', '', 'US', 'Missouri', 39.10, -94.58, 508090, 'America/Chicago'],
+  ['Atlanta', '', 'US', 'Georgia', 33.75, -84.39, 498715, 'America/New_York'],
+  ['Omaha', '', 'US', 'Nebraska', 41.26, -95.93, 486051, 'America/Chicago'],
+  ['Raleigh', '', 'US', 'North Carolina', 35.78, -78.64, 467665, 'America/New_York'],
+  ['Miami', '', 'US', 'Florida', 25.77, -80.19, 442241, 'America/New_York'],
+  ['Halifax', '', 'CA', 'Nova Scotia', 44.65, -63.58, 439819, 'America/Halifax'],
+  ['Minneapolis', '', 'US', 'Minnesota', 44.98, -93.27, 429954, 'America/Chicago'],
+  ['Tampa', '', 'US', 'Florida', 27.95, -82.46, 384959, 'America/New_York'],
+  ['New Orleans', '', 'US', 'Louisiana', 29.95, -90.07, 383997, 'America/Chicago'],
+  ['Cleveland', '', 'US', 'Ohio', 41.50, -81.69, 372624, 'America/New_York'],
+  ['Honolulu', '', 'US', 'Hawaii', 21.31, -157.86, 350964, 'Pacific/Honolulu'],
+  ['San Juan', '', 'PR', 'San Juan', 18.47, -66.11, 342259, 'America/Puerto_Rico'],
+  ['San José', 'San Jose', 'CR', 'San José', 9.93, -84.08, 342188, 'America/Costa_Rica'],
+  ['Cincinnati', '', 'US', 'Ohio', 39.10, -84.51, 309317, 'America/New_York'],
+  ['Orlando', '', 'US', 'Florida', 28.54, -81.38, 307573, 'America/New_York'],
+  ['Pittsburgh', '', 'US', 'Pennsylvania', 40.44, -80.00, 302971, 'America/New_York'],
+  ['St. Louis', 'Saint Louis|St Louis', 'US', 'Missouri', 38.63, -90.20, 301578, 'America/Chicago'],
+  ['Jersey City', '', 'US', 'New Jersey', 40.73, -74.08, 292449, 'America/New_York'],
+  ['Anchorage', '', 'US', 'Alaska', 61.22, -149.90, 291247, 'America/Anchorage'],
+  ['Buffalo', '', 'US', 'New York', 42.89, -78.88, 278349, 'America/New_York'],
+  ['Boise', '', 'US', 'Idaho', 43.62, -116.20, 235684, 'America/Boise'],
+  ['Fremont', '', 'US', 'California', 37.55, -121.99, 230504, 'America/Los_Angeles'],
+  ['Regina', '', 'CA', 'Saskatchewan', 50.45, -104.61, 226404, 'America/Regina'],
+  ['Salt Lake City', '', 'US', 'Utah', 40.76, -111.89, 199723, 'America/Denver'],
+  ["St. John's", "Saint John's|St Johns", 'CA', 'Newfoundland and Labrador', 47.56, -52.71, 110525, 'America/St_Johns'],
+  ['Edison', '', 'US', 'New Jersey', 40.52, -74.41, 107588, 'America/New_York'],
+  ['Portland', '', 'US', 'Maine', 43.66, -70.26, 68408, 'America/New_York'],
+
+  // Central America, Caribbean and South America
+  ['São Paulo', 'Sao Paulo', 'BR', 'São Paulo', -23.55, -46.63, 12325232, 'America/Sao_Paulo'],
+  ['Lima', '', 'PE', 'Lima', -12.05, -77.04, 9751717, 'America/Lima'],
+  ['Bogotá', 'Bogota|Santa Fe de Bogotá', 'CO', 'Bogotá D.C.', 4.71, -74.07, 7743955, 'America/Bogota'],
+  ['Rio de Janeiro', 'Rio', 'BR', 'Rio de Janeiro', -22.91, -43.17, 6747815, 'America/Sao_Paulo'],
+  ['Santiago', 'Santiago de Chile', 'CL', 'Santiago Metropolitan', -33.45, -70.67, 6257516, 'America/Santiago'],
+  ['Buenos Aires', '', 'AR', 'Buenos Aires F.D.', -34.60, -58.38, 3075646, 'America/Argentina/Buenos_Aires'],
+  ['Brasília', 'Brasilia', 'BR', 'Federal District', -15.79, -47.88, 3055149, 'America/Sao_Paulo'],
+  ['Salvador', 'Bahia', 'BR', 'Bahia', -12.97, -38.51, 2886698, 'America/Bahia'],
+  ['Guayaquil', '', 'EC', 'Guayas', -2.19, -79.89, 2698077, 'America/Guayaquil'],
+  ['Fortaleza', '', 'BR', 'Ceará', -3.72, -38.54, 2686612, 'America/Fortaleza'],
+  ['Medellín', 'Medellin', 'CO', 'Antioquia', 6.24, -75.58, 2529403, 'America/Bogota'],
+  ['Belo Horizonte', '', 'BR', 'Minas Gerais', -19.92, -43.94, 2521564, 'America/Sao_Paulo'],
+  ['Manaus', '', 'BR', 'Amazonas', -3.12, -60.02, 2219580, 'America/Manaus'],
+  ['Santo Domingo', '', 'DO', 'Distrito Nacional', 18.49, -69.93, 2201941, 'America/Santo_Domingo'],
+  ['Quito', '', 'EC', 'Pichincha', -0.23, -78.52, 2011388, 'America/Guayaquil'],
+  ['Caracas', '', 'VE', 'Capital District', 10.49, -66.88, 1943901, 'America/Caracas'],
+  ['Recife', '', 'BR', 'Pernambuco', -8.05, -34.88, 1653461, 'America/Recife'],
+  ['Porto Alegre', '', 'BR', 'Rio Grande do Sul', -30.03, -51.23, 1488252, 'America/Sao_Paulo'],
+  ['Córdoba', 'Cordoba', 'AR', 'Córdoba', -31.42, -64.18, 1391000, 'America/Argentina/Cordoba'],
+  ['Montevideo', '', 'UY', 'Montevideo', -34.90, -56.19, 1319108, 'America/Montevideo'],
+  ['Panama City', 'Panamá|Ciudad de Panamá', 'PA', 'Panamá', 8.98, -79.52, 880691, 'America/Panama'],
+  ['La Paz', '', 'BO', 'La Paz', -16.50, -68.15, 812799, 'America/La_Paz'],
+  ['Asunción', 'Asuncion', 'PY', 'Asunción', -25.26, -57.58, 525294, 'America/Asuncion'],
+  ['Paramaribo', '', 'SR', 'Paramaribo', 5.85, -55.20, 240924, 'America/Paramaribo'],
+  ['Georgetown', '', 'GY', 'Demerara-Mahaica', 6.80, -58.16, 235017, 'America/Guyana'],
+  ['Port of Spain', '', 'TT', 'Port of Spain', 10.66, -61.52, 37074, 'America/Port_of_Spain'],
+
+  // Oceania
+  ['Sydney', '', 'AU', 'New South Wales', -33.87, 151.21, 5312163, 'Australia/Sydney'],
+  ['Melbourne', '', 'AU', 'Victoria', -37.81, 144.96, 5078193, 'Australia/Melbourne'],
+  ['Brisbane', '', 'AU', 'Queensland', -27.47, 153.03, 2560720, 'Australia/Brisbane'],
+  ['Perth', '', 'AU', 'Western Australia', -31.95, 115.86, 2192229, 'Australia/Perth'],
+  ['Auckland', 'Tāmaki Makaurau', 'NZ', 'Auckland', -36.85, 174.76, 1463000, 'Pacific/Auckland'],
+  ['Adelaide', '', 'AU', 'South Australia', -34.93, 138.60, 1402393, 'Australia/Adelaide'],
+  ['Gold Coast', '', 'AU', 'Queensland', -28.02, 153.40, 709495, 'Australia/Brisbane'],
+  ['Canberra', '', 'AU', 'Australian Capital Territory', -35.28, 149.13, 431380, 'Australia/Sydney'],
+  ['Christchurch', '', 'NZ', 'Canterbury', -43.53, 172.64, 389300, 'Pacific/Auckland'],
+  ['Port Moresby', '', 'PG', 'National Capital District', -9.44, 147.18, 364145, 'Pacific/Port_Moresby'],
+  ['Hobart', '', 'AU', 'Tasmania', -42.88, 147.33, 251047, 'Australia/Hobart'],
+  ['Wellington', '', 'NZ', 'Wellington', -41.29, 174.78, 215400, 'Pacific/Auckland'],
+  ['Cairns', '', 'AU', 'Queensland', -16.92, 145.77, 153952, 'Australia/Brisbane'],
+  ['Darwin', '', 'AU', 'Northern Territory', -12.46, 130.84, 147255, 'Australia/Darwin'],
+  ['Suva', '', 'FJ', 'Central', -18.14, 178.44, 93970, 'Pacific/Fiji'],
+  ['Apia', '', 'WS', 'Tuamasaga', -13.83, -171.76, 40407, 'Pacific/Apia'],
+  ['Alice Springs', 'Mparntwe', 'AU', 'Northern Territory', -23.70, 133.88, 25186, 'Australia/Darwin']
+];
+
+module.exports = { CITIES, COUNTRIES };
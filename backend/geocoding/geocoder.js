@@ -0,0 +1,238 @@
+/**
+ * Offline Place-Name Geocoder
+ *
+ * Fuzzy search over the bundled city dataset (cities.js) by name, alternate
+ * name, admin region and country, returning coordinates plus the IANA zone
+ * that tz-resolver needs. No network access is involved.
+ *
+ * A query is "name[, region or country]...". The name part is matched
+ * against each city's names as an exact match, prefix, word prefix or
+ * substring, or with a few typos for longer queries; every further part must
+ * match the city's admin region or country. Ties go to the larger city.
+ *
+ * Usage:
+ * const { searchPlaces } = require('./backend/geocoding/geocoder');
+ * searchPlaces('bombay'); // [{ name: 'Mumbai', latitude: 19.07, ... }]
+ */
+
+const { CITIES, COUNTRIES } = require('./cities');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Score for each kind of name match; typo matches lose a further step per edit
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  wordPrefix: 0.8,
+  substring: 0.7,
+  typo: 0.6
+};
+const TYPO_PENALTY = 0.1;
+
+/**
+ * Normalise a name for matching: strip diacritics and punctuation, lowercase
+ * @param {string} value - Raw name
+ * @returns {string} Normalised name
+ */
+function normalizeName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u0131/g, 'i') // dotless i, as in Turkish names
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a '|'-separated alternate name list
+ * @param {string} names - Alternate names
+ * @returns {Array<string>} Names
+ */
+function splitNames(names) {
+  return names ? names.split('|') : [];
+}
+
+// Normalised search keys, built once on load
+const COUNTRY_KEYS = Object.fromEntries(
+  Object.entries(COUNTRIES).map(([code, [name, alternateNames]]) => [
+    code,
+    [code, name, ...splitNames(alternateNames)].map(normalizeName)
+  ])
+);
+
+const PLACES = CITIES.map(([name, alternateNames, countryCode, admin1, latitude, longitude, population, timezone]) => ({
+  place: {
+    name,
+    admin1,
+    countryCode,
+    country: COUNTRIES[countryCode][0],
+    latitude,
+    longitude,
+    timezone,
+    population
+  },
+  nameKeys: [name, ...splitNames(alternateNames)].map(normalizeName),
+  adminKey: normalizeName(admin1)
+}));
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up early
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Distance beyond which the exact value is not needed
+ * @returns {number} Edit distance, or maxDistance + 1 if it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Score how well a query matches one name
+ * @param {string} query - Normalised query
+ * @param {string} key - Normalised name
+ * @returns {number} Match score, 0 for no match
+ */
+function scoreName(query, key) {
+  if (key === query) {
+    return MATCH_SCORES.exact;
+  }
+  if (key.startsWith(query)) {
+    return MATCH_SCORES.prefix;
+  }
+  if (key.split(' ').some(word => word.startsWith(query))) {
+    return MATCH_SCORES.wordPrefix;
+  }
+  if (query.length >= 3 && key.includes(query)) {
+    return MATCH_SCORES.substring;
+  }
+
+  // Typos: compare with the name's prefix of the same length, so partial
+  // input with a slip ('bangalor', 'mumabi') still matches
+  if (query.length >= 4) {
+    const maxDistance = query.length >= 8 ? 2 : 1;
+    const distance = Math.min(
+      editDistance(query, key, maxDistance),
+      editDistance(query, key.slice(0, query.length), maxDistance)
+    );
+    if (distance <= maxDistance) {
+      return MATCH_SCORES.typo - TYPO_PENALTY * (distance - 1);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check whether a qualifier names a place's admin region or country
+ * @param {Object} entry - Indexed place
+ * @param {string} qualifier - Normalised qualifier
+ * @returns {boolean} True if the qualifier matches
+ */
+function matchesQualifier(entry, qualifier) {
+  return entry.adminKey.startsWith(qualifier) ||
+    COUNTRY_KEYS[entry.place.countryCode].some(key => key === qualifier || (qualifier.length >= 3 && key.startsWith(qualifier)));
+}
+
+/**
+ * Search the bundled dataset for places matching a name
+ * @param {string} query - Place name, optionally followed by ', region' and/or ', country'
+ * @param {Object} [options] - Search options
+ * @param {string} [options.country] - Restrict to a country (ISO code or name)
+ * @param {string} [options.admin] - Restrict to an admin region (name prefix)
+ * @param {number} [options.limit=10] - Maximum number of results (at most 50)
+ * @returns {Array<Object>} Places, best match first:
+ *          { name, admin1, countryCode, country, latitude, longitude, timezone, population, label, score }
+ */
+function searchPlaces(query, options = {}) {
+  const [namePart, ...qualifierParts] = String(query).split(',');
+  const name = normalizeName(namePart);
+  if (!name) {
+    return [];
+  }
+
+  const qualifiers = qualifierParts.map(normalizeName).filter(Boolean);
+  if (options.admin) {
+    qualifiers.push(normalizeName(options.admin));
+  }
+  const country = options.country ? normalizeName(options.country) : null;
+  const limit = Math.min(Math.max(1, options.limit || DEFAULT_LIMIT), MAX_LIMIT);
+
+  const matches = [];
+  for (const entry of PLACES) {
+    if (country && !COUNTRY_KEYS[entry.place.countryCode].includes(country)) {
+      continue;
+    }
+    if (!qualifiers.every(qualifier => matchesQualifier(entry, qualifier))) {
+      continue;
+    }
+
+    const nameScore = Math.max(...entry.nameKeys.map(key => scoreName(name, key)));
+    if (nameScore > 0) {
+      // Population breaks ties between equally good name matches
+      const score = nameScore + Math.log10(entry.place.population + 1) / 100;
+      matches.push({ entry, score });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      ...entry.place,
+      label: formatLabel(entry.place),
+      score: Math.round(score * 1000) / 1000
+    }));
+}
+
+/**
+ * Human-readable label 'City, Region, Country', dropping parts that repeat
+ * an earlier one (for example 'Singapore' rather than 'Singapore, Singapore')
+ * @param {Object} place - Place
+ * @returns {string} Label
+ */
+function formatLabel(place) {
+  const parts = [place.name, place.admin1, place.country].filter(Boolean);
+  return parts
+    .filter((part, index) => index === 0 || !parts.slice(0, index).some(previous => normalizeName(previous) === normalizeName(part)))
+    .join(', ');
+}
+
+/**
+ * All bundled places, for reference lookups such as zone inference
+ * @returns {Array<Object>} Places in dataset order
+ */
+function getAllPlaces() {
+  return PLACES.map(entry => entry.place);
+}
+
+module.exports = {
+  searchPlaces,
+  getAllPlaces,
+  normalizeName,
+  editDistance
+};
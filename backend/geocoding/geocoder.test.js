@@ -0,0 +1,70 @@
+/**
+ * Offline Geocoder Tests
+ */
+
+const { searchPlaces, getAllPlaces, normalizeName, editDistance } = require('./geocoder');
+const { isValidTimeZone } = require('../timezone/tz-resolver');
+
+describe('searchPlaces', () => {
+  it('returns coordinates and the IANA zone for a city', () => {
+    const [mumbai] = searchPlaces('Mumbai');
+
+    expect(mumbai).toMatchObject({
+      name: 'Mumbai',
+      admin1: 'Maharashtra',
+      countryCode: 'IN',
+      country: 'India',
+      timezone: 'Asia/Kolkata',
+      label: 'Mumbai, Maharashtra, India'
+    });
+    expect(mumbai.latitude).toBeCloseTo(19.07, 2);
+    expect(mumbai.longitude).toBeCloseTo(72.88, 2);
+  });
+
+  it('matches alternate names, prefixes and diacritics', () => {
+    expect(searchPlaces('Bombay')[0].name).toBe('Mumbai');
+    expect(searchPlaces('calc')[0].name).toBe('Kolkata');
+    expect(searchPlaces('sao paulo')[0].name).toBe('São Paulo');
+    expect(searchPlaces('MÜNCHEN')[0].name).toBe('Munich');
+  });
+
+  it('tolerates typos in longer queries', () => {
+    expect(searchPlaces('Bangalor')[0].name).toBe('Bengaluru');
+    expect(searchPlaces('Mumabi')[0].name).toBe('Mumbai');
+    expect(searchPlaces('zq')).toEqual([]);
+  });
+
+  it('ranks same-named places by population and narrows them by region or country', () => {
+    expect(searchPlaces('Hyderabad').map(place => place.countryCode).slice(0, 2)).toEqual(['IN', 'PK']);
+    expect(searchPlaces('Hyderabad, Pakistan')).toHaveLength(1);
+    expect(searchPlaces('Portland, Maine')[0].timezone).toBe('America/New_York');
+    expect(searchPlaces('Portland', { admin: 'Oregon' })[0].timezone).toBe('America/Los_Angeles');
+    expect(searchPlaces('San Jose', { country: 'CR' })[0].timezone).toBe('America/Costa_Rica');
+  });
+
+  it('honours the result limit', () => {
+    expect(searchPlaces('sa', { limit: 3 })).toHaveLength(3);
+    expect(searchPlaces('a', { limit: 500 }).length).toBeLessThanOrEqual(50);
+    expect(searchPlaces('  ')).toEqual([]);
+  });
+});
+
+describe('dataset', () => {
+  it('uses zones known to the tz database', () => {
+    const invalid = getAllPlaces().filter(place => !isValidTimeZone(place.timezone));
+    expect(invalid).toEqual([]);
+  });
+});
+
+describe('helpers', () => {
+  it('normalizeName folds case, accents and punctuation', () => {
+    expect(normalizeName("  Xi'an ")).toBe('xi an');
+    expect(normalizeName('Québec')).toBe('quebec');
+  });
+
+  it('editDistance counts transpositions as one edit', () => {
+    expect(editDistance('mumabi', 'mumbai', 2)).toBe(1);
+    expect(editDistance('delhi', 'dehli', 2)).toBe(1);
+    expect(editDistance('paris', 'tokyo', 2)).toBe(3);
+  });
+});
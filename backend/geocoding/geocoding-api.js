@@ -0,0 +1,94 @@
+/**
+ * Geocoding REST API for ZodiaCore
+ *
+ * Express router for place-name autocomplete over the bundled offline city
+ * dataset, so birth-data forms can offer places instead of raw coordinates.
+ * Results carry the IANA zone to send as birthData.timezone. Responses use
+ * the standard success/error envelopes.
+ *
+ * Usage:
+ * app.use('/api/v1/geo', createGeocodingRouter());
+ */
+
+const express = require('express');
+const { searchPlaces } = require('./geocoder');
+const { CITIES } = require('./cities');
+const {
+  sendSuccess,
+  assertValid,
+  notFoundHandler,
+  createErrorHandler,
+} = require('../http/api-response');
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_LIMIT = 50;
+
+// Returned with an empty result: the dataset holds only capitals and major cities
+const NO_MATCH_FALLBACK = {
+  message: `No place among the ${CITIES.length} bundled cities matches; enter latitude, longitude and timezone directly`,
+  fields: ['latitude', 'longitude', 'timezone'],
+};
+
+/**
+ * Validate autocomplete query parameters
+ * @param {Object} query - Express req.query
+ * @returns {Object} { q, country, admin, limit }
+ * @throws {ApiError} VALIDATION_ERROR listing every invalid parameter
+ */
+function validateAutocompleteQuery(query) {
+  const errors = [];
+  const { q, country, admin } = query;
+
+  if (typeof q !== 'string' || q.trim().length === 0) {
+    errors.push('q: Required place name');
+  } else if (q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q: Must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  if (country !== undefined && (typeof country !== 'string' || country.trim().length === 0)) {
+    errors.push('country: Must be an ISO 3166 country code or country name');
+  }
+  if (admin !== undefined && (typeof admin !== 'string' || admin.trim().length === 0)) {
+    errors.push('admin: Must be a region name');
+  }
+
+  let limit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit: Must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  assertValid(errors);
+  return { q, country, admin, limit };
+}
+
+/**
+ * Create the geocoding router
+ * @returns {Object} Express router
+ */
+function createGeocodingRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/v1/geo/autocomplete?q=bomb&country=IN&limit=5
+   * Places whose name matches the (possibly partial or misspelt) query;
+   * an empty result says to fall back to explicit coordinates
+   */
+  router.get('/autocomplete', (req, res) => {
+    const { q, country, admin, limit } = validateAutocompleteQuery(req.query);
+    const results = searchPlaces(q, { country, admin, limit });
+    const data = { query: q, count: results.length, results };
+    if (results.length === 0) {
+      data.fallback = NO_MATCH_FALLBACK;
+    }
+    sendSuccess(req, res, data);
+  });
+
+  router.use(notFoundHandler);
+  router.use(createErrorHandler({ label: 'Geocoding API' }));
+
+  return router;
+}
+
+module.exports = { createGeocodingRouter };
@@ -0,0 +1,65 @@
+/**
+ * Geocoding REST API Tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createGeocodingRouter } = require('./geocoding-api');
+
+describe('Geocoding API', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/v1/geo', createGeocodingRouter());
+  });
+
+  it('GET /autocomplete returns matching places in the success envelope', async () => {
+    const res = await request(app).get('/api/v1/geo/autocomplete').query({ q: 'madri', limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.metadata.version).toBe('1.0.0');
+    expect(res.body.data.query).toBe('madri');
+    expect(res.body.data.results[0]).toMatchObject({ name: 'Madrid', countryCode: 'ES', timezone: 'Europe/Madrid' });
+    expect(res.body.data.count).toBe(res.body.data.results.length);
+  });
+
+  it('GET /autocomplete filters by country', async () => {
+    const res = await request(app).get('/api/v1/geo/autocomplete').query({ q: 'hyderabad', country: 'PK' });
+
+    expect(res.body.data.results).toHaveLength(1);
+    expect(res.body.data.results[0].admin1).toBe('Sindh');
+  });
+
+  it('GET /autocomplete points to explicit coordinates when no place matches', async () => {
+    const res = await request(app).get('/api/v1/geo/autocomplete').query({ q: 'Kirkby Lonsdale' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.count).toBe(0);
+    expect(res.body.data.fallback.fields).toEqual(['latitude', 'longitude', 'timezone']);
+    expect(res.body.data.fallback.message).toMatch(/^No place among the \d+ bundled cities matches/);
+  });
+
+  it('GET /autocomplete omits the fallback when places match', async () => {
+    const res = await request(app).get('/api/v1/geo/autocomplete').query({ q: 'bombay' });
+    expect(res.body.data.fallback).toBeUndefined();
+  });
+
+  it('GET /autocomplete reports invalid parameters', async () => {
+    const res = await request(app).get('/api/v1/geo/autocomplete').query({ limit: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details.errors).toEqual([
+      expect.stringMatching(/^q:/),
+      expect.stringMatching(/^limit:/)
+    ]);
+  });
+
+  it('returns NOT_FOUND for unknown routes', async () => {
+    const res = await request(app).get('/api/v1/geo/reverse');
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * REST Response Helpers for ZodiaCore
+ *
+ * The success and error envelopes documented in docs/api/index.md, shared by
+ * every ZodiaCore router. Routers throw ApiError for request problems and
+ * register their own engine error types through createErrorHandler; any
+ * other error is an internal failure and is logged and reported as a 500.
+ *
+ * Usage:
+ * router.use(notFoundHandler);
+ * router.use(createErrorHandler({ label: 'ZC1 API', mapError }));
+ */
+
+const crypto = require('crypto');
+
+const API_VERSION = '1.0.0';
+
+/**
+ * API error carrying an HTTP status and a documented error code
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Documented error code
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   */
+  constructor(status, code, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Build response metadata
+ * @param {Object} req - Express request
+ * @param {boolean} includeVersion - Whether to include the API version
+ * @returns {Object} Metadata block
+ */
+function buildMetadata(req, includeVersion = true) {
+  const metadata = {
+    timestamp: new Date().toISOString(),
+    requestId: req.correlationId || crypto.randomUUID(),
+  };
+  if (includeVersion) {
+    metadata.version = API_VERSION;
+  }
+  return metadata;
+}
+
+/**
+ * Send the documented success envelope
+ */
+function sendSuccess(req, res, data, status = 200) {
+  res.status(status).json({
+    success: true,
+    data,
+    metadata: buildMetadata(req),
+  });
+}
+
+/**
+ * Throw VALIDATION_ERROR when any request field failed validation
+ * @param {Array<string>} errors - 'field: message' strings
+ * @throws {ApiError} When errors is non-empty
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid input parameters', { errors });
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Middleware for unknown routes
+ */
+function notFoundHandler(req, res, next) {
+  next(new ApiError(404, 'NOT_FOUND', `Route ${req.method} ${req.originalUrl} not found`));
+}
+
+/**
+ * Create the error middleware that maps errors to the documented error envelope
+ * @param {Object} options - Handler options
+ * @param {string} options.label - Log prefix, such as 'ZC1 API'
+ * @param {Function} [options.mapError] - Maps a router's own error types to
+ *   { status, code, message, details }; returns undefined for anything else
+ * @returns {Function} Express error middleware
+ */
+function createErrorHandler({ label, mapError = () => undefined }) {
+  return (error, req, res, next) => {
+    let mapped;
+    if (error instanceof ApiError) {
+      mapped = error;
+    } else if (error.type === 'entity.parse.failed') {
+      mapped = { status: 400, code: 'VALIDATION_ERROR', message: 'Request body is not valid JSON' };
+    } else {
+      mapped = mapError(error);
+    }
+    const { status, code, message, details } = mapped || {
+      status: 500,
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error',
+    };
+
+    if (status >= 500) {
+      (req.logger?.error || console.error)(`${label} error:`, error);
+    }
+
+    const body = {
+      success: false,
+      error: { code, message },
+      metadata: buildMetadata(req, false),
+    };
+    if (details !== undefined) {
+      body.error.details = details;
+    }
+    res.status(status).json(body);
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  ApiError,
+  buildMetadata,
+  sendSuccess,
+  assertValid,
+  asyncRoute,
+  notFoundHandler,
+  createErrorHandler,
+};
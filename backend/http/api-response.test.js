@@ -0,0 +1,96 @@
+/**
+ * REST Response Helper Tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  ApiError,
+  sendSuccess,
+  assertValid,
+  asyncRoute,
+  notFoundHandler,
+  createErrorHandler,
+} = require('./api-response');
+
+class EngineError extends Error {}
+
+describe('api-response', () => {
+  let app;
+  let logged;
+
+  beforeEach(() => {
+    logged = [];
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.logger = { error: (...args) => logged.push(args) };
+      next();
+    });
+    app.get('/ok', (req, res) => sendSuccess(req, res, { value: 1 }, 201));
+    app.get('/invalid', () => assertValid(['q: Required']));
+    app.get('/engine', asyncRoute(async () => {
+      throw new EngineError('Chart cannot be cast');
+    }));
+    app.get('/internal', asyncRoute(async () => {
+      throw new Error('Lookup failed');
+    }));
+    app.post('/echo', (req, res) => sendSuccess(req, res, req.body));
+    app.use(notFoundHandler);
+    app.use(createErrorHandler({
+      label: 'Test API',
+      mapError: (error) => (error instanceof EngineError
+        ? { status: 422, code: 'CALCULATION_ERROR', message: error.message }
+        : undefined),
+    }));
+  });
+
+  it('sends the success envelope', async () => {
+    const res = await request(app).get('/ok');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ success: true, data: { value: 1 }, metadata: { version: '1.0.0' } });
+    expect(res.body.metadata.requestId).toEqual(expect.any(String));
+  });
+
+  it('reports ApiErrors and mapped engine errors with their status', async () => {
+    const invalid = await request(app).get('/invalid');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid input parameters',
+      details: { errors: ['q: Required'] },
+    });
+    expect(invalid.body.metadata.version).toBeUndefined();
+
+    const engine = await request(app).get('/engine');
+    expect(engine.status).toBe(422);
+    expect(engine.body.error).toEqual({ code: 'CALCULATION_ERROR', message: 'Chart cannot be cast' });
+
+    const missing = await request(app).get('/unknown');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.message).toBe('Route GET /unknown not found');
+    expect(logged).toHaveLength(0);
+  });
+
+  it('reports unmapped errors as logged internal failures without their message', async () => {
+    const res = await request(app).get('/internal');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    expect(logged).toEqual([['Test API error:', expect.any(Error)]]);
+  });
+
+  it('rejects malformed JSON bodies', async () => {
+    const res = await request(app).post('/echo').set('Content-Type', 'application/json').send('{"a":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('keeps the status and code on ApiError', () => {
+    const error = new ApiError(409, 'CONFLICT', 'Exists', { id: 1 });
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ name: 'ApiError', status: 409, code: 'CONFLICT', details: { id: 1 } });
+  });
+});
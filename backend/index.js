@@ -11,6 +11,7 @@ const compression = require('compression');
 const rateLimit = require('rate-limiter-flexible');
 const winston = require('winston');
 const path = require('path');
+const { createApiRouter } = require('./gateway/api-router');
 
 // Initialize Express application
 const app = express();
@@ -69,28 +70,15 @@ app.use((req, res, next) => {
     });
 });
 
+// The same API surface as gateway/server.js: place autocomplete, the astrology
+// services behind authentication, aggregated /health and /api/status.
+// Mounted before body parsing so request bodies stream upstream.
+app.use(createApiRouter());
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Health check endpoint for monitoring
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    service: 'zodiacore-main'
-  });
-});
-
-// API routes placeholder - to be expanded with actual backend logic
-app.get('/api/status', (req, res) => {
-  res.json({
-    message: 'ZodiaCore API is operational',
-    version: '1.0.0',
-    services: ['chinese', 'western', 'vedic', 'mundane']
-  });
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -105,7 +93,7 @@ const frontendPath = path.join(__dirname, 'frontend', 'build');
 app.use(express.static(frontendPath));
 
 // Catch-all handler: send back index.html for client-side routing
-app.get('*', (req, res) => {
+app.get(/.*/, (req, res) => {
   res.sendFile(path.join(frontendPath, 'index.html'));
 });
 
@@ -0,0 +1,114 @@
+/**
+ * SVG Builder
+ *
+ * Small string-based helpers shared by the chart renderers. Output is
+ * deterministic: attributes keep their insertion order, numbers are written
+ * with at most two decimals and nothing depends on the clock or on random
+ * identifiers, so the same chart always renders to the same bytes.
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const FONT_FAMILY = 'DejaVu Sans, Arial, sans-serif';
+
+/**
+ * Format a number for an SVG attribute
+ * @param {number} value - Number to format
+ * @returns {string} Value rounded to two decimals without trailing zeros
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Escape text for use in SVG content or attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Serialize an SVG element
+ * @param {string} name - Element name
+ * @param {Object} attributes - Attributes; undefined and null values are omitted
+ * @param {string|Array<string>} children - Serialized child elements or escaped text
+ * @returns {string} Element markup
+ */
+function element(name, attributes = {}, children = '') {
+  const serialized = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${typeof value === 'number' ? formatNumber(value) : escapeXml(value)}"`)
+    .join('');
+  const content = Array.isArray(children) ? children.join('') : children;
+  return content ? `<${name}${serialized}>${content}</${name}>` : `<${name}${serialized}/>`;
+}
+
+/**
+ * Serialize a text element
+ * @param {number} x - Anchor x
+ * @param {number} y - Anchor y (vertical centre of the text)
+ * @param {string} content - Unescaped text
+ * @param {Object} attributes - Extra attributes (font-size, fill, class, ...)
+ * @returns {string} Element markup
+ */
+function text(x, y, content, attributes = {}) {
+  return element('text', {
+    x,
+    y,
+    'text-anchor': 'middle',
+    'dominant-baseline': 'central',
+    ...attributes
+  }, escapeXml(content));
+}
+
+/**
+ * Serialize a list of points for a polygon or polyline
+ * @param {Array<Array<number>>} pointList - [x, y] pairs
+ * @returns {string} Points attribute value
+ */
+function points(pointList) {
+  return pointList.map(([x, y]) => `${formatNumber(x)},${formatNumber(y)}`).join(' ');
+}
+
+/**
+ * Wrap rendered content in a standalone SVG document
+ * @param {Object} options - Document options
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @param {string} options.title - Accessible title
+ * @param {string} options.background - Background fill, or null for none
+ * @param {string|Array<string>} content - Serialized child elements
+ * @returns {string} SVG document
+ */
+function svgDocument({ width, height, title, background = '#ffffff' }, content) {
+  const children = [element('title', {}, escapeXml(title))];
+  if (background) {
+    children.push(element('rect', { x: 0, y: 0, width, height, fill: background }));
+  }
+  children.push(...(Array.isArray(content) ? content : [content]));
+
+  return element('svg', {
+    xmlns: SVG_NAMESPACE,
+    width,
+    height,
+    viewBox: `0 0 ${formatNumber(width)} ${formatNumber(height)}`,
+    role: 'img',
+    'font-family': FONT_FAMILY
+  }, children);
+}
+
+module.exports = {
+  formatNumber,
+  escapeXml,
+  element,
+  text,
+  points,
+  svgDocument
+};
@@ -0,0 +1,54 @@
+/**
+ * SVG Builder and Rasterizer Tests
+ */
+
+const { formatNumber, escapeXml, element, text, points, svgDocument } = require('./svg-builder');
+const { rasterizeSvg, isRasterizerAvailable, RasterizerUnavailableError } = require('./svg-rasterizer');
+
+describe('svg-builder', () => {
+  it('writes numbers with at most two decimals', () => {
+    expect(formatNumber(1 / 3)).toBe('0.33');
+    expect(formatNumber(2.005e-3)).toBe('0');
+    expect(formatNumber(-0.001)).toBe('0');
+    expect(formatNumber(120)).toBe('120');
+  });
+
+  it('serializes elements in attribute order and escapes content', () => {
+    expect(element('rect', { x: 1.234, y: 0, fill: undefined, class: 'a"b' })).toBe('<rect x="1.23" y="0" class="a&quot;b"/>');
+    expect(element('g', {}, ['<a/>', '<b/>'])).toBe('<g><a/><b/></g>');
+    expect(text(10, 20, 'Sun & Moon', { 'font-size': 12 }))
+      .toBe('<text x="10" y="20" text-anchor="middle" dominant-baseline="central" font-size="12">Sun &amp; Moon</text>');
+    expect(escapeXml("<'>")).toBe('&lt;&apos;&gt;');
+    expect(points([[0, 0], [10.005, 2.5]])).toBe('0,0 10.01,2.5');
+  });
+
+  it('wraps content in a titled document', () => {
+    const svg = svgDocument({ width: 200, height: 100, title: 'Chart' }, '<g/>');
+
+    expect(svg).toBe('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 200 100" role="img" ' +
+      'font-family="DejaVu Sans, Arial, sans-serif"><title>Chart</title>' +
+      '<rect x="0" y="0" width="200" height="100" fill="#ffffff"/><g/></svg>');
+    expect(svgDocument({ width: 10, height: 10, title: 'T', background: null }, '')).not.toContain('<rect');
+  });
+});
+
+describe('svg-rasterizer', () => {
+  const svg = svgDocument({ width: 40, height: 40, title: 'Test' }, element('circle', { cx: 20, cy: 20, r: 10 }));
+
+  it('validates the output width', () => {
+    expect(() => rasterizeSvg(svg, { width: 8 })).toThrow(RangeError);
+    expect(() => rasterizeSvg(svg, { width: 100.5 })).toThrow(RangeError);
+  });
+
+  it.skipIf(isRasterizerAvailable())('reports a missing rasterizer', () => {
+    expect(() => rasterizeSvg(svg)).toThrow(RasterizerUnavailableError);
+    expect(() => rasterizeSvg(svg)).toThrow(/@resvg\/resvg-js/);
+  });
+
+  it.runIf(isRasterizerAvailable())('renders PNG at the requested width', () => {
+    const png = rasterizeSvg(svg, { width: 80 });
+
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect(png.readUInt32BE(16)).toBe(80);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * SVG Rasterizer
+ *
+ * Converts rendered SVG charts to PNG with @resvg/resvg-js. The rasterizer is
+ * an optional dependency: it is loaded on first use, and deployments that only
+ * serve SVG do not need it installed. Fonts come from the system, so install a
+ * font with the astrological glyphs (DejaVu Sans has them) where PNG output
+ * is enabled.
+ */
+
+const RASTERIZER_MODULE = '@resvg/resvg-js';
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 4096;
+
+let rasterizer;
+
+/**
+ * Raised when PNG output is requested but no rasterizer is installed
+ */
+class RasterizerUnavailableError extends Error {
+  constructor() {
+    super(`PNG output requires the optional ${RASTERIZER_MODULE} package`);
+    this.name = 'RasterizerUnavailableError';
+    this.code = 'RASTERIZER_UNAVAILABLE';
+  }
+}
+
+/**
+ * Load the rasterizer module once
+ * @returns {Object|null} The module, or null when it is not installed
+ */
+function loadRasterizer() {
+  if (rasterizer === undefined) {
+    try {
+      rasterizer = require(RASTERIZER_MODULE);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+      rasterizer = null;
+    }
+  }
+  return rasterizer;
+}
+
+/**
+ * Check whether PNG output is available
+ * @returns {boolean} True if the rasterizer is installed
+ */
+function isRasterizerAvailable() {
+  return loadRasterizer() !== null;
+}
+
+/**
+ * Rasterize an SVG document to PNG
+ * @param {string} svg - SVG document
+ * @param {Object} options - Rasterization options
+ * @param {number} options.width - Output width in pixels (defaults to the SVG width)
+ * @returns {Buffer} PNG image
+ * @throws {RasterizerUnavailableError} If @resvg/resvg-js is not installed
+ * @throws {RangeError} If the width is out of range
+ */
+function rasterizeSvg(svg, { width } = {}) {
+  if (width !== undefined && (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH)) {
+    throw new RangeError(`PNG width must be an integer between ${MIN_WIDTH} and ${MAX_WIDTH}`);
+  }
+
+  const resvg = loadRasterizer();
+  if (!resvg) {
+    throw new RasterizerUnavailableError();
+  }
+
+  const renderer = new resvg.Resvg(svg, {
+    fitTo: width ? { mode: 'width', value: width } : { mode: 'original' },
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+  return renderer.render().asPng();
+}
+
+module.exports = {
+  rasterizeSvg,
+  isRasterizerAvailable,
+  RasterizerUnavailableError
+};
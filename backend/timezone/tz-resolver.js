@@ -0,0 +1,269 @@
+/**
+ * Historical Time Zone Resolver
+ *
+ * Converts a local civil date and time into Universal Time using the tz
+ * database compiled into Node's ICU data, so it works offline and covers the
+ * full zone history: local mean time before standard time, war time, double
+ * summer time and every DST rule change since. When no zone is given the
+ * zone of the nearest reference location (the principal cities of
+ * zone-locations.js and the geocoder's bundled cities) is used.
+ *
+ * Local times skipped by a forward transition are reported as 'nonexistent'
+ * and resolved with the offset in force before the gap (so 02:30 on a
+ * spring-forward night becomes 03:30); times repeated by a backward transition
+ * are reported as 'ambiguous' and resolve to the earlier instant unless
+ * disambiguation is 'later'.
+ */
+
+const { ZONE_LOCATIONS } = require('./zone-locations');
+const { getAllPlaces } = require('../geocoding/geocoder');
+
+// Rows of [zone, country code, latitude, longitude]
+const REFERENCE_LOCATIONS = [
+  ...ZONE_LOCATIONS,
+  ...getAllPlaces().map(place => [place.timezone, place.countryCode, place.latitude, place.longitude])
+];
+
+const MS_PER_HOUR = 3600000;
+const MS_PER_DAY = 86400000;
+const EARTH_RADIUS_KM = 6371;
+
+// Building a DateTimeFormat is costly, so formatters are cached per zone
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for a zone
+ * @param {string} timeZone - IANA time zone identifier
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      era: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a string is an IANA time zone known to the tz database
+ * @param {string} timeZone - Candidate identifier
+ * @returns {boolean} True if the zone is known
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the UTC offset of a zone at an instant
+ * @param {string} timeZone - IANA time zone identifier
+ * @param {number} utcMillis - Instant in milliseconds since the epoch
+ * @returns {number} Offset in milliseconds east of Greenwich (whole seconds)
+ */
+function getZoneOffsetMillis(timeZone, utcMillis) {
+  const parts = getFormatter(timeZone).formatToParts(new Date(utcMillis));
+  const field = (type) => parts.find(part => part.type === type).value;
+  const number = (type) => parseInt(field(type), 10);
+
+  const year = field('era') === 'BC' ? 1 - number('year') : number('year');
+  const asUtc = new Date(0);
+  asUtc.setUTCFullYear(year, number('month') - 1, number('day'));
+  asUtc.setUTCHours(number('hour'), number('minute'), number('second'), 0);
+
+  return asUtc.getTime() - Math.floor(utcMillis / 1000) * 1000;
+}
+
+/**
+ * Find the zone of the reference location nearest to a point
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {Object} { zone, countryCode, distanceKm }
+ */
+function findZoneForLocation(latitude, longitude) {
+  const toRad = (degrees) => degrees * Math.PI / 180;
+  const lat1 = toRad(latitude);
+  let nearest = null;
+
+  for (const [zone, countryCode, zoneLatitude, zoneLongitude] of REFERENCE_LOCATIONS) {
+    const lat2 = toRad(zoneLatitude);
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+      Math.cos(lat1) * Math.cos(lat2) * Math.sin(toRad(zoneLongitude - longitude) / 2) ** 2;
+    const distanceKm = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    if (!nearest || distanceKm < nearest.distanceKm) {
+      nearest = { zone, countryCode, distanceKm };
+    }
+  }
+
+  return { ...nearest, distanceKm: Math.round(nearest.distanceKm) };
+}
+
+/**
+ * Parse 'YYYY-MM-DD' and 'HH:mm[:ss]' into local components read as UTC
+ * @param {string} date - Local date
+ * @param {string} time - Local time
+ * @returns {number} Local wall-clock time in milliseconds as if it were UTC
+ */
+function parseLocalDateTime(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const local = new Date(0);
+  local.setUTCFullYear(year, month - 1, day);
+  local.setUTCHours(hour, minute, second, 0);
+  return local.getTime();
+}
+
+/**
+ * Resolve a wall-clock time in a zone to the instants it can denote
+ * @param {string} timeZone - IANA time zone identifier
+ * @param {number} localMillis - Local wall-clock time as if it were UTC
+ * @returns {Object} { offsets: valid offsets (ms, earliest instant first), fallbackOffset }
+ */
+function findOffsets(timeZone, localMillis) {
+  // Offsets either side of any transition near this wall-clock time
+  const candidates = new Set([
+    getZoneOffsetMillis(timeZone, localMillis - 2 * MS_PER_DAY),
+    getZoneOffsetMillis(timeZone, localMillis),
+    getZoneOffsetMillis(timeZone, localMillis + 2 * MS_PER_DAY)
+  ]);
+
+  const offsets = [...candidates]
+    .filter(offset => getZoneOffsetMillis(timeZone, localMillis - offset) === offset)
+    .sort((a, b) => b - a);
+
+  return {
+    offsets,
+    fallbackOffset: getZoneOffsetMillis(timeZone, localMillis - 2 * MS_PER_DAY)
+  };
+}
+
+/**
+ * Convert local civil time to Universal Time
+ * @param {Object} input - Local time and place
+ * @param {string} input.date - Local date, YYYY-MM-DD
+ * @param {string} input.time - Local time, HH:mm or HH:mm:ss
+ * @param {string|number} [input.timezone] - IANA zone, 'LMT' for the local mean time of
+ *        the longitude, or a fixed offset in hours east of Greenwich
+ * @param {number} [input.latitude] - Latitude, used to find the zone when none is given
+ * @param {number} [input.longitude] - Longitude, used for 'LMT' or to find the zone
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.disambiguation='earlier'] - 'earlier' or 'later' for repeated times
+ * @returns {Object} { utcDate, offsetHours, timezone, source, status, alternatives, warnings }
+ * @throws {RangeError} If the zone is unknown or there is nothing to resolve the zone from
+ */
+function resolveLocalTime(input, options = {}) {
+  const { date, time, timezone, latitude, longitude } = input;
+  const localMillis = parseLocalDateTime(date, time);
+  const hasLocation = typeof latitude === 'number' && typeof longitude === 'number';
+
+  if (typeof timezone === 'number') {
+    return buildResult(localMillis, timezone * MS_PER_HOUR, {
+      timezone: null,
+      source: 'offset',
+      status: 'valid'
+    });
+  }
+
+  if (timezone === 'LMT') {
+    if (typeof longitude !== 'number') {
+      throw new RangeError('Local mean time requires a longitude');
+    }
+    return buildResult(localMillis, Math.round(longitude * 240) * 1000, {
+      timezone: 'LMT',
+      source: 'lmt',
+      status: 'valid'
+    });
+  }
+
+  let zone = timezone;
+  let source = 'zone';
+  const warnings = [];
+  if (timezone === undefined || timezone === null) {
+    if (!hasLocation) {
+      throw new RangeError('A time zone or coordinates are required to resolve local time');
+    }
+    const located = findZoneForLocation(latitude, longitude);
+    zone = located.zone;
+    source = 'location';
+    warnings.push(`Time zone ${zone} inferred from the nearest reference location (${located.distanceKm} km); pass an IANA zone near borders`);
+  } else if (!isValidTimeZone(timezone)) {
+    throw new RangeError(`Unknown IANA time zone: ${timezone}`);
+  }
+
+  const { offsets, fallbackOffset } = findOffsets(zone, localMillis);
+
+  if (offsets.length === 0) {
+    warnings.push(`${date} ${time} does not exist in ${zone} (skipped by a clock change); the offset before the change was applied`);
+    return buildResult(localMillis, fallbackOffset, { timezone: zone, source, status: 'nonexistent', warnings });
+  }
+
+  if (offsets.length > 1) {
+    const chosen = options.disambiguation === 'later' ? offsets[offsets.length - 1] : offsets[0];
+    warnings.push(`${date} ${time} occurs twice in ${zone} (repeated by a clock change); the ${options.disambiguation === 'later' ? 'later' : 'earlier'} instant was used`);
+    return buildResult(localMillis, chosen, {
+      timezone: zone,
+      source,
+      status: 'ambiguous',
+      warnings,
+      alternatives: offsets.map(offset => ({
+        offsetHours: offset / MS_PER_HOUR,
+        utcDate: new Date(localMillis - offset)
+      }))
+    });
+  }
+
+  return buildResult(localMillis, offsets[0], { timezone: zone, source, status: 'valid', warnings });
+}
+
+/**
+ * Assemble a resolution result
+ * @param {number} localMillis - Local wall-clock time as if it were UTC
+ * @param {number} offsetMillis - Applied offset in milliseconds
+ * @param {Object} details - timezone, source, status, warnings, alternatives
+ * @returns {Object} Resolution result
+ */
+function buildResult(localMillis, offsetMillis, details) {
+  return {
+    utcDate: new Date(localMillis - offsetMillis),
+    offsetHours: offsetMillis / MS_PER_HOUR,
+    timezone: details.timezone,
+    source: details.source,
+    status: details.status,
+    alternatives: details.alternatives || [],
+    warnings: details.warnings || []
+  };
+}
+
+/**
+ * Summarise a resolution for API responses
+ * @param {Object} resolution - Result of resolveLocalTime
+ * @returns {Object} { timezone, offsetHours, source, status, warnings }
+ */
+function describeResolution(resolution) {
+  return {
+    timezone: resolution.timezone,
+    offsetHours: resolution.offsetHours,
+    source: resolution.source,
+    status: resolution.status,
+    warnings: resolution.warnings
+  };
+}
+
+module.exports = {
+  resolveLocalTime,
+  describeResolution,
+  findZoneForLocation,
+  getZoneOffsetMillis,
+  isValidTimeZone
+};
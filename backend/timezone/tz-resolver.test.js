@@ -0,0 +1,108 @@
+/**
+ * Historical Time Zone Resolver Tests
+ */
+
+const {
+  resolveLocalTime,
+  describeResolution,
+  findZoneForLocation,
+  getZoneOffsetMillis,
+  isValidTimeZone
+} = require('./tz-resolver');
+
+describe('resolveLocalTime', () => {
+  it('applies the zone offset in force on the date', () => {
+    const summer = resolveLocalTime({ date: '1990-07-01', time: '12:00', timezone: 'America/New_York' });
+    const winter = resolveLocalTime({ date: '1990-01-01', time: '12:00', timezone: 'America/New_York' });
+
+    expect(summer).toMatchObject({ offsetHours: -4, status: 'valid', source: 'zone', timezone: 'America/New_York' });
+    expect(summer.utcDate.toISOString()).toBe('1990-07-01T16:00:00.000Z');
+    expect(winter.offsetHours).toBe(-5);
+  });
+
+  it('honours war time and double summer time', () => {
+    expect(resolveLocalTime({ date: '1943-06-01', time: '12:00', timezone: 'Asia/Kolkata' }).offsetHours).toBe(6.5);
+    expect(resolveLocalTime({ date: '1944-06-01', time: '12:00', timezone: 'Europe/London' }).offsetHours).toBe(2);
+  });
+
+  it('uses local mean time before standard time', () => {
+    const result = resolveLocalTime({ date: '1850-06-01', time: '12:00', timezone: 'Asia/Kolkata' });
+    // Calcutta LMT is +5:53:28
+    expect(result.offsetHours * 3600).toBeCloseTo(5 * 3600 + 53 * 60 + 28, 6);
+    expect(result.utcDate.toISOString()).toBe('1850-06-01T06:06:32.000Z');
+  });
+
+  it('computes local mean time from the longitude', () => {
+    const result = resolveLocalTime({ date: '1890-03-01', time: '06:00', timezone: 'LMT', latitude: 40.7, longitude: -74 });
+    expect(result).toMatchObject({ timezone: 'LMT', source: 'lmt', status: 'valid' });
+    expect(result.offsetHours).toBeCloseTo(-74 / 15, 6);
+  });
+
+  it('flags times skipped by a forward transition', () => {
+    const result = resolveLocalTime({ date: '2021-03-14', time: '02:30', timezone: 'America/New_York' });
+
+    expect(result.status).toBe('nonexistent');
+    expect(result.offsetHours).toBe(-5);
+    expect(result.utcDate.toISOString()).toBe('2021-03-14T07:30:00.000Z');
+    expect(result.warnings[0]).toMatch(/does not exist/);
+  });
+
+  it('flags repeated times and lets the caller pick the later one', () => {
+    const input = { date: '2021-11-07', time: '01:30', timezone: 'America/New_York' };
+    const earlier = resolveLocalTime(input);
+    const later = resolveLocalTime(input, { disambiguation: 'later' });
+
+    expect(earlier.status).toBe('ambiguous');
+    expect(earlier.offsetHours).toBe(-4);
+    expect(later.offsetHours).toBe(-5);
+    expect(earlier.alternatives.map(alternative => alternative.utcDate.toISOString()))
+      .toEqual(['2021-11-07T05:30:00.000Z', '2021-11-07T06:30:00.000Z']);
+  });
+
+  it('handles a skipped calendar day', () => {
+    // Samoa moved across the date line, skipping 2011-12-30
+    expect(resolveLocalTime({ date: '2011-12-30', time: '12:00', timezone: 'Pacific/Apia' }).status).toBe('nonexistent');
+    expect(resolveLocalTime({ date: '2011-12-31', time: '12:00', timezone: 'Pacific/Apia' }).offsetHours).toBe(14);
+  });
+
+  it('accepts fixed hour offsets', () => {
+    const result = resolveLocalTime({ date: '1990-05-15', time: '02:00', timezone: 5.5 });
+    expect(result).toMatchObject({ timezone: null, source: 'offset', offsetHours: 5.5 });
+    expect(result.utcDate.toISOString()).toBe('1990-05-14T20:30:00.000Z');
+  });
+
+  it('infers the zone from coordinates', () => {
+    const result = resolveLocalTime({ date: '1990-05-15', time: '14:30', latitude: 19.07, longitude: 72.87 });
+
+    expect(result).toMatchObject({ timezone: 'Asia/Kolkata', source: 'location', offsetHours: 5.5 });
+    expect(result.warnings[0]).toMatch(/inferred/);
+  });
+
+  it('rejects unknown zones and missing places', () => {
+    expect(() => resolveLocalTime({ date: '1990-05-15', time: '14:30', timezone: 'Mars/Olympus_Mons' })).toThrow(RangeError);
+    expect(() => resolveLocalTime({ date: '1990-05-15', time: '14:30' })).toThrow(/coordinates/);
+    expect(() => resolveLocalTime({ date: '1990-05-15', time: '14:30', timezone: 'LMT' })).toThrow(/longitude/);
+  });
+});
+
+describe('helpers', () => {
+  it('findZoneForLocation picks the nearest reference location', () => {
+    expect(findZoneForLocation(41.88, -87.63).zone).toBe('America/Chicago');
+    expect(findZoneForLocation(-33.87, 151.21)).toMatchObject({ zone: 'Australia/Sydney', countryCode: 'AU' });
+  });
+
+  it('getZoneOffsetMillis reports whole-second offsets', () => {
+    expect(getZoneOffsetMillis('Asia/Kathmandu', Date.UTC(2020, 0, 1))).toBe(5.75 * 3600000);
+  });
+
+  it('isValidTimeZone checks the tz database', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('Europe/Atlantis')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  it('describeResolution drops instants for responses', () => {
+    const summary = describeResolution(resolveLocalTime({ date: '1990-07-01', time: '12:00', timezone: 'Europe/Paris' }));
+    expect(summary).toEqual({ timezone: 'Europe/Paris', offsetHours: 2, source: 'zone', status: 'valid', warnings: [] });
+  });
+});
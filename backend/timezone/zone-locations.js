@@ -0,0 +1,433 @@
+/**
+ * Time Zone Reference Locations
+ *
+ * Principal location of every zone in the tz database's zone.tab (tzdata
+ * 2025b, public domain): one row per country and zone. Used with the
+ * geocoder's bundled cities to pick the zone for a latitude/longitude when no
+ * IANA zone is given.
+ *
+ * Each row is [zone, ISO 3166 country code, latitude, longitude] in degrees.
+ */
+
+const ZONE_LOCATIONS = [
+  ['Africa/Abidjan', 'CI', 5.3167, -4.0333],
+  ['Africa/Accra', 'GH', 5.55, -0.2167],
+  ['Africa/Addis_Ababa', 'ET', 9.0333, 38.7],
+  ['Africa/Algiers', 'DZ', 36.7833, 3.05],
+  ['Africa/Asmara', 'ER', 15.3333, 38.8833],
+  ['Africa/Bamako', 'ML', 12.65, -8.0],
+  ['Africa/Bangui', 'CF', 4.3667, 18.5833],
+  ['Africa/Banjul', 'GM', 13.4667, -16.65],
+  ['Africa/Bissau', 'GW', 11.85, -15.5833],
+  ['Africa/Blantyre', 'MW', -15.7833, 35.0],
+  ['Africa/Brazzaville', 'CG', -4.2667, 15.2833],
+  ['Africa/Bujumbura', 'BI', -3.3833, 29.3667],
+  ['Africa/Cairo', 'EG', 30.05, 31.25],
+  ['Africa/Casablanca', 'MA', 33.65, -7.5833],
+  ['Africa/Ceuta', 'ES', 35.8833, -5.3167],
+  ['Africa/Conakry', 'GN', 9.5167, -13.7167],
+  ['Africa/Dakar', 'SN', 14.6667, -17.4333],
+  ['Africa/Dar_es_Salaam', 'TZ', -6.8, 39.2833],
+  ['Africa/Djibouti', 'DJ', 11.6, 43.15],
+  ['Africa/Douala', 'CM', 4.05, 9.7],
+  ['Africa/El_Aaiun', 'EH', 27.15, -13.2],
+  ['Africa/Freetown', 'SL', 8.5, -13.25],
+  ['Africa/Gaborone', 'BW', -24.65, 25.9167],
+  ['Africa/Harare', 'ZW', -17.8333, 31.05],
+  ['Africa/Johannesburg', 'ZA', -26.25, 28.0],
+  ['Africa/Juba', 'SS', 4.85, 31.6167],
+  ['Africa/Kampala', 'UG', 0.3167, 32.4167],
+  ['Africa/Khartoum', 'SD', 15.6, 32.5333],
+  ['Africa/Kigali', 'RW', -1.95, 30.0667],
+  ['Africa/Kinshasa', 'CD', -4.3, 15.3],
+  ['Africa/Lagos', 'NG', 6.45, 3.4],
+  ['Africa/Libreville', 'GA', 0.3833, 9.45],
+  ['Africa/Lome', 'TG', 6.1333, 1.2167],
+  ['Africa/Luanda', 'AO', -8.8, 13.2333],
+  ['Africa/Lubumbashi', 'CD', -11.6667, 27.4667],
+  ['Africa/Lusaka', 'ZM', -15.4167, 28.2833],
+  ['Africa/Malabo', 'GQ', 3.75, 8.7833],
+  ['Africa/Maputo', 'MZ', -25.9667, 32.5833],
+  ['Africa/Maseru', 'LS', -29.4667, 27.5],
+  ['Africa/Mbabane', 'SZ', -26.3, 31.1],
+  ['Africa/Mogadishu', 'SO', 2.0667, 45.3667],
+  ['Africa/Monrovia', 'LR', 6.3, -10.7833],
+  ['Africa/Nairobi', 'KE', -1.2833, 36.8167],
+  ['Africa/Ndjamena', 'TD', 12.1167, 15.05],
+  ['Africa/Niamey', 'NE', 13.5167, 2.1167],
+  ['Africa/Nouakchott', 'MR', 18.1, -15.95],
+  ['Africa/Ouagadougou', 'BF', 12.3667, -1.5167],
+  ['Africa/Porto-Novo', 'BJ', 6.4833, 2.6167],
+  ['Africa/Sao_Tome', 'ST', 0.3333, 6.7333],
+  ['Africa/Tripoli', 'LY', 32.9, 13.1833],
+  ['Africa/Tunis', 'TN', 36.8, 10.1833],
+  ['Africa/Windhoek', 'NA', -22.5667, 17.1],
+  ['America/Adak', 'US', 51.88, -176.6581],
+  ['America/Anchorage', 'US', 61.2181, -149.9003],
+  ['America/Anguilla', 'AI', 18.2, -63.0667],
+  ['America/Antigua', 'AG', 17.05, -61.8],
+  ['America/Araguaina', 'BR', -7.2, -48.2],
+  ['America/Argentina/Buenos_Aires', 'AR', -34.6, -58.45],
+  ['America/Argentina/Catamarca', 'AR', -28.4667, -65.7833],
+  ['America/Argentina/Cordoba', 'AR', -31.4, -64.1833],
+  ['America/Argentina/Jujuy', 'AR', -24.1833, -65.3],
+  ['America/Argentina/La_Rioja', 'AR', -29.4333, -66.85],
+  ['America/Argentina/Mendoza', 'AR', -32.8833, -68.8167],
+  ['America/Argentina/Rio_Gallegos', 'AR', -51.6333, -69.2167],
+  ['America/Argentina/Salta', 'AR', -24.7833, -65.4167],
+  ['America/Argentina/San_Juan', 'AR', -31.5333, -68.5167],
+  ['America/Argentina/San_Luis', 'AR', -33.3167, -66.35],
+  ['America/Argentina/Tucuman', 'AR', -26.8167, -65.2167],
+  ['America/Argentina/Ushuaia', 'AR', -54.8, -68.3],
+  ['America/Aruba', 'AW', 12.5, -69.9667],
+  ['America/Asuncion', 'PY', -25.2667, -57.6667],
+  ['America/Atikokan', 'CA', 48.7586, -91.6217],
+  ['America/Bahia', 'BR', -12.9833, -38.5167],
+  ['America/Bahia_Banderas', 'MX', 20.8, -105.25],
+  ['America/Barbados', 'BB', 13.1, -59.6167],
+  ['America/Belem', 'BR', -1.45, -48.4833],
+  ['America/Belize', 'BZ', 17.5, -88.2],
+  ['America/Blanc-Sablon', 'CA', 51.4167, -57.1167],
+  ['America/Boa_Vista', 'BR', 2.8167, -60.6667],
+  ['America/Bogota', 'CO', 4.6, -74.0833],
+  ['America/Boise', 'US', 43.6136, -116.2025],
+  ['America/Cambridge_Bay', 'CA', 69.1139, -105.0528],
+  ['America/Campo_Grande', 'BR', -20.45, -54.6167],
+  ['America/Cancun', 'MX', 21.0833, -86.7667],
+  ['America/Caracas', 'VE', 10.5, -66.9333],
+  ['America/Cayenne', 'GF', 4.9333, -52.3333],
+  ['America/Cayman', 'KY', 19.3, -81.3833],
+  ['America/Chicago', 'US', 41.85, -87.65],
+  ['America/Chihuahua', 'MX', 28.6333, -106.0833],
+  ['America/Ciudad_Juarez', 'MX', 31.7333, -106.4833],
+  ['America/Costa_Rica', 'CR', 9.9333, -84.0833],
+  ['America/Coyhaique', 'CL', -45.5667, -72.0667],
+  ['America/Creston', 'CA', 49.1, -116.5167],
+  ['America/Cuiaba', 'BR', -15.5833, -56.0833],
+  ['America/Curacao', 'CW', 12.1833, -69.0],
+  ['America/Danmarkshavn', 'GL', 76.7667, -18.6667],
+  ['America/Dawson', 'CA', 64.0667, -139.4167],
+  ['America/Dawson_Creek', 'CA', 55.7667, -120.2333],
+  ['America/Denver', 'US', 39.7392, -104.9842],
+  ['America/Detroit', 'US', 42.3314, -83.0458],
+  ['America/Dominica', 'DM', 15.3, -61.4],
+  ['America/Edmonton', 'CA', 53.55, -113.4667],
+  ['America/Eirunepe', 'BR', -6.6667, -69.8667],
+  ['America/El_Salvador', 'SV', 13.7, -89.2],
+  ['America/Fort_Nelson', 'CA', 58.8, -122.7],
+  ['America/Fortaleza', 'BR', -3.7167, -38.5],
+  ['America/Glace_Bay', 'CA', 46.2, -59.95],
+  ['America/Goose_Bay', 'CA', 53.3333, -60.4167],
+  ['America/Grand_Turk', 'TC', 21.4667, -71.1333],
+  ['America/Grenada', 'GD', 12.05, -61.75],
+  ['America/Guadeloupe', 'GP', 16.2333, -61.5333],
+  ['America/Guatemala', 'GT', 14.6333, -90.5167],
+  ['America/Guayaquil', 'EC', -2.1667, -79.8333],
+  ['America/Guyana', 'GY', 6.8, -58.1667],
+  ['America/Halifax', 'CA', 44.65, -63.6],
+  ['America/Havana', 'CU', 23.1333, -82.3667],
+  ['America/Hermosillo', 'MX', 29.0667, -110.9667],
+  ['America/Indiana/Indianapolis', 'US', 39.7683, -86.1581],
+  ['America/Indiana/Knox', 'US', 41.2958, -86.625],
+  ['America/Indiana/Marengo', 'US', 38.3756, -86.3447],
+  ['America/Indiana/Petersburg', 'US', 38.4919, -87.2786],
+  ['America/Indiana/Tell_City', 'US', 37.9531, -86.7614],
+  ['America/Indiana/Vevay', 'US', 38.7478, -85.0672],
+  ['America/Indiana/Vincennes', 'US', 38.6772, -87.5286],
+  ['America/Indiana/Winamac', 'US', 41.0514, -86.6031],
+  ['America/Inuvik', 'CA', 68.3497, -133.7167],
+  ['America/Iqaluit', 'CA', 63.7333, -68.4667],
+  ['America/Jamaica', 'JM', 17.9681, -76.7933],
+  ['America/Juneau', 'US', 58.3019, -134.4197],
+  ['America/Kentucky/Louisville', 'US', 38.2542, -85.7594],
+  ['America/Kentucky/Monticello', 'US', 36.8297, -84.8492],
+  ['America/Kralendijk', 'BQ', 12.1508, -68.2767],
+  ['America/La_Paz', 'BO', -16.5, -68.15],
+  ['America/Lima', 'PE', -12.05, -77.05],
+  ['America/Los_Angeles', 'US', 34.0522, -118.2428],
+  ['America/Lower_Princes', 'SX', 18.0514, -63.0472],
+  ['America/Maceio', 'BR', -9.6667, -35.7167],
+  ['America/Managua', 'NI', 12.15, -86.2833],
+  ['America/Manaus', 'BR', -3.1333, -60.0167],
+  ['America/Marigot', 'MF', 18.0667, -63.0833],
+  ['America/Martinique', 'MQ', 14.6, -61.0833],
+  ['America/Matamoros', 'MX', 25.8333, -97.5],
+  ['America/Mazatlan', 'MX', 23.2167, -106.4167],
+  ['America/Menominee', 'US', 45.1078, -87.6142],
+  ['America/Merida', 'MX', 20.9667, -89.6167],
+  ['America/Metlakatla', 'US', 55.1269, -131.5764],
+  ['America/Mexico_City', 'MX', 19.4, -99.15],
+  ['America/Miquelon', 'PM', 47.05, -56.3333],
+  ['America/Moncton', 'CA', 46.1, -64.7833],
+  ['America/Monterrey', 'MX', 25.6667, -100.3167],
+  ['America/Montevideo', 'UY', -34.9092, -56.2125],
+  ['America/Montserrat', 'MS', 16.7167, -62.2167],
+  ['America/Nassau', 'BS', 25.0833, -77.35],
+  ['America/New_York', 'US', 40.7142, -74.0064],
+  ['America/Nome', 'US', 64.5011, -165.4064],
+  ['America/Noronha', 'BR', -3.85, -32.4167],
+  ['America/North_Dakota/Beulah', 'US', 47.2642, -101.7778],
+  ['America/North_Dakota/Center', 'US', 47.1164, -101.2992],
+  ['America/North_Dakota/New_Salem', 'US', 46.845, -101.4108],
+  ['America/Nuuk', 'GL', 64.1833, -51.7333],
+  ['America/Ojinaga', 'MX', 29.5667, -104.4167],
+  ['America/Panama', 'PA', 8.9667, -79.5333],
+  ['America/Paramaribo', 'SR', 5.8333, -55.1667],
+  ['America/Phoenix', 'US', 33.4483, -112.0733],
+  ['America/Port-au-Prince', 'HT', 18.5333, -72.3333],
+  ['America/Port_of_Spain', 'TT', 10.65, -61.5167],
+  ['America/Porto_Velho', 'BR', -8.7667, -63.9],
+  ['America/Puerto_Rico', 'PR', 18.4683, -66.1061],
+  ['America/Punta_Arenas', 'CL', -53.15, -70.9167],
+  ['America/Rankin_Inlet', 'CA', 62.8167, -92.0831],
+  ['America/Recife', 'BR', -8.05, -34.9],
+  ['America/Regina', 'CA', 50.4, -104.65],
+  ['America/Resolute', 'CA', 74.6956, -94.8292],
+  ['America/Rio_Branco', 'BR', -9.9667, -67.8],
+  ['America/Santarem', 'BR', -2.4333, -54.8667],
+  ['America/Santiago', 'CL', -33.45, -70.6667],
+  ['America/Santo_Domingo', 'DO', 18.4667, -69.9],
+  ['America/Sao_Paulo', 'BR', -23.5333, -46.6167],
+  ['America/Scoresbysund', 'GL', 70.4833, -21.9667],
+  ['America/Sitka', 'US', 57.1764, -135.3019],
+  ['America/St_Barthelemy', 'BL', 17.8833, -62.85],
+  ['America/St_Johns', 'CA', 47.5667, -52.7167],
+  ['America/St_Kitts', 'KN', 17.3, -62.7167],
+  ['America/St_Lucia', 'LC', 14.0167, -61.0],
+  ['America/St_Thomas', 'VI', 18.35, -64.9333],
+  ['America/St_Vincent', 'VC', 13.15, -61.2333],
+  ['America/Swift_Current', 'CA', 50.2833, -107.8333],
+  ['America/Tegucigalpa', 'HN', 14.1, -87.2167],
+  ['America/Thule', 'GL', 76.5667, -68.7833],
+  ['America/Tijuana', 'MX', 32.5333, -117.0167],
+  ['America/Toronto', 'CA', 43.65, -79.3833],
+  ['America/Tortola', 'VG', 18.45, -64.6167],
+  ['America/Vancouver', 'CA', 49.2667, -123.1167],
+  ['America/Whitehorse', 'CA', 60.7167, -135.05],
+  ['America/Winnipeg', 'CA', 49.8833, -97.15],
+  ['America/Yakutat', 'US', 59.5469, -139.7272],
+  ['Antarctica/Casey', 'AQ', -66.2833, 110.5167],
+  ['Antarctica/Davis', 'AQ', -68.5833, 77.9667],
+  ['Antarctica/DumontDUrville', 'AQ', -66.6667, 140.0167],
+  ['Antarctica/Macquarie', 'AU', -54.5, 158.95],
+  ['Antarctica/Mawson', 'AQ', -67.6, 62.8833],
+  ['Antarctica/McMurdo', 'AQ', -77.8333, 166.6],
+  ['Antarctica/Palmer', 'AQ', -64.8, -64.1],
+  ['Antarctica/Rothera', 'AQ', -67.5667, -68.1333],
+  ['Antarctica/Syowa', 'AQ', -69.0061, 39.59],
+  ['Antarctica/Troll', 'AQ', -72.0114, 2.535],
+  ['Antarctica/Vostok', 'AQ', -78.4, 106.9],
+  ['Arctic/Longyearbyen', 'SJ', 78.0, 16.0],
+  ['Asia/Aden', 'YE', 12.75, 45.2],
+  ['Asia/Almaty', 'KZ', 43.25, 76.95],
+  ['Asia/Amman', 'JO', 31.95, 35.9333],
+  ['Asia/Anadyr', 'RU', 64.75, 177.4833],
+  ['Asia/Aqtau', 'KZ', 44.5167, 50.2667],
+  ['Asia/Aqtobe', 'KZ', 50.2833, 57.1667],
+  ['Asia/Ashgabat', 'TM', 37.95, 58.3833],
+  ['Asia/Atyrau', 'KZ', 47.1167, 51.9333],
+  ['Asia/Baghdad', 'IQ', 33.35, 44.4167],
+  ['Asia/Bahrain', 'BH', 26.3833, 50.5833],
+  ['Asia/Baku', 'AZ', 40.3833, 49.85],
+  ['Asia/Bangkok', 'TH', 13.75, 100.5167],
+  ['Asia/Barnaul', 'RU', 53.3667, 83.75],
+  ['Asia/Beirut', 'LB', 33.8833, 35.5],
+  ['Asia/Bishkek', 'KG', 42.9, 74.6],
+  ['Asia/Brunei', 'BN', 4.9333, 114.9167],
+  ['Asia/Chita', 'RU', 52.05, 113.4667],
+  ['Asia/Colombo', 'LK', 6.9333, 79.85],
+  ['Asia/Damascus', 'SY', 33.5, 36.3],
+  ['Asia/Dhaka', 'BD', 23.7167, 90.4167],
+  ['Asia/Dili', 'TL', -8.55, 125.5833],
+  ['Asia/Dubai', 'AE', 25.3, 55.3],
+  ['Asia/Dushanbe', 'TJ', 38.5833, 68.8],
+  ['Asia/Famagusta', 'CY', 35.1167, 33.95],
+  ['Asia/Gaza', 'PS', 31.5, 34.4667],
+  ['Asia/Hebron', 'PS', 31.5333, 35.095],
+  ['Asia/Ho_Chi_Minh', 'VN', 10.75, 106.6667],
+  ['Asia/Hong_Kong', 'HK', 22.2833, 114.15],
+  ['Asia/Hovd', 'MN', 48.0167, 91.65],
+  ['Asia/Irkutsk', 'RU', 52.2667, 104.3333],
+  ['Asia/Jakarta', 'ID', -6.1667, 106.8],
+  ['Asia/Jayapura', 'ID', -2.5333, 140.7],
+  ['Asia/Jerusalem', 'IL', 31.7806, 35.2239],
+  ['Asia/Kabul', 'AF', 34.5167, 69.2],
+  ['Asia/Kamchatka', 'RU', 53.0167, 158.65],
+  ['Asia/Karachi', 'PK', 24.8667, 67.05],
+  ['Asia/Kathmandu', 'NP', 27.7167, 85.3167],
+  ['Asia/Khandyga', 'RU', 62.6564, 135.5539],
+  ['Asia/Kolkata', 'IN', 22.5333, 88.3667],
+  ['Asia/Krasnoyarsk', 'RU', 56.0167, 92.8333],
+  ['Asia/Kuala_Lumpur', 'MY', 3.1667, 101.7],
+  ['Asia/Kuching', 'MY', 1.55, 110.3333],
+  ['Asia/Kuwait', 'KW', 29.3333, 47.9833],
+  ['Asia/Macau', 'MO', 22.1972, 113.5417],
+  ['Asia/Magadan', 'RU', 59.5667, 150.8],
+  ['Asia/Makassar', 'ID', -5.1167, 119.4],
+  ['Asia/Manila', 'PH', 14.5867, 120.9678],
+  ['Asia/Muscat', 'OM', 23.6, 58.5833],
+  ['Asia/Nicosia', 'CY', 35.1667, 33.3667],
+  ['Asia/Novokuznetsk', 'RU', 53.75, 87.1167],
+  ['Asia/Novosibirsk', 'RU', 55.0333, 82.9167],
+  ['Asia/Omsk', 'RU', 55.0, 73.4],
+  ['Asia/Oral', 'KZ', 51.2167, 51.35],
+  ['Asia/Phnom_Penh', 'KH', 11.55, 104.9167],
+  ['Asia/Pontianak', 'ID', -0.0333, 109.3333],
+  ['Asia/Pyongyang', 'KP', 39.0167, 125.75],
+  ['Asia/Qatar', 'QA', 25.2833, 51.5333],
+  ['Asia/Qostanay', 'KZ', 53.2, 63.6167],
+  ['Asia/Qyzylorda', 'KZ', 44.8, 65.4667],
+  ['Asia/Riyadh', 'SA', 24.6333, 46.7167],
+  ['Asia/Sakhalin', 'RU', 46.9667, 142.7],
+  ['Asia/Samarkand', 'UZ', 39.6667, 66.8],
+  ['Asia/Seoul', 'KR', 37.55, 126.9667],
+  ['Asia/Shanghai', 'CN', 31.2333, 121.4667],
+  ['Asia/Singapore', 'SG', 1.2833, 103.85],
+  ['Asia/Srednekolymsk', 'RU', 67.4667, 153.7167],
+  ['Asia/Taipei', 'TW', 25.05, 121.5],
+  ['Asia/Tashkent', 'UZ', 41.3333, 69.3],
+  ['Asia/Tbilisi', 'GE', 41.7167, 44.8167],
+  ['Asia/Tehran', 'IR', 35.6667, 51.4333],
+  ['Asia/Thimphu', 'BT', 27.4667, 89.65],
+  ['Asia/Tokyo', 'JP', 35.6544, 139.7447],
+  ['Asia/Tomsk', 'RU', 56.5, 84.9667],
+  ['Asia/Ulaanbaatar', 'MN', 47.9167, 106.8833],
+  ['Asia/Urumqi', 'CN', 43.8, 87.5833],
+  ['Asia/Ust-Nera', 'RU', 64.5603, 143.2267],
+  ['Asia/Vientiane', 'LA', 17.9667, 102.6],
+  ['Asia/Vladivostok', 'RU', 43.1667, 131.9333],
+  ['Asia/Yakutsk', 'RU', 62.0, 129.6667],
+  ['Asia/Yangon', 'MM', 16.7833, 96.1667],
+  ['Asia/Yekaterinburg', 'RU', 56.85, 60.6],
+  ['Asia/Yerevan', 'AM', 40.1833, 44.5],
+  ['Atlantic/Azores', 'PT', 37.7333, -25.6667],
+  ['Atlantic/Bermuda', 'BM', 32.2833, -64.7667],
+  ['Atlantic/Canary', 'ES', 28.1, -15.4],
+  ['Atlantic/Cape_Verde', 'CV', 14.9167, -23.5167],
+  ['Atlantic/Faroe', 'FO', 62.0167, -6.7667],
+  ['Atlantic/Madeira', 'PT', 32.6333, -16.9],
+  ['Atlantic/Reykjavik', 'IS', 64.15, -21.85],
+  ['Atlantic/South_Georgia', 'GS', -54.2667, -36.5333],
+  ['Atlantic/St_Helena', 'SH', -15.9167, -5.7],
+  ['Atlantic/Stanley', 'FK', -51.7, -57.85],
+  ['Australia/Adelaide', 'AU', -34.9167, 138.5833],
+  ['Australia/Brisbane', 'AU', -27.4667, 153.0333],
+  ['Australia/Broken_Hill', 'AU', -31.95, 141.45],
+  ['Australia/Darwin', 'AU', -12.4667, 130.8333],
+  ['Australia/Eucla', 'AU', -31.7167, 128.8667],
+  ['Australia/Hobart', 'AU', -42.8833, 147.3167],
+  ['Australia/Lindeman', 'AU', -20.2667, 149.0],
+  ['Australia/Lord_Howe', 'AU', -31.55, 159.0833],
+  ['Australia/Melbourne', 'AU', -37.8167, 144.9667],
+  ['Australia/Perth', 'AU', -31.95, 115.85],
+  ['Australia/Sydney', 'AU', -33.8667, 151.2167],
+  ['Europe/Amsterdam', 'NL', 52.3667, 4.9],
+  ['Europe/Andorra', 'AD', 42.5, 1.5167],
+  ['Europe/Astrakhan', 'RU', 46.35, 48.05],
+  ['Europe/Athens', 'GR', 37.9667, 23.7167],
+  ['Europe/Belgrade', 'RS', 44.8333, 20.5],
+  ['Europe/Berlin', 'DE', 52.5, 13.3667],
+  ['Europe/Bratislava', 'SK', 48.15, 17.1167],
+  ['Europe/Brussels', 'BE', 50.8333, 4.3333],
+  ['Europe/Bucharest', 'RO', 44.4333, 26.1],
+  ['Europe/Budapest', 'HU', 47.5, 19.0833],
+  ['Europe/Busingen', 'DE', 47.7, 8.6833],
+  ['Europe/Chisinau', 'MD', 47.0, 28.8333],
+  ['Europe/Copenhagen', 'DK', 55.6667, 12.5833],
+  ['Europe/Dublin', 'IE', 53.3333, -6.25],
+  ['Europe/Gibraltar', 'GI', 36.1333, -5.35],
+  ['Europe/Guernsey', 'GG', 49.4547, -2.5361],
+  ['Europe/Helsinki', 'FI', 60.1667, 24.9667],
+  ['Europe/Isle_of_Man', 'IM', 54.15, -4.4667],
+  ['Europe/Istanbul', 'TR', 41.0167, 28.9667],
+  ['Europe/Jersey', 'JE', 49.1836, -2.1067],
+  ['Europe/Kaliningrad', 'RU', 54.7167, 20.5],
+  ['Europe/Kirov', 'RU', 58.6, 49.65],
+  ['Europe/Kyiv', 'UA', 50.4333, 30.5167],
+  ['Europe/Lisbon', 'PT', 38.7167, -9.1333],
+  ['Europe/Ljubljana', 'SI', 46.05, 14.5167],
+  ['Europe/London', 'GB', 51.5083, -0.1253],
+  ['Europe/Luxembourg', 'LU', 49.6, 6.15],
+  ['Europe/Madrid', 'ES', 40.4, -3.6833],
+  ['Europe/Malta', 'MT', 35.9, 14.5167],
+  ['Europe/Mariehamn', 'AX', 60.1, 19.95],
+  ['Europe/Minsk', 'BY', 53.9, 27.5667],
+  ['Europe/Monaco', 'MC', 43.7, 7.3833],
+  ['Europe/Moscow', 'RU', 55.7558, 37.6178],
+  ['Europe/Oslo', 'NO', 59.9167, 10.75],
+  ['Europe/Paris', 'FR', 48.8667, 2.3333],
+  ['Europe/Podgorica', 'ME', 42.4333, 19.2667],
+  ['Europe/Prague', 'CZ', 50.0833, 14.4333],
+  ['Europe/Riga', 'LV', 56.95, 24.1],
+  ['Europe/Rome', 'IT', 41.9, 12.4833],
+  ['Europe/Samara', 'RU', 53.2, 50.15],
+  ['Europe/San_Marino', 'SM', 43.9167, 12.4667],
+  ['Europe/Sarajevo', 'BA', 43.8667, 18.4167],
+  ['Europe/Saratov', 'RU', 51.5667, 46.0333],
+  ['Europe/Simferopol', 'UA', 44.95, 34.1],
+  ['Europe/Skopje', 'MK', 41.9833, 21.4333],
+  ['Europe/Sofia', 'BG', 42.6833, 23.3167],
+  ['Europe/Stockholm', 'SE', 59.3333, 18.05],
+  ['Europe/Tallinn', 'EE', 59.4167, 24.75],
+  ['Europe/Tirane', 'AL', 41.3333, 19.8333],
+  ['Europe/Ulyanovsk', 'RU', 54.3333, 48.4],
+  ['Europe/Vaduz', 'LI', 47.15, 9.5167],
+  ['Europe/Vatican', 'VA', 41.9022, 12.4531],
+  ['Europe/Vienna', 'AT', 48.2167, 16.3333],
+  ['Europe/Vilnius', 'LT', 54.6833, 25.3167],
+  ['Europe/Volgograd', 'RU', 48.7333, 44.4167],
+  ['Europe/Warsaw', 'PL', 52.25, 21.0],
+  ['Europe/Zagreb', 'HR', 45.8, 15.9667],
+  ['Europe/Zurich', 'CH', 47.3833, 8.5333],
+  ['Indian/Antananarivo', 'MG', -18.9167, 47.5167],
+  ['Indian/Chagos', 'IO', -7.3333, 72.4167],
+  ['Indian/Christmas', 'CX', -10.4167, 105.7167],
+  ['Indian/Cocos', 'CC', -12.1667, 96.9167],
+  ['Indian/Comoro', 'KM', -11.6833, 43.2667],
+  ['Indian/Kerguelen', 'TF', -49.3528, 70.2175],
+  ['Indian/Mahe', 'SC', -4.6667, 55.4667],
+  ['Indian/Maldives', 'MV', 4.1667, 73.5],
+  ['Indian/Mauritius', 'MU', -20.1667, 57.5],
+  ['Indian/Mayotte', 'YT', -12.7833, 45.2333],
+  ['Indian/Reunion', 'RE', -20.8667, 55.4667],
+  ['Pacific/Apia', 'WS', -13.8333, -171.7333],
+  ['Pacific/Auckland', 'NZ', -36.8667, 174.7667],
+  ['Pacific/Bougainville', 'PG', -6.2167, 155.5667],
+  ['Pacific/Chatham', 'NZ', -43.95, -176.55],
+  ['Pacific/Chuuk', 'FM', 7.4167, 151.7833],
+  ['Pacific/Easter', 'CL', -27.15, -109.4333],
+  ['Pacific/Efate', 'VU', -17.6667, 168.4167],
+  ['Pacific/Fakaofo', 'TK', -9.3667, -171.2333],
+  ['Pacific/Fiji', 'FJ', -18.1333, 178.4167],
+  ['Pacific/Funafuti', 'TV', -8.5167, 179.2167],
+  ['Pacific/Galapagos', 'EC', -0.9, -89.6],
+  ['Pacific/Gambier', 'PF', -23.1333, -134.95],
+  ['Pacific/Guadalcanal', 'SB', -9.5333, 160.2],
+  ['Pacific/Guam', 'GU', 13.4667, 144.75],
+  ['Pacific/Honolulu', 'US', 21.3069, -157.8583],
+  ['Pacific/Kanton', 'KI', -2.7833, -171.7167],
+  ['Pacific/Kiritimati', 'KI', 1.8667, -157.3333],
+  ['Pacific/Kosrae', 'FM', 5.3167, 162.9833],
+  ['Pacific/Kwajalein', 'MH', 9.0833, 167.3333],
+  ['Pacific/Majuro', 'MH', 7.15, 171.2],
+  ['Pacific/Marquesas', 'PF', -9.0, -139.5],
+  ['Pacific/Midway', 'UM', 28.2167, -177.3667],
+  ['Pacific/Nauru', 'NR', -0.5167, 166.9167],
+  ['Pacific/Niue', 'NU', -19.0167, -169.9167],
+  ['Pacific/Norfolk', 'NF', -29.05, 167.9667],
+  ['Pacific/Noumea', 'NC', -22.2667, 166.45],
+  ['Pacific/Pago_Pago', 'AS', -14.2667, -170.7],
+  ['Pacific/Palau', 'PW', 7.3333, 134.4833],
+  ['Pacific/Pitcairn', 'PN', -25.0667, -130.0833],
+  ['Pacific/Pohnpei', 'FM', 6.9667, 158.2167],
+  ['Pacific/Port_Moresby', 'PG', -9.5, 147.1667],
+  ['Pacific/Rarotonga', 'CK', -21.2333, -159.7667],
+  ['Pacific/Saipan', 'MP', 15.2, 145.75],
+  ['Pacific/Tahiti', 'PF', -17.5333, -149.5667],
+  ['Pacific/Tarawa', 'KI', 1.4167, 173.0],
+  ['Pacific/Tongatapu', 'TO', -21.1333, -175.2],
+  ['Pacific/Wake', 'UM', 19.2833, 166.6167],
+  ['Pacific/Wallis', 'WF', -13.3, -176.1667]
+];
+
+module.exports = { ZONE_LOCATIONS };
@@ -384,6 +384,62 @@ export interface WesternBirthChart {
    patterns?: any[];
 }
 
+/**
+ * Body identifiers of the Chart document; Vedic Rahu and Ketu are the mean nodes
+ */
+export type ChartBodyId =
+  | 'SUN' | 'MOON' | 'MERCURY' | 'VENUS' | 'MARS' | 'JUPITER' | 'SATURN' | 'URANUS' | 'NEPTUNE' | 'PLUTO'
+  | 'MEAN_NODE' | 'TRUE_NODE' | 'MEAN_SOUTH_NODE' | 'TRUE_SOUTH_NODE' | 'MEAN_LILITH' | 'OSCULATING_LILITH'
+  | 'CHIRON' | 'CERES' | 'PALLAS' | 'JUNO' | 'VESTA';
+
+/**
+ * Body position in a Chart document
+ */
+export interface ChartBody {
+  longitude: number; // degrees [0, 360) in the document's zodiac
+  latitude?: number;
+  speed?: number; // degrees per day
+  retrograde?: boolean;
+}
+
+/**
+ * Service-neutral chart exchanged between services (backend/charts/chart-schema.json, version 1.0)
+ */
+export interface ChartDocument {
+  schemaVersion: '1.0';
+  type: 'natal' | 'event' | 'national' | 'return' | 'composite' | 'horary';
+  label?: string;
+  moment: {
+    julianDay: number;
+    utc: string; // ISO 8601 UTC timestamp
+  };
+  location?: {
+    latitude: number;
+    longitude: number;
+    name?: string;
+  } | null;
+  zodiac: 'tropical' | 'sidereal';
+  ayanamsa: {
+    system: string;
+    value: number;
+  } | null; // required for sidereal charts
+  houseSystem: 'PLACIDUS' | 'KOCH' | 'EQUAL' | 'WHOLE_SIGN';
+  houses: number[]; // 12 house cusps
+  angles: {
+    ASC: number;
+    MC: number;
+    DSC: number;
+    IC: number;
+    VTX?: number;
+  };
+  bodies: Partial<Record<ChartBodyId, ChartBody>>;
+  source: {
+    service: 'vedic' | 'western' | 'mundane' | 'client';
+    generator: string;
+    generatedAt?: string;
+  };
+}
+
 /**
  * Divisional Chart Data
  */
@@ -9,6 +9,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('rate-limiter-flexible');
+const chineseApiRouter = require('./src/chinese-api');
 
 // Import centralized logger (assuming shared logger exists)
 let logger;
@@ -137,6 +138,9 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// ZC2 Chinese astrology REST API (Ba-Zi, horoscopes, compatibility, Nine Star Ki)
+app.use('/api/v1/zc2', chineseApiRouter);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   (req.logger?.error || logger.error)('Unhandled error:', err);
@@ -0,0 +1,353 @@
+/**
+ * ZodiaCore - ZC2 Chinese Astrology REST API
+ *
+ * Express router exposing the Chinese calculation engines under /api/v1/zc2.
+ * ChineseHoroscopeError and the zodiac compatibility ValidationError map to
+ * 4xx responses in the error envelope documented in docs/api/index.md.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { getBaZiSummary, getCurrentLuckPillar } = require('./chinese-ba-zi-calculator');
+const { ChineseHoroscopeSystem, ChineseHoroscopeError } = require('./chinese-horoscope-system');
+const NineStarKiCalculator = require('./chinese-nine-star-ki-calculator');
+const {
+    ZodiacCompatibilityEngine,
+    ZodiacCompatibilityError,
+    ValidationError: CompatibilityValidationError
+} = require('./chinese-zodiac-compatibility-engine');
+const { fromCanonical } = require('./chinese-chart-adapter');
+const { validateChart } = require('../../../backend/charts/chart-document');
+const { resolveLocalTime, describeResolution, isValidTimeZone } = require('../../../backend/timezone/tz-resolver');
+const {
+    ApiError,
+    sendSuccess,
+    assertValid,
+    asyncRoute,
+    notFoundHandler,
+    createErrorHandler
+} = require('../../../backend/http/api-response');
+const { verifyAccessToken } = require('../../../backend/auth/tokens');
+const { getBearerToken } = require('../../../backend/auth/middleware');
+const { AuthenticationError, AuthorizationError } = require('../../../backend/auth/errors');
+
+const TIMEFRAMES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Engine instances are stateless and shared across requests
+const nineStarKiCalculator = new NineStarKiCalculator();
+const compatibilityEngine = new ZodiacCompatibilityEngine();
+
+// Ba-Zi charts generated with a userId, keyed by the authenticated user (use DB in production)
+const chartStore = new Map();
+
+/**
+ * Check whether a YYYY-MM-DD string names a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True for valid dates
+ */
+function isDateString(value) {
+    if (!DATE_PATTERN.test(value || '')) {
+        return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate a documented birth data object; the supported year range is
+ * left to ChineseHoroscopeSystem.validateBirthData
+ * @param {Object} birthData - { date, time, latitude, longitude, timezone, gender }
+ * @param {string} path - Field path for error messages
+ * @param {Array<string>} errors - Error list to append to
+ */
+function collectBirthDataErrors(birthData, path, errors) {
+    if (!birthData || typeof birthData !== 'object') {
+        errors.push(`${path}: Required object`);
+        return;
+    }
+
+    if (!isDateString(birthData.date)) {
+        errors.push(`${path}.date: Must be a valid date in YYYY-MM-DD format`);
+    }
+
+    if (!TIME_PATTERN.test(birthData.time || '')) {
+        errors.push(`${path}.time: Must be a valid time in HH:mm or HH:mm:ss format`);
+    }
+
+    // Coordinates are optional for Ba-Zi but must be valid when given
+    if (birthData.latitude !== undefined &&
+        (typeof birthData.latitude !== 'number' || birthData.latitude < -90 || birthData.latitude > 90)) {
+        errors.push(`${path}.latitude: Must be a number between -90 and 90`);
+    }
+    if (birthData.longitude !== undefined &&
+        (typeof birthData.longitude !== 'number' || birthData.longitude < -180 || birthData.longitude > 180)) {
+        errors.push(`${path}.longitude: Must be a number between -180 and 180`);
+    }
+
+    const { timezone } = birthData;
+    if (typeof timezone === 'number') {
+        if (timezone < -12 || timezone > 14) {
+            errors.push(`${path}.timezone: Offset must be between -12 and 14 hours`);
+        }
+    } else if (typeof timezone === 'string') {
+        if (timezone === 'LMT') {
+            if (typeof birthData.longitude !== 'number') {
+                errors.push(`${path}.timezone: 'LMT' requires a longitude`);
+            }
+        } else if (!isValidTimeZone(timezone)) {
+            errors.push(`${path}.timezone: Unknown IANA time zone`);
+        }
+    } else if (timezone !== undefined) {
+        errors.push(`${path}.timezone: Must be an IANA time zone, 'LMT' or hour offset`);
+    }
+
+    if (birthData.disambiguation !== undefined && !['earlier', 'later'].includes(birthData.disambiguation)) {
+        errors.push(`${path}.disambiguation: Must be 'earlier' or 'later'`);
+    }
+
+    if (birthData.gender !== undefined && !['male', 'female'].includes(birthData.gender)) {
+        errors.push(`${path}.gender: Must be 'male' or 'female'`);
+    }
+}
+
+/**
+ * Convert documented birth data to the form expected by calculateBaZi:
+ * local civil date/time components plus the zone's offset at that instant
+ * @param {Object} birthData - { date, time, latitude?, longitude?, timezone?, disambiguation?, gender? }
+ * @returns {Object} Calculator input with local components, timezoneOffset and timeResolution
+ */
+function toCalculatorBirthData(birthData) {
+    const [year, month, day] = birthData.date.split('-').map(Number);
+    const [hour, minute, second = 0] = birthData.time.split(':').map(Number);
+
+    // Coordinates are optional here, so without them or a zone the time is taken as UT
+    const hasLocation = typeof birthData.latitude === 'number' && typeof birthData.longitude === 'number';
+    const resolution = resolveLocalTime(
+        { ...birthData, timezone: birthData.timezone ?? (hasLocation ? undefined : 0) },
+        { disambiguation: birthData.disambiguation }
+    );
+    const timezoneOffset = resolution.offsetHours;
+    const timeResolution = describeResolution(resolution);
+
+    const input = { year, month, day, hour, minute, second, timezoneOffset, timeResolution };
+    if (birthData.latitude !== undefined) {
+        input.latitude = birthData.latitude;
+    }
+    if (birthData.longitude !== undefined) {
+        input.longitude = birthData.longitude;
+    }
+    if (birthData.gender !== undefined) {
+        input.gender = birthData.gender;
+    }
+    return input;
+}
+
+/**
+ * Validate one person of a compatibility request: birth data, or
+ * { chart } holding a chart document from any service
+ * @param {Object} person - Person from the request body
+ * @param {string} path - Field path for error messages
+ * @param {Array<string>} errors - Error list to append to
+ */
+function collectPersonErrors(person, path, errors) {
+    if (person && typeof person === 'object' && person.chart !== undefined) {
+        errors.push(...validateChart(person.chart).errors.map(error => `${path}.${error}`));
+    } else {
+        collectBirthDataErrors(person, path, errors);
+    }
+}
+
+/**
+ * Generate a Ba-Zi chart from documented birth data
+ * @param {Object} birthData - Documented birth data object
+ * @returns {Object} Calculator input and horoscope system holding the chart
+ * @throws {ChineseHoroscopeError} VALIDATION_ERROR for unsupported dates
+ */
+function generateChart(birthData) {
+    const input = toCalculatorBirthData(birthData);
+    const system = new ChineseHoroscopeSystem();
+    system.generateBaZiChart(input);
+    return { input, system };
+}
+
+/**
+ * Shape a Ba-Zi chart into the documented response
+ * @param {Object} chart - Chart from calculateBaZi
+ * @param {Object} input - Calculator input from toCalculatorBirthData
+ * @returns {Object} Response data
+ */
+function formatChart(chart, input) {
+    return {
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        pillars: {
+            year: chart.year,
+            month: chart.month,
+            day: chart.day,
+            hour: chart.hour
+        },
+        summary: getBaZiSummary(chart),
+        animalSign: chart.year.animal,
+        dayMaster: { stem: chart.day.stem, element: chart.day.element },
+        tenGods: chart.tenGods,
+        luckPillars: chart.luckPillars || null,
+        currentLuckPillar: chart.luckPillars ? getCurrentLuckPillar(chart.luckPillars) : null,
+        lunarDate: chart.lunarDate
+    };
+}
+
+/**
+ * Authenticate the request as userId before its stored chart is written or read
+ * @param {Object} req - Express request
+ * @param {string} userId - Owner of the stored chart
+ * @returns {string} Token subject, the chart store key
+ * @throws {ApiError} NOT_IMPLEMENTED without JWT_SECRET, AUTHENTICATION_ERROR
+ *   for a missing or invalid token, AUTHORIZATION_ERROR for another user
+ */
+function assertChartOwner(req, userId) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new ApiError(501, 'NOT_IMPLEMENTED', 'Stored charts need JWT_SECRET to authenticate their owner');
+    }
+    const token = getBearerToken(req);
+    if (!token) {
+        throw new AuthenticationError('Authentication required', { reason: 'missing_token' });
+    }
+    const subject = verifyAccessToken(token, { secret }).sub;
+    if (subject !== userId) {
+        throw new AuthorizationError(`The Ba-Zi chart of user '${userId}' is only available to that user`);
+    }
+    return subject;
+}
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/zc2/bazi
+ * Calculate the Four Pillars; stores the chart for the authenticated user when
+ * a userId is supplied
+ */
+router.post('/bazi', asyncRoute(async (req, res) => {
+    const { userId, birthData } = req.body || {};
+    const errors = [];
+    if (userId !== undefined && (typeof userId !== 'string' || userId.length === 0)) {
+        errors.push('userId: Must be a non-empty string');
+    }
+    collectBirthDataErrors(birthData, 'birthData', errors);
+    assertValid(errors);
+
+    const owner = userId ? assertChartOwner(req, userId) : null;
+    const { input, system } = generateChart(birthData);
+
+    const chartId = `chart_${crypto.randomUUID()}`;
+    if (owner) {
+        chartStore.set(owner, { chartId, system });
+    }
+
+    sendSuccess(req, res, { chartId, userId, ...formatChart(system.baZiChart, input) });
+}));
+
+/**
+ * GET /api/v1/zc2/horoscope/:userId/:timeframe
+ * Daily, weekly, monthly or yearly horoscope for the authenticated user's stored chart
+ */
+router.get('/horoscope/:userId/:timeframe', asyncRoute(async (req, res) => {
+    const { userId } = req.params;
+    const timeframe = req.params.timeframe.toLowerCase();
+
+    const errors = [];
+    if (!TIMEFRAMES.includes(timeframe)) {
+        errors.push(`timeframe: Must be one of ${TIMEFRAMES.join(', ')}`);
+    }
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+        errors.push('date: Must be a valid ISO 8601 date');
+    }
+    assertValid(errors);
+
+    const stored = chartStore.get(assertChartOwner(req, userId));
+    if (!stored) {
+        throw new ApiError(404, 'NOT_FOUND', `No Ba-Zi chart found for user '${userId}'`);
+    }
+
+    const horoscope = await stored.system.generateHoroscope(timeframe, date);
+    const luckPillar = stored.system.baZiChart.luckPillars ? stored.system.getCurrentLuckPillar(date) : null;
+
+    sendSuccess(req, res, { userId, chartId: stored.chartId, timeframe, ...horoscope, luckPillar });
+}));
+
+/**
+ * POST /api/v1/zc2/compatibility
+ * Zodiac animal compatibility from two signs, or from two people given as
+ * birth data or chart documents
+ */
+router.post('/compatibility', asyncRoute(async (req, res) => {
+    const { sign1, sign2, person1, person2 } = req.body || {};
+    let signs;
+
+    if (person1 !== undefined || person2 !== undefined) {
+        const errors = [];
+        collectPersonErrors(person1, 'person1', errors);
+        collectPersonErrors(person2, 'person2', errors);
+        assertValid(errors);
+
+        signs = [person1, person2]
+            .map(person => (person.chart !== undefined ? fromCanonical(person.chart) : generateChart(person)))
+            .map(({ system }) => system.baZiChart.year.animal);
+    } else {
+        // Sign names are validated by ZodiacCompatibilityValidator inside the engine
+        signs = [sign1, sign2];
+    }
+
+    sendSuccess(req, res, compatibilityEngine.calculateCompatibility(signs[0], signs[1]));
+}));
+
+/**
+ * POST /api/v1/zc2/nine-star-ki
+ * Nine Star Ki birth star, current year star and directional influences
+ */
+router.post('/nine-star-ki', asyncRoute(async (req, res) => {
+    const { birthData } = req.body || {};
+    const errors = [];
+    collectBirthDataErrors(birthData, 'birthData', errors);
+    assertValid(errors);
+
+    const { input } = generateChart(birthData);
+
+    sendSuccess(req, res, { year: input.year, ...nineStarKiCalculator.calculate(input) });
+}));
+
+/**
+ * Map engine errors to the documented error envelope
+ * @param {Error} error - Error thrown by a route
+ * @returns {Object|undefined} { status, code, message, details }, or undefined for internal failures
+ */
+function mapEngineError(error) {
+    // SYSTEM_ERROR is an internal failure and falls through to INTERNAL_ERROR
+    if (error instanceof ChineseHoroscopeError && error.code !== 'SYSTEM_ERROR') {
+        const status = error.code === 'VALIDATION_ERROR' ? 400 : 422;
+        return { status, code: error.code, message: error.message, details: error.details };
+    }
+    if (error instanceof CompatibilityValidationError) {
+        return { status: 400, code: 'VALIDATION_ERROR', message: error.message };
+    }
+    if (error instanceof ZodiacCompatibilityError) {
+        return { status: 422, code: error.code, message: error.message };
+    }
+    return undefined;
+}
+
+// Unknown ZC2 routes, then the error envelope
+router.use(notFoundHandler);
+router.use(createErrorHandler({ label: 'ZC2 API', mapError: mapEngineError }));
+
+module.exports = router;
+module.exports.ApiError = ApiError;
+module.exports.toCalculatorBirthData = toCalculatorBirthData;
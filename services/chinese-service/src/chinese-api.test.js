@@ -0,0 +1,291 @@
+/**
+ * ZodiaCore - ZC2 Chinese API Tests
+ *
+ * Exercises the /api/v1/zc2 router over HTTP with supertest, covering
+ * the documented success and error envelopes.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const express = require('express');
+const request = require('supertest');
+const chineseApiRouter = require('./chinese-api');
+const { toCalculatorBirthData } = require('./chinese-api');
+const { ChineseHoroscopeSystem } = require('./chinese-horoscope-system');
+const { signAccessToken } = require('../../../backend/auth/tokens');
+
+describe('ZC2 Chinese API', () => {
+    let app;
+
+    const birthData = {
+        date: '1990-05-15',
+        time: '14:30:00',
+        latitude: 39.9042,
+        longitude: 116.4074,
+        timezone: 'Asia/Shanghai'
+    };
+
+    const secret = 'chinese-api-test-secret';
+    const bearer = userId => `Bearer ${signAccessToken({ id: userId, roles: [] }, { secret })}`;
+    let savedSecret;
+
+    beforeAll(() => {
+        savedSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = secret;
+
+        app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.correlationId = req.headers['x-correlation-id'];
+            next();
+        });
+        app.use('/api/v1/zc2', chineseApiRouter);
+    });
+
+    afterAll(() => {
+        if (savedSecret === undefined) {
+            delete process.env.JWT_SECRET;
+        } else {
+            process.env.JWT_SECRET = savedSecret;
+        }
+    });
+
+    test('toCalculatorBirthData keeps local components and applies the zone offset', () => {
+        // China observed daylight saving time from 1986 to 1991
+        const input = toCalculatorBirthData(birthData);
+        expect(input).toMatchObject({ year: 1990, month: 5, day: 15, hour: 14, minute: 30, second: 0, timezoneOffset: 9 });
+        expect(toCalculatorBirthData({ ...birthData, timezone: 8 }).timezoneOffset).toBe(8);
+    });
+
+    test('toCalculatorBirthData takes the time as UT without a zone or coordinates', () => {
+        const input = toCalculatorBirthData({ date: birthData.date, time: birthData.time });
+        expect(input.timezoneOffset).toBe(0);
+        expect(input.timeResolution).toMatchObject({ source: 'offset', status: 'valid' });
+    });
+
+    describe('POST /bazi', () => {
+        test('returns the four pillars in the success envelope', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/bazi')
+                .set('x-correlation-id', 'req-789')
+                .send({ birthData });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.metadata).toMatchObject({ requestId: 'req-789', version: '1.0.0' });
+
+            const { data } = response.body;
+            expect(data.chartId).toMatch(/^chart_/);
+            for (const pillar of ['year', 'month', 'day', 'hour']) {
+                expect(data.pillars[pillar]).toEqual(expect.objectContaining({
+                    stem: expect.any(String),
+                    branch: expect.any(String),
+                    element: expect.any(String),
+                    animal: expect.any(String)
+                }));
+            }
+            expect(data.animalSign).toBe('Horse');
+            expect(data.summary.split(' ')).toHaveLength(4);
+        });
+
+        test('adds luck pillars when a gender is given', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/bazi')
+                .send({ birthData: { ...birthData, gender: 'female' } });
+
+            const { data } = response.body;
+            expect(data.tenGods.dayMaster.stem).toBe(data.dayMaster.stem);
+            expect(data.luckPillars.direction).toBe('backward');
+            expect(data.luckPillars.pillars).toHaveLength(8);
+            expect(data.currentLuckPillar).toEqual(expect.objectContaining({ stem: expect.any(String), tenGod: expect.any(String) }));
+
+            const withoutGender = await request(app).post('/api/v1/zc2/bazi').send({ birthData });
+            expect(withoutGender.body.data.luckPillars).toBeNull();
+        });
+
+        test('rejects malformed birth data with VALIDATION_ERROR', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/bazi')
+                .send({ birthData: { ...birthData, date: '1990-02-30', timezone: 'Moon/Base' } });
+
+            expect(response.status).toBe(400);
+            expect(response.body.success).toBe(false);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+            expect(response.body.error.details.errors).toEqual([
+                expect.stringMatching(/^birthData\.date/),
+                expect.stringMatching(/^birthData\.timezone/)
+            ]);
+        });
+
+        test('maps ChineseHoroscopeError validation failures to 400', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/bazi')
+                .send({ birthData: { ...birthData, date: '1850-01-01', timezone: 8 } });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+            expect(response.body.error.details).toEqual({ field: 'year', reason: 'must be between 1900 and 2100' });
+        });
+    });
+
+    describe('GET /horoscope/:userId/:timeframe', () => {
+        beforeAll(async () => {
+            await request(app)
+                .post('/api/v1/zc2/bazi')
+                .set('Authorization', bearer('horoscope-user'))
+                .send({ userId: 'horoscope-user', birthData });
+        });
+
+        test.each(['daily', 'weekly', 'monthly', 'yearly'])('generates a %s horoscope from the stored chart', async (timeframe) => {
+            const response = await request(app)
+                .get(`/api/v1/zc2/horoscope/horoscope-user/${timeframe}`)
+                .set('Authorization', bearer('horoscope-user'))
+                .query({ date: '2024-03-10T00:00:00Z' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ userId: 'horoscope-user', timeframe, type: timeframe });
+            expect(response.body.data.chartId).toMatch(/^chart_/);
+            expect(response.body.data.predictions).toBeDefined();
+        });
+
+        test('rejects unknown timeframes', async () => {
+            const response = await request(app).get('/api/v1/zc2/horoscope/horoscope-user/hourly');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/^timeframe/);
+        });
+
+        test('reports unexpected generator failures as INTERNAL_ERROR', async () => {
+            const generate = vi.spyOn(ChineseHoroscopeSystem.prototype, 'generateHoroscope')
+                .mockRejectedValueOnce(new Error('Chinese horoscope generation failed: lookup table missing'));
+            const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+            try {
+                const response = await request(app)
+                    .get('/api/v1/zc2/horoscope/horoscope-user/daily')
+                    .set('Authorization', bearer('horoscope-user'));
+
+                expect(response.status).toBe(500);
+                expect(response.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error' });
+                expect(log).toHaveBeenCalledWith('ZC2 API error:', expect.any(Error));
+            } finally {
+                generate.mockRestore();
+                log.mockRestore();
+            }
+        });
+
+        test('returns NOT_FOUND for users without a chart', async () => {
+            const response = await request(app).get('/api/v1/zc2/horoscope/nobody/daily').set('Authorization', bearer('nobody'));
+
+            expect(response.status).toBe(404);
+            expect(response.body.error.code).toBe('NOT_FOUND');
+        });
+
+        test('stores and reads charts only for the authenticated user', async () => {
+            const anonymous = await request(app).post('/api/v1/zc2/bazi').send({ userId: 'horoscope-user', birthData });
+            expect(anonymous.status).toBe(401);
+
+            const overwrite = await request(app)
+                .post('/api/v1/zc2/bazi')
+                .set('Authorization', bearer('someone-else'))
+                .send({ userId: 'horoscope-user', birthData });
+            expect(overwrite.status).toBe(403);
+
+            const other = await request(app)
+                .get('/api/v1/zc2/horoscope/horoscope-user/daily')
+                .set('Authorization', bearer('someone-else'));
+            expect(other.status).toBe(403);
+            expect(other.body.error.code).toBe('AUTHORIZATION_ERROR');
+        });
+    });
+
+    describe('POST /compatibility', () => {
+        test('scores two zodiac signs', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/compatibility')
+                .send({ sign1: 'rat', sign2: 'Dragon' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ sign1: 'Rat', sign2: 'Dragon' });
+            expect(response.body.data.score).toEqual(expect.any(Number));
+        });
+
+        test('derives signs from birth data', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/compatibility')
+                .send({ person1: birthData, person2: { ...birthData, date: '1988-11-02' } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ sign1: 'Horse', sign2: 'Dragon' });
+        });
+
+        test('derives signs from chart documents of other services', async () => {
+            const chart = {
+                schemaVersion: '1.0',
+                type: 'natal',
+                moment: { julianDay: 2447482.5, utc: '1988-11-02T00:00:00.000Z' },
+                location: { latitude: 39.9042, longitude: 116.4074 },
+                zodiac: 'sidereal',
+                ayanamsa: { system: 'LAHIRI', value: 23.7 },
+                houseSystem: 'WHOLE_SIGN',
+                houses: [180, 210, 240, 270, 300, 330, 0, 30, 60, 90, 120, 150],
+                angles: { ASC: 195, MC: 105, DSC: 15, IC: 285 },
+                bodies: { SUN: { longitude: 196.3 } },
+                source: { service: 'vedic', generator: 'VedicBirthChartGenerator' }
+            };
+
+            const response = await request(app)
+                .post('/api/v1/zc2/compatibility')
+                .send({ person1: birthData, person2: { chart } });
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ sign1: 'Horse', sign2: 'Dragon' });
+
+            const { moment, ...withoutMoment } = chart;
+            const invalid = await request(app)
+                .post('/api/v1/zc2/compatibility')
+                .send({ person1: birthData, person2: { chart: withoutMoment } });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.error.details.errors).toContain('person2.chart.moment: Is required');
+        });
+
+        test('maps validator failures to 400', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/compatibility')
+                .send({ sign1: 'Cat', sign2: 'Rat' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+            expect(response.body.error.message).toMatch(/Invalid zodiac sign: Cat/);
+        });
+    });
+
+    describe('POST /nine-star-ki', () => {
+        test('returns the birth star and directions', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/nine-star-ki')
+                .send({ birthData });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.year).toBe(1990);
+            expect(response.body.data.birthStar).toEqual(expect.any(String));
+            expect(Object.keys(response.body.data.directions)).toHaveLength(9);
+        });
+
+        test('requires birth data', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc2/nine-star-ki')
+                .send({});
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toEqual(['birthData: Required object']);
+        });
+    });
+
+    test('unknown routes return NOT_FOUND', async () => {
+        const response = await request(app).get('/api/v1/zc2/unknown');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+});
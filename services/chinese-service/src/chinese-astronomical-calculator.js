@@ -2,12 +2,13 @@
 // Handles lunar and solar astronomical calculations for Chinese horoscopes
 
 const { CHINESE_HOROSCOPE_CONSTANTS } = require('./chinese-horoscope-constants');
+const { SOLAR_TERM_NAMES } = require('./chinese-birth-chart-constants');
 const {
     gregorianToJulianDay,
-    julianDayToGregorian,
-    calculateNewMoons,
-    calculateSolarTerms,
-    findCurrentSolarTerm
+    degToRad,
+    radToDeg,
+    normalizeAngle,
+    mod
 } = require('./chinese-birth-chart-utils');
 
 /**
@@ -52,21 +53,15 @@ class ChineseAstronomicalCalculator {
     /**
      * Calculate solar terms (24 jieqi) for a given year
      * @param {number} year - Gregorian year
-     * @returns {Array} Array of solar term objects
+     * @returns {Array} Array of solar term objects, by longitude from the Spring Equinox
      */
     calculateSolarTerms(year) {
         const solarTerms = [];
-        const solarTermNames = [
-            'Spring Begins', 'Rain Water', 'Insects Awaken', 'Spring Equinox', 'Clear and Bright', 'Grain Rains',
-            'Summer Begins', 'Grain Buds', 'Grain in Ear', 'Summer Solstice', 'Minor Heat', 'Major Heat',
-            'Autumn Begins', 'Stopping the Heat', 'White Dews', 'Autumn Equinox', 'Cold Dews', 'Frost Descent',
-            'Winter Begins', 'Minor Snow', 'Major Snow', 'Winter Solstice', 'Minor Cold', 'Major Cold'
-        ];
 
         for (let term = 0; term < 24; term++) {
             const longitude = term * 15; // Each term is 15 degrees
             const date = this.calculateSolarTermDate(year, longitude);
-            const termName = solarTermNames[term];
+            const termName = this.solarTermCalculator.createTerm(longitude, 0).name;
 
             solarTerms.push({
                 name: termName,
@@ -142,12 +137,16 @@ class ChineseAstronomicalCalculator {
      * @returns {Date} Date when sun reaches the longitude
      */
     calculateSolarTermDate(year, longitude) {
-        // Simplified calculation - find approximate date
-        const jd = gregorianToJulianDay(year, 1, 1);
-        const daysToAdd = (longitude / 360) * 365.25;
-        const targetJD = jd + daysToAdd;
+        // The Sun passes 0° around 20 March and moves about a degree a day
+        const estimate = gregorianToJulianDay(year, 3, 20) + mod(longitude, 360) * 365.2422 / 360;
+        let jd = this.solarTermCalculator.getTermTime(longitude, estimate);
+
+        // Terms from Minor Cold onwards fall in January of the given year
+        if (jd >= gregorianToJulianDay(year + 1, 1, 1)) {
+            jd = this.solarTermCalculator.getTermTime(longitude, jd - 365.2422);
+        }
 
-        return julianDayToGregorian(targetJD);
+        return julianDayToDate(jd);
     }
 
     /**
@@ -192,29 +191,345 @@ class ChineseAstronomicalCalculator {
      * @returns {Object} Current solar term information
      */
     getCurrentSolarTerm(date) {
-        const year = date.getFullYear();
-        const solarTerms = this.calculateSolarTerms(year);
-        const jd = gregorianToJulianDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+        const term = this.solarTermCalculator.getTermAt(dateToJulianDay(date));
 
-        return findCurrentSolarTerm(jd, solarTerms.map(term => ({
+        return {
             ...term,
-            julianDay: gregorianToJulianDay(term.date.year, term.date.month, term.date.day)
-        })));
+            date: julianDayToDate(term.julianDay),
+            significance: this.getSolarTermSignificance(term.name)
+        };
+    }
+}
+
+// Truncated VSOP87 series for the Earth's heliocentric longitude (Meeus,
+// Astronomical Algorithms, Appendix III): rows of [A, B, C] for A cos(B + C tau),
+// in units of 1e-8 radian with tau in Julian millennia from J2000
+const EARTH_LONGITUDE_SERIES = [
+    [
+        [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+        [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+        [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+        [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+        [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+        [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+        [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+        [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+        [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+        [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+        [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+        [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+        [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+        [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+        [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+        [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+        [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+        [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+        [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+        [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+        [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+        [25, 3.16, 4690.48]
+    ],
+    [
+        [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+        [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+        [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+        [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+        [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+        [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+        [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+        [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+        [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+        [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+        [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+        [6, 4.67, 4690.48]
+    ],
+    [
+        [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+        [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+        [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+        [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+        [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+        [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+        [2, 4.38, 5223.69], [2, 3.75, 0.98]
+    ],
+    [
+        [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+        [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+        [1, 5.97, 242.73]
+    ],
+    [
+        [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]
+    ],
+    [
+        [1, 3.14, 0]
+    ]
+];
+
+// Periodic terms of the new moon (Meeus, chapter 49): [coefficient, power of E,
+// multiples of M, M', F, Omega]
+const NEW_MOON_TERMS = [
+    [-0.4072, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+    [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+    [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+    [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+    [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+    [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+    [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+    [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+    [0.00002, 0, 0, 4, 0, 0]
+];
+
+// Planetary arguments of the new moon: [coefficient, A at k = 0, rate per lunation]
+const NEW_MOON_PLANETARY_TERMS = [
+    [0.000325, 299.77, 0.107408], [0.000165, 251.88, 0.016321], [0.000164, 251.83, 26.651886],
+    [0.000126, 349.42, 36.412478], [0.00011, 84.66, 18.206239], [0.000062, 141.74, 53.303771],
+    [0.00006, 207.14, 2.453732], [0.000056, 154.84, 7.30686], [0.000047, 34.52, 27.261239],
+    [0.000042, 207.19, 0.121824], [0.00004, 291.34, 1.844379], [0.000037, 161.72, 24.198154],
+    [0.000035, 239.56, 25.513099], [0.000023, 331.55, 3.592518]
+];
+
+const J2000 = 2451545.0;
+const SECONDS_PER_DAY = 86400;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+
+/**
+ * Convert a Date to a Julian Day
+ * @param {Date} date - Instant
+ * @returns {number} Julian Day (UT)
+ */
+function dateToJulianDay(date) {
+    return date.getTime() / (SECONDS_PER_DAY * 1000) + UNIX_EPOCH_JULIAN_DAY;
+}
+
+/**
+ * Convert a Julian Day to a Date
+ * @param {number} jd - Julian Day (UT)
+ * @returns {Date} Instant
+ */
+function julianDayToDate(jd) {
+    return new Date(Math.round((jd - UNIX_EPOCH_JULIAN_DAY) * SECONDS_PER_DAY * 1000));
+}
+
+/**
+ * Estimate Delta T (TT - UT) with the Espenak-Meeus polynomials
+ * @param {number} year - Decimal year
+ * @returns {number} Delta T in seconds
+ */
+function deltaT(year) {
+    if (year < 1900) {
+        const t = year - 1860;
+        return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3 -
+            0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (year < 1920) {
+        const t = year - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (year < 1941) {
+        const t = year - 1920;
+        return 21.2 + 0.84493 * t - 0.0761 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (year < 1961) {
+        const t = year - 1950;
+        return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (year < 1986) {
+        const t = year - 1975;
+        return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (year < 2005) {
+        const t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 +
+            0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
     }
+    if (year < 2050) {
+        const t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+}
+
+/**
+ * Convert a Julian Day between UT and TT
+ * @param {number} jd - Julian Day
+ * @param {number} sign - 1 for UT to TT, -1 for TT to UT
+ * @returns {number} Converted Julian Day
+ */
+function shiftDeltaT(jd, sign) {
+    const year = 2000 + (jd - J2000) / 365.25;
+    return jd + sign * deltaT(year) / SECONDS_PER_DAY;
 }
 
 /**
- * Lunar Calendar Calculator (placeholder for future expansion)
+ * Lunar Calendar Calculator
+ * Computes new moon instants (Meeus, chapter 49, accurate to about a minute)
  */
 class LunarCalendarCalculator {
-    // Placeholder for lunar calendar specific calculations
+    /**
+     * Calculate the instant of a numbered new moon
+     * @param {number} k - Lunation number, 0 for the new moon of 6 January 2000
+     * @returns {number} Julian Day (UT) of the new moon
+     */
+    getNewMoon(k) {
+        const T = k / 1236.85;
+        let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T ** 2 -
+            0.00000015 * T ** 3 + 0.00000000073 * T ** 4;
+
+        const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+        const M = degToRad(2.5534 + 29.1053567 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3);
+        const Mprime = degToRad(201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 +
+            0.00001238 * T ** 3 - 0.000000058 * T ** 4);
+        const F = degToRad(160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 -
+            0.00000227 * T ** 3 + 0.000000011 * T ** 4);
+        const omega = degToRad(124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3);
+
+        for (const [coefficient, ePower, m, mPrime, f, o] of NEW_MOON_TERMS) {
+            jde += coefficient * E ** ePower * Math.sin(m * M + mPrime * Mprime + f * F + o * omega);
+        }
+
+        NEW_MOON_PLANETARY_TERMS.forEach(([coefficient, base, rate], index) => {
+            // The first planetary argument also has a T^2 term
+            const argument = base + rate * k - (index === 0 ? 0.009173 * T ** 2 : 0);
+            jde += coefficient * Math.sin(degToRad(argument));
+        });
+
+        return shiftDeltaT(jde, -1);
+    }
+
+    /**
+     * Get the lunation number of the last new moon at or before an instant
+     * @param {number} jd - Julian Day (UT)
+     * @returns {number} Lunation number
+     */
+    getLunationBefore(jd) {
+        let k = Math.floor((jd - 2451550.09766) / CHINESE_HOROSCOPE_CONSTANTS.LUNAR_CYCLE_DAYS);
+        while (this.getNewMoon(k + 1) <= jd) k++;
+        while (this.getNewMoon(k) > jd) k--;
+        return k;
+    }
+
+    /**
+     * List new moons in a range
+     * @param {number} startJD - Julian Day (UT) to start from
+     * @param {number} endJD - Julian Day (UT) to end before
+     * @returns {Array<number>} Julian Days (UT) of the new moons, in order
+     */
+    getNewMoonsBetween(startJD, endJD) {
+        const newMoons = [];
+        for (let k = this.getLunationBefore(startJD); ; k++) {
+            const jd = this.getNewMoon(k);
+            if (jd >= endJD) break;
+            if (jd >= startJD) newMoons.push(jd);
+        }
+        return newMoons;
+    }
 }
 
 /**
- * Solar Term Calculator (placeholder for future expansion)
+ * Solar Term Calculator
+ * Computes the Sun's apparent longitude from a truncated VSOP87 series
+ * (within a few arcseconds) and the instants of the 24 solar terms (jieqi)
  */
 class SolarTermCalculator {
-    // Placeholder for solar term specific calculations
+    /**
+     * Calculate the Sun's apparent geocentric longitude
+     * @param {number} jd - Julian Day (UT)
+     * @returns {number} Apparent longitude in degrees (0-360)
+     */
+    getSolarLongitude(jd) {
+        const jde = shiftDeltaT(jd, 1);
+        const tau = (jde - J2000) / 365250;
+        const T = tau * 10;
+
+        // Heliocentric longitude of the Earth
+        let earthLongitude = 0;
+        EARTH_LONGITUDE_SERIES.forEach((series, power) => {
+            const sum = series.reduce((total, [A, B, C]) => total + A * Math.cos(B + C * tau), 0);
+            earthLongitude += sum * tau ** power;
+        });
+        earthLongitude /= 1e8;
+
+        // Geocentric, FK5 frame, nutation in longitude and aberration
+        const sunLongitude = radToDeg(earthLongitude) + 180 - 0.09033 / 3600;
+        const omega = degToRad(125.04452 - 1934.136261 * T);
+        const meanSun = degToRad(280.4665 + 36000.7698 * T);
+        const meanMoon = degToRad(218.3165 + 481267.8813 * T);
+        const nutation = (-17.2 * Math.sin(omega) - 1.32 * Math.sin(2 * meanSun) -
+            0.23 * Math.sin(2 * meanMoon) + 0.21 * Math.sin(2 * omega)) / 3600;
+        const aberration = -20.4898 / 3600;
+
+        return normalizeAngle(sunLongitude + nutation + aberration);
+    }
+
+    /**
+     * Find when the Sun reaches a longitude
+     * @param {number} longitude - Solar longitude in degrees
+     * @param {number} jdEstimate - Julian Day (UT) within a few weeks of the crossing
+     * @returns {number} Julian Day (UT) of the crossing
+     */
+    getTermTime(longitude, jdEstimate) {
+        const daysPerDegree = 365.2422 / 360;
+        let jd = jdEstimate;
+
+        for (let i = 0; i < 20; i++) {
+            const delta = mod(longitude - this.getSolarLongitude(jd) + 180, 360) - 180;
+            jd += delta * daysPerDegree;
+            if (Math.abs(delta) < 1e-7) break;
+        }
+
+        return jd;
+    }
+
+    /**
+     * Calculate the solar terms falling in a Gregorian year, in date order
+     * @param {number} year - Gregorian year
+     * @returns {Array} Terms from Minor Cold to Winter Solstice: { name, longitude, julianDay, isPrincipal }
+     */
+    calculateSolarTerms(year) {
+        const terms = [];
+        // Minor Cold (285°) falls around 5 January
+        const start = gregorianToJulianDay(year, 1, 5);
+
+        for (let i = 0; i < 24; i++) {
+            const longitude = mod(285 + i * 15, 360);
+            terms.push(this.createTerm(longitude, this.getTermTime(longitude, start + i * 15.2)));
+        }
+
+        return terms;
+    }
+
+    /**
+     * Find the solar term in force at an instant
+     * @param {number} jd - Julian Day (UT)
+     * @returns {Object} Latest term at or before the instant: { name, longitude, julianDay, isPrincipal }
+     */
+    getTermAt(jd) {
+        const longitude = Math.floor(this.getSolarLongitude(jd) / 15) * 15;
+        const termJD = this.getTermTime(longitude, jd);
+
+        // Rounding near the crossing can land just after the instant
+        if (termJD > jd) {
+            const previous = mod(longitude - 15, 360);
+            return this.createTerm(previous, this.getTermTime(previous, jd - 15.2));
+        }
+        return this.createTerm(longitude, termJD);
+    }
+
+    /**
+     * Describe a solar term
+     * @param {number} longitude - Term longitude in degrees (a multiple of 15)
+     * @param {number} julianDay - Julian Day (UT) of the term
+     * @returns {Object} { name, longitude, julianDay, isPrincipal }
+     */
+    createTerm(longitude, julianDay) {
+        return {
+            name: SOLAR_TERM_NAMES[mod((longitude - 315) / 15, 24)],
+            longitude: longitude,
+            julianDay: julianDay,
+            // Principal terms (zhongqi) fall on multiples of 30°
+            isPrincipal: longitude % 30 === 0
+        };
+    }
 }
 
 module.exports = {
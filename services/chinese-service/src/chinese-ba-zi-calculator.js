@@ -1,38 +1,100 @@
 // Chinese Ba-Zi (Four Pillars) Calculator
-// Module for calculating the four pillars of destiny: Year, Month, Day, Hour
+// Module for calculating the four pillars of destiny: Year, Month, Day, Hour,
+// with hidden stems, Ten Gods, 10-year Luck Pillars (Da Yun) and annual pillars
 
-const { HEAVENLY_STEMS, EARTHLY_BRANCHES, STEM_ELEMENTS, CHINESE_ASTRO_CONSTANTS } = require('./chinese-birth-chart-constants');
+const {
+    HEAVENLY_STEMS,
+    EARTHLY_BRANCHES,
+    STEM_ELEMENTS,
+    CHINESE_ASTRO_CONSTANTS,
+    ELEMENT_RELATIONSHIPS,
+    HIDDEN_STEMS,
+    TEN_GODS,
+    LUCK_PILLAR_CONSTANTS
+} = require('./chinese-birth-chart-constants');
 const { gregorianToJulianDay, mod, getAnimalSign } = require('./chinese-birth-chart-utils');
 const { gregorianToLunar } = require('./chinese-lunar-calendar');
+const { SolarTermCalculator } = require('./chinese-astronomical-calculator');
+
+const solarTermCalculator = new SolarTermCalculator();
+
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+const MS_PER_DAY = 86400000;
 
 /**
  * Calculate complete Ba-Zi (Four Pillars) for birth data
- * @param {Object} birthData - Birth information
+ * @param {Object} birthData - Birth information; luck pillars are added when gender ('male' or 'female') is given
  * @returns {Object} Complete Ba-Zi chart
  */
 function calculateBaZi(birthData) {
     // Step 1: Convert to lunar date and time
     const lunarData = gregorianToLunar(birthData);
 
-    // Step 2: Calculate year pillar
-    const yearPillar = calculateYearPillar(lunarData.lunarYear);
+    // Step 2: Ba-Zi years and months turn at the Jie solar terms, so place the Sun
+    const sunLongitude = solarTermCalculator.getSolarLongitude(lunarData.julianDay);
+    const solarYear = getSolarYear(birthData.year, birthData.month, sunLongitude);
+
+    // Step 3: Calculate year pillar
+    const yearPillar = calculateYearPillar(solarYear);
 
-    // Step 3: Calculate month pillar
-    const monthPillar = calculateMonthPillar(lunarData.lunarYear, lunarData.solarTerm);
+    // Step 4: Calculate month pillar from the Sun's distance past Spring Begins
+    const monthPillar = calculateMonthPillar(solarYear, {
+        longitude: mod(sunLongitude - LUCK_PILLAR_CONSTANTS.FIRST_JIE_LONGITUDE, 360)
+    });
 
-    // Step 4: Calculate day pillar
+    // Step 5: Calculate day pillar
     const dayPillar = calculateDayPillar(birthData);
 
-    // Step 5: Calculate hour pillar
+    // Step 6: Calculate hour pillar
     const hourPillar = calculateHourPillar(dayPillar.stem, birthData.hour);
 
-    return {
+    const baZi = {
         year: yearPillar,
         month: monthPillar,
         day: dayPillar,
         hour: hourPillar,
         lunarDate: lunarData
     };
+    baZi.tenGods = calculateTenGods(baZi);
+
+    if (birthData.gender !== undefined) {
+        baZi.luckPillars = calculateLuckPillars(baZi, birthData.gender);
+    }
+
+    return baZi;
+}
+
+/**
+ * Get the Ba-Zi (solar) year, which begins at Spring Begins (Li Chun) rather than 1 January
+ * @param {number} year - Gregorian year
+ * @param {number} month - Gregorian month (1-12)
+ * @param {number} sunLongitude - Apparent solar longitude in degrees
+ * @returns {number} Solar year
+ */
+function getSolarYear(year, month, sunLongitude) {
+    const beforeSpringBegins = month <= 2 &&
+        sunLongitude >= 270 && sunLongitude < LUCK_PILLAR_CONSTANTS.FIRST_JIE_LONGITUDE;
+    return beforeSpringBegins ? year - 1 : year;
+}
+
+/**
+ * Build a pillar from stem and branch indices
+ * @private
+ * @param {number} stemIndex - Heavenly Stem index (any integer)
+ * @param {number} branchIndex - Earthly Branch index (any integer)
+ * @returns {Object} Pillar with stem, branch, element, animal and hidden stems
+ */
+function createPillar(stemIndex, branchIndex) {
+    const stem = HEAVENLY_STEMS[mod(stemIndex, 10)];
+    const branch = EARTHLY_BRANCHES[mod(branchIndex, 12)];
+
+    return {
+        stem: stem,
+        branch: branch,
+        element: STEM_ELEMENTS[stem],
+        animal: getAnimalSign(branch),
+        hiddenStems: getHiddenStems(branch)
+    };
 }
 
 /**
@@ -50,34 +112,24 @@ function calculateYearPillar(lunarYear) {
     // Find branch index (12 branches cycle every 12 years)
     const branchIndex = mod(yearsSinceJiaZi, 12);
 
-    return {
-        stem: HEAVENLY_STEMS[stemIndex],
-        branch: EARTHLY_BRANCHES[branchIndex],
-        element: STEM_ELEMENTS[HEAVENLY_STEMS[stemIndex]],
-        animal: getAnimalSign(EARTHLY_BRANCHES[branchIndex])
-    };
+    return createPillar(stemIndex, branchIndex);
 }
 
 /**
  * Calculate month pillar
- * @param {number} lunarYear - Lunar year
- * @param {Object} solarTerm - Current solar term
+ * @param {number} lunarYear - Solar (Ba-Zi) year
+ * @param {Object} solarTerm - Current solar term, with longitude in degrees past Spring Begins
  * @returns {Object} Month pillar
  */
 function calculateMonthPillar(lunarYear, solarTerm) {
-    // Month is determined by solar term
+    // Each Jie term starts a month; the first (Spring Begins) is the Yin month
     const monthIndex = Math.floor(solarTerm.longitude / 30);
 
-    // Stem calculation based on year stem and month
+    // Stem calculation based on year stem: Jia and Ji years open with a Bing Yin month
     const yearStemIndex = HEAVENLY_STEMS.indexOf(calculateYearPillar(lunarYear).stem);
-    const monthStemIndex = mod(yearStemIndex * 2 + monthIndex, 10);
+    const monthStemIndex = yearStemIndex * 2 + 2 + monthIndex;
 
-    return {
-        stem: HEAVENLY_STEMS[monthStemIndex],
-        branch: EARTHLY_BRANCHES[monthIndex],
-        element: STEM_ELEMENTS[HEAVENLY_STEMS[monthStemIndex]],
-        animal: getAnimalSign(EARTHLY_BRANCHES[monthIndex])
-    };
+    return createPillar(monthStemIndex, monthIndex + 2);
 }
 
 /**
@@ -90,19 +142,14 @@ function calculateDayPillar(birthData) {
     const jd = gregorianToJulianDay(birthData.year, birthData.month, birthData.day, 0, 0, 0, timezoneOffset);
 
     // Calculate days since reference date
-    const referenceJD = gregorianToJulianDay(2000, 1, 1, 0, 0, 0, timezoneOffset); // Jia Zi day reference
+    const referenceJD = gregorianToJulianDay(2000, 1, 1, 0, 0, 0, timezoneOffset);
     const daysSinceReference = Math.floor(jd - referenceJD);
 
-    // Find stem and branch for day
-    const stemIndex = mod(daysSinceReference + 6, 10); // +6 to align with Jia Zi
-    const branchIndex = mod(daysSinceReference + 2, 12); // +2 to align with Zi
+    // 1 January 2000 is a Wu Wu day, 54 days into the sexagenary cycle
+    const stemIndex = daysSinceReference + 4;
+    const branchIndex = daysSinceReference + 6;
 
-    return {
-        stem: HEAVENLY_STEMS[stemIndex],
-        branch: EARTHLY_BRANCHES[branchIndex],
-        element: STEM_ELEMENTS[HEAVENLY_STEMS[stemIndex]],
-        animal: getAnimalSign(EARTHLY_BRANCHES[branchIndex])
-    };
+    return createPillar(stemIndex, branchIndex);
 }
 
 /**
@@ -117,16 +164,214 @@ function calculateHourPillar(dayStem, hour) {
 
     // Find starting stem based on day stem
     const dayStemIndex = HEAVENLY_STEMS.indexOf(dayStem);
-    const hourStemIndex = mod(dayStemIndex * 2 + doubleHour, 10);
+    const hourStemIndex = dayStemIndex * 2 + doubleHour;
+
+    return createPillar(hourStemIndex, doubleHour);
+}
+
+/**
+ * Get the polarity of a Heavenly Stem
+ * @param {string} stem - Heavenly Stem
+ * @returns {string} 'Yang' for Jia, Bing, Wu, Geng and Ren; otherwise 'Yin'
+ */
+function getStemPolarity(stem) {
+    return HEAVENLY_STEMS.indexOf(stem) % 2 === 0 ? 'Yang' : 'Yin';
+}
+
+/**
+ * Get the hidden stems of an Earthly Branch
+ * @param {string} branch - Earthly Branch
+ * @returns {Array} Hidden stems, main qi first: { stem, element, qi, weight }
+ */
+function getHiddenStems(branch) {
+    const qiNames = ['main', 'middle', 'residual'];
+
+    return (HIDDEN_STEMS[branch] || []).map(([stem, weight], index) => ({
+        stem: stem,
+        element: STEM_ELEMENTS[stem],
+        qi: qiNames[index],
+        weight: weight
+    }));
+}
+
+/**
+ * Get the Ten Gods relationship of a stem to the Day Master
+ * @param {string} dayMaster - Day stem
+ * @param {string} stem - Stem to relate
+ * @returns {string} Ten God name
+ */
+function getTenGod(dayMaster, stem) {
+    const self = STEM_ELEMENTS[dayMaster];
+    const other = STEM_ELEMENTS[stem];
+    if (!self || !other) {
+        throw new Error(`Unknown Heavenly Stem: ${self ? stem : dayMaster}`);
+    }
+
+    let relation;
+    if (self === other) {
+        relation = 'same';
+    } else if (ELEMENT_RELATIONSHIPS.generation[self] === other) {
+        relation = 'output';
+    } else if (ELEMENT_RELATIONSHIPS.control[self] === other) {
+        relation = 'wealth';
+    } else if (ELEMENT_RELATIONSHIPS.control[other] === self) {
+        relation = 'power';
+    } else {
+        relation = 'resource';
+    }
+
+    return TEN_GODS[relation][getStemPolarity(dayMaster) === getStemPolarity(stem) ? 0 : 1];
+}
+
+/**
+ * Calculate the Ten Gods of every stem and hidden stem in the chart
+ * @param {Object} baZi - Ba-Zi chart
+ * @returns {Object} Day Master plus, per pillar, { stem, hiddenStems: [{ stem, tenGod }] }
+ */
+function calculateTenGods(baZi) {
+    const dayMaster = baZi.day.stem;
+    const tenGods = {
+        dayMaster: {
+            stem: dayMaster,
+            element: STEM_ELEMENTS[dayMaster],
+            polarity: getStemPolarity(dayMaster)
+        }
+    };
+
+    for (const pillar of ['year', 'month', 'day', 'hour']) {
+        const { stem, branch } = baZi[pillar];
+        tenGods[pillar] = {
+            stem: pillar === 'day' ? 'Day Master' : getTenGod(dayMaster, stem),
+            hiddenStems: getHiddenStems(branch).map(hidden => ({
+                stem: hidden.stem,
+                tenGod: getTenGod(dayMaster, hidden.stem)
+            }))
+        };
+    }
+
+    return tenGods;
+}
+
+/**
+ * Calculate the 10-year Luck Pillars (Da Yun)
+ * The pillars step on from the month pillar, forward for a Yang-year male or
+ * Yin-year female and backward otherwise. The first starts at the age given
+ * by the days from birth to the next Jie term (forward) or since the last one
+ * (backward), three days counting as a year.
+ * @param {Object} baZi - Ba-Zi chart from calculateBaZi (uses lunarDate.julianDay)
+ * @param {string} gender - 'male' or 'female'
+ * @param {Object} options - Options
+ * @param {number} options.count - Number of pillars (default 8)
+ * @returns {Object} { direction, daysToJie, startAge, startDate, pillars }
+ */
+function calculateLuckPillars(baZi, gender, options = {}) {
+    const normalizedGender = typeof gender === 'string' ? gender.toLowerCase() : gender;
+    if (!LUCK_PILLAR_CONSTANTS.GENDERS.includes(normalizedGender)) {
+        throw new Error(`Unsupported gender for luck pillars: ${gender}`);
+    }
+    const count = options.count ?? LUCK_PILLAR_CONSTANTS.DEFAULT_PILLAR_COUNT;
+
+    const isYangYear = getStemPolarity(baZi.year.stem) === 'Yang';
+    const forward = isYangYear === (normalizedGender === 'male');
+    const step = forward ? 1 : -1;
+
+    // Jie terms fall every 30° from Spring Begins
+    const birthJD = baZi.lunarDate.julianDay;
+    const sunLongitude = solarTermCalculator.getSolarLongitude(birthJD);
+    const sinceJie = mod(sunLongitude - LUCK_PILLAR_CONSTANTS.FIRST_JIE_LONGITUDE, 30);
+    const jieLongitude = mod(sunLongitude - sinceJie + (forward ? 30 : 0), 360);
+    const daysPerDegree = CHINESE_ASTRO_CONSTANTS.SOLAR_YEAR_DAYS / CHINESE_ASTRO_CONSTANTS.DEGREES_PER_CIRCLE;
+    const jieJD = solarTermCalculator.getTermTime(
+        jieLongitude,
+        birthJD + (forward ? 30 - sinceJie : -sinceJie) * daysPerDegree
+    );
+
+    const daysToJie = Math.abs(jieJD - birthJD);
+    const startAge = daysToJie / LUCK_PILLAR_CONSTANTS.DAYS_PER_YEAR_OF_AGE;
+    const ageToDate = (age) => julianDayToDate(birthJD + age * CHINESE_ASTRO_CONSTANTS.SOLAR_YEAR_DAYS);
+
+    const monthStemIndex = HEAVENLY_STEMS.indexOf(baZi.month.stem);
+    const monthBranchIndex = EARTHLY_BRANCHES.indexOf(baZi.month.branch);
+    const pillars = [];
+
+    for (let index = 0; index < count; index++) {
+        const offset = step * (index + 1);
+        const pillar = createPillar(monthStemIndex + offset, monthBranchIndex + offset);
+        const pillarStartAge = startAge + index * LUCK_PILLAR_CONSTANTS.YEARS_PER_PILLAR;
+        const pillarEndAge = pillarStartAge + LUCK_PILLAR_CONSTANTS.YEARS_PER_PILLAR;
+
+        pillars.push({
+            index: index + 1,
+            ...pillar,
+            tenGod: getTenGod(baZi.day.stem, pillar.stem),
+            startAge: pillarStartAge,
+            endAge: pillarEndAge,
+            startDate: ageToDate(pillarStartAge),
+            endDate: ageToDate(pillarEndAge)
+        });
+    }
 
     return {
-        stem: HEAVENLY_STEMS[hourStemIndex],
-        branch: EARTHLY_BRANCHES[doubleHour],
-        element: STEM_ELEMENTS[HEAVENLY_STEMS[hourStemIndex]],
-        animal: getAnimalSign(EARTHLY_BRANCHES[doubleHour])
+        direction: forward ? 'forward' : 'backward',
+        daysToJie: daysToJie,
+        startAge: startAge,
+        startDate: ageToDate(startAge),
+        pillars: pillars
     };
 }
 
+/**
+ * Find the Luck Pillar running on a date
+ * @param {Object} luckPillars - Result of calculateLuckPillars
+ * @param {Date} date - Date to check
+ * @returns {Object|null} Luck pillar, or null before the first one begins or after the last ends
+ */
+function getCurrentLuckPillar(luckPillars, date = new Date()) {
+    return luckPillars.pillars.find(pillar => date >= pillar.startDate && date < pillar.endDate) || null;
+}
+
+/**
+ * Calculate annual pillars (Liu Nian) and their Ten Gods for a range of years
+ * Each annual pillar begins at Spring Begins (Li Chun).
+ * @param {Object} baZi - Ba-Zi chart
+ * @param {number} startYear - First Gregorian year
+ * @param {number} endYear - Last Gregorian year (inclusive, default startYear)
+ * @returns {Array} Annual pillars: { year, stem, branch, element, animal, hiddenStems, tenGod, startDate }
+ */
+function calculateAnnualPillars(baZi, startYear, endYear = startYear) {
+    if (!Number.isInteger(startYear) || !Number.isInteger(endYear) || endYear < startYear) {
+        throw new Error('Annual pillars need a start year no later than the end year');
+    }
+
+    const annualPillars = [];
+    for (let year = startYear; year <= endYear; year++) {
+        const pillar = calculateYearPillar(year);
+        const springBegins = solarTermCalculator.getTermTime(
+            LUCK_PILLAR_CONSTANTS.FIRST_JIE_LONGITUDE,
+            gregorianToJulianDay(year, 2, 4)
+        );
+
+        annualPillars.push({
+            year: year,
+            ...pillar,
+            tenGod: getTenGod(baZi.day.stem, pillar.stem),
+            startDate: julianDayToDate(springBegins)
+        });
+    }
+
+    return annualPillars;
+}
+
+/**
+ * Convert a Julian Day to a Date
+ * @private
+ * @param {number} jd - Julian Day (UT)
+ * @returns {Date} Date
+ */
+function julianDayToDate(jd) {
+    return new Date(Math.round((jd - UNIX_EPOCH_JULIAN_DAY) * MS_PER_DAY));
+}
+
 /**
  * Get double-hour range for a given hour
  * @param {number} hour - Hour (0-23)
@@ -185,6 +430,14 @@ module.exports = {
     calculateDayPillar,
     calculateHourPillar,
     getDoubleHourInfo,
+    getSolarYear,
+    getStemPolarity,
+    getHiddenStems,
+    getTenGod,
+    calculateTenGods,
+    calculateLuckPillars,
+    getCurrentLuckPillar,
+    calculateAnnualPillars,
     validateBaZi,
     getBaZiSummary
 };
\ No newline at end of file
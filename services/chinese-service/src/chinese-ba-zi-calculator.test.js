@@ -9,8 +9,14 @@ const {
     calculateDayPillar,
     calculateHourPillar,
     validateBaZi,
-    getBaZiSummary
+    getBaZiSummary,
+    getHiddenStems,
+    getTenGod,
+    calculateLuckPillars,
+    getCurrentLuckPillar,
+    calculateAnnualPillars
 } = require('./chinese-ba-zi-calculator');
+const FiveElementsAnalyzer = require('./chinese-five-elements-analyzer');
 
 describe('Chinese Ba-Zi Calculator', () => {
     describe('calculateBaZi', () => {
@@ -267,4 +273,105 @@ describe('Chinese Ba-Zi Calculator', () => {
             expect(result.branch).toBe('Wu'); // Noon is Wu branch
         });
     });
+    describe('Solar year and reference pillars', () => {
+        // 14:30 Beijing time, 15 May 1990
+        const birthData = { year: 1990, month: 5, day: 15, hour: 14, minute: 30, second: 0, timezoneOffset: 8 };
+
+        test('matches a known four pillars chart', () => {
+            expect(getBaZiSummary(calculateBaZi(birthData))).toBe('GengWu XinSi GengChen GuiWei');
+        });
+
+        test('counts days from a Jia Zi day', () => {
+            const day = calculateDayPillar({ year: 1949, month: 10, day: 1, hour: 12, minute: 0, second: 0 });
+            expect(`${day.stem}${day.branch}`).toBe('JiaZi');
+        });
+
+        test('turns the year and month at Spring Begins', () => {
+            // Spring Begins 2024 fell at 16:27 Beijing time on 4 February
+            const before = calculateBaZi({ year: 2024, month: 2, day: 4, hour: 12, minute: 0, second: 0, timezoneOffset: 8 });
+            const after = calculateBaZi({ year: 2024, month: 2, day: 4, hour: 18, minute: 0, second: 0, timezoneOffset: 8 });
+
+            expect(`${before.year.stem}${before.year.branch} ${before.month.stem}${before.month.branch}`).toBe('GuiMao YiChou');
+            expect(`${after.year.stem}${after.year.branch} ${after.month.stem}${after.month.branch}`).toBe('JiaChen BingYin');
+        });
+    });
+
+    describe('Hidden stems and Ten Gods', () => {
+        test('lists hidden stems main qi first', () => {
+            expect(getHiddenStems('Yin').map(hidden => hidden.stem)).toEqual(['Jia', 'Bing', 'Wu']);
+            expect(getHiddenStems('Zi')).toEqual([{ stem: 'Gui', element: 'Water', qi: 'main', weight: 1 }]);
+        });
+
+        test('relates every stem to a Jia Day Master', () => {
+            const gods = ['Jia', 'Yi', 'Bing', 'Ding', 'Wu', 'Ji', 'Geng', 'Xin', 'Ren', 'Gui'].map(stem => getTenGod('Jia', stem));
+            expect(gods).toEqual([
+                'Friend', 'Rob Wealth', 'Eating God', 'Hurting Officer', 'Indirect Wealth',
+                'Direct Wealth', 'Seven Killings', 'Direct Officer', 'Indirect Resource', 'Direct Resource'
+            ]);
+        });
+
+        test('adds Ten Gods for stems and hidden stems to the chart', () => {
+            const { tenGods } = calculateBaZi({ year: 1990, month: 5, day: 15, hour: 14, minute: 30, second: 0, timezoneOffset: 8 });
+
+            expect(tenGods.dayMaster).toEqual({ stem: 'Geng', element: 'Metal', polarity: 'Yang' });
+            expect(tenGods.day.stem).toBe('Day Master');
+            expect(tenGods.month.stem).toBe('Rob Wealth');
+            expect(tenGods.month.hiddenStems.map(hidden => hidden.tenGod))
+                .toEqual(['Seven Killings', 'Indirect Resource', 'Friend']);
+        });
+
+        test('FiveElementsAnalyzer weighs branches through their hidden stems', () => {
+            const baZi = calculateBaZi({ year: 1990, month: 5, day: 15, hour: 14, minute: 30, second: 0, timezoneOffset: 8 });
+            const { counts } = new FiveElementsAnalyzer().analyze(baZi);
+
+            // Wood appears only hidden, as the middle qi of Chen and the residual qi of Wei
+            expect(counts.Wood).toBeCloseTo(0.4, 9);
+            expect(Object.values(counts).reduce((total, count) => total + count, 0)).toBeCloseTo(8, 9);
+        });
+    });
+
+    describe('Luck and annual pillars', () => {
+        const birthData = { year: 1990, month: 5, day: 15, hour: 14, minute: 30, second: 0, timezoneOffset: 8 };
+
+        test('runs forward for a Yang-year male from the next Jie term', () => {
+            // Grain in Ear fell on 6 June 1990, about 21.7 days after birth
+            const luck = calculateBaZi({ ...birthData, gender: 'male' }).luckPillars;
+
+            expect(luck.direction).toBe('forward');
+            expect(luck.startAge).toBeCloseTo(7.2, 1);
+            expect(luck.pillars).toHaveLength(8);
+            expect(luck.pillars.slice(0, 3).map(pillar => `${pillar.stem}${pillar.branch}`))
+                .toEqual(['RenWu', 'GuiWei', 'JiaShen']);
+            expect(luck.pillars[1].startAge).toBeCloseTo(luck.startAge + 10, 9);
+            expect(luck.pillars[0].endDate).toEqual(luck.pillars[1].startDate);
+        });
+
+        test('runs backward for a Yang-year female from the last Jie term', () => {
+            // Summer Begins fell on 5 May 1990, about 9.7 days before birth
+            const luck = calculateLuckPillars(calculateBaZi(birthData), 'female', { count: 3 });
+
+            expect(luck.direction).toBe('backward');
+            expect(luck.startAge).toBeCloseTo(3.2, 1);
+            expect(luck.pillars.map(pillar => `${pillar.stem}${pillar.branch}`)).toEqual(['GengChen', 'JiMao', 'WuYin']);
+            expect(luck.pillars[0].tenGod).toBe('Friend');
+        });
+
+        test('finds the running luck pillar', () => {
+            const luck = calculateBaZi({ ...birthData, gender: 'male' }).luckPillars;
+
+            expect(getCurrentLuckPillar(luck, new Date(Date.UTC(1995, 0, 1)))).toBeNull();
+            expect(getCurrentLuckPillar(luck, new Date(Date.UTC(2024, 0, 1))).branch).toBe('Shen');
+            expect(() => calculateLuckPillars(calculateBaZi(birthData), 'other')).toThrow(/gender/);
+        });
+
+        test('dates annual pillars from Spring Begins', () => {
+            const baZi = calculateBaZi(birthData);
+            const [year2024, year2025] = calculateAnnualPillars(baZi, 2024, 2025);
+
+            expect(year2024).toMatchObject({ year: 2024, stem: 'Jia', branch: 'Chen', tenGod: 'Indirect Wealth' });
+            expect(year2025).toMatchObject({ year: 2025, stem: 'Yi', branch: 'Si', tenGod: 'Direct Wealth' });
+            // 22:10 Beijing time on 3 February 2025
+            expect(Math.abs(year2025.startDate - Date.UTC(2025, 1, 3, 14, 10))).toBeLessThan(15 * 60 * 1000);
+        });
+    });
 });
\ No newline at end of file
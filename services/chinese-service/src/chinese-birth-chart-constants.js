@@ -166,6 +166,49 @@ const ELEMENT_RELATIONSHIPS = {
     }
 };
 
+/**
+ * Hidden Stems (Cang Gan) of the Earthly Branches
+ * Main qi first, then middle and residual qi, with each branch's weights summing to 1
+ */
+const HIDDEN_STEMS = {
+    Zi: [['Gui', 1]],
+    Chou: [['Ji', 0.6], ['Gui', 0.3], ['Xin', 0.1]],
+    Yin: [['Jia', 0.6], ['Bing', 0.3], ['Wu', 0.1]],
+    Mao: [['Yi', 1]],
+    Chen: [['Wu', 0.6], ['Yi', 0.3], ['Gui', 0.1]],
+    Si: [['Bing', 0.6], ['Wu', 0.3], ['Geng', 0.1]],
+    Wu: [['Ding', 0.7], ['Ji', 0.3]],
+    Wei: [['Ji', 0.6], ['Ding', 0.3], ['Yi', 0.1]],
+    Shen: [['Geng', 0.6], ['Ren', 0.3], ['Wu', 0.1]],
+    You: [['Xin', 1]],
+    Xu: [['Wu', 0.6], ['Xin', 0.3], ['Ding', 0.1]],
+    Hai: [['Ren', 0.7], ['Jia', 0.3]]
+};
+
+/**
+ * Ten Gods (Shi Shen)
+ * Relationship of a stem to the Day Master, keyed by element relation;
+ * the first name applies when the polarities match, the second when they differ
+ */
+const TEN_GODS = {
+    same: ['Friend', 'Rob Wealth'],
+    output: ['Eating God', 'Hurting Officer'],
+    wealth: ['Indirect Wealth', 'Direct Wealth'],
+    power: ['Seven Killings', 'Direct Officer'],
+    resource: ['Indirect Resource', 'Direct Resource']
+};
+
+/**
+ * Luck Pillar (Da Yun) Constants
+ */
+const LUCK_PILLAR_CONSTANTS = {
+    YEARS_PER_PILLAR: 10,
+    DEFAULT_PILLAR_COUNT: 8,
+    DAYS_PER_YEAR_OF_AGE: 3,                // Three days to the Jie term count as one year
+    FIRST_JIE_LONGITUDE: 315,               // Spring Begins; a Jie term every 30° from here
+    GENDERS: ['male', 'female']
+};
+
 module.exports = {
     CHINESE_ASTRO_CONSTANTS,
     HEAVENLY_STEMS,
@@ -177,5 +220,8 @@ module.exports = {
     DIRECTIONS,
     SOLAR_TERM_NAMES,
     BRANCH_ANIMALS,
-    ELEMENT_RELATIONSHIPS
+    ELEMENT_RELATIONSHIPS,
+    HIDDEN_STEMS,
+    TEN_GODS,
+    LUCK_PILLAR_CONSTANTS
 };
\ No newline at end of file
@@ -149,13 +149,8 @@ function julianDayToGregorian(jd) {
     const E = Math.floor((B - D) / 30.6001);
 
     const day = B - D - Math.floor(30.6001 * E) + F;
-    let month = E - 1;
-    let year = C - 4715;
-
-    if (E > 13) {
-        month = E - 13;
-        year = C - 4716;
-    }
+    const month = E < 14 ? E - 1 : E - 13;
+    const year = month > 2 ? C - 4716 : C - 4715;
 
     return {
         year: Math.floor(year),
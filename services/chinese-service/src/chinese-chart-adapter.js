@@ -0,0 +1,91 @@
+/**
+ * ZodiaCore - Chinese Chart Adapter
+ *
+ * Reads the service-neutral Chart document (backend/charts/chart-schema.json)
+ * into a Ba-Zi chart. The four pillars depend only on the birth moment and the
+ * local civil time, so the document's moment and location are used and its
+ * bodies, houses and angles are ignored.
+ *
+ * There is no toCanonical: a Ba-Zi chart has no ecliptic bodies, house cusps
+ * or angles, all of which the schema requires, and 'chinese' is not one of the
+ * schema's source services. Charts for synastry, counseling or mundane
+ * analysis are cast from the same birth data by the Vedic or Western service.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ChineseHoroscopeSystem, ChineseHoroscopeError } = require('./chinese-horoscope-system');
+const { validateChart } = require('../../../backend/charts/chart-document');
+const { findZoneForLocation, getZoneOffsetMillis } = require('../../../backend/timezone/tz-resolver');
+
+const MS_PER_HOUR = 3600000;
+
+/**
+ * Local civil time of a document's moment, in the zone of its location or in
+ * UT when it has none
+ * @param {Object} document - Valid chart document
+ * @returns {Object} Calculator input with local components, timezoneOffset and timeResolution
+ */
+function toCalculatorBirthData(document) {
+    const utcMillis = new Date(document.moment.utc).getTime();
+    const { location } = document;
+
+    let timeResolution = { timezone: null, offsetHours: 0, source: 'offset', status: 'valid', warnings: [] };
+    if (location) {
+        const located = findZoneForLocation(location.latitude, location.longitude);
+        timeResolution = {
+            timezone: located.zone,
+            offsetHours: getZoneOffsetMillis(located.zone, utcMillis) / MS_PER_HOUR,
+            source: 'location',
+            status: 'valid',
+            warnings: [`Time zone ${located.zone} inferred from the nearest reference location (${located.distanceKm} km)`]
+        };
+    }
+
+    const local = new Date(utcMillis + timeResolution.offsetHours * MS_PER_HOUR);
+    const input = {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        day: local.getUTCDate(),
+        hour: local.getUTCHours(),
+        minute: local.getUTCMinutes(),
+        second: local.getUTCSeconds(),
+        timezoneOffset: timeResolution.offsetHours,
+        timeResolution
+    };
+    if (location) {
+        input.latitude = location.latitude;
+        input.longitude = location.longitude;
+    }
+    return input;
+}
+
+/**
+ * Cast the Ba-Zi chart of a Chart document
+ * @param {Object} document - Chart document
+ * @param {Object} [options] - Chart options
+ * @param {string} [options.gender] - 'male' or 'female', for luck pillars
+ * @returns {Object} Calculator input and horoscope system holding the chart
+ * @throws {ChineseHoroscopeError} VALIDATION_ERROR if the document does not
+ *   match the chart schema or its date is unsupported
+ */
+function fromCanonical(document, { gender } = {}) {
+    const { valid, errors } = validateChart(document);
+    if (!valid) {
+        throw ChineseHoroscopeError.validationError('chart', errors.join('; '));
+    }
+
+    const input = toCalculatorBirthData(document);
+    if (gender !== undefined) {
+        input.gender = gender;
+    }
+    const system = new ChineseHoroscopeSystem();
+    system.generateBaZiChart(input);
+    return { input, system };
+}
+
+module.exports = {
+    fromCanonical
+};
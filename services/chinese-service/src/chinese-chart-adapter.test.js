@@ -0,0 +1,66 @@
+/**
+ * Chinese Chart Adapter Tests
+ */
+
+const { fromCanonical } = require('./chinese-chart-adapter');
+const { toCalculatorBirthData } = require('./chinese-api');
+const { ChineseHoroscopeSystem, ChineseHoroscopeError } = require('./chinese-horoscope-system');
+const { momentFromJulianDay } = require('../../../backend/charts/chart-document');
+
+const JULIAN_DAY_UNIX_EPOCH = 2440587.5;
+
+/**
+ * Tropical chart document for a UTC instant, as another service would write it
+ * @param {string} utc - ISO 8601 instant
+ * @param {Object|null} location - { latitude, longitude } or null
+ * @returns {Object} Chart document
+ */
+function chartDocumentAt(utc, location) {
+    return {
+        schemaVersion: '1.0',
+        type: 'natal',
+        moment: momentFromJulianDay(Date.parse(utc) / 86400000 + JULIAN_DAY_UNIX_EPOCH),
+        location,
+        zodiac: 'tropical',
+        ayanamsa: null,
+        houseSystem: 'EQUAL',
+        houses: [120, 150, 180, 210, 240, 270, 300, 330, 0, 30, 60, 90],
+        angles: { ASC: 120, MC: 30, DSC: 300, IC: 210 },
+        bodies: { SUN: { longitude: 54.2 } },
+        source: { service: 'western', generator: 'WesternBirthChartGenerator' }
+    };
+}
+
+describe('Chinese chart adapter', () => {
+    const BEIJING = { latitude: 39.9042, longitude: 116.4074 };
+
+    test('casts the same pillars as the birth data the document was made from', () => {
+        // 14:30 in Beijing under the daylight saving time China kept until 1991
+        const { input, system } = fromCanonical(chartDocumentAt('1990-05-15T05:30:00.000Z', BEIJING), { gender: 'female' });
+
+        const expected = new ChineseHoroscopeSystem().generateBaZiChart(toCalculatorBirthData({
+            date: '1990-05-15', time: '14:30', ...BEIJING, timezone: 'Asia/Shanghai', gender: 'female'
+        }));
+        expect(input).toMatchObject({ year: 1990, month: 5, day: 15, hour: 14, minute: 30, timezoneOffset: 9, ...BEIJING });
+        expect(input.timeResolution).toMatchObject({ timezone: 'Asia/Shanghai', source: 'location' });
+        expect(system.baZiChart).toEqual(expected);
+        expect(system.baZiChart.luckPillars).toBeDefined();
+    });
+
+    test('reads documents without a location in Universal Time', () => {
+        const { input, system } = fromCanonical(chartDocumentAt('1990-05-15T23:30:00.000Z', null));
+
+        expect(input).toMatchObject({ year: 1990, month: 5, day: 15, hour: 23, minute: 30, timezoneOffset: 0 });
+        expect(input.latitude).toBeUndefined();
+        expect(system.baZiChart).toEqual(new ChineseHoroscopeSystem().generateBaZiChart(
+            toCalculatorBirthData({ date: '1990-05-15', time: '23:30', timezone: 0 })
+        ));
+    });
+
+    test('rejects documents that do not match the chart schema', () => {
+        const { moment, ...withoutMoment } = chartDocumentAt('1990-05-15T05:30:00.000Z', BEIJING);
+
+        expect(() => fromCanonical(withoutMoment)).toThrow(ChineseHoroscopeError);
+        expect(() => fromCanonical(withoutMoment)).toThrow(/moment: Is required/);
+    });
+});
@@ -1,7 +1,8 @@
 // Chinese Five Elements Analysis System
 // Module for analyzing Five Elements balance and relationships in Ba-Zi charts
 
-const { FIVE_ELEMENTS, ELEMENT_RELATIONSHIPS, BRANCH_ELEMENTS } = require('./chinese-birth-chart-constants');
+const { FIVE_ELEMENTS, ELEMENT_RELATIONSHIPS } = require('./chinese-birth-chart-constants');
+const { getHiddenStems } = require('./chinese-ba-zi-calculator');
 
 /**
  * Five Elements Analyzer Class
@@ -30,7 +31,8 @@ class FiveElementsAnalyzer {
     }
 
     /**
-     * Count elements in all pillars
+     * Count elements in all pillars: one for each stem, and one for each
+     * branch shared among its hidden stems
      * @private
      * @param {Object} baZi - Ba-Zi chart
      * @returns {Object} Element counts
@@ -52,12 +54,16 @@ class FiveElementsAnalyzer {
             }
         });
 
-        // Also count branch elements (secondary elements)
+        // Each branch counts through its hidden stems, weighted by qi
         pillars.forEach(pillar => {
-            const branchElement = BRANCH_ELEMENTS[pillar.branch];
-            if (branchElement) {
-                elementCount[branchElement] += 0.5; // Secondary elements count as half
-            }
+            const hiddenStems = pillar.hiddenStems || getHiddenStems(pillar.branch);
+            hiddenStems.forEach(hidden => {
+                elementCount[hidden.element] += hidden.weight;
+            });
+        });
+
+        Object.keys(elementCount).forEach(element => {
+            elementCount[element] = Math.round(elementCount[element] * 100) / 100;
         });
 
         return elementCount;
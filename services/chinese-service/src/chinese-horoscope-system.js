@@ -1,7 +1,8 @@
 // Chinese Horoscope System
 // Main system for generating Chinese horoscopes across all timeframes
 
-const { calculateBaZi } = require('./chinese-ba-zi-calculator');
+const { calculateBaZi, getCurrentLuckPillar } = require('./chinese-ba-zi-calculator');
+const { LUCK_PILLAR_CONSTANTS } = require('./chinese-birth-chart-constants');
 const DailyChineseHoroscopeGenerator = require('./chinese-daily-horoscope-generator');
 const WeeklyChineseHoroscopeGenerator = require('./chinese-weekly-horoscope-generator');
 const MonthlyChineseHoroscopeGenerator = require('./chinese-monthly-horoscope-generator');
@@ -151,6 +152,12 @@ class ChineseHoroscopeSystem {
             throw ChineseHoroscopeError.validationError('second', 'must be between 0 and 59');
         }
 
+        // Gender is optional; without it the chart has no luck pillars
+        if (birthData.gender !== undefined &&
+            !LUCK_PILLAR_CONSTANTS.GENDERS.includes(String(birthData.gender).toLowerCase())) {
+            throw ChineseHoroscopeError.validationError('gender', `must be one of: ${LUCK_PILLAR_CONSTANTS.GENDERS.join(', ')}`);
+        }
+
         // Validate coordinates if provided
         if (birthData.latitude !== undefined) {
             if (typeof birthData.latitude !== 'number' || birthData.latitude < -90 || birthData.latitude > 90) {
@@ -187,6 +194,23 @@ class ChineseHoroscopeSystem {
         }
     }
 
+    /**
+     * Get the 10-year Luck Pillar running on a date
+     * @param {Date} date - Date to check (default: now)
+     * @returns {Object|null} Luck pillar, or null before the first one begins
+     * @throws {ChineseHoroscopeError} If the chart has no luck pillars (no gender given)
+     */
+    getCurrentLuckPillar(date = new Date()) {
+        if (!this.baZiChart) {
+            throw new Error('Ba-Zi chart not available. Generate or set Ba-Zi chart first.');
+        }
+        if (!this.baZiChart.luckPillars) {
+            throw ChineseHoroscopeError.validationError('gender', 'is required for luck pillars');
+        }
+
+        return getCurrentLuckPillar(this.baZiChart.luckPillars, date);
+    }
+
     /**
      * Generate horoscope for specified type and date
      * @param {string} type - Horoscope type ('daily', 'weekly', 'monthly', 'yearly')
@@ -310,7 +334,8 @@ class ChineseHoroscopeSystem {
                 elementalAnalysis: true,
                 animalCompatibility: true,
                 multiTimeframe: true,
-                personalizedPredictions: true
+                personalizedPredictions: true,
+                luckPillars: true
             }
         };
     }
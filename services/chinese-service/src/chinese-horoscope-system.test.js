@@ -513,6 +513,21 @@ describe('Chinese Horoscope System ZC2.4', () => {
         });
     });
 
+    describe('Luck Pillars', () => {
+        test('should report the current luck pillar when gender is given', () => {
+            const luckSystem = createChineseHoroscopeSystem({ ...testBirthData, timezoneOffset: 8, gender: 'male' });
+            const current = luckSystem.getCurrentLuckPillar(new Date('2024-01-01T00:00:00Z'));
+
+            expect(`${current.stem}${current.branch}`).toBe('JiaShen');
+            expect(current.index).toBe(3);
+        });
+
+        test('should require gender for luck pillars', () => {
+            expect(() => system.getCurrentLuckPillar()).toThrow(ChineseHoroscopeError);
+            expect(() => system.validateBirthData({ ...testBirthData, gender: 'unknown' })).toThrow(ChineseHoroscopeError);
+        });
+    });
+
     describe('System Health and Monitoring', () => {
         test('should provide comprehensive system information', () => {
             const info = system.getSystemInfo();
@@ -1,15 +1,213 @@
 // Chinese Lunar Calendar Calculations
-// Module for converting Gregorian dates to Chinese lunar calendar and related calculations
+// Module for converting between Gregorian dates and the Chinese lunisolar calendar.
+// Months are computed from new-moon and solar-term instants in China Standard
+// Time (UTC+8) with the modern rules: a month starts on the day of a new moon,
+// the month holding the winter solstice is the 11th, and in a year of 13 months
+// between solstices the first month without a principal term (zhongqi) is a leap
+// month, numbered after the month before it. Accurate for 1900-2100.
 
 const { CHINESE_ASTRO_CONSTANTS } = require('./chinese-birth-chart-constants');
 const {
     gregorianToJulianDay,
-    julianDayToGregorian,
-    calculateNewMoons,
-    calculateSolarTerms,
-    findCurrentSolarTerm,
-    mod
+    julianDayToGregorian
 } = require('./chinese-birth-chart-utils');
+const { LunarCalendarCalculator, SolarTermCalculator } = require('./chinese-astronomical-calculator');
+
+const CALENDAR_TIMEZONE_OFFSET = 8; // China Standard Time
+const WINTER_SOLSTICE_LONGITUDE = 270;
+
+const lunarCalculator = new LunarCalendarCalculator();
+const solarTermCalculator = new SolarTermCalculator();
+
+// Months between winter solstices and lunar year layouts are pure functions of the year
+const suiCache = new Map();
+const lunarYearCache = new Map();
+
+/**
+ * Get the number of the China Standard Time civil day holding an instant
+ * @private
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number} Julian Day Number of the civil date
+ */
+function toDayNumber(jd) {
+    return Math.floor(jd + 0.5 + CALENDAR_TIMEZONE_OFFSET / 24);
+}
+
+/**
+ * Get the Julian Day Number of a Gregorian date
+ * @private
+ * @param {number} year - Gregorian year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {number} Julian Day Number
+ */
+function gregorianToDayNumber(year, month, day) {
+    return Math.round(gregorianToJulianDay(year, month, day) + 0.5);
+}
+
+/**
+ * Get the Gregorian date of a Julian Day Number
+ * @private
+ * @param {number} dayNumber - Julian Day Number
+ * @returns {Object} { year, month, day }
+ */
+function dayNumberToGregorian(dayNumber) {
+    const { year, month, day } = julianDayToGregorian(dayNumber);
+    return { year, month, day };
+}
+
+/**
+ * Calculate the months of the sui: from the 11th month holding the winter
+ * solstice of the previous year up to the one holding the solstice of this year
+ * @private
+ * @param {number} year - Gregorian year of the closing solstice
+ * @returns {Array} Months: { month, isLeap, startDay, days }
+ */
+function calculateSui(year) {
+    if (suiCache.has(year)) {
+        return suiCache.get(year);
+    }
+
+    const openingSolstice = solarTermCalculator.getTermTime(
+        WINTER_SOLSTICE_LONGITUDE, gregorianToJulianDay(year - 1, 12, 21));
+    const closingSolstice = solarTermCalculator.getTermTime(
+        WINTER_SOLSTICE_LONGITUDE, gregorianToJulianDay(year, 12, 21));
+
+    // Month starts, from the 11th month of last year to the 11th month of this one
+    const newMoonDays = lunarCalculator.getNewMoonsBetween(openingSolstice - 35, closingSolstice + 1).map(toDayNumber);
+    const lastOnOrBefore = (day) => newMoonDays.filter(start => start <= day).length - 1;
+    const starts = newMoonDays.slice(lastOnOrBefore(toDayNumber(openingSolstice)), lastOnOrBefore(toDayNumber(closingSolstice)) + 1);
+    const monthCount = starts.length - 1;
+
+    let leapIndex = -1;
+    if (monthCount === 13) {
+        // Principal terms fall every 30° from the opening solstice
+        const principalDays = [];
+        for (let i = 0; i <= 12; i++) {
+            const estimate = openingSolstice + i * CHINESE_ASTRO_CONSTANTS.SOLAR_YEAR_DAYS / 12;
+            principalDays.push(toDayNumber(solarTermCalculator.getTermTime((WINTER_SOLSTICE_LONGITUDE + i * 30) % 360, estimate)));
+        }
+        for (let i = 1; i < monthCount && leapIndex === -1; i++) {
+            if (!principalDays.some(day => day >= starts[i] && day < starts[i + 1])) {
+                leapIndex = i;
+            }
+        }
+    }
+
+    const months = [];
+    let number = 10;
+    for (let i = 0; i < monthCount; i++) {
+        const isLeap = i === leapIndex;
+        if (!isLeap) {
+            number = number % 12 + 1;
+        }
+        months.push({ month: number, isLeap, startDay: starts[i], days: starts[i + 1] - starts[i] });
+    }
+
+    suiCache.set(year, months);
+    return months;
+}
+
+/**
+ * Get the months of a lunar year, from New Year to the day before the next New Year
+ * @private
+ * @param {number} lunarYear - Lunar year, named by the Gregorian year its New Year falls in
+ * @returns {Array} Months: { month, isLeap, startDay, days }
+ */
+function getLunarYearLayout(lunarYear) {
+    if (lunarYearCache.has(lunarYear)) {
+        return lunarYearCache.get(lunarYear);
+    }
+
+    const isFirstMonth = (month) => month.month === 1 && !month.isLeap;
+    const current = calculateSui(lunarYear);
+    const next = calculateSui(lunarYear + 1);
+    const months = [
+        ...current.slice(current.findIndex(isFirstMonth)),
+        ...next.slice(0, next.findIndex(isFirstMonth))
+    ];
+
+    lunarYearCache.set(lunarYear, months);
+    return months;
+}
+
+/**
+ * Get the months of a lunar year
+ * @param {number} lunarYear - Lunar year
+ * @returns {Array} Months in order: { month, isLeap, days, startDate: { year, month, day } }
+ */
+function getLunarYearMonths(lunarYear) {
+    return getLunarYearLayout(lunarYear).map(({ month, isLeap, startDay, days }) => ({
+        month,
+        isLeap,
+        days,
+        startDate: dayNumberToGregorian(startDay)
+    }));
+}
+
+/**
+ * Get the leap month of a lunar year
+ * @param {number} lunarYear - Lunar year
+ * @returns {number} Number of the month that is repeated, or 0 if the year has none
+ */
+function getLeapMonth(lunarYear) {
+    const leap = getLunarYearLayout(lunarYear).find(month => month.isLeap);
+    return leap ? leap.month : 0;
+}
+
+/**
+ * Convert a Gregorian date to a Chinese lunar date
+ * @param {number} year - Gregorian year
+ * @param {number} month - Gregorian month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Object} { lunarYear, lunarMonth, lunarDay, isLeapMonth }
+ */
+function gregorianToLunarDate(year, month, day) {
+    const dayNumber = gregorianToDayNumber(year, month, day);
+
+    let lunarYear = year;
+    let months = getLunarYearLayout(lunarYear);
+    if (dayNumber < months[0].startDay) {
+        lunarYear -= 1;
+        months = getLunarYearLayout(lunarYear);
+    }
+
+    const current = months.find(entry => dayNumber >= entry.startDay && dayNumber < entry.startDay + entry.days);
+    return {
+        lunarYear: lunarYear,
+        lunarMonth: current.month,
+        lunarDay: dayNumber - current.startDay + 1,
+        isLeapMonth: current.isLeap
+    };
+}
+
+/**
+ * Convert a Chinese lunar date to a Gregorian date
+ * @param {number} lunarYear - Lunar year
+ * @param {number} lunarMonth - Lunar month (1-12)
+ * @param {number} lunarDay - Lunar day (1-30)
+ * @param {boolean} isLeapMonth - Whether the date is in the leap month
+ * @returns {Object} { year, month, day }
+ * @throws {Error} If the month or day does not exist in that year
+ */
+function lunarToGregorian(lunarYear, lunarMonth, lunarDay, isLeapMonth = false) {
+    if (!Number.isInteger(lunarYear) || !Number.isInteger(lunarMonth) || !Number.isInteger(lunarDay)) {
+        throw new Error('Lunar year, month and day must be integers');
+    }
+
+    const entry = getLunarYearLayout(lunarYear)
+        .find(month => month.month === lunarMonth && month.isLeap === Boolean(isLeapMonth));
+    if (!entry) {
+        throw new Error(isLeapMonth
+            ? `Lunar year ${lunarYear} has no leap month ${lunarMonth}`
+            : `Invalid lunar month: ${lunarMonth}`);
+    }
+    if (lunarDay < 1 || lunarDay > entry.days) {
+        throw new Error(`Lunar month ${lunarMonth} of ${lunarYear} has ${entry.days} days`);
+    }
+
+    return dayNumberToGregorian(entry.startDay + lunarDay - 1);
+}
 
 /**
  * Convert Gregorian date to Chinese lunar date
@@ -21,33 +219,30 @@ function gregorianToLunar(birthData) {
     const jd = gregorianToJulianDay(birthData.year, birthData.month, birthData.day,
                                     birthData.hour, birthData.minute, birthData.second, timezoneOffset);
 
-    // Find lunar year
-    const lunarYear = calculateLunarYear(jd);
-
-    // Find solar term for month determination
-    const solarTerms = calculateSolarTerms(birthData.year);
-    const solarTerm = findCurrentSolarTerm(jd, solarTerms);
+    // The lunar date follows the local civil date
+    const lunarDate = gregorianToLunarDate(birthData.year, birthData.month, birthData.day);
 
-    // Determine if it's a leap month (simplified - would need full lunar calendar)
-    const isLeapMonth = false;
+    // Solar term in force at the moment of birth
+    const solarTerm = solarTermCalculator.getTermAt(jd);
 
     return {
-        lunarYear: lunarYear,
+        lunarYear: lunarDate.lunarYear,
+        lunarMonth: lunarDate.lunarMonth,
+        lunarDay: lunarDate.lunarDay,
         solarTerm: solarTerm,
-        isLeapMonth: isLeapMonth,
+        isLeapMonth: lunarDate.isLeapMonth,
         julianDay: jd
     };
 }
 
 /**
  * Calculate lunar year from Julian Day
- * @param {number} jd - Julian Day
- * @returns {number} Lunar year
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number} Lunar year of the China Standard Time date
  */
 function calculateLunarYear(jd) {
-    // Simplified calculation - find year in sexagenary cycle
-    const yearsSinceEpoch = Math.floor((jd - gregorianToJulianDay(CHINESE_ASTRO_CONSTANTS.CHINESE_EPOCH_YEAR, 1, 1)) / 365.2425);
-    return CHINESE_ASTRO_CONSTANTS.CHINESE_EPOCH_YEAR + yearsSinceEpoch;
+    const { year, month, day } = dayNumberToGregorian(toDayNumber(jd));
+    return gregorianToLunarDate(year, month, day).lunarYear;
 }
 
 /**
@@ -65,44 +260,19 @@ function getLunarMonthFromSolarTerm(solarTerm) {
 /**
  * Calculate Chinese New Year date for a given year
  * @param {number} year - Gregorian year
- * @returns {Object} New Year date
+ * @returns {Object} New Year date: { year, month, day }
  */
 function calculateChineseNewYear(year) {
-    // Find the new moon closest to the beginning of spring (solar term)
-    const newMoons = calculateNewMoons(year);
-    const solarTerms = calculateSolarTerms(year);
-
-    // Find Spring Begins solar term
-    const springBegins = solarTerms.find(term => term.name === 'Spring Begins');
-
-    if (!springBegins) {
-        throw new Error('Could not find Spring Begins solar term');
-    }
-
-    // Find the new moon immediately before or on Spring Begins
-    let newYearJD = newMoons[0];
-    for (const nm of newMoons) {
-        if (nm <= springBegins.julianDay) {
-            newYearJD = nm;
-        } else {
-            break;
-        }
-    }
-
-    return julianDayToGregorian(newYearJD);
+    return dayNumberToGregorian(getLunarYearLayout(year)[0].startDay);
 }
 
 /**
  * Determine if a year is a leap year in Chinese calendar
  * @param {number} year - Lunar year
- * @returns {boolean} True if leap year
+ * @returns {boolean} True if the year has a leap (13th) month
  */
 function isChineseLeapYear(year) {
-    // Simplified leap year calculation
-    // In Chinese calendar, leap years have 13 months
-    // This is a simplified version - real calculation is more complex
-    const yearInCycle = mod(year - CHINESE_ASTRO_CONSTANTS.JIA_ZI_YEAR, 19);
-    return [3, 6, 9, 11, 14, 17].includes(yearInCycle); // Approximate pattern
+    return getLeapMonth(year) !== 0;
 }
 
 /**
@@ -113,18 +283,15 @@ function isChineseLeapYear(year) {
  * @returns {Object} Detailed lunar date information
  */
 function getLunarDateDetails(year, month, day) {
-    const jd = gregorianToJulianDay(year, month, day);
     const lunarInfo = gregorianToLunar({ year, month, day, hour: 12, minute: 0, second: 0 });
 
-    const newYear = calculateChineseNewYear(year);
-    const newYearJD = gregorianToJulianDay(newYear.year, newYear.month, newYear.day);
-
-    const daysSinceNewYear = Math.floor(jd - newYearJD);
-    const lunarMonth = Math.floor(daysSinceNewYear / 29.5) + 1; // Approximate
+    const newYear = calculateChineseNewYear(lunarInfo.lunarYear);
+    const daysSinceNewYear = gregorianToDayNumber(year, month, day) -
+        gregorianToDayNumber(newYear.year, newYear.month, newYear.day);
 
     return {
         ...lunarInfo,
-        lunarMonth: lunarMonth,
+        leapMonth: getLeapMonth(lunarInfo.lunarYear),
         daysSinceNewYear: daysSinceNewYear,
         chineseNewYear: newYear
     };
@@ -148,10 +315,14 @@ function calculateLunarAge(birthYear, currentYear) {
 
 module.exports = {
     gregorianToLunar,
+    gregorianToLunarDate,
+    lunarToGregorian,
+    getLunarYearMonths,
+    getLeapMonth,
     calculateLunarYear,
     getLunarMonthFromSolarTerm,
     calculateChineseNewYear,
     isChineseLeapYear,
     getLunarDateDetails,
     calculateLunarAge
-};
\ No newline at end of file
+};
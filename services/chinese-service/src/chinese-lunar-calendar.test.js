@@ -0,0 +1,127 @@
+// Chinese Lunar Calendar Tests
+// Leap months, New Year dates and conversions checked against published calendars
+
+const {
+    gregorianToLunar,
+    gregorianToLunarDate,
+    lunarToGregorian,
+    getLunarYearMonths,
+    getLeapMonth,
+    calculateChineseNewYear,
+    isChineseLeapYear,
+    calculateLunarYear
+} = require('./chinese-lunar-calendar');
+const { LunarCalendarCalculator, SolarTermCalculator } = require('./chinese-astronomical-calculator');
+const { gregorianToJulianDay } = require('./chinese-birth-chart-utils');
+
+const toDate = (jd) => new Date((jd - 2440587.5) * 86400000);
+
+describe('Chinese Lunar Calendar', () => {
+    describe('Astronomical instants', () => {
+        test('finds solar terms to within a minute', () => {
+            const calculator = new SolarTermCalculator();
+
+            // Spring Begins 2024: 16:27 Beijing time; winter solstice 2024: 17:21 Beijing time
+            const springBegins = toDate(calculator.getTermTime(315, gregorianToJulianDay(2024, 2, 4)));
+            const solstice = toDate(calculator.getTermTime(270, gregorianToJulianDay(2024, 12, 21)));
+
+            expect(Math.abs(springBegins - Date.UTC(2024, 1, 4, 8, 27))).toBeLessThan(60000);
+            expect(Math.abs(solstice - Date.UTC(2024, 11, 21, 9, 20))).toBeLessThan(60000);
+        });
+
+        test('lists the solar terms of a year in date order', () => {
+            const terms = new SolarTermCalculator().calculateSolarTerms(2024);
+
+            expect(terms).toHaveLength(24);
+            expect(terms[0]).toMatchObject({ name: 'Minor Cold', longitude: 285, isPrincipal: false });
+            expect(terms[23]).toMatchObject({ name: 'Winter Solstice', longitude: 270, isPrincipal: true });
+            expect(terms.every((term, i) => i === 0 || term.julianDay > terms[i - 1].julianDay)).toBe(true);
+        });
+
+        test('finds new moons to within a minute', () => {
+            const calculator = new LunarCalendarCalculator();
+            const [newMoon] = calculator.getNewMoonsBetween(gregorianToJulianDay(2024, 1, 1), gregorianToJulianDay(2024, 1, 31));
+
+            // 11 January 2024, 11:57 UT
+            expect(Math.abs(toDate(newMoon) - Date.UTC(2024, 0, 11, 11, 57))).toBeLessThan(60000);
+        });
+    });
+
+    describe('Leap months', () => {
+        test.each([
+            [1900, 8], [1984, 10], [1995, 8], [2001, 4], [2004, 2], [2006, 7], [2009, 5],
+            [2012, 4], [2014, 9], [2017, 6], [2020, 4], [2023, 2], [2025, 6], [2033, 11]
+        ])('lunar year %i repeats month %i', (year, leapMonth) => {
+            expect(getLeapMonth(year)).toBe(leapMonth);
+            expect(isChineseLeapYear(year)).toBe(true);
+
+            const months = getLunarYearMonths(year);
+            expect(months).toHaveLength(13);
+            const leapIndex = months.findIndex(month => month.isLeap);
+            expect(months[leapIndex - 1].month).toBe(leapMonth);
+        });
+
+        test.each([2018, 2019, 2021, 2022, 2024, 2026])('lunar year %i has twelve months', (year) => {
+            expect(getLeapMonth(year)).toBe(0);
+            expect(isChineseLeapYear(year)).toBe(false);
+            expect(getLunarYearMonths(year).map(month => month.month)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        });
+
+        test('months last 29 or 30 days', () => {
+            const months = getLunarYearMonths(2023);
+            expect(months.every(month => month.days === 29 || month.days === 30)).toBe(true);
+            expect(months.find(month => month.isLeap)).toMatchObject({ month: 2, days: 29, startDate: { year: 2023, month: 3, day: 22 } });
+        });
+    });
+
+    describe('New Year', () => {
+        test.each([
+            [1900, 1, 31], [1990, 1, 27], [2020, 1, 25], [2023, 1, 22], [2024, 2, 10],
+            [2025, 1, 29], [2026, 2, 17], [2050, 1, 23], [2100, 2, 9]
+        ])('falls on %i-%i-%i', (year, month, day) => {
+            expect(calculateChineseNewYear(year)).toEqual({ year, month, day });
+            expect(gregorianToLunarDate(year, month, day)).toEqual({ lunarYear: year, lunarMonth: 1, lunarDay: 1, isLeapMonth: false });
+        });
+    });
+
+    describe('Conversions', () => {
+        test('converts Gregorian dates in and after a leap month', () => {
+            expect(gregorianToLunarDate(2023, 4, 19)).toEqual({ lunarYear: 2023, lunarMonth: 2, lunarDay: 29, isLeapMonth: true });
+            expect(gregorianToLunarDate(2023, 4, 20)).toEqual({ lunarYear: 2023, lunarMonth: 3, lunarDay: 1, isLeapMonth: false });
+            // Leap 11th month of 2033, the year after the solstice falls in it
+            expect(gregorianToLunarDate(2034, 1, 1)).toMatchObject({ lunarYear: 2033, lunarMonth: 11, isLeapMonth: true });
+        });
+
+        test('converts lunar dates to Gregorian', () => {
+            // Mid-Autumn and Dragon Boat festivals
+            expect(lunarToGregorian(2024, 8, 15)).toEqual({ year: 2024, month: 9, day: 17 });
+            expect(lunarToGregorian(2024, 5, 5)).toEqual({ year: 2024, month: 6, day: 10 });
+            expect(lunarToGregorian(2023, 2, 1, true)).toEqual({ year: 2023, month: 3, day: 22 });
+            expect(lunarToGregorian(2023, 2, 1)).toEqual({ year: 2023, month: 2, day: 20 });
+        });
+
+        test('round-trips every day of a leap year', () => {
+            for (let day = 0; day < 384; day++) {
+                const date = new Date(Date.UTC(2023, 0, 22 + day));
+                const gregorian = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+                const lunar = gregorianToLunarDate(gregorian.year, gregorian.month, gregorian.day);
+
+                expect(lunarToGregorian(lunar.lunarYear, lunar.lunarMonth, lunar.lunarDay, lunar.isLeapMonth)).toEqual(gregorian);
+            }
+        });
+
+        test('rejects dates that do not exist', () => {
+            expect(() => lunarToGregorian(2024, 4, 1, true)).toThrow(/no leap month 4/);
+            expect(() => lunarToGregorian(2024, 13, 1)).toThrow(/Invalid lunar month/);
+            expect(() => lunarToGregorian(2023, 2, 30, true)).toThrow(/has 29 days/);
+        });
+
+        test('reports leap months in birth data conversions', () => {
+            const lunar = gregorianToLunar({ year: 2020, month: 6, day: 1, hour: 12, minute: 0, second: 0, timezoneOffset: 8 });
+
+            expect(lunar).toMatchObject({ lunarYear: 2020, lunarMonth: 4, lunarDay: 10, isLeapMonth: true });
+            expect(lunar.solarTerm).toMatchObject({ name: 'Grain Buds', longitude: 60 });
+            expect(calculateLunarYear(gregorianToJulianDay(2024, 2, 9, 12))).toBe(2023);
+        });
+    });
+});
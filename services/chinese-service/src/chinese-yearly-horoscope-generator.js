@@ -3,6 +3,7 @@
 
 const { ChineseHoroscopeGenerator } = require('./chinese-horoscope-generator');
 const { CHINESE_HOROSCOPE_CONSTANTS } = require('./chinese-horoscope-constants');
+const { calculateChineseNewYear } = require('./chinese-lunar-calendar');
 
 /**
  * Yearly Chinese Horoscope Generator
@@ -89,16 +90,13 @@ class YearlyChineseHoroscopeGenerator extends ChineseHoroscopeGenerator {
     }
 
     /**
-     * Calculate approximate Chinese New Year date
+     * Calculate Chinese New Year date
      * @param {number} year - Year
      * @returns {Date} Chinese New Year date
      */
     calculateChineseNewYear(year) {
-        // Simplified - Chinese New Year is typically between Jan 21 - Feb 20
-        // This is a rough approximation
-        const newYearDate = new Date(year, 0, 1);
-        newYearDate.setDate(newYearDate.getDate() + 20 + (year % 4 === 0 ? 1 : 0));
-        return newYearDate;
+        const newYear = calculateChineseNewYear(year);
+        return new Date(newYear.year, newYear.month - 1, newYear.day);
     }
 
     /**
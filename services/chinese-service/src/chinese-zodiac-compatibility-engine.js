@@ -25,7 +25,6 @@ const {
     applyCulturalBias,
     calculateElementCompatibility,
     isBidirectionalRelationship,
-    validateSign,
     validateSigns,
     calculatePolarityCompatibility,
     calculateDirectionCompatibility,
@@ -447,7 +446,7 @@ class ZodiacCompatibilityEngine {
     calculateCompatibility(sign1, sign2, options = {}) {
         try {
             // Validate and normalize inputs
-            const [normalizedSign1, normalizedSign2] = validateSigns(sign1, sign2);
+            const [normalizedSign1, normalizedSign2] = this.validator.validateSigns(sign1, sign2);
 
             // Check cache first
             const cacheKey = `${normalizedSign1}-${normalizedSign2}`;
@@ -476,6 +475,9 @@ class ZodiacCompatibilityEngine {
             return result;
 
         } catch (error) {
+            if (error instanceof ZodiacCompatibilityError) {
+                throw error;
+            }
             throw new ZodiacCompatibilityError(`Compatibility calculation failed: ${error.message}`, error.code);
         }
     }
@@ -548,7 +550,7 @@ class ZodiacCompatibilityEngine {
      * @returns {object} Compatibility trends
      */
     getCompatibilityTrends(sign) {
-        const normalizedSign = validateSign(sign);
+        const normalizedSign = this.validator.validateSign(sign);
 
         const trends = {
             sign: normalizedSign,
@@ -739,7 +741,8 @@ class ZodiacCompatibilityValidator {
             throw new ValidationError(ERROR_MESSAGES.INVALID_TYPE);
         }
 
-        const normalizedSign = sign.charAt(0).toUpperCase() + sign.slice(1).toLowerCase();
+        const trimmedSign = sign.trim();
+        const normalizedSign = trimmedSign.charAt(0).toUpperCase() + trimmedSign.slice(1).toLowerCase();
         const validSigns = CHINESE_ZODIAC_SIGNS.map(s => s.name);
 
         if (!validSigns.includes(normalizedSign)) {
@@ -794,6 +797,7 @@ module.exports = {
     normalizeCompatibilityScore,
     calculateWeightedCompatibility,
     applyCulturalBias,
+    ZodiacCompatibilityValidator,
     ZodiacCompatibilityError,
     ValidationError
 };
\ No newline at end of file
@@ -19,6 +19,7 @@ const {
     normalizeCompatibilityScore,
     calculateWeightedCompatibility,
     applyCulturalBias,
+    ZodiacCompatibilityValidator,
     ZodiacCompatibilityError,
     ValidationError
 } = require('./chinese-zodiac-compatibility-engine');
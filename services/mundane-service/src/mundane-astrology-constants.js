@@ -144,6 +144,11 @@ const ERROR_CONSTANTS = {
         code: 'HIST_001',
         message: 'Historical data unavailable for validation',
         severity: 'LOW'
+    },
+    INVALID_CHART: {
+        code: 'CHART_001',
+        message: 'Chart cannot be converted',
+        severity: 'MEDIUM'
     }
 };
 
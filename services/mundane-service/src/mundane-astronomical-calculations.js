@@ -28,6 +28,20 @@ function radToDeg(radians) {
     return radians * 180 / Math.PI;
 }
 
+/**
+ * Calculate Julian Day for a Gregorian date and time (UT)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @param {number} second - Second (0-59)
+ * @returns {number} Julian Day
+ */
+function calculateJulianDay(year, month, day, hour = 0, minute = 0, second = 0) {
+    return DateUtils.calculateJulianDay(year, month, day, hour, minute, second);
+}
+
 /**
  * Calculate Lahiri Ayanamsa for a given year
  * @param {number} year - Year
@@ -339,6 +353,7 @@ function calculateWinterSolstice(year) {
 module.exports = {
     degToRad,
     radToDeg,
+    calculateJulianDay,
     calculateLahiriAyanamsa,
     calculateGMST,
     calculateLST,
@@ -0,0 +1,164 @@
+/**
+ * Mundane Chart Adapter
+ * ZC1.23 Complex Mundane Astrology Implementation
+ *
+ * This file converts national and event horoscopes to and from the
+ * service-neutral Chart document (backend/charts/chart-schema.json), so a
+ * chart cast by the Vedic or Western service can be analyzed as a radix here
+ * and a national chart can be read by the other services.
+ */
+
+const { MundaneAstrologyError } = require('./mundane-astrology-utils');
+const { calculateLahiriAyanamsa, calculateWholeSignHouses } = require('./mundane-astronomical-calculations');
+
+// The chart schema is shared through the backend; a service deployed without
+// it cannot read or write chart documents
+let chartDocument = null;
+try {
+    chartDocument = require('../../../backend/charts/chart-document');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+const {
+    CHART_SCHEMA_VERSION,
+    validateChart,
+    momentFromJulianDay,
+    deriveAngles,
+    convertZodiac,
+    normalizeLongitude
+} = chartDocument || {};
+
+// Horoscope types that are full charts, and their document types
+const CHART_TYPES = { National: 'national', Event: 'event' };
+// Mundane planet keys that have a different canonical body id
+const CANONICAL_IDS = { RAHU: 'MEAN_NODE', KETU: 'MEAN_SOUTH_NODE' };
+const MUNDANE_PLANETS = ['SUN', 'MOON', 'MARS', 'MERCURY', 'JUPITER', 'VENUS', 'SATURN', 'RAHU', 'KETU'];
+
+/**
+ * Fail early when chart documents cannot be read or written
+ * @throws {MundaneAstrologyError} CALCULATION_ERROR If the shared backend chart modules are not deployed
+ */
+function assertChartDocuments() {
+    if (!chartDocument) {
+        throw new MundaneAstrologyError('CALCULATION_ERROR', {
+            operation: 'chart_conversion',
+            reason: 'The shared backend chart modules are not deployed'
+        });
+    }
+}
+
+/**
+ * Convert a national or event horoscope to a Chart document
+ * @param {Object} horoscope - Result of calculateNationalHoroscope or calculateEventHoroscope
+ * @param {Object} options - Document options ({ generatedAt })
+ * @returns {Object} Chart document
+ * @throws {MundaneAstrologyError} INVALID_CHART for eclipse and ingress results
+ */
+function toCanonical(horoscope, { generatedAt = new Date() } = {}) {
+    assertChartDocuments();
+    const type = CHART_TYPES[horoscope.type];
+    if (!type) {
+        // Eclipse and ingress results carry positions but no houses or angles
+        throw new MundaneAstrologyError('INVALID_CHART', { type: horoscope.type });
+    }
+
+    const bodies = {};
+    for (const planet of MUNDANE_PLANETS) {
+        if (horoscope.planets[planet] !== undefined) {
+            bodies[CANONICAL_IDS[planet] || planet] = { longitude: normalizeLongitude(horoscope.planets[planet]) };
+        }
+    }
+
+    const founding = horoscope.foundingData;
+    const document = {
+        schemaVersion: CHART_SCHEMA_VERSION,
+        type,
+        label: horoscope.country || horoscope.event,
+        moment: momentFromJulianDay(horoscope.julianDay),
+        location: founding ? { latitude: founding.capitalLatitude, longitude: founding.capitalLongitude } : null,
+        zodiac: 'sidereal',
+        ayanamsa: { system: 'LAHIRI', value: horoscope.ayanamsa },
+        // calculateWholeSignHouses counts 30-degree houses from the ascendant degree
+        houseSystem: 'EQUAL',
+        houses: horoscope.houses.map(normalizeLongitude),
+        angles: deriveAngles(horoscope.ascendant, horoscope.midheaven),
+        bodies,
+        source: {
+            service: 'mundane',
+            generator: type === 'national' ? 'calculateNationalHoroscope' : 'calculateEventHoroscope',
+            generatedAt: generatedAt.toISOString()
+        }
+    };
+    if (document.label === undefined) {
+        delete document.label;
+    }
+    return document;
+}
+
+/**
+ * Convert a Chart document to a horoscope the mundane analyzers accept as a radix
+ * @param {Object} document - Chart document
+ * @returns {Object} National or event horoscope with sidereal longitudes
+ * @throws {MundaneAstrologyError} INVALID_CHART if the document does not match the chart schema
+ */
+function fromCanonical(document) {
+    assertChartDocuments();
+    const { valid, errors } = validateChart(document);
+    if (!valid) {
+        throw new MundaneAstrologyError('INVALID_CHART', { errors });
+    }
+
+    // Tropical charts take the Lahiri ayanamsa the mundane charts are cast with
+    const ayanamsa = document.zodiac === 'sidereal'
+        ? document.ayanamsa
+        : { system: 'LAHIRI', value: calculateLahiriAyanamsa(new Date(document.moment.utc).getUTCFullYear()) };
+    const sidereal = convertZodiac(document, 'sidereal', ayanamsa);
+
+    const planets = {};
+    const bodyFor = {
+        RAHU: sidereal.bodies.MEAN_NODE || sidereal.bodies.TRUE_NODE,
+        KETU: sidereal.bodies.MEAN_SOUTH_NODE || sidereal.bodies.TRUE_SOUTH_NODE
+    };
+    for (const planet of MUNDANE_PLANETS) {
+        const body = bodyFor[planet] || sidereal.bodies[planet];
+        if (body) {
+            planets[planet] = body.longitude;
+        }
+    }
+    if (planets.RAHU !== undefined && planets.KETU === undefined) {
+        planets.KETU = normalizeLongitude(planets.RAHU + 180);
+    }
+
+    const horoscope = {
+        type: document.type === 'national' ? 'National' : 'Event',
+        julianDay: document.moment.julianDay,
+        ayanamsa: ayanamsa.value,
+        ascendant: sidereal.angles.ASC,
+        houses: calculateWholeSignHouses(sidereal.angles.ASC),
+        planets,
+        midheaven: sidereal.angles.MC
+    };
+    if (horoscope.type === 'National') {
+        horoscope.country = document.label;
+        if (document.location) {
+            horoscope.foundingData = {
+                countryName: document.label,
+                capitalLatitude: document.location.latitude,
+                capitalLongitude: document.location.longitude
+            };
+        }
+    } else {
+        horoscope.event = document.label;
+        if (document.location && document.location.name) {
+            horoscope.location = document.location.name;
+        }
+    }
+    return horoscope;
+}
+
+module.exports = {
+    toCanonical,
+    fromCanonical
+};
@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for the Mundane Chart Adapter
+ * ZC1.23 Complex Mundane Astrology Implementation
+ */
+
+const { calculateNationalHoroscope, calculateMundaneAspects } = require('./mundane-chart-generators');
+const { toCanonical, fromCanonical } = require('./mundane-chart-adapter');
+const { calculateLahiriAyanamsa } = require('./mundane-astronomical-calculations');
+const { validateChart } = require('../../../backend/charts/chart-document');
+
+const INDIA = {
+    countryName: 'India',
+    foundingYear: 1947,
+    foundingMonth: 8,
+    foundingDay: 14,
+    foundingHour: 18,
+    foundingMinute: 30,
+    capitalLatitude: 28.6139,
+    capitalLongitude: 77.209
+};
+
+// Tropical chart of the 2024 vernal equinox at New Delhi, as the Western service writes it
+const EQUINOX_CHART = {
+    schemaVersion: '1.0',
+    type: 'natal',
+    moment: { julianDay: 2460389.629167, utc: '2024-03-20T03:06:00.000Z' },
+    location: { latitude: 28.6139, longitude: 77.209 },
+    zodiac: 'tropical',
+    ayanamsa: null,
+    houseSystem: 'EQUAL',
+    houses: [43.18, 73.18, 103.18, 133.18, 163.18, 193.18, 223.18, 253.18, 283.18, 313.18, 343.18, 13.18],
+    angles: { ASC: 43.18, MC: 301.86, DSC: 223.18, IC: 121.86 },
+    bodies: {
+        SUN: { longitude: 359.99, retrograde: false },
+        MOON: { longitude: 123.82, retrograde: false },
+        MERCURY: { longitude: 17.44, retrograde: false },
+        VENUS: { longitude: 340.17, retrograde: false },
+        MARS: { longitude: 327.77, retrograde: false },
+        JUPITER: { longitude: 44.89, retrograde: false },
+        SATURN: { longitude: 342.23, retrograde: false },
+        URANUS: { longitude: 50.25, retrograde: false },
+        NEPTUNE: { longitude: 357.46, retrograde: false },
+        PLUTO: { longitude: 301.66, retrograde: false },
+        TRUE_NODE: { longitude: 15.71, retrograde: false }
+    },
+    source: { service: 'western', generator: 'WesternBirthChartGenerator' }
+};
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+
+describe('Mundane chart adapter', () => {
+    const horoscope = calculateNationalHoroscope(INDIA);
+
+    test('writes national horoscopes as sidereal chart documents', () => {
+        const document = toCanonical(horoscope, { generatedAt: new Date(0) });
+
+        expect(validateChart(document)).toEqual({ valid: true, errors: [] });
+        expect(document).toMatchObject({
+            type: 'national',
+            label: 'India',
+            moment: { utc: '1947-08-15T06:30:00.000Z' },
+            location: { latitude: 28.6139, longitude: 77.209 },
+            zodiac: 'sidereal',
+            ayanamsa: { system: 'LAHIRI', value: horoscope.ayanamsa },
+            houseSystem: 'EQUAL',
+            source: { service: 'mundane', generator: 'calculateNationalHoroscope' }
+        });
+        expect(document.bodies.MEAN_NODE.longitude).toBe(horoscope.planets.RAHU);
+        expect(document.angles.MC).toBeCloseTo(normalize(horoscope.midheaven), 10);
+    });
+
+    test('reads its own documents back as a radix', () => {
+        const radix = fromCanonical(toCanonical(horoscope));
+
+        expect(radix).toMatchObject({
+            type: 'National',
+            country: 'India',
+            julianDay: horoscope.julianDay,
+            ayanamsa: horoscope.ayanamsa,
+            ascendant: horoscope.ascendant,
+            houses: horoscope.houses,
+            foundingData: { capitalLatitude: 28.6139, capitalLongitude: 77.209 }
+        });
+        // Longitudes come back in [0, 360)
+        for (const planet of Object.keys(horoscope.planets)) {
+            expect(radix.planets[planet]).toBeCloseTo(normalize(horoscope.planets[planet]), 10);
+        }
+    });
+
+    test('analyzes a tropical Western chart against a national radix', () => {
+        expect(validateChart(EQUINOX_CHART)).toEqual({ valid: true, errors: [] });
+        const event = fromCanonical({ ...EQUINOX_CHART, type: 'event', label: 'Vernal equinox' });
+        const ayanamsa = calculateLahiriAyanamsa(2024);
+
+        expect(event).toMatchObject({ type: 'Event', event: 'Vernal equinox', ayanamsa });
+        expect(event.planets.SUN).toBeCloseTo(normalize(EQUINOX_CHART.bodies.SUN.longitude - ayanamsa), 10);
+        // Outer planets are dropped and the true node stands in for Rahu
+        expect(Object.keys(event.planets)).toEqual(['SUN', 'MOON', 'MARS', 'MERCURY', 'JUPITER', 'VENUS', 'SATURN', 'RAHU', 'KETU']);
+        expect(event.houses[0]).toBe(event.ascendant);
+
+        const transits = { SUN: event.planets.SUN, SATURN: event.planets.SATURN };
+        const aspects = calculateMundaneAspects(transits, fromCanonical(toCanonical(horoscope)));
+        expect(aspects.length).toBeGreaterThan(0);
+        expect(aspects.every(aspect => aspect.transitingPlanet in transits)).toBe(true);
+    });
+
+    test('rejects invalid documents and charts without houses', () => {
+        expect(() => fromCanonical({ schemaVersion: '1.0' })).toThrow('Chart cannot be converted');
+        let error;
+        try {
+            fromCanonical({ ...toCanonical(horoscope), ayanamsa: null });
+        } catch (thrown) {
+            error = thrown;
+        }
+        expect(error.code).toBe('CHART_001');
+        expect(error.details.errors).toEqual(['chart.ayanamsa: Must be object']);
+        expect(() => toCanonical({ type: 'Ingress', season: 'aries', year: 2024 })).toThrow('Chart cannot be converted');
+    });
+});
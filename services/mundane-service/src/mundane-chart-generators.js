@@ -26,6 +26,12 @@ const {
     calculateAutumnalEquinox,
     calculateWinterSolstice
 } = require('./mundane-astronomical-calculations');
+const { WesternEventFinder } = require('../../western-service/src/western-event-finder');
+
+const eventFinder = new WesternEventFinder();
+
+// Eclipses are searched for within half a lunation either side of the given date
+const ECLIPSE_SEARCH_DAYS = 15;
 
 /**
  * Validate and prepare national data for horoscope calculation
@@ -118,34 +124,39 @@ function calculateNationalHoroscope(nationalData) {
 }
 
 /**
- * Calculate solar eclipse effects on mundane events
+ * Calculate solar eclipse effects on mundane events. The eclipse nearest the
+ * given date, within half a lunation, is located by the event finder.
+ * @param {number} julianDay - Julian Day near the eclipse
+ * @param {Object} location - Location for visibility
+ * @returns {Object|null} Eclipse chart, or null when no solar eclipse is near
  */
 function calculateSolarEclipse(julianDay, location) {
-    // Calculate solar position
-    const solarPosition = calculateSolarPosition(julianDay);
-
-    // Calculate lunar position
-    const lunarPosition = calculateLunarPosition(julianDay);
-
-    // Check for eclipse conditions
-    const separation = Math.abs(solarPosition.longitude - lunarPosition.longitude);
-
-    if (separation < 18) { // Within eclipse limits
-        return {
-            type: 'Solar Eclipse',
-            date: julianDay,
-            solarLongitude: solarPosition.longitude,
-            lunarLongitude: lunarPosition.longitude,
-            separation,
-            visibility: calculateEclipseVisibility(julianDay, location),
-            mundaneEffects: analyzeEclipseEffects(
-                Math.floor(solarPosition.longitude / 30),
-                Math.floor(lunarPosition.longitude / 30)
-            )
-        };
+    const eclipses = eventFinder.findEclipses(julianDay - ECLIPSE_SEARCH_DAYS, julianDay + ECLIPSE_SEARCH_DAYS, { lunar: false });
+    if (eclipses.length === 0) {
+        return null;
     }
+    const eclipse = eclipses.reduce((nearest, candidate) =>
+        Math.abs(candidate.julianDay - julianDay) < Math.abs(nearest.julianDay - julianDay) ? candidate : nearest);
+
+    const solarPosition = calculateSolarPosition(eclipse.julianDay);
+    const lunarPosition = calculateLunarPosition(eclipse.julianDay);
 
-    return null;
+    return {
+        type: 'Solar Eclipse',
+        date: eclipse.julianDay,
+        eclipseType: eclipse.kind,
+        magnitude: eclipse.magnitude,
+        gamma: eclipse.gamma,
+        saros: eclipse.saros,
+        solarLongitude: solarPosition.longitude,
+        lunarLongitude: lunarPosition.longitude,
+        separation: Math.abs(solarPosition.longitude - lunarPosition.longitude),
+        visibility: calculateEclipseVisibility(eclipse.julianDay, location),
+        mundaneEffects: analyzeEclipseEffects(
+            Math.floor(solarPosition.longitude / 30),
+            Math.floor(lunarPosition.longitude / 30)
+        )
+    };
 }
 
 /**
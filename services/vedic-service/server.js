@@ -9,6 +9,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('rate-limiter-flexible');
+const vedicApiRouter = require('./src/vedic-api');
 
 // Import centralized logger (assuming shared logger exists)
 let logger;
@@ -153,6 +154,9 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// ZC1 Vedic astrology REST API (birth chart, dasha, compatibility, panchang, muhurat)
+app.use('/api/v1/zc1', vedicApiRouter);
+
 // Metrics endpoint for Prometheus scraping (if metrics available)
 if (metrics && metrics.getMetrics) {
   app.get('/metrics', (req, res) => {
@@ -0,0 +1,404 @@
+/**
+ * ZodiaCore - Ashtakavarga Calculator
+ *
+ * Parashari Ashtakavarga: Bhinnashtakavarga bindus for the seven planets and
+ * the lagna, Sarvashtakavarga totals, Trikona and Ekadhipatya shodhana
+ * reductions, and Kakshya-level scoring of transits through the natal bindus.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ASTRO_CONSTANTS, ZODIAC_SIGNS } = require('./astro-constants');
+const { normalizeAngle } = require('./math-utils');
+
+// Planets with an Ashtakavarga of their own; the lagna also contributes bindus
+const ASHTAKAVARGA_PLANETS = ['SUN', 'MOON', 'MARS', 'MERCURY', 'JUPITER', 'VENUS', 'SATURN'];
+const CONTRIBUTORS = [...ASHTAKAVARGA_PLANETS, 'ASCENDANT'];
+
+/**
+ * Bindu tables (Brihat Parashara Hora Shastra): for each chart, the houses
+ * counted from every contributor's sign that receive a benefic point
+ */
+const BINDU_TABLES = {
+    SUN: {
+        SUN: [1, 2, 4, 7, 8, 9, 10, 11],
+        MOON: [3, 6, 10, 11],
+        MARS: [1, 2, 4, 7, 8, 9, 10, 11],
+        MERCURY: [3, 5, 6, 9, 10, 11, 12],
+        JUPITER: [5, 6, 9, 11],
+        VENUS: [6, 7, 12],
+        SATURN: [1, 2, 4, 7, 8, 9, 10, 11],
+        ASCENDANT: [3, 4, 6, 10, 11, 12]
+    },
+    MOON: {
+        SUN: [3, 6, 7, 8, 10, 11],
+        MOON: [1, 3, 6, 7, 10, 11],
+        MARS: [2, 3, 5, 6, 9, 10, 11],
+        MERCURY: [1, 3, 4, 5, 7, 8, 10, 11],
+        JUPITER: [1, 4, 7, 8, 10, 11, 12],
+        VENUS: [3, 4, 5, 7, 9, 10, 11],
+        SATURN: [3, 5, 6, 11],
+        ASCENDANT: [3, 6, 10, 11]
+    },
+    MARS: {
+        SUN: [3, 5, 6, 10, 11],
+        MOON: [3, 6, 11],
+        MARS: [1, 2, 4, 7, 8, 10, 11],
+        MERCURY: [3, 5, 6, 11],
+        JUPITER: [6, 10, 11, 12],
+        VENUS: [6, 8, 11, 12],
+        SATURN: [1, 4, 7, 8, 9, 10, 11],
+        ASCENDANT: [1, 3, 6, 10, 11]
+    },
+    MERCURY: {
+        SUN: [5, 6, 9, 11, 12],
+        MOON: [2, 4, 6, 8, 10, 11],
+        MARS: [1, 2, 4, 7, 8, 9, 10, 11],
+        MERCURY: [1, 3, 5, 6, 9, 10, 11, 12],
+        JUPITER: [6, 8, 11, 12],
+        VENUS: [1, 2, 3, 4, 5, 8, 9, 11],
+        SATURN: [1, 2, 4, 7, 8, 9, 10, 11],
+        ASCENDANT: [1, 2, 4, 6, 8, 10, 11]
+    },
+    JUPITER: {
+        SUN: [1, 2, 3, 4, 7, 8, 9, 10, 11],
+        MOON: [2, 5, 7, 9, 11],
+        MARS: [1, 2, 4, 7, 8, 10, 11],
+        MERCURY: [1, 2, 4, 5, 6, 9, 10, 11],
+        JUPITER: [1, 2, 3, 4, 7, 8, 10, 11],
+        VENUS: [2, 5, 6, 9, 10, 11],
+        SATURN: [3, 5, 6, 12],
+        ASCENDANT: [1, 2, 4, 5, 6, 7, 9, 10, 11]
+    },
+    VENUS: {
+        SUN: [8, 11, 12],
+        MOON: [1, 2, 3, 4, 5, 8, 9, 11, 12],
+        MARS: [3, 5, 6, 9, 11, 12],
+        MERCURY: [3, 5, 6, 9, 11],
+        JUPITER: [5, 8, 9, 10, 11],
+        VENUS: [1, 2, 3, 4, 5, 8, 9, 10, 11],
+        SATURN: [3, 4, 5, 8, 9, 10, 11],
+        ASCENDANT: [1, 2, 3, 4, 5, 8, 9, 11]
+    },
+    SATURN: {
+        SUN: [1, 2, 4, 7, 8, 10, 11],
+        MOON: [3, 6, 11],
+        MARS: [3, 5, 6, 10, 11, 12],
+        MERCURY: [6, 8, 9, 10, 11, 12],
+        JUPITER: [5, 6, 11, 12],
+        VENUS: [6, 11, 12],
+        SATURN: [3, 5, 6, 11],
+        ASCENDANT: [1, 3, 4, 6, 10, 11]
+    },
+    ASCENDANT: {
+        SUN: [3, 4, 6, 10, 11, 12],
+        MOON: [3, 6, 10, 11, 12],
+        MARS: [1, 3, 6, 10, 11],
+        MERCURY: [1, 2, 4, 6, 8, 10, 11],
+        JUPITER: [1, 2, 4, 5, 6, 7, 9, 10, 11],
+        VENUS: [1, 2, 3, 4, 5, 8, 9],
+        SATURN: [1, 3, 4, 6, 10, 11],
+        ASCENDANT: [3, 6, 10, 11]
+    }
+};
+
+// Each sign splits into eight kakshyas of 3°45', ruled in this order
+const KAKSHYA_LORDS = ['SATURN', 'JUPITER', 'MARS', 'SUN', 'VENUS', 'MERCURY', 'MOON', 'ASCENDANT'];
+const KAKSHYA_SPAN = ASTRO_CONSTANTS.DEGREES_PER_SIGN / KAKSHYA_LORDS.length;
+
+// Sign pairs sharing a lord, reduced together in Ekadhipatya shodhana
+// (Cancer and Leo have a single lord each and are left alone)
+const EKADHIPATYA_PAIRS = [
+    [0, 7],   // Mars: Aries, Scorpio
+    [1, 6],   // Venus: Taurus, Libra
+    [2, 5],   // Mercury: Gemini, Virgo
+    [8, 11],  // Jupiter: Sagittarius, Pisces
+    [9, 10]   // Saturn: Capricorn, Aquarius
+];
+
+// Transit thresholds: a planet gives good results through a sign with at
+// least this many of its own bindus, and a sign is strong with 28+ overall
+const AVERAGE_BINDUS = 4;
+const STRONG_SARVASHTAKAVARGA = 28;
+
+/**
+ * Trikona shodhana: within each triplicity of signs, remove the smallest
+ * count from all three. Nothing is removed if one of them is already empty,
+ * and three equal counts are all cleared.
+ * @param {number[]} bindus - Bindus by sign (Aries = 0)
+ * @returns {number[]} Reduced bindus
+ */
+function trikonaShodhana(bindus) {
+    const reduced = [...bindus];
+
+    for (let first = 0; first < 4; first++) {
+        const trine = [first, first + 4, first + 8];
+        const counts = trine.map(sign => reduced[sign]);
+        const smallest = Math.min(...counts);
+        if (smallest === 0) continue;
+
+        const allEqual = counts.every(count => count === counts[0]);
+        trine.forEach(sign => {
+            reduced[sign] = allEqual ? 0 : reduced[sign] - smallest;
+        });
+    }
+
+    return reduced;
+}
+
+/**
+ * Ekadhipatya shodhana: reduce the two signs owned by the same planet,
+ * following the Parashari rules on which of them holds planets
+ * @param {number[]} bindus - Bindus by sign, normally after trikona shodhana
+ * @param {number[]} occupiedSigns - Signs holding one of the seven planets
+ * @returns {number[]} Reduced bindus
+ */
+function ekadhipatyaShodhana(bindus, occupiedSigns) {
+    const reduced = [...bindus];
+    const occupied = new Set(occupiedSigns);
+
+    for (const [first, second] of EKADHIPATYA_PAIRS) {
+        const a = reduced[first];
+        const b = reduced[second];
+        if (a === 0 || b === 0) continue;
+
+        const firstOccupied = occupied.has(first);
+        const secondOccupied = occupied.has(second);
+        if (firstOccupied && secondOccupied) continue;
+
+        if (firstOccupied || secondOccupied) {
+            // The empty sign loses its bindus, down to at most the occupied sign's count
+            const [full, empty] = firstOccupied ? [first, second] : [second, first];
+            reduced[empty] = reduced[full] < reduced[empty] ? reduced[full] : 0;
+        } else if (a === b) {
+            reduced[first] = 0;
+            reduced[second] = 0;
+        } else {
+            reduced[first] = Math.min(a, b);
+            reduced[second] = Math.min(a, b);
+        }
+    }
+
+    return reduced;
+}
+
+/**
+ * Kakshya (eighth of a sign) containing a sidereal longitude
+ * @param {number} longitude - Sidereal longitude in degrees
+ * @returns {Object} Kakshya number (1-8), lord and span within the sign
+ */
+function getKakshya(longitude) {
+    const degree = normalizeAngle(longitude) % ASTRO_CONSTANTS.DEGREES_PER_SIGN;
+    const index = Math.min(Math.floor(degree / KAKSHYA_SPAN), KAKSHYA_LORDS.length - 1);
+
+    return {
+        number: index + 1,
+        lord: KAKSHYA_LORDS[index],
+        start: index * KAKSHYA_SPAN,
+        end: (index + 1) * KAKSHYA_SPAN
+    };
+}
+
+/**
+ * Ashtakavarga calculator for a sidereal birth chart
+ */
+class AshtakavargaCalculator {
+    /**
+     * @param {Object} birthChart - Chart with ascendant.longitude and planets[PLANET].longitude
+     */
+    constructor(birthChart) {
+        if (!AshtakavargaCalculator.canCalculate(birthChart)) {
+            throw new Error('Ashtakavarga requires the ascendant and the seven planets\' longitudes');
+        }
+
+        this.birthChart = birthChart;
+        this.signs = {};
+        for (const planet of ASHTAKAVARGA_PLANETS) {
+            this.signs[planet] = this.getSign(birthChart.planets[planet].longitude);
+        }
+        this.signs.ASCENDANT = this.getSign(birthChart.ascendant.longitude);
+        this.cache = new Map();
+    }
+
+    /**
+     * Check that a chart has every position Ashtakavarga needs
+     * @param {Object} birthChart - Birth chart
+     * @returns {boolean} True if the chart can be used
+     */
+    static canCalculate(birthChart) {
+        if (!birthChart || !birthChart.planets || !birthChart.ascendant) return false;
+        if (!Number.isFinite(birthChart.ascendant.longitude)) return false;
+
+        return ASHTAKAVARGA_PLANETS.every(planet =>
+            birthChart.planets[planet] && Number.isFinite(birthChart.planets[planet].longitude)
+        );
+    }
+
+    getSign(longitude) {
+        return Math.floor(normalizeAngle(longitude) / ASTRO_CONSTANTS.DEGREES_PER_SIGN);
+    }
+
+    /**
+     * Bhinnashtakavarga (individual Ashtakavarga) of a planet or the lagna
+     * @param {string} planet - SUN..SATURN or ASCENDANT
+     * @returns {Object} Bindus by sign, their total and the contributors of each sign
+     */
+    calculateBhinnashtakavarga(planet) {
+        const table = BINDU_TABLES[planet];
+        if (!table) {
+            throw new Error(`No Ashtakavarga for ${planet}`);
+        }
+        if (this.cache.has(planet)) {
+            return this.cache.get(planet);
+        }
+
+        const contributors = Array.from({ length: 12 }, () => []);
+        for (const contributor of CONTRIBUTORS) {
+            for (const house of table[contributor]) {
+                contributors[(this.signs[contributor] + house - 1) % 12].push(contributor);
+            }
+        }
+
+        const bindus = contributors.map(list => list.length);
+        const result = {
+            planet,
+            bindus,
+            total: bindus.reduce((sum, count) => sum + count, 0),
+            contributors
+        };
+        this.cache.set(planet, result);
+        return result;
+    }
+
+    /**
+     * Sarvashtakavarga: bindus of the seven planets' charts added by sign
+     * (the lagna's own chart is kept out, so the total is always 337)
+     * @returns {Object} Bindus by sign and their total
+     */
+    calculateSarvashtakavarga() {
+        const bindus = new Array(12).fill(0);
+        for (const planet of ASHTAKAVARGA_PLANETS) {
+            this.calculateBhinnashtakavarga(planet).bindus.forEach((count, sign) => {
+                bindus[sign] += count;
+            });
+        }
+
+        return {
+            bindus,
+            total: bindus.reduce((sum, count) => sum + count, 0)
+        };
+    }
+
+    /**
+     * Apply Trikona and then Ekadhipatya shodhana to a planet's chart
+     * @param {string} planet - SUN..SATURN or ASCENDANT
+     * @returns {Object} Bindus before and after each reduction
+     */
+    calculateReductions(planet) {
+        const { bindus } = this.calculateBhinnashtakavarga(planet);
+        const occupiedSigns = ASHTAKAVARGA_PLANETS.map(p => this.signs[p]);
+        const trikona = trikonaShodhana(bindus);
+
+        return {
+            planet,
+            bindus,
+            trikona,
+            ekadhipatya: ekadhipatyaShodhana(trikona, occupiedSigns)
+        };
+    }
+
+    /**
+     * Score a transit through the natal Ashtakavarga: the planet's own bindus
+     * in the sign, the Sarvashtakavarga of the sign, and whether the lord of
+     * the kakshya being crossed contributed a bindu there
+     * @param {string} planet - Transiting planet (SUN..SATURN)
+     * @param {number} longitude - Its sidereal longitude
+     * @returns {Object|null} Transit score, or null for planets without an Ashtakavarga
+     */
+    scoreTransit(planet, longitude) {
+        if (!ASHTAKAVARGA_PLANETS.includes(planet) || !Number.isFinite(longitude)) {
+            return null;
+        }
+
+        const sign = this.getSign(longitude);
+        const own = this.calculateBhinnashtakavarga(planet);
+        const bindus = own.bindus[sign];
+        const sarvashtakavargaBindus = this.calculateSarvashtakavarga().bindus[sign];
+        const kakshya = getKakshya(longitude);
+        const kakshyaBindu = own.contributors[sign].includes(kakshya.lord);
+
+        let quality = 'weak';
+        if (bindus > AVERAGE_BINDUS) quality = 'strong';
+        else if (bindus === AVERAGE_BINDUS) quality = 'average';
+
+        return {
+            planet,
+            longitude: normalizeAngle(longitude),
+            sign,
+            signName: ZODIAC_SIGNS[sign],
+            bindus,
+            sarvashtakavargaBindus,
+            strongSign: sarvashtakavargaBindus >= STRONG_SARVASHTAKAVARGA,
+            kakshya: { ...kakshya, hasBindu: kakshyaBindu },
+            quality,
+            // Three quarters from the sign's bindus (out of 8), a quarter from the kakshya
+            score: (bindus / 8) * 0.75 + (kakshyaBindu ? 0.25 : 0)
+        };
+    }
+
+    /**
+     * Score a set of transit positions
+     * @param {Object} positions - Sidereal longitudes keyed by planet
+     * @returns {Object} Transit scores keyed by planet
+     */
+    scoreTransits(positions) {
+        const scores = {};
+        for (const planet of ASHTAKAVARGA_PLANETS) {
+            const score = this.scoreTransit(planet, positions[planet]);
+            if (score) scores[planet] = score;
+        }
+        return scores;
+    }
+
+    /**
+     * Complete Ashtakavarga of the chart
+     * @returns {Object} Bhinnashtakavarga, reductions and Sarvashtakavarga
+     */
+    generateReport() {
+        const bhinnashtakavarga = {};
+        const reductions = {};
+        for (const planet of CONTRIBUTORS) {
+            const { bindus, total } = this.calculateBhinnashtakavarga(planet);
+            bhinnashtakavarga[planet] = { bindus, total };
+            reductions[planet] = this.calculateReductions(planet);
+        }
+
+        const sarvashtakavarga = this.calculateSarvashtakavarga();
+        const ascendantSign = this.signs.ASCENDANT;
+        const byHouse = sarvashtakavarga.bindus.map((_, house) => sarvashtakavarga.bindus[(ascendantSign + house) % 12]);
+
+        return {
+            bhinnashtakavarga,
+            reductions,
+            sarvashtakavarga: {
+                ...sarvashtakavarga,
+                byHouse,
+                strongSigns: sarvashtakavarga.bindus
+                    .map((count, sign) => (count >= STRONG_SARVASHTAKAVARGA ? sign : null))
+                    .filter(sign => sign !== null)
+            }
+        };
+    }
+}
+
+module.exports = {
+    AshtakavargaCalculator,
+    ASHTAKAVARGA_PLANETS,
+    BINDU_TABLES,
+    KAKSHYA_LORDS,
+    trikonaShodhana,
+    ekadhipatyaShodhana,
+    getKakshya
+};
@@ -0,0 +1,153 @@
+/**
+ * Ashtakavarga Calculator Tests
+ */
+
+const {
+    AshtakavargaCalculator,
+    BINDU_TABLES,
+    trikonaShodhana,
+    ekadhipatyaShodhana,
+    getKakshya
+} = require('./ashtakavarga-calculator');
+const TransitAnalyzer = require('./transit-analyzer');
+const ShadBalaCalculator = require('./shad-bala-calculator');
+
+function buildChart() {
+    const longitudes = {
+        SUN: 10.5,      // Aries
+        MOON: 200,      // Libra
+        MARS: 130,      // Leo
+        MERCURY: 20,    // Aries
+        JUPITER: 250,   // Sagittarius
+        VENUS: 70,      // Gemini
+        SATURN: 300,    // Aquarius
+        RAHU: 5,        // Aries
+        KETU: 185       // Libra
+    };
+    const planets = {};
+    for (const [planet, longitude] of Object.entries(longitudes)) {
+        planets[planet] = { longitude, sign: Math.floor(longitude / 30), degree: longitude % 30 };
+    }
+    return { ascendant: { longitude: 125.3, sign: 4, degree: 5.3 }, planets };
+}
+
+describe('AshtakavargaCalculator', () => {
+    const calculator = new AshtakavargaCalculator(buildChart());
+
+    test('each Bhinnashtakavarga has its fixed number of bindus', () => {
+        const totals = {};
+        for (const planet of Object.keys(BINDU_TABLES)) {
+            totals[planet] = calculator.calculateBhinnashtakavarga(planet).total;
+        }
+
+        expect(totals).toEqual({
+            SUN: 48, MOON: 49, MARS: 39, MERCURY: 54, JUPITER: 56, VENUS: 52, SATURN: 39, ASCENDANT: 49
+        });
+        expect(calculator.calculateSarvashtakavarga().total).toBe(337);
+    });
+
+    test('counts bindus from each contributor\'s sign', () => {
+        const saturn = calculator.calculateBhinnashtakavarga('SATURN');
+
+        // Aries is the 1st from the Sun, 5th from Jupiter, 11th from Venus and 3rd from Saturn
+        expect(saturn.contributors[0]).toEqual(['SUN', 'JUPITER', 'VENUS', 'SATURN']);
+        expect(saturn.bindus[0]).toBe(4);
+        expect(saturn.bindus.every(count => count >= 0 && count <= 8)).toBe(true);
+    });
+
+    test('reports Sarvashtakavarga by house from the lagna', () => {
+        const report = calculator.generateReport();
+        const { bindus, byHouse } = report.sarvashtakavarga;
+
+        // Leo rises
+        expect(byHouse[0]).toBe(bindus[4]);
+        expect(byHouse[8]).toBe(bindus[0]);
+        expect(report.reductions.SUN.ekadhipatya).toHaveLength(12);
+        expect(report.bhinnashtakavarga.ASCENDANT.total).toBe(49);
+    });
+
+    test('scores transits by sign bindus and the kakshya lord', () => {
+        // 5° Aries is the Jupiter kakshya, and Jupiter gave Saturn a bindu in Aries
+        expect(calculator.scoreTransit('SATURN', 5)).toMatchObject({
+            sign: 0,
+            signName: 'Aries',
+            bindus: 4,
+            quality: 'average',
+            kakshya: { number: 2, lord: 'JUPITER', hasBindu: true },
+            score: 0.625
+        });
+        // 9° Aries is the Mars kakshya, which gave no bindu
+        expect(calculator.scoreTransit('SATURN', 369).kakshya).toMatchObject({ number: 3, lord: 'MARS', hasBindu: false });
+        expect(calculator.scoreTransit('SATURN', 9).score).toBe(0.375);
+        expect(calculator.scoreTransit('RAHU', 9)).toBeNull();
+        expect(Object.keys(calculator.scoreTransits({ SUN: 1, RAHU: 2, SATURN: 3 }))).toEqual(['SUN', 'SATURN']);
+    });
+
+    test('needs the ascendant and all seven planets', () => {
+        const chart = buildChart();
+        delete chart.planets.VENUS;
+
+        expect(AshtakavargaCalculator.canCalculate(chart)).toBe(false);
+        expect(() => new AshtakavargaCalculator(chart)).toThrow(/seven planets/);
+        expect(() => calculator.calculateBhinnashtakavarga('RAHU')).toThrow(/RAHU/);
+    });
+});
+
+describe('shodhana', () => {
+    test('trikona removes the smallest count of each triplicity', () => {
+        //                       Ari Tau Gem Can Leo Vir Lib Sco Sag Cap Aqu Pis
+        const reduced = trikonaShodhana([5, 3, 0, 4, 2, 3, 6, 4, 4, 3, 1, 4]);
+
+        expect(reduced).toEqual([3, 0, 0, 0, 0, 0, 6, 0, 2, 0, 1, 0]);
+    });
+
+    test('ekadhipatya reduces sign pairs by occupation', () => {
+        const bindus = [4, 2, 3, 0, 0, 5, 6, 3, 2, 2, 5, 4];
+        // Aries and Virgo occupied
+        const reduced = ekadhipatyaShodhana(bindus, [0, 5]);
+
+        expect(reduced[0]).toBe(4);             // occupied, kept
+        expect(reduced[7]).toBe(0);             // empty, with fewer bindus than Aries
+        expect([reduced[1], reduced[6]]).toEqual([2, 2]); // both empty, larger cut down
+        expect([reduced[2], reduced[5]]).toEqual([0, 5]); // empty Gemini below occupied Virgo
+        expect([reduced[8], reduced[11]]).toEqual([2, 2]);
+        expect([reduced[9], reduced[10]]).toEqual([2, 2]);
+        expect(ekadhipatyaShodhana([3, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0], [])[0]).toBe(0);
+        expect(ekadhipatyaShodhana([3, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0], [0, 7])[7]).toBe(3);
+    });
+});
+
+describe('getKakshya', () => {
+    test('divides each sign into eight parts from Saturn to the lagna', () => {
+        expect(getKakshya(30)).toMatchObject({ number: 1, lord: 'SATURN', start: 0, end: 3.75 });
+        expect(getKakshya(33.75).lord).toBe('JUPITER');
+        expect(getKakshya(59.99)).toMatchObject({ number: 8, lord: 'ASCENDANT' });
+    });
+});
+
+describe('Ashtakavarga in transit and strength reports', () => {
+    test('TransitAnalyzer scores transits with bindus', () => {
+        const analyzer = new TransitAnalyzer(buildChart());
+        const saturn = analyzer.getMajorTransits().find(transit => transit.planet === 'SATURN');
+
+        expect(saturn.ashtakavarga).toEqual(analyzer.ashtakavarga.scoreTransit('SATURN', 301.2));
+        expect(analyzer.getMajorTransits().find(transit => transit.planet === 'RAHU').ashtakavarga).toBeNull();
+        expect(new TransitAnalyzer({ planets: {} }).ashtakavarga).toBeNull();
+    });
+
+    test('TransitAnalyzer strength moves with the bindu score', () => {
+        const analyzer = new TransitAnalyzer(buildChart());
+        const transit = { house: 2, sign: 0, longitude: 5 };
+        const withBindus = analyzer.calculateTransitStrength('SATURN', transit);
+        analyzer.ashtakavarga = null;
+
+        expect(withBindus - analyzer.calculateTransitStrength('SATURN', transit)).toBeCloseTo((0.625 - 0.5) * 0.4, 9);
+    });
+
+    test('ShadBalaCalculator reports the natal bindus', () => {
+        const shadBala = new ShadBalaCalculator(buildChart());
+
+        expect(shadBala.getAshtakavargaSupport('SATURN')).toMatchObject({ sign: 10, total: 39 });
+        expect(shadBala.getAshtakavargaSupport('KETU')).toBeNull();
+    });
+});
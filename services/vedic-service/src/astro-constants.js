@@ -45,7 +45,7 @@ const ASTRO_CONSTANTS = {
     KOCH_MAX_LATITUDE: 60.0,               // Maximum latitude for Koch system
     MORINUS_MAX_LATITUDE: 60.0,            // Maximum latitude for Morinus system
 
-    // Ayanamsa Base Values (Lahiri)
+    // Ayanamsa Base Values (Lahiri, linear approximation)
     LAHIRI_BASE_YEAR: 1900,                // Base year for Lahiri Ayanamsa
     LAHIRI_BASE_VALUE: 22.46000,           // Base Ayanamsa value in degrees for 1900
 
@@ -59,6 +59,54 @@ const ASTRO_CONSTANTS = {
     SYNODIC_MONTH_DAYS: 29.530588,         // Synodic month length
 };
 
+// Ayanamsa systems. Each value is fixed at a reference epoch (Julian Day) and
+// carried to other dates by general precession; True Chitra instead keeps
+// Spica (Chitra) at exactly 0° Libra.
+const AYANAMSA_SYSTEMS = {
+    LAHIRI: {
+        name: 'Lahiri (Chitrapaksha)',
+        referenceJulianDay: 2435553.5,     // 1956 March 21, Indian Ephemeris
+        referenceValue: 23.245522556
+    },
+    RAMAN: {
+        name: 'B. V. Raman',
+        referenceJulianDay: 2415020.0,     // 1900 January 0.5
+        referenceValue: 21.014440
+    },
+    KRISHNAMURTI: {
+        name: 'Krishnamurti (KP)',
+        referenceJulianDay: 2415020.0,
+        referenceValue: 22.363889
+    },
+    YUKTESHWAR: {
+        name: 'Sri Yukteshwar',
+        referenceJulianDay: 2415020.0,
+        referenceValue: 21.082222
+    },
+    FAGAN_BRADLEY: {
+        name: 'Fagan-Bradley',
+        referenceJulianDay: 2433282.42346, // 1950.0
+        referenceValue: 24.042044444
+    },
+    TRUE_CHITRA: {
+        name: 'True Chitra',
+        star: {
+            longitude: 203.841356,         // Spica, J2000.0 ecliptic
+            latitude: -2.054489
+        },
+        siderealLongitude: 180.0
+    }
+};
+
+// Alternative names accepted for ayanamsa systems
+const AYANAMSA_ALIASES = {
+    CHITRAPAKSHA: 'LAHIRI',
+    KP: 'KRISHNAMURTI',
+    YUKTESWAR: 'YUKTESHWAR',
+    FAGAN: 'FAGAN_BRADLEY',
+    CHITRA: 'TRUE_CHITRA'
+};
+
 // Planetary periods for Vimshottari Dasha system (in years)
 const PLANETARY_PERIODS = {
     KETU: 7,     // Years
@@ -140,6 +188,8 @@ const TITHI_NAMES = [
 // Export all constants
 module.exports = {
     ASTRO_CONSTANTS,
+    AYANAMSA_SYSTEMS,
+    AYANAMSA_ALIASES,
     PLANETARY_PERIODS,
     NAKSHATRA_LORDS,
     NAKSHATRA_NAMES,
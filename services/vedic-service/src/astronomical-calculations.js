@@ -9,8 +9,9 @@
  * @license MIT
  */
 
-const { ASTRO_CONSTANTS } = require('./astro-constants');
+const { ASTRO_CONSTANTS, AYANAMSA_SYSTEMS, AYANAMSA_ALIASES } = require('./astro-constants');
 const { degToRad, radToDeg, normalizeAngle } = require('./math-utils');
+const { ValidationError } = require('./errors');
 
 /**
  * Calculate Julian Day Number from Gregorian Date
@@ -53,21 +54,107 @@ function calculateJulianCenturies(julianDay) {
 }
 
 /**
- * Calculate Lahiri Ayanamsa for given year
- * @param {number} year - Year for calculation
+ * Calculate general precession in longitude accumulated since J2000.0 (IAU 2006)
+ * @param {number} julianDay - Julian Day Number
+ * @returns {number} Precession in degrees (negative before J2000.0)
+ */
+function calculateGeneralPrecession(julianDay) {
+    const T = calculateJulianCenturies(julianDay);
+    const arcseconds = 5028.796195 * T + 1.1054348 * T * T + 0.00007964 * T * T * T;
+
+    return arcseconds / 3600;
+}
+
+/**
+ * Precess ecliptic coordinates from J2000.0 to the mean ecliptic and equinox of date
+ * @param {number} longitude - J2000.0 ecliptic longitude in degrees
+ * @param {number} latitude - J2000.0 ecliptic latitude in degrees
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object} Object with longitude and latitude of date in degrees
+ */
+function precessEclipticFromJ2000(longitude, latitude, julianDay) {
+    const T = calculateJulianCenturies(julianDay);
+
+    // Meeus, Astronomical Algorithms, eq. 21.5 and 21.7
+    const eta = degToRad((47.0029 * T - 0.03302 * T * T + 0.00006 * T * T * T) / 3600);
+    const pi = 174.876384 + (-869.8089 * T + 0.03536 * T * T) / 3600;
+    const p = (5029.0966 * T + 1.11113 * T * T - 0.000006 * T * T * T) / 3600;
+
+    const beta = degToRad(latitude);
+    const diff = degToRad(pi - longitude);
+    const A = Math.cos(eta) * Math.cos(beta) * Math.sin(diff) - Math.sin(eta) * Math.sin(beta);
+    const B = Math.cos(beta) * Math.cos(diff);
+    const C = Math.cos(eta) * Math.sin(beta) + Math.sin(eta) * Math.cos(beta) * Math.sin(diff);
+
+    return {
+        longitude: normalizeAngle(p + pi - radToDeg(Math.atan2(A, B))),
+        latitude: radToDeg(Math.asin(C))
+    };
+}
+
+/**
+ * Resolve an ayanamsa system by name or user definition
+ * @param {string|Object} system - System name (e.g. 'LAHIRI', 'KP', 'Fagan-Bradley') or a
+ *        user-defined system { name, referenceJulianDay, referenceValue }
+ * @returns {Object} System definition with its id
+ * @throws {ValidationError} If the system is unknown or the definition is invalid
+ */
+function resolveAyanamsaSystem(system = 'LAHIRI') {
+    if (system && typeof system === 'object') {
+        const { referenceJulianDay, referenceValue } = system;
+        if (!Number.isFinite(referenceJulianDay) || !Number.isFinite(referenceValue)) {
+            throw new ValidationError(
+                'User-defined ayanamsa requires numeric referenceJulianDay and referenceValue',
+                'ayanamsa',
+                system
+            );
+        }
+        return {
+            id: `CUSTOM:${referenceJulianDay}:${referenceValue}`,
+            name: system.name || 'User-defined',
+            referenceJulianDay,
+            referenceValue
+        };
+    }
+
+    const key = String(system).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    const id = AYANAMSA_ALIASES[key] || key;
+    if (!Object.prototype.hasOwnProperty.call(AYANAMSA_SYSTEMS, id)) {
+        throw new ValidationError(`Unknown ayanamsa system: ${system}`, 'ayanamsa', system);
+    }
+
+    return { id, ...AYANAMSA_SYSTEMS[id] };
+}
+
+/**
+ * Calculate ayanamsa for a Julian Day in the chosen system
+ * @param {number} julianDay - Julian Day Number
+ * @param {string|Object} system - Ayanamsa system (see resolveAyanamsaSystem)
  * @returns {number} Ayanamsa in degrees
  */
-function calculateLahiriAyanamsa(year) {
-    // Accumulated Precession formula for scientific calculation
-    const T = (year - 2000) / 100; // Centuries from J2000.0
+function calculateAyanamsa(julianDay, system = 'LAHIRI') {
+    const definition = resolveAyanamsaSystem(system);
 
-    // Scientific formula for accumulated precession
-    const AP = 5028.796195 + 2.2108696 * (23631.58 + (year - 2000) / 365.25);
+    if (definition.star) {
+        // Proper motion of the reference star (under 0.1" a year for Spica) is ignored
+        const star = precessEclipticFromJ2000(definition.star.longitude, definition.star.latitude, julianDay);
+        return star.longitude - definition.siderealLongitude;
+    }
 
-    // Convert to degrees and add Earth's obliquity
-    const ayanamsa = ASTRO_CONSTANTS.EARTH_OBLIQUITY + (AP / 3600);
+    return definition.referenceValue +
+           calculateGeneralPrecession(julianDay) -
+           calculateGeneralPrecession(definition.referenceJulianDay);
+}
 
-    return ayanamsa;
+/**
+ * Calculate Lahiri Ayanamsa for given year
+ * @param {number} year - Year for calculation (fractional years allowed)
+ * @returns {number} Ayanamsa in degrees
+ */
+function calculateLahiriAyanamsa(year) {
+    const julianDay = ASTRO_CONSTANTS.JULIAN_DAY_J2000 + (year - 2000) * 365.25;
+
+    return calculateAyanamsa(julianDay, 'LAHIRI');
 }
 
 /**
@@ -107,6 +194,17 @@ function calculateLST(gmst, longitude) {
     return normalizeAngle(gmst + longitude);
 }
 
+/**
+ * Ecliptic longitude of the MC for a local sidereal time
+ * @param {number} lst - Local sidereal time (RAMC) in degrees
+ * @returns {number} MC longitude in degrees
+ */
+function midheavenFromLST(lst) {
+    const lstRad = degToRad(lst);
+    const oblRad = degToRad(ASTRO_CONSTANTS.EARTH_OBLIQUITY);
+    return normalizeAngle(radToDeg(Math.atan2(Math.sin(lstRad), Math.cos(lstRad) * Math.cos(oblRad))));
+}
+
 /**
  * Convert equatorial coordinates to ecliptic coordinates
  * @param {number} ra - Right Ascension in degrees
@@ -224,10 +322,15 @@ function calculateEquationOfTime(julianDay) {
 module.exports = {
     calculateJulianDay,
     calculateJulianCenturies,
+    calculateGeneralPrecession,
+    precessEclipticFromJ2000,
+    resolveAyanamsaSystem,
+    calculateAyanamsa,
     calculateLahiriAyanamsa,
     calculateSimpleLahiriAyanamsa,
     calculateGMST,
     calculateLST,
+    midheavenFromLST,
     equatorialToEcliptic,
     eclipticToEquatorial,
     calculateObliquity,
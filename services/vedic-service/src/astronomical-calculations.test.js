@@ -0,0 +1,96 @@
+/**
+ * ZodiaCore - Astronomical Calculations Tests
+ *
+ * Covers precession, the selectable ayanamsa systems and the MC from sidereal time.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const {
+    calculateGeneralPrecession,
+    resolveAyanamsaSystem,
+    calculateAyanamsa,
+    calculateLahiriAyanamsa,
+    midheavenFromLST
+} = require('./astronomical-calculations');
+const { ValidationError } = require('./errors');
+
+const J2000 = 2451545.0;
+const J1900 = 2415020.0;
+
+describe('Astronomical Calculations', () => {
+    describe('calculateGeneralPrecession', () => {
+        test('is zero at J2000.0 and about 50.29" a year', () => {
+            expect(calculateGeneralPrecession(J2000)).toBe(0);
+            expect(calculateGeneralPrecession(J2000 + 36525) * 3600 / 100).toBeCloseTo(50.29, 1);
+        });
+    });
+
+    describe('calculateAyanamsa', () => {
+        // Published values at J2000.0 in degrees
+        test.each([
+            ['LAHIRI', 23.8571],
+            ['RAMAN', 22.4110],
+            ['KRISHNAMURTI', 23.7605],
+            ['YUKTESHWAR', 22.4788],
+            ['FAGAN_BRADLEY', 24.7404],
+            ['TRUE_CHITRA', 23.8414]
+        ])('%s at J2000.0', (system, expected) => {
+            expect(calculateAyanamsa(J2000, system)).toBeCloseTo(expected, 3);
+        });
+
+        test('reproduces the reference values at their epochs', () => {
+            expect(calculateAyanamsa(2435553.5, 'LAHIRI')).toBeCloseTo(23.245523, 6);
+            expect(calculateAyanamsa(J1900, 'RAMAN')).toBeCloseTo(21.01444, 6);
+            expect(calculateAyanamsa(2433282.42346, 'FAGAN_BRADLEY')).toBeCloseTo(24.042044, 6);
+        });
+
+        test('True Chitra stays within minutes of Lahiri, which is also defined on Spica', () => {
+            for (const julianDay of [J1900, J2000, 2460310.5]) {
+                const difference = calculateAyanamsa(julianDay, 'TRUE_CHITRA') - calculateAyanamsa(julianDay, 'LAHIRI');
+                expect(Math.abs(difference)).toBeLessThan(0.05);
+            }
+        });
+
+        test('accepts aliases and user-defined systems', () => {
+            expect(calculateAyanamsa(J2000, 'KP')).toBe(calculateAyanamsa(J2000, 'KRISHNAMURTI'));
+            expect(calculateAyanamsa(J2000, 'Fagan-Bradley')).toBe(calculateAyanamsa(J2000, 'FAGAN_BRADLEY'));
+
+            const custom = { name: 'House system', referenceJulianDay: J2000, referenceValue: 23 };
+            expect(calculateAyanamsa(J2000, custom)).toBe(23);
+            expect(calculateAyanamsa(J2000 + 36525, custom)).toBeCloseTo(23 + 5028.8 / 3600, 3);
+        });
+
+        test('rejects unknown systems and incomplete definitions', () => {
+            expect(() => calculateAyanamsa(J2000, 'SURYA')).toThrow(ValidationError);
+            expect(() => resolveAyanamsaSystem({ referenceValue: 23 })).toThrow(/referenceJulianDay/);
+        });
+    });
+
+    describe('resolveAyanamsaSystem', () => {
+        test('returns a stable id per system', () => {
+            expect(resolveAyanamsaSystem('chitrapaksha').id).toBe('LAHIRI');
+            expect(resolveAyanamsaSystem({ referenceJulianDay: J2000, referenceValue: 23 }).id).toBe('CUSTOM:2451545:23');
+        });
+    });
+
+    describe('calculateLahiriAyanamsa', () => {
+        test('matches the Indian Ephemeris values', () => {
+            expect(calculateLahiriAyanamsa(1900)).toBeCloseTo(22.4605, 3);
+            expect(calculateLahiriAyanamsa(2000)).toBeCloseTo(23.8571, 3);
+            expect(calculateLahiriAyanamsa(2025)).toBeCloseTo(24.2063, 3);
+        });
+    });
+
+    describe('midheavenFromLST', () => {
+        test('equals the RAMC at the equinoxes and solstices only', () => {
+            expect(midheavenFromLST(0)).toBeCloseTo(0, 6);
+            expect(midheavenFromLST(90)).toBeCloseTo(90, 6);
+            expect(midheavenFromLST(270)).toBeCloseTo(270, 6);
+            expect(midheavenFromLST(30)).toBeCloseTo(32.2, 1);
+            expect(midheavenFromLST(330)).toBeCloseTo(327.8, 1);
+        });
+    });
+});
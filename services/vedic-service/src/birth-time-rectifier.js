@@ -0,0 +1,464 @@
+/**
+ * ZodiaCore - Birth Time Rectifier
+ *
+ * Rectifies an unknown or rounded birth time from dated life events. Every
+ * candidate time in a window around the recorded time is cast afresh and
+ * scored at each event on four kinds of evidence: the Vimshottari periods
+ * running and their links to the event's houses, transits over the angles,
+ * secondary-progressed angles and planets, and solar-arc directions between
+ * the angles and the natal planets. Candidates are returned ranked, with the
+ * evidence behind each score.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { PLANETS } = require('./astro-constants');
+const { PLANET_RULERSHIPS } = require('./astrology-constants');
+const {
+    calculateJulianDay,
+    calculateAyanamsa,
+    calculateGMST,
+    calculateLST,
+    midheavenFromLST
+} = require('./astronomical-calculations');
+const { calculateAscendant } = require('./birth-chart-algorithms');
+const { normalizeAngle } = require('./math-utils');
+const { getOrdinal } = require('./compatibility-utils');
+const PlanetaryCalculator = require('./planetary-calculator');
+const NakshatraCalculator = require('./nakshatra-calculator');
+const VimshottariDasha = require('./vimshottari-dasha');
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const TROPICAL_YEAR_DAYS = 365.2422;
+const MAX_CANDIDATES = 721;
+
+// Houses and natural significators (karakas) of each kind of event
+const EVENT_SIGNIFICATIONS = {
+    marriage: { houses: [7, 2, 11], karakas: ['VENUS', 'JUPITER'] },
+    children: { houses: [5, 9, 11], karakas: ['JUPITER'] },
+    career: { houses: [10, 6, 11], karakas: ['SUN', 'SATURN', 'MERCURY'] },
+    accident: { houses: [8, 6, 12], karakas: ['MARS', 'SATURN', 'RAHU'] },
+    relocation: { houses: [4, 12, 3], karakas: ['MOON', 'RAHU'] },
+    education: { houses: [4, 5, 9], karakas: ['MERCURY', 'JUPITER'] }
+};
+
+// Mahadasha, antardasha and pratyantardasha
+const DASHA_LEVEL_WEIGHTS = [0.5, 0.3, 0.2];
+
+// Slow transiting bodies and their weight when they cross an angle
+const TRANSIT_WEIGHTS = { SATURN: 1, JUPITER: 0.75, RAHU: 0.75, KETU: 0.75, MARS: 0.5 };
+const PROGRESSED_PLANETS = ['SUN', 'MOON', 'MERCURY', 'VENUS', 'MARS'];
+
+const ASPECT_NAMES = { 0: 'conjunction', 60: 'sextile', 90: 'square', 120: 'trine', 180: 'opposition' };
+const HARD_ASPECTS = [0, 90, 180];
+const ALL_ASPECTS = [0, 60, 90, 120, 180];
+
+// Orbs in degrees: a degree of direction is about a year, and about four minutes of birth time
+const TRANSIT_ORB = 2;
+const DIRECTION_ORB = 1;
+
+const TECHNIQUE_WEIGHTS = { vimshottari: 1, transit: 0.5, progression: 1, solar_arc: 1 };
+
+/**
+ * Closest aspect between two longitudes within an orb
+ * @param {number} a - First longitude
+ * @param {number} b - Second longitude
+ * @param {number[]} aspects - Aspect angles to test
+ * @param {number} maxOrb - Orb in degrees
+ * @returns {Object|null} { angle, name, orb } or null
+ */
+function findAspect(a, b, aspects, maxOrb) {
+    const separation = Math.abs(((normalizeAngle(a - b) + 180) % 360) - 180);
+    let best = null;
+    for (const angle of aspects) {
+        const orb = Math.abs(separation - angle);
+        if (orb <= maxOrb && (!best || orb < best.orb)) {
+            best = { angle, name: ASPECT_NAMES[angle], orb };
+        }
+    }
+    return best;
+}
+
+/**
+ * Birth time rectifier
+ */
+class BirthTimeRectifier {
+    /**
+     * @param {Object} options - Rectifier options
+     * @param {string|Object} options.ayanamsa - Ayanamsa system (defaults to Lahiri)
+     * @param {Function} options.ephemeris - Tropical longitudes for a Julian Day,
+     *        defaulting to the planetary calculator behind the birth chart generator
+     */
+    constructor(options = {}) {
+        this.ayanamsaSystem = options.ayanamsa || 'LAHIRI';
+        this.planetaryCalculator = new PlanetaryCalculator();
+        this.ephemeris = options.ephemeris || (julianDay => this.planetaryCalculator.calculateAccuratePlanets(julianDay));
+        this.nakshatraCalculator = new NakshatraCalculator();
+        this.dasha = new VimshottariDasha();
+    }
+
+    /**
+     * Validate birth data and events
+     * @param {Object} birthData - Recorded birth time (UTC fields) and place
+     * @param {Array} events - Life events { type, date }
+     * @throws {Error} If fields are missing or an event type is unknown
+     */
+    validate(birthData, events) {
+        for (const field of ['year', 'month', 'day', 'hour', 'minute', 'latitude', 'longitude']) {
+            if (!Number.isFinite(birthData?.[field])) {
+                throw new Error(`Rectification requires the birth ${field}`);
+            }
+        }
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('Rectification requires at least one dated life event');
+        }
+        for (const event of events) {
+            if (!EVENT_SIGNIFICATIONS[event?.type]) {
+                throw new Error(`Unknown event type: ${event?.type}. Supported: ${Object.keys(EVENT_SIGNIFICATIONS).join(', ')}`);
+            }
+            if (!(event.date instanceof Date) || isNaN(event.date.getTime())) {
+                throw new Error(`Event ${event.type} needs a valid date`);
+            }
+        }
+    }
+
+    /**
+     * Recorded birth time as a UTC date
+     * @param {Object} birthData - Birth data with UTC fields
+     * @returns {Date} Recorded time
+     */
+    getRecordedTime(birthData) {
+        return new Date(Date.UTC(
+            birthData.year, birthData.month - 1, birthData.day,
+            birthData.hour, birthData.minute, birthData.second || 0
+        ));
+    }
+
+    /**
+     * Candidate birth times across the window, in time order
+     * @param {Object} birthData - Birth data with UTC fields
+     * @param {number} rangeMinutes - Minutes either side of the recorded time
+     * @param {number} stepMinutes - Minutes between candidates
+     * @returns {Date[]} Candidate times
+     * @throws {Error} If the window or step is invalid or yields too many candidates
+     */
+    getCandidateTimes(birthData, rangeMinutes, stepMinutes) {
+        if (!(rangeMinutes >= 0) || !(stepMinutes > 0)) {
+            throw new Error('Rectification window must be non-negative and its step positive');
+        }
+        const steps = Math.floor(rangeMinutes / stepMinutes);
+        if (2 * steps + 1 > MAX_CANDIDATES) {
+            throw new Error(`Rectification window holds more than ${MAX_CANDIDATES} candidate times; widen the step`);
+        }
+
+        const recorded = this.getRecordedTime(birthData).getTime();
+        const candidates = [];
+        for (let step = -steps; step <= steps; step++) {
+            candidates.push(new Date(recorded + step * stepMinutes * MS_PER_MINUTE));
+        }
+        return candidates;
+    }
+
+    /**
+     * Julian Day of a UTC date
+     * @param {Date} date - Date
+     * @returns {number} Julian Day
+     */
+    toJulianDay(date) {
+        return calculateJulianDay(
+            date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+            date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds() + date.getUTCMilliseconds() / 1000
+        );
+    }
+
+    /**
+     * Cast the chart for one candidate time: tropical angles and planets for
+     * the Western techniques, the sidereal lagna for house lordships, and the
+     * Vimshottari balance from the Moon's nakshatra
+     * @param {Date} date - Candidate birth time
+     * @param {Object} birthData - Birth place
+     * @returns {Object} Candidate chart
+     */
+    castChart(date, birthData) {
+        const julianDay = this.toJulianDay(date);
+        const lst = calculateLST(calculateGMST(julianDay), birthData.longitude);
+        const ascendant = calculateAscendant(lst, birthData.latitude);
+        const ayanamsa = calculateAyanamsa(julianDay, this.ayanamsaSystem);
+        const positions = this.ephemeris(julianDay);
+
+        const planets = {};
+        for (const planet of PLANETS) {
+            if (Number.isFinite(positions[planet])) {
+                const sidereal = normalizeAngle(positions[planet] - ayanamsa);
+                planets[planet] = { longitude: positions[planet], sidereal, sign: Math.floor(sidereal / 30) };
+            }
+        }
+
+        const moonNakshatra = this.nakshatraCalculator.calculateNakshatra(planets.MOON.sidereal);
+
+        return {
+            date,
+            julianDay,
+            lst,
+            latitude: birthData.latitude,
+            ascendant,
+            midheaven: midheavenFromLST(lst),
+            ayanamsa,
+            lagnaSign: Math.floor(normalizeAngle(ascendant - ayanamsa) / 30),
+            planets,
+            balance: this.dasha.calculateDashaBalance(moonNakshatra, date)
+        };
+    }
+
+    /**
+     * Links of a planet to the event's houses from the candidate lagna
+     * @param {Object} chart - Candidate chart
+     * @param {string} planet - Planet name
+     * @param {Object} significations - Event houses and karakas
+     * @returns {string[]} Descriptions of each link
+     */
+    getEventLinks(chart, planet, significations) {
+        const links = [];
+        for (const house of significations.houses) {
+            const sign = (chart.lagnaSign + house - 1) % 12;
+            if (PLANET_RULERSHIPS.HOUSE_LORDS[sign + 1] === planet) {
+                links.push(`lords the ${getOrdinal(house)} house`);
+            }
+        }
+        const placement = chart.planets[planet];
+        if (placement) {
+            const house = ((placement.sign - chart.lagnaSign + 12) % 12) + 1;
+            if (significations.houses.includes(house)) {
+                links.push(`occupies the ${getOrdinal(house)} house`);
+            }
+        }
+        if (significations.karakas.includes(planet)) {
+            links.push('is a natural significator');
+        }
+        return links;
+    }
+
+    /**
+     * Vimshottari evidence: the running mahadasha, antardasha and
+     * pratyantardasha lords that signify the event
+     * @param {Object} chart - Candidate chart
+     * @param {Object} event - Life event
+     * @returns {Array} Evidence entries
+     */
+    scoreDasha(chart, event) {
+        const significations = EVENT_SIGNIFICATIONS[event.type];
+        const periods = this.dasha.getPeriodsAt(chart.date, event.date, chart.balance, DASHA_LEVEL_WEIGHTS.length);
+
+        return periods.map((period, index) => {
+            const links = this.getEventLinks(chart, period.planet, significations);
+            if (links.length === 0) return null;
+            return {
+                technique: 'vimshottari',
+                factor: period.planet,
+                description: `${period.planet} ${period.levelName} running; ${period.planet} ${links.join(', ')}`,
+                score: DASHA_LEVEL_WEIGHTS[index] * Math.min(links.length, 2) / 2
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Transit evidence: slow planets on or square to the candidate's angles
+     * @param {Object} chart - Candidate chart
+     * @param {Object} transits - Tropical longitudes at the event
+     * @returns {Array} Evidence entries
+     */
+    scoreTransits(chart, transits) {
+        const evidence = [];
+        for (const [planet, weight] of Object.entries(TRANSIT_WEIGHTS)) {
+            if (!Number.isFinite(transits[planet])) continue;
+            for (const [angle, longitude] of [['ASC', chart.ascendant], ['MC', chart.midheaven]]) {
+                const aspect = findAspect(transits[planet], longitude, HARD_ASPECTS, TRANSIT_ORB);
+                if (aspect) {
+                    evidence.push({
+                        technique: 'transit',
+                        factor: planet,
+                        description: `Transiting ${planet} ${aspect.name} the ${angle} (orb ${aspect.orb.toFixed(2)}°)`,
+                        score: weight * (1 - aspect.orb / TRANSIT_ORB)
+                    });
+                }
+            }
+        }
+        return evidence;
+    }
+
+    /**
+     * Contacts between moving angles or planets and fixed natal points
+     * @param {string} technique - progression or solar_arc
+     * @param {string} label - Adjective for the moving points
+     * @param {Object} angles - Moving { ASC, MC } longitudes
+     * @param {Object} planets - Moving planet longitudes
+     * @param {Object} chart - Candidate chart (natal points)
+     * @param {Object} significations - Event houses and karakas
+     * @returns {Array} Evidence entries
+     */
+    findDirectedContacts(technique, label, angles, planets, chart, significations) {
+        const evidence = [];
+        const natalAngles = { ASC: chart.ascendant, MC: chart.midheaven };
+        const weigh = planet => (significations.karakas.includes(planet) ? 1 : 0.5);
+
+        for (const [angle, longitude] of Object.entries(angles)) {
+            for (const [planet, { longitude: natal }] of Object.entries(chart.planets)) {
+                const aspect = findAspect(longitude, natal, ALL_ASPECTS, DIRECTION_ORB);
+                if (aspect) {
+                    evidence.push({
+                        technique,
+                        factor: planet,
+                        description: `${label} ${angle} ${aspect.name} natal ${planet} (orb ${aspect.orb.toFixed(2)}°)`,
+                        score: weigh(planet) * (1 - aspect.orb / DIRECTION_ORB)
+                    });
+                }
+            }
+        }
+        for (const [planet, longitude] of Object.entries(planets)) {
+            for (const [angle, natal] of Object.entries(natalAngles)) {
+                const aspect = findAspect(longitude, natal, ALL_ASPECTS, DIRECTION_ORB);
+                if (aspect) {
+                    evidence.push({
+                        technique,
+                        factor: planet,
+                        description: `${label} ${planet} ${aspect.name} natal ${angle} (orb ${aspect.orb.toFixed(2)}°)`,
+                        score: weigh(planet) * (1 - aspect.orb / DIRECTION_ORB)
+                    });
+                }
+            }
+        }
+        return evidence;
+    }
+
+    /**
+     * Secondary progressions (a day for a year) and solar arcs at an event.
+     * Progressed angles advance the sidereal time by the solar arc; directed
+     * points all move by the arc of the progressed Sun.
+     * @param {Object} chart - Candidate chart
+     * @param {Object} event - Life event
+     * @returns {Array} Evidence entries
+     */
+    scoreProgressions(chart, event) {
+        const significations = EVENT_SIGNIFICATIONS[event.type];
+        const age = (event.date - chart.date) / (TROPICAL_YEAR_DAYS * MS_PER_DAY);
+        const progressed = this.ephemeris(chart.julianDay + age);
+        const solarArc = normalizeAngle(progressed.SUN - chart.planets.SUN.longitude);
+
+        const progressedLst = chart.lst + solarArc;
+        const progressedAngles = {
+            ASC: calculateAscendant(progressedLst, chart.latitude),
+            MC: midheavenFromLST(progressedLst)
+        };
+        const progressedPlanets = {};
+        for (const planet of PROGRESSED_PLANETS) {
+            if (Number.isFinite(progressed[planet])) progressedPlanets[planet] = progressed[planet];
+        }
+
+        const directedAngles = {
+            ASC: normalizeAngle(chart.ascendant + solarArc),
+            MC: normalizeAngle(chart.midheaven + solarArc)
+        };
+        const directedPlanets = {};
+        for (const [planet, { longitude }] of Object.entries(chart.planets)) {
+            directedPlanets[planet] = normalizeAngle(longitude + solarArc);
+        }
+
+        return [
+            ...this.findDirectedContacts('progression', 'Progressed', progressedAngles, progressedPlanets, chart, significations),
+            ...this.findDirectedContacts('solar_arc', 'Solar arc', directedAngles, directedPlanets, chart, significations)
+        ];
+    }
+
+    /**
+     * Score one candidate chart against every event
+     * @param {Object} chart - Candidate chart
+     * @param {Array} events - Life events
+     * @param {Array} transits - Tropical longitudes at each event
+     * @returns {Object} { score, events } with weighted evidence per event
+     */
+    scoreCandidate(chart, events, transits) {
+        let total = 0;
+        const results = events.map((event, index) => {
+            const evidence = [
+                ...this.scoreDasha(chart, event),
+                ...this.scoreTransits(chart, transits[index]),
+                ...this.scoreProgressions(chart, event)
+            ].map(entry => ({ ...entry, score: entry.score * TECHNIQUE_WEIGHTS[entry.technique] }))
+                .sort((a, b) => b.score - a.score);
+
+            // Dasha levels add up; the other techniques count their closest contact only,
+            // so that planets stacked in aspect do not multiply one direction's credit
+            const best = {};
+            for (const entry of evidence) {
+                best[entry.technique] = entry.technique === 'vimshottari'
+                    ? (best[entry.technique] || 0) + entry.score
+                    : Math.max(best[entry.technique] || 0, entry.score);
+            }
+            const score = Object.values(best).reduce((sum, value) => sum + value, 0);
+            total += score;
+            return { type: event.type, date: event.date, score, evidence };
+        });
+
+        return { score: total, events: results };
+    }
+
+    /**
+     * Rank candidate birth times against dated life events
+     * @param {Object} birthData - Recorded birth time (UTC fields), latitude and longitude
+     * @param {Array} events - Life events { type, date }; types are the keys of EVENT_SIGNIFICATIONS
+     * @param {Object} options - Scan options
+     * @param {number} options.rangeMinutes - Minutes either side of the recorded time (default 60)
+     * @param {number} options.stepMinutes - Minutes between candidates (default 4)
+     * @param {number} options.limit - Candidates to return (default 5)
+     * @returns {Object} Scan summary and the ranked candidates with their evidence
+     * @throws {Error} If the input is invalid or an event falls before the window ends
+     */
+    rectify(birthData, events, options = {}) {
+        const { rangeMinutes = 60, stepMinutes = 4, limit = 5 } = options;
+        this.validate(birthData, events);
+
+        const recordedTime = this.getRecordedTime(birthData);
+        const candidateTimes = this.getCandidateTimes(birthData, rangeMinutes, stepMinutes);
+        const latest = candidateTimes[candidateTimes.length - 1];
+        for (const event of events) {
+            if (event.date <= latest) {
+                throw new Error(`Event ${event.type} must fall after the latest candidate birth time`);
+            }
+        }
+
+        const transits = events.map(event => this.ephemeris(this.toJulianDay(event.date)));
+
+        const candidates = candidateTimes.map(time => {
+            const chart = this.castChart(time, birthData);
+            const { score, events: eventScores } = this.scoreCandidate(chart, events, transits);
+            return {
+                time,
+                offsetMinutes: (time - recordedTime) / MS_PER_MINUTE,
+                ascendant: {
+                    longitude: chart.ascendant,
+                    siderealSign: chart.lagnaSign
+                },
+                dashaBalance: { lord: chart.balance.lord, years: chart.balance.balanceYears },
+                score,
+                matchedEvents: eventScores.filter(event => event.score > 0).length,
+                events: eventScores
+            };
+        });
+
+        candidates.sort((a, b) => b.score - a.score || Math.abs(a.offsetMinutes) - Math.abs(b.offsetMinutes));
+
+        return {
+            recordedTime,
+            rangeMinutes,
+            stepMinutes,
+            candidatesScanned: candidates.length,
+            candidates: candidates.slice(0, limit)
+        };
+    }
+}
+
+module.exports = BirthTimeRectifier;
+module.exports.EVENT_SIGNIFICATIONS = EVENT_SIGNIFICATIONS;
@@ -0,0 +1,122 @@
+/**
+ * Birth Time Rectifier Tests
+ */
+
+const BirthTimeRectifier = require('./birth-time-rectifier');
+const { PLANET_RULERSHIPS } = require('./astrology-constants');
+
+const MS_PER_YEAR = 365.2422 * 24 * 60 * 60 * 1000;
+const SUN_DEGREES_PER_DAY = 0.9856474;
+
+// Sun and Moon at their mean motions, the other planets held apart so that
+// each direction can only perfect to one of them
+const JD_1990_MAY_15 = 2448026.5;
+function ephemeris(julianDay) {
+    const days = julianDay - JD_1990_MAY_15;
+    return {
+        SUN: (54 + SUN_DEGREES_PER_DAY * days) % 360,
+        MOON: ((310 + 13.176396 * days) % 360 + 360) % 360,
+        MERCURY: 23.4, VENUS: 77.9, MARS: 163.2, JUPITER: 211.7, SATURN: 266.5, RAHU: 104.6, KETU: 284.6
+    };
+}
+
+// Recorded as 06:00 UT; the test charts are cast for 06:20
+const birthData = { year: 1990, month: 5, day: 15, hour: 6, minute: 0, latitude: 28.61, longitude: 77.21 };
+const trueTime = new Date(Date.UTC(1990, 4, 15, 6, 20));
+
+describe('BirthTimeRectifier', () => {
+    const rectifier = new BirthTimeRectifier({ ephemeris });
+    const chart = rectifier.castChart(trueTime, birthData);
+
+    /**
+     * Date at which the solar-arc ASC perfects an aspect to a natal planet
+     */
+    function solarArcEvent(type, planet, aspect) {
+        for (const angle of [aspect, -aspect]) {
+            const arc = ((chart.planets[planet].longitude - chart.ascendant - angle) % 360 + 360) % 360;
+            if (arc > 5 && arc < 60) {
+                return { type, date: new Date(trueTime.getTime() + (arc / SUN_DEGREES_PER_DAY) * MS_PER_YEAR) };
+            }
+        }
+        return null;
+    }
+
+    test('scans candidate times either side of the recorded time', () => {
+        const times = rectifier.getCandidateTimes(birthData, 60, 4);
+
+        expect(times).toHaveLength(31);
+        expect(times[0]).toEqual(new Date(Date.UTC(1990, 4, 15, 5, 0)));
+        expect(times[15]).toEqual(new Date(Date.UTC(1990, 4, 15, 6, 0)));
+        expect(times[1] - times[0]).toBe(4 * 60 * 1000);
+        expect(() => rectifier.getCandidateTimes(birthData, 720, 1)).toThrow(/widen the step/);
+    });
+
+    test('casts each candidate with its own lagna and dasha balance', () => {
+        const later = rectifier.castChart(new Date(trueTime.getTime() + 60 * 60 * 1000), birthData);
+
+        expect(chart.lagnaSign).toBe(Math.floor((((chart.ascendant - chart.ayanamsa) % 360) + 360) % 360 / 30));
+        expect(chart.balance.lord).toBe(rectifier.nakshatraCalculator.calculateNakshatra(chart.planets.MOON.sidereal).lord);
+        // An hour moves the ascendant about 15° and the Moon about half a degree
+        expect(((later.ascendant - chart.ascendant) + 360) % 360).toBeGreaterThan(10);
+        expect(later.balance.balanceYears).toBeLessThan(chart.balance.balanceYears);
+    });
+
+    test('links dasha lords to the event houses from the lagna', () => {
+        const seventhLord = PLANET_RULERSHIPS.HOUSE_LORDS[((chart.lagnaSign + 6) % 12) + 1];
+        const marriage = { type: 'marriage', date: new Date(Date.UTC(2016, 0, 1)) };
+        const periods = rectifier.dasha.getPeriodsAt(trueTime, marriage.date, chart.balance, 3);
+
+        expect(rectifier.getEventLinks(chart, seventhLord, BirthTimeRectifier.EVENT_SIGNIFICATIONS.marriage))
+            .toContain('lords the 7th house');
+        expect(rectifier.getEventLinks(chart, 'VENUS', BirthTimeRectifier.EVENT_SIGNIFICATIONS.marriage))
+            .toContain('is a natural significator');
+        for (const entry of rectifier.scoreDasha(chart, marriage)) {
+            expect(periods.map(period => period.planet)).toContain(entry.factor);
+            expect(entry.description).toMatch(/running; /);
+        }
+    });
+
+    test('credits transits over the angles by orb', () => {
+        const evidence = rectifier.scoreTransits(chart, { SATURN: chart.ascendant + 90.5, MARS: chart.ascendant + 2.5, SUN: chart.ascendant });
+
+        expect(evidence).toEqual([{
+            technique: 'transit',
+            factor: 'SATURN',
+            description: 'Transiting SATURN square the ASC (orb 0.50°)',
+            score: expect.closeTo(0.75, 9)
+        }]);
+    });
+
+    test('ranks the birth time whose directions perfect at the events first', () => {
+        const events = [
+            solarArcEvent('marriage', 'VENUS', 0) || solarArcEvent('marriage', 'VENUS', 90) || solarArcEvent('marriage', 'VENUS', 120),
+            solarArcEvent('career', 'SATURN', 0) || solarArcEvent('career', 'SATURN', 90) || solarArcEvent('career', 'SATURN', 120),
+            solarArcEvent('children', 'JUPITER', 0) || solarArcEvent('children', 'JUPITER', 90) || solarArcEvent('children', 'JUPITER', 60)
+        ].filter(Boolean);
+        expect(events.length).toBeGreaterThanOrEqual(2);
+
+        const result = rectifier.rectify(birthData, events, { rangeMinutes: 60, stepMinutes: 4, limit: 3 });
+        const [best] = result.candidates;
+
+        expect(result.candidatesScanned).toBe(31);
+        expect(result.candidates).toHaveLength(3);
+        expect(best.time).toEqual(trueTime);
+        expect(best.offsetMinutes).toBe(20);
+        expect(best.matchedEvents).toBe(events.length);
+        for (const event of best.events) {
+            expect(event.evidence.some(entry => entry.technique === 'solar_arc' && /^Solar arc ASC .* \(orb 0\.0\d°\)$/.test(entry.description))).toBe(true);
+        }
+        expect(best.score).toBeGreaterThan(result.candidates[1].score);
+    });
+
+    test('rejects missing birth data, unknown events and events inside the window', () => {
+        const event = { type: 'career', date: new Date(Date.UTC(2015, 0, 1)) };
+
+        expect(() => rectifier.rectify({ ...birthData, latitude: undefined }, [event])).toThrow(/latitude/);
+        expect(() => rectifier.rectify(birthData, [])).toThrow(/at least one/);
+        expect(() => rectifier.rectify(birthData, [{ type: 'lottery', date: event.date }])).toThrow(/Unknown event type: lottery/);
+        expect(() => rectifier.rectify(birthData, [{ type: 'career', date: '2015' }])).toThrow(/valid date/);
+        expect(() => rectifier.rectify(birthData, [{ type: 'career', date: new Date(Date.UTC(1990, 4, 15, 6, 30)) }]))
+            .toThrow(/after the latest candidate/);
+    });
+});
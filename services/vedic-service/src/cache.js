@@ -10,6 +10,7 @@
  */
 
 const { astrologyLogger } = require('./logger');
+const { resolveAyanamsaSystem } = require('./astronomical-calculations');
 
 /**
  * Cache entry with TTL support
@@ -71,10 +72,11 @@ class AstrologyCache {
     /**
      * Generate cache key for ayanamsa calculations
      * @param {number} year - Year
+     * @param {string|Object} system - Ayanamsa system name or user-defined system
      * @returns {string} Cache key
      */
-    generateAyanamsaKey(year) {
-        return `ayanamsa:${year}`;
+    generateAyanamsaKey(year, system = 'LAHIRI') {
+        return `ayanamsa:${resolveAyanamsaSystem(system).id}:${year}`;
     }
 
     /**
@@ -0,0 +1,683 @@
+/**
+ * ZodiaCore - Dasha System Registry
+ *
+ * Alternative Vedic dasha systems alongside Vimshottari: the nakshatra-based
+ * Yogini (36-year) and Ashtottari (108-year) dashas, and the sign-based
+ * Jaimini Chara and Narayana dashas. Every system exposes
+ * getCurrentDasha(birthDate, targetDate) with the Vimshottari result shape
+ * { mahadasha, startDate, endDate, progress, remainingYears, antardasha },
+ * so callers can switch systems by name.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ASTRO_CONSTANTS, ZODIAC_SIGNS } = require('./astro-constants');
+const { PLANET_RULERSHIPS } = require('./astrology-constants');
+const { normalizeAngle } = require('./math-utils');
+const VimshottariDasha = require('./vimshottari-dasha');
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const NAKSHATRA_SPAN = ASTRO_CONSTANTS.DEGREES_PER_CIRCLE / ASTRO_CONSTANTS.NAKSHATRAS_COUNT;
+
+// Nakshatra-based cycles repeat until they cover this many years after birth
+const LIFESPAN_YEARS = 120;
+
+/**
+ * Supported dasha systems
+ */
+const DASHA_SYSTEMS = {
+    VIMSHOTTARI: { name: 'Vimshottari', basis: 'nakshatra', cycleYears: 120 },
+    YOGINI: { name: 'Yogini', basis: 'nakshatra', cycleYears: 36 },
+    ASHTOTTARI: { name: 'Ashtottari', basis: 'nakshatra', cycleYears: 108 },
+    CHARA: { name: 'Jaimini Chara', basis: 'sign', cycleYears: 144 },
+    NARAYANA: { name: 'Narayana', basis: 'sign', cycleYears: 144 }
+};
+
+// Yoginis in dasha order with their ruling planets and years
+const YOGINIS = [
+    { name: 'Mangala', lord: 'MOON', years: 1 },
+    { name: 'Pingala', lord: 'SUN', years: 2 },
+    { name: 'Dhanya', lord: 'JUPITER', years: 3 },
+    { name: 'Bhramari', lord: 'MARS', years: 4 },
+    { name: 'Bhadrika', lord: 'MERCURY', years: 5 },
+    { name: 'Ulka', lord: 'SATURN', years: 6 },
+    { name: 'Siddha', lord: 'VENUS', years: 7 },
+    { name: 'Sankata', lord: 'RAHU', years: 8 }
+];
+
+// Ashtottari lords in dasha order, with years and the number of nakshatras
+// each rules counting on from Ardra (Abhijit is not counted separately)
+const ASHTOTTARI_LORDS = [
+    { lord: 'SUN', years: 6, nakshatras: 4 },
+    { lord: 'MOON', years: 15, nakshatras: 3 },
+    { lord: 'MARS', years: 8, nakshatras: 4 },
+    { lord: 'MERCURY', years: 17, nakshatras: 3 },
+    { lord: 'SATURN', years: 10, nakshatras: 3 },
+    { lord: 'JUPITER', years: 19, nakshatras: 3 },
+    { lord: 'RAHU', years: 12, nakshatras: 4 },
+    { lord: 'VENUS', years: 21, nakshatras: 3 }
+];
+const ASHTOTTARI_FIRST_NAKSHATRA = 5; // Ardra
+const ASHTOTTARI_CYCLE_YEARS = 108;
+
+// Rahu must be in a kendra or trikona counted from the lagna lord for Ashtottari
+const ASHTOTTARI_RAHU_HOUSES = [1, 4, 5, 7, 9, 10];
+
+// Scorpio and Aquarius have a node as co-lord in Jaimini dashas
+const CO_LORDS = {
+    7: ['MARS', 'KETU'],
+    10: ['SATURN', 'RAHU']
+};
+
+// Chara dasha counts forward from odd-footed signs
+const SAVYA_SIGNS = [0, 1, 2, 6, 7, 8]; // Aries, Taurus, Gemini, Libra, Scorpio, Sagittarius
+
+// Narayana dasha sign order, as offsets from the starting sign, by its modality
+const NARAYANA_OFFSETS = {
+    movable: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    fixed: [0, 5, 10, 3, 8, 1, 6, 11, 4, 9, 2, 7],
+    dual: [0, 3, 6, 9, 1, 4, 7, 10, 2, 5, 8, 11]
+};
+
+/**
+ * Reduce a sign index to 0-11
+ * @param {number} sign - Sign index
+ * @returns {number} Sign index 0-11
+ */
+function normalizeSign(sign) {
+    return ((sign % 12) + 12) % 12;
+}
+
+/**
+ * Normalise and check a dasha system name
+ * @param {string} system - System name, case-insensitive
+ * @returns {string} Registry key such as 'YOGINI'
+ * @throws {Error} If the system is not supported
+ */
+function normalizeDashaSystem(system) {
+    const key = typeof system === 'string' ? system.trim().toUpperCase() : '';
+    if (!DASHA_SYSTEMS[key]) {
+        throw new Error(`Unsupported dasha system: ${system}. Supported systems: ${Object.keys(DASHA_SYSTEMS).join(', ')}`);
+    }
+    return key;
+}
+
+/**
+ * Base class for dasha systems built from a sequence of mahadashas
+ * Subclasses supply the mahadasha sequence and each mahadasha's sub-periods
+ */
+class DashaSystem {
+    /**
+     * @param {string} system - Registry key
+     * @param {Object} birthChart - Birth chart with planets and ascendant
+     */
+    constructor(system, birthChart) {
+        this.system = system;
+        this.birthChart = birthChart;
+    }
+
+    /**
+     * Mahadasha sequence from the start of the period running at birth
+     * @returns {Object} { periods: [{ lord, years, details }], elapsedYears: years of the first period before birth }
+     */
+    getMahadashaSequence() {
+        throw new Error(`${this.constructor.name} must implement getMahadashaSequence`);
+    }
+
+    /**
+     * Antardashas of a mahadasha, in order, spanning its full length
+     * @param {Object} mahadasha - Mahadasha from generateMahadashas
+     * @returns {Array} [{ lord, years, details }]
+     */
+    getSubPeriods(mahadasha) {
+        throw new Error(`${this.constructor.name} must implement getSubPeriods`);
+    }
+
+    /**
+     * Position of a planet as a sign index
+     * @param {string} planet - Planet name
+     * @returns {number|null} Sign 0-11, or null if the chart lacks the planet
+     */
+    getPlanetSign(planet) {
+        const planets = this.birthChart?.planets || {};
+        const data = planets[planet];
+        if (data) {
+            return typeof data.sign === 'number' ? data.sign : Math.floor(normalizeAngle(data.longitude) / 30);
+        }
+        // Charts often carry Rahu only; Ketu is always opposite
+        if (planet === 'KETU' && planets.RAHU) {
+            return normalizeSign(this.getPlanetSign('RAHU') + 6);
+        }
+        return null;
+    }
+
+    /**
+     * Generate dated mahadashas
+     * @param {Date} birthDate - Birth date
+     * @returns {Array} [{ lord, years, details, startDate, endDate }]
+     */
+    generateMahadashas(birthDate) {
+        const { periods, elapsedYears } = this.getMahadashaSequence();
+        let start = birthDate.getTime() - elapsedYears * MS_PER_YEAR;
+
+        return periods
+            .filter(period => period.years > 0)
+            .map(period => {
+                const startDate = new Date(start);
+                start += period.years * MS_PER_YEAR;
+                return { ...period, startDate, endDate: new Date(start) };
+            });
+    }
+
+    /**
+     * Get current dasha for a given date
+     * @param {Date} birthDate - Birth date
+     * @param {Date} targetDate - Date to check
+     * @returns {Object|null} Current dasha information, null outside the calculated span
+     */
+    getCurrentDasha(birthDate, targetDate) {
+        if (targetDate < birthDate) {
+            return null;
+        }
+
+        const dasha = this.generateMahadashas(birthDate)
+            .find(period => targetDate >= period.startDate && targetDate < period.endDate);
+        if (!dasha) {
+            return null;
+        }
+
+        const progress = (targetDate - dasha.startDate) / (dasha.endDate - dasha.startDate);
+        return {
+            system: this.system,
+            mahadasha: dasha.lord,
+            ...dasha.details,
+            startDate: dasha.startDate,
+            endDate: dasha.endDate,
+            progress: progress,
+            remainingYears: dasha.years * (1 - progress),
+            antardasha: this.calculateAntardasha(dasha, targetDate)
+        };
+    }
+
+    /**
+     * Calculate antardasha (sub-period) within a mahadasha
+     * @param {Object} mahadasha - Dated mahadasha
+     * @param {Date} targetDate - Date to check
+     * @returns {Object|null} Antardasha information
+     */
+    calculateAntardasha(mahadasha, targetDate) {
+        const subPeriods = this.getSubPeriods(mahadasha);
+        let start = mahadasha.startDate.getTime();
+
+        for (let i = 0; i < subPeriods.length; i++) {
+            const subPeriod = subPeriods[i];
+            // The last sub-period closes the mahadasha exactly despite rounding
+            const end = i === subPeriods.length - 1
+                ? mahadasha.endDate.getTime()
+                : start + subPeriod.years * MS_PER_YEAR;
+
+            if (targetDate < end) {
+                return {
+                    planet: subPeriod.lord,
+                    ...subPeriod.details,
+                    startDate: new Date(start),
+                    endDate: new Date(end),
+                    progress: (targetDate - start) / (end - start)
+                };
+            }
+            start = end;
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Base class for dashas started from the Moon's nakshatra
+ */
+class NakshatraDashaSystem extends DashaSystem {
+    /**
+     * Sidereal longitude of the Moon
+     * @returns {number} Longitude in degrees
+     * @throws {Error} If the chart has no Moon position
+     */
+    getMoonLongitude() {
+        const moon = this.birthChart?.planets?.MOON;
+        if (moon && typeof moon.longitude === 'number') {
+            return normalizeAngle(moon.longitude);
+        }
+        const nakshatra = this.birthChart?.moonDetails?.nakshatra;
+        if (nakshatra && typeof nakshatra.nakshatra === 'number') {
+            return nakshatra.nakshatra * NAKSHATRA_SPAN + (nakshatra.degreesInNakshatra || 0);
+        }
+        throw new Error(`${DASHA_SYSTEMS[this.system].name} dasha requires the Moon's longitude`);
+    }
+
+    /**
+     * Repeat a cyclic order from a starting entry until the lifespan is covered
+     * @param {Array} order - Cycle entries with years
+     * @param {number} startIndex - Entry running at birth
+     * @param {number} elapsedYears - Years of that entry elapsed before birth
+     * @param {Function} toPeriod - Maps (entry, index) to { lord, years, details }
+     * @returns {Array} Periods
+     */
+    repeatCycle(order, startIndex, elapsedYears, toPeriod) {
+        const periods = [];
+        let coveredYears = -elapsedYears;
+        for (let i = startIndex; coveredYears < LIFESPAN_YEARS; i++) {
+            const index = i % order.length;
+            periods.push(toPeriod(order[index], index));
+            coveredYears += order[index].years;
+        }
+        return periods;
+    }
+}
+
+/**
+ * Yogini Dasha: eight yoginis of 1 to 8 years, a 36-year cycle
+ * The yogini at birth is (Moon's nakshatra number + 3) mod 8, counted from Mangala
+ */
+class YoginiDasha extends NakshatraDashaSystem {
+    constructor(birthChart) {
+        super('YOGINI', birthChart);
+        this.cycleYears = DASHA_SYSTEMS.YOGINI.cycleYears;
+    }
+
+    getMahadashaSequence() {
+        const moonLongitude = this.getMoonLongitude();
+        const nakshatraNumber = Math.floor(moonLongitude / NAKSHATRA_SPAN) + 1;
+        const startIndex = ((nakshatraNumber + 3) % 8 || 8) - 1;
+        const elapsedFraction = (moonLongitude % NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+        const elapsedYears = elapsedFraction * YOGINIS[startIndex].years;
+
+        return {
+            periods: this.repeatCycle(YOGINIS, startIndex, elapsedYears, (yogini, index) => ({
+                lord: yogini.lord,
+                years: yogini.years,
+                index,
+                details: { yogini: yogini.name }
+            })),
+            elapsedYears
+        };
+    }
+
+    getSubPeriods(mahadasha) {
+        return YOGINIS.map((_, offset) => {
+            const yogini = YOGINIS[(mahadasha.index + offset) % YOGINIS.length];
+            return {
+                lord: yogini.lord,
+                years: mahadasha.years * yogini.years / this.cycleYears,
+                details: { yogini: yogini.name }
+            };
+        });
+    }
+}
+
+/**
+ * Ashtottari Dasha: eight lords (no Ketu) over 108 years
+ * Traditionally used only when Rahu is in a kendra or trikona from the lagna
+ * lord, but not in the lagna; results carry an applicable flag for that rule.
+ */
+class AshtottariDasha extends NakshatraDashaSystem {
+    constructor(birthChart) {
+        super('ASHTOTTARI', birthChart);
+    }
+
+    /**
+     * Check the Rahu placement that makes Ashtottari applicable
+     * @returns {Object} { applicable, rahuHouseFromLagnaLord, reason }
+     */
+    checkApplicability() {
+        const ascendantSign = this.birthChart?.ascendant?.sign;
+        const rahuSign = this.getPlanetSign('RAHU');
+        if (typeof ascendantSign !== 'number' || rahuSign === null) {
+            return { applicable: false, rahuHouseFromLagnaLord: null, reason: 'Ascendant or Rahu position unavailable' };
+        }
+
+        const lagnaLord = PLANET_RULERSHIPS.HOUSE_LORDS[ascendantSign + 1];
+        const lagnaLordSign = this.getPlanetSign(lagnaLord);
+        if (lagnaLordSign === null) {
+            return { applicable: false, rahuHouseFromLagnaLord: null, reason: `${lagnaLord} position unavailable` };
+        }
+
+        const house = normalizeSign(rahuSign - lagnaLordSign) + 1;
+        if (rahuSign === ascendantSign) {
+            return { applicable: false, rahuHouseFromLagnaLord: house, reason: 'Rahu is in the lagna' };
+        }
+        const applicable = ASHTOTTARI_RAHU_HOUSES.includes(house);
+        return {
+            applicable,
+            rahuHouseFromLagnaLord: house,
+            reason: applicable
+                ? `Rahu is in house ${house} from the lagna lord ${lagnaLord}`
+                : `Rahu is not in a kendra or trikona from the lagna lord ${lagnaLord}`
+        };
+    }
+
+    getMahadashaSequence() {
+        const moonLongitude = this.getMoonLongitude();
+        const distanceFromArdra = normalizeAngle(moonLongitude - ASHTOTTARI_FIRST_NAKSHATRA * NAKSHATRA_SPAN);
+
+        // Find the lord whose group of nakshatras holds the Moon
+        let groupStart = 0;
+        let startIndex = 0;
+        while (distanceFromArdra >= groupStart + ASHTOTTARI_LORDS[startIndex].nakshatras * NAKSHATRA_SPAN) {
+            groupStart += ASHTOTTARI_LORDS[startIndex].nakshatras * NAKSHATRA_SPAN;
+            startIndex++;
+        }
+        const start = ASHTOTTARI_LORDS[startIndex];
+        const elapsedYears = (distanceFromArdra - groupStart) / (start.nakshatras * NAKSHATRA_SPAN) * start.years;
+
+        return {
+            periods: this.repeatCycle(ASHTOTTARI_LORDS, startIndex, elapsedYears, (entry, index) => ({
+                lord: entry.lord,
+                years: entry.years,
+                index
+            })),
+            elapsedYears
+        };
+    }
+
+    getSubPeriods(mahadasha) {
+        return ASHTOTTARI_LORDS.map((_, offset) => {
+            const entry = ASHTOTTARI_LORDS[(mahadasha.index + offset) % ASHTOTTARI_LORDS.length];
+            return {
+                lord: entry.lord,
+                years: mahadasha.years * entry.years / ASHTOTTARI_CYCLE_YEARS
+            };
+        });
+    }
+
+    getCurrentDasha(birthDate, targetDate) {
+        const current = super.getCurrentDasha(birthDate, targetDate);
+        return current && { ...current, applicable: this.checkApplicability().applicable };
+    }
+}
+
+/**
+ * Base class for Jaimini sign dashas
+ * A sign's period is the count from the sign to its lord, less one (12 when
+ * the lord is in the sign), plus one year for an exalted lord and minus one
+ * for a debilitated lord. The second cycle gives each sign the rest of 12 years.
+ */
+class SignDashaSystem extends DashaSystem {
+    /**
+     * Number of planets in a sign
+     * @param {number} sign - Sign 0-11
+     * @returns {number} Planet count
+     */
+    countPlanetsInSign(sign) {
+        return Object.keys(this.birthChart?.planets || {})
+            .filter(planet => this.getPlanetSign(planet) === sign).length;
+    }
+
+    /**
+     * Degrees a planet has travelled in its sign
+     * @param {string} planet - Planet name
+     * @returns {number} Degrees 0-30
+     */
+    getPlanetDegree(planet) {
+        const data = this.birthChart?.planets?.[planet];
+        if (!data) return 0;
+        return typeof data.degree === 'number' ? data.degree : normalizeAngle(data.longitude) % 30;
+    }
+
+    /**
+     * Lord of a sign, choosing between co-lords for Scorpio and Aquarius
+     * A co-lord in the sign itself gives way to the other; otherwise the one
+     * with more planets wins, then the one further advanced in its sign.
+     * @param {number} sign - Sign 0-11
+     * @returns {string} Planet name
+     * @throws {Error} If no lord's position is known
+     */
+    getSignLord(sign) {
+        const lords = (CO_LORDS[sign] || [PLANET_RULERSHIPS.HOUSE_LORDS[sign + 1]])
+            .filter(lord => this.getPlanetSign(lord) !== null);
+        if (lords.length === 0) {
+            throw new Error(`${DASHA_SYSTEMS[this.system].name} dasha requires the position of the lord of ${ZODIAC_SIGNS[sign]}`);
+        }
+        if (lords.length === 1) {
+            return lords[0];
+        }
+
+        const outside = lords.filter(lord => this.getPlanetSign(lord) !== sign);
+        if (outside.length === 1) {
+            return outside[0];
+        }
+        return lords.reduce((best, lord) => {
+            const countDifference = this.countPlanetsInSign(this.getPlanetSign(lord)) - this.countPlanetsInSign(this.getPlanetSign(best));
+            if (countDifference !== 0) {
+                return countDifference > 0 ? lord : best;
+            }
+            return this.getPlanetDegree(lord) > this.getPlanetDegree(best) ? lord : best;
+        });
+    }
+
+    /**
+     * First-cycle years of a sign's dasha
+     * @param {number} sign - Sign 0-11
+     * @param {boolean} countForward - Count zodiacally from the sign to its lord
+     * @returns {number} Years
+     */
+    getSignYears(sign, countForward) {
+        const lord = this.getSignLord(sign);
+        const lordSign = this.getPlanetSign(lord);
+        let years = countForward ? normalizeSign(lordSign - sign) : normalizeSign(sign - lordSign);
+        if (years === 0) {
+            years = 12;
+        }
+        if (PLANET_RULERSHIPS.EXALTATIONS[lord] === lordSign) {
+            years += 1;
+        } else if (PLANET_RULERSHIPS.DEBILITATIONS[lord] === lordSign) {
+            years -= 1;
+        }
+        return years;
+    }
+
+    /**
+     * Two cycles over a sign order, the second completing each sign to 12 years
+     * @param {Array<number>} order - Signs in dasha order
+     * @param {Function} countForward - Whether to count forward from a sign to its lord
+     * @returns {Array} Periods
+     */
+    buildTwoCycles(order, countForward) {
+        const firstCycle = order.map(sign => ({ sign, years: this.getSignYears(sign, countForward(sign)) }));
+        return [
+            ...firstCycle,
+            ...firstCycle.map(({ sign, years }) => ({ sign, years: Math.max(0, 12 - years) }))
+        ].map(({ sign, years }) => ({
+            lord: ZODIAC_SIGNS[sign],
+            years,
+            sign,
+            details: { sign }
+        }));
+    }
+
+    /**
+     * Split a sign dasha into twelve equal antardashas
+     * @param {Object} mahadasha - Mahadasha
+     * @param {Array<number>} order - Antardasha signs in order
+     * @returns {Array} Sub-periods
+     */
+    splitIntoSigns(mahadasha, order) {
+        return order.map(sign => ({
+            lord: ZODIAC_SIGNS[sign],
+            years: mahadasha.years / 12,
+            details: { sign }
+        }));
+    }
+
+    /**
+     * Ascendant sign
+     * @returns {number} Sign 0-11
+     * @throws {Error} If the chart has no ascendant
+     */
+    getAscendantSign() {
+        const sign = this.birthChart?.ascendant?.sign;
+        if (typeof sign !== 'number') {
+            throw new Error(`${DASHA_SYSTEMS[this.system].name} dasha requires the ascendant sign`);
+        }
+        return sign;
+    }
+}
+
+/**
+ * Jaimini Chara Dasha (K.N. Rao method)
+ * Runs from the lagna, forward when the 9th sign from it is odd-footed
+ * (Aries, Taurus, Gemini, Libra, Scorpio, Sagittarius) and backward otherwise.
+ * Periods count forward to the lord from odd-footed signs and backward from
+ * the rest; antardashas start from the next sign the same way and end with
+ * the dasha sign itself.
+ */
+class CharaDasha extends SignDashaSystem {
+    constructor(birthChart) {
+        super('CHARA', birthChart);
+    }
+
+    getMahadashaSequence() {
+        const ascendantSign = this.getAscendantSign();
+        const step = SAVYA_SIGNS.includes(normalizeSign(ascendantSign + 8)) ? 1 : -1;
+        const order = Array.from({ length: 12 }, (_, i) => normalizeSign(ascendantSign + step * i));
+
+        return {
+            periods: this.buildTwoCycles(order, sign => SAVYA_SIGNS.includes(sign)),
+            elapsedYears: 0
+        };
+    }
+
+    getSubPeriods(mahadasha) {
+        const step = SAVYA_SIGNS.includes(mahadasha.sign) ? 1 : -1;
+        return this.splitIntoSigns(mahadasha, Array.from({ length: 12 }, (_, i) => normalizeSign(mahadasha.sign + step * (i + 1))));
+    }
+}
+
+/**
+ * Narayana Dasha (Parashara)
+ * Starts from the stronger of the lagna and the 7th (more planets, then the
+ * lord further advanced in its sign). Movable signs run consecutively, fixed
+ * signs jump six at a time and dual signs take kendras first; the order runs
+ * forward from odd signs and backward from even ones, always forward with
+ * Saturn in the starting sign and reversed with Ketu there. Periods count
+ * forward to the lord from odd signs; antardashas follow the same order from
+ * the dasha sign.
+ */
+class NarayanaDasha extends SignDashaSystem {
+    constructor(birthChart) {
+        super('NARAYANA', birthChart);
+    }
+
+    /**
+     * Signs in Narayana order from a starting sign
+     * @param {number} startSign - Sign 0-11
+     * @returns {Array<number>} Twelve signs
+     */
+    getSignOrder(startSign) {
+        const modality = ['movable', 'fixed', 'dual'][startSign % 3];
+        let forward = startSign % 2 === 0; // Odd signs: Aries, Gemini, ...
+        if (this.getPlanetSign('SATURN') === startSign) {
+            forward = true;
+        } else if (this.getPlanetSign('KETU') === startSign) {
+            forward = !forward;
+        }
+        return NARAYANA_OFFSETS[modality].map(offset => normalizeSign(startSign + (forward ? offset : -offset)));
+    }
+
+    /**
+     * Stronger of the lagna and the 7th sign
+     * @returns {number} Sign 0-11
+     */
+    getStartingSign() {
+        const ascendantSign = this.getAscendantSign();
+        const seventhSign = normalizeSign(ascendantSign + 6);
+        const countDifference = this.countPlanetsInSign(seventhSign) - this.countPlanetsInSign(ascendantSign);
+        if (countDifference !== 0) {
+            return countDifference > 0 ? seventhSign : ascendantSign;
+        }
+        const seventhLordDegree = this.getPlanetDegree(this.getSignLord(seventhSign));
+        return seventhLordDegree > this.getPlanetDegree(this.getSignLord(ascendantSign)) ? seventhSign : ascendantSign;
+    }
+
+    getMahadashaSequence() {
+        return {
+            periods: this.buildTwoCycles(this.getSignOrder(this.getStartingSign()), sign => sign % 2 === 0),
+            elapsedYears: 0
+        };
+    }
+
+    getSubPeriods(mahadasha) {
+        return this.splitIntoSigns(mahadasha, this.getSignOrder(mahadasha.sign));
+    }
+}
+
+/**
+ * Vimshottari adapter binding the chart's dasha balance
+ * Uses the chart's stored balance when it names a lord, otherwise computes it
+ * from the Moon's nakshatra.
+ */
+class VimshottariDashaSystem {
+    /**
+     * @param {Object} birthChart - Birth chart
+     * @param {Object} [calculator] - VimshottariDasha or DashaCalculator instance
+     */
+    constructor(birthChart, calculator = new VimshottariDasha()) {
+        this.system = 'VIMSHOTTARI';
+        this.birthChart = birthChart;
+        this.calculator = calculator;
+    }
+
+    getBalance(birthDate) {
+        const balance = this.birthChart?.dasha?.balance;
+        if (balance?.lord) {
+            return balance;
+        }
+        const moonNakshatra = this.birthChart?.moonDetails?.nakshatra;
+        if (moonNakshatra?.lord) {
+            return new VimshottariDasha().calculateDashaBalance(moonNakshatra, birthDate);
+        }
+        return balance || {};
+    }
+
+    getCurrentDasha(birthDate, targetDate) {
+        const current = this.calculator.getCurrentDasha(birthDate, targetDate, this.getBalance(birthDate));
+        return current && { system: this.system, ...current };
+    }
+}
+
+const SYSTEM_CLASSES = {
+    YOGINI: YoginiDasha,
+    ASHTOTTARI: AshtottariDasha,
+    CHARA: CharaDasha,
+    NARAYANA: NarayanaDasha
+};
+
+/**
+ * Create a dasha system for a birth chart
+ * @param {string} system - 'VIMSHOTTARI', 'YOGINI', 'ASHTOTTARI', 'CHARA' or 'NARAYANA'
+ * @param {Object} birthChart - Birth chart with planets, ascendant and Moon details
+ * @param {Object} [options] - Options
+ * @param {Object} [options.vimshottariCalculator] - Calculator to reuse for Vimshottari
+ * @returns {Object} System with getCurrentDasha(birthDate, targetDate)
+ * @throws {Error} If the system is not supported
+ */
+function createDashaSystem(system, birthChart, options = {}) {
+    const key = normalizeDashaSystem(system);
+    if (key === 'VIMSHOTTARI') {
+        return new VimshottariDashaSystem(birthChart, options.vimshottariCalculator);
+    }
+    return new SYSTEM_CLASSES[key](birthChart);
+}
+
+module.exports = {
+    DASHA_SYSTEMS,
+    YOGINIS,
+    ASHTOTTARI_LORDS,
+    createDashaSystem,
+    normalizeDashaSystem,
+    DashaSystem,
+    YoginiDasha,
+    AshtottariDasha,
+    CharaDasha,
+    NarayanaDasha
+};
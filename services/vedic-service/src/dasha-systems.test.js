@@ -0,0 +1,181 @@
+/**
+ * Dasha System Registry Tests
+ */
+
+const {
+    createDashaSystem,
+    normalizeDashaSystem,
+    DASHA_SYSTEMS
+} = require('./dasha-systems');
+const VimshottariDasha = require('./vimshottari-dasha');
+const DashaTransitCalculator = require('./dasha-transit-calculator');
+const { PersonalizedDashaAnalyzer } = require('./personalized-dasha-guidance');
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const NAKSHATRA_SPAN = 360 / 27;
+const birthDate = new Date(Date.UTC(1990, 4, 15));
+const yearsAfterBirth = (years) => new Date(birthDate.getTime() + years * MS_PER_YEAR);
+
+function buildChart(moonLongitude, overrides = {}) {
+    const longitudes = {
+        SUN: 10,        // Aries, exalted
+        MOON: moonLongitude,
+        MARS: 130,      // Leo
+        MERCURY: 20,    // Aries
+        JUPITER: 250,   // Sagittarius
+        VENUS: 70,      // Gemini
+        SATURN: 300,    // Aquarius
+        RAHU: 260,      // Sagittarius
+        KETU: 80,       // Gemini
+        ...overrides
+    };
+    const planets = {};
+    for (const [planet, longitude] of Object.entries(longitudes)) {
+        planets[planet] = { longitude, sign: Math.floor(longitude / 30), degree: longitude % 30 };
+    }
+    return {
+        birthData: { year: 1990, month: 5, day: 15 },
+        ascendant: { sign: 0, longitude: 15 },
+        planets,
+        dasha: { balance: {} }
+    };
+}
+
+describe('registry', () => {
+    it('normalises system names and rejects unknown ones', () => {
+        expect(normalizeDashaSystem('yogini')).toBe('YOGINI');
+        expect(Object.keys(DASHA_SYSTEMS)).toEqual(['VIMSHOTTARI', 'YOGINI', 'ASHTOTTARI', 'CHARA', 'NARAYANA']);
+        expect(() => createDashaSystem('KALACHAKRA', buildChart(0))).toThrow(/Unsupported dasha system/);
+    });
+
+    it('computes the Vimshottari balance from the Moon when the chart has none', () => {
+        const moonNakshatra = { lord: 'RAHU', degreesInNakshatra: 4 };
+        const chart = { ...buildChart(70.67), moonDetails: { nakshatra: moonNakshatra } };
+        const target = yearsAfterBirth(3);
+
+        const expected = new VimshottariDasha();
+        const direct = expected.getCurrentDasha(birthDate, target, expected.calculateDashaBalance(moonNakshatra, birthDate));
+        expect(createDashaSystem('VIMSHOTTARI', chart).getCurrentDasha(birthDate, target))
+            .toEqual({ system: 'VIMSHOTTARI', ...direct });
+    });
+});
+
+describe('Yogini dasha', () => {
+    it('starts from (nakshatra + 3) mod 8', () => {
+        // Ashwini (1) + 3 = 4: Bhramari, ruled by Mars, 4 years
+        const current = createDashaSystem('YOGINI', buildChart(0)).getCurrentDasha(birthDate, yearsAfterBirth(0.8));
+
+        expect(current).toMatchObject({ system: 'YOGINI', mahadasha: 'MARS', yogini: 'Bhramari' });
+        expect(current.endDate.getTime()).toBeCloseTo(yearsAfterBirth(4).getTime(), -5);
+        expect(current.antardasha).toMatchObject({ planet: 'MERCURY', yogini: 'Bhadrika' });
+    });
+
+    it('applies the balance of the yogini running at birth', () => {
+        // Halfway through Ardra (6 + 3 = 9 -> 1): Mangala, half of its single year left
+        const dasha = createDashaSystem('YOGINI', buildChart(5.5 * NAKSHATRA_SPAN));
+        const atBirth = dasha.getCurrentDasha(birthDate, birthDate);
+        const later = dasha.getCurrentDasha(birthDate, yearsAfterBirth(1));
+
+        expect(atBirth).toMatchObject({ mahadasha: 'MOON', yogini: 'Mangala' });
+        expect(atBirth.remainingYears).toBeCloseTo(0.5, 6);
+        expect(later).toMatchObject({ mahadasha: 'SUN', yogini: 'Pingala' });
+        expect(dasha.getCurrentDasha(birthDate, new Date(birthDate.getTime() - 1000))).toBeNull();
+    });
+});
+
+describe('Ashtottari dasha', () => {
+    it('assigns nakshatra groups from Ardra', () => {
+        const fromArdra = createDashaSystem('ASHTOTTARI', buildChart(5 * NAKSHATRA_SPAN + 0.0001));
+        expect(fromArdra.getCurrentDasha(birthDate, yearsAfterBirth(5)).mahadasha).toBe('SUN');
+        expect(fromArdra.getCurrentDasha(birthDate, yearsAfterBirth(7))).toMatchObject({ mahadasha: 'MOON' });
+
+        // Magha begins the Moon's group; Ashwini is in Rahu's
+        expect(createDashaSystem('ASHTOTTARI', buildChart(120.0001)).getCurrentDasha(birthDate, birthDate).remainingYears)
+            .toBeCloseTo(15, 3);
+        expect(createDashaSystem('ASHTOTTARI', buildChart(0.0001)).getCurrentDasha(birthDate, birthDate).mahadasha)
+            .toBe('RAHU');
+    });
+
+    it('flags whether Rahu placement makes it applicable', () => {
+        // Aries lagna, lord Mars in Leo: Rahu in Sagittarius is 5th from it
+        const applicable = createDashaSystem('ASHTOTTARI', buildChart(100));
+        expect(applicable.checkApplicability()).toMatchObject({ applicable: true, rahuHouseFromLagnaLord: 5 });
+        expect(applicable.getCurrentDasha(birthDate, yearsAfterBirth(2)).applicable).toBe(true);
+
+        const inCapricorn = createDashaSystem('ASHTOTTARI', buildChart(100, { RAHU: 280 }));
+        expect(inCapricorn.checkApplicability()).toMatchObject({ applicable: false, rahuHouseFromLagnaLord: 6 });
+
+        const inLagna = createDashaSystem('ASHTOTTARI', buildChart(100, { RAHU: 5, MARS: 95 }));
+        expect(inLagna.checkApplicability().reason).toMatch(/lagna/);
+    });
+});
+
+describe('Chara dasha', () => {
+    it('runs from the lagna with periods counted to each sign lord', () => {
+        // Aries lagna with an odd-footed 9th (Sagittarius) runs forward; Aries
+        // to Mars in Leo is 4 years, Taurus to Venus in Gemini 1, Gemini to Mercury in Aries 10
+        const dasha = createDashaSystem('CHARA', buildChart(100));
+        const mahadashas = dasha.generateMahadashas(birthDate);
+
+        expect(mahadashas.slice(0, 3).map(period => [period.lord, period.years]))
+            .toEqual([['Aries', 4], ['Taurus', 1], ['Gemini', 10]]);
+        expect(mahadashas[12]).toMatchObject({ lord: 'Aries', years: 8 });
+        expect(mahadashas.reduce((total, period) => total + period.years, 0)).toBe(144);
+
+        expect(dasha.getCurrentDasha(birthDate, yearsAfterBirth(4.5))).toMatchObject({ mahadasha: 'Taurus', sign: 1 });
+    });
+
+    it('starts antardashas from the next sign', () => {
+        const current = createDashaSystem('CHARA', buildChart(100)).getCurrentDasha(birthDate, yearsAfterBirth(0.1));
+        expect(current.antardasha).toMatchObject({ planet: 'Taurus', sign: 1 });
+        expect(current.antardasha.endDate.getTime() - birthDate.getTime()).toBeCloseTo(MS_PER_YEAR / 3, -5);
+    });
+
+    it('adds a year for an exalted lord', () => {
+        // Leo counts backward to the Sun in Aries (4), plus one for exaltation
+        const leo = createDashaSystem('CHARA', buildChart(100)).generateMahadashas(birthDate)
+            .find(period => period.lord === 'Leo');
+        expect(leo.years).toBe(5);
+    });
+});
+
+describe('Narayana dasha', () => {
+    it('starts from the stronger of lagna and 7th and follows sign parity', () => {
+        // Aries holds Sun and Mercury; movable odd sign: consecutive, forward
+        const dasha = createDashaSystem('NARAYANA', buildChart(100));
+        const mahadashas = dasha.generateMahadashas(birthDate);
+
+        // Aries (odd) counts forward to Mars in Leo: 4; Taurus (even) back to Venus in Gemini: 11
+        expect(mahadashas.slice(0, 3).map(period => period.lord)).toEqual(['Aries', 'Taurus', 'Gemini']);
+        expect(mahadashas.slice(0, 2).map(period => period.years)).toEqual([4, 11]);
+        expect(dasha.getCurrentDasha(birthDate, yearsAfterBirth(0.1)).antardasha.planet).toBe('Aries');
+    });
+
+    it('jumps by six signs from a fixed starting sign', () => {
+        const chart = buildChart(100, { SUN: 220, MERCURY: 225 });
+        chart.ascendant = { sign: 1, longitude: 45 };
+        const order = createDashaSystem('NARAYANA', chart).generateMahadashas(birthDate)
+            .slice(0, 3)
+            .map(period => period.lord);
+
+        // The 7th, Scorpio, holds Sun and Mercury; it is fixed and even: every sixth sign, backward
+        expect(order).toEqual(['Scorpio', 'Gemini', 'Capricorn']);
+    });
+});
+
+describe('system parameter', () => {
+    it('PersonalizedDashaAnalyzer analyses the chosen system', () => {
+        const analyzer = new PersonalizedDashaAnalyzer(buildChart(0), { system: 'yogini' });
+        const analysis = analyzer.analyzeCurrentDasha(yearsAfterBirth(0.8));
+
+        expect(analysis.system).toBe('YOGINI');
+        expect(analysis.mahadasha.planet).toBe('MARS');
+        expect(analysis.antardasha).toMatchObject({ mahaLord: 'MARS', antarLord: 'MERCURY' });
+    });
+
+    it('DashaTransitCalculator validates and keeps the system', () => {
+        expect(new DashaTransitCalculator().system).toBe('VIMSHOTTARI');
+        expect(new DashaTransitCalculator({ system: 'chara' }).system).toBe('CHARA');
+        expect(() => new DashaTransitCalculator({ system: 'unknown' })).toThrow(/Unsupported/);
+    });
+});
@@ -18,6 +18,7 @@ const { calculatePlanetaryPositions } = require('./planetary-calculator');
 
 // Import refactored components
 const DashaCalculator = require('./dasha-calculator');
+const { createDashaSystem, normalizeDashaSystem } = require('./dasha-systems');
 const TransitCalculator = require('./transit-calculator');
 const PredictionEngine = require('./prediction-engine');
 const PeriodAnalyzer = require('./period-analyzer');
@@ -87,8 +88,11 @@ function calculateTransitAspect(planet1Longitude, planet2Longitude) {
 class DashaTransitCalculator {
      /**
       * Initialize the dasha and transit calculator
+      * @param {Object} [options] - Calculator options
+      * @param {string} [options.system='VIMSHOTTARI'] - Dasha system (see dasha-systems.js)
       */
-     constructor() {
+     constructor(options = {}) {
+         this.system = normalizeDashaSystem(options.system || 'VIMSHOTTARI');
          this.dashaCalculator = new DashaCalculator();
          this.transitCalculator = new TransitCalculator();
          this.predictionEngine = null;
@@ -111,12 +115,11 @@ class DashaTransitCalculator {
              // Get birth date using helper
              const birthDate = getBirthDate(birthChart);
 
-             // Calculate current dasha
-             const currentDasha = this.dashaCalculator.getCurrentDasha(
-                 birthDate,
-                 analysisDate,
-                 birthChart.dasha.balance
-             );
+             // Calculate current dasha in the configured system
+             const dashaSystem = createDashaSystem(this.system, birthChart, {
+                 vimshottariCalculator: this.dashaCalculator
+             });
+             const currentDasha = dashaSystem.getCurrentDasha(birthDate, analysisDate);
 
              // Calculate transit positions
              const transitPositions = await this.transitCalculator.calculateTransitPositions(analysisDate);
@@ -141,6 +144,7 @@ class DashaTransitCalculator {
 
              return {
                  // Current Dasha Information
+                 dashaSystem: this.system,
                  currentDasha: currentDasha,
 
                  // Transit Information
@@ -166,11 +170,7 @@ class DashaTransitCalculator {
                  // Methods
                  getDashaForDate: (date) => {
                      validateTargetDate(date);
-                     return this.dashaCalculator.getCurrentDasha(
-                         birthDate,
-                         date,
-                         birthChart.dasha.balance
-                     );
+                     return dashaSystem.getCurrentDasha(birthDate, date);
                  },
 
                  getTransitsForDate: async (date) => {
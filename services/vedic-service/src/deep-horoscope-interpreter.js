@@ -16,6 +16,7 @@ const PredictiveAnalyzer = require('./predictive-analyzer');
 const DashaAnalyzer = require('./dasha-analyzer');
 const RemedyGenerator = require('./remedy-generator');
 const VedicBirthChartGenerator = require('./vedic-birth-chart-generator');
+const { JaiminiCalculator } = require('./jaimini-calculator');
 const { PLANETS } = require('./astro-constants');
 const { INTERPRETATION_CONSTANTS, DEFAULT_DOMINANT_PLANETS, DEFAULT_CHART_STRENGTH } = require('./deep-horoscope-constants');
 
@@ -63,6 +64,9 @@ class DeepHoroscopeInterpreter {
                 // Yoga and combinations
                 yogas: this.formatYogasForInterpretation(this.yogaDetector.detectAllYogas()),
 
+                // Jaimini factors
+                jaimini: this.analyzeJaimini(),
+
                 // Life area assessments
                 lifeAreas: this.houseAnalyzer.analyzeAllLifeAreas(),
 
@@ -162,6 +166,21 @@ class DeepHoroscopeInterpreter {
         return 0.85;
     }
 
+    /**
+     * Jaimini karakas, padas, argala and sign aspects with citable factors
+     * @returns {Object|null} Jaimini analysis, or null if the chart lacks positions
+     */
+    analyzeJaimini() {
+        try {
+            const calculator = new JaiminiCalculator(this.birthChart);
+            const report = calculator.generateReport();
+            return { ...report, factors: calculator.getInterpretationFactors(report) };
+        } catch (error) {
+            console.warn(`Failed to calculate Jaimini factors: ${error.message}`);
+            return null; // Graceful degradation
+        }
+    }
+
     /**
      * Format yogas for interpretation output
      * @param {Array} yogas - Array of detected yogas
@@ -289,6 +308,9 @@ class ZC114DeepHoroscopeSystem {
             // Yogas and Combinations
             yogas: interpretation.yogas,
 
+            // Jaimini Factors
+            jaimini: interpretation.jaimini,
+
             // Predictions
             predictions: interpretation.predictions,
 
@@ -336,6 +358,16 @@ class ZC114DeepHoroscopeSystem {
             });
         }
 
+        // Based on the Atmakaraka
+        const atmakaraka = interpretation.jaimini?.charaKarakas?.[0];
+        if (atmakaraka) {
+            recommendations.push({
+                type: 'Jaimini',
+                priority: 'Low',
+                message: `${atmakaraka.planet} is the Atmakaraka; strengthening it supports the soul's purpose`
+            });
+        }
+
         return recommendations;
     }
 }
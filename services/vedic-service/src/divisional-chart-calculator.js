@@ -11,6 +11,7 @@
  */
 
 const { normalizeAngle } = require('./math-utils');
+const { calculateAyanamsa, resolveAyanamsaSystem } = require('./astronomical-calculations');
 const {
     SIGN_TYPES,
     DIVISIONAL_CHARTS,
@@ -31,7 +32,14 @@ const {
  * Per sections 2-5 of reference document
  */
 class DivisionalChartCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - Calculator options
+     * @param {string|Object} options.ayanamsa - Ayanamsa system for tropical input (defaults to Lahiri)
+     */
+    constructor(options = {}) {
+        this.ayanamsaSystem = options.ayanamsa || 'LAHIRI';
+        resolveAyanamsaSystem(this.ayanamsaSystem);
+
         // Import configurations from centralized config
         this.divisionalCharts = DIVISIONAL_CHARTS;
         this.signTypes = SIGN_TYPES;
@@ -81,6 +89,38 @@ class DivisionalChartCalculator {
         };
     }
 
+    /**
+     * Convert tropical positions to sidereal using the configured ayanamsa
+     * @param {Object} tropicalPositions - Tropical planetary positions (degrees)
+     * @param {number} julianDay - Julian Day Number of the positions
+     * @returns {Object} Sidereal positions (degrees)
+     * @throws {DataProcessingError} If positions are not an object
+     */
+    toSiderealPositions(tropicalPositions, julianDay) {
+        if (!tropicalPositions || typeof tropicalPositions !== 'object') {
+            throw new DataProcessingError('Invalid tropical positions: must be an object');
+        }
+
+        const ayanamsa = calculateAyanamsa(julianDay, this.ayanamsaSystem);
+        const siderealPositions = {};
+        for (const planet in tropicalPositions) {
+            siderealPositions[planet] = normalizeAngle(tropicalPositions[planet] - ayanamsa);
+        }
+
+        return siderealPositions;
+    }
+
+    /**
+     * Generate divisional chart from tropical positions using the configured ayanamsa
+     * @param {Object} tropicalPositions - Tropical planetary positions (degrees)
+     * @param {string} chartType - Chart type (D1, D2, etc.)
+     * @param {number} julianDay - Julian Day Number of the positions
+     * @returns {Object} Divisional chart data
+     */
+    generateDivisionalChartFromTropical(tropicalPositions, chartType, julianDay) {
+        return this.generateDivisionalChart(this.toSiderealPositions(tropicalPositions, julianDay), chartType);
+    }
+
     /**
      * Calculate divisional longitude
      * @param {number} longitude - Original longitude in degrees (0-360)
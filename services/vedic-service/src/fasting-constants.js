@@ -218,6 +218,7 @@ const DOSHA_REMEDIES = {
     KALASARP_DOSHA: {
         condition: 'All planets between Rahu-Ketu',
         fasting: 'Nag Panchami',
+        festival: 'Naga Panchami',
         rules: ['Snake worship', 'Milk offering'],
         duration: 1,
         frequency: 'Yearly'
@@ -0,0 +1,563 @@
+/**
+ * ZodiaCore - Festival Calendar Generator
+ *
+ * Builds a yearly, location-specific calendar of Hindu festivals and
+ * Ekadashis. Lunar months run from new moon to new moon (amanta) and are
+ * named after the sidereal sign the Sun occupies when they begin, so a month
+ * with no sankranti (solar ingress) is adhik and one with two is kshaya; the
+ * purnimanta names move each Krishna paksha into the following month.
+ *
+ * Each festival is kept on the civil day the tithi rules select: the tithi
+ * prevailing at local sunrise (for Ekadashi, at arunodaya too), or for
+ * pradosh, nishita, purvahna, madhyahna and aparahna festivals the day whose
+ * window the tithi covers longest. New
+ * moons, sankrantis and tithi boundaries come from the event finder with
+ * the Lahiri ayanamsa; sunrise and sunset are computed for the location.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { normalizeAngle, radToDeg, sinDeg, cosDeg } = require('./math-utils');
+const { calculateAyanamsa, calculateGMST } = require('./astronomical-calculations');
+const { WesternEventFinder } = require('../../western-service/src/western-event-finder');
+const { getZoneOffsetMillis, findZoneForLocation, isValidTimeZone } = require('../../../backend/timezone/tz-resolver');
+const {
+    LUNAR_MONTHS,
+    TITHI_NAMES,
+    OBSERVANCE_RULES,
+    ARUNODAYA_MINUTES,
+    OBSERVANCE_WINDOWS,
+    FESTIVALS,
+    EKADASHI_NAMES
+} = require('./festival-constants');
+
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+const MILLIS_PER_DAY = 86400000;
+const J2000 = 2451545.0;
+// Sun's altitude at sunrise and sunset: refraction and semi-diameter
+const SUNRISE_ALTITUDE = -0.8333;
+// Sidereal degrees per solar day, for turning hour angles into time
+const SIDEREAL_RATE = 360.98564736629;
+const SUNRISE_ITERATIONS = 4;
+// Searched beyond the year so its first and last months are complete
+const MONTH_MARGIN_DAYS = 40;
+// Civil days computed beyond the year, for tithis that straddle it
+const DAY_MARGIN = 2;
+const EKADASHI = 11;
+// Share of the next day's daylight (three of its four prahars) the tithi must
+// still hold for a festival to move there out of Bhadra
+const BHADRA_NEXT_DAY_SHARE = 3 / 4;
+// Calendars kept per year and location
+const CACHE_SIZE = 32;
+
+/**
+ * Convert a Julian Day to a Date
+ * @param {number} julianDay - Julian Day (UT)
+ * @returns {Date} Instant, rounded to the millisecond
+ */
+function julianDayToDate(julianDay) {
+    return new Date(Math.round((julianDay - UNIX_EPOCH_JULIAN_DAY) * MILLIS_PER_DAY));
+}
+
+/**
+ * Whether a karana is Vishti, called Bhadra: the last of the seven movable
+ * karanas that repeat from the second karana of the lunar month to the 57th
+ * @param {number} karana - Karana number, 1-60 from the new moon
+ * @returns {boolean} True for Vishti
+ */
+function isVishti(karana) {
+    return karana >= 2 && karana <= 57 && (karana - 2) % 7 === 6;
+}
+
+/**
+ * Convert a civil date to the Julian Day of its 0h UT
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} Julian Day
+ */
+function dateStringToJulianDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return UNIX_EPOCH_JULIAN_DAY + Date.UTC(year, month - 1, day) / MILLIS_PER_DAY;
+}
+
+/**
+ * Name of a tithi within its paksha
+ * @param {number} number - Tithi 1-30 from the new moon
+ * @returns {string} Tithi name
+ */
+function tithiName(number) {
+    if (number === 15) return 'Purnima';
+    if (number === 30) return 'Amavasya';
+    return TITHI_NAMES[(number - 1) % 15];
+}
+
+/**
+ * Festival Calendar Generator Class
+ */
+class FestivalCalendarGenerator {
+    /**
+     * Constructor
+     * @param {Object} options - { ayanamsa: system name for calculateAyanamsa (default 'LAHIRI') }
+     */
+    constructor(options = {}) {
+        const system = options.ayanamsa || 'LAHIRI';
+        this.eventFinder = new WesternEventFinder({
+            ayanamsa: julianDay => calculateAyanamsa(julianDay, system)
+        });
+        this.cache = new Map();
+    }
+
+    /**
+     * Generate the festival and Ekadashi calendar of a year
+     * @param {number} year - Gregorian year
+     * @param {Object} location - { latitude, longitude, timezone? }: an IANA zone or
+     *   hour offset; found from the coordinates when omitted
+     * @returns {Object} { year, location, lunarMonths, festivals, ekadashis }
+     */
+    generateCalendar(year, location) {
+        if (!Number.isInteger(year)) {
+            throw new Error('Year must be an integer');
+        }
+        const place = this.resolveLocation(location);
+        const key = `${year}|${place.latitude}|${place.longitude}|${place.timezone}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const firstDay = `${year}-01-01`;
+        const startJulianDay = dateStringToJulianDay(firstDay);
+        const endJulianDay = dateStringToJulianDay(`${year + 1}-01-01`);
+        const searchStart = startJulianDay - MONTH_MARGIN_DAYS;
+        const searchEnd = endJulianDay + MONTH_MARGIN_DAYS;
+
+        const lunarMonths = this.calculateLunarMonths(searchStart, searchEnd);
+        const tithis = this.calculateTithis(searchStart, searchEnd);
+        const days = this.calculateDays(
+            firstDay, Math.round(endJulianDay - startJulianDay) + 2 * DAY_MARGIN, place, -DAY_MARGIN
+        );
+
+        const inYear = observance => observance.date.startsWith(`${year}-`);
+        const calendar = {
+            year,
+            location: place,
+            lunarMonths: lunarMonths.filter(month => month.end > startJulianDay && month.start < endJulianDay),
+            festivals: this.findFestivals(lunarMonths, tithis, days).filter(inYear),
+            ekadashis: this.findEkadashis(lunarMonths, tithis, days).filter(inYear)
+        };
+
+        if (this.cache.size >= CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, calendar);
+        return calendar;
+    }
+
+    /**
+     * Festivals and Ekadashis between two dates, in date order
+     * @param {Date} startDate - First day
+     * @param {Date} endDate - Last day
+     * @param {Object} location - Location (see generateCalendar)
+     * @returns {Array} Observances whose local date falls in the range
+     */
+    getObservances(startDate, endDate, location) {
+        const place = this.resolveLocation(location);
+        const first = this.toLocalDate(startDate, place.timezone);
+        const last = this.toLocalDate(endDate, place.timezone);
+        const observances = [];
+
+        for (let year = Number(first.slice(0, 4)); year <= Number(last.slice(0, 4)); year++) {
+            const calendar = this.generateCalendar(year, place);
+            observances.push(...calendar.festivals, ...calendar.ekadashis);
+        }
+
+        return observances
+            .filter(observance => observance.date >= first && observance.date <= last)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Festivals and Ekadashis on the local date of an instant
+     * @param {Date} date - Any instant of the day
+     * @param {Object} location - Location (see generateCalendar)
+     * @returns {Array} Observances of that day
+     */
+    getFestivalsOn(date, location) {
+        return this.getObservances(date, date, location);
+    }
+
+    /**
+     * Amanta lunar months between two instants
+     * @param {number} startJulianDay - Start of the search
+     * @param {number} endJulianDay - End of the search
+     * @returns {Array} Months from new moon to new moon, with adhik and kshaya flags
+     */
+    calculateLunarMonths(startJulianDay, endJulianDay) {
+        const lunations = this.eventFinder.findLunations(startJulianDay, endJulianDay);
+        const newMoons = lunations.filter(lunation => lunation.phase === 'new-moon');
+        const sankrantis = this.eventFinder.findIngresses('SUN', startJulianDay, endJulianDay, { zodiac: 'sidereal' });
+        const signAt = julianDay => Math.floor(this.eventFinder.getLongitude('SUN', julianDay, 'sidereal') / 30);
+
+        const months = [];
+        for (let i = 0; i + 1 < newMoons.length; i++) {
+            const start = newMoons[i].julianDay;
+            const end = newMoons[i + 1].julianDay;
+            const sign = signAt(start);
+            const name = LUNAR_MONTHS[(sign + 1) % 12];
+            const ingresses = sankrantis.filter(sankranti => sankranti.julianDay >= start && sankranti.julianDay < end);
+            const fullMoon = lunations.find(lunation =>
+                lunation.phase === 'full-moon' && lunation.julianDay > start && lunation.julianDay < end);
+            const adhik = ingresses.length === 0;
+
+            months.push({
+                name,
+                adhik,
+                kshaya: ingresses.length > 1,
+                // A kshaya month absorbs the month whose name it skips
+                skippedMonth: ingresses.length > 1 ? LUNAR_MONTHS[(sign + 2) % 12] : null,
+                // Under purnimanta the Krishna paksha belongs to the next (nija) month
+                purnimanta: {
+                    shukla: name,
+                    krishna: adhik ? name : LUNAR_MONTHS[(signAt(end) + 1) % 12]
+                },
+                start,
+                end,
+                startDate: julianDayToDate(start),
+                endDate: julianDayToDate(end),
+                fullMoon: fullMoon ? fullMoon.julianDay : null,
+                sankrantis: ingresses
+            });
+        }
+
+        return months;
+    }
+
+    /**
+     * Tithis between two instants, each with its start and end
+     * @param {number} startJulianDay - Start of the search
+     * @param {number} endJulianDay - End of the search
+     * @returns {Array} { number 1-30, paksha, name, start, end } for every complete tithi
+     */
+    calculateTithis(startJulianDay, endJulianDay) {
+        const changes = this.eventFinder.findTithis(startJulianDay, endJulianDay);
+
+        return changes.slice(0, -1).map((change, i) => ({
+            number: change.number,
+            paksha: change.paksha,
+            name: tithiName(change.number),
+            start: change.julianDay,
+            end: changes[i + 1].julianDay
+        }));
+    }
+
+    /**
+     * Sunrise and sunset of consecutive civil days
+     * @param {string} firstDate - 'YYYY-MM-DD'
+     * @param {number} count - Number of days
+     * @param {Object} location - Resolved location
+     * @param {number} offset - Days to start before (negative) or after the first date
+     * @returns {Array} { date, sunrise, sunset, nextSunrise } as Julian Days
+     */
+    calculateDays(firstDate, count, location, offset = 0) {
+        const firstJulianDay = dateStringToJulianDay(firstDate) + offset;
+        const days = [];
+        let sunrise = this.calculateSunTime(firstJulianDay, location, 'rise');
+
+        for (let i = 0; i < count; i++) {
+            const julianDay = firstJulianDay + i;
+            const nextSunrise = this.calculateSunTime(julianDay + 1, location, 'rise');
+            days.push({
+                date: julianDayToDate(julianDay).toISOString().slice(0, 10),
+                sunrise,
+                sunset: this.calculateSunTime(julianDay, location, 'set'),
+                nextSunrise
+            });
+            sunrise = nextSunrise;
+        }
+
+        return days;
+    }
+
+    /**
+     * Sunrise or sunset on a civil day. Where the Sun does not rise or set,
+     * 6 hours before or after local apparent noon stands in.
+     * @param {number} julianDay - Julian Day of 0h UT of the civil date
+     * @param {Object} location - { latitude, longitude }
+     * @param {string} event - 'rise' or 'set'
+     * @returns {number} Julian Day (UT)
+     */
+    calculateSunTime(julianDay, location, event) {
+        const { latitude, longitude } = location;
+        const sign = event === 'rise' ? -1 : 1;
+        // Start from local mean noon, which lies in the civil day for any sensible zone
+        let time = julianDay + 0.5 - longitude / 360;
+
+        for (let i = 0; i < SUNRISE_ITERATIONS; i++) {
+            const { rightAscension, declination } = this._sunEquatorial(time);
+            const cosHourAngle = (sinDeg(SUNRISE_ALTITUDE) - sinDeg(latitude) * sinDeg(declination)) /
+                                 (cosDeg(latitude) * cosDeg(declination));
+            const targetHourAngle = Math.abs(cosHourAngle) > 1 ? 90 : radToDeg(Math.acos(cosHourAngle));
+            let hourAngle = normalizeAngle(calculateGMST(time) + longitude - rightAscension);
+            if (hourAngle > 180) hourAngle -= 360;
+            time += (sign * targetHourAngle - hourAngle) / SIDEREAL_RATE;
+        }
+
+        return time;
+    }
+
+    /**
+     * Festivals of the FESTIVALS table kept in the searched range
+     * @param {Array} months - Lunar months
+     * @param {Array} tithis - Tithis
+     * @param {Array} days - Civil days
+     * @returns {Array} Festival observances in date order
+     */
+    findFestivals(months, tithis, days) {
+        const festivals = [];
+        const sankrantis = months.flatMap(month => month.sankrantis);
+
+        for (const festival of FESTIVALS) {
+            if (festival.rule === OBSERVANCE_RULES.SANKRANTI) {
+                for (const ingress of sankrantis.filter(sankranti => sankranti.to === festival.sign)) {
+                    const observance = this._sankrantiObservance(festival, ingress, months, days);
+                    if (observance) festivals.push(observance);
+                }
+                continue;
+            }
+
+            const number = festival.paksha === 'Krishna' ? festival.tithi + 15 : festival.tithi;
+            for (const tithi of tithis) {
+                const month = this._monthOf(tithi, months);
+                if (tithi.number !== number || !month || month.adhik || month.name !== festival.month) {
+                    continue;
+                }
+                const observance = this._tithiObservance(festival, tithi, month, days);
+                if (observance) festivals.push(observance);
+            }
+        }
+
+        return festivals.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Shukla and Krishna Ekadashis kept in the searched range: the first day
+     * Ekadashi is current at sunrise, unless Dashami still held at arunodaya
+     * @param {Array} months - Lunar months
+     * @param {Array} tithis - Tithis
+     * @param {Array} days - Civil days
+     * @returns {Array} Ekadashi observances in date order
+     */
+    findEkadashis(months, tithis, days) {
+        const ekadashis = [];
+
+        for (const tithi of tithis) {
+            const month = this._monthOf(tithi, months);
+            if ((tithi.number - 1) % 15 + 1 !== EKADASHI || !month) {
+                continue;
+            }
+            const names = EKADASHI_NAMES[month.adhik ? 'ADHIK' : month.name];
+            const ekadashi = {
+                name: `${names[tithi.paksha === 'Shukla' ? 0 : 1]} Ekadashi`,
+                rule: OBSERVANCE_RULES.ARUNODAYA,
+                significance: 'Fast dedicated to Lord Vishnu',
+                fasting: true
+            };
+            const observance = this._tithiObservance(ekadashi, tithi, month, days, 'ekadashi');
+            if (observance) ekadashis.push(observance);
+        }
+
+        return ekadashis;
+    }
+
+    /**
+     * Resolve and validate a location
+     * @param {Object} location - { latitude, longitude, timezone? }
+     * @returns {Object} { latitude, longitude, timezone }
+     */
+    resolveLocation(location) {
+        if (!location || !Number.isFinite(location.latitude) || Math.abs(location.latitude) > 90) {
+            throw new Error('Valid latitude is required (-90 to 90)');
+        }
+        if (!Number.isFinite(location.longitude) || Math.abs(location.longitude) > 180) {
+            throw new Error('Valid longitude is required (-180 to 180)');
+        }
+
+        const { latitude, longitude } = location;
+        let timezone = location.timezone;
+        if (timezone === undefined) {
+            timezone = findZoneForLocation(latitude, longitude).zone;
+        } else if (typeof timezone === 'number' ? Math.abs(timezone) > 14 : !isValidTimeZone(timezone)) {
+            throw new Error(`Unknown time zone: ${timezone}`);
+        }
+
+        return { latitude, longitude, timezone };
+    }
+
+    /**
+     * Local civil date of an instant
+     * @param {Date} date - Instant
+     * @param {string|number} timezone - IANA zone or hour offset
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    toLocalDate(date, timezone) {
+        const millis = date.getTime();
+        const offset = typeof timezone === 'number' ? timezone * 3600000 : getZoneOffsetMillis(timezone, millis);
+        return new Date(millis + offset).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Private method: The lunar month a tithi belongs to
+     */
+    _monthOf(tithi, months) {
+        const middle = (tithi.start + tithi.end) / 2;
+        return months.find(month => middle >= month.start && middle < month.end);
+    }
+
+    /**
+     * Private method: The day a tithi is kept on under a festival's rule
+     */
+    _tithiObservance(festival, tithi, month, days, type = 'festival') {
+        const candidates = days.filter(day => day.sunrise < tithi.end && day.nextSunrise > tithi.start);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // The first day the tithi is current at sunrise, or the day it begins and ends in
+        let chosen = candidates.find(day => day.sunrise >= tithi.start && day.sunrise < tithi.end) || candidates[0];
+        const window = OBSERVANCE_WINDOWS[festival.rule];
+        if (festival.rule === OBSERVANCE_RULES.ARUNODAYA &&
+            chosen.sunrise - ARUNODAYA_MINUTES / 1440 < tithi.start && chosen !== candidates[candidates.length - 1]) {
+            chosen = candidates[candidates.indexOf(chosen) + 1];
+        } else if (window) {
+            let longest = 0;
+            for (const day of candidates) {
+                const [from, to] = this._window(day, window);
+                const overlap = Math.min(to, tithi.end) - Math.max(from, tithi.start);
+                if (overlap > longest) {
+                    longest = overlap;
+                    chosen = day;
+                }
+            }
+        }
+
+        if (festival.avoidBhadra) {
+            chosen = this._avoidBhadra(chosen, tithi, days, window);
+        }
+
+        const day = days[days.indexOf(chosen) + (festival.offset || 0)];
+        if (!day) {
+            return null;
+        }
+
+        return {
+            name: festival.name,
+            type,
+            date: day.date,
+            rule: festival.rule,
+            significance: festival.significance,
+            fasting: Boolean(festival.fasting),
+            sunrise: julianDayToDate(day.sunrise),
+            tithi: {
+                number: tithi.number,
+                paksha: tithi.paksha,
+                name: tithi.name,
+                start: julianDayToDate(tithi.start),
+                end: julianDayToDate(tithi.end)
+            },
+            lunarMonth: this._monthNames(month, tithi.paksha)
+        };
+    }
+
+    /**
+     * Private method: Move an observance out of Bhadra. The day stays when
+     * Bhadra misses its window or ends before midnight; otherwise the next
+     * day is taken when the tithi still holds three prahars of its daylight
+     */
+    _avoidBhadra(chosen, tithi, days, window) {
+        const margin = 1 / 1440;
+        const [middle] = this.eventFinder.findKaranas(tithi.start + margin, tithi.end - margin);
+        const first = 2 * tithi.number - 1;
+        const bhadra = [[tithi.start, middle.julianDay], [middle.julianDay, tithi.end]]
+            .find((half, i) => isVishti(first + i));
+        if (!bhadra) {
+            return chosen;
+        }
+
+        const [from, to] = this._window(chosen, window);
+        const midnight = (chosen.sunset + chosen.nextSunrise) / 2;
+        if (bhadra[0] >= to || bhadra[1] <= from || bhadra[1] <= midnight) {
+            return chosen;
+        }
+
+        const next = days[days.indexOf(chosen) + 1];
+        const held = next && tithi.start <= next.sunrise
+            ? (tithi.end - next.sunrise) / (next.sunset - next.sunrise)
+            : 0;
+        return held >= BHADRA_NEXT_DAY_SHARE ? next : chosen;
+    }
+
+    /**
+     * Private method: A sankranti is kept on its civil day, or the next when it falls after sunset
+     */
+    _sankrantiObservance(festival, ingress, months, days) {
+        const index = days.findIndex(day => ingress.julianDay >= day.sunrise && ingress.julianDay < day.nextSunrise);
+        if (index < 0) {
+            return null;
+        }
+        const day = days[ingress.julianDay >= days[index].sunset ? index + 1 : index];
+        const month = months.find(m => ingress.julianDay >= m.start && ingress.julianDay < m.end);
+        if (!day || !month) {
+            return null;
+        }
+
+        return {
+            name: festival.name,
+            type: 'festival',
+            date: day.date,
+            rule: festival.rule,
+            significance: festival.significance,
+            fasting: Boolean(festival.fasting),
+            sunrise: julianDayToDate(day.sunrise),
+            sankranti: ingress.date,
+            tithi: null,
+            lunarMonth: this._monthNames(month, ingress.julianDay < month.fullMoon ? 'Shukla' : 'Krishna')
+        };
+    }
+
+    /**
+     * Private method: Amanta and purnimanta names of a month for a paksha
+     */
+    _monthNames(month, paksha) {
+        return {
+            amanta: month.name,
+            purnimanta: paksha === 'Shukla' ? month.purnimanta.shukla : month.purnimanta.krishna,
+            adhik: month.adhik
+        };
+    }
+
+    /**
+     * Private method: Start and end of an observance window on a day
+     */
+    _window(day, window) {
+        const [from, length] = window.part === 'day'
+            ? [day.sunrise, day.sunset - day.sunrise]
+            : [day.sunset, day.nextSunrise - day.sunset];
+        return [from + window.start * length, from + window.end * length];
+    }
+
+    /**
+     * Private method: Apparent right ascension and declination of the Sun
+     */
+    _sunEquatorial(julianDay) {
+        const longitude = this.eventFinder.getLongitude('SUN', julianDay);
+        const T = (julianDay - J2000) / 36525;
+        const obliquity = 23.439291 - 0.0130042 * T;
+
+        return {
+            rightAscension: normalizeAngle(radToDeg(Math.atan2(cosDeg(obliquity) * sinDeg(longitude), cosDeg(longitude)))),
+            declination: radToDeg(Math.asin(sinDeg(obliquity) * sinDeg(longitude)))
+        };
+    }
+}
+
+module.exports = FestivalCalendarGenerator;
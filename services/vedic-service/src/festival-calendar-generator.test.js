@@ -0,0 +1,112 @@
+/**
+ * Festival Calendar Generator Tests
+ */
+
+const FestivalCalendarGenerator = require('./festival-calendar-generator');
+const PanchangCalculator = require('./panchang-calculator');
+const TithiFastingCalculator = require('./tithi-fasting-calculator');
+
+const DELHI = { latitude: 28.6139, longitude: 77.209, timezone: 'Asia/Kolkata' };
+const dateOf = (observances, name) => observances.find(observance => observance.name === name).date;
+
+describe('FestivalCalendarGenerator', () => {
+    const generator = new FestivalCalendarGenerator();
+
+    test('names lunar months and detects adhik and kshaya masas', () => {
+        const { lunarMonths } = generator.generateCalendar(2023, DELHI);
+        const shravana = lunarMonths.filter(month => month.name === 'Shravana');
+
+        // 2023 had an adhik Shravana from July 18 to August 16
+        expect(shravana.map(month => month.adhik)).toEqual([true, false]);
+        expect(shravana[0].startDate.toISOString().slice(0, 10)).toBe('2023-07-17');
+        expect(shravana[0].sankrantis).toHaveLength(0);
+        // Under purnimanta the Krishna paksha takes the next month's name
+        const ashadha = lunarMonths.find(month => month.name === 'Ashadha');
+        expect(ashadha.purnimanta).toEqual({ shukla: 'Ashadha', krishna: 'Shravana' });
+
+        // Pausha 1983 held two sankrantis and absorbed Magha
+        const months1983 = generator.calculateLunarMonths(2445300, 2445420);
+        const kshaya = months1983.find(month => month.kshaya);
+        expect(kshaya).toMatchObject({ name: 'Pausha', skippedMonth: 'Magha' });
+        expect(kshaya.sankrantis).toHaveLength(2);
+    });
+
+    test('keeps festivals in their lunar month under their observance rules', () => {
+        const { festivals } = generator.generateCalendar(2024, DELHI);
+
+        expect(festivals.filter(festival => festival.name === 'Diwali')).toHaveLength(1);
+        expect(dateOf(festivals, 'Makar Sankranti')).toBe('2024-01-15');
+        expect(dateOf(festivals, 'Maha Shivaratri')).toBe('2024-03-08');
+        expect(dateOf(festivals, 'Holika Dahan')).toBe('2024-03-24');
+        expect(dateOf(festivals, 'Holi')).toBe('2024-03-25');
+        expect(dateOf(festivals, 'Rama Navami')).toBe('2024-04-17');
+        expect(dateOf(festivals, 'Krishna Janmashtami')).toBe('2024-08-26');
+        expect(dateOf(festivals, 'Ganesh Chaturthi')).toBe('2024-09-07');
+        expect(dateOf(festivals, 'Dussehra')).toBe('2024-10-12');
+        // Amavasya covered the pradosh of October 31 in full and of November 1 only briefly
+        expect(dateOf(festivals, 'Diwali')).toBe('2024-10-31');
+
+        const diwali = festivals.find(festival => festival.name === 'Diwali');
+        expect(diwali).toMatchObject({ rule: 'pradosh', tithi: { number: 30, name: 'Amavasya' } });
+        expect(diwali.lunarMonth).toEqual({ amanta: 'Ashwin', purnimanta: 'Kartika', adhik: false });
+
+        // Bhadra ended before midnight on March 24, 2024, so Holika Dahan stayed that evening.
+        // In 2026 it covered the whole night of March 2, and Purnima held most of March 3
+        const festivals2026 = generator.generateCalendar(2026, DELHI).festivals;
+        expect(dateOf(festivals2026, 'Holika Dahan')).toBe('2026-03-03');
+        expect(dateOf(festivals2026, 'Holi')).toBe('2026-03-04');
+
+        // Tritiya began after sunrise on April 22, 2023 but held most of its purvahna
+        expect(dateOf(generator.generateCalendar(2023, DELHI).festivals, 'Akshaya Tritiya')).toBe('2023-04-22');
+    });
+
+    test('lists the Ekadashis, moving those mixed with Dashami at arunodaya', () => {
+        const { ekadashis } = generator.generateCalendar(2024, DELHI);
+
+        expect(ekadashis).toHaveLength(25);
+        expect(ekadashis.every(ekadashi => ekadashi.tithi.number % 15 === 11 && ekadashi.fasting)).toBe(true);
+        expect(dateOf(ekadashis, 'Devshayani Ekadashi')).toBe('2024-07-17');
+        // Ekadashi was current at sunrise on June 17 and October 27 but began after arunodaya
+        expect(dateOf(ekadashis, 'Nirjala Ekadashi')).toBe('2024-06-18');
+        expect(dateOf(ekadashis, 'Rama Ekadashi')).toBe('2024-10-28');
+
+        const adhik = generator.generateCalendar(2023, DELHI).ekadashis.filter(ekadashi => ekadashi.lunarMonth.adhik);
+        expect(adhik.map(ekadashi => `${ekadashi.date} ${ekadashi.name}`))
+            .toEqual(['2023-07-29 Padmini Ekadashi', '2023-08-12 Parama Ekadashi']);
+    });
+
+    test('dates festivals for the location and validates it', () => {
+        const newYork = generator.generateCalendar(2024, { latitude: 40.71, longitude: -74.01 });
+        expect(newYork.location.timezone).toBe('America/New_York');
+        expect(dateOf(newYork.festivals, 'Krishna Janmashtami')).toBe('2024-08-25');
+
+        const week = generator.getObservances(new Date('2024-10-27T00:00:00Z'), new Date('2024-11-03T00:00:00Z'), DELHI);
+        expect(week.map(observance => observance.name)).toEqual(
+            ['Rama Ekadashi', 'Dhanteras', 'Diwali', 'Govardhan Puja', 'Bhai Dooj']
+        );
+
+        expect(() => generator.generateCalendar(2024, { latitude: 95, longitude: 0 })).toThrow(/latitude/);
+        expect(() => generator.generateCalendar(2024, { ...DELHI, timezone: 'Mars/Olympus' })).toThrow(/time zone/);
+        expect(() => generator.generateCalendar(2024.5, DELHI)).toThrow(/integer/);
+    });
+
+    test('feeds the Panchang and the tithi fasting calculator', async () => {
+        const panchang = new PanchangCalculator();
+        panchang.festivalCalendar = generator;
+
+        expect(panchang.detectFestivals({ date: new Date('2024-10-31T12:00:00Z'), location: DELHI }))
+            .toEqual([expect.objectContaining({ name: 'Diwali', type: 'Lunar', rule: 'pradosh' })]);
+        // Another Krishna Amavasya and Ashtami, but not in Ashwin and Shravana
+        expect(panchang.detectFestivals({ date: new Date('2024-12-01T12:00:00Z'), location: DELHI })).toEqual([]);
+        expect(panchang.detectFestivals({ date: new Date('2024-09-25T12:00:00Z'), location: DELHI })).toEqual([]);
+
+        const fasting = new TithiFastingCalculator({ festivalCalendar: generator });
+        const next = fasting.getNextAuspiciousTithi(new Date('2024-06-10T06:00:00Z'), DELHI);
+        expect(next).toMatchObject({ name: 'Nirjala Ekadashi', tithiNumber: 11, daysUntil: 8, fastingType: 'High' });
+
+        const fasts = fasting.getFastingCalendar(new Date('2024-08-20T00:00:00Z'), new Date('2024-08-31T00:00:00Z'), DELHI);
+        expect(fasts.map(fast => `${fast.name} ${fast.fastingRecommended}`))
+            .toEqual(['Krishna Janmashtami true', 'Aja Ekadashi true']);
+        expect(fasts[1].rules).toEqual(fasting.getFastingRules(11));
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * ZodiaCore - Festival Calendar Constants
+ *
+ * Lunar month names, observance-time (karmakala) rules, festival
+ * definitions and Ekadashi names for the yearly festival calendar.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+// Lunar months, indexed from Chaitra. An amanta month takes the name after
+// the sidereal sign the Sun occupies at the new moon that begins it
+const LUNAR_MONTHS = [
+    'Chaitra', 'Vaishakha', 'Jyeshtha', 'Ashadha', 'Shravana', 'Bhadrapada',
+    'Ashwin', 'Kartika', 'Margashirsha', 'Pausha', 'Magha', 'Phalguna'
+];
+
+// Tithi names within a paksha, 1-15; the 15th is Purnima or Amavasya
+const TITHI_NAMES = [
+    'Pratipada', 'Dwitiya', 'Tritiya', 'Chaturthi', 'Panchami',
+    'Shashthi', 'Saptami', 'Ashtami', 'Navami', 'Dashami',
+    'Ekadashi', 'Dwadashi', 'Trayodashi', 'Chaturdashi'
+];
+
+/**
+ * Observance times. Day and night are each split by sunrise and sunset; the
+ * day into five parts (pratah, sangava, madhyahna, aparahna, sayahna; the
+ * first two are purvahna) and the night into fifteen muhurtas. A festival falls on the day whose window the
+ * tithi covers longest.
+ */
+const OBSERVANCE_RULES = {
+    SUNRISE: 'sunrise',
+    ARUNODAYA: 'arunodaya',
+    PURVAHNA: 'purvahna',
+    MADHYAHNA: 'madhyahna',
+    APARAHNA: 'aparahna',
+    PRADOSH: 'pradosh',
+    NISHITA: 'nishita',
+    SANKRANTI: 'sankranti'
+};
+
+// Arunodaya, the dawn before sunrise: an Ekadashi that has not begun by then
+// is mixed with Dashami (dashami-viddha) and moves to the next day
+const ARUNODAYA_MINUTES = 96;
+
+const OBSERVANCE_WINDOWS = {
+    // Fractions of the day from sunrise to sunset
+    purvahna: { part: 'day', start: 0, end: 2 / 5 },
+    madhyahna: { part: 'day', start: 2 / 5, end: 3 / 5 },
+    aparahna: { part: 'day', start: 3 / 5, end: 4 / 5 },
+    // Fractions of the night from sunset to the next sunrise: the first three
+    // muhurtas, and the eighth, around midnight
+    pradosh: { part: 'night', start: 0, end: 3 / 15 },
+    nishita: { part: 'night', start: 7 / 15, end: 8 / 15 }
+};
+
+/**
+ * Festivals in amanta months. `tithi` counts 1-15 within the paksha. Lunar
+ * festivals are not kept in an adhik month; `offset` moves the festival a
+ * number of days after the day the rule selects, `avoidBhadra` keeps the
+ * rule's window out of Bhadra (Vishti karana), and `fasting` marks a vrat.
+ */
+const FESTIVALS = [
+    { name: 'Makar Sankranti', rule: 'sankranti', sign: 9, significance: 'Sun enters sidereal Capricorn' },
+    { name: 'Vasant Panchami', month: 'Magha', paksha: 'Shukla', tithi: 5, rule: 'purvahna', significance: 'Worship of Saraswati' },
+    { name: 'Maha Shivaratri', month: 'Magha', paksha: 'Krishna', tithi: 14, rule: 'nishita', fasting: true, significance: 'Great night of Shiva' },
+    { name: 'Holika Dahan', month: 'Phalguna', paksha: 'Shukla', tithi: 15, rule: 'pradosh', avoidBhadra: true, significance: 'Bonfire of Holika' },
+    { name: 'Holi', month: 'Phalguna', paksha: 'Shukla', tithi: 15, rule: 'pradosh', avoidBhadra: true, offset: 1, significance: 'Festival of colours' },
+    { name: 'Ugadi / Gudi Padwa', month: 'Chaitra', paksha: 'Shukla', tithi: 1, rule: 'sunrise', significance: 'Lunar new year' },
+    { name: 'Rama Navami', month: 'Chaitra', paksha: 'Shukla', tithi: 9, rule: 'madhyahna', fasting: true, significance: 'Birth of Lord Rama' },
+    { name: 'Hanuman Jayanti', month: 'Chaitra', paksha: 'Shukla', tithi: 15, rule: 'sunrise', significance: 'Birth of Hanuman' },
+    { name: 'Akshaya Tritiya', month: 'Vaishakha', paksha: 'Shukla', tithi: 3, rule: 'purvahna', significance: 'Day of imperishable merit' },
+    { name: 'Guru Purnima', month: 'Ashadha', paksha: 'Shukla', tithi: 15, rule: 'sunrise', significance: 'Honouring the guru' },
+    { name: 'Naga Panchami', month: 'Shravana', paksha: 'Shukla', tithi: 5, rule: 'sunrise', significance: 'Worship of serpent deities' },
+    { name: 'Raksha Bandhan', month: 'Shravana', paksha: 'Shukla', tithi: 15, rule: 'sunrise', significance: 'Bond of protection' },
+    { name: 'Krishna Janmashtami', month: 'Shravana', paksha: 'Krishna', tithi: 8, rule: 'nishita', fasting: true, significance: 'Birth of Lord Krishna' },
+    { name: 'Ganesh Chaturthi', month: 'Bhadrapada', paksha: 'Shukla', tithi: 4, rule: 'madhyahna', significance: 'Birth of Lord Ganesha' },
+    { name: 'Sharad Navaratri', month: 'Ashwin', paksha: 'Shukla', tithi: 1, rule: 'sunrise', fasting: true, significance: 'Nine nights of the Goddess begin' },
+    { name: 'Dussehra', month: 'Ashwin', paksha: 'Shukla', tithi: 10, rule: 'aparahna', significance: 'Victory of good over evil' },
+    { name: 'Dhanteras', month: 'Ashwin', paksha: 'Krishna', tithi: 13, rule: 'pradosh', significance: 'Worship of Dhanvantari' },
+    { name: 'Diwali', month: 'Ashwin', paksha: 'Krishna', tithi: 15, rule: 'pradosh', significance: 'Festival of Lights' },
+    { name: 'Govardhan Puja', month: 'Kartika', paksha: 'Shukla', tithi: 1, rule: 'sunrise', significance: 'Lifting of Govardhan hill' },
+    { name: 'Bhai Dooj', month: 'Kartika', paksha: 'Shukla', tithi: 2, rule: 'aparahna', significance: 'Bond of brother and sister' },
+    { name: 'Chhath Puja', month: 'Kartika', paksha: 'Shukla', tithi: 6, rule: 'sunrise', fasting: true, significance: 'Worship of the Sun' },
+    { name: 'Kartika Purnima', month: 'Kartika', paksha: 'Shukla', tithi: 15, rule: 'sunrise', significance: 'Dev Deepawali' }
+];
+
+// Ekadashi names by amanta month, Shukla then Krishna; adhik months have their own
+const EKADASHI_NAMES = {
+    Chaitra: ['Kamada', 'Varuthini'],
+    Vaishakha: ['Mohini', 'Apara'],
+    Jyeshtha: ['Nirjala', 'Yogini'],
+    Ashadha: ['Devshayani', 'Kamika'],
+    Shravana: ['Shravana Putrada', 'Aja'],
+    Bhadrapada: ['Parsva', 'Indira'],
+    Ashwin: ['Papankusha', 'Rama'],
+    Kartika: ['Devutthana', 'Utpanna'],
+    Margashirsha: ['Mokshada', 'Saphala'],
+    Pausha: ['Pausha Putrada', 'Shattila'],
+    Magha: ['Jaya', 'Vijaya'],
+    Phalguna: ['Amalaki', 'Papmochani'],
+    ADHIK: ['Padmini', 'Parama']
+};
+
+module.exports = {
+    LUNAR_MONTHS,
+    TITHI_NAMES,
+    OBSERVANCE_RULES,
+    ARUNODAYA_MINUTES,
+    OBSERVANCE_WINDOWS,
+    FESTIVALS,
+    EKADASHI_NAMES
+};
@@ -10,6 +10,11 @@
  */
 
 const { HORARY_CONSTANTS } = require('./horary-constants');
+const { NAKSHATRA_LORDS } = require('./astro-constants');
+const VimshottariDasha = require('./vimshottari-dasha');
+
+const NAKSHATRA_SPAN = 360 / 27;
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
 
 /**
  * Horary Timing Analyzer Class
@@ -18,7 +23,7 @@ const { HORARY_CONSTANTS } = require('./horary-constants');
 class HoraryTimingAnalyzer {
     constructor() {
         // Dependencies would be injected
-        this.dashaCalculator = null; // Would use existing dasha calculator
+        this.dashaCalculator = new VimshottariDasha();
         this.transitAnalyzer = null; // Would use existing transit analyzer
     }
 
@@ -219,20 +224,30 @@ class HoraryTimingAnalyzer {
             }];
         }
 
-        const moonNakshatra = this.calculateNakshatra(horaryChart.planets.MOON.longitude);
-        const currentDasha = this.getDashaFromNakshatra(moonNakshatra);
-
+        // Vimshottari periods run from the question time, as from a birth
+        const questionTime = horaryChart.questionTime instanceof Date ? horaryChart.questionTime : new Date();
+        const moonLongitude = horaryChart.planets.MOON.longitude;
+        const nakshatra = this.calculateNakshatra(moonLongitude);
+        const balance = this.dashaCalculator.calculateDashaBalance({
+            lord: NAKSHATRA_LORDS[nakshatra],
+            degreesInNakshatra: moonLongitude - nakshatra * NAKSHATRA_SPAN
+        }, questionTime);
+
+        const [currentDasha] = this.dashaCalculator.getPeriodsAt(questionTime, questionTime, balance, 1);
+        const remainingYears = (currentDasha.endDate - questionTime) / MS_PER_YEAR;
         relevantDashas.push({
-            period: currentDasha.dasha,
-            duration: currentDasha.remaining_years,
-            strength: this.evaluateDashaStrength(currentDasha.dasha, significators),
+            period: currentDasha.planet,
+            duration: remainingYears,
+            strength: this.evaluateDashaStrength(currentDasha.planet, significators),
             significance: 'Current major period influencing the question',
-            time_frame: `${currentDasha.remaining_years} years remaining`
+            time_frame: `${remainingYears.toFixed(1)} years remaining`,
+            startDate: currentDasha.startDate,
+            endDate: currentDasha.endDate
         });
 
-        // Get sub-periods (simplified)
-        const subDashas = this.getSubDashas(currentDasha.dasha, significators);
-        relevantDashas.push(...subDashas.slice(0, 3)); // Top 3 sub-periods
+        // Strongest pratyantardashas (third-level periods) in the coming year
+        const subDashas = this.getSubDashas(questionTime, balance, significators);
+        relevantDashas.push(...subDashas.slice(0, 3));
 
         return relevantDashas;
     }
@@ -290,47 +305,33 @@ class HoraryTimingAnalyzer {
      * @returns {number} Nakshatra number (0-26)
      */
     calculateNakshatra(longitude) {
-        return Math.floor(longitude / 13.333333333);
-    }
-
-    /**
-     * Get dasha from nakshatra (simplified)
-     * @param {number} nakshatra - Nakshatra number
-     * @returns {Object} Dasha info
-     */
-    getDashaFromNakshatra(nakshatra) {
-        // Simplified dasha calculation based on Vimshottari system
-        const dashaSequence = ['KETU', 'VENUS', 'SUN', 'MOON', 'MARS', 'RAHU', 'JUPITER', 'SATURN', 'MERCURY'];
-        const dashaLord = dashaSequence[nakshatra % 9];
-
-        return {
-            dasha: dashaLord,
-            remaining_years: Math.random() * 10 + 1 // Simplified
-        };
+        return Math.floor(longitude / NAKSHATRA_SPAN);
     }
 
     /**
-     * Get sub-dashas (simplified)
-     * @param {string} mainDasha - Main dasha planet
+     * Get the pratyantardashas of the year after the question, strongest first
+     * @param {Date} questionTime - Time of the question
+     * @param {Object} balance - Dasha balance at the question time
      * @param {Object} significators - Significators
      * @returns {Array} Sub-dasha periods
      */
-    getSubDashas(mainDasha, significators) {
-        const subDashas = [];
-        const dashaSequence = ['KETU', 'VENUS', 'SUN', 'MOON', 'MARS', 'RAHU', 'JUPITER', 'SATURN', 'MERCURY'];
-
-        for (let i = 0; i < 3; i++) {
-            const subPlanet = dashaSequence[(dashaSequence.indexOf(mainDasha) + i + 1) % 9];
-            subDashas.push({
-                period: `${mainDasha}-${subPlanet}`,
-                duration: Math.random() * 2 + 0.5, // Simplified duration
-                strength: this.evaluateDashaStrength(subPlanet, significators),
-                significance: `Sub-period within ${mainDasha} major period`,
-                time_frame: `${(Math.random() * 2 + 0.5).toFixed(1)} years`
-            });
-        }
+    getSubDashas(questionTime, balance, significators) {
+        const periods = this.dashaCalculator.findPeriods(questionTime, balance, ['*', '*', '*'], {
+            startDate: questionTime,
+            endDate: new Date(questionTime.getTime() + MS_PER_YEAR)
+        });
 
-        return subDashas;
+        return periods
+            .map(period => ({
+                period: period.lords.join('-'),
+                duration: period.years,
+                strength: this.evaluateDashaStrength(period.planet, significators),
+                significance: `Pratyantardasha within ${period.lords[0]}-${period.lords[1]} period`,
+                time_frame: `${period.startDate.toISOString().slice(0, 10)} to ${period.endDate.toISOString().slice(0, 10)}`,
+                startDate: period.startDate,
+                endDate: period.endDate
+            }))
+            .sort((a, b) => b.strength - a.strength);
     }
 
     /**
@@ -9,7 +9,7 @@
  * @license MIT
  */
 
-const { calculateJulianDay, calculateLahiriAyanamsa } = require('./astronomical-calculations');
+const { calculateJulianDay, calculateAyanamsa } = require('./astronomical-calculations');
 const { calculatePlanetaryPositions } = require('./planetary-calculator');
 const { normalizeAngle, angularSeparation } = require('./math-utils');
 const { HOROSCOPE_CONSTANTS, ASPECT_CALCULATION_CONSTANTS, CACHE_CONSTANTS } = require('./horoscope-constants');
@@ -85,18 +85,19 @@ class TransitCalculator {
     /**
      * Get ayanamsa with caching
      * @param {number} year - Year for ayanamsa calculation
+     * @param {string|Object} system - Ayanamsa system (defaults to Lahiri)
      * @returns {number} Ayanamsa value
      */
-    async getAyanamsaWithCache(year) {
-        const cacheKey = astrologyCache.generateAyanamsaKey(year);
+    async getAyanamsaWithCache(year, system = 'LAHIRI') {
+        const cacheKey = astrologyCache.generateAyanamsaKey(year, system);
 
         return astrologyCache.getOrSet(cacheKey, async () => {
             try {
-                const ayanamsa = calculateLahiriAyanamsa(year);
-                astrologyLogger.debug('Calculated ayanamsa', { year, ayanamsa });
+                const ayanamsa = calculateAyanamsa(calculateJulianDay(year, 1, 1), system);
+                astrologyLogger.debug('Calculated ayanamsa', { year, system, ayanamsa });
                 return ayanamsa;
             } catch (error) {
-                throw ErrorFactory.calculation('Failed to calculate ayanamsa', 'calculateLahiriAyanamsa', { year });
+                throw ErrorFactory.calculation('Failed to calculate ayanamsa', 'calculateAyanamsa', { year, system });
             }
         }, CACHE_CONSTANTS.AYANAMSA_CACHE_TTL);
     }
@@ -0,0 +1,398 @@
+/**
+ * ZodiaCore - Jaimini Calculator
+ *
+ * Jaimini astrology factors: chara karakas (seven or eight), Karakamsa,
+ * arudha padas with Arudha Lagna and Upapada, argala and virodhargala,
+ * and rashi drishti (sign aspects).
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ZODIAC_SIGNS } = require('./astro-constants');
+const { PLANET_RULERSHIPS } = require('./astrology-constants');
+const { normalizeAngle } = require('./math-utils');
+const DivisionalChartCalculator = require('./divisional-chart-calculator');
+const { getOrdinal } = require('./compatibility-utils');
+
+const SEVEN_PLANETS = ['SUN', 'MOON', 'MARS', 'MERCURY', 'JUPITER', 'VENUS', 'SATURN'];
+
+// Karakas from the planet furthest advanced in its sign to the least
+const KARAKA_NAMES = {
+    7: ['Atmakaraka', 'Amatyakaraka', 'Bhratrikaraka', 'Matrikaraka', 'Putrakaraka', 'Gnatikaraka', 'Darakaraka'],
+    8: ['Atmakaraka', 'Amatyakaraka', 'Bhratrikaraka', 'Matrikaraka', 'Pitrikaraka', 'Putrakaraka', 'Gnatikaraka', 'Darakaraka']
+};
+
+const KARAKA_SIGNIFICATIONS = {
+    Atmakaraka: 'self and soul',
+    Amatyakaraka: 'career and counsel',
+    Bhratrikaraka: 'siblings and guru',
+    Matrikaraka: 'mother and education',
+    Pitrikaraka: 'father',
+    Putrakaraka: 'children and creativity',
+    Gnatikaraka: 'rivals and illness',
+    Darakaraka: 'spouse and partnerships'
+};
+
+// Scorpio and Aquarius have a node as co-lord
+const CO_LORDS = {
+    7: ['MARS', 'KETU'],
+    10: ['SATURN', 'RAHU']
+};
+
+const ARUDHA_NAMES = {
+    1: 'Arudha Lagna',
+    12: 'Upapada'
+};
+
+// Argala houses with the houses that obstruct them (virodhargala)
+const ARGALA_HOUSES = [
+    { house: 2, obstructedBy: 12, type: 'primary' },
+    { house: 4, obstructedBy: 10, type: 'primary' },
+    { house: 11, obstructedBy: 3, type: 'primary' },
+    { house: 5, obstructedBy: 9, type: 'secondary' }
+];
+
+const BENEFICS = ['MOON', 'MERCURY', 'JUPITER', 'VENUS'];
+const MALEFICS = ['SUN', 'MARS', 'SATURN', 'RAHU', 'KETU'];
+
+/**
+ * Sign index wrapped to 0-11
+ * @param {number} sign - Sign index
+ * @returns {number} Sign index 0-11
+ */
+function normalizeSign(sign) {
+    return ((sign % 12) + 12) % 12;
+}
+
+/**
+ * Signs aspected by a sign (rashi drishti): movable signs aspect the fixed
+ * signs except the next one, fixed signs the movable signs except the
+ * previous one, and dual signs each other
+ * @param {number} sign - Sign 0-11
+ * @returns {Array<number>} The three aspected signs
+ */
+function getSignAspects(sign) {
+    const from = normalizeSign(sign);
+    const modality = from % 3; // 0 movable, 1 fixed, 2 dual
+    const aspected = [];
+
+    for (let offset = 1; offset < 12; offset++) {
+        const target = normalizeSign(from + offset);
+        if (modality === 0 && target % 3 === 1 && offset !== 1) aspected.push(target);
+        if (modality === 1 && target % 3 === 0 && offset !== 11) aspected.push(target);
+        if (modality === 2 && target % 3 === 2) aspected.push(target);
+    }
+
+    return aspected;
+}
+
+/**
+ * Jaimini calculator for a sidereal birth chart
+ */
+class JaiminiCalculator {
+    /**
+     * @param {Object} birthChart - Chart with ascendant.sign and planets[PLANET].longitude
+     * @param {Object} options - Options
+     * @param {number} options.karakas - 7 (default) or 8 to include Rahu
+     */
+    constructor(birthChart, options = {}) {
+        const karakas = options.karakas ?? 7;
+        if (!KARAKA_NAMES[karakas]) {
+            throw new Error('Jaimini karaka scheme must be 7 or 8');
+        }
+        if (!birthChart || !birthChart.planets || typeof birthChart.ascendant?.sign !== 'number') {
+            throw new Error('Jaimini analysis requires the ascendant sign and planetary positions');
+        }
+        const required = karakas === 8 ? [...SEVEN_PLANETS, 'RAHU'] : SEVEN_PLANETS;
+        const missing = required.filter(planet => !Number.isFinite(birthChart.planets[planet]?.longitude));
+        if (missing.length > 0) {
+            throw new Error(`Jaimini analysis requires the longitude of ${missing.join(', ')}`);
+        }
+
+        this.birthChart = birthChart;
+        this.karakaScheme = karakas;
+        this.divisionalCalculator = new DivisionalChartCalculator();
+    }
+
+    /**
+     * Position of a planet as a sign index
+     * @param {string} planet - Planet name
+     * @returns {number|null} Sign 0-11, or null if the chart lacks the planet
+     */
+    getPlanetSign(planet) {
+        const planets = this.birthChart.planets;
+        const data = planets[planet];
+        if (data) {
+            return typeof data.sign === 'number' ? data.sign : Math.floor(normalizeAngle(data.longitude) / 30);
+        }
+        if (planet === 'KETU' && planets.RAHU) {
+            return normalizeSign(this.getPlanetSign('RAHU') + 6);
+        }
+        return null;
+    }
+
+    /**
+     * Degrees a planet has travelled in its sign
+     * @param {string} planet - Planet name
+     * @returns {number} Degrees 0-30
+     */
+    getPlanetDegree(planet) {
+        return normalizeAngle(this.birthChart.planets[planet].longitude) % 30;
+    }
+
+    /**
+     * Planets in a sign, in chart order
+     * @param {number} sign - Sign 0-11
+     * @returns {Array<string>} Planet names
+     */
+    getPlanetsInSign(sign) {
+        const planets = Object.keys(this.birthChart.planets);
+        if (!planets.includes('KETU') && planets.includes('RAHU')) {
+            planets.push('KETU');
+        }
+        return planets.filter(planet => this.getPlanetSign(planet) === sign);
+    }
+
+    /**
+     * Chara karakas: planets ranked by degrees travelled in their signs.
+     * In the eight-karaka scheme Rahu counts its degrees back from 30, as it
+     * moves backwards.
+     * @returns {Array<Object>} [{ karaka, planet, degree, sign }] from Atmakaraka down
+     */
+    calculateCharaKarakas() {
+        const planets = this.karakaScheme === 8 ? [...SEVEN_PLANETS, 'RAHU'] : SEVEN_PLANETS;
+        const ranked = planets
+            .map(planet => {
+                const degree = this.getPlanetDegree(planet);
+                return { planet, degree: planet === 'RAHU' ? 30 - degree : degree, sign: this.getPlanetSign(planet) };
+            })
+            .sort((a, b) => b.degree - a.degree);
+
+        return ranked.map((entry, index) => ({ karaka: KARAKA_NAMES[this.karakaScheme][index], ...entry }));
+    }
+
+    /**
+     * Karakamsa: the navamsa sign of the Atmakaraka
+     * @returns {Object} Sign, Atmakaraka and the planets whose navamsa falls there
+     */
+    calculateKarakamsa() {
+        const atmakaraka = this.calculateCharaKarakas()[0].planet;
+        const navamsaSign = (planet) => Math.floor(
+            this.divisionalCalculator.calculateDivisionalLongitude(normalizeAngle(this.birthChart.planets[planet].longitude), 'D9') / 30
+        );
+        const sign = navamsaSign(atmakaraka);
+
+        return {
+            sign,
+            signName: ZODIAC_SIGNS[sign],
+            atmakaraka,
+            houseFromLagna: normalizeSign(sign - this.birthChart.ascendant.sign) + 1,
+            planets: Object.keys(this.birthChart.planets)
+                .filter(planet => Number.isFinite(this.birthChart.planets[planet].longitude) && navamsaSign(planet) === sign)
+        };
+    }
+
+    /**
+     * Lord of a sign, choosing between co-lords for Scorpio and Aquarius:
+     * a co-lord in the sign itself gives way to the other, then the one with
+     * more planets around it wins, then the one further advanced in its sign
+     * @param {number} sign - Sign 0-11
+     * @returns {string} Planet name
+     */
+    getSignLord(sign) {
+        const lords = (CO_LORDS[sign] || [PLANET_RULERSHIPS.HOUSE_LORDS[sign + 1]])
+            .filter(lord => this.getPlanetSign(lord) !== null);
+        if (lords.length === 1) {
+            return lords[0];
+        }
+
+        const outside = lords.filter(lord => this.getPlanetSign(lord) !== sign);
+        if (outside.length === 1) {
+            return outside[0];
+        }
+        return lords.reduce((best, lord) => {
+            const countDifference = this.getPlanetsInSign(this.getPlanetSign(lord)).length -
+                this.getPlanetsInSign(this.getPlanetSign(best)).length;
+            if (countDifference !== 0) {
+                return countDifference > 0 ? lord : best;
+            }
+            const degree = (planet) => (this.birthChart.planets[planet] ? this.getPlanetDegree(planet) : 0);
+            return degree(lord) > degree(best) ? lord : best;
+        });
+    }
+
+    /**
+     * Arudha pada of a house: as many signs beyond the house lord as the lord
+     * is from the house. A pada falling in the house itself or the 7th from it
+     * moves to the 10th from there.
+     * @param {number} house - House 1-12 from the lagna
+     * @returns {Object} Pada with its sign, lord and any exception applied
+     */
+    calculateArudhaPada(house) {
+        const houseSign = normalizeSign(this.birthChart.ascendant.sign + house - 1);
+        const lord = this.getSignLord(houseSign);
+        const lordSign = this.getPlanetSign(lord);
+        const distance = normalizeSign(lordSign - houseSign);
+        let sign = normalizeSign(lordSign + distance);
+        let exception = null;
+
+        const fromHouse = normalizeSign(sign - houseSign);
+        if (fromHouse === 0 || fromHouse === 6) {
+            exception = fromHouse === 0 ? 'Pada fell in the house itself' : 'Pada fell in the 7th from the house';
+            sign = normalizeSign(sign + 9);
+        }
+
+        return {
+            pada: `A${house}`,
+            name: ARUDHA_NAMES[house] || `Arudha of house ${house}`,
+            house,
+            sign,
+            signName: ZODIAC_SIGNS[sign],
+            houseFromLagna: normalizeSign(sign - this.birthChart.ascendant.sign) + 1,
+            lord,
+            lordSign,
+            exception
+        };
+    }
+
+    /**
+     * All twelve arudha padas, A1 (Arudha Lagna) to A12 (Upapada)
+     * @returns {Array<Object>} Padas in house order
+     */
+    calculateArudhaPadas() {
+        return Array.from({ length: 12 }, (_, index) => this.calculateArudhaPada(index + 1));
+    }
+
+    /**
+     * Argala (intervention) on a sign by planets in the 2nd, 4th, 11th and
+     * 5th from it, against virodhargala from the 12th, 10th, 3rd and 9th.
+     * An argala stands when it has more planets than its obstruction.
+     * Malefics in the 3rd form vipareeta argala, which is not obstructed.
+     * @param {number} sign - Reference sign 0-11
+     * @returns {Object} Argalas with their obstructions
+     */
+    calculateArgala(sign) {
+        const planetsFrom = (house) => this.getPlanetsInSign(normalizeSign(sign + house - 1));
+        const natureOf = (planets) => {
+            const benefic = planets.some(planet => BENEFICS.includes(planet));
+            const malefic = planets.some(planet => MALEFICS.includes(planet));
+            if (benefic && malefic) return 'mixed';
+            return benefic ? 'benefic' : 'malefic';
+        };
+
+        const argalas = ARGALA_HOUSES
+            .map(({ house, obstructedBy, type }) => {
+                const planets = planetsFrom(house);
+                const obstructing = planetsFrom(obstructedBy);
+                return {
+                    house,
+                    type,
+                    planets,
+                    nature: planets.length > 0 ? natureOf(planets) : null,
+                    virodhargala: { house: obstructedBy, planets: obstructing },
+                    unobstructed: planets.length > obstructing.length
+                };
+            })
+            .filter(argala => argala.planets.length > 0);
+
+        const thirdHouseMalefics = planetsFrom(3).filter(planet => MALEFICS.includes(planet));
+
+        return {
+            sign,
+            signName: ZODIAC_SIGNS[sign],
+            argalas,
+            vipareetaArgala: thirdHouseMalefics.length > 0 ? { house: 3, planets: thirdHouseMalefics } : null
+        };
+    }
+
+    /**
+     * Rashi drishti for every sign and for the planets through their signs
+     * @returns {Object} Aspected signs by sign, and aspected planets by planet
+     */
+    calculateRashiDrishti() {
+        const bySign = ZODIAC_SIGNS.map((_, sign) => getSignAspects(sign));
+        const planets = {};
+
+        for (const planet of Object.keys(this.birthChart.planets)) {
+            const sign = this.getPlanetSign(planet);
+            if (sign === null) continue;
+            planets[planet] = {
+                signs: bySign[sign],
+                planets: bySign[sign].flatMap(target => this.getPlanetsInSign(target))
+            };
+        }
+
+        return { bySign, planets };
+    }
+
+    /**
+     * Complete Jaimini analysis
+     * @returns {Object} Karakas, Karakamsa, padas, argala and sign aspects
+     */
+    generateReport() {
+        const charaKarakas = this.calculateCharaKarakas();
+        const arudhaPadas = this.calculateArudhaPadas();
+        const arudhaLagna = arudhaPadas[0];
+        const upapada = arudhaPadas[11];
+
+        return {
+            karakaScheme: this.karakaScheme,
+            charaKarakas,
+            karakamsa: this.calculateKarakamsa(),
+            arudhaPadas,
+            arudhaLagna,
+            upapada,
+            argala: {
+                lagna: this.calculateArgala(this.birthChart.ascendant.sign),
+                arudhaLagna: this.calculateArgala(arudhaLagna.sign)
+            },
+            rashiDrishti: this.calculateRashiDrishti()
+        };
+    }
+
+    /**
+     * Short statements citing the main Jaimini factors, for readings
+     * @param {Object} report - Report from generateReport(), computed if omitted
+     * @returns {Array<Object>} [{ factor, statement }]
+     */
+    getInterpretationFactors(report = this.generateReport()) {
+        const factors = report.charaKarakas
+            .filter(({ karaka }) => ['Atmakaraka', 'Amatyakaraka', 'Darakaraka'].includes(karaka))
+            .map(({ karaka, planet, sign }) => ({
+                factor: karaka,
+                statement: `${planet} is the ${karaka} (${KARAKA_SIGNIFICATIONS[karaka]}), placed in ${ZODIAC_SIGNS[sign]}`
+            }));
+
+        factors.push({
+            factor: 'Karakamsa',
+            statement: `Karakamsa falls in ${report.karakamsa.signName}, the ${getOrdinal(report.karakamsa.houseFromLagna)} sign from the lagna` +
+                (report.karakamsa.planets.length > 1 ? `, joined in navamsa by ${report.karakamsa.planets.filter(p => p !== report.karakamsa.atmakaraka).join(', ')}` : '')
+        });
+
+        for (const pada of [report.arudhaLagna, report.upapada]) {
+            const planets = this.getPlanetsInSign(pada.sign);
+            factors.push({
+                factor: pada.name,
+                statement: `${pada.name} falls in ${pada.signName}` +
+                    (planets.length > 0 ? ` with ${planets.join(', ')}` : '')
+            });
+        }
+
+        for (const argala of report.argala.lagna.argalas.filter(entry => entry.unobstructed)) {
+            factors.push({
+                factor: 'Argala',
+                statement: `Unobstructed ${argala.nature} argala on the lagna from the ${getOrdinal(argala.house)} house by ${argala.planets.join(', ')}`
+            });
+        }
+
+        return factors;
+    }
+}
+
+module.exports = {
+    JaiminiCalculator,
+    KARAKA_NAMES,
+    getSignAspects
+};
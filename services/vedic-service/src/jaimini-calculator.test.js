@@ -0,0 +1,119 @@
+/**
+ * Jaimini Calculator Tests
+ */
+
+const { JaiminiCalculator, getSignAspects } = require('./jaimini-calculator');
+const { DeepHoroscopeInterpreter } = require('./deep-horoscope-interpreter');
+
+function buildChart() {
+    const longitudes = {
+        SUN: 10.5,      // Aries
+        MOON: 205,      // Libra
+        MARS: 132,      // Leo
+        MERCURY: 18,    // Aries
+        JUPITER: 253,   // Sagittarius, own sign
+        VENUS: 67,      // Gemini
+        SATURN: 303,    // Aquarius, own sign
+        RAHU: 8,        // Aries
+        KETU: 188       // Libra
+    };
+    const planets = {};
+    for (const [planet, longitude] of Object.entries(longitudes)) {
+        const sign = Math.floor(longitude / 30);
+        planets[planet] = { longitude, sign, degree: longitude % 30, house: ((sign - 4 + 12) % 12) + 1 };
+    }
+    // Leo rises
+    return { ascendant: { longitude: 125.3, sign: 4, degree: 5.3 }, planets };
+}
+
+describe('JaiminiCalculator', () => {
+    const jaimini = new JaiminiCalculator(buildChart());
+
+    test('ranks chara karakas by degree in sign', () => {
+        expect(jaimini.calculateCharaKarakas().map(({ karaka, planet }) => `${karaka}:${planet}`)).toEqual([
+            'Atmakaraka:MOON', 'Amatyakaraka:MERCURY', 'Bhratrikaraka:JUPITER', 'Matrikaraka:MARS',
+            'Putrakaraka:SUN', 'Gnatikaraka:VENUS', 'Darakaraka:SATURN'
+        ]);
+    });
+
+    test('counts Rahu backwards in the eight-karaka scheme', () => {
+        const karakas = new JaiminiCalculator(buildChart(), { karakas: 8 }).calculateCharaKarakas();
+
+        // Rahu at 8° Aries counts as 22°
+        expect(karakas[1]).toMatchObject({ karaka: 'Amatyakaraka', planet: 'RAHU', degree: 22 });
+        expect(karakas[4]).toMatchObject({ karaka: 'Pitrikaraka', planet: 'MARS' });
+        expect(karakas[7]).toMatchObject({ karaka: 'Darakaraka', planet: 'SATURN' });
+    });
+
+    test('places the Karakamsa in the Atmakaraka\'s navamsa', () => {
+        // Moon at 25° Libra is in the Taurus navamsa
+        expect(jaimini.calculateKarakamsa()).toEqual({
+            sign: 1, signName: 'Taurus', atmakaraka: 'MOON', houseFromLagna: 10, planets: ['MOON']
+        });
+    });
+
+    test('computes arudha padas with the standard exceptions', () => {
+        const padas = jaimini.calculateArudhaPadas();
+
+        // Sun, lord of Leo, is 9th from it: the pada is 9th from the Sun
+        expect(padas[0]).toMatchObject({ pada: 'A1', name: 'Arudha Lagna', signName: 'Sagittarius', lord: 'SUN', exception: null });
+        // Jupiter in its own sign: the pada moves to the 10th
+        expect(padas[4]).toMatchObject({ signName: 'Virgo', exception: 'Pada fell in the house itself' });
+        // Moon 4th from Cancer would put the Upapada in the 7th, moved on to Libra
+        expect(padas[11]).toMatchObject({ pada: 'A12', name: 'Upapada', signName: 'Libra', exception: 'Pada fell in the 7th from the house' });
+    });
+
+    test('picks the stronger co-lord for Scorpio and Aquarius', () => {
+        // Saturn sits in Aquarius, so Rahu rules it
+        expect(jaimini.getSignLord(10)).toBe('RAHU');
+        expect(jaimini.calculateArudhaPada(7).signName).toBe('Gemini');
+        // Ketu's sign holds more planets than Mars's
+        expect(jaimini.getSignLord(7)).toBe('KETU');
+        expect(jaimini.calculateArudhaPada(4).signName).toBe('Virgo');
+    });
+
+    test('weighs argala against virodhargala', () => {
+        const lagna = jaimini.calculateArgala(4);
+        const arudhaLagna = jaimini.calculateArgala(8);
+
+        expect(lagna.argalas.map(({ house, unobstructed }) => [house, unobstructed])).toEqual([[11, false], [5, false]]);
+        expect(lagna.vipareetaArgala).toEqual({ house: 3, planets: ['KETU'] });
+        expect(arudhaLagna.argalas).toEqual([
+            { house: 11, type: 'primary', planets: ['MOON', 'KETU'], nature: 'mixed', virodhargala: { house: 3, planets: ['SATURN'] }, unobstructed: true },
+            { house: 5, type: 'secondary', planets: ['SUN', 'MERCURY', 'RAHU'], nature: 'mixed', virodhargala: { house: 9, planets: ['MARS'] }, unobstructed: true }
+        ]);
+    });
+
+    test('applies rashi drishti by modality', () => {
+        expect(getSignAspects(0)).toEqual([4, 7, 10]);   // Aries: Leo, Scorpio, Aquarius
+        expect(getSignAspects(1)).toEqual([3, 6, 9]);    // Taurus: Cancer, Libra, Capricorn
+        expect(getSignAspects(2)).toEqual([5, 8, 11]);   // Gemini: the other dual signs
+        expect(jaimini.calculateRashiDrishti().planets.VENUS).toEqual({ signs: [5, 8, 11], planets: ['JUPITER'] });
+    });
+
+    test('cites factors for readings', () => {
+        const statements = jaimini.getInterpretationFactors().map(({ statement }) => statement);
+
+        expect(statements).toContain('MOON is the Atmakaraka (self and soul), placed in Libra');
+        expect(statements).toContain('Karakamsa falls in Taurus, the 10th sign from the lagna');
+        expect(statements).toContain('Upapada falls in Libra with MOON, KETU');
+    });
+
+    test('rejects incomplete charts and unknown schemes', () => {
+        const chart = buildChart();
+        delete chart.planets.RAHU;
+
+        expect(() => new JaiminiCalculator(chart, { karakas: 8 })).toThrow(/RAHU/);
+        expect(() => new JaiminiCalculator(chart, { karakas: 9 })).toThrow(/7 or 8/);
+        expect(() => new JaiminiCalculator({ planets: {} })).toThrow(/ascendant/);
+    });
+});
+
+describe('DeepHoroscopeInterpreter', () => {
+    test('includes Jaimini factors', () => {
+        const jaimini = new DeepHoroscopeInterpreter(buildChart()).analyzeJaimini();
+
+        expect(jaimini.arudhaLagna.signName).toBe('Sagittarius');
+        expect(jaimini.factors[0]).toEqual({ factor: 'Atmakaraka', statement: 'MOON is the Atmakaraka (self and soul), placed in Libra' });
+    });
+});
@@ -12,6 +12,7 @@
 
 const { KP_CONSTANTS } = require('./advanced-astrology-constants');
 const { ASTRO_CONSTANTS } = require('./astro-constants');
+const { calculateAyanamsa, resolveAyanamsaSystem } = require('./astronomical-calculations');
 
 /**
  * KP Sub-Lord Calculator Class
@@ -20,12 +21,37 @@ const { ASTRO_CONSTANTS } = require('./astro-constants');
 class KPSubLordCalculator {
     /**
      * Initialize the KP calculator with dasha sequence and star lord mappings
+     * @param {Object} options - Calculator options
+     * @param {string|Object} options.ayanamsa - Ayanamsa system for tropical input (defaults to Krishnamurti)
      */
-    constructor() {
+    constructor(options = {}) {
         this.dashaSequence = KP_CONSTANTS.DASHA_SEQUENCE;
         this.starLords = KP_CONSTANTS.STAR_LORDS;
         this.dayLords = KP_CONSTANTS.DAY_LORDS;
         this.signLords = KP_CONSTANTS.SIGN_LORDS;
+        this.ayanamsaSystem = options.ayanamsa || 'KRISHNAMURTI';
+
+        // Fail fast on an unknown system
+        resolveAyanamsaSystem(this.ayanamsaSystem);
+    }
+
+    /**
+     * Get the ayanamsa of the configured system
+     * @param {number} julianDay - Julian Day Number
+     * @returns {number} Ayanamsa in degrees
+     */
+    getAyanamsa(julianDay) {
+        return calculateAyanamsa(julianDay, this.ayanamsaSystem);
+    }
+
+    /**
+     * Calculate sub-lord for a tropical longitude using the configured ayanamsa
+     * @param {number} tropicalLongitude - Tropical longitude in degrees
+     * @param {number} julianDay - Julian Day Number of the position
+     * @returns {Object} Sub-lord calculation result
+     */
+    calculateSubLordFromTropical(tropicalLongitude, julianDay) {
+        return this.calculateSubLord(tropicalLongitude - this.getAyanamsa(julianDay));
     }
 
     /**
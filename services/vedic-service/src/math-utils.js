@@ -35,9 +35,10 @@ function radToDeg(radians) {
  * @returns {number} Normalized angle between 0 and 360 degrees
  */
 function normalizeAngle(angle) {
-    while (angle < 0) angle += ASTRO_CONSTANTS.DEGREES_PER_CIRCLE;
-    while (angle >= ASTRO_CONSTANTS.DEGREES_PER_CIRCLE) angle -= ASTRO_CONSTANTS.DEGREES_PER_CIRCLE;
-    return angle;
+    // Modulo rather than repeated subtraction so very large inputs cannot stall the event loop
+    angle = angle % ASTRO_CONSTANTS.DEGREES_PER_CIRCLE;
+    if (angle < 0) angle += ASTRO_CONSTANTS.DEGREES_PER_CIRCLE;
+    return angle >= ASTRO_CONSTANTS.DEGREES_PER_CIRCLE ? 0 : angle;
 }
 
 /**
@@ -10,8 +10,10 @@
  */
 
 const { normalizeAngle, degToRad, radToDeg, acosDeg, sinDeg, cosDeg, tanDeg } = require('./math-utils');
-const { calculateLahiriAyanamsa } = require('./astronomical-calculations');
+const { calculateLahiriAyanamsa, calculateAyanamsa } = require('./astronomical-calculations');
 const PlanetaryCalculator = require('./planetary-calculator');
+const { WesternEventFinder } = require('../../western-service/src/western-event-finder');
+const FestivalCalendarGenerator = require('./festival-calendar-generator');
 const {
     TITHI_NAMES,
     NAKSHATRA_DATA,
@@ -22,6 +24,11 @@ const {
     VARA_DATA
 } = require('./muhurat-constants');
 
+// The Moon crosses a nakshatra in at most about a day and a quarter
+const NAKSHATRA_SEARCH_DAYS = 1.5;
+// Long enough to hold the next new and full moon
+const LUNATION_SEARCH_DAYS = 30;
+
 /**
  * Panchang Calculator Class
  * Calculates all five elements of the Vedic Panchang
@@ -29,6 +36,10 @@ const {
 class PanchangCalculator {
     constructor() {
         this.planetaryCalculator = new PlanetaryCalculator();
+        this.eventFinder = new WesternEventFinder({
+            ayanamsa: julianDay => calculateAyanamsa(julianDay, 'LAHIRI')
+        });
+        this.festivalCalendar = new FestivalCalendarGenerator();
     }
 
     /**
@@ -81,11 +92,11 @@ class PanchangCalculator {
                 sunset: solarTimes.sunset,
                 dayLength: solarTimes.dayLength,
                 moonPhase: this.calculateLunarPhase(siderealSun, siderealMoon),
+                astronomicalEvents: this.calculateAstronomicalEvents(julianDay),
 
                 // Additional calculations
                 auspiciousPeriods: this.calculateAuspiciousPeriods(solarTimes, date),
                 inauspiciousPeriods: this.calculateInauspiciousPeriods(solarTimes, date),
-                festivals: this.detectFestivals(panchang),
 
                 // Planetary data
                 sunLongitude: siderealSun,
@@ -93,6 +104,9 @@ class PanchangCalculator {
                 planetaryPositions: tropicalPositions
             };
 
+            // Festivals depend on the tithi and nakshatra computed above
+            panchang.festivals = this.detectFestivals(panchang);
+
             return panchang;
 
         } catch (error) {
@@ -288,6 +302,27 @@ class PanchangCalculator {
         return 'Waning Crescent';
     }
 
+    /**
+     * Find when the current nakshatra ends, the next new and full moons and
+     * any eclipse within half a day, with the event finder
+     * @param {number} julianDay - Julian Day of the Panchang
+     * @returns {Object} { nakshatraEnd, nextNewMoon, nextFullMoon, eclipse }, each an event or null
+     */
+    calculateAstronomicalEvents(julianDay) {
+        const [nakshatraEnd] = this.eventFinder.findIngresses(
+            'MOON', julianDay, julianDay + NAKSHATRA_SEARCH_DAYS, { division: 'nakshatra' }
+        );
+        const lunations = this.eventFinder.findLunations(julianDay, julianDay + LUNATION_SEARCH_DAYS);
+        const [eclipse] = this.eventFinder.findEclipses(julianDay - 0.5, julianDay + 0.5);
+
+        return {
+            nakshatraEnd: nakshatraEnd || null,
+            nextNewMoon: lunations.find(lunation => lunation.phase === 'new-moon') || null,
+            nextFullMoon: lunations.find(lunation => lunation.phase === 'full-moon') || null,
+            eclipse: eclipse || null
+        };
+    }
+
     /**
      * Calculate auspicious periods for the day
      * @param {Object} solarTimes - Sunrise/sunset times
@@ -369,33 +404,20 @@ class PanchangCalculator {
     }
 
     /**
-     * Detect festivals for the given Panchang
+     * Detect festivals for the given Panchang from the festival calendar of
+     * its year and location, so each is kept in its own lunar month
      * @param {Object} panchang - Complete Panchang data
-     * @returns {Array} List of detected festivals
+     * @returns {Array} List of detected festivals and Ekadashis
      */
     detectFestivals(panchang) {
-        const festivals = [];
-
-        // Lunar festivals
-        if (panchang.tithi.paksha === 'Krishna' && panchang.tithi.adjustedNumber === 15) {
-            festivals.push({
-                name: 'Diwali',
-                type: 'Lunar',
-                significance: 'Festival of Lights'
-            });
-        }
-
-        if (panchang.tithi.paksha === 'Krishna' && panchang.tithi.adjustedNumber === 8) {
-            festivals.push({
-                name: 'Janmashtami',
-                type: 'Lunar',
-                significance: 'Lord Krishna\'s Birthday'
-            });
-        }
-
-        // Add more festival detection logic as needed...
-
-        return festivals;
+        return this.festivalCalendar.getFestivalsOn(panchang.date, panchang.location).map(observance => ({
+            name: observance.name,
+            type: observance.type === 'ekadashi' ? 'Ekadashi' : (observance.tithi ? 'Lunar' : 'Solar'),
+            significance: observance.significance,
+            lunarMonth: observance.lunarMonth,
+            rule: observance.rule,
+            fasting: observance.fasting
+        }));
     }
 
     /**
@@ -10,6 +10,7 @@
  */
 
 const VimshottariDasha = require('./vimshottari-dasha');
+const { createDashaSystem, normalizeDashaSystem } = require('./dasha-systems');
 const PanchangCalculator = require('./panchang-calculator');
 const { GUIDANCE_CONSTANTS, ERROR_CODES, GuidanceError, PLANETARY_DATA } = require('./personalized-dasha-constants');
 
@@ -17,24 +18,42 @@ const { GUIDANCE_CONSTANTS, ERROR_CODES, GuidanceError, PLANETARY_DATA } = requi
  * Personalized Dasha Analyzer for enhanced analysis
  */
 class PersonalizedDashaAnalyzer {
-    constructor(birthChart) {
+    /**
+     * @param {Object} birthChart - Birth chart
+     * @param {Object} [options] - Analyzer options
+     * @param {string} [options.system='VIMSHOTTARI'] - Dasha system (see dasha-systems.js)
+     */
+    constructor(birthChart, options = {}) {
         this.birthChart = birthChart;
+        this.system = normalizeDashaSystem(options.system || 'VIMSHOTTARI');
         this.dashaCalculator = new VimshottariDasha();
+        this.dashaSystem = createDashaSystem(this.system, birthChart, {
+            vimshottariCalculator: this.dashaCalculator
+        });
     }
 
     /**
      * Analyze current Dasha period for personalized guidance
      */
     analyzeCurrentDasha(analysisDate = new Date()) {
-        const currentDasha = this.dashaCalculator.getCurrentDasha(
+        const currentDasha = this.dashaSystem.getCurrentDasha(
             new Date(this.birthChart.birthData.year, this.birthChart.birthData.month - 1, this.birthChart.birthData.day),
-            analysisDate,
-            this.birthChart.dasha?.balance || {}
+            analysisDate
         );
+        if (!currentDasha) {
+            throw new GuidanceError(
+                ERROR_CODES.DASHA_CALCULATION_FAILED,
+                `No ${this.system} dasha period covers ${analysisDate.toISOString()}`
+            );
+        }
 
         return {
-            mahadasha: this.analyzeMahadasha(currentDasha.mahadasha),
-            antardasha: this.analyzeAntardasha(currentDasha.antardasha),
+            system: this.system,
+            mahadasha: this.analyzeMahadasha({ lord: currentDasha.mahadasha }),
+            antardasha: this.analyzeAntardasha({
+                mahaLord: currentDasha.mahadasha,
+                antarLord: currentDasha.antardasha?.planet
+            }),
             combinedInfluence: this.analyzeCombinedInfluence(currentDasha),
             remainingPeriod: this.calculateRemainingPeriod(currentDasha, analysisDate),
             nextTransitions: this.predictNextTransitions(currentDasha, analysisDate)
@@ -133,7 +152,7 @@ class PersonalizedDashaAnalyzer {
     analyzeCombinedInfluence(currentDasha) {
         return {
             overall: 'Mixed',
-            dominant: currentDasha.mahadasha.lord,
+            dominant: currentDasha.mahadasha,
             intensity: 0.7
         };
     }
@@ -159,9 +178,9 @@ class PersonalizedDashaAnalyzer {
  * Personalized Guidance Engine
  */
 class PersonalizedGuidanceEngine {
-    constructor(birthChart) {
+    constructor(birthChart, options = {}) {
         this.birthChart = birthChart;
-        this.dashaAnalyzer = new PersonalizedDashaAnalyzer(birthChart);
+        this.dashaAnalyzer = new PersonalizedDashaAnalyzer(birthChart, options);
     }
 
     /**
@@ -778,13 +797,18 @@ function validateBirthChart(birthChart) {
  * Complete Personalized Dasha Guidance System
  */
 class PersonalizedDashaGuidanceSystem {
-    constructor(birthChart) {
+    /**
+     * @param {Object} birthChart - Birth chart
+     * @param {Object} [options] - Guidance options
+     * @param {string} [options.system='VIMSHOTTARI'] - Dasha system (see dasha-systems.js)
+     */
+    constructor(birthChart, options = {}) {
         // Validate input
         validateBirthChart(birthChart);
 
         this.birthChart = birthChart;
-        this.dashaAnalyzer = new PersonalizedDashaAnalyzer(birthChart);
-        this.guidanceEngine = new PersonalizedGuidanceEngine(birthChart);
+        this.dashaAnalyzer = new PersonalizedDashaAnalyzer(birthChart, options);
+        this.guidanceEngine = new PersonalizedGuidanceEngine(birthChart, options);
         this.careerGuidance = new CareerGuidanceSystem(birthChart);
         this.relationshipGuidance = new RelationshipGuidanceSystem(birthChart);
         this.remedialSystem = new RemedialMeasuresSystem();
@@ -910,4 +934,5 @@ class PersonalizedDashaGuidanceSystem {
     }
 }
 
-module.exports = PersonalizedDashaGuidanceSystem;
\ No newline at end of file
+module.exports = PersonalizedDashaGuidanceSystem;
+module.exports.PersonalizedDashaAnalyzer = PersonalizedDashaAnalyzer;
\ No newline at end of file
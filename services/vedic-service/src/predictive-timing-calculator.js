@@ -18,6 +18,7 @@ const {
     calculateTimingPrecision,
     formatTimeSpan
 } = require('./western-predictive-utils');
+const VimshottariDasha = require('./vimshottari-dasha');
 
 /**
  * Predictive Timing Calculator Class
@@ -25,6 +26,7 @@ const {
 class PredictiveTimingCalculator {
     constructor() {
         this.supportedEventTypes = Object.values(PREDICTIVE_CONSTANTS.EVENT_TYPES);
+        this.dashaCalculator = new VimshottariDasha();
     }
 
     /**
@@ -63,6 +65,9 @@ class PredictiveTimingCalculator {
             // Calculate confidence
             timing.confidence = this.calculateTimingConfidence(timing.windows);
 
+            // Vimshottari periods running on the date, down to prana dasha
+            timing.dashaPeriods = this.calculateDashaPeriods(birthChart, targetDate);
+
             return timing;
 
         } catch (error) {
@@ -70,6 +75,26 @@ class PredictiveTimingCalculator {
         }
     }
 
+    /**
+     * Get the Vimshottari periods running on a date, mahadasha to prana dasha
+     * Needs the Moon's nakshatra or a stored dasha balance, as Vedic charts carry
+     * @param {Object} birthChart - Birth chart
+     * @param {Date} targetDate - Target date
+     * @returns {Array|null} Period per level, mahadasha first, or null without Vedic lunar data
+     */
+    calculateDashaPeriods(birthChart, targetDate) {
+        const storedBalance = birthChart.dasha?.balance;
+        const moonNakshatra = birthChart.moonDetails?.nakshatra;
+        if (!(birthChart.birthDate instanceof Date) || (!storedBalance?.lord && !moonNakshatra?.lord)) {
+            return null;
+        }
+
+        const balance = storedBalance?.lord
+            ? storedBalance
+            : this.dashaCalculator.calculateDashaBalance(moonNakshatra, birthChart.birthDate);
+        return this.dashaCalculator.getPeriodsAt(birthChart.birthDate, targetDate, balance);
+    }
+
     /**
      * Calculate secondary progressed positions for timing
      * @param {Object} birthChart - Birth chart
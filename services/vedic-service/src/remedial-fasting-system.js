@@ -10,14 +10,20 @@
  */
 
 const { DOSHA_REMEDIES } = require('./fasting-constants');
+const FestivalCalendarGenerator = require('./festival-calendar-generator');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAY_PATTERN = new RegExp(`\\b(${WEEKDAYS.join('|')})`);
+const MILLIS_PER_DAY = 86400000;
 
 /**
  * Remedial Fasting System Class
  * Provides fasting remedies for various astrological doshas
  */
 class RemedialFastingSystem {
-    constructor() {
+    constructor(options = {}) {
         this.doshaRemedies = DOSHA_REMEDIES;
+        this.festivalCalendar = options.festivalCalendar || new FestivalCalendarGenerator();
     }
 
     /**
@@ -410,9 +416,10 @@ class RemedialFastingSystem {
      * Get personalized remedial fasting schedule
      * @param {Array} remedies - Array of remedies
      * @param {Date} startDate - Start date for scheduling
+     * @param {Object} [location] - { latitude, longitude, timezone? }; dates festival remedies
      * @returns {Object} Scheduled fasting plan
      */
-    getRemedialSchedule(remedies, startDate = new Date()) {
+    getRemedialSchedule(remedies, startDate = new Date(), location = null) {
         const schedule = {
             startDate: startDate,
             remedies: [],
@@ -421,7 +428,7 @@ class RemedialFastingSystem {
         };
 
         for (const remedy of remedies) {
-            const remedySchedule = this.scheduleRemedy(remedy, startDate);
+            const remedySchedule = this.scheduleRemedy(remedy, startDate, location);
             schedule.remedies.push(remedySchedule);
 
             // Update total duration
@@ -437,20 +444,35 @@ class RemedialFastingSystem {
     }
 
     /**
-     * Schedule individual remedy
+     * Schedule individual remedy. Weekly fasts start on the first weekday the
+     * remedy names (the Monday of '16 consecutive Mondays'); a yearly fast
+     * kept on a festival falls on its next occurrence when a location is given.
      * @param {Object} remedy - Remedy object
      * @param {Date} startDate - Start date
+     * @param {Object} [location] - { latitude, longitude, timezone? }
      * @returns {Object} Scheduled remedy
      */
-    scheduleRemedy(remedy, startDate) {
+    scheduleRemedy(remedy, startDate, location = null) {
         const scheduledDates = [];
 
         if (remedy.frequency === 'Weekly') {
+            const weekday = this.getFastingWeekday(remedy);
+            const firstDate = new Date(startDate);
+            if (weekday !== -1) {
+                firstDate.setDate(firstDate.getDate() + (weekday - firstDate.getDay() + 7) % 7);
+            }
             for (let i = 0; i < remedy.duration; i++) {
-                const fastingDate = new Date(startDate);
-                fastingDate.setDate(startDate.getDate() + (i * 7));
+                const fastingDate = new Date(firstDate);
+                fastingDate.setDate(firstDate.getDate() + (i * 7));
                 scheduledDates.push(fastingDate);
             }
+        } else if (remedy.frequency === 'Yearly' && remedy.festival && location) {
+            const yearLater = new Date(startDate.getTime() + 366 * MILLIS_PER_DAY);
+            const festival = this.festivalCalendar.getObservances(startDate, yearLater, location)
+                .find(observance => observance.name === remedy.festival);
+            if (festival) {
+                scheduledDates.push(festival.sunrise);
+            }
         } else if (remedy.frequency === 'Yearly') {
             const fastingDate = new Date(startDate);
             fastingDate.setFullYear(startDate.getFullYear() + 1);
@@ -464,6 +486,16 @@ class RemedialFastingSystem {
         };
     }
 
+    /**
+     * Day of the week a weekly remedy is kept on
+     * @param {Object} remedy - Remedy object
+     * @returns {number} 0 (Sunday) to 6, or -1 when the remedy names no day
+     */
+    getFastingWeekday(remedy) {
+        const match = [remedy.fasting, ...(remedy.rules || [])].join(' ').match(WEEKDAY_PATTERN);
+        return match ? WEEKDAYS.indexOf(match[1]) : -1;
+    }
+
     /**
      * Update weekly schedule
      * @param {Object} weeklySchedule - Weekly schedule object
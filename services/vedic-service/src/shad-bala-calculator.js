@@ -11,6 +11,7 @@
 
 const { SHAD_BALA_WEIGHTS, NAISARGIKA_BALAS, DIG_BALA_TABLE, INTERPRETATION_CONSTANTS } = require('./deep-horoscope-constants');
 const { PLANETS } = require('./astro-constants');
+const { AshtakavargaCalculator, ASHTAKAVARGA_PLANETS } = require('./ashtakavarga-calculator');
 
 /**
  * Complete Shad Bala calculation system
@@ -18,6 +19,9 @@ const { PLANETS } = require('./astro-constants');
 class ShadBalaCalculator {
     constructor(birthChart) {
         this.birthChart = birthChart;
+        this.ashtakavarga = AshtakavargaCalculator.canCalculate(birthChart)
+            ? new AshtakavargaCalculator(birthChart)
+            : null;
     }
 
     /**
@@ -54,7 +58,8 @@ class ShadBalaCalculator {
                     drigBala
                 },
                 strength: this.getStrengthLevel(totalBala),
-                interpretation: this.interpretBalaStrength(planet, totalBala)
+                interpretation: this.interpretBalaStrength(planet, totalBala),
+                ashtakavarga: this.getAshtakavargaSupport(planet)
             };
         } catch (error) {
             throw new Error(`Shad Bala calculation failed for ${planet}: ${error.message}`);
@@ -229,6 +234,26 @@ class ShadBalaCalculator {
         return interpretations[strength] || 'Strength analysis unavailable.';
     }
 
+    /**
+     * Ashtakavarga bindus behind a planet: its own bindus in its natal sign,
+     * the Sarvashtakavarga of that sign and the total of its chart. Reported
+     * alongside Shad Bala, not added to it.
+     * @param {string} planet - Planet name
+     * @returns {Object|null} Bindu summary, or null for the nodes or incomplete charts
+     */
+    getAshtakavargaSupport(planet) {
+        if (!this.ashtakavarga || !ASHTAKAVARGA_PLANETS.includes(planet)) return null;
+
+        const sign = this.ashtakavarga.signs[planet];
+        const own = this.ashtakavarga.calculateBhinnashtakavarga(planet);
+        return {
+            sign,
+            bindus: own.bindus[sign],
+            total: own.total,
+            sarvashtakavargaBindus: this.ashtakavarga.calculateSarvashtakavarga().bindus[sign]
+        };
+    }
+
     // Helper methods for dignity checks
 
     isExalted(planet, sign) {
@@ -10,14 +10,22 @@
  */
 
 const { TITHI_FASTING_RULES } = require('./fasting-constants');
+const FestivalCalendarGenerator = require('./festival-calendar-generator');
+
+const LOOKAHEAD_DAYS = 30;
+const MILLIS_PER_DAY = 86400000;
 
 /**
  * Tithi Fasting Calculator Class
  * Provides fasting recommendations based on lunar day (tithi)
  */
 class TithiFastingCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - { festivalCalendar: FestivalCalendarGenerator to share }
+     */
+    constructor(options = {}) {
         this.tithiRules = TITHI_FASTING_RULES;
+        this.festivalCalendar = options.festivalCalendar || new FestivalCalendarGenerator();
     }
 
     /**
@@ -133,39 +141,52 @@ class TithiFastingCalculator {
     }
 
     /**
-     * Calculate next auspicious tithi for fasting
+     * Find the next fast in the festival calendar, an Ekadashi or festival vrat
      * @param {Date} currentDate - Current date
-     * @param {Object} location - Location coordinates
-     * @returns {Object} Next auspicious tithi information
+     * @param {Object} location - Location coordinates { latitude, longitude, timezone? }
+     * @returns {Object} Next auspicious tithi information, or null if none within 30 days
      */
     getNextAuspiciousTithi(currentDate, location) {
-        // Simplified calculation - in production use precise astronomical data
-        const auspiciousTithis = [4, 8, 11, 13, 15];
-        let nextDate = new Date(currentDate);
-        let daysToAdd = 0;
-
-        // Find next auspicious tithi (simplified)
-        while (daysToAdd < 30) { // Max 30 days look ahead
-            const testDate = new Date(currentDate);
-            testDate.setDate(currentDate.getDate() + daysToAdd);
-
-            // Simplified tithi calculation (would use real astronomical data)
-            const dayOfMonth = testDate.getDate();
-            const tithiNumber = (dayOfMonth % 15) + 1; // Very simplified
-
-            if (auspiciousTithis.includes(tithiNumber)) {
-                return {
-                    date: testDate,
-                    tithiNumber: tithiNumber,
-                    tithiName: this.tithiRules[tithiNumber].name,
-                    daysUntil: daysToAdd,
-                    fastingType: this.getFastingIntensity(tithiNumber)
-                };
-            }
-            daysToAdd++;
+        const endDate = new Date(currentDate.getTime() + LOOKAHEAD_DAYS * MILLIS_PER_DAY);
+        const next = this.getFastingCalendar(currentDate, endDate, location).find(day => day.fastingRecommended);
+        if (!next) {
+            return null;
         }
 
-        return null; // No auspicious tithi found in 30 days
+        const { timezone } = this.festivalCalendar.resolveLocation(location);
+        const today = this.festivalCalendar.toLocalDate(currentDate, timezone);
+        return {
+            date: next.sunrise,
+            name: next.name,
+            tithiNumber: next.tithiNumber,
+            tithiName: next.tithi.name,
+            daysUntil: Math.round((Date.parse(next.date) - Date.parse(today)) / MILLIS_PER_DAY),
+            fastingType: next.intensity,
+            observance: next
+        };
+    }
+
+    /**
+     * Festivals and Ekadashis between two dates from the festival calendar,
+     * with the fasting rules of their tithis
+     * @param {Date} startDate - First day
+     * @param {Date} endDate - Last day
+     * @param {Object} location - Location coordinates { latitude, longitude, timezone? }
+     * @returns {Array} Observances in date order with fasting rules, duration and intensity
+     */
+    getFastingCalendar(startDate, endDate, location) {
+        return this.festivalCalendar.getObservances(startDate, endDate, location).map(observance => {
+            // Tithi within the paksha (1-15); sankranti festivals have none
+            const tithiNumber = observance.tithi ? (observance.tithi.number - 1) % 15 + 1 : null;
+            return {
+                ...observance,
+                tithiNumber,
+                fastingRecommended: observance.fasting,
+                rules: this.getFastingRules(tithiNumber),
+                duration: this.getFastingDuration(tithiNumber),
+                intensity: this.getFastingIntensity(tithiNumber)
+            };
+        });
     }
 
     /**
@@ -6,6 +6,19 @@
 
 const { ALERT_CONFIG } = require('./transit-analysis-constants');
 const { logger, generateAlertId, formatDate, getSignName } = require('./transit-analysis-utils');
+const { calculateAyanamsa } = require('./astronomical-calculations');
+const { normalizeAngle } = require('./math-utils');
+const { WesternEventFinder } = require('../../western-service/src/western-event-finder');
+
+// Bodies searched for ingresses and stations; the Moon changes sign too often to alert on
+const EVENT_BODIES = ['SUN', 'MERCURY', 'VENUS', 'MARS', 'JUPITER', 'SATURN'];
+
+const LUNATION_NAMES = {
+    'new-moon': 'New Moon',
+    'first-quarter': 'First Quarter Moon',
+    'full-moon': 'Full Moon',
+    'last-quarter': 'Last Quarter Moon'
+};
 
 /**
  * Alert Rule Definition
@@ -45,6 +58,9 @@ class TransitAlertEngine {
         this.rules = this.initializeDefaultRules();
         this.activeAlerts = new Map();
         this.notificationManager = null; // Will be set externally
+        this.eventFinder = new WesternEventFinder({
+            ayanamsa: julianDay => calculateAyanamsa(julianDay, 'LAHIRI')
+        });
         logger.info('TransitAlertEngine initialized');
     }
 
@@ -57,7 +73,9 @@ class TransitAlertEngine {
             new AlertRule(ALERT_CONFIG.TRANSIT_ENTRY, 'JUPITER', null, 14, ALERT_CONFIG.MEDIUM),
             new AlertRule(ALERT_CONFIG.ASPECT_FORMATION, null, 90, 3, ALERT_CONFIG.HIGH),
             new AlertRule(ALERT_CONFIG.ASPECT_FORMATION, null, 180, 3, ALERT_CONFIG.CRITICAL),
-            new AlertRule(ALERT_CONFIG.CRITICAL_PERIOD, null, null, 7, ALERT_CONFIG.CRITICAL)
+            new AlertRule(ALERT_CONFIG.CRITICAL_PERIOD, null, null, 7, ALERT_CONFIG.CRITICAL),
+            new AlertRule(ALERT_CONFIG.STATION, null, null, 3, ALERT_CONFIG.HIGH),
+            new AlertRule(ALERT_CONFIG.ECLIPSE, null, null, 14, ALERT_CONFIG.CRITICAL)
         ];
     }
 
@@ -69,6 +87,48 @@ class TransitAlertEngine {
         this.notificationManager = manager;
     }
 
+    /**
+     * Find sidereal sign ingresses, stations, lunations and eclipses in a date
+     * range and convert them into transit events for processEvents
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @param {Object} options - { bodies: planets to search (default Sun to Saturn) }
+     * @returns {Array} Transit events in date order
+     */
+    findAstronomicalEvents(startDate, endDate, options = {}) {
+        const toJulianDay = date => date.getTime() / 86400000 + 2440587.5;
+        const events = this.eventFinder.findEvents(toJulianDay(startDate), toJulianDay(endDate), {
+            bodies: options.bodies || EVENT_BODIES,
+            zodiac: 'sidereal'
+        });
+        const siderealSign = event => Math.floor(
+            normalizeAngle(event.longitude - calculateAyanamsa(event.julianDay, 'LAHIRI')) / 30
+        );
+
+        return events.map(event => {
+            const common = { timestamp: event.date.getTime(), startDate: event.date, source: event };
+            switch (event.type) {
+                case 'ingress':
+                    return { ...common, type: ALERT_CONFIG.TRANSIT_ENTRY, planet: event.body, sign: event.to };
+                case 'station':
+                    return { ...common, type: ALERT_CONFIG.STATION, planet: event.body, sign: siderealSign(event), direction: event.direction };
+                case 'lunation':
+                    return { ...common, type: ALERT_CONFIG.LUNATION, planet: 'MOON', sign: siderealSign(event), phase: event.phase };
+                default:
+                    return {
+                        ...common,
+                        type: ALERT_CONFIG.ECLIPSE,
+                        planet: event.type === 'solar-eclipse' ? 'SUN' : 'MOON',
+                        sign: siderealSign(event),
+                        eclipseType: event.type,
+                        kind: event.kind,
+                        magnitude: event.magnitude,
+                        saros: event.saros
+                    };
+            }
+        });
+    }
+
     /**
      * Process transit events and generate alerts
      * @param {Array} transitEvents - Transit events
@@ -143,6 +203,15 @@ class TransitAlertEngine {
                 return `${planet} is forming ${aspect}° aspect with natal ${event.natalPlanet}`;
             case ALERT_CONFIG.CRITICAL_PERIOD:
                 return `Critical transit period starting: ${planet} transit`;
+            case ALERT_CONFIG.STATION:
+                return `${planet} stations ${event.direction} in ${getSignName(event.sign)} on ${formatDate(event.startDate)}`;
+            case ALERT_CONFIG.LUNATION:
+                return `${LUNATION_NAMES[event.phase]} in ${getSignName(event.sign)} on ${formatDate(event.startDate)}`;
+            case ALERT_CONFIG.ECLIPSE: {
+                const body = event.eclipseType === 'solar-eclipse' ? 'solar' : 'lunar';
+                return `${event.kind.charAt(0).toUpperCase()}${event.kind.slice(1)} ${body} eclipse in ` +
+                       `${getSignName(event.sign)} on ${formatDate(event.startDate)} (Saros ${event.saros})`;
+            }
             default:
                 return `Transit alert: ${planet}`;
         }
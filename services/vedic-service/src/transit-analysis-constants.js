@@ -52,6 +52,9 @@ const ALERT_CONFIG = {
     ASPECT_FORMATION: 'aspect_formation',
     ASPECT_SEPARATION: 'aspect_separation',
     CRITICAL_PERIOD: 'critical_period',
+    STATION: 'station',
+    LUNATION: 'lunation',
+    ECLIPSE: 'eclipse',
 
     // Priority Levels
     CRITICAL: 'critical',
@@ -115,10 +115,12 @@ class TransitAnalysisSystem {
         endDate.setDate(endDate.getDate() + daysAhead);
 
         const calendar = this.generateTransitCalendar(startDate, endDate);
-        const alerts = this.alertEngine.processEvents(calendar, startDate);
+        const astronomicalEvents = this.alertEngine.findAstronomicalEvents(startDate, endDate);
+        const alerts = this.alertEngine.processEvents([...calendar, ...astronomicalEvents], startDate);
 
         return {
             calendar: calendar,
+            astronomicalEvents: astronomicalEvents,
             alerts: alerts,
             summary: this.generatePredictionSummary(calendar)
         };
@@ -9,6 +9,8 @@
  * @license MIT
  */
 
+const { AshtakavargaCalculator } = require('./ashtakavarga-calculator');
+
 /**
  * Transit Analyzer Class
  * Analyzes current and upcoming planetary transits
@@ -18,6 +20,10 @@ class TransitAnalyzer {
         this.birthChart = birthChart;
         this.currentDate = currentDate || new Date();
         this._validateChart();
+        // Ashtakavarga needs the ascendant and all seven planets
+        this.ashtakavarga = AshtakavargaCalculator.canCalculate(birthChart)
+            ? new AshtakavargaCalculator(birthChart)
+            : null;
     }
 
     /**
@@ -62,7 +68,8 @@ class TransitAnalyzer {
                     house: transit.house,
                     sign: transit.sign,
                     effects: this.getTransitEffects(planet, transit.house),
-                    strength: this.calculateTransitStrength(planet, transit)
+                    strength: this.calculateTransitStrength(planet, transit),
+                    ashtakavarga: this.getAshtakavargaScore(planet, transit)
                 });
             }
         });
@@ -230,6 +237,8 @@ class TransitAnalyzer {
 
     /**
      * Calculate transit strength
+     * Bindus from the natal Ashtakavarga move the score by up to 0.2 either way
+     * when the chart allows it.
      * @param {string} planet - Planet name
      * @param {Object} transit - Transit data
      * @returns {number} Strength score (0-1)
@@ -249,9 +258,24 @@ class TransitAnalyzer {
         if (this.isTransitExalted(planet, transit.sign)) strength += 0.2;
         if (this.isTransitDebilitated(planet, transit.sign)) strength -= 0.2;
 
+        // Ashtakavarga bindus
+        const ashtakavarga = this.getAshtakavargaScore(planet, transit);
+        if (ashtakavarga) strength += (ashtakavarga.score - 0.5) * 0.4;
+
         return Math.max(0, Math.min(1, strength));
     }
 
+    /**
+     * Score a transit against the natal Ashtakavarga
+     * @param {string} planet - Planet name
+     * @param {Object} transit - Transit data with longitude
+     * @returns {Object|null} Bindu and kakshya score, or null when unavailable
+     */
+    getAshtakavargaScore(planet, transit) {
+        if (!this.ashtakavarga || !transit) return null;
+        return this.ashtakavarga.scoreTransit(planet, transit.longitude);
+    }
+
     /**
      * Check if house is favorable for transits
      * @param {number} house - House number
@@ -449,6 +473,7 @@ class TransitAnalyzer {
                 lifeAreaImpacts: this.analyzeLifeAreaImpacts(),
                 timingGuidance: this.generateTimingGuidance(),
                 recommendations: this.generateTransitRecommendations(),
+                ashtakavarga: this.ashtakavarga ? this.ashtakavarga.generateReport() : null,
                 generatedAt: new Date().toISOString(),
                 systemVersion: 'ZC1.22'
             };
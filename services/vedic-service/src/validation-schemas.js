@@ -9,6 +9,154 @@
  * @license MIT
  */
 
+const { resolveAyanamsaSystem } = require('./astronomical-calculations');
+const { isValidTimeZone } = require('../../../backend/timezone/tz-resolver');
+
+// Chart documents from other services are validated by the shared chart
+// schema; without the backend modules only birthData is accepted
+let validateChart = null;
+try {
+    ({ validateChart } = require('../../../backend/charts/chart-document'));
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const MAX_MUHURAT_RANGE_DAYS = 31;
+const MUHURAT_ACTIVITY_TYPES = ['general', 'marriage', 'business', 'travel', 'education'];
+const CALENDAR_TYPES = ['muhurat', 'panchang', 'fasting', 'dasha', 'transits'];
+const MAX_CALENDAR_RANGE_DAYS = 366;
+const MAX_ALARM_MINUTES = 40320;
+const CHART_FORMATS = ['standard', 'canonical'];
+
+/**
+ * Check that a value parses as a date (YYYY-MM-DD or full ISO 8601)
+ * @param {any} value - Candidate date string
+ * @returns {boolean} True if the value is a parseable date string
+ */
+function isDateString(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Collect latitude/longitude errors for a location
+ * @param {Object} data - Object holding latitude and longitude
+ * @param {string} path - Field path prefix for error messages
+ * @param {Array} errors - Error list to append to
+ */
+function collectCoordinateErrors(data, path, errors) {
+    if (typeof data.latitude !== 'number' || data.latitude < -90 || data.latitude > 90) {
+        errors.push(`${path}latitude: Must be number between -90 and 90`);
+    }
+    if (typeof data.longitude !== 'number' || data.longitude < -180 || data.longitude > 180) {
+        errors.push(`${path}longitude: Must be number between -180 and 180`);
+    }
+}
+
+/**
+ * Collect errors for the options shared by calendar exports and feeds
+ * ({ type, latitude, longitude, timezone?, activityType?, preferences?, alarmMinutes? })
+ * @param {Object} data - Request data
+ * @param {Array} errors - Error list to append to
+ */
+function collectCalendarErrors(data, errors) {
+    if (!CALENDAR_TYPES.includes(data.type)) {
+        errors.push(`type: Must be one of ${CALENDAR_TYPES.join(', ')}`);
+    }
+    collectCoordinateErrors(data, '', errors);
+    if (data.timezone !== undefined && !isValidTimeZone(data.timezone)) {
+        errors.push('timezone: Must be an IANA time zone such as Asia/Kolkata');
+    }
+    if (data.activityType !== undefined && !MUHURAT_ACTIVITY_TYPES.includes(data.activityType)) {
+        errors.push(`activityType: Must be one of ${MUHURAT_ACTIVITY_TYPES.join(', ')}`);
+    }
+    if (data.preferences !== undefined && (typeof data.preferences !== 'object' || data.preferences === null || Array.isArray(data.preferences))) {
+        errors.push('preferences: Must be an object');
+    }
+    if (data.alarmMinutes !== undefined &&
+        (!Number.isInteger(data.alarmMinutes) || data.alarmMinutes < 0 || data.alarmMinutes > MAX_ALARM_MINUTES)) {
+        errors.push(`alarmMinutes: Must be an integer between 0 and ${MAX_ALARM_MINUTES}`);
+    }
+}
+
+/**
+ * Longest range a calendar of a type may span, in days
+ * @param {string} type - Calendar type
+ * @returns {number} Days
+ */
+function maxCalendarRangeDays(type) {
+    return type === 'muhurat' ? MAX_MUHURAT_RANGE_DAYS : MAX_CALENDAR_RANGE_DAYS;
+}
+
+/**
+ * Collect errors for the documented birth data object
+ * ({ date: 'YYYY-MM-DD', time: 'HH:mm:ss', latitude, longitude, timezone?, disambiguation? })
+ * @param {Object} birthData - Birth data to check
+ * @param {string} path - Field path of the birth data object
+ * @param {Array} errors - Error list to append to
+ */
+function collectBirthDataErrors(birthData, path, errors) {
+    if (!birthData || typeof birthData !== 'object') {
+        errors.push(`${path}: Required object`);
+        return;
+    }
+
+    if (!DATE_PATTERN.test(birthData.date || '') || !isDateString(birthData.date)) {
+        errors.push(`${path}.date: Must be a valid date in YYYY-MM-DD format`);
+    } else {
+        const year = parseInt(birthData.date.slice(0, 4), 10);
+        if (year < 1800 || year > 2100) {
+            errors.push(`${path}.date: Year must be between 1800 and 2100`);
+        }
+    }
+
+    if (!TIME_PATTERN.test(birthData.time || '')) {
+        errors.push(`${path}.time: Must be a valid time in HH:mm or HH:mm:ss format`);
+    }
+
+    collectCoordinateErrors(birthData, `${path}.`, errors);
+
+    const { timezone } = birthData;
+    if (typeof timezone === 'number') {
+        if (timezone < -14 || timezone > 14) {
+            errors.push(`${path}.timezone: Offset must be between -14 and 14 hours`);
+        }
+    } else if (typeof timezone === 'string') {
+        if (timezone !== 'LMT' && !isValidTimeZone(timezone)) {
+            errors.push(`${path}.timezone: Unknown IANA time zone`);
+        }
+    } else if (timezone !== undefined) {
+        errors.push(`${path}.timezone: Must be an IANA time zone, 'LMT' or hour offset`);
+    }
+
+    if (birthData.disambiguation !== undefined && !['earlier', 'later'].includes(birthData.disambiguation)) {
+        errors.push(`${path}.disambiguation: Must be 'earlier' or 'later'`);
+    }
+}
+
+/**
+ * Collect errors for an optional ayanamsa system name or user definition
+ * @param {any} ayanamsa - Ayanamsa option from the request
+ * @param {Array} errors - Error list to append to
+ */
+function collectAyanamsaErrors(ayanamsa, errors) {
+    if (ayanamsa === undefined) {
+        return;
+    }
+    if (typeof ayanamsa !== 'string' && (!ayanamsa || typeof ayanamsa !== 'object')) {
+        errors.push('ayanamsa: Must be a system name or { referenceJulianDay, referenceValue }');
+        return;
+    }
+    try {
+        resolveAyanamsaSystem(ayanamsa);
+    } catch (error) {
+        errors.push(`ayanamsa: ${error.message}`);
+    }
+}
+
 /**
  * Validation schemas for astrology system inputs
  */
@@ -58,6 +206,233 @@ const VALIDATION_SCHEMAS = {
                 }
             }
 
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Birth chart API request: { userId?, birthData, ayanamsa?, format? }
+    birthChartRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            if (data.userId !== undefined && (typeof data.userId !== 'string' || data.userId.length === 0)) {
+                errors.push('userId: Must be a non-empty string');
+            }
+            collectBirthDataErrors(data.birthData, 'birthData', errors);
+            collectAyanamsaErrors(data.ayanamsa, errors);
+            if (data.format !== undefined && !CHART_FORMATS.includes(data.format)) {
+                errors.push(`format: Must be one of ${CHART_FORMATS.join(', ')}`);
+            }
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Divisional chart API request: { birthData, charts?, ayanamsa? }
+    divisionalChartRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            collectBirthDataErrors(data.birthData, 'birthData', errors);
+            collectAyanamsaErrors(data.ayanamsa, errors);
+            if (data.charts !== undefined) {
+                if (!Array.isArray(data.charts) || data.charts.length === 0) {
+                    errors.push('charts: Must be a non-empty array of chart types');
+                } else {
+                    data.charts.forEach((chart, index) => {
+                        if (typeof chart !== 'string' || !/^D\d{1,2}$/.test(chart)) {
+                            errors.push(`charts[${index}]: Must be a chart type such as D9`);
+                        }
+                    });
+                }
+            }
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Chart image API request: { birthData, chart?, style?, format?, size?, showDegrees?, ayanamsa? }
+    chartImageRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            collectBirthDataErrors(data.birthData, 'birthData', errors);
+            collectAyanamsaErrors(data.ayanamsa, errors);
+            if (data.chart !== undefined && (typeof data.chart !== 'string' || !/^D\d{1,2}$/.test(data.chart))) {
+                errors.push('chart: Must be a chart type such as D9');
+            }
+            if (data.style !== undefined && !['north', 'south', 'east'].includes(data.style)) {
+                errors.push("style: Must be 'north', 'south' or 'east'");
+            }
+            if (data.format !== undefined && !['svg', 'png'].includes(data.format)) {
+                errors.push("format: Must be 'svg' or 'png'");
+            }
+            if (data.size !== undefined && (!Number.isInteger(data.size) || data.size < 100 || data.size > 2000)) {
+                errors.push('size: Must be an integer between 100 and 2000');
+            }
+            if (data.showDegrees !== undefined && typeof data.showDegrees !== 'boolean') {
+                errors.push('showDegrees: Must be a boolean');
+            }
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Dasha API request: { birthData, targetDate? }
+    dashaRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            collectBirthDataErrors(data.birthData, 'birthData', errors);
+            if (data.targetDate !== undefined && !isDateString(data.targetDate)) {
+                errors.push('targetDate: Must be a valid ISO 8601 date');
+            }
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Compatibility API request: { bride: birthData, groom: birthData }
+    compatibilityRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            collectBirthDataErrors(data.bride, 'bride', errors);
+            collectBirthDataErrors(data.groom, 'groom', errors);
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Panchang API request: { date, latitude, longitude }
+    panchangRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            if (!isDateString(data.date)) {
+                errors.push('date: Must be a valid ISO 8601 date');
+            }
+            collectCoordinateErrors(data, '', errors);
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Muhurat API request: { activityType, startDate, endDate, latitude?, longitude?, preferences? }
+    muhuratRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            if (!MUHURAT_ACTIVITY_TYPES.includes(data.activityType)) {
+                errors.push(`activityType: Must be one of ${MUHURAT_ACTIVITY_TYPES.join(', ')}`);
+            }
+            if (!isDateString(data.startDate)) {
+                errors.push('startDate: Must be a valid ISO 8601 date');
+            }
+            if (!isDateString(data.endDate)) {
+                errors.push('endDate: Must be a valid ISO 8601 date');
+            }
+            if (isDateString(data.startDate) && isDateString(data.endDate)) {
+                const rangeDays = (new Date(data.endDate) - new Date(data.startDate)) / 86400000;
+                if (rangeDays < 0) {
+                    errors.push('endDate: Must not be before startDate');
+                } else if (rangeDays > MAX_MUHURAT_RANGE_DAYS) {
+                    errors.push(`endDate: Search range must not exceed ${MAX_MUHURAT_RANGE_DAYS} days`);
+                }
+            }
+            if (data.latitude !== undefined || data.longitude !== undefined) {
+                collectCoordinateErrors(data, '', errors);
+            }
+            if (data.preferences !== undefined && (typeof data.preferences !== 'object' || data.preferences === null || Array.isArray(data.preferences))) {
+                errors.push('preferences: Must be an object');
+            }
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Calendar export request: { type, latitude, longitude, timezone?, startDate, endDate,
+    // userId?, birthData? or chart? (dasha, transits, remedial fasts), ayanamsa?, activityType?, preferences?, alarmMinutes? }
+    calendarExportRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            collectCalendarErrors(data, errors);
+            if (!isDateString(data.startDate)) {
+                errors.push('startDate: Must be a valid ISO 8601 date');
+            }
+            if (!isDateString(data.endDate)) {
+                errors.push('endDate: Must be a valid ISO 8601 date');
+            }
+            if (isDateString(data.startDate) && isDateString(data.endDate)) {
+                const rangeDays = (new Date(data.endDate) - new Date(data.startDate)) / 86400000;
+                if (rangeDays <= 0) {
+                    errors.push('endDate: Must be after startDate');
+                } else if (rangeDays > maxCalendarRangeDays(data.type)) {
+                    errors.push(`endDate: Range must not exceed ${maxCalendarRangeDays(data.type)} days`);
+                }
+            }
+            if (data.userId !== undefined && (typeof data.userId !== 'string' || data.userId.length === 0)) {
+                errors.push('userId: Must be a non-empty string');
+            }
+            if (data.birthData !== undefined) {
+                collectBirthDataErrors(data.birthData, 'birthData', errors);
+            }
+            if (data.chart !== undefined) {
+                // A chart document from any service stands in for birthData
+                if (data.birthData !== undefined) {
+                    errors.push('chart: Send either birthData or chart, not both');
+                }
+                if (validateChart) {
+                    errors.push(...validateChart(data.chart).errors);
+                } else {
+                    errors.push('chart: Chart documents need the shared backend chart modules; send birthData');
+                }
+            }
+            collectAyanamsaErrors(data.ayanamsa, errors);
+
+            return {
+                success: errors.length === 0,
+                errors: errors
+            };
+        }
+    },
+
+    // Calendar feed registration: { type, latitude, longitude, timezone?, days?, activityType?, preferences?, alarmMinutes? }
+    calendarFeedRequest: {
+        validate: (data) => {
+            const errors = [];
+
+            collectCalendarErrors(data, errors);
+            if (data.days !== undefined &&
+                (!Number.isInteger(data.days) || data.days < 1 || data.days > maxCalendarRangeDays(data.type))) {
+                errors.push(`days: Must be an integer between 1 and ${maxCalendarRangeDays(data.type)}`);
+            }
+
             return {
                 success: errors.length === 0,
                 errors: errors
@@ -0,0 +1,644 @@
+/**
+ * ZodiaCore - ZC1 Vedic Astrology REST API
+ *
+ * Express router exposing the Vedic calculation engines under /api/v1/zc1.
+ * Requests are validated through validation-schemas.js and every response
+ * uses the success/error envelopes documented in docs/api/index.md.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const VedicBirthChartGenerator = require('./vedic-birth-chart-generator');
+const DivisionalChartCalculator = require('./divisional-chart-calculator');
+const VimshottariDasha = require('./vimshottari-dasha');
+const PanchangCalculator = require('./panchang-calculator');
+const GunaMilanCalculator = require('./guna-milan-calculator');
+const VedicMuhuratSystem = require('./vedic-muhurat-system');
+const NakshatraCalculator = require('./nakshatra-calculator');
+const VedicCalendarExporter = require('./vedic-calendar-exporter');
+const { ZODIAC_SIGNS, PLANETS } = require('./astro-constants');
+const { DIVISIONAL_CHARTS } = require('./divisional-chart-config');
+const { VALIDATION_SCHEMAS, ValidationHelper } = require('./validation-schemas');
+const { AstrologyError } = require('./errors');
+const { renderVedicChart } = require('./vedic-chart-renderer');
+const { toCanonical, fromCanonical } = require('./vedic-chart-adapter');
+const { resolveLocalTime, describeResolution } = require('../../../backend/timezone/tz-resolver');
+const { rasterizeSvg, RasterizerUnavailableError } = require('../../../backend/rendering/svg-rasterizer');
+const {
+    ApiError,
+    sendSuccess,
+    asyncRoute,
+    notFoundHandler,
+    createErrorHandler
+} = require('../../../backend/http/api-response');
+const { verifyAccessToken } = require('../../../backend/auth/tokens');
+const { getBearerToken } = require('../../../backend/auth/middleware');
+const { AuthenticationError, AuthorizationError } = require('../../../backend/auth/errors');
+
+const FEED_REFRESH_MINUTES = 720;
+const MS_PER_DAY = 86400000;
+
+// Engine instances are stateless and shared across requests
+const birthChartGenerator = new VedicBirthChartGenerator();
+const divisionalCalculator = new DivisionalChartCalculator();
+const vimshottariDasha = new VimshottariDasha();
+const panchangCalculator = new PanchangCalculator();
+const gunaMilanCalculator = new GunaMilanCalculator();
+const muhuratSystem = new VedicMuhuratSystem();
+const nakshatraCalculator = new NakshatraCalculator();
+const calendarExporter = new VedicCalendarExporter({ muhuratSystem, dasha: vimshottariDasha });
+
+// Charts generated with a userId, keyed by the authenticated user (use DB in production)
+const chartStore = new Map();
+
+// Calendar feed subscriptions keyed by userId and feed type (use DB in production)
+const feedStore = new Map();
+
+/**
+ * Validate and sanitize a request body against a named schema
+ * @param {Object} body - Request body
+ * @param {string} schemaName - Key in VALIDATION_SCHEMAS
+ * @returns {Object} Sanitized body
+ * @throws {ApiError} VALIDATION_ERROR when the body is invalid
+ */
+function validateBody(body, schemaName) {
+    const result = ValidationHelper.validateAndSanitize(body || {}, VALIDATION_SCHEMAS[schemaName]);
+    if (!result.success) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid input parameters', { errors: result.errors });
+    }
+    return result.data;
+}
+
+/**
+ * Convert documented birth data (local civil date/time plus zone) to the
+ * UT component form expected by VedicBirthChartGenerator
+ * @param {Object} birthData - { date, time, latitude, longitude, timezone?, disambiguation? }
+ * @returns {Object} Generator input with UT components and the applied offset
+ */
+function toGeneratorBirthData(birthData) {
+    const resolution = resolveLocalTime(birthData, { disambiguation: birthData.disambiguation });
+    const utc = resolution.utcDate;
+    return {
+        year: utc.getUTCFullYear(),
+        month: utc.getUTCMonth() + 1,
+        day: utc.getUTCDate(),
+        hour: utc.getUTCHours(),
+        minute: utc.getUTCMinutes(),
+        second: utc.getUTCSeconds(),
+        latitude: birthData.latitude,
+        longitude: birthData.longitude,
+        timezoneOffset: resolution.offsetHours,
+        timeResolution: describeResolution(resolution),
+        utcDate: utc
+    };
+}
+
+/**
+ * Generate a birth chart from documented birth data
+ * @param {Object} birthData - Documented birth data object
+ * @param {string|Object} ayanamsa - Ayanamsa system (defaults to Lahiri)
+ * @returns {Promise<Object>} Generator input and generated chart
+ */
+async function generateChart(birthData, ayanamsa) {
+    const input = toGeneratorBirthData(birthData);
+    const chart = await birthChartGenerator.generateBirthChart(input, { ayanamsa });
+    return { input, chart };
+}
+
+/**
+ * Shape a generated chart into the documented birth chart response
+ * @param {Object} chart - Chart from VedicBirthChartGenerator
+ * @param {Object} input - Generator input from toGeneratorBirthData
+ * @returns {Object} Response data
+ */
+function formatChart(chart, input) {
+    const planets = PLANETS
+        .filter(key => chart.planets[key])
+        .map(key => {
+            const planet = chart.planets[key];
+            const nakshatra = nakshatraCalculator.calculateNakshatra(planet.longitude);
+            return {
+                name: key.charAt(0) + key.slice(1).toLowerCase(),
+                key,
+                longitude: planet.longitude,
+                sign: ZODIAC_SIGNS[planet.sign],
+                degree: planet.degree,
+                house: planet.house,
+                nakshatra: nakshatra.nakshatraName,
+                pada: nakshatra.pada,
+                retrograde: planet.retrograde
+            };
+        });
+
+    const aspects = [];
+    for (const planet of planets) {
+        for (const aspect of chart.getAspectsToPoint(planet.longitude)) {
+            if (aspect.planet !== planet.key) {
+                aspects.push({ from: aspect.planet, to: planet.key, angle: aspect.aspect, orb: aspect.orb });
+            }
+        }
+    }
+
+    return {
+        utcDateTime: input.utcDate.toISOString(),
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        julianDay: chart.julianDay,
+        ayanamsa: chart.ayanamsa,
+        ayanamsaSystem: chart.ayanamsaSystem,
+        ascendant: {
+            longitude: chart.ascendant.longitude,
+            sign: ZODIAC_SIGNS[chart.ascendant.sign],
+            degree: chart.ascendant.degree
+        },
+        planets,
+        houses: chart.houses.map((cusp, index) => ({
+            number: index + 1,
+            cusp,
+            sign: ZODIAC_SIGNS[Math.floor(cusp / 30) % 12]
+        })),
+        aspects,
+        yogas: chart.yogas,
+        moonDetails: chart.moonDetails,
+        strengths: chart.strengths
+    };
+}
+
+/**
+ * Compute the Vimshottari timeline for a chart
+ * @param {Object} chart - Chart from VedicBirthChartGenerator
+ * @param {Date} birthDate - Birth instant (UT)
+ * @param {Date} targetDate - Date for the current period
+ * @returns {Object} Balance, mahadasha sequence and current period
+ */
+function calculateDasha(chart, birthDate, targetDate) {
+    const balance = vimshottariDasha.calculateDashaBalance(chart.moonDetails.nakshatra, birthDate);
+    return {
+        balance,
+        mahadashas: vimshottariDasha.generateMahadashas(birthDate, balance),
+        current: vimshottariDasha.getCurrentDasha(birthDate, targetDate, balance),
+        targetDate: targetDate.toISOString()
+    };
+}
+
+/**
+ * Build the Moon nakshatra details GunaMilanCalculator expects from a chart
+ * @param {Object} chart - Chart from VedicBirthChartGenerator
+ * @returns {Object} Chart fragment with moonDetails.nakshatra
+ */
+function toGunaMilanChart(chart) {
+    const moon = chart.planets.MOON;
+    const info = nakshatraCalculator.getNakshatraInfo(moon.longitude);
+    return {
+        moonDetails: {
+            nakshatra: {
+                ...chart.moonDetails.nakshatra,
+                caste: info.caste,
+                sign: moon.sign
+            }
+        }
+    };
+}
+
+/**
+ * Send a rendered chart as SVG, or rasterized as PNG
+ * @param {Object} res - Express response
+ * @param {string} svg - SVG document
+ * @param {string} format - 'svg' or 'png'
+ * @throws {ApiError} NOT_IMPLEMENTED when PNG is requested without a rasterizer installed
+ */
+function sendChartImage(res, svg, format) {
+    if (format !== 'png') {
+        res.type('image/svg+xml').send(svg);
+        return;
+    }
+
+    let png;
+    try {
+        png = rasterizeSvg(svg);
+    } catch (error) {
+        if (error instanceof RasterizerUnavailableError) {
+            throw new ApiError(501, 'NOT_IMPLEMENTED', error.message);
+        }
+        throw error;
+    }
+    res.type('image/png').send(png);
+}
+
+/**
+ * Find the birth chart a calendar uses: generated from birthData, converted
+ * from a chart document, or the one stored for userId. Only dasha and transit
+ * calendars require one.
+ * @param {string} type - Calendar type
+ * @param {Object} source - { userId?, birthData?, chart?, ayanamsa? }
+ * @returns {Promise<Object>} { chart, birthDate }, empty when there is none
+ * @throws {ApiError} When a required chart is missing
+ */
+async function resolveCalendarChart(type, { userId, birthData, chart, ayanamsa }) {
+    if (birthData) {
+        const generated = await generateChart(birthData, ayanamsa);
+        return { chart: generated.chart, birthDate: generated.input.utcDate };
+    }
+    if (chart) {
+        return { chart: fromCanonical(chart, { ayanamsa }), birthDate: new Date(chart.moment.utc) };
+    }
+
+    const stored = userId ? chartStore.get(userId) : undefined;
+    if (stored) {
+        return { chart: stored.chart, birthDate: stored.input.utcDate };
+    }
+    if (!VedicCalendarExporter.FEED_TYPES[type].needsChart) {
+        return {};
+    }
+    if (!userId) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid input parameters', {
+            errors: [`birthData: The ${type} calendar needs birthData or the userId of a stored chart`]
+        });
+    }
+    throw new ApiError(404, 'NOT_FOUND', `No birth chart found for user '${userId}'`);
+}
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - Express response
+ * @param {string} ics - iCalendar text
+ * @param {string} [filename] - Offer the calendar as a download with this name
+ */
+function sendCalendar(res, ics, filename) {
+    if (filename) {
+        res.attachment(filename);
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8').send(ics);
+}
+
+/**
+ * Look up a calendar feed and check its access token in constant time
+ * @param {Object} req - Express request with userId and type parameters
+ * @returns {Object} Stored feed
+ * @throws {ApiError} NOT_FOUND for unknown feeds, AUTHORIZATION_ERROR for a wrong token
+ */
+function findFeed(req) {
+    const { userId, type } = req.params;
+    const feed = feedStore.get(`${userId}/${type}`);
+    if (!feed) {
+        throw new ApiError(404, 'NOT_FOUND', `No ${type} calendar feed for user '${userId}'`);
+    }
+
+    const given = Buffer.from(String(req.query.token || ''));
+    const expected = Buffer.from(feed.token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new ApiError(403, 'AUTHORIZATION_ERROR', 'Invalid calendar feed token');
+    }
+    return feed;
+}
+
+/**
+ * Check that the bearer token belongs to userId, so only that user can store
+ * or read their charts and create feeds or read back their access tokens
+ * @param {Object} req - Express request
+ * @param {string} userId - User whose data the request touches
+ * @returns {string} Authenticated subject, the key of that user's stored data
+ * @throws {ApiError} NOT_IMPLEMENTED without JWT_SECRET, AUTHENTICATION_ERROR
+ *   for a missing or invalid token, AUTHORIZATION_ERROR for another user's data
+ */
+function assertOwner(req, userId) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new ApiError(501, 'NOT_IMPLEMENTED', 'Stored charts and calendar feeds need JWT_SECRET to authenticate their owner');
+    }
+    const token = getBearerToken(req);
+    if (!token) {
+        throw new AuthenticationError('Authentication required', { reason: 'missing_token' });
+    }
+    const subject = verifyAccessToken(token, { secret }).sub;
+    if (subject !== userId) {
+        throw new AuthorizationError(`Charts and calendar feeds of user '${userId}' can only be used by that user`);
+    }
+    return subject;
+}
+
+/**
+ * Build the subscription URL of a feed from PUBLIC_BASE_URL, the address
+ * clients reach the API at; without it the URL is relative to that address
+ * @param {Object} req - Express request
+ * @param {Object} feed - Stored feed
+ * @returns {string} Feed URL carrying its access token
+ */
+function buildFeedUrl(req, feed) {
+    const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+    return `${base}${req.baseUrl}/calendar/feeds/${encodeURIComponent(feed.userId)}/${feed.type}.ics?token=${feed.token}`;
+}
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/zc1/birth-chart
+ * Generate a Vedic birth chart; stores it for the authenticated user when a
+ * userId is supplied
+ */
+router.post('/birth-chart', asyncRoute(async (req, res) => {
+    const { userId, birthData, ayanamsa, format = 'standard' } = validateBody(req.body, 'birthChartRequest');
+    const owner = userId ? assertOwner(req, userId) : null;
+    const { input, chart } = await generateChart(birthData, ayanamsa);
+
+    const chartId = `chart_${crypto.randomUUID()}`;
+    if (owner) {
+        chartStore.set(owner, { chartId, chart, input });
+    }
+
+    if (format === 'canonical') {
+        sendSuccess(req, res, {
+            chartId,
+            userId,
+            timezoneOffset: input.timezoneOffset,
+            timeResolution: input.timeResolution,
+            chart: toCanonical(chart)
+        });
+        return;
+    }
+
+    sendSuccess(req, res, { chartId, userId, ...formatChart(chart, input) });
+}));
+
+/**
+ * POST /api/v1/zc1/divisional-charts
+ * Generate divisional (varga) charts, all of them unless `charts` is given
+ */
+router.post('/divisional-charts', asyncRoute(async (req, res) => {
+    const { birthData, charts, ayanamsa } = validateBody(req.body, 'divisionalChartRequest');
+    const { input, chart } = await generateChart(birthData, ayanamsa);
+
+    const positions = {};
+    for (const planet in chart.planets) {
+        positions[planet] = chart.planets[planet].longitude;
+    }
+
+    const unknownCharts = (charts || []).filter(chartType => !DIVISIONAL_CHARTS[chartType]);
+    if (unknownCharts.length > 0) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid input parameters', {
+            errors: unknownCharts.map(chartType => `charts: Unsupported chart type ${chartType}`)
+        });
+    }
+
+    let divisionalCharts;
+    if (charts) {
+        divisionalCharts = {};
+        for (const chartType of charts) {
+            divisionalCharts[chartType] = divisionalCalculator.generateDivisionalChart(positions, chartType);
+        }
+    } else {
+        divisionalCharts = divisionalCalculator.generateAllDivisionalCharts(positions, req.correlationId);
+    }
+
+    sendSuccess(req, res, {
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        charts: divisionalCharts
+    });
+}));
+
+/**
+ * POST /api/v1/zc1/chart-image
+ * Draw the birth chart or one divisional chart in North, South or East Indian style
+ */
+router.post('/chart-image', asyncRoute(async (req, res) => {
+    const { birthData, ayanamsa, chart: chartType = 'D1', style = 'north', format = 'svg', size, showDegrees } =
+        validateBody(req.body, 'chartImageRequest');
+    if (!DIVISIONAL_CHARTS[chartType]) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid input parameters', {
+            errors: [`chart: Unsupported chart type ${chartType}`]
+        });
+    }
+
+    const { chart } = await generateChart(birthData, ayanamsa);
+
+    // The rashi chart keeps retrograde flags; vargas are drawn from their own ascendant
+    let drawnChart = chart;
+    if (chartType !== 'D1') {
+        const positions = { ASC: chart.ascendant.longitude };
+        for (const planet in chart.planets) {
+            positions[planet] = chart.planets[planet].longitude;
+        }
+        drawnChart = divisionalCalculator.generateDivisionalChart(positions, chartType);
+    }
+
+    sendChartImage(res, renderVedicChart(drawnChart, { style, size, showDegrees }), format);
+}));
+
+/**
+ * GET /api/v1/zc1/dasha/:userId
+ * Vimshottari dasha for the chart last generated for the authenticated user
+ */
+router.get('/dasha/:userId', asyncRoute(async (req, res) => {
+    const stored = chartStore.get(assertOwner(req, req.params.userId));
+    if (!stored) {
+        throw new ApiError(404, 'NOT_FOUND', `No birth chart found for user '${req.params.userId}'`);
+    }
+
+    const targetDate = req.query.targetDate ? new Date(req.query.targetDate) : new Date();
+    if (isNaN(targetDate.getTime())) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid input parameters', {
+            errors: ['targetDate: Must be a valid ISO 8601 date']
+        });
+    }
+
+    sendSuccess(req, res, {
+        userId: req.params.userId,
+        chartId: stored.chartId,
+        ...calculateDasha(stored.chart, stored.input.utcDate, targetDate)
+    });
+}));
+
+/**
+ * POST /api/v1/zc1/dasha
+ * Vimshottari dasha for ad-hoc birth data
+ */
+router.post('/dasha', asyncRoute(async (req, res) => {
+    const { birthData, targetDate } = validateBody(req.body, 'dashaRequest');
+    const { input, chart } = await generateChart(birthData);
+
+    sendSuccess(req, res, {
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        ...calculateDasha(chart, input.utcDate, targetDate ? new Date(targetDate) : new Date())
+    });
+}));
+
+/**
+ * POST /api/v1/zc1/compatibility
+ * Guna Milan (Ashtakoota) compatibility between two birth charts
+ */
+router.post('/compatibility', asyncRoute(async (req, res) => {
+    const { bride, groom } = validateBody(req.body, 'compatibilityRequest');
+    const [brideChart, groomChart] = await Promise.all([generateChart(bride), generateChart(groom)]);
+
+    const compatibility = gunaMilanCalculator.calculateCompatibility(
+        toGunaMilanChart(brideChart.chart),
+        toGunaMilanChart(groomChart.chart)
+    );
+
+    sendSuccess(req, res, {
+        ...compatibility,
+        timeResolution: { bride: brideChart.input.timeResolution, groom: groomChart.input.timeResolution }
+    });
+}));
+
+/**
+ * POST /api/v1/zc1/panchang
+ * Panchang (tithi, vara, nakshatra, yoga, karana) for a date and place
+ */
+router.post('/panchang', asyncRoute(async (req, res) => {
+    const { date, latitude, longitude } = validateBody(req.body, 'panchangRequest');
+    const panchang = await panchangCalculator.calculatePanchang(new Date(date), latitude, longitude);
+
+    sendSuccess(req, res, panchang);
+}));
+
+/**
+ * POST /api/v1/zc1/muhurat
+ * Auspicious muhurats for an activity within a date range
+ */
+router.post('/muhurat', asyncRoute(async (req, res) => {
+    const { activityType, startDate, endDate, latitude, longitude, preferences = {} } =
+        validateBody(req.body, 'muhuratRequest');
+
+    const muhurats = await muhuratSystem.findAuspiciousMuhurat(
+        activityType,
+        new Date(startDate),
+        new Date(endDate),
+        { ...preferences, latitude, longitude }
+    );
+
+    sendSuccess(req, res, { activityType, muhurats });
+}));
+
+/**
+ * POST /api/v1/zc1/calendar/export
+ * Download muhurats, festivals, fasting days, dasha changes or transit alerts as iCalendar
+ */
+router.post('/calendar/export', asyncRoute(async (req, res) => {
+    const { type, userId, birthData, chart: document, ayanamsa, latitude, longitude, timezone, startDate, endDate,
+        activityType, preferences, alarmMinutes } = validateBody(req.body, 'calendarExportRequest');
+    if (userId && !birthData && !document) {
+        // Only the owner may export from their stored chart
+        assertOwner(req, userId);
+    }
+    const { chart, birthDate } = await resolveCalendarChart(type, { userId, birthData, chart: document, ayanamsa });
+
+    const ics = await calendarExporter.exportCalendar(type, {
+        userId: userId || 'anonymous',
+        location: { latitude, longitude, timezone },
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        activityType,
+        preferences,
+        alarmMinutes,
+        chart,
+        birthDate
+    });
+
+    sendCalendar(res, ics, `zodiacore-${type}.ics`);
+}));
+
+/**
+ * PUT /api/v1/zc1/calendar/feeds/:userId/:type
+ * Create or update the authenticated user's subscription feed; the returned URL carries its access token
+ */
+router.put('/calendar/feeds/:userId/:type', asyncRoute(async (req, res) => {
+    assertOwner(req, req.params.userId);
+    const { userId, type } = req.params;
+    const { latitude, longitude, timezone, days, activityType, preferences, alarmMinutes } =
+        validateBody({ ...req.body, type }, 'calendarFeedRequest');
+    if (VedicCalendarExporter.FEED_TYPES[type].needsChart && !chartStore.has(userId)) {
+        throw new ApiError(404, 'NOT_FOUND', `No birth chart found for user '${userId}'`);
+    }
+
+    const key = `${userId}/${type}`;
+    const existing = feedStore.get(key);
+    const feed = {
+        userId,
+        type,
+        // Updating a feed keeps its token, so existing subscriptions keep working
+        token: existing ? existing.token : crypto.randomBytes(24).toString('base64url'),
+        createdAt: existing ? existing.createdAt : new Date(),
+        location: { latitude, longitude, timezone },
+        days: days || VedicCalendarExporter.FEED_TYPES[type].days,
+        activityType,
+        preferences,
+        alarmMinutes
+    };
+    feedStore.set(key, feed);
+
+    sendSuccess(req, res, {
+        userId,
+        type,
+        url: buildFeedUrl(req, feed),
+        days: feed.days,
+        refreshMinutes: FEED_REFRESH_MINUTES,
+        createdAt: feed.createdAt.toISOString()
+    }, existing ? 200 : 201);
+}));
+
+/**
+ * GET /api/v1/zc1/calendar/feeds/:userId/:type.ics?token=...
+ * Subscription feed, regenerated from today on every request
+ */
+router.get('/calendar/feeds/:userId/:type.ics', asyncRoute(async (req, res) => {
+    const feed = findFeed(req);
+    const { chart, birthDate } = await resolveCalendarChart(feed.type, { userId: feed.userId });
+
+    const startDate = new Date();
+    const ics = await calendarExporter.exportCalendar(feed.type, {
+        userId: feed.userId,
+        location: feed.location,
+        startDate,
+        endDate: new Date(startDate.getTime() + feed.days * MS_PER_DAY),
+        activityType: feed.activityType,
+        preferences: feed.preferences,
+        alarmMinutes: feed.alarmMinutes,
+        chart,
+        birthDate,
+        remedyStartDate: feed.createdAt,
+        refreshMinutes: FEED_REFRESH_MINUTES
+    });
+
+    sendCalendar(res, ics);
+}));
+
+/**
+ * DELETE /api/v1/zc1/calendar/feeds/:userId/:type?token=...
+ * Remove a subscription feed
+ */
+router.delete('/calendar/feeds/:userId/:type', asyncRoute(async (req, res) => {
+    const feed = findFeed(req);
+    feedStore.delete(`${feed.userId}/${feed.type}`);
+
+    sendSuccess(req, res, { userId: feed.userId, type: feed.type, deleted: true });
+}));
+
+/**
+ * Map engine errors to the documented error envelope
+ * @param {Error} error - Error thrown by a route
+ * @returns {Object|undefined} { status, code, message, details }, or undefined for internal failures
+ */
+function mapEngineError(error) {
+    if (error.name === 'ValidationError') {
+        return { status: 400, code: 'VALIDATION_ERROR', message: error.message, details: error.data };
+    }
+    if (error instanceof AstrologyError) {
+        return { status: 422, code: error.code, message: error.message, details: error.data };
+    }
+    return undefined;
+}
+
+// Unknown ZC1 routes, then the error envelope
+router.use(notFoundHandler);
+router.use(createErrorHandler({ label: 'ZC1 API', mapError: mapEngineError }));
+
+module.exports = router;
+module.exports.ApiError = ApiError;
+module.exports.toGeneratorBirthData = toGeneratorBirthData;
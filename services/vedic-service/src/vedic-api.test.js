@@ -0,0 +1,640 @@
+/**
+ * ZodiaCore - ZC1 Vedic API Tests
+ *
+ * Exercises the /api/v1/zc1 router over HTTP with supertest, covering
+ * the documented success and error envelopes.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const express = require('express');
+const request = require('supertest');
+const vedicApiRouter = require('./vedic-api');
+const { toGeneratorBirthData } = require('./vedic-api');
+const VedicBirthChartGenerator = require('./vedic-birth-chart-generator');
+const NakshatraCalculator = require('./nakshatra-calculator');
+const { isRasterizerAvailable } = require('../../../backend/rendering/svg-rasterizer');
+const { validateChart } = require('../../../backend/charts/chart-document');
+const { signAccessToken } = require('../../../backend/auth/tokens');
+
+describe('ZC1 Vedic API', () => {
+    let app;
+
+    const birthData = {
+        date: '1990-05-15',
+        time: '14:30:00',
+        latitude: 28.6139,
+        longitude: 77.2090,
+        timezone: 'Asia/Kolkata'
+    };
+
+    const secret = 'vedic-api-test-secret';
+    const bearer = userId => `Bearer ${signAccessToken({ id: userId, roles: [] }, { secret })}`;
+    const env = {};
+
+    beforeAll(() => {
+        for (const name of ['JWT_SECRET', 'PUBLIC_BASE_URL']) {
+            env[name] = process.env[name];
+        }
+        process.env.JWT_SECRET = secret;
+        process.env.PUBLIC_BASE_URL = 'https://api.zodiacore.example/';
+
+        app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.correlationId = req.headers['x-correlation-id'];
+            next();
+        });
+        app.use('/api/v1/zc1', vedicApiRouter);
+    });
+
+    afterAll(() => {
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    describe('toGeneratorBirthData', () => {
+        test('converts IANA local time to UT components', () => {
+            const input = toGeneratorBirthData(birthData);
+            expect(input.timezoneOffset).toBe(5.5);
+            expect(input).toMatchObject({ year: 1990, month: 5, day: 15, hour: 9, minute: 0, second: 0 });
+        });
+
+        test('applies numeric hour offsets across a date boundary', () => {
+            const input = toGeneratorBirthData({ ...birthData, time: '02:00', timezone: 5.5 });
+            expect(input).toMatchObject({ year: 1990, month: 5, day: 14, hour: 20, minute: 30 });
+        });
+
+        test('honours historical daylight saving time', () => {
+            const summer = toGeneratorBirthData({ ...birthData, date: '1990-07-01', time: '12:00', timezone: 'America/New_York' });
+            const winter = toGeneratorBirthData({ ...birthData, date: '1990-01-01', time: '12:00', timezone: 'America/New_York' });
+            expect(summer.timezoneOffset).toBe(-4);
+            expect(winter.timezoneOffset).toBe(-5);
+        });
+
+        test('infers the zone from coordinates when none is given', () => {
+            const { timezone, ...withoutZone } = birthData;
+            const input = toGeneratorBirthData(withoutZone);
+            expect(input.timezoneOffset).toBe(5.5);
+            expect(input.timeResolution).toMatchObject({ timezone: 'Asia/Kolkata', source: 'location' });
+        });
+    });
+
+    describe('POST /birth-chart', () => {
+        test('returns the documented success envelope', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .set('x-correlation-id', 'req-123')
+                .set('Authorization', bearer('user123'))
+                .send({ userId: 'user123', birthData });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.metadata).toMatchObject({ requestId: 'req-123', version: '1.0.0' });
+
+            const { data } = response.body;
+            expect(data.chartId).toMatch(/^chart_/);
+            expect(data.planets).toHaveLength(9);
+            expect(data.planets[0]).toEqual(expect.objectContaining({
+                name: 'Sun',
+                sign: expect.any(String),
+                house: expect.any(Number),
+                nakshatra: expect.any(String)
+            }));
+            expect(data.houses).toHaveLength(12);
+            expect(Array.isArray(data.aspects)).toBe(true);
+            expect(Array.isArray(data.yogas)).toBe(true);
+        });
+
+        test('reports unexpected engine failures as INTERNAL_ERROR', async () => {
+            const generate = vi.spyOn(VedicBirthChartGenerator.prototype, 'generateBirthChart')
+                .mockRejectedValueOnce(new Error('Ephemeris lookup failed'));
+            const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+            try {
+                const response = await request(app)
+                    .post('/api/v1/zc1/birth-chart')
+                    .send({ birthData });
+
+                expect(response.status).toBe(500);
+                expect(response.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error' });
+                expect(log).toHaveBeenCalledWith('ZC1 API error:', expect.any(Error));
+            } finally {
+                generate.mockRestore();
+                log.mockRestore();
+            }
+        });
+
+        test('keeps faults inside a chart step out of CALCULATION_ERROR', async () => {
+            const nakshatra = vi.spyOn(NakshatraCalculator.prototype, 'calculateNakshatra')
+                .mockImplementationOnce(() => { throw new ReferenceError('lord is not defined'); });
+            const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+            try {
+                const response = await request(app)
+                    .post('/api/v1/zc1/birth-chart')
+                    .send({ birthData });
+
+                expect(response.status).toBe(500);
+                expect(response.body.error.code).toBe('INTERNAL_ERROR');
+                expect(log).toHaveBeenCalledWith('ZC1 API error:', expect.any(ReferenceError));
+            } finally {
+                nakshatra.mockRestore();
+                log.mockRestore();
+            }
+        });
+
+        test('rejects invalid birth data with VALIDATION_ERROR', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .send({ birthData: { ...birthData, date: 'invalid-date', latitude: 95 } });
+
+            expect(response.status).toBe(400);
+            expect(response.body.success).toBe(false);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+            expect(response.body.error.details.errors).toEqual(expect.arrayContaining([
+                expect.stringMatching(/^birthData\.date/),
+                expect.stringMatching(/^birthData\.latitude/)
+            ]));
+            expect(response.body.metadata.requestId).toBeDefined();
+        });
+
+        test('reports the time resolution and flags repeated local times', async () => {
+            const ambiguous = { ...birthData, date: '2021-11-07', time: '01:30', timezone: 'America/New_York' };
+            const earlier = await request(app).post('/api/v1/zc1/birth-chart').send({ birthData: ambiguous });
+            const later = await request(app).post('/api/v1/zc1/birth-chart')
+                .send({ birthData: { ...ambiguous, disambiguation: 'later' } });
+
+            expect(earlier.status).toBe(200);
+            expect(earlier.body.data.timeResolution).toMatchObject({
+                timezone: 'America/New_York', offsetHours: -4, source: 'zone', status: 'ambiguous'
+            });
+            expect(later.body.data.timezoneOffset).toBe(-5);
+            expect(later.body.data.utcDateTime).toBe('2021-11-07T06:30:00.000Z');
+        });
+
+        test('uses the requested ayanamsa system', async () => {
+            const lahiri = await request(app).post('/api/v1/zc1/birth-chart').send({ birthData });
+            const raman = await request(app).post('/api/v1/zc1/birth-chart').send({ birthData, ayanamsa: 'RAMAN' });
+
+            expect(lahiri.body.data.ayanamsaSystem).toEqual({ id: 'LAHIRI', name: 'Lahiri (Chitrapaksha)' });
+            expect(raman.body.data.ayanamsaSystem.id).toBe('RAMAN');
+            expect(lahiri.body.data.ayanamsa - raman.body.data.ayanamsa).toBeCloseTo(1.44, 1);
+
+            const invalid = await request(app).post('/api/v1/zc1/birth-chart').send({ birthData, ayanamsa: 'NOPE' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.error.details.errors[0]).toMatch(/^ayanamsa:/);
+        });
+
+        test('rejects unknown time zones', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .send({ birthData: { ...birthData, timezone: 'Mars/Olympus_Mons' } });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/timezone/);
+        });
+
+        test('returns the chart document on request', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .send({ birthData, ayanamsa: 'RAMAN', format: 'canonical' });
+
+            expect(response.status).toBe(200);
+            const { chart } = response.body.data;
+            expect(validateChart(chart).valid).toBe(true);
+            expect(chart).toMatchObject({
+                moment: { utc: '1990-05-15T09:00:00.000Z' },
+                zodiac: 'sidereal',
+                ayanamsa: { system: 'RAMAN' },
+                houseSystem: 'WHOLE_SIGN',
+                source: { service: 'vedic' }
+            });
+            expect(response.body.data.timezoneOffset).toBe(5.5);
+
+            const invalid = await request(app).post('/api/v1/zc1/birth-chart').send({ birthData, format: 'xml' });
+            expect(invalid.body.error.details.errors).toEqual(['format: Must be one of standard, canonical']);
+        });
+    });
+
+    describe('dasha endpoints', () => {
+        test('GET /dasha/:userId uses the stored chart', async () => {
+            await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .set('Authorization', bearer('dasha-user'))
+                .send({ userId: 'dasha-user', birthData });
+
+            const response = await request(app)
+                .get('/api/v1/zc1/dasha/dasha-user')
+                .set('Authorization', bearer('dasha-user'))
+                .query({ targetDate: '2024-01-01T00:00:00Z' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.userId).toBe('dasha-user');
+            expect(response.body.data.mahadashas.length).toBeGreaterThan(0);
+            expect(response.body.data.current.mahadasha).toEqual(expect.any(String));
+        });
+
+        test('GET /dasha/:userId returns NOT_FOUND for unknown users', async () => {
+            const response = await request(app).get('/api/v1/zc1/dasha/nobody').set('Authorization', bearer('nobody'));
+
+            expect(response.status).toBe(404);
+            expect(response.body.error.code).toBe('NOT_FOUND');
+        });
+
+        test('stores and reads charts only for the authenticated user', async () => {
+            const anonymous = await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .send({ userId: 'chart-owner', birthData });
+            expect(anonymous.status).toBe(401);
+            expect(anonymous.body.error.code).toBe('AUTHENTICATION_ERROR');
+
+            const overwrite = await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .set('Authorization', bearer('someone-else'))
+                .send({ userId: 'chart-owner', birthData });
+            expect(overwrite.status).toBe(403);
+
+            await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .set('Authorization', bearer('chart-owner'))
+                .send({ userId: 'chart-owner', birthData });
+            const other = await request(app)
+                .get('/api/v1/zc1/dasha/chart-owner')
+                .set('Authorization', bearer('someone-else'));
+            expect(other.status).toBe(403);
+            expect(other.body.error.code).toBe('AUTHORIZATION_ERROR');
+            expect((await request(app).get('/api/v1/zc1/dasha/chart-owner')).status).toBe(401);
+        });
+
+        test('POST /dasha computes from birth data', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/dasha')
+                .send({ birthData, targetDate: '2000-01-01T00:00:00Z' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.balance.lord).toEqual(expect.any(String));
+            expect(response.body.data.targetDate).toBe('2000-01-01T00:00:00.000Z');
+        });
+    });
+
+    describe('POST /compatibility', () => {
+        test('returns a Guna Milan score out of 36', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/compatibility')
+                .send({
+                    bride: birthData,
+                    groom: { ...birthData, date: '1988-11-02', time: '06:15', latitude: 19.076, longitude: 72.8777 }
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.maxScore).toBe(36);
+            expect(response.body.data.totalScore).toBeGreaterThanOrEqual(0);
+            expect(response.body.data.totalScore).toBeLessThanOrEqual(36);
+        });
+
+        test('requires both charts', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/compatibility')
+                .send({ bride: birthData });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/^groom/);
+        });
+    });
+
+    describe('POST /divisional-charts', () => {
+        test('returns only the requested vargas', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/divisional-charts')
+                .send({ birthData, charts: ['D9'] });
+
+            expect(response.status).toBe(200);
+            expect(Object.keys(response.body.data.charts)).toEqual(['D9']);
+            expect(response.body.data.charts.D9.positions.SUN).toEqual(expect.any(Number));
+        });
+
+        test('rejects unsupported chart types', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/divisional-charts')
+                .send({ birthData, charts: ['D99'] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+        });
+    });
+
+    describe('POST /chart-image', () => {
+        test('draws the rashi chart as SVG', async () => {
+            const first = await request(app).post('/api/v1/zc1/chart-image').send({ birthData });
+            const second = await request(app).post('/api/v1/zc1/chart-image').send({ birthData });
+
+            expect(first.status).toBe(200);
+            expect(first.headers['content-type']).toMatch(/^image\/svg\+xml/);
+            const svg = first.body.toString();
+            expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+            expect(svg).toContain('Rashi Chart (D1) - North Indian style');
+            expect(second.body.toString()).toBe(svg);
+        });
+
+        test('draws a varga from its own ascendant', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/chart-image')
+                .send({ birthData, chart: 'D9', style: 'south', showDegrees: false });
+
+            expect(response.status).toBe(200);
+            expect(response.body.toString()).toContain('Navamsa Chart (D9)');
+        });
+
+        test('rejects unknown styles and chart types', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/chart-image')
+                .send({ birthData, chart: 'D99', style: 'western' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toEqual(["style: Must be 'north', 'south' or 'east'"]);
+
+            const unknownChart = await request(app).post('/api/v1/zc1/chart-image').send({ birthData, chart: 'D99' });
+            expect(unknownChart.body.error.details.errors).toEqual(['chart: Unsupported chart type D99']);
+        });
+
+        test.skipIf(isRasterizerAvailable())('reports PNG output as unavailable without a rasterizer', async () => {
+            const response = await request(app).post('/api/v1/zc1/chart-image').send({ birthData, format: 'png' });
+
+            expect(response.status).toBe(501);
+            expect(response.body.error.code).toBe('NOT_IMPLEMENTED');
+        });
+
+        test.runIf(isRasterizerAvailable())('rasterizes the chart to PNG at the SVG size', async () => {
+            const svg = await request(app).post('/api/v1/zc1/chart-image').send({ birthData });
+            const response = await request(app).post('/api/v1/zc1/chart-image').send({ birthData, format: 'png' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.body.subarray(1, 4).toString()).toBe('PNG');
+            const width = Number(svg.body.toString().match(/ width="(\d+)"/)[1]);
+            expect(response.body.readUInt32BE(16)).toBe(width);
+        });
+    });
+
+    describe('POST /panchang', () => {
+        test('returns the five panchang elements', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/panchang')
+                .send({ date: '2024-01-01T06:00:00Z', latitude: 28.6139, longitude: 77.2090 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toEqual(expect.objectContaining({
+                tithi: expect.any(Object),
+                vara: expect.any(Object),
+                nakshatra: expect.any(Object),
+                yoga: expect.any(Object),
+                karana: expect.any(Object)
+            }));
+        });
+
+        test('requires a date', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/panchang')
+                .send({ latitude: 28.6139, longitude: 77.2090 });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('POST /muhurat', () => {
+        test('finds muhurats for a short range', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/muhurat')
+                .send({ activityType: 'general', startDate: '2024-01-01', endDate: '2024-01-02', latitude: 28.6139, longitude: 77.2090 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.activityType).toBe('general');
+            expect(Array.isArray(response.body.data.muhurats)).toBe(true);
+        });
+
+        test('reports the panchang of each muhurat\'s own day', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/muhurat')
+                .send({ activityType: 'general', startDate: '2024-11-01', endDate: '2024-11-06', preferences: { minScore: 0, maxResults: 50 } });
+
+            expect(response.status).toBe(200);
+            const { muhurats } = response.body.data;
+            expect(new Set(muhurats.map(muhurat => muhurat.date)).size).toBeGreaterThan(1);
+            for (const muhurat of muhurats) {
+                expect(muhurat.panchang.date).toBe(muhurat.date);
+            }
+        });
+
+        test('rejects unsupported activity types', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/muhurat')
+                .send({ activityType: 'haircut', startDate: '2024-01-01', endDate: '2024-01-02' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toEqual([
+                'activityType: Must be one of general, marriage, business, travel, education'
+            ]);
+        });
+
+        test('rejects ranges longer than a month', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/muhurat')
+                .send({ activityType: 'marriage', startDate: '2024-01-01', endDate: '2024-06-01' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/range/);
+        });
+    });
+
+    describe('calendar endpoints', () => {
+        const delhi = { latitude: 28.6139, longitude: 77.2090, timezone: 'Asia/Kolkata' };
+
+        test('POST /calendar/export downloads festivals as iCalendar', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'panchang', ...delhi, startDate: '2024-10-27', endDate: '2024-11-04' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('text/calendar; charset=utf-8');
+            expect(response.headers['content-disposition']).toMatch(/zodiacore-panchang\.ics/);
+            expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+            expect(response.text).toContain('DTSTART;VALUE=DATE:20241031\r\nDTEND;VALUE=DATE:20241101\r\nSUMMARY:Diwali');
+            expect(response.text).toContain('TRIGGER:-PT12H');
+        });
+
+        test('POST /calendar/export needs a chart for dasha and validates the range', async () => {
+            const dasha = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'dasha', ...delhi, birthData, startDate: '2015-01-01', endDate: '2015-12-31' });
+            expect(dasha.status).toBe(200);
+            expect(dasha.text).toMatch(/SUMMARY:[A-Z][a-z]+-[A-Z][a-z]+ antardasha begins/);
+
+            const noChart = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'transits', ...delhi, startDate: '2024-01-01', endDate: '2024-02-01' });
+            expect(noChart.status).toBe(400);
+
+            const tooLong = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'muhurat', ...delhi, startDate: '2024-01-01', endDate: '2024-03-01' });
+            expect(tooLong.status).toBe(400);
+            expect(tooLong.body.error.details.errors).toEqual(['endDate: Range must not exceed 31 days']);
+        });
+
+        test('POST /calendar/export uses a stored chart only for its owner', async () => {
+            await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .set('Authorization', bearer('export-owner'))
+                .send({ userId: 'export-owner', birthData });
+            const body = { type: 'dasha', userId: 'export-owner', ...delhi, startDate: '2015-01-01', endDate: '2015-12-31' };
+
+            const owned = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .set('Authorization', bearer('export-owner'))
+                .send(body);
+            expect(owned.status).toBe(200);
+            expect(owned.text).toMatch(/antardasha begins/);
+
+            const anonymous = await request(app).post('/api/v1/zc1/calendar/export').send(body);
+            expect(anonymous.status).toBe(401);
+
+            const other = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .set('Authorization', bearer('someone-else'))
+                .send(body);
+            expect(other.status).toBe(403);
+            expect(other.body.error.code).toBe('AUTHORIZATION_ERROR');
+
+            const activity = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'muhurat', ...delhi, activityType: 'haircut', startDate: '2024-01-01', endDate: '2024-01-07' });
+            expect(activity.status).toBe(400);
+            expect(activity.body.error.details.errors[0]).toMatch(/^activityType: Must be one of/);
+        });
+
+        test('POST /calendar/export reads a chart document from another service', async () => {
+            const chart = {
+                schemaVersion: '1.0',
+                type: 'natal',
+                moment: { julianDay: 2448026.875, utc: '1990-05-15T09:00:00.000Z' },
+                zodiac: 'tropical',
+                ayanamsa: null,
+                houseSystem: 'PLACIDUS',
+                houses: [126, 148, 172, 200, 232, 272, 306, 328, 352, 20, 52, 92],
+                angles: { ASC: 126, MC: 20, DSC: 306, IC: 200 },
+                bodies: { SUN: { longitude: 54.1 }, MOON: { longitude: 307.2 } },
+                source: { service: 'western', generator: 'WesternBirthChartGenerator' }
+            };
+
+            const dasha = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'dasha', ...delhi, chart, startDate: '2015-01-01', endDate: '2015-12-31' });
+            expect(dasha.status).toBe(200);
+            expect(dasha.text).toMatch(/SUMMARY:[A-Z][a-z]+-[A-Z][a-z]+ antardasha begins/);
+
+            const invalid = await request(app)
+                .post('/api/v1/zc1/calendar/export')
+                .send({ type: 'dasha', ...delhi, birthData, chart: { ...chart, houses: [] }, startDate: '2015-01-01', endDate: '2015-12-31' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.error.details.errors).toEqual([
+                'chart: Send either birthData or chart, not both',
+                'chart.houses: Must have at least 12 items'
+            ]);
+        });
+
+        test('serves a subscription feed with a stable URL and UIDs', async () => {
+            await request(app)
+                .post('/api/v1/zc1/birth-chart')
+                .set('Authorization', bearer('calendar-user'))
+                .send({ userId: 'calendar-user', birthData });
+
+            const created = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/calendar-user/transits')
+                .set('Authorization', bearer('calendar-user'))
+                .set('Host', 'attacker.example')
+                .send({ ...delhi, days: 60 });
+            expect(created.status).toBe(201);
+            const url = new URL(created.body.data.url);
+            expect(url.origin).toBe('https://api.zodiacore.example');
+            expect(url.pathname).toBe('/api/v1/zc1/calendar/feeds/calendar-user/transits.ics');
+
+            const updated = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/calendar-user/transits')
+                .set('Authorization', bearer('calendar-user'))
+                .send({ ...delhi, days: 90, alarmMinutes: 60 });
+            expect(updated.status).toBe(200);
+            expect(new URL(updated.body.data.url).search).toBe(url.search);
+
+            const first = await request(app).get(url.pathname + url.search);
+            const second = await request(app).get(url.pathname + url.search);
+            expect(first.status).toBe(200);
+            expect(first.text).toContain('X-WR-CALNAME:ZodiaCore Transit Alerts');
+            expect(first.text).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT720M');
+            const uids = text => text.match(/^UID:.*$/gm);
+            expect(uids(second.text)).toEqual(uids(first.text));
+
+            const forbidden = await request(app).get(url.pathname).query({ token: 'wrong' });
+            expect(forbidden.status).toBe(403);
+            expect(forbidden.body.error.code).toBe('AUTHORIZATION_ERROR');
+
+            const removed = await request(app).delete('/api/v1/zc1/calendar/feeds/calendar-user/transits' + url.search);
+            expect(removed.status).toBe(200);
+            expect((await request(app).get(url.pathname + url.search)).status).toBe(404);
+        });
+
+        test('rejects feeds of unknown types and chart feeds without a chart', async () => {
+            const unknown = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/calendar-user/horoscope')
+                .set('Authorization', bearer('calendar-user'))
+                .send(delhi);
+            expect(unknown.status).toBe(400);
+
+            const noChart = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/nobody/dasha')
+                .set('Authorization', bearer('nobody'))
+                .send(delhi);
+            expect(noChart.status).toBe(404);
+        });
+
+        test('lets only the authenticated owner create a feed or read its token', async () => {
+            const owned = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/feed-owner/panchang')
+                .set('Authorization', bearer('feed-owner'))
+                .send(delhi);
+            expect(owned.status).toBe(201);
+
+            const anonymous = await request(app).put('/api/v1/zc1/calendar/feeds/feed-owner/panchang').send(delhi);
+            expect(anonymous.status).toBe(401);
+            expect(anonymous.body.error.code).toBe('AUTHENTICATION_ERROR');
+
+            const other = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/feed-owner/panchang')
+                .set('Authorization', bearer('someone-else'))
+                .send(delhi);
+            expect(other.status).toBe(403);
+            expect(other.body.error.code).toBe('AUTHORIZATION_ERROR');
+            expect(JSON.stringify(other.body)).not.toContain(new URL(owned.body.data.url).searchParams.get('token'));
+
+            delete process.env.JWT_SECRET;
+            const unconfigured = await request(app)
+                .put('/api/v1/zc1/calendar/feeds/feed-owner/panchang')
+                .set('Authorization', bearer('feed-owner'))
+                .send(delhi);
+            process.env.JWT_SECRET = secret;
+            expect(unconfigured.status).toBe(501);
+        });
+    });
+
+    test('unknown routes return NOT_FOUND', async () => {
+        const response = await request(app).get('/api/v1/zc1/unknown');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+});
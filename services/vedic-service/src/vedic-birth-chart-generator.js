@@ -12,7 +12,8 @@
 const { ASTRO_CONSTANTS, PLANETS } = require('./astro-constants');
 const {
     calculateJulianDay,
-    calculateLahiriAyanamsa,
+    calculateAyanamsa,
+    resolveAyanamsaSystem,
     calculateGMST,
     calculateLST
 } = require('./astronomical-calculations');
@@ -20,43 +21,52 @@ const { calculateAscendant, calculatePlanetaryPositions, tropicalToSidereal, cal
 const PlanetaryCalculator = require('./planetary-calculator');
 const { calculateWholeSignHouses, getHouseFromLongitude } = require('./house-systems');
 const NakshatraCalculator = require('./nakshatra-calculator');
+const { AstrologyError, ValidationError, CalculationError } = require('./errors');
 
 /**
- * Custom error classes for specific error types
+ * Error classes for the astronomical and planetary steps; both report as
+ * CALCULATION_ERROR
  */
-class ValidationError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'ValidationError';
-    }
-}
-
-class AstronomicalError extends Error {
+class AstronomicalError extends CalculationError {
     constructor(message) {
         super(message);
         this.name = 'AstronomicalError';
     }
 }
 
-class CalculationError extends Error {
+class PlanetaryError extends CalculationError {
     constructor(message) {
         super(message);
-        this.name = 'CalculationError';
+        this.name = 'PlanetaryError';
     }
 }
 
-class PlanetaryError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'PlanetaryError';
+/**
+ * Wrap an error raised by a chart step in ErrorClass if it is a calculation
+ * failure: a plain Error thrown by the engines (e.g. an unsupported planet) or
+ * an AstrologyError. Built-in errors such as TypeError are returned as they are.
+ * @param {Error} error - Caught error
+ * @param {Function} ErrorClass - CalculationError or one of its stage subclasses
+ * @param {string} stage - Failing step, the message prefix
+ * @returns {Error} Error to throw
+ */
+function wrapCalculationError(error, ErrorClass, stage) {
+    if (error.constructor === Error || error instanceof AstrologyError) {
+        return new ErrorClass(`${stage} failed: ${error.message}`);
     }
+    return error;
 }
 
 /**
  * Complete Birth Chart Generation System
  */
 class VedicBirthChartGenerator {
-    constructor() {
+    /**
+     * @param {Object} options - Generator options
+     * @param {string|Object} options.ayanamsa - Default ayanamsa system (defaults to Lahiri)
+     */
+    constructor(options = {}) {
+        this.ayanamsaSystem = options.ayanamsa || 'LAHIRI';
         this.planetaryCalculator = new PlanetaryCalculator();
         this.nakshatraCalculator = new NakshatraCalculator();
         // Supporting classes will be initialized as needed
@@ -68,15 +78,19 @@ class VedicBirthChartGenerator {
      /**
        * Generate complete birth chart
        * @param {Object} birthData - Birth information
+       * @param {Object} options - Chart options
+       * @param {string|Object} options.ayanamsa - Ayanamsa system, overriding the generator default
        * @returns {Promise<Object>} Complete birth chart
        */
-      async generateBirthChart(birthData) {
+      async generateBirthChart(birthData, options = {}) {
           try {
               // Step 1: Validate input data
               this._validateBirthData(birthData);
+              const ayanamsaSystem = options.ayanamsa || this.ayanamsaSystem;
+              this._validateAyanamsaSystem(ayanamsaSystem);
 
               // Step 2: Calculate astronomical data
-              const astroData = this._calculateAstronomicalData(birthData);
+              const astroData = this._calculateAstronomicalData(birthData, ayanamsaSystem);
 
               // Step 3: Calculate chart elements (ascendant, houses)
               const chartElements = this._calculateChartElements(astroData.julianDay, astroData.ayanamsa, astroData.lst, birthData);
@@ -99,7 +113,10 @@ class VedicBirthChartGenerator {
               return birthChart;
 
           } catch (error) {
-              throw new Error(`Birth chart generation failed: ${error.message}`);
+              if (error instanceof ValidationError) {
+                  throw error;
+              }
+              throw wrapCalculationError(error, CalculationError, 'Birth chart generation');
           }
       }
 
@@ -143,23 +160,41 @@ class VedicBirthChartGenerator {
          }
      }
 
+     /**
+      * Private method: Validate the ayanamsa system option
+      */
+     _validateAyanamsaSystem(system) {
+         try {
+             resolveAyanamsaSystem(system);
+         } catch (error) {
+             throw new ValidationError(error.message);
+         }
+     }
+
      /**
       * Private method: Calculate astronomical data
       */
-     _calculateAstronomicalData(birthData) {
+     _calculateAstronomicalData(birthData, ayanamsaSystem) {
          try {
              const julianDay = calculateJulianDay(
                  birthData.year, birthData.month, birthData.day,
                  birthData.hour, birthData.minute, birthData.second
              );
 
-             const ayanamsa = calculateLahiriAyanamsa(birthData.year);
+             const { id, name } = resolveAyanamsaSystem(ayanamsaSystem);
+             const ayanamsa = calculateAyanamsa(julianDay, ayanamsaSystem);
              const gmst = calculateGMST(julianDay);
              const lst = calculateLST(gmst, birthData.longitude);
 
-             return { julianDay, ayanamsa, gmst, lst };
+             return {
+                 julianDay,
+                 ayanamsa,
+                 ayanamsaSystem: { id, name },
+                 gmst,
+                 lst
+             };
          } catch (error) {
-             throw new AstronomicalError(`Astronomical calculation failed: ${error.message}`);
+             throw wrapCalculationError(error, AstronomicalError, 'Astronomical calculation');
          }
      }
 
@@ -173,7 +208,7 @@ class VedicBirthChartGenerator {
 
              return { ascendant, houses };
          } catch (error) {
-             throw new CalculationError(`Chart elements calculation failed: ${error.message}`);
+             throw wrapCalculationError(error, CalculationError, 'Chart elements calculation');
          }
      }
 
@@ -187,7 +222,7 @@ class VedicBirthChartGenerator {
 
              return { tropicalPositions, siderealPositions };
          } catch (error) {
-             throw new PlanetaryError(`Planetary calculation failed: ${error.message}`);
+             throw wrapCalculationError(error, PlanetaryError, 'Planetary calculation');
          }
      }
 
@@ -201,7 +236,7 @@ class VedicBirthChartGenerator {
 
              return { moonNakshatra, tithi };
          } catch (error) {
-             throw new CalculationError(`Lunar calculation failed: ${error.message}`);
+             throw wrapCalculationError(error, CalculationError, 'Lunar calculation');
          }
      }
 
@@ -217,7 +252,7 @@ class VedicBirthChartGenerator {
                  current: null
              };
          } catch (error) {
-             throw new CalculationError(`Dasha calculation failed: ${error.message}`);
+             throw wrapCalculationError(error, CalculationError, 'Dasha calculation');
          }
      }
 
@@ -231,6 +266,7 @@ class VedicBirthChartGenerator {
                  birthData: birthData,
                  julianDay: astroData.julianDay,
                  ayanamsa: astroData.ayanamsa,
+                 ayanamsaSystem: astroData.ayanamsaSystem,
                  lst: astroData.lst,
 
                  // Chart Elements
@@ -272,7 +308,7 @@ class VedicBirthChartGenerator {
                  getAspectsToPoint: (longitude) => this.getAspectsToPoint(longitude, planetaryData.siderealPositions)
              };
          } catch (error) {
-             throw new CalculationError(`Birth chart object creation failed: ${error.message}`);
+             throw wrapCalculationError(error, CalculationError, 'Birth chart object creation');
          }
      }
 
@@ -287,7 +323,7 @@ class VedicBirthChartGenerator {
              // Placeholder for future analysis components
              // this.yogaDetector, this.divisionalCalculator, etc.
          } catch (error) {
-             throw new CalculationError(`Analysis initialization failed: ${error.message}`);
+             throw wrapCalculationError(error, CalculationError, 'Analysis initialization');
          }
      }
 
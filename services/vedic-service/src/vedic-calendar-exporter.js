@@ -0,0 +1,367 @@
+/**
+ * ZodiaCore - Vedic Calendar Exporter
+ *
+ * Turns muhurats, panchang festivals, fasting days, dasha changes and transit
+ * alerts into iCalendar (RFC 5545) documents for calendar apps. Each feed type
+ * has its own calendar so users can subscribe to the ones they want. Event
+ * UIDs are derived from the user, the feed and what the event marks, so a
+ * regenerated calendar updates the events a client already holds.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const VedicMuhuratSystem = require('./vedic-muhurat-system');
+const FestivalCalendarGenerator = require('./festival-calendar-generator');
+const TithiFastingCalculator = require('./tithi-fasting-calculator');
+const RemedialFastingSystem = require('./remedial-fasting-system');
+const VimshottariDasha = require('./vimshottari-dasha');
+const { TransitAlertEngine } = require('./transit-alert-engine');
+const { ZODIAC_SIGNS } = require('./astro-constants');
+const { ALERT_CONFIG } = require('./transit-analysis-constants');
+
+// The iCalendar writer lives in the shared backend; a service deployed
+// without it can still compute events but cannot export them
+let icsBuilder = null;
+try {
+    icsBuilder = require('../../../backend/calendar/ics-builder');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') { throw error; }
+}
+const { buildCalendar, stableUid } = icsBuilder || {};
+
+/**
+ * Feed types: calendar name, default reminder in minutes before the event,
+ * default days a subscription feed looks ahead and whether the feed needs
+ * the user's birth chart
+ */
+const FEED_TYPES = {
+    muhurat: { name: 'Muhurats', alarmMinutes: 30, days: 30, needsChart: false },
+    panchang: { name: 'Festivals and Ekadashis', alarmMinutes: 720, days: 180, needsChart: false },
+    fasting: { name: 'Fasting Days', alarmMinutes: 720, days: 180, needsChart: false },
+    dasha: { name: 'Dasha Periods', alarmMinutes: 10080, days: 366, needsChart: true },
+    transits: { name: 'Transit Alerts', alarmMinutes: null, days: 180, needsChart: true }
+};
+
+// Alert priorities as iCalendar PRIORITY (1 highest, 9 lowest)
+const ALERT_PRIORITIES = {
+    [ALERT_CONFIG.CRITICAL]: 1,
+    [ALERT_CONFIG.HIGH]: 3,
+    [ALERT_CONFIG.MEDIUM]: 5,
+    [ALERT_CONFIG.LOW]: 7
+};
+
+const titleCase = text => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+// Timed events start at a Date, all-day ones at YYYY-MM-DD; both sort as ISO text
+const startKey = event => (event.start instanceof Date ? event.start.toISOString() : event.start);
+const byStart = (a, b) => startKey(a).localeCompare(startKey(b));
+
+/**
+ * Vedic Calendar Exporter Class
+ */
+class VedicCalendarExporter {
+    /**
+     * @param {Object} [options] - Engines to use instead of new instances
+     * @param {VedicMuhuratSystem} [options.muhuratSystem]
+     * @param {FestivalCalendarGenerator} [options.festivalCalendar]
+     * @param {VimshottariDasha} [options.dasha]
+     */
+    constructor(options = {}) {
+        this.muhuratSystem = options.muhuratSystem || new VedicMuhuratSystem();
+        this.festivalCalendar = options.festivalCalendar || new FestivalCalendarGenerator();
+        this.tithiFasting = new TithiFastingCalculator({ festivalCalendar: this.festivalCalendar });
+        this.remedialSystem = new RemedialFastingSystem({ festivalCalendar: this.festivalCalendar });
+        this.dasha = options.dasha || new VimshottariDasha();
+    }
+
+    /**
+     * Build the iCalendar document for a feed type
+     * @param {string} type - Feed type (see FEED_TYPES)
+     * @param {Object} options - Feed options (see getEvents)
+     * @param {number} [options.refreshMinutes] - Suggested polling interval for subscribers
+     * @param {Date} [options.stamp] - DTSTAMP (default now)
+     * @returns {Promise<string>} iCalendar text
+     */
+    async exportCalendar(type, options) {
+        const place = this.resolveLocation(options.location);
+        const events = await this.getEvents(type, options);
+
+        return buildCalendar({
+            name: `ZodiaCore ${FEED_TYPES[type].name}`,
+            description: `${FEED_TYPES[type].name} for ${place.latitude.toFixed(2)}, ${place.longitude.toFixed(2)}`,
+            timezone: place.timezone,
+            refreshMinutes: options.refreshMinutes,
+            stamp: options.stamp
+        }, events);
+    }
+
+    /**
+     * Calendar events for a feed type
+     * @param {string} type - Feed type: muhurat, panchang, fasting, dasha or transits
+     * @param {Object} options - Feed options
+     * @param {string} options.userId - User the feed belongs to; part of every UID
+     * @param {Object} options.location - { latitude, longitude, timezone? }; the zone is inferred when omitted
+     * @param {Date} options.startDate - Range start
+     * @param {Date} options.endDate - Range end
+     * @param {number} [options.alarmMinutes] - Reminder before each event (default per feed type)
+     * @param {string} [options.activityType] - Muhurat activity (default 'general')
+     * @param {Object} [options.preferences] - Muhurat preferences
+     * @param {Object} [options.chart] - Birth chart from VedicBirthChartGenerator (dasha, transits, remedial fasts)
+     * @param {Date} [options.birthDate] - Birth instant (UT) for dasha
+     * @param {Date} [options.remedyStartDate] - Day remedial fasting courses begin (default startDate)
+     * @returns {Promise<Array>} Events as taken by buildCalendar
+     * @throws {Error} If the type is unknown, the range invalid, a needed chart
+     *   missing or the shared backend calendar modules are not deployed
+     */
+    async getEvents(type, options) {
+        if (!icsBuilder) {
+            throw new Error('Calendar export requires the shared backend calendar modules');
+        }
+        const feed = FEED_TYPES[type];
+        if (!feed) {
+            throw new Error(`Unknown calendar feed type: ${type}`);
+        }
+        if (!(options.startDate < options.endDate)) {
+            throw new Error('Calendar range must end after it starts');
+        }
+        if (feed.needsChart && !options.chart) {
+            throw new Error(`The ${type} calendar needs a birth chart`);
+        }
+
+        const context = {
+            ...options,
+            place: this.resolveLocation(options.location),
+            alarmMinutes: options.alarmMinutes ?? feed.alarmMinutes
+        };
+        switch (type) {
+            case 'muhurat':
+                return this.muhuratEvents(context);
+            case 'panchang':
+                return this.panchangEvents(context);
+            case 'fasting':
+                return this.fastingEvents(context);
+            case 'dasha':
+                return this.dashaEvents(context);
+            default:
+                return this.transitEvents(context);
+        }
+    }
+
+    /**
+     * Resolve the location, requiring a named zone for the calendar
+     * @param {Object} location - { latitude, longitude, timezone? }
+     * @returns {Object} { latitude, longitude, timezone }
+     * @throws {Error} If the location is invalid or the zone is a bare offset
+     */
+    resolveLocation(location) {
+        const place = this.festivalCalendar.resolveLocation(location);
+        if (typeof place.timezone !== 'string') {
+            throw new Error('Calendar export needs an IANA time zone such as Asia/Kolkata');
+        }
+        return place;
+    }
+
+    /**
+     * Auspicious muhurats: timed slots, or whole days for the marriage,
+     * business and travel calculators
+     * @private
+     */
+    async muhuratEvents({ userId, place, startDate, endDate, activityType = 'general', preferences = {}, alarmMinutes }) {
+        // The muhurat search steps through days from midnight UT of the local dates
+        const first = new Date(`${this.festivalCalendar.toLocalDate(startDate, place.timezone)}T00:00:00Z`);
+        const last = new Date(`${this.festivalCalendar.toLocalDate(endDate, place.timezone)}T00:00:00Z`);
+        const muhurats = await this.muhuratSystem.findAuspiciousMuhurat(activityType, first, last, {
+            ...preferences,
+            latitude: place.latitude,
+            longitude: place.longitude
+        });
+
+        const activity = titleCase(activityType);
+        return muhurats
+            .map(muhurat => {
+                const slot = muhurat.timeSlot;
+                const start = slot ? slot.startTime : muhurat.date.toISOString().slice(0, 10);
+                const score = muhurat.score.totalScore;
+                return {
+                    uid: stableUid('muhurat', userId, activityType, slot ? start.toISOString() : start),
+                    summary: `${activity} muhurat${slot?.name ? ` (${slot.name})` : ''}`,
+                    start,
+                    end: slot ? slot.endTime : undefined,
+                    description: [
+                        `Score ${Math.round(score * 100)}%${muhurat.score.grade ? ` (${muhurat.score.grade})` : ''}`,
+                        muhurat.score.recommendation,
+                        ...(muhurat.recommendations || [])
+                    ].filter(Boolean).join('\n'),
+                    categories: ['Muhurat', activity],
+                    priority: Math.min(9, Math.max(1, Math.round((1 - score) * 10))),
+                    transparent: !slot,
+                    alarms: this.alarms(alarmMinutes)
+                };
+            })
+            .sort(byStart);
+    }
+
+    /**
+     * Festivals and Ekadashis from the festival calendar
+     * @private
+     */
+    panchangEvents({ userId, place, startDate, endDate, alarmMinutes }) {
+        return this.festivalCalendar.getObservances(startDate, endDate, place).map(observance => ({
+            uid: stableUid('panchang', userId, observance.name, observance.date),
+            summary: observance.name,
+            start: observance.date,
+            description: this.describeObservance(observance),
+            categories: [observance.type === 'ekadashi' ? 'Ekadashi' : 'Festival'],
+            alarms: this.alarms(alarmMinutes)
+        }));
+    }
+
+    /**
+     * Vrats: festivals and Ekadashis kept with a fast, and the remedial fasts
+     * for the doshas of the birth chart when one is given
+     * @private
+     */
+    fastingEvents({ userId, place, startDate, endDate, chart, remedyStartDate, alarmMinutes }) {
+        const events = this.tithiFasting.getFastingCalendar(startDate, endDate, place)
+            .filter(day => day.fastingRecommended)
+            .map(day => ({
+                uid: stableUid('fasting', userId, day.name, day.date),
+                summary: `${day.name} vrat`,
+                start: day.date,
+                description: [this.describeObservance(day), ...(day.rules || [])].join('\n'),
+                categories: ['Fasting'],
+                alarms: this.alarms(alarmMinutes)
+            }));
+
+        if (chart) {
+            const first = this.festivalCalendar.toLocalDate(startDate, place.timezone);
+            const last = this.festivalCalendar.toLocalDate(endDate, place.timezone);
+            // Noon UT keeps the weekday of the local date for the schedule's day arithmetic
+            const courseStart = new Date(`${this.festivalCalendar.toLocalDate(remedyStartDate || startDate, place.timezone)}T12:00:00Z`);
+            const remedies = this.remedialSystem.analyzeRemedialNeeds(this.toRemedialChart(chart));
+            const schedule = this.remedialSystem.getRemedialSchedule(remedies, courseStart, place);
+
+            for (const remedy of schedule.remedies) {
+                remedy.scheduledDates.forEach((scheduled, index) => {
+                    const date = this.festivalCalendar.toLocalDate(scheduled, place.timezone);
+                    if (date < first || date > last) return;
+                    const count = remedy.scheduledDates.length > 1 ? ` (${index + 1} of ${remedy.scheduledDates.length})` : '';
+                    events.push({
+                        uid: stableUid('fasting', userId, remedy.condition, date),
+                        summary: `${remedy.fasting}${count}`,
+                        start: date,
+                        description: [`Remedy for ${remedy.condition} (${remedy.severity} severity)`, ...remedy.rules].join('\n'),
+                        categories: ['Fasting', 'Remedy'],
+                        alarms: this.alarms(alarmMinutes)
+                    });
+                });
+            }
+        }
+
+        return events.sort(byStart);
+    }
+
+    /**
+     * Mahadasha and antardasha changes, on the local date they begin
+     * @private
+     */
+    dashaEvents({ userId, place, startDate, endDate, chart, birthDate, alarmMinutes }) {
+        const balance = this.dasha.calculateDashaBalance(chart.moonDetails.nakshatra, birthDate);
+        const tree = this.dasha.getPeriodTree(birthDate, balance, { depth: 2, startDate, endDate });
+        const periods = tree.flatMap(mahadasha => [mahadasha, ...mahadasha.children
+            // An antardasha starting with its mahadasha is announced with it
+            .filter(antardasha => antardasha.startDate.getTime() !== mahadasha.startDate.getTime())]);
+
+        return periods
+            .filter(period => period.startDate >= startDate && period.startDate < endDate)
+            .map(period => {
+                const lords = period.lords.map(titleCase).join('-');
+                const until = this.festivalCalendar.toLocalDate(period.endDate, place.timezone);
+                return {
+                    uid: stableUid('dasha', userId, period.lords.join('-'), period.startDate.toISOString()),
+                    summary: `${lords} ${period.levelName} begins`,
+                    start: this.festivalCalendar.toLocalDate(period.startDate, place.timezone),
+                    description: `${titleCase(period.levelName)} of ${lords} until ${until} (${period.years.toFixed(2)} years)`,
+                    categories: ['Dasha'],
+                    priority: period.level === 1 ? 1 : 5,
+                    alarms: this.alarms(alarmMinutes)
+                };
+            })
+            .sort(byStart);
+    }
+
+    /**
+     * Ingresses, stations and eclipses matching the alert engine's rules, at
+     * their exact time; the reminder comes as many days ahead as the rule asks
+     * unless alarmMinutes is given
+     * @private
+     */
+    transitEvents({ userId, startDate, endDate, chart, alarmMinutes }) {
+        const engine = new TransitAlertEngine(chart);
+        const events = [];
+
+        for (const event of engine.findAstronomicalEvents(startDate, endDate)) {
+            const rule = engine.rules.find(candidate => candidate.enabled && engine.matchesRule(event, candidate));
+            if (!rule) continue;
+
+            const message = engine.generateAlertMessage(event, rule);
+            events.push({
+                // Rounded to the day, so refined event times keep their UID
+                uid: stableUid('transits', userId, event.type, event.planet, event.startDate.toISOString().slice(0, 10)),
+                summary: message,
+                start: event.startDate,
+                end: event.startDate,
+                description: `${titleCase(rule.priority)} priority transit alert`,
+                categories: ['Transit', titleCase(event.type.replace(/_/g, ' '))],
+                priority: ALERT_PRIORITIES[rule.priority],
+                transparent: true,
+                alarms: this.alarms(alarmMinutes ?? rule.threshold * 1440, message)
+            });
+        }
+
+        return events;
+    }
+
+    /**
+     * Reminders for an event; none when alarmMinutes is null
+     * @private
+     */
+    alarms(alarmMinutes, description) {
+        return alarmMinutes === null || alarmMinutes === undefined ? [] : [{ minutesBefore: alarmMinutes, description }];
+    }
+
+    /**
+     * Describe a festival calendar observance
+     * @private
+     */
+    describeObservance(observance) {
+        const lines = [];
+        if (observance.significance) {
+            lines.push(observance.significance);
+        }
+        if (observance.tithi) {
+            const month = observance.lunarMonth;
+            lines.push(`${observance.tithi.paksha} ${observance.tithi.name}, ${month.adhik ? 'Adhik ' : ''}${month.amanta} (amanta)`);
+        }
+        if (observance.fasting) {
+            lines.push('Fasting observed');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Chart as RemedialFastingSystem reads it: houses and sign names
+     * @private
+     */
+    toRemedialChart(chart) {
+        const planets = {};
+        for (const [key, planet] of Object.entries(chart.planets)) {
+            planets[key] = { house: planet.house, sign: ZODIAC_SIGNS[planet.sign] };
+        }
+        return { planets };
+    }
+}
+
+module.exports = VedicCalendarExporter;
+module.exports.FEED_TYPES = FEED_TYPES;
@@ -0,0 +1,87 @@
+/**
+ * Vedic Calendar Exporter Tests
+ */
+
+const VedicCalendarExporter = require('./vedic-calendar-exporter');
+const VedicBirthChartGenerator = require('./vedic-birth-chart-generator');
+
+const DELHI = { latitude: 28.6139, longitude: 77.209, timezone: 'Asia/Kolkata' };
+// Mars in the 4th house and every planet between Rahu and Ketu
+const DOSHA_CHART = {
+    planets: {
+        SUN: { house: 2, sign: 1 }, MOON: { house: 3, sign: 2 }, MARS: { house: 4, sign: 3 },
+        MERCURY: { house: 2, sign: 1 }, JUPITER: { house: 5, sign: 4 }, VENUS: { house: 3, sign: 2 },
+        SATURN: { house: 6, sign: 5 }, RAHU: { house: 1, sign: 0 }, KETU: { house: 7, sign: 6 }
+    }
+};
+
+describe('VedicCalendarExporter', () => {
+    const exporter = new VedicCalendarExporter();
+    const range = (start, end) => ({ userId: 'user-1', location: DELHI, startDate: new Date(start), endDate: new Date(end) });
+
+    test('exports festivals and Ekadashis as all-day events with stable UIDs', async () => {
+        const events = await exporter.getEvents('panchang', range('2024-10-27T00:00:00Z', '2024-11-03T00:00:00Z'));
+
+        expect(events.map(event => `${event.start} ${event.summary}`)).toEqual([
+            '2024-10-28 Rama Ekadashi', '2024-10-29 Dhanteras', '2024-10-31 Diwali',
+            '2024-11-02 Govardhan Puja', '2024-11-03 Bhai Dooj'
+        ]);
+        expect(events[2].description).toContain('Krishna Amavasya, Ashwin (amanta)');
+        expect(events[2].alarms).toEqual([{ minutesBefore: 720, description: undefined }]);
+
+        const again = await exporter.getEvents('panchang', range('2024-10-30T00:00:00Z', '2024-11-01T00:00:00Z'));
+        expect(again[0].uid).toBe(events[2].uid);
+        const otherUser = await exporter.getEvents('panchang', { ...range('2024-10-30T00:00:00Z', '2024-11-01T00:00:00Z'), userId: 'user-2' });
+        expect(otherUser[0].uid).not.toBe(events[2].uid);
+    });
+
+    test('puts remedial fasts on their weekday and festival beside the fasting days', async () => {
+        const events = await exporter.getEvents('fasting', {
+            ...range('2024-06-01T00:00:00Z', '2024-08-31T00:00:00Z'),
+            chart: DOSHA_CHART,
+            alarmMinutes: 0
+        });
+        const summaries = events.map(event => `${event.start} ${event.summary}`);
+
+        // June 1, 2024 was a Saturday: the Tuesday vrat falls on June 4
+        expect(summaries).toContain('2024-06-04 Mangal Gauri Vrata');
+        expect(summaries).toContain('2024-08-09 Nag Panchami');
+        expect(summaries).toContain('2024-06-18 Nirjala Ekadashi vrat');
+        // Festivals kept without a fast stay out
+        expect(summaries.some(summary => /Guru Purnima|Raksha Bandhan/.test(summary))).toBe(false);
+        expect(events.every(event => event.alarms[0].minutesBefore === 0)).toBe(true);
+    });
+
+    test('announces dasha changes and times transit alerts with the rule reminders', async () => {
+        const chart = await new VedicBirthChartGenerator().generateBirthChart({
+            year: 1990, month: 5, day: 15, hour: 9, minute: 0, second: 0, latitude: 28.6139, longitude: 77.209, timezoneOffset: 5.5
+        });
+        const birthDate = new Date('1990-05-15T09:00:00Z');
+
+        const dasha = await exporter.getEvents('dasha', { ...range('2011-01-01T00:00:00Z', '2016-01-01T00:00:00Z'), chart, birthDate });
+        expect(dasha[0]).toMatchObject({ summary: 'Venus mahadasha begins', priority: 1 });
+        expect(dasha.slice(1).every(event => / antardasha begins$/.test(event.summary) && event.priority === 5)).toBe(true);
+        expect(dasha[1].summary).toBe('Venus-Sun antardasha begins');
+
+        const transits = await exporter.getEvents('transits', { ...range('2024-03-01T00:00:00Z', '2024-05-01T00:00:00Z'), chart });
+        const eclipse = transits.find(event => /Total solar eclipse/.test(event.summary));
+        expect(eclipse).toMatchObject({ priority: 1, categories: ['Transit', 'Eclipse'] });
+        expect(eclipse.start.toISOString().slice(0, 16)).toBe('2024-04-08T18:17');
+        expect(eclipse.alarms[0].minutesBefore).toBe(14 * 1440);
+        expect(transits.filter(event => /stations/.test(event.summary))).toHaveLength(2);
+
+        const ics = await exporter.exportCalendar('transits', {
+            ...range('2024-04-01T00:00:00Z', '2024-04-10T00:00:00Z'), chart, stamp: new Date(0)
+        });
+        expect(ics).toContain('DTSTART;TZID=Asia/Kolkata:20240408T234718');
+        expect(ics).toContain('TRIGGER:-P2W');
+    });
+
+    test('validates the feed type, range, chart and zone', async () => {
+        await expect(exporter.getEvents('horoscope', range('2024-01-01', '2024-02-01'))).rejects.toThrow(/Unknown calendar feed type/);
+        await expect(exporter.getEvents('panchang', range('2024-02-01', '2024-01-01'))).rejects.toThrow(/end after/);
+        await expect(exporter.getEvents('dasha', range('2024-01-01', '2024-02-01'))).rejects.toThrow(/needs a birth chart/);
+        await expect(exporter.getEvents('panchang', { ...range('2024-01-01', '2024-02-01'), location: { ...DELHI, timezone: 5.5 } }))
+            .rejects.toThrow(/IANA time zone/);
+    });
+});
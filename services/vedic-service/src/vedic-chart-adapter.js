@@ -0,0 +1,209 @@
+/**
+ * ZodiaCore - Vedic Chart Adapter
+ *
+ * Converts between VedicBirthChartGenerator charts and the service-neutral
+ * Chart document (backend/charts/chart-schema.json). Rahu and Ketu are the
+ * mean lunar nodes, so they travel as MEAN_NODE and MEAN_SOUTH_NODE; charts
+ * coming in from other services are moved into the sidereal zodiac and cast
+ * in whole-sign houses, which is what the Vedic engines expect.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { PLANETS } = require('./astro-constants');
+const { calculateAyanamsa, resolveAyanamsaSystem, midheavenFromLST } = require('./astronomical-calculations');
+const { calculateWholeSignHouses, getHouseFromLongitude } = require('./house-systems');
+const { calculateTithi } = require('./birth-chart-algorithms');
+const NakshatraCalculator = require('./nakshatra-calculator');
+const { ValidationError } = require('./errors');
+
+// The chart schema is shared through the backend; a service deployed without
+// it cannot read or write chart documents
+let chartDocument = null;
+try {
+    chartDocument = require('../../../backend/charts/chart-document');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+const {
+    CHART_SCHEMA_VERSION,
+    validateChart,
+    momentFromJulianDay,
+    deriveAngles,
+    convertZodiac,
+    normalizeLongitude
+} = chartDocument || {};
+
+// Vedic planet keys that have a different canonical body id
+const CANONICAL_IDS = { RAHU: 'MEAN_NODE', KETU: 'MEAN_SOUTH_NODE' };
+// Canonical bodies to read each node from, in order of preference
+const NODE_SOURCES = { RAHU: ['MEAN_NODE', 'TRUE_NODE'], KETU: ['MEAN_SOUTH_NODE', 'TRUE_SOUTH_NODE'] };
+
+const nakshatraCalculator = new NakshatraCalculator();
+
+/**
+ * Longitude with its sign index and degree within the sign
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} { longitude, sign, degree }
+ */
+function toSignPosition(longitude) {
+    return { longitude, sign: Math.floor(longitude / 30), degree: longitude % 30 };
+}
+
+/**
+ * Fail early when chart documents cannot be read or written
+ * @throws {Error} If the shared backend chart modules are not deployed
+ */
+function assertChartDocuments() {
+    if (!chartDocument) {
+        throw new Error('Chart documents require the shared backend chart modules');
+    }
+}
+
+/**
+ * Convert a Vedic birth chart to a Chart document
+ * @param {Object} chart - Chart from VedicBirthChartGenerator
+ * @param {Object} [options] - Document options
+ * @param {string} [options.type='natal'] - Chart type
+ * @param {string} [options.label] - Label, such as the person's name
+ * @param {Date} [options.generatedAt] - Generation time (defaults to now)
+ * @returns {Object} Chart document
+ */
+function toCanonical(chart, { type = 'natal', label, generatedAt = new Date() } = {}) {
+    assertChartDocuments();
+    const bodies = {};
+    for (const planet of PLANETS) {
+        const position = chart.planets[planet];
+        if (position) {
+            bodies[CANONICAL_IDS[planet] || planet] = {
+                longitude: normalizeLongitude(position.longitude),
+                retrograde: Boolean(position.retrograde)
+            };
+        }
+    }
+
+    const { birthData = {} } = chart;
+    const document = {
+        schemaVersion: CHART_SCHEMA_VERSION,
+        type,
+        moment: momentFromJulianDay(chart.julianDay),
+        location: Number.isFinite(birthData.latitude) && Number.isFinite(birthData.longitude)
+            ? { latitude: birthData.latitude, longitude: birthData.longitude }
+            : null,
+        zodiac: 'sidereal',
+        ayanamsa: {
+            system: chart.ayanamsaSystem ? chart.ayanamsaSystem.id : 'LAHIRI',
+            value: chart.ayanamsa
+        },
+        houseSystem: 'WHOLE_SIGN',
+        houses: chart.houses.map(normalizeLongitude),
+        angles: deriveAngles(chart.ascendant.longitude, midheavenFromLST(chart.lst) - chart.ayanamsa),
+        bodies,
+        source: { service: 'vedic', generator: 'VedicBirthChartGenerator', generatedAt: generatedAt.toISOString() }
+    };
+    if (label !== undefined) {
+        document.label = label;
+    }
+    return document;
+}
+
+/**
+ * Resolve the ayanamsa a converted chart should use
+ * @param {Object} document - Valid chart document
+ * @param {string|Object} [system] - Requested ayanamsa system
+ * @returns {Object} { id, name, value }
+ */
+function resolveTargetAyanamsa(document, system) {
+    if (system === undefined && document.zodiac === 'sidereal') {
+        // Keep the document's own ayanamsa, even one this service cannot calculate
+        let name = document.ayanamsa.system;
+        try {
+            name = resolveAyanamsaSystem(document.ayanamsa.system).name;
+        } catch (error) {
+            // Unknown here: the system id doubles as its name
+        }
+        return { id: document.ayanamsa.system, name, value: document.ayanamsa.value };
+    }
+
+    const { id, name } = resolveAyanamsaSystem(system || 'LAHIRI');
+    return { id, name, value: calculateAyanamsa(document.moment.julianDay, system || 'LAHIRI') };
+}
+
+/**
+ * Convert a Chart document to the chart shape the Vedic engines read
+ * @param {Object} document - Chart document
+ * @param {Object} [options] - Conversion options
+ * @param {string|Object} [options.ayanamsa] - Ayanamsa system; defaults to the
+ *   document's own for sidereal charts and to Lahiri for tropical ones
+ * @returns {Object} Vedic chart: birthData, julianDay, ayanamsa, ayanamsaSystem,
+ *   ascendant, houses, planets, moonDetails (when the Moon is given) and the
+ *   house lookup helper
+ * @throws {ValidationError} If the document does not match the chart schema
+ */
+function fromCanonical(document, { ayanamsa } = {}) {
+    assertChartDocuments();
+    const { valid, errors } = validateChart(document);
+    if (!valid) {
+        throw new ValidationError(`Invalid chart document: ${errors.join('; ')}`, 'chart', errors);
+    }
+
+    const target = resolveTargetAyanamsa(document, ayanamsa);
+    const sidereal = convertZodiac(document, 'sidereal', { system: target.id, value: target.value });
+    const ascendant = sidereal.angles.ASC;
+    const houses = calculateWholeSignHouses(ascendant);
+
+    const planets = {};
+    for (const planet of PLANETS) {
+        const sources = NODE_SOURCES[planet] || [planet];
+        const id = sources.find(source => sidereal.bodies[source]);
+        if (id) {
+            const body = sidereal.bodies[id];
+            planets[planet] = {
+                ...toSignPosition(body.longitude),
+                house: getHouseFromLongitude(body.longitude, houses),
+                nakshatra: planet === 'MOON' ? nakshatraCalculator.calculateNakshatra(body.longitude) : null,
+                retrograde: body.retrograde !== undefined ? body.retrograde : body.speed < 0
+            };
+        }
+    }
+    // Ketu always opposes Rahu; supply it when only the north node was sent
+    if (planets.RAHU && !planets.KETU) {
+        const longitude = normalizeLongitude(planets.RAHU.longitude + 180);
+        planets.KETU = { ...planets.RAHU, ...toSignPosition(longitude), house: getHouseFromLongitude(longitude, houses) };
+    }
+
+    const utc = new Date(document.moment.utc);
+    return {
+        birthData: {
+            year: utc.getUTCFullYear(),
+            month: utc.getUTCMonth() + 1,
+            day: utc.getUTCDate(),
+            hour: utc.getUTCHours(),
+            minute: utc.getUTCMinutes(),
+            second: utc.getUTCSeconds(),
+            latitude: document.location ? document.location.latitude : undefined,
+            longitude: document.location ? document.location.longitude : undefined
+        },
+        julianDay: document.moment.julianDay,
+        ayanamsa: target.value,
+        ayanamsaSystem: { id: target.id, name: target.name },
+        ascendant: toSignPosition(ascendant),
+        midheaven: toSignPosition(sidereal.angles.MC),
+        houses,
+        planets,
+        moonDetails: planets.MOON ? {
+            nakshatra: planets.MOON.nakshatra,
+            tithi: planets.SUN ? calculateTithi(planets.SUN.longitude, planets.MOON.longitude) : null
+        } : null,
+        getHouseFromLongitude: (longitude) => getHouseFromLongitude(longitude, houses)
+    };
+}
+
+module.exports = {
+    toCanonical,
+    fromCanonical
+};
@@ -0,0 +1,103 @@
+/**
+ * Vedic Chart Adapter Tests
+ */
+
+const VedicBirthChartGenerator = require('./vedic-birth-chart-generator');
+const { toCanonical, fromCanonical } = require('./vedic-chart-adapter');
+const { calculateAyanamsa } = require('./astronomical-calculations');
+const { validateChart } = require('../../../backend/charts/chart-document');
+
+const BIRTH_DATA = { year: 1990, month: 5, day: 15, hour: 3, minute: 30, second: 0, latitude: 28.6139, longitude: 77.209 };
+
+describe('Vedic chart adapter', () => {
+    let chart;
+
+    beforeAll(async () => {
+        chart = await new VedicBirthChartGenerator().generateBirthChart(BIRTH_DATA);
+    });
+
+    test('writes a sidereal whole-sign chart document', () => {
+        const document = toCanonical(chart, { label: 'Example', generatedAt: new Date(0) });
+
+        expect(validateChart(document)).toEqual({ valid: true, errors: [] });
+        expect(document).toMatchObject({
+            type: 'natal',
+            label: 'Example',
+            moment: { utc: '1990-05-15T03:30:00.000Z' },
+            location: { latitude: 28.6139, longitude: 77.209 },
+            zodiac: 'sidereal',
+            ayanamsa: { system: 'LAHIRI', value: chart.ayanamsa },
+            houseSystem: 'WHOLE_SIGN',
+            houses: chart.houses,
+            source: { service: 'vedic', generator: 'VedicBirthChartGenerator', generatedAt: '1970-01-01T00:00:00.000Z' }
+        });
+        expect(Object.keys(document.bodies)).toEqual(
+            ['SUN', 'MOON', 'MARS', 'MERCURY', 'JUPITER', 'VENUS', 'SATURN', 'MEAN_NODE', 'MEAN_SOUTH_NODE']);
+        expect(document.bodies.MEAN_NODE.longitude).toBe(chart.planets.RAHU.longitude);
+        expect(document.angles.ASC).toBe(chart.ascendant.longitude);
+        expect(document.angles.DSC).toBeCloseTo((chart.ascendant.longitude + 180) % 360, 10);
+    });
+
+    test('reads its own documents back unchanged', () => {
+        const restored = fromCanonical(toCanonical(chart));
+
+        expect(restored.ayanamsa).toBe(chart.ayanamsa);
+        expect(restored.ayanamsaSystem).toEqual(chart.ayanamsaSystem);
+        expect(restored.ascendant).toEqual(chart.ascendant);
+        expect(restored.houses).toEqual(chart.houses);
+        for (const planet of Object.keys(chart.planets)) {
+            expect(restored.planets[planet]).toMatchObject({
+                longitude: chart.planets[planet].longitude,
+                sign: chart.planets[planet].sign,
+                house: chart.planets[planet].house,
+                retrograde: chart.planets[planet].retrograde
+            });
+        }
+        expect(restored.moonDetails).toEqual(chart.moonDetails);
+        expect(restored.birthData).toMatchObject(BIRTH_DATA);
+        expect(restored.getHouseFromLongitude(chart.planets.SUN.longitude)).toBe(chart.planets.SUN.house);
+    });
+
+    test('moves tropical charts into the sidereal zodiac with whole-sign houses', () => {
+        const julianDay = chart.julianDay;
+        const tropical = {
+            ...toCanonical(chart),
+            zodiac: 'tropical',
+            ayanamsa: null,
+            houseSystem: 'PLACIDUS',
+            houses: [100, 128, 158, 190, 222, 251, 280, 308, 338, 10, 42, 71],
+            angles: { ASC: 100, MC: 10, DSC: 280, IC: 190 },
+            bodies: { SUN: { longitude: 54 }, PLUTO: { longitude: 225, speed: -0.02 }, TRUE_NODE: { longitude: 311.5 } },
+            source: { service: 'western', generator: 'WesternBirthChartGenerator' }
+        };
+
+        const lahiri = fromCanonical(tropical);
+        const ayanamsa = calculateAyanamsa(julianDay, 'LAHIRI');
+        expect(lahiri.ayanamsa).toBe(ayanamsa);
+        expect(lahiri.ascendant.longitude).toBeCloseTo(100 - ayanamsa, 10);
+        expect(lahiri.houses[0]).toBe(60);
+        expect(lahiri.planets.SUN).toMatchObject({ sign: 1, house: 12, retrograde: false });
+        expect(lahiri.planets.SUN.longitude).toBeCloseTo(54 - ayanamsa, 10);
+        // Outer planets have no place in the Vedic chart; the true node stands in for Rahu
+        expect(Object.keys(lahiri.planets)).toEqual(['SUN', 'RAHU', 'KETU']);
+        expect(lahiri.planets.KETU.longitude).toBeCloseTo(131.5 - ayanamsa, 10);
+
+        const raman = fromCanonical(tropical, { ayanamsa: 'RAMAN' });
+        expect(raman.ayanamsaSystem.id).toBe('RAMAN');
+        expect(raman.planets.SUN.longitude).toBeCloseTo(54 - calculateAyanamsa(julianDay, 'RAMAN'), 10);
+    });
+
+    test('rejects documents that do not match the schema', () => {
+        expect(() => fromCanonical({ ...toCanonical(chart), zodiac: 'draconic' }))
+            .toThrow(/Invalid chart document: chart\.zodiac: Must be one of tropical, sidereal/);
+        let error;
+        try {
+            fromCanonical({ schemaVersion: '1.0' });
+        } catch (thrown) {
+            error = thrown;
+        }
+        expect(error.name).toBe('ValidationError');
+        expect(error.data.field).toBe('chart');
+        expect(error.data.value).toContain('chart.moment: Is required');
+    });
+});
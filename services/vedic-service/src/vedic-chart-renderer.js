@@ -0,0 +1,455 @@
+/**
+ * ZodiaCore - Vedic Chart Renderer
+ *
+ * Draws birth charts from VedicBirthChartGenerator and divisional charts from
+ * DivisionalChartCalculator as standalone SVG in the three regional styles:
+ * - North Indian: fixed houses in a diamond, signs numbered in each house
+ * - South Indian: fixed signs in a 4x4 grid, Pisces top left, lagna marked
+ * - East Indian: fixed signs in a 3x3 grid, Aries top centre, running
+ *   anticlockwise with the corner squares split diagonally
+ *
+ * Rendering is deterministic, so the output can be cached or compared byte
+ * for byte. PNG output goes through the shared rasterizer.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ZODIAC_SIGNS, PLANETS } = require('./astro-constants');
+
+// Drawing needs the shared SVG builder and rasterizer; when the backend
+// modules are not deployed with the service, rendering reports them missing
+let svgBuilder = null;
+let svgRasterizer = null;
+try {
+    svgBuilder = require('../../../backend/rendering/svg-builder');
+    svgRasterizer = require('../../../backend/rendering/svg-rasterizer');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+const { element, text, points, svgDocument } = svgBuilder || {};
+const { rasterizeSvg } = svgRasterizer || {};
+
+const CHART_STYLES = ['north', 'south', 'east'];
+const DEFAULT_SIZE = 400;
+const MIN_SIZE = 100;
+const MAX_SIZE = 2000;
+
+const PLANET_ABBREVIATIONS = {
+    SUN: 'Su', MOON: 'Mo', MARS: 'Ma', MERCURY: 'Me', JUPITER: 'Ju',
+    VENUS: 'Ve', SATURN: 'Sa', RAHU: 'Ra', KETU: 'Ke',
+    URANUS: 'Ur', NEPTUNE: 'Ne', PLUTO: 'Pl'
+};
+const ASCENDANT_LABEL = 'Asc';
+
+const COLORS = {
+    line: '#333333',
+    text: '#1a1a1a',
+    sign: '#8a8a8a',
+    ascendant: '#c0392b',
+    retrograde: '#7f3fbf'
+};
+
+// South Indian cells [column, row] for Aries..Pisces
+const SOUTH_INDIAN_CELLS = [
+    [1, 0], [2, 0], [3, 0], [3, 1], [3, 2], [3, 3],
+    [2, 3], [1, 3], [0, 3], [0, 2], [0, 1], [0, 0]
+];
+
+/**
+ * Get the sign index of a longitude
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Sign index (0 = Aries)
+ */
+function signOf(longitude) {
+    return Math.floor((((longitude % 360) + 360) % 360) / 30);
+}
+
+/**
+ * Reduce a birth or divisional chart to the ascendant sign and planet placements
+ * @param {Object} chart - VedicBirthChartGenerator or DivisionalChartCalculator output
+ * @returns {Object} { title, ascendant: { sign, degree }, placements: [{ key, sign, degree, retrograde }] }
+ * @throws {TypeError} If the chart has no planets or ascendant
+ */
+function normalizeChart(chart) {
+    if (!chart || typeof chart !== 'object') {
+        throw new TypeError('A birth chart or divisional chart is required');
+    }
+
+    const placements = [];
+    let ascendant;
+    let title;
+
+    if (chart.positions && typeof chart.positions === 'object') {
+        // Divisional chart: the ascendant is the varga position of ASC when it was supplied
+        const ascendantLongitude = chart.positions.ASC !== undefined ? chart.positions.ASC : (chart.houses || [])[0];
+        if (typeof ascendantLongitude === 'number') {
+            ascendant = { sign: signOf(ascendantLongitude), degree: ascendantLongitude % 30 };
+        }
+        for (const [key, longitude] of Object.entries(chart.positions)) {
+            if (key !== 'ASC') {
+                placements.push({ key, sign: signOf(longitude), degree: longitude % 30, retrograde: false });
+            }
+        }
+        title = chart.name && chart.type ? `${chart.name} (${chart.type})` : chart.type;
+    } else if (chart.planets && typeof chart.planets === 'object') {
+        if (chart.ascendant) {
+            const { longitude } = chart.ascendant;
+            ascendant = {
+                sign: Number.isInteger(chart.ascendant.sign) ? chart.ascendant.sign : signOf(longitude),
+                degree: chart.ascendant.degree !== undefined ? chart.ascendant.degree : longitude % 30
+            };
+        }
+        for (const [key, planet] of Object.entries(chart.planets)) {
+            placements.push({
+                key,
+                sign: Number.isInteger(planet.sign) ? planet.sign : signOf(planet.longitude),
+                degree: planet.degree !== undefined ? planet.degree : planet.longitude % 30,
+                retrograde: Boolean(planet.retrograde)
+            });
+        }
+        title = 'Rashi Chart (D1)';
+    } else {
+        throw new TypeError('Chart must have planets or divisional positions');
+    }
+
+    if (!ascendant || !Number.isInteger(ascendant.sign) || ascendant.sign < 0 || ascendant.sign > 11) {
+        throw new TypeError('Chart must have an ascendant');
+    }
+    for (const placement of placements) {
+        if (!Number.isInteger(placement.sign) || placement.sign < 0 || placement.sign > 11) {
+            throw new TypeError(`Invalid position for ${placement.key}`);
+        }
+    }
+
+    // Classical planet order first, anything else after in input order
+    const rank = (key) => (PLANETS.includes(key) ? PLANETS.indexOf(key) : PLANETS.length);
+    placements.sort((a, b) => rank(a.key) - rank(b.key));
+
+    return { title, ascendant, placements };
+}
+
+/**
+ * Build the label shown for a planet
+ * @param {Object} placement - { key, degree, retrograde }
+ * @param {boolean} showDegrees - Whether to append the degree in the sign
+ * @returns {string} Label such as "Sa(R) 14°"
+ */
+function formatPlacement(placement, showDegrees) {
+    const abbreviation = PLANET_ABBREVIATIONS[placement.key] ||
+        placement.key.charAt(0).toUpperCase() + placement.key.slice(1, 2).toLowerCase();
+    const label = placement.retrograde ? `${abbreviation}(R)` : abbreviation;
+    return showDegrees ? `${label} ${Math.floor(placement.degree)}°` : label;
+}
+
+/**
+ * Regions of a North Indian chart, indexed by house
+ * @param {number} size - Chart size
+ * @returns {Array<Object>} { house, polygon, center, signAnchor, capacity }
+ */
+function northIndianRegions(size) {
+    const s = size;
+    const m = size / 2;
+    const q = size / 4;
+    const third = q / 3;
+
+    // Houses run anticlockwise from the top diamond; the inner vertex is nearest the centre
+    const shapes = [
+        { polygon: [[m, 0], [3 * q, q], [m, m], [q, q]], center: [m, q], inner: [m, m] },
+        { polygon: [[0, 0], [m, 0], [q, q]], center: [q, third], inner: [q, q] },
+        { polygon: [[0, 0], [q, q], [0, m]], center: [third, q], inner: [q, q] },
+        { polygon: [[0, m], [q, q], [m, m], [q, 3 * q]], center: [q, m], inner: [m, m] },
+        { polygon: [[0, m], [q, 3 * q], [0, s]], center: [third, 3 * q], inner: [q, 3 * q] },
+        { polygon: [[0, s], [q, 3 * q], [m, s]], center: [q, s - third], inner: [q, 3 * q] },
+        { polygon: [[m, s], [q, 3 * q], [m, m], [3 * q, 3 * q]], center: [m, 3 * q], inner: [m, m] },
+        { polygon: [[m, s], [3 * q, 3 * q], [s, s]], center: [3 * q, s - third], inner: [3 * q, 3 * q] },
+        { polygon: [[s, s], [3 * q, 3 * q], [s, m]], center: [s - third, 3 * q], inner: [3 * q, 3 * q] },
+        { polygon: [[s, m], [3 * q, 3 * q], [m, m], [3 * q, q]], center: [3 * q, m], inner: [m, m] },
+        { polygon: [[s, m], [3 * q, q], [s, 0]], center: [s - third, q], inner: [3 * q, q] },
+        { polygon: [[s, 0], [3 * q, q], [m, 0]], center: [3 * q, third], inner: [3 * q, q] }
+    ];
+
+    return shapes.map((shape, index) => {
+        const isKendra = shape.polygon.length === 4;
+        const signDistance = isKendra ? 0.7 : 0.6;
+        return {
+            house: index + 1,
+            polygon: shape.polygon,
+            center: shape.center,
+            signAnchor: [
+                shape.center[0] + (shape.inner[0] - shape.center[0]) * signDistance,
+                shape.center[1] + (shape.inner[1] - shape.center[1]) * signDistance
+            ],
+            capacity: isKendra ? q * 0.9 : q * 0.45
+        };
+    });
+}
+
+/**
+ * Regions of a South Indian chart, indexed by sign
+ * @param {number} size - Chart size
+ * @returns {Array<Object>} { sign, polygon, center, signAnchor, capacity }
+ */
+function southIndianRegions(size) {
+    const cell = size / 4;
+    return SOUTH_INDIAN_CELLS.map(([column, row], sign) => {
+        const x = column * cell;
+        const y = row * cell;
+        return {
+            sign,
+            polygon: [[x, y], [x + cell, y], [x + cell, y + cell], [x, y + cell]],
+            center: [x + cell / 2, y + cell * 0.55],
+            signAnchor: [x + cell * 0.8, y + cell * 0.12],
+            capacity: cell * 0.7
+        };
+    });
+}
+
+/**
+ * Regions of an East Indian chart, indexed by sign
+ * @param {number} size - Chart size
+ * @returns {Array<Object>} { sign, polygon, center, signAnchor, capacity }
+ */
+function eastIndianRegions(size) {
+    const s = size;
+    const c = size / 3;
+    const square = (x, y) => [[x, y], [x + c, y], [x + c, y + c], [x, y + c]];
+    const centroid = (polygon) => [
+        polygon.reduce((sum, point) => sum + point[0], 0) / polygon.length,
+        polygon.reduce((sum, point) => sum + point[1], 0) / polygon.length
+    ];
+
+    // Aries top centre, then anticlockwise; each corner holds two signs split by its diagonal
+    const shapes = [
+        square(c, 0),
+        [[0, 0], [c, 0], [c, c]],
+        [[0, 0], [c, c], [0, c]],
+        square(0, c),
+        [[0, 2 * c], [c, 2 * c], [0, s]],
+        [[c, 2 * c], [c, s], [0, s]],
+        square(c, 2 * c),
+        [[2 * c, 2 * c], [s, s], [2 * c, s]],
+        [[2 * c, 2 * c], [s, 2 * c], [s, s]],
+        square(2 * c, c),
+        [[s, 0], [s, c], [2 * c, c]],
+        [[2 * c, 0], [s, 0], [2 * c, c]]
+    ];
+
+    return shapes.map((polygon, sign) => {
+        const center = centroid(polygon);
+        if (polygon.length === 4) {
+            return {
+                sign,
+                polygon,
+                center: [center[0], center[1] + c * 0.06],
+                signAnchor: [polygon[0][0] + c * 0.82, polygon[0][1] + c * 0.12],
+                capacity: c * 0.7
+            };
+        }
+
+        // Triangles carry their sign name towards the outer corner of the chart
+        const corner = polygon.find(([x, y]) => (x === 0 || x === s) && (y === 0 || y === s));
+        return {
+            sign,
+            polygon,
+            center,
+            signAnchor: [center[0] + (corner[0] - center[0]) * 0.55, center[1] + (corner[1] - center[1]) * 0.55],
+            capacity: c * 0.4
+        };
+    });
+}
+
+/**
+ * Render the stacked labels of one region
+ * @param {Object} region - Region with center and capacity
+ * @param {Array<Object>} labels - { text, color }
+ * @param {number} size - Chart size, for the base font size
+ * @returns {string} Text elements
+ */
+function renderLabels(region, labels, size) {
+    if (labels.length === 0) {
+        return '';
+    }
+    const baseFontSize = size * 0.034;
+    const fontSize = Math.min(baseFontSize, region.capacity / (labels.length * 1.15));
+    const lineHeight = fontSize * 1.15;
+    const [cx, cy] = region.center;
+
+    return labels.map((label, index) => text(
+        cx,
+        cy + (index - (labels.length - 1) / 2) * lineHeight,
+        label.text,
+        { 'font-size': fontSize, fill: label.color }
+    )).join('');
+}
+
+/**
+ * Group planet labels by sign, with the ascendant first in its sign
+ * @param {Object} normalized - Output of normalizeChart
+ * @param {boolean} showDegrees - Whether to show degrees
+ * @returns {Array<Array<Object>>} Labels for each sign
+ */
+function labelsBySign(normalized, showDegrees) {
+    const bySign = Array.from({ length: 12 }, () => []);
+    const { ascendant } = normalized;
+    bySign[ascendant.sign].push({
+        text: showDegrees ? `${ASCENDANT_LABEL} ${Math.floor(ascendant.degree)}°` : ASCENDANT_LABEL,
+        color: COLORS.ascendant
+    });
+    for (const placement of normalized.placements) {
+        bySign[placement.sign].push({
+            text: formatPlacement(placement, showDegrees),
+            color: placement.retrograde ? COLORS.retrograde : COLORS.text
+        });
+    }
+    return bySign;
+}
+
+/**
+ * Draw the region outlines
+ * @param {Array<Object>} regions - Regions with polygons
+ * @returns {string} Polygon elements
+ */
+function renderOutlines(regions) {
+    return element('g', { fill: 'none', stroke: COLORS.line, 'stroke-width': 1.5, 'stroke-linejoin': 'round' },
+        regions.map(region => element('polygon', { points: points(region.polygon) })));
+}
+
+/**
+ * Draw a North Indian chart body
+ * @param {Object} normalized - Output of normalizeChart
+ * @param {number} size - Chart size
+ * @param {boolean} showDegrees - Whether to show degrees
+ * @returns {Array<string>} Elements
+ */
+function renderNorthIndian(normalized, size, showDegrees) {
+    const bySign = labelsBySign(normalized, showDegrees);
+    const regions = northIndianRegions(size);
+
+    return [
+        renderOutlines(regions),
+        ...regions.map(region => {
+            const sign = (normalized.ascendant.sign + region.house - 1) % 12;
+            return element('g', { class: `house house-${region.house}` }, [
+                text(region.signAnchor[0], region.signAnchor[1], String(sign + 1), {
+                    'font-size': size * 0.03,
+                    fill: region.house === 1 ? COLORS.ascendant : COLORS.sign
+                }),
+                renderLabels(region, bySign[sign], size)
+            ]);
+        })
+    ];
+}
+
+/**
+ * Draw a South or East Indian chart body, where signs have fixed places
+ * @param {Object} normalized - Output of normalizeChart
+ * @param {number} size - Chart size
+ * @param {boolean} showDegrees - Whether to show degrees
+ * @param {Array<Object>} regions - Regions indexed by sign
+ * @param {Array<number>} innerBox - [x, y, width] of the empty centre holding the title
+ * @returns {Array<string>} Elements
+ */
+function renderFixedSigns(normalized, size, showDegrees, regions, innerBox) {
+    const bySign = labelsBySign(normalized, showDegrees);
+    const ascendantRegion = regions[normalized.ascendant.sign];
+    const body = [renderOutlines(regions)];
+
+    // Lagna squares are marked with a diagonal across the top left corner
+    if (ascendantRegion.polygon.length === 4) {
+        const [x, y] = ascendantRegion.polygon[0];
+        const markLength = size * 0.045;
+        body.push(element('line', {
+            x1: x,
+            y1: y,
+            x2: x + markLength,
+            y2: y + markLength,
+            stroke: COLORS.ascendant,
+            'stroke-width': 2,
+            class: 'ascendant-marker'
+        }));
+    }
+
+    for (const region of regions) {
+        const signName = ZODIAC_SIGNS[region.sign].slice(0, 3);
+        body.push(element('g', { class: `sign sign-${region.sign + 1}` }, [
+            text(region.signAnchor[0], region.signAnchor[1], signName, { 'font-size': size * 0.026, fill: COLORS.sign }),
+            renderLabels(region, bySign[region.sign], size)
+        ]));
+    }
+
+    if (normalized.title) {
+        const [x, y, width] = innerBox;
+        body.push(text(x + width / 2, y + width / 2, normalized.title, {
+            'font-size': Math.min(size * 0.04, (width * 1.6) / normalized.title.length),
+            fill: COLORS.text,
+            class: 'chart-title'
+        }));
+    }
+    return body;
+}
+
+/**
+ * Render a Vedic chart as SVG
+ * @param {Object} chart - VedicBirthChartGenerator or DivisionalChartCalculator output
+ *   (divisional charts need positions.ASC for their own ascendant)
+ * @param {Object} options - Rendering options
+ * @param {string} options.style - 'north' (default), 'south' or 'east'
+ * @param {number} options.size - Width and height in pixels (100-2000, default 400)
+ * @param {boolean} options.showDegrees - Show degrees in sign after each planet (default true)
+ * @param {string} options.title - Chart title (defaults to the varga name)
+ * @returns {string} SVG document
+ * @throws {RangeError} If the style or size is invalid
+ * @throws {Error} If the shared rendering modules are not deployed
+ * @throws {TypeError} If the chart cannot be drawn
+ */
+function renderVedicChart(chart, options = {}) {
+    if (!svgBuilder || !svgRasterizer) {
+        throw new Error('Chart rendering requires the shared backend rendering modules');
+    }
+    const { style = 'north', size = DEFAULT_SIZE, showDegrees = true } = options;
+    if (!CHART_STYLES.includes(style)) {
+        throw new RangeError(`Unsupported chart style: ${style}. Use one of ${CHART_STYLES.join(', ')}`);
+    }
+    if (!Number.isFinite(size) || size < MIN_SIZE || size > MAX_SIZE) {
+        throw new RangeError(`Chart size must be between ${MIN_SIZE} and ${MAX_SIZE} pixels`);
+    }
+
+    const normalized = normalizeChart(chart);
+    if (options.title !== undefined) {
+        normalized.title = options.title;
+    }
+
+    let body;
+    if (style === 'north') {
+        body = renderNorthIndian(normalized, size, showDegrees);
+    } else if (style === 'south') {
+        body = renderFixedSigns(normalized, size, showDegrees, southIndianRegions(size), [size / 4, size / 4, size / 2]);
+    } else {
+        body = renderFixedSigns(normalized, size, showDegrees, eastIndianRegions(size), [size / 3, size / 3, size / 3]);
+    }
+
+    const title = `${normalized.title || 'Vedic chart'} - ${style.charAt(0).toUpperCase() + style.slice(1)} Indian style`;
+    return svgDocument({ width: size, height: size, title }, element('g', { class: `vedic-chart ${style}-indian` }, body));
+}
+
+/**
+ * Render a Vedic chart as PNG
+ * @param {Object} chart - VedicBirthChartGenerator or DivisionalChartCalculator output
+ * @param {Object} options - renderVedicChart options; size is the PNG width
+ * @returns {Buffer} PNG image
+ * @throws {RasterizerUnavailableError} If no rasterizer is installed
+ */
+function renderVedicChartPng(chart, options = {}) {
+    return rasterizeSvg(renderVedicChart(chart, options));
+}
+
+module.exports = {
+    renderVedicChart,
+    renderVedicChartPng,
+    normalizeChart,
+    CHART_STYLES
+};
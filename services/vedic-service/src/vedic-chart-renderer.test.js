@@ -0,0 +1,95 @@
+/**
+ * Vedic Chart Renderer Tests
+ */
+
+const { renderVedicChart, normalizeChart } = require('./vedic-chart-renderer');
+const DivisionalChartCalculator = require('./divisional-chart-calculator');
+
+function buildChart() {
+    const longitudes = {
+        SUN: 10.5,      // Aries
+        MOON: 200,      // Libra
+        MARS: 130,      // Leo
+        MERCURY: 20,    // Aries
+        JUPITER: 250,   // Sagittarius
+        VENUS: 70,      // Gemini
+        SATURN: 300,    // Aquarius
+        RAHU: 5,        // Aries
+        KETU: 185       // Libra
+    };
+    const planets = {};
+    for (const [planet, longitude] of Object.entries(longitudes)) {
+        planets[planet] = { longitude, sign: Math.floor(longitude / 30), degree: longitude % 30, retrograde: planet === 'SATURN' };
+    }
+    return { ascendant: { longitude: 125.3, sign: 4, degree: 5.3 }, planets };
+}
+
+// Text of the labels drawn in a group, by class name
+function labelsIn(svg, className) {
+    const group = svg.match(new RegExp(`<g class="${className}">(.*?)</g>`));
+    return group ? [...group[1].matchAll(/>([^<]+)<\/text>/g)].map(match => match[1]) : [];
+}
+
+describe('renderVedicChart', () => {
+    test('renders identical SVG for identical charts', () => {
+        for (const style of ['north', 'south', 'east']) {
+            const svg = renderVedicChart(buildChart(), { style });
+            expect(svg).toBe(renderVedicChart(buildChart(), { style }));
+            expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="400" height="400" viewBox="0 0 400 400"/);
+            expect(svg).not.toMatch(/\d\.\d{3}/);
+        }
+    });
+
+    test('North Indian: houses are fixed and numbered with their signs', () => {
+        const svg = renderVedicChart(buildChart(), { style: 'north' });
+
+        // Leo rises: sign 5 in the 1st house, Aries (1) in the 9th with Sun, Mercury and Rahu
+        expect(labelsIn(svg, 'house house-1')).toEqual(['5', 'Asc 5°', 'Ma 10°']);
+        expect(labelsIn(svg, 'house house-9')).toEqual(['1', 'Su 10°', 'Me 20°', 'Ra 5°']);
+        expect(labelsIn(svg, 'house house-7')).toEqual(['11', 'Sa(R) 0°']);
+    });
+
+    test('South Indian: signs are fixed and the lagna is marked', () => {
+        const svg = renderVedicChart(buildChart(), { style: 'south', showDegrees: false });
+
+        expect(labelsIn(svg, 'sign sign-1')).toEqual(['Ari', 'Su', 'Me', 'Ra']);
+        expect(labelsIn(svg, 'sign sign-5')).toEqual(['Leo', 'Asc', 'Ma']);
+        // Leo is the right-hand cell of the third row
+        expect(svg).toContain('<line x1="300" y1="200" x2="318" y2="218"');
+        expect(svg).toContain('Rashi Chart (D1)');
+    });
+
+    test('East Indian: Aries sits top centre with Taurus and Gemini in the top left corner', () => {
+        const svg = renderVedicChart(buildChart(), { style: 'east', showDegrees: false, title: 'Birth chart' });
+        const polygons = [...svg.matchAll(/<polygon points="([^"]+)"/g)].map(match => match[1]);
+
+        expect(polygons[0]).toBe('133.33,0 266.67,0 266.67,133.33 133.33,133.33');
+        expect(polygons[1]).toBe('0,0 133.33,0 133.33,133.33');
+        expect(polygons[2]).toBe('0,0 133.33,133.33 0,133.33');
+        expect(labelsIn(svg, 'sign sign-3')).toEqual(['Gem', 'Ve']);
+        expect(svg).toContain('>Birth chart</text>');
+    });
+
+    test('draws divisional charts from their own ascendant', () => {
+        const chart = buildChart();
+        const positions = { ASC: chart.ascendant.longitude };
+        for (const planet in chart.planets) {
+            positions[planet] = chart.planets[planet].longitude;
+        }
+        const navamsa = new DivisionalChartCalculator().generateDivisionalChart(positions, 'D9');
+        const normalized = normalizeChart(navamsa);
+
+        expect(normalized.title).toBe('Navamsa Chart (D9)');
+        expect(normalized.ascendant.sign).toBe(Math.floor(navamsa.positions.ASC / 30));
+        expect(normalized.placements.map(placement => placement.key)).toEqual(Object.keys(chart.planets));
+        expect(renderVedicChart(navamsa)).toContain('Navamsa Chart (D9) - North Indian style');
+    });
+
+    test('escapes titles and rejects invalid input', () => {
+        expect(renderVedicChart(buildChart(), { style: 'south', title: 'A & B <chart>' })).toContain('A &amp; B &lt;chart&gt;');
+        expect(() => renderVedicChart(buildChart(), { style: 'western' })).toThrow(RangeError);
+        expect(() => renderVedicChart(buildChart(), { size: 50 })).toThrow(RangeError);
+        expect(() => renderVedicChart({ planets: {} })).toThrow(/ascendant/);
+        expect(() => renderVedicChart(null)).toThrow(TypeError);
+    });
+});
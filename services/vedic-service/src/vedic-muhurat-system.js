@@ -47,17 +47,26 @@ class VedicMuhuratSystem {
             const candidates = [];
 
             // Use specialized calculator if available
-            if (this.specializedCalculators[activityType]) {
-                return await this.specializedCalculators[activityType].findMuhurat(
-                    startDate, endDate, preferences
-                );
+            switch (activityType) {
+                case 'marriage':
+                    return await this.specializedCalculators.marriage.findMarriageMuhurat(
+                        startDate, endDate, preferences
+                    );
+                case 'business':
+                    return await this.specializedCalculators.business.findBusinessMuhurat(
+                        startDate, endDate, preferences.businessType, preferences
+                    );
+                case 'travel':
+                    return await this.specializedCalculators.travel.findTravelMuhurat(
+                        startDate, endDate, preferences.direction, preferences
+                    );
             }
 
             // General muhurat finding
             for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
                 try {
                     const panchang = await this.panchangCalculator.calculatePanchang(
-                        date,
+                        new Date(date),
                         preferences.latitude || 28.6139, // Default Delhi
                         preferences.longitude || 77.2090
                     );
@@ -104,7 +113,10 @@ class VedicMuhuratSystem {
      */
     generateTimeSlots(panchang, preferences) {
         const slots = [];
-        const sunrise = panchang.sunrise;
+        // Panchang reports sunrise in decimal UT hours on the panchang date
+        const sunrise = new Date(panchang.date);
+        sunrise.setUTCHours(0, 0, 0, 0);
+        sunrise.setTime(sunrise.getTime() + panchang.sunrise * 60 * 60 * 1000);
         const sunset = new Date(sunrise.getTime() + (12 * 60 * 60 * 1000)); // Approximate
 
         // Morning slots (after sunrise)
@@ -159,7 +171,7 @@ class VedicMuhuratSystem {
      * @returns {Array} Array of daily Muhurats
      */
     async getDailyMuhurats(date, latitude = 28.6139, longitude = 77.2090) {
-        const panchang = await this.panchangCalculator.calculatePanchang(date, latitude, longitude);
+        const panchang = await this.panchangCalculator.calculatePanchang(new Date(date), latitude, longitude);
         return this.muhuratCalculator.calculateDailyMuhurats(panchang.sunrise, date);
     }
 
@@ -11,6 +11,11 @@
 
 const { PLANETARY_PERIODS } = require('./astro-constants');
 
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Period levels from mahadasha (1) down to prana dasha (5)
+const DASHA_LEVELS = ['mahadasha', 'antardasha', 'pratyantardasha', 'sookshma', 'prana'];
+
 /**
  * Vimshottari Dasha Calculator
  * Handles dasha calculations, balances, and current dasha determination
@@ -30,24 +35,21 @@ class VimshottariDasha {
     calculateDashaBalance(moonNakshatra, birthDate) {
         const nakshatraLord = moonNakshatra.lord;
         const degreesInNakshatra = moonNakshatra.degreesInNakshatra;
-        const totalNakshatraDegrees = 13.333333; // 40 arcminutes = 13.333 degrees
+        const totalNakshatraDegrees = 360 / 27; // 13°20'
 
         // Calculate remaining degrees in nakshatra
         const remainingDegrees = totalNakshatraDegrees - degreesInNakshatra;
 
-        // Convert to time (1 degree = 1 day in dasha calculations)
-        const remainingDays = remainingDegrees;
-
         // Get the period of the nakshatra lord
         const lordPeriod = PLANETARY_PERIODS[nakshatraLord];
 
-        // Calculate balance years
-        const balanceYears = (remainingDays / 360) * lordPeriod;
+        // The unelapsed part of the nakshatra is the unelapsed part of its lord's period
+        const balanceYears = (remainingDegrees / totalNakshatraDegrees) * lordPeriod;
 
         return {
             lord: nakshatraLord,
             balanceYears: balanceYears,
-            balanceDays: remainingDays,
+            balanceDays: balanceYears * 365.25,
             startingDasha: nakshatraLord
         };
     }
@@ -74,10 +76,10 @@ class VimshottariDasha {
             currentDate = mahadashas[mahadashas.length - 1].endDate;
         }
 
-        // Generate full cycle mahadashas
+        // Generate full cycle mahadashas, starting from the balance lord
         const startIndex = this.dashaOrder.indexOf(balance.lord);
         for (let i = 0; i < this.dashaOrder.length; i++) {
-            const planetIndex = (startIndex + i + 1) % this.dashaOrder.length;
+            const planetIndex = (startIndex + i) % this.dashaOrder.length;
             const planet = this.dashaOrder[planetIndex];
             const period = PLANETARY_PERIODS[planet];
 
@@ -135,35 +137,206 @@ class VimshottariDasha {
      * @returns {Object} Antardasha information
      */
     calculateAntardasha(mahadasha, targetDate) {
-        const mahadashaDuration = mahadasha.years * 365.25 * 24 * 60 * 60 * 1000; // in milliseconds
-        const elapsed = targetDate - mahadasha.startDate;
-        const progress = elapsed / mahadashaDuration;
+        const antardasha = this.calculateSubPeriods(mahadasha)
+            .find(period => targetDate >= period.startDate && targetDate < period.endDate);
+        if (!antardasha) {
+            return null;
+        }
 
-        // Find which antardasha period we're in
-        let cumulativeProgress = 0;
-        const mahadashaLord = mahadasha.planet;
+        return {
+            planet: antardasha.planet,
+            startDate: antardasha.startDate,
+            endDate: antardasha.endDate,
+            progress: (targetDate - antardasha.startDate) / (antardasha.endDate - antardasha.startDate)
+        };
+    }
 
-        for (const antardashaLord of this.dashaOrder) {
-            const antardashaPeriod = PLANETARY_PERIODS[antardashaLord];
-            const antardashaPortion = antardashaPeriod / PLANETARY_PERIODS[mahadashaLord];
-            const antardashaDuration = antardashaPortion * mahadashaDuration;
+    /**
+     * Divide a period into its nine sub-periods
+     * Sub-periods start with the period's own lord and follow the dasha order,
+     * each taking its lord's share of 120 years. A mahadasha running at birth
+     * is divided over its full length and the part before birth is dropped.
+     * @param {Object} period - Mahadasha from generateMahadashas or a period node
+     * @returns {Array} Sub-periods { planet, startDate, endDate, years, fullStartDate, fullYears }
+     */
+    calculateSubPeriods(period) {
+        const fullYears = period.fullYears ?? PLANETARY_PERIODS[period.planet];
+        const fullStart = period.fullStartDate
+            ? period.fullStartDate.getTime()
+            : period.endDate.getTime() - fullYears * MS_PER_YEAR;
+        const periodStart = period.startDate.getTime();
+        const periodEnd = period.endDate.getTime();
+        const startIndex = this.dashaOrder.indexOf(period.planet);
 
-            if (progress <= cumulativeProgress + antardashaPortion) {
-                const antardashaStart = new Date(mahadasha.startDate.getTime() + (cumulativeProgress * mahadashaDuration));
-                const antardashaEnd = new Date(antardashaStart.getTime() + antardashaDuration);
+        const subPeriods = [];
+        let subStart = fullStart;
+        for (let i = 0; i < this.dashaOrder.length; i++) {
+            const planet = this.dashaOrder[(startIndex + i) % this.dashaOrder.length];
+            const subYears = fullYears * PLANETARY_PERIODS[planet] / this.totalCycleYears;
+            // The last sub-period closes its parent exactly despite rounding
+            const subEnd = i === this.dashaOrder.length - 1 ? periodEnd : subStart + subYears * MS_PER_YEAR;
 
-                return {
-                    planet: antardashaLord,
-                    startDate: antardashaStart,
-                    endDate: antardashaEnd,
-                    progress: (progress - cumulativeProgress) / antardashaPortion
-                };
+            if (subEnd > periodStart) {
+                const startDate = new Date(Math.max(subStart, periodStart));
+                subPeriods.push({
+                    planet,
+                    startDate,
+                    endDate: new Date(subEnd),
+                    years: (subEnd - startDate.getTime()) / MS_PER_YEAR,
+                    fullStartDate: new Date(subStart),
+                    fullYears: subYears
+                });
             }
+            subStart = subEnd;
+        }
+
+        return subPeriods;
+    }
 
-            cumulativeProgress += antardashaPortion;
+    /**
+     * Build the tree of dasha periods down to a given level
+     * Levels are 1 mahadasha, 2 antardasha, 3 pratyantardasha, 4 sookshma and
+     * 5 prana. Only periods overlapping the date range are included; keep the
+     * range narrow for deep levels, as each level multiplies the periods by nine.
+     * @param {Date} birthDate - Birth date
+     * @param {Object} balance - Dasha balance
+     * @param {Object} [options] - Tree options
+     * @param {number} [options.depth=2] - Deepest level, 1-5
+     * @param {Date} [options.startDate] - Range start (default: birth)
+     * @param {Date} [options.endDate] - Range end (default: end of the cycle)
+     * @returns {Array} Period nodes { level, levelName, planet, lords, startDate, endDate, years, children }
+     * @throws {RangeError} If the depth or range is invalid
+     */
+    getPeriodTree(birthDate, balance, options = {}) {
+        const depth = options.depth ?? 2;
+        if (!Number.isInteger(depth) || depth < 1 || depth > DASHA_LEVELS.length) {
+            throw new RangeError(`Dasha depth must be an integer from 1 to ${DASHA_LEVELS.length}`);
+        }
+        const range = this.resolveRange(birthDate, options);
+
+        const mahadashas = this.generateMahadashas(birthDate, balance).map(mahadasha => ({
+            planet: mahadasha.planet,
+            startDate: mahadasha.startDate,
+            endDate: mahadasha.endDate,
+            years: mahadasha.years
+        }));
+
+        return this.buildPeriodNodes(mahadashas, [], 1, depth, range);
+    }
+
+    /**
+     * Find the periods of a lord sequence such as JUPITER-SATURN-MERCURY
+     * @param {Date} birthDate - Birth date
+     * @param {Object} balance - Dasha balance
+     * @param {Array<string>|string} lords - Lords from mahadasha down, as an array or
+     *        'JUPITER-SATURN-MERCURY'; '*' matches any lord at that level
+     * @param {Object} [options] - Search options
+     * @param {Date} [options.startDate] - Range start (default: birth)
+     * @param {Date} [options.endDate] - Range end (default: end of the cycle)
+     * @returns {Array} Matching periods at the sequence's level, in date order
+     * @throws {RangeError} If the sequence is empty, too deep or names an unknown lord
+     */
+    findPeriods(birthDate, balance, lords, options = {}) {
+        const sequence = (Array.isArray(lords) ? lords : String(lords).split('-'))
+            .map(lord => String(lord).trim().toUpperCase());
+        if (sequence.length < 1 || sequence.length > DASHA_LEVELS.length) {
+            throw new RangeError(`A dasha sequence names 1 to ${DASHA_LEVELS.length} lords`);
+        }
+        const unknown = sequence.filter(lord => lord !== '*' && !this.dashaOrder.includes(lord));
+        if (unknown.length > 0) {
+            throw new RangeError(`Unknown dasha lord: ${unknown.join(', ')}`);
         }
+        const range = this.resolveRange(birthDate, options);
 
-        return null;
+        const matches = [];
+        const search = (periods, lordsSoFar) => {
+            const level = lordsSoFar.length + 1;
+            const wanted = sequence[level - 1];
+            for (const period of periods) {
+                if (period.endDate <= range.startDate || period.startDate >= range.endDate) continue;
+                if (wanted !== '*' && period.planet !== wanted) continue;
+
+                const lordsHere = [...lordsSoFar, period.planet];
+                if (level === sequence.length) {
+                    matches.push(this.toPeriodNode(period, lordsHere));
+                } else {
+                    search(this.calculateSubPeriods(period), lordsHere);
+                }
+            }
+        };
+        search(this.generateMahadashas(birthDate, balance), []);
+
+        return matches;
+    }
+
+    /**
+     * Get the running period at every level for a date
+     * @param {Date} birthDate - Birth date
+     * @param {Date} targetDate - Date to check
+     * @param {Object} balance - Dasha balance
+     * @param {number} [depth=5] - Deepest level, 1-5
+     * @returns {Array} One period node per level, mahadasha first; empty outside the cycle
+     */
+    getPeriodsAt(birthDate, targetDate, balance, depth = DASHA_LEVELS.length) {
+        const instant = new Date(targetDate.getTime() + 1);
+        const chain = [];
+        const descend = (nodes) => {
+            const node = nodes.find(period => targetDate >= period.startDate && targetDate < period.endDate);
+            if (!node) return;
+            const { children, ...period } = node;
+            chain.push(period);
+            if (children) descend(children);
+        };
+        descend(this.getPeriodTree(birthDate, balance, { depth, startDate: targetDate, endDate: instant }));
+        return chain;
+    }
+
+    /**
+     * Turn nested periods into tree nodes within a range
+     * @private
+     */
+    buildPeriodNodes(periods, parentLords, level, depth, range) {
+        return periods
+            .filter(period => period.endDate > range.startDate && period.startDate < range.endDate)
+            .map(period => {
+                const lords = [...parentLords, period.planet];
+                const node = this.toPeriodNode(period, lords);
+                if (level < depth) {
+                    node.children = this.buildPeriodNodes(this.calculateSubPeriods(period), lords, level + 1, depth, range);
+                }
+                return node;
+            });
+    }
+
+    /**
+     * Public shape of a period at any level
+     * @private
+     */
+    toPeriodNode(period, lords) {
+        return {
+            level: lords.length,
+            levelName: DASHA_LEVELS[lords.length - 1],
+            planet: period.planet,
+            lords,
+            startDate: period.startDate,
+            endDate: period.endDate,
+            years: (period.endDate - period.startDate) / MS_PER_YEAR
+        };
+    }
+
+    /**
+     * Resolve an optional date range against the dasha cycle
+     * @private
+     */
+    resolveRange(birthDate, options) {
+        const startDate = options.startDate ? new Date(options.startDate) : new Date(birthDate);
+        const endDate = options.endDate
+            ? new Date(options.endDate)
+            : new Date(birthDate.getTime() + this.totalCycleYears * MS_PER_YEAR);
+        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || endDate <= startDate) {
+            throw new RangeError('Dasha range end must be a valid date after its start');
+        }
+        return { startDate, endDate };
     }
 
     /**
@@ -239,4 +412,5 @@ class VimshottariDasha {
     }
 }
 
-module.exports = VimshottariDasha;
\ No newline at end of file
+module.exports = VimshottariDasha;
+module.exports.DASHA_LEVELS = DASHA_LEVELS;
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Vimshottari Dasha Tests
+ */
+
+const VimshottariDasha = require('./vimshottari-dasha');
+const HoraryTimingAnalyzer = require('./horary-timing-analyzer');
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const NAKSHATRA_SPAN = 360 / 27;
+const birthDate = new Date(Date.UTC(1990, 4, 15, 9, 0));
+const yearsAfterBirth = (years) => new Date(birthDate.getTime() + years * MS_PER_YEAR);
+const yearsBetween = (start, end) => (end - start) / MS_PER_YEAR;
+
+describe('VimshottariDasha', () => {
+    let dasha;
+    let balance;
+
+    beforeEach(() => {
+        dasha = new VimshottariDasha();
+        // Halfway through a Rahu nakshatra: 9 of Rahu's 18 years remain
+        balance = dasha.calculateDashaBalance({ lord: 'RAHU', degreesInNakshatra: NAKSHATRA_SPAN / 2 }, birthDate);
+    });
+
+    it('takes the balance from the unelapsed part of the nakshatra', () => {
+        expect(balance.balanceYears).toBeCloseTo(9, 9);
+        expect(dasha.generateMahadashas(birthDate, balance).map(period => period.planet))
+            .toEqual(['RAHU', 'JUPITER', 'SATURN', 'MERCURY', 'KETU', 'VENUS', 'SUN', 'MOON', 'MARS']);
+    });
+
+    it('starts antardashas from the mahadasha lord', () => {
+        const current = dasha.getCurrentDasha(birthDate, yearsAfterBirth(10), balance);
+
+        expect(current.mahadasha).toBe('JUPITER');
+        expect(current.antardasha.planet).toBe('JUPITER');
+        expect(yearsBetween(current.antardasha.startDate, current.antardasha.endDate)).toBeCloseTo(16 * 16 / 120, 9);
+    });
+
+    it('divides the mahadasha running at birth over its full length', () => {
+        // Rahu's antardashas: Rahu 2.7, Jupiter 2.4, Saturn 2.85, Mercury 2.55 years;
+        // 9 years had elapsed at birth, so Mercury's began 1.05 years earlier
+        const [rahu] = dasha.getPeriodTree(birthDate, balance, { depth: 2 });
+
+        expect(rahu.children[0].planet).toBe('MERCURY');
+        expect(rahu.children[0].startDate).toEqual(birthDate);
+        expect(rahu.children[0].years).toBeCloseTo(1.5, 9);
+        expect(rahu.children[rahu.children.length - 1].endDate).toEqual(rahu.endDate);
+        expect(dasha.getCurrentDasha(birthDate, birthDate, balance).antardasha.planet).toBe('MERCURY');
+    });
+
+    it('builds nested periods down to prana dasha within a range', () => {
+        const tree = dasha.getPeriodTree(birthDate, balance, {
+            depth: 5,
+            startDate: yearsAfterBirth(20),
+            endDate: yearsAfterBirth(20.01)
+        });
+
+        let node = tree[0];
+        const levels = [];
+        while (node) {
+            levels.push(node.levelName);
+            expect(node.lords).toHaveLength(node.level);
+            if (node.children) {
+                const childYears = node.children.reduce((total, child) => total + child.years, 0);
+                expect(node.children[0].startDate >= node.startDate).toBe(true);
+                expect(node.children[node.children.length - 1].endDate <= node.endDate).toBe(true);
+                expect(childYears).toBeLessThanOrEqual(node.years + 1e-9);
+            }
+            node = node.children?.[0];
+        }
+        expect(levels).toEqual(['mahadasha', 'antardasha', 'pratyantardasha', 'sookshma', 'prana']);
+    });
+
+    it('reports the running period at every level', () => {
+        const target = yearsAfterBirth(33.3);
+        const chain = dasha.getPeriodsAt(birthDate, target, balance);
+        const current = dasha.getCurrentDasha(birthDate, target, balance);
+
+        expect(chain.map(period => period.level)).toEqual([1, 2, 3, 4, 5]);
+        expect(chain[0].planet).toBe(current.mahadasha);
+        expect(chain[1].planet).toBe(current.antardasha.planet);
+        for (const period of chain) {
+            expect(target >= period.startDate && target < period.endDate).toBe(true);
+        }
+        // Prana dashas run for hours to days
+        expect(chain[4].endDate - chain[4].startDate).toBeLessThan(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('finds periods by lord sequence', () => {
+        const [period, ...others] = dasha.findPeriods(birthDate, balance, 'JUPITER-SATURN-MERCURY');
+
+        // Jupiter mahadasha from year 9; Jupiter-Jupiter lasts 2.1333 and
+        // Jupiter-Saturn-Saturn 0.4011 years before the match
+        expect(others).toHaveLength(0);
+        expect(period.lords).toEqual(['JUPITER', 'SATURN', 'MERCURY']);
+        expect(yearsBetween(birthDate, period.startDate)).toBeCloseTo(9 + 16 * 16 / 120 + 16 * 19 * 19 / 14400, 9);
+        expect(period.years).toBeCloseTo(16 * 19 * 17 / 14400, 9);
+
+        expect(dasha.findPeriods(birthDate, balance, ['*', 'venus']).map(match => match.lords[0]))
+            .toEqual(['RAHU', 'JUPITER', 'SATURN', 'MERCURY', 'KETU', 'VENUS', 'SUN', 'MOON', 'MARS']);
+        expect(dasha.findPeriods(birthDate, balance, ['SATURN'], { startDate: yearsAfterBirth(60) })).toHaveLength(0);
+    });
+
+    it('rejects invalid depths, lords and ranges', () => {
+        expect(() => dasha.getPeriodTree(birthDate, balance, { depth: 6 })).toThrow(RangeError);
+        expect(() => dasha.findPeriods(birthDate, balance, 'JUPITER-PLUTO')).toThrow(/Unknown dasha lord: PLUTO/);
+        expect(() => dasha.getPeriodTree(birthDate, balance, { startDate: yearsAfterBirth(2), endDate: yearsAfterBirth(1) }))
+            .toThrow(RangeError);
+    });
+});
+
+describe('HoraryTimingAnalyzer', () => {
+    it('dates the dashas from the question time', () => {
+        const questionTime = new Date(Date.UTC(2024, 0, 10, 12));
+        const horaryChart = { questionTime, planets: { MOON: { longitude: 5.5 * NAKSHATRA_SPAN, sign: 2, house: 3 } } };
+        const significators = { significators: { querent: { planet: 'JUPITER' } } };
+
+        const dashas = new HoraryTimingAnalyzer().calculateRelevantDashas(horaryChart, significators);
+
+        // Ardra is ruled by Rahu, half of whose 18 years remain
+        expect(dashas[0]).toMatchObject({ period: 'RAHU' });
+        expect(dashas[0].duration).toBeCloseTo(9, 6);
+        expect(dashas.slice(1)).toHaveLength(3);
+        for (const subDasha of dashas.slice(1)) {
+            expect(subDasha.period.split('-')).toHaveLength(3);
+            expect(subDasha.startDate < new Date(questionTime.getTime() + MS_PER_YEAR)).toBe(true);
+        }
+    });
+});
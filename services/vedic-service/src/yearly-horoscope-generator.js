@@ -11,6 +11,7 @@
 
 const HoroscopeGenerator = require('./horoscope-generator');
 const { HOROSCOPE_CONSTANTS } = require('./horoscope-constants');
+const { AshtakavargaCalculator } = require('./ashtakavarga-calculator');
 
 /**
  * Yearly Horoscope Generator
@@ -19,6 +20,9 @@ const { HOROSCOPE_CONSTANTS } = require('./horoscope-constants');
 class YearlyHoroscopeGenerator extends HoroscopeGenerator {
     constructor(birthChart) {
         super(birthChart);
+        this.ashtakavarga = AshtakavargaCalculator.canCalculate(birthChart)
+            ? new AshtakavargaCalculator(birthChart)
+            : null;
     }
 
     /**
@@ -98,7 +102,8 @@ class YearlyHoroscopeGenerator extends HoroscopeGenerator {
                 signName: this.getSignName(sign),
                 effect: signEffects[sign] || "General expansion and growth opportunities.",
                 strength: this.calculateJupiterStrength(year, sign),
-                duration: this.getJupiterTransitDuration(year)
+                duration: this.getJupiterTransitDuration(year),
+                ashtakavarga: this.scoreAshtakavargaTransit('JUPITER', jupiterLong)
             };
         } catch (error) {
             console.warn('Error analyzing Jupiter transit:', error.message);
@@ -145,7 +150,8 @@ class YearlyHoroscopeGenerator extends HoroscopeGenerator {
                 signName: this.getSignName(sign),
                 effect: signEffects[sign] || "General discipline and responsibility focus.",
                 challenges: this.getSaturnChallenges(sign),
-                opportunities: this.getSaturnOpportunities(sign)
+                opportunities: this.getSaturnOpportunities(sign),
+                ashtakavarga: this.scoreAshtakavargaTransit('SATURN', saturnLong)
             };
         } catch (error) {
             console.warn('Error analyzing Saturn transit:', error.message);
@@ -380,6 +386,16 @@ class YearlyHoroscopeGenerator extends HoroscopeGenerator {
 
     // Helper methods
 
+    /**
+     * Score a slow planet's transit through the natal Ashtakavarga
+     * @param {string} planet - Transiting planet
+     * @param {number} longitude - Its sidereal longitude
+     * @returns {Object|null} Bindu and kakshya score, or null when the chart lacks positions
+     */
+    scoreAshtakavargaTransit(planet, longitude) {
+        return this.ashtakavarga ? this.ashtakavarga.scoreTransit(planet, longitude) : null;
+    }
+
     calculateJupiterStrength(year, sign) {
         // Simplified strength calculation
         return 0.8; // Jupiter is generally strong
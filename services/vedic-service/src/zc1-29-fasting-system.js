@@ -13,6 +13,9 @@ const VedicFastingEngine = require('./vedic-fasting-engine');
 const FastingDatabase = require('./fasting-database');
 const FastingAPIClient = require('./fasting-api-client');
 
+const UPCOMING_DAYS = 30;
+const MILLIS_PER_DAY = 86400000;
+
 /**
  * ZC1.29 Complete Fasting System Class
  * Main system integrating all fasting components with database and API
@@ -63,6 +66,12 @@ class ZC129FastingSystem {
             // Add statistics
             recommendations.statistics = this.fastingEngine.getFastingStatistics(recommendations, userHistory);
 
+            // Add the festival and Ekadashi fasts of the coming month
+            const monthAhead = new Date(currentDate.getTime() + UPCOMING_DAYS * MILLIS_PER_DAY);
+            recommendations.upcomingFasts = this.fastingEngine.tithiCalculator
+                .getFastingCalendar(currentDate, monthAhead, currentLocation)
+                .filter(observance => observance.fastingRecommended);
+
             return {
                 success: true,
                 recommendations: recommendations,
@@ -81,6 +90,40 @@ class ZC129FastingSystem {
         }
     }
 
+    /**
+     * Festival and Ekadashi calendar of a year at a location, from the same
+     * festival calendar the Panchang and tithi calculator use
+     * @param {number} year - Gregorian year
+     * @param {Object} location - { latitude, longitude, timezone? }
+     * @returns {Promise<Object>} Observances with their fasting rules
+     */
+    async getFastingCalendar(year, location) {
+        try {
+            const calendar = this.fastingEngine.tithiCalculator.festivalCalendar.generateCalendar(year, location);
+            // A day either side, so the year's local dates are covered in any zone
+            const observances = this.fastingEngine.tithiCalculator.getFastingCalendar(
+                new Date(Date.UTC(year, 0, 1) - MILLIS_PER_DAY),
+                new Date(Date.UTC(year + 1, 0, 1) + MILLIS_PER_DAY),
+                location
+            ).filter(observance => observance.date.startsWith(`${year}-`));
+
+            return {
+                success: true,
+                year,
+                location: calendar.location,
+                lunarMonths: calendar.lunarMonths,
+                observances,
+                version: this.version
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                timestamp: new Date()
+            };
+        }
+    }
+
     /**
      * Personalize recommendations based on user history
      * @param {Object} recommendations - Base recommendations
@@ -9,6 +9,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('rate-limiter-flexible');
+const westernApiRouter = require('./src/western-api');
 
 // Import centralized logger (assuming shared logger exists)
 let logger;
@@ -139,6 +140,9 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// ZC3 Western astrology REST API (birth chart, aspects, transits, returns, synastry, composite)
+app.use('/api/v1/zc3', westernApiRouter);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   (req.logger?.error || logger.error)('Unhandled error:', err);
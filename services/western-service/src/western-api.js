@@ -0,0 +1,577 @@
+/**
+ * ZodiaCore - ZC3 Western Astrology REST API
+ *
+ * Express router exposing the Western calculation engines under /api/v1/zc3.
+ * Engine ValidationError/CalculationError (western-astro-constants.js) map to
+ * 400/422 responses in the error envelope documented in docs/api/index.md.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { WesternBirthChartGenerator } = require('./western-birth-chart-generator');
+const WesternAspectCalculator = require('./western-aspect-calculator');
+const WesternTransitAnalyzer = require('./western-transit-analyzer');
+const { WesternReturnChartSystem } = require('./western-return-chart-system');
+const WesternSynastryGenerator = require('./western-synastry-generator');
+const WesternCompositeGenerator = require('./western-composite-generator');
+const {
+    PLANETARY_DATA,
+    TRANSIT_CONSTANTS,
+    WesternAstroError,
+    ValidationError
+} = require('./western-astro-constants');
+const { RETURN_CHART_CONSTANTS } = require('./western-return-chart-constants');
+const { normalizeAngle } = require('./western-math-utils');
+const { renderWesternChart } = require('./western-chart-renderer');
+const { toCanonical, fromCanonical } = require('./western-chart-adapter');
+const { resolveLocalTime, describeResolution, isValidTimeZone } = require('../../../backend/timezone/tz-resolver');
+const { rasterizeSvg, RasterizerUnavailableError } = require('../../../backend/rendering/svg-rasterizer');
+const {
+    ApiError,
+    sendSuccess,
+    assertValid,
+    asyncRoute,
+    notFoundHandler,
+    createErrorHandler
+} = require('../../../backend/http/api-response');
+
+// Charts from other services are validated by the shared chart schema;
+// without it only birth data is accepted
+let validateChart = null;
+try {
+    ({ validateChart } = require('../../../backend/charts/chart-document'));
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+
+const HOUSE_SYSTEMS = ['PLACIDUS', 'EQUAL', 'KOCH'];
+const CHART_FORMATS = ['standard', 'canonical'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Engine instances are stateless and shared across requests
+const aspectCalculator = new WesternAspectCalculator();
+const transitAnalyzer = new WesternTransitAnalyzer();
+
+/**
+ * Check whether a YYYY-MM-DD string names a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True for valid dates
+ */
+function isDateString(value) {
+    if (!DATE_PATTERN.test(value || '')) {
+        return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate latitude/longitude fields
+ * @param {Object} data - Object holding latitude and longitude
+ * @param {string} prefix - Field path prefix for error messages
+ * @param {Array<string>} errors - Error list to append to
+ */
+function collectCoordinateErrors(data, prefix, errors) {
+    if (typeof data.latitude !== 'number' || data.latitude < -90 || data.latitude > 90) {
+        errors.push(`${prefix}latitude: Must be a number between -90 and 90`);
+    }
+    if (typeof data.longitude !== 'number' || data.longitude < -180 || data.longitude > 180) {
+        errors.push(`${prefix}longitude: Must be a number between -180 and 180`);
+    }
+}
+
+/**
+ * Validate a documented birth data object
+ * @param {Object} birthData - { date, time, latitude, longitude, timezone }
+ * @param {string} path - Field path for error messages
+ * @param {Array<string>} errors - Error list to append to
+ */
+function collectBirthDataErrors(birthData, path, errors) {
+    if (!birthData || typeof birthData !== 'object') {
+        errors.push(`${path}: Required object`);
+        return;
+    }
+
+    if (!isDateString(birthData.date)) {
+        errors.push(`${path}.date: Must be a valid date in YYYY-MM-DD format`);
+    } else {
+        // Julian Day and house calculations are limited to the Gregorian range
+        const year = parseInt(birthData.date.slice(0, 4), 10);
+        if (year < 1900 || year > 2100) {
+            errors.push(`${path}.date: Year must be between 1900 and 2100`);
+        }
+    }
+
+    if (!TIME_PATTERN.test(birthData.time || '')) {
+        errors.push(`${path}.time: Must be a valid time in HH:mm or HH:mm:ss format`);
+    }
+
+    collectCoordinateErrors(birthData, `${path}.`, errors);
+
+    const { timezone } = birthData;
+    if (typeof timezone === 'number') {
+        if (timezone < -12 || timezone > 14) {
+            errors.push(`${path}.timezone: Offset must be between -12 and 14 hours`);
+        }
+    } else if (typeof timezone === 'string') {
+        if (timezone !== 'LMT' && !isValidTimeZone(timezone)) {
+            errors.push(`${path}.timezone: Unknown IANA time zone`);
+        }
+    } else if (timezone !== undefined) {
+        errors.push(`${path}.timezone: Must be an IANA time zone, 'LMT' or hour offset`);
+    }
+
+    if (birthData.disambiguation !== undefined && !['earlier', 'later'].includes(birthData.disambiguation)) {
+        errors.push(`${path}.disambiguation: Must be 'earlier' or 'later'`);
+    }
+}
+
+/**
+ * Parse an optional ISO 8601 date field
+ * @param {*} value - Field value
+ * @param {string} field - Field name for error messages
+ * @param {Array<string>} errors - Error list to append to
+ * @returns {Date|undefined} Parsed date, or undefined when absent or invalid
+ */
+function parseOptionalDate(value, field, errors) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        errors.push(`${field}: Must be a valid ISO 8601 date`);
+        return undefined;
+    }
+    return date;
+}
+
+/**
+ * Convert documented birth data (local civil date/time plus zone) to the
+ * UT component form expected by WesternBirthChartGenerator
+ * @param {Object} birthData - { date, time, latitude, longitude, timezone?, disambiguation? }
+ * @returns {Object} Generator input with UT components and the applied offset
+ */
+function toGeneratorBirthData(birthData) {
+    const resolution = resolveLocalTime(birthData, { disambiguation: birthData.disambiguation });
+    const utc = resolution.utcDate;
+    return {
+        year: utc.getUTCFullYear(),
+        month: utc.getUTCMonth() + 1,
+        day: utc.getUTCDate(),
+        hour: utc.getUTCHours(),
+        minute: utc.getUTCMinutes(),
+        second: utc.getUTCSeconds(),
+        latitude: birthData.latitude,
+        longitude: birthData.longitude,
+        timezone: 0,
+        timezoneOffset: resolution.offsetHours,
+        timeResolution: describeResolution(resolution),
+        utcDate: utc
+    };
+}
+
+/**
+ * Generate a birth chart from documented birth data
+ * @param {Object} birthData - Documented birth data object
+ * @param {Object} options - Generator options ({ houseSystem })
+ * @returns {Promise<Object>} Generator input and generated chart
+ */
+async function generateChart(birthData, options = {}) {
+    const input = toGeneratorBirthData(birthData);
+    const generator = new WesternBirthChartGenerator(options);
+    const { timezoneOffset, timeResolution, utcDate, ...generatorInput } = input;
+    const chart = await generator.generateBirthChart(generatorInput);
+    return { input, chart };
+}
+
+/**
+ * Shape a generated chart into the birth chart response
+ * @param {Object} chart - Chart from WesternBirthChartGenerator
+ * @param {Object} input - Generator input from toGeneratorBirthData
+ * @returns {Object} Response data
+ */
+function formatChart(chart, input) {
+    return {
+        utcDateTime: input.utcDate.toISOString(),
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        julianDay: chart.julianDay,
+        lst: chart.lst,
+        ascendant: chart.ascendant,
+        midheaven: chart.midheaven,
+        houses: chart.houses,
+        planets: chart.planets,
+        aspects: chart.aspects.map(aspect => {
+            const orb = Math.abs(aspect.separation - aspect.angle);
+            return {
+                planet1: aspect.planets[0],
+                planet2: aspect.planets[1],
+                aspect: aspect.type,
+                angle: aspect.angle,
+                orb,
+                exact: orb < 1,
+                applying: aspect.applying,
+                strength: aspect.strength
+            };
+        })
+    };
+}
+
+/**
+ * Add the angles block the synastry and composite generators expect
+ * @param {Object} chart - Chart from WesternBirthChartGenerator
+ * @returns {Object} Chart with ASC/MC/DSC/IC angles
+ */
+function toRelationshipChart(chart) {
+    return {
+        ...chart,
+        angles: {
+            ASC: chart.ascendant.longitude,
+            MC: chart.midheaven.longitude,
+            DSC: normalizeAngle(chart.ascendant.longitude + 180),
+            IC: normalizeAngle(chart.midheaven.longitude + 180)
+        }
+    };
+}
+
+/**
+ * Validate one person of a relationship request: birth data, or
+ * { chart } holding a chart document from any service
+ * @param {Object} person - Person from the request body
+ * @param {string} path - Field path for error messages
+ * @param {Array<string>} errors - Error list to append to
+ */
+function collectPersonErrors(person, path, errors) {
+    if (person && typeof person === 'object' && person.chart !== undefined) {
+        if (!validateChart) {
+            errors.push(`${path}.chart: Chart documents need the shared backend chart modules; send birth data`);
+            return;
+        }
+        errors.push(...validateChart(person.chart).errors.map(error => `${path}.${error}`));
+    } else {
+        collectBirthDataErrors(person, path, errors);
+    }
+}
+
+/**
+ * Validate a { person1, person2 } relationship request body
+ * @param {Object} body - Request body
+ * @returns {Object} { person1, person2 } birth data or chart documents
+ */
+function validateRelationshipBody(body = {}) {
+    const errors = [];
+    collectPersonErrors(body.person1, 'person1', errors);
+    collectPersonErrors(body.person2, 'person2', errors);
+    assertValid(errors);
+    return { person1: body.person1, person2: body.person2 };
+}
+
+/**
+ * Chart for one person of a relationship request, generated from birth data
+ * or converted from the chart document sent in its place
+ * @param {Object} person - Validated person
+ * @returns {Promise<Object>} { input, chart }; input is null for chart documents
+ */
+async function resolveRelationshipChart(person) {
+    if (person.chart !== undefined) {
+        return { input: null, chart: fromCanonical(person.chart) };
+    }
+    const { input, chart } = await generateChart(person);
+    return { input, chart: toRelationshipChart(chart) };
+}
+
+/**
+ * Time resolutions for both people of a relationship request
+ * @param {Object} chart1 - resolveRelationshipChart result for person1
+ * @param {Object} chart2 - resolveRelationshipChart result for person2
+ * @returns {Object} { person1, person2 } resolutions, null for chart documents
+ */
+function describeRelationshipTimes(chart1, chart2) {
+    const describe = ({ input }) => (input ? input.timeResolution : null);
+    return { person1: describe(chart1), person2: describe(chart2) };
+}
+
+/**
+ * Send a rendered chart as SVG, or rasterized as PNG
+ * @param {Object} res - Express response
+ * @param {string} svg - SVG document
+ * @param {string} format - 'svg' or 'png'
+ * @throws {ApiError} NOT_IMPLEMENTED when PNG is requested without a rasterizer installed
+ */
+function sendChartImage(res, svg, format) {
+    if (format !== 'png') {
+        res.type('image/svg+xml').send(svg);
+        return;
+    }
+
+    let png;
+    try {
+        png = rasterizeSvg(svg);
+    } catch (error) {
+        if (error instanceof RasterizerUnavailableError) {
+            throw new ApiError(501, 'NOT_IMPLEMENTED', error.message);
+        }
+        throw error;
+    }
+    res.type('image/png').send(png);
+}
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/zc3/birth-chart
+ * Generate a tropical birth chart with houses and aspects, or with
+ * format 'canonical' the chart document other services accept
+ */
+router.post('/birth-chart', asyncRoute(async (req, res) => {
+    const { birthData, houseSystem = 'PLACIDUS', format = 'standard' } = req.body || {};
+    const errors = [];
+    collectBirthDataErrors(birthData, 'birthData', errors);
+    if (typeof houseSystem !== 'string' || !HOUSE_SYSTEMS.includes(houseSystem.toUpperCase())) {
+        errors.push(`houseSystem: Must be one of ${HOUSE_SYSTEMS.join(', ')}`);
+    }
+    if (!CHART_FORMATS.includes(format)) {
+        errors.push(`format: Must be one of ${CHART_FORMATS.join(', ')}`);
+    }
+    assertValid(errors);
+
+    const { input, chart } = await generateChart(birthData, { houseSystem });
+
+    if (format === 'canonical') {
+        sendSuccess(req, res, {
+            chartId: `chart_${crypto.randomUUID()}`,
+            timezoneOffset: input.timezoneOffset,
+            timeResolution: input.timeResolution,
+            chart: toCanonical(chart)
+        });
+        return;
+    }
+
+    sendSuccess(req, res, {
+        chartId: `chart_${crypto.randomUUID()}`,
+        houseSystem: houseSystem.toUpperCase(),
+        ...formatChart(chart, input)
+    });
+}));
+
+/**
+ * POST /api/v1/zc3/chart-image
+ * Draw the birth chart as a wheel with aspect lines, as SVG or PNG
+ */
+router.post('/chart-image', asyncRoute(async (req, res) => {
+    const { birthData, houseSystem = 'PLACIDUS', format = 'svg', size, aspects = true, glyphs = true } = req.body || {};
+    const errors = [];
+    collectBirthDataErrors(birthData, 'birthData', errors);
+    if (typeof houseSystem !== 'string' || !HOUSE_SYSTEMS.includes(houseSystem.toUpperCase())) {
+        errors.push(`houseSystem: Must be one of ${HOUSE_SYSTEMS.join(', ')}`);
+    }
+    if (!['svg', 'png'].includes(format)) {
+        errors.push("format: Must be 'svg' or 'png'");
+    }
+    if (size !== undefined && (!Number.isInteger(size) || size < 200 || size > 2000)) {
+        errors.push('size: Must be an integer between 200 and 2000');
+    }
+    if (typeof aspects !== 'boolean') {
+        errors.push('aspects: Must be a boolean');
+    }
+    if (typeof glyphs !== 'boolean') {
+        errors.push('glyphs: Must be a boolean');
+    }
+    assertValid(errors);
+
+    const { chart } = await generateChart(birthData, { houseSystem });
+
+    sendChartImage(res, renderWesternChart(chart, { size, aspects, glyphs }), format);
+}));
+
+/**
+ * POST /api/v1/zc3/aspects
+ * Aspects and patterns for explicit planet longitudes or for a birth chart
+ */
+router.post('/aspects', asyncRoute(async (req, res) => {
+    const { birthData, planets, orbs } = req.body || {};
+    const errors = [];
+
+    if (planets !== undefined) {
+        if (!planets || typeof planets !== 'object' || Array.isArray(planets)) {
+            errors.push('planets: Must be an object mapping planet names to longitudes');
+        } else {
+            for (const [name, longitude] of Object.entries(planets)) {
+                if (typeof longitude !== 'number' || longitude < 0 || longitude >= 360) {
+                    errors.push(`planets.${name}: Must be a longitude between 0 and 360`);
+                }
+            }
+        }
+    } else {
+        collectBirthDataErrors(birthData, 'birthData', errors);
+    }
+    if (orbs !== undefined && (!orbs || typeof orbs !== 'object' || Array.isArray(orbs))) {
+        errors.push('orbs: Must be an object mapping aspect types to orbs in degrees');
+    }
+    assertValid(errors);
+
+    let longitudes = planets;
+    if (!longitudes) {
+        const { chart } = await generateChart(birthData);
+        longitudes = Object.fromEntries(
+            Object.entries(chart.planets).map(([name, planet]) => [name, planet.longitude])
+        );
+    }
+
+    const result = aspectCalculator.calculateAspects(
+        Object.entries(longitudes).map(([name, longitude]) => ({ name, longitude })),
+        orbs ? { orbs } : {}
+    );
+
+    sendSuccess(req, res, result);
+}));
+
+/**
+ * POST /api/v1/zc3/transits
+ * Active and upcoming transits to a natal chart
+ */
+router.post('/transits', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const errors = [];
+    collectBirthDataErrors(body.birthData, 'birthData', errors);
+    const date = parseOptionalDate(body.date, 'date', errors);
+
+    const lookAheadDays = body.lookAheadDays ?? 30;
+    if (!Number.isInteger(lookAheadDays) || lookAheadDays < 1 || lookAheadDays > TRANSIT_CONSTANTS.MAX_PREDICTION_DAYS) {
+        errors.push(`lookAheadDays: Must be an integer between 1 and ${TRANSIT_CONSTANTS.MAX_PREDICTION_DAYS}`);
+    }
+    if (body.minIntensity !== undefined && (typeof body.minIntensity !== 'number' || body.minIntensity < 0 || body.minIntensity > 10)) {
+        errors.push('minIntensity: Must be a number between 0 and 10');
+    }
+    assertValid(errors);
+
+    const { input, chart } = await generateChart(body.birthData);
+    const natalChart = {
+        birthData: { year: input.year, month: input.month, day: input.day },
+        ascendant: chart.ascendant,
+        planets: Object.fromEntries(
+            Object.keys(PLANETARY_DATA).map(planet => [planet, chart.planets[planet].longitude])
+        )
+    };
+
+    const options = {
+        date: date || new Date(),
+        lookAheadDays,
+        includeMinorAspects: body.includeMinorAspects === true
+    };
+    if (body.minIntensity !== undefined) {
+        options.minIntensity = body.minIntensity;
+    }
+
+    const report = await transitAnalyzer.analyzeTransits(natalChart, options);
+
+    sendSuccess(req, res, {
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        ...report
+    });
+}));
+
+/**
+ * POST /api/v1/zc3/returns
+ * Solar return in the year of a date, or the first lunar return after it, optionally relocated
+ */
+router.post('/returns', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const { type = RETURN_CHART_CONSTANTS.TYPES.SOLAR, location } = body;
+    const errors = [];
+    collectBirthDataErrors(body.birthData, 'birthData', errors);
+
+    const validTypes = Object.values(RETURN_CHART_CONSTANTS.TYPES);
+    if (!validTypes.includes(type)) {
+        errors.push(`type: Must be one of ${validTypes.join(', ')}`);
+    }
+    const date = parseOptionalDate(body.date, 'date', errors);
+    if (location !== undefined) {
+        if (!location || typeof location !== 'object') {
+            errors.push('location: Must be an object with latitude and longitude');
+        } else {
+            collectCoordinateErrors(location, 'location.', errors);
+        }
+    }
+    assertValid(errors);
+
+    const { input, chart } = await generateChart(body.birthData);
+    const returnSystem = new WesternReturnChartSystem({
+        ...chart,
+        birthDate: input.utcDate,
+        location: { latitude: input.latitude, longitude: input.longitude }
+    });
+
+    const returnChart = await returnSystem.generateReturnChart(type, date || new Date(), location || null);
+    // Drop the system options echo; it only restates server configuration
+    const { systemMetadata, ...data } = returnChart;
+
+    sendSuccess(req, res, {
+        timezoneOffset: input.timezoneOffset,
+        timeResolution: input.timeResolution,
+        ...data
+    });
+}));
+
+/**
+ * POST /api/v1/zc3/synastry
+ * Inter-chart aspects, house overlays and compatibility between two people
+ */
+router.post('/synastry', asyncRoute(async (req, res) => {
+    const { person1, person2 } = validateRelationshipBody(req.body);
+    const [chart1, chart2] = await Promise.all([resolveRelationshipChart(person1), resolveRelationshipChart(person2)]);
+
+    const synastry = new WesternSynastryGenerator(chart1.chart, chart2.chart).generateSynastryChart();
+    // The natal charts are available from /birth-chart; return only the comparison
+    const { charts, ...data } = synastry;
+
+    sendSuccess(req, res, { ...data, timeResolution: describeRelationshipTimes(chart1, chart2) });
+}));
+
+/**
+ * POST /api/v1/zc3/composite
+ * Midpoint composite chart for two people
+ */
+router.post('/composite', asyncRoute(async (req, res) => {
+    const { person1, person2 } = validateRelationshipBody(req.body);
+    const [chart1, chart2] = await Promise.all([resolveRelationshipChart(person1), resolveRelationshipChart(person2)]);
+
+    const composite = new WesternCompositeGenerator(chart1.chart, chart2.chart).generateCompositeChart();
+    const { charts, ...data } = composite;
+
+    sendSuccess(req, res, { ...data, timeResolution: describeRelationshipTimes(chart1, chart2) });
+}));
+
+/**
+ * Map engine errors to the documented error envelope
+ * @param {Error} error - Error thrown by a route
+ * @returns {Object|undefined} { status, code, message }, or undefined for internal failures
+ */
+function mapEngineError(error) {
+    if (error instanceof ValidationError) {
+        return { status: 400, code: 'VALIDATION_ERROR', message: error.message };
+    }
+    if (error instanceof WesternAstroError) {
+        // CalculationError and the other engine errors
+        const code = error.code === 'WESTERN_ASTRO_ERROR' ? 'CALCULATION_ERROR' : error.code;
+        return { status: 422, code, message: error.message };
+    }
+    return undefined;
+}
+
+// Unknown ZC3 routes, then the error envelope
+router.use(notFoundHandler);
+router.use(createErrorHandler({ label: 'ZC3 API', mapError: mapEngineError }));
+
+module.exports = router;
+module.exports.ApiError = ApiError;
+module.exports.toGeneratorBirthData = toGeneratorBirthData;
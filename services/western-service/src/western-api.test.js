@@ -0,0 +1,394 @@
+/**
+ * ZodiaCore - ZC3 Western API Tests
+ *
+ * Exercises the /api/v1/zc3 router over HTTP with supertest, covering
+ * the documented success and error envelopes.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const express = require('express');
+const request = require('supertest');
+const westernApiRouter = require('./western-api');
+const { toGeneratorBirthData } = require('./western-api');
+const { WesternBirthChartGenerator } = require('./western-birth-chart-generator');
+const WesternAspectCalculator = require('./western-aspect-calculator');
+const { isRasterizerAvailable } = require('../../../backend/rendering/svg-rasterizer');
+const { validateChart } = require('../../../backend/charts/chart-document');
+
+describe('ZC3 Western API', () => {
+    let app;
+
+    const birthData = {
+        date: '1990-05-15',
+        time: '14:30:00',
+        latitude: 40.7128,
+        longitude: -74.0060,
+        timezone: 'America/New_York'
+    };
+    const partner = {
+        date: '1988-11-02',
+        time: '06:15',
+        latitude: 51.5074,
+        longitude: -0.1278,
+        timezone: 'Europe/London'
+    };
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.correlationId = req.headers['x-correlation-id'];
+            next();
+        });
+        app.use('/api/v1/zc3', westernApiRouter);
+    });
+
+    test('toGeneratorBirthData converts local time to UT components', () => {
+        const input = toGeneratorBirthData(birthData);
+        expect(input.timezoneOffset).toBe(-4);
+        expect(input).toMatchObject({ year: 1990, month: 5, day: 15, hour: 18, minute: 30, timezone: 0 });
+    });
+
+    test('toGeneratorBirthData uses local mean time on request', () => {
+        const input = toGeneratorBirthData({ ...birthData, date: '1900-01-01', time: '12:00', timezone: 'LMT' });
+        expect(input.timezoneOffset).toBeCloseTo(birthData.longitude / 15, 3);
+        expect(input.timeResolution).toMatchObject({ timezone: 'LMT', source: 'lmt', status: 'valid' });
+    });
+
+    describe('POST /birth-chart', () => {
+        test('returns the documented success envelope', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .set('x-correlation-id', 'req-456')
+                .send({ birthData });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.metadata).toMatchObject({ requestId: 'req-456', version: '1.0.0' });
+
+            const { data } = response.body;
+            expect(data.chartId).toMatch(/^chart_/);
+            expect(data.houseSystem).toBe('PLACIDUS');
+            expect(data.utcDateTime).toBe('1990-05-15T18:30:00.000Z');
+            expect(data.timeResolution).toEqual({
+                timezone: 'America/New_York', offsetHours: -4, source: 'zone', status: 'valid', warnings: []
+            });
+            expect(data.houses).toHaveLength(12);
+            expect(data.houses.every(cusp => typeof cusp === 'number')).toBe(true);
+            expect(Object.keys(data.planets)).toHaveLength(10);
+            expect(data.planets.SUN).toEqual(expect.objectContaining({
+                longitude: expect.any(Number),
+                sign: expect.any(Number),
+                house: expect.any(Number)
+            }));
+            expect(data.aspects[0]).toEqual(expect.objectContaining({
+                planet1: expect.any(String),
+                planet2: expect.any(String),
+                aspect: expect.any(String),
+                exact: expect.any(Boolean)
+            }));
+        });
+
+        test('flags local times skipped by a clock change', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData: { ...birthData, date: '2021-03-14', time: '02:30' } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.timeResolution.status).toBe('nonexistent');
+            expect(response.body.data.utcDateTime).toBe('2021-03-14T07:30:00.000Z');
+        });
+
+        test('rejects invalid birth data with VALIDATION_ERROR', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData: { ...birthData, time: '25:00', longitude: 200 } });
+
+            expect(response.status).toBe(400);
+            expect(response.body.success).toBe(false);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+            expect(response.body.error.details.errors).toEqual([
+                expect.stringMatching(/^birthData\.time/),
+                expect.stringMatching(/^birthData\.longitude/)
+            ]);
+        });
+
+        test('returns the chart document on request', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData, houseSystem: 'EQUAL', format: 'canonical' });
+
+            expect(response.status).toBe(200);
+            const { chart } = response.body.data;
+            expect(validateChart(chart)).toEqual({ valid: true, errors: [] });
+            expect(chart).toMatchObject({ zodiac: 'tropical', ayanamsa: null, houseSystem: 'EQUAL' });
+            expect(chart.moment.utc).toBe('1990-05-15T18:30:00.000Z');
+            expect(response.body.data.timeResolution).toBeDefined();
+        });
+
+        test('rejects unknown chart formats', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData, format: 'xml' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toEqual(['format: Must be one of standard, canonical']);
+        });
+
+        test('rejects unknown house systems', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData, houseSystem: 'TOPOCENTRIC' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/^houseSystem/);
+        });
+
+        test('maps engine calculation failures to 422', async () => {
+            // Placidus is undefined beyond ±60° latitude
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData: { ...birthData, latitude: 69.6492, longitude: 18.9553, timezone: 'Europe/Oslo' } });
+
+            expect(response.status).toBe(422);
+            expect(response.body.error.code).toBe('CALCULATION_ERROR');
+            expect(response.body.error.message).toMatch(/Placidus/);
+        });
+
+        test('reports unexpected failures as INTERNAL_ERROR', async () => {
+            const generate = vi.spyOn(WesternBirthChartGenerator.prototype, 'generateBirthChart')
+                .mockRejectedValueOnce(new Error('House cusp lookup failed'));
+            const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+            try {
+                const response = await request(app)
+                    .post('/api/v1/zc3/birth-chart')
+                    .send({ birthData });
+
+                expect(response.status).toBe(500);
+                expect(response.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error' });
+                expect(log).toHaveBeenCalledWith('ZC3 API error:', expect.any(Error));
+            } finally {
+                generate.mockRestore();
+                log.mockRestore();
+            }
+        });
+
+        test('does not report programming errors in a chart step as calculation failures', async () => {
+            const aspects = vi.spyOn(WesternAspectCalculator.prototype, 'calculateAspects')
+                .mockImplementationOnce(() => { throw new TypeError("Cannot read properties of undefined (reading 'longitude')"); });
+            const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+            try {
+                const response = await request(app)
+                    .post('/api/v1/zc3/birth-chart')
+                    .send({ birthData });
+
+                expect(response.status).toBe(500);
+                expect(response.body.error.code).toBe('INTERNAL_ERROR');
+                expect(log).toHaveBeenCalledWith('ZC3 API error:', expect.any(TypeError));
+            } finally {
+                aspects.mockRestore();
+                log.mockRestore();
+            }
+        });
+
+        test('supports equal houses at high latitudes', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/birth-chart')
+                .send({ birthData: { ...birthData, latitude: 69.6492, timezone: 'Europe/Oslo' }, houseSystem: 'equal' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.houseSystem).toBe('EQUAL');
+        });
+    });
+
+    describe('POST /chart-image', () => {
+        test('draws the chart wheel with aspect lines as SVG', async () => {
+            const response = await request(app).post('/api/v1/zc3/chart-image').send({ birthData });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^image\/svg\+xml/);
+            const svg = response.body.toString();
+            expect(svg).toContain('class="western-chart"');
+            expect(svg).toMatch(/class="aspect aspect-/);
+        });
+
+        test('omits aspect lines on request', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/chart-image')
+                .send({ birthData, aspects: false, houseSystem: 'EQUAL' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.toString()).not.toContain('class="aspects"');
+        });
+
+        test('rejects unknown formats and sizes', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/chart-image')
+                .send({ birthData, format: 'gif', size: 50 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toEqual([
+                "format: Must be 'svg' or 'png'",
+                'size: Must be an integer between 200 and 2000'
+            ]);
+        });
+
+        test.skipIf(isRasterizerAvailable())('reports PNG output as unavailable without a rasterizer', async () => {
+            const response = await request(app).post('/api/v1/zc3/chart-image').send({ birthData, format: 'png' });
+
+            expect(response.status).toBe(501);
+            expect(response.body.error.code).toBe('NOT_IMPLEMENTED');
+        });
+
+        test.runIf(isRasterizerAvailable())('rasterizes the chart to PNG', async () => {
+            const response = await request(app).post('/api/v1/zc3/chart-image').send({ birthData, format: 'png', size: 400 });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.body.subarray(1, 4).toString()).toBe('PNG');
+            expect(response.body.readUInt32BE(16)).toBe(400);
+        });
+    });
+
+    describe('POST /aspects', () => {
+        test('calculates aspects for explicit longitudes', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/aspects')
+                .send({ planets: { SUN: 10, MOON: 130, MARS: 100 } });
+
+            expect(response.status).toBe(200);
+            const types = response.body.data.aspects.map(aspect => aspect.type);
+            expect(types).toEqual(expect.arrayContaining(['trine', 'square']));
+        });
+
+        test('rejects out-of-range longitudes', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/aspects')
+                .send({ planets: { SUN: 400, MOON: 10 } });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/^planets\.SUN/);
+        });
+    });
+
+    describe('POST /transits', () => {
+        test('analyzes transits for a given date', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/transits')
+                .send({ birthData, date: '2024-01-01T00:00:00Z', lookAheadDays: 7 });
+
+            expect(response.status).toBe(200);
+            expect(Array.isArray(response.body.data.activeTransits)).toBe(true);
+            expect(Array.isArray(response.body.data.upcomingTransits)).toBe(true);
+            expect(response.body.data.summary).toBeDefined();
+        });
+
+        test('limits the prediction window', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/transits')
+                .send({ birthData, lookAheadDays: 5000 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/^lookAheadDays/);
+        });
+    });
+
+    describe('POST /returns', () => {
+        test('finds the next lunar return after the date', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/returns')
+                .send({ birthData, type: 'lunar', date: '2024-06-01T00:00:00Z', location: { latitude: 51.5, longitude: 0 } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.type).toBe('lunar');
+            const returnTime = new Date(response.body.data.returnTime).getTime();
+            expect(returnTime).toBeGreaterThanOrEqual(Date.parse('2024-06-01T00:00:00Z'));
+            expect(returnTime).toBeLessThan(Date.parse('2024-06-29T00:00:00Z'));
+        });
+
+        test('rejects unknown return types', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/returns')
+                .send({ birthData, type: 'saturn' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors[0]).toMatch(/^type/);
+        });
+    });
+
+    describe('relationship charts', () => {
+        test('POST /synastry compares two charts', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/synastry')
+                .send({ person1: birthData, person2: partner });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.type).toBe('synastry');
+            expect(response.body.data.charts).toBeUndefined();
+            expect(response.body.data.houseOverlays).toHaveLength(20);
+            expect(response.body.data.compatibility).toBeDefined();
+        });
+
+        test('POST /composite builds a midpoint chart', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/composite')
+                .send({ person1: birthData, person2: partner });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.type).toBe('composite');
+            expect(response.body.data.houses).toHaveLength(12);
+        });
+
+        test('POST /synastry accepts chart documents from other services', async () => {
+            const vedicChart = {
+                schemaVersion: '1.0',
+                type: 'natal',
+                moment: { julianDay: 2447467.760416667, utc: '1988-11-02T06:15:00.000Z' },
+                zodiac: 'sidereal',
+                ayanamsa: { system: 'LAHIRI', value: 23.69 },
+                houseSystem: 'WHOLE_SIGN',
+                houses: [180, 210, 240, 270, 300, 330, 0, 30, 60, 90, 120, 150],
+                angles: { ASC: 195, MC: 105, DSC: 15, IC: 285 },
+                bodies: { SUN: { longitude: 196.3 }, MOON: { longitude: 10 }, MEAN_NODE: { longitude: 330.2, retrograde: true } },
+                source: { service: 'vedic', generator: 'VedicBirthChartGenerator' }
+            };
+            const response = await request(app)
+                .post('/api/v1/zc3/synastry')
+                .send({ person1: birthData, person2: { chart: vedicChart } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.houseOverlays.filter(overlay => overlay.person === 2).map(overlay => overlay.planet))
+                .toEqual(['SUN', 'MOON', 'MEAN_NODE']);
+            expect(response.body.data.timeResolution.person1).toBeDefined();
+            expect(response.body.data.timeResolution.person2).toBeNull();
+        });
+
+        test('reject invalid chart documents', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/composite')
+                .send({ person1: { chart: { schemaVersion: '1.0' } }, person2: partner });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toContain('person1.chart.moment: Is required');
+        });
+
+        test('require both people', async () => {
+            const response = await request(app)
+                .post('/api/v1/zc3/synastry')
+                .send({ person1: birthData });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details.errors).toEqual(['person2: Required object']);
+        });
+    });
+
+    test('unknown routes return NOT_FOUND', async () => {
+        const response = await request(app).get('/api/v1/zc3/unknown');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+});
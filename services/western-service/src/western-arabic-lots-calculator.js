@@ -0,0 +1,150 @@
+/**
+ * ZodiaCore - Western Arabic Lots Calculator
+ *
+ * Configurable engine for the Hermetic and Arabic lots (parts). A lot is the
+ * distance from one point to another, projected from the ascendant; most
+ * lots reverse that distance in night charts. Lots may be measured from
+ * other lots (Eros and Victory from Spirit, Necessity and Courage from
+ * Fortune), so definitions are resolved in dependency order.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ZODIAC_SIGNS, ValidationError } = require('./western-astro-constants');
+const { normalizeAngle } = require('./western-math-utils');
+const { WesternTimeLordsCalculator } = require('./western-time-lords-calculator');
+
+/**
+ * Lot definitions: by day the distance from `from` to `to` is projected from
+ * the ascendant (or `base`), i.e. ASC + to - from. With `reverse` the two
+ * points swap in night charts. Points are planets, ASC, MC or other lots.
+ */
+const ARABIC_LOTS = {
+    FORTUNE: { name: 'Lot of Fortune', from: 'SUN', to: 'MOON', reverse: true, meaning: 'the body, health and material fortune' },
+    SPIRIT: { name: 'Lot of Spirit', from: 'MOON', to: 'SUN', reverse: true, meaning: 'the mind, intention and career' },
+    EROS: { name: 'Lot of Eros', from: 'SPIRIT', to: 'VENUS', reverse: true, meaning: 'desire, love and friendship' },
+    NECESSITY: { name: 'Lot of Necessity', from: 'MERCURY', to: 'FORTUNE', reverse: true, meaning: 'constraint, struggle and enmity' },
+    COURAGE: { name: 'Lot of Courage', from: 'MARS', to: 'FORTUNE', reverse: true, meaning: 'boldness, treachery and force' },
+    VICTORY: { name: 'Lot of Victory', from: 'SPIRIT', to: 'JUPITER', reverse: true, meaning: 'faith, success and generosity' },
+    NEMESIS: { name: 'Lot of Nemesis', from: 'SATURN', to: 'FORTUNE', reverse: true, meaning: 'what lies beyond control, loss and endings' },
+    MARRIAGE: { name: 'Lot of Marriage', from: 'SATURN', to: 'VENUS', reverse: false, meaning: 'marriage and partnership' },
+    CHILDREN: { name: 'Lot of Children', from: 'JUPITER', to: 'SATURN', reverse: true, meaning: 'children and their number' },
+    SIBLINGS: { name: 'Lot of Siblings', from: 'SATURN', to: 'JUPITER', reverse: false, meaning: 'brothers, sisters and their fortunes' },
+    FATHER: { name: 'Lot of the Father', from: 'SUN', to: 'SATURN', reverse: true, meaning: 'the father and inheritance' },
+    MOTHER: { name: 'Lot of the Mother', from: 'VENUS', to: 'MOON', reverse: true, meaning: 'the mother and her standing' }
+};
+
+const ANGLE_NAMES = ['ASC', 'MC'];
+
+/**
+ * Western Arabic lots calculator
+ */
+class WesternArabicLotsCalculator {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.lots - Extra or replacement definitions, merged over ARABIC_LOTS
+     */
+    constructor(options = {}) {
+        this.definitions = { ...ARABIC_LOTS, ...(options.lots || {}) };
+        this.timeLords = new WesternTimeLordsCalculator();
+    }
+
+    /**
+     * Longitude of a planet or angle used in a lot formula
+     * @param {Object} chart - Birth chart
+     * @param {string} name - Planet key, ASC or MC
+     * @returns {number|undefined} Longitude in degrees
+     */
+    getPointLongitude(chart, name) {
+        if (ANGLE_NAMES.includes(name)) {
+            const angle = name === 'ASC' ? chart.ascendant : chart.midheaven;
+            return typeof angle === 'number' ? angle : angle?.longitude;
+        }
+        const planet = chart.planets[name];
+        return typeof planet === 'number' ? planet : planet?.longitude;
+    }
+
+    /**
+     * Longitude of one lot, resolving lots it is measured from
+     * @param {Object} chart - Birth chart
+     * @param {string} key - Lot key
+     * @param {boolean} day - Whether the chart is diurnal
+     * @param {Object} resolved - Lots computed so far, filled in place
+     * @param {Array<string>} pending - Lots being resolved, to catch cycles
+     * @returns {Object} Lot result
+     * @throws {ValidationError} If the lot, a point or a reference is unknown or circular
+     */
+    resolveLot(chart, key, day, resolved, pending = []) {
+        if (resolved[key]) return resolved[key];
+
+        const definition = this.definitions[key];
+        if (!definition) {
+            throw new ValidationError(`Unknown lot: ${key}`);
+        }
+        if (pending.includes(key)) {
+            throw new ValidationError(`Circular lot definition: ${[...pending, key].join(' -> ')}`);
+        }
+
+        const pointLongitude = name => {
+            if (this.definitions[name]) {
+                return this.resolveLot(chart, name, day, resolved, [...pending, key]).longitude;
+            }
+            const longitude = this.getPointLongitude(chart, name);
+            if (!Number.isFinite(longitude)) {
+                throw new ValidationError(`${definition.name || key} requires the longitude of ${name}`);
+            }
+            return longitude;
+        };
+
+        const reversed = !day && !!definition.reverse;
+        const [from, to] = reversed ? [definition.to, definition.from] : [definition.from, definition.to];
+        const base = definition.base || 'ASC';
+        const longitude = normalizeAngle(pointLongitude(base) + pointLongitude(to) - pointLongitude(from));
+
+        resolved[key] = {
+            key,
+            name: definition.name || key,
+            longitude,
+            sign: Math.floor(longitude / 30),
+            signName: ZODIAC_SIGNS[Math.floor(longitude / 30)],
+            degree: longitude % 30,
+            formula: `${base} + ${to} - ${from}`,
+            reversed,
+            meaning: definition.meaning
+        };
+        return resolved[key];
+    }
+
+    /**
+     * Calculate lots for a chart
+     * @param {Object} chart - Birth chart with ascendant and planets
+     * @param {Object} options - Options
+     * @param {Array<string>} options.lots - Lot keys to return (default all defined)
+     * @returns {Object} { sect, lots } with lots keyed as requested
+     * @throws {ValidationError} If the chart lacks the ascendant, Sun or a required point
+     */
+    calculateLots(chart, options = {}) {
+        if (!chart || !chart.planets || !Number.isFinite(this.timeLords.getAscendant(chart))) {
+            throw new ValidationError('Lots require a birth chart with the ascendant longitude');
+        }
+        if (!Number.isFinite(chart.planets.SUN?.longitude)) {
+            throw new ValidationError('Lots require the longitude of SUN to find the sect');
+        }
+
+        const day = this.timeLords.isDayChart(chart);
+        const resolved = {};
+        const lots = {};
+        for (const key of options.lots || Object.keys(this.definitions)) {
+            lots[key] = this.resolveLot(chart, key, day, resolved);
+        }
+
+        return { sect: day ? 'diurnal' : 'nocturnal', lots };
+    }
+}
+
+module.exports = {
+    WesternArabicLotsCalculator,
+    ARABIC_LOTS
+};
@@ -0,0 +1,98 @@
+/**
+ * Western Arabic Lots Calculator Tests
+ */
+
+const { WesternArabicLotsCalculator } = require('./western-arabic-lots-calculator');
+const { WesternTimeLordsCalculator } = require('./western-time-lords-calculator');
+const { WesternBirthChartGenerator } = require('./western-birth-chart-generator');
+const { ValidationError } = require('./western-astro-constants');
+
+// Cancer rising with the Sun in the 11th: a day chart
+const chart = {
+    ascendant: { longitude: 100 },
+    midheaven: { longitude: 5 },
+    planets: {
+        SUN: { longitude: 54.5 },
+        MOON: { longitude: 174.2 },
+        MERCURY: { longitude: 38 },
+        VENUS: { longitude: 20 },
+        MARS: { longitude: 330 },
+        JUPITER: { longitude: 95 },
+        SATURN: { longitude: 293 }
+    }
+};
+const nightChart = { ...chart, planets: { ...chart.planets, SUN: { longitude: 200 } } };
+
+describe('WesternArabicLotsCalculator', () => {
+    const calculator = new WesternArabicLotsCalculator();
+    const timeLords = new WesternTimeLordsCalculator();
+
+    test('places Fortune and Spirit as the time lords do, by day and by night', () => {
+        for (const birthChart of [chart, nightChart]) {
+            const { lots } = calculator.calculateLots(birthChart, { lots: ['FORTUNE', 'SPIRIT'] });
+            const expected = timeLords.calculateLots(birthChart);
+
+            expect(lots.FORTUNE.longitude).toBeCloseTo(expected.fortune, 9);
+            expect(lots.SPIRIT.longitude).toBeCloseTo(expected.spirit, 9);
+        }
+        expect(calculator.calculateLots(chart).lots.FORTUNE).toMatchObject({
+            signName: 'Scorpio', formula: 'ASC + MOON - SUN', reversed: false
+        });
+    });
+
+    test('reverses sect-bound lots in night charts and measures from other lots', () => {
+        const day = calculator.calculateLots(chart);
+        const night = calculator.calculateLots(nightChart);
+
+        expect(day.sect).toBe('diurnal');
+        expect(night.sect).toBe('nocturnal');
+        // Eros: from Spirit to Venus by day, from Venus to Spirit by night
+        expect(day.lots.EROS.longitude).toBeCloseTo(100 + 20 - day.lots.SPIRIT.longitude + 360, 9);
+        expect(night.lots.EROS).toMatchObject({ formula: 'ASC + SPIRIT - VENUS', reversed: true });
+        expect(night.lots.EROS.longitude).toBeCloseTo((100 + night.lots.SPIRIT.longitude - 20) % 360, 9);
+        // Marriage is taken the same way day and night
+        expect(night.lots.MARRIAGE).toMatchObject({ formula: 'ASC + VENUS - SATURN', reversed: false });
+        expect(night.lots.MARRIAGE.longitude).toBeCloseTo(day.lots.MARRIAGE.longitude, 9);
+    });
+
+    test('accepts custom lots, including ones projected from another point', () => {
+        const custom = new WesternArabicLotsCalculator({
+            lots: {
+                ILLNESS: { name: 'Lot of Illness', from: 'SATURN', to: 'MARS', reverse: true },
+                HONOUR: { name: 'Lot of Exaltation', from: 'SUN', to: 'FORTUNE', base: 'MC' }
+            }
+        });
+        const { lots } = custom.calculateLots(chart, { lots: ['ILLNESS', 'HONOUR'] });
+
+        expect(Object.keys(lots)).toEqual(['ILLNESS', 'HONOUR']);
+        expect(lots.ILLNESS.longitude).toBeCloseTo(137, 9);
+        expect(lots.HONOUR.longitude).toBeCloseTo(5 + 219.7 - 54.5, 9);
+        expect(lots.HONOUR.formula).toBe('MC + FORTUNE - SUN');
+    });
+
+    test('adds the lots and fixed stars to generated charts', async () => {
+        const generated = await new WesternBirthChartGenerator().generateBirthChart({
+            year: 1990, month: 5, day: 15, hour: 12, minute: 0, second: 0, latitude: 51.5, longitude: -0.1
+        });
+
+        expect(generated.lots.FORTUNE.longitude).toBeCloseTo(timeLords.calculateLots(generated).fortune, 9);
+        expect(Object.keys(generated.lots)).toHaveLength(12);
+        expect(generated.fixedStars.julianDay).toBe(generated.julianDay);
+        expect(generated.fixedStars.parans.length).toBeGreaterThan(0);
+        for (const contact of generated.fixedStars.conjunctions) {
+            expect(contact.orb).toBeLessThanOrEqual(1.5);
+        }
+    });
+
+    test('rejects unknown, circular and incomplete lots', () => {
+        const circular = new WesternArabicLotsCalculator({
+            lots: { A: { from: 'SUN', to: 'B' }, B: { from: 'MOON', to: 'A' } }
+        });
+
+        expect(() => calculator.calculateLots(chart, { lots: ['HERCULES'] })).toThrow(ValidationError);
+        expect(() => circular.calculateLots(chart, { lots: ['A'] })).toThrow(/Circular lot definition: A -> B -> A/);
+        expect(() => calculator.calculateLots({ ...chart, planets: { SUN: chart.planets.SUN, MOON: chart.planets.MOON } }))
+            .toThrow(/Lot of Eros requires the longitude of VENUS/);
+        expect(() => calculator.calculateLots({ planets: chart.planets })).toThrow(/ascendant/);
+    });
+});
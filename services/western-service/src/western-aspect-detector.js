@@ -6,16 +6,25 @@
  * - Major aspects (conjunction, sextile, square, trine, opposition)
  * - Minor aspects (semi-sextile, quintile, etc.)
  * - Chart patterns (Grand Trine, T-Square, Stellium)
+ * - Fixed star conjunctions and parans, planets conjunct Arabic lots
  */
 
 const { WESTERN_INTERPRETATION_CONSTANTS } = require('./western-deep-horoscope-constants');
 const { WesternEssentialDignityCalculator } = require('./western-essential-dignity-calculator');
+const { WesternFixedStarsCalculator } = require('./western-fixed-stars-calculator');
+const { WesternArabicLotsCalculator } = require('./western-arabic-lots-calculator');
+const { ValidationError } = require('./western-astro-constants');
+
+// Orb for a planet conjunct a lot
+const LOT_CONJUNCTION_ORB = 3;
 
 class WesternAspectDetector {
     constructor(birthChart) {
         this.birthChart = birthChart;
         this.aspectRules = this.loadAspectRules();
         this.dignityCalculator = new WesternEssentialDignityCalculator(birthChart);
+        this.fixedStarsCalculator = new WesternFixedStarsCalculator();
+        this.lotsCalculator = new WesternArabicLotsCalculator();
     }
 
     /**
@@ -39,7 +48,9 @@ class WesternAspectDetector {
         const aspects = {
             majorAspects: this.detectMajorAspects(),
             minorAspects: this.detectMinorAspects(),
-            configurations: this.detectConfigurations()
+            configurations: this.detectConfigurations(),
+            fixedStars: this.detectFixedStarContacts(),
+            lotContacts: this.detectLotContacts()
         };
 
         return aspects;
@@ -169,6 +180,71 @@ class WesternAspectDetector {
         return genericInterpretations[aspectType] || `${aspectType} aspect between ${planet1} and ${planet2}`;
     }
 
+    /**
+     * Detect fixed star conjunctions and parans, from the chart's own
+     * fixedStars when the generator supplied them
+     * @returns {Object} { conjunctions, parans }, empty without a birth moment
+     */
+    detectFixedStarContacts() {
+        let fixedStars = this.birthChart.fixedStars;
+        if (!fixedStars) {
+            try {
+                fixedStars = this.fixedStarsCalculator.analyzeChart(this.birthChart);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                return { conjunctions: [], parans: [] };
+            }
+        }
+        const stars = fixedStars.stars || {};
+
+        return {
+            conjunctions: fixedStars.conjunctions.map(contact => ({
+                ...contact,
+                strength: Math.max(0.1, 1 - contact.orb / this.fixedStarsCalculator.getConjunctionOrb(stars[contact.star] || {})),
+                interpretation: `${contact.name} conjunct ${contact.point}: ${stars[contact.star]?.meaning || 'a fixed star of ' + contact.nature.join('-') + ' nature'}`
+            })),
+            parans: fixedStars.parans.map(paran => ({
+                ...paran,
+                interpretation: `${paran.name} ${paran.starEvent} as ${paran.planet} is ${paran.planetEvent}: ${stars[paran.star]?.meaning || 'a fixed star of ' + paran.nature.join('-') + ' nature'}`
+            }))
+        };
+    }
+
+    /**
+     * Detect planets conjunct the Arabic lots, from the chart's own lots when present
+     * @returns {Array} Lot contacts, closest first; empty without the ascendant longitude
+     */
+    detectLotContacts() {
+        let lots = this.birthChart.lots;
+        if (!lots) {
+            try {
+                lots = this.lotsCalculator.calculateLots(this.birthChart).lots;
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                return [];
+            }
+        }
+
+        const contacts = [];
+        for (const lot of Object.values(lots)) {
+            for (const [planet, data] of Object.entries(this.birthChart.planets)) {
+                const diff = Math.abs(lot.longitude - data.longitude);
+                const orb = Math.min(diff, 360 - diff);
+                if (orb <= LOT_CONJUNCTION_ORB) {
+                    contacts.push({
+                        lot: lot.key,
+                        name: lot.name,
+                        planet,
+                        orb,
+                        interpretation: `${planet} on the ${lot.name} colours ${lot.meaning || 'its significations'}`
+                    });
+                }
+            }
+        }
+
+        return contacts.sort((a, b) => a.orb - b.orb);
+    }
+
     /**
      * Detect minor aspects (simplified implementation)
      * @returns {Array} Minor aspects
@@ -502,6 +502,26 @@ describe('WesternAspectDetector', () => {
         });
     });
 
+    describe('Fixed Stars and Lots', () => {
+        test('should find fixed star conjunctions and planets on lots', () => {
+            // Moon rising on Canopus and Sirius, Saturn on Vega, in a night chart: Fortune falls on the Sun
+            const starChart = { ...mockChart, julianDay: 2451545, ascendant: { longitude: 105 } };
+            const starDetector = new WesternAspectDetector(starChart);
+            const { fixedStars, lotContacts } = starDetector.detectAllAspects();
+
+            expect(fixedStars.conjunctions.map(contact => `${contact.name} ${contact.point}`).sort())
+                .toEqual(['Canopus ASC', 'Canopus MOON', 'Sirius ASC', 'Sirius MOON', 'Vega SATURN']);
+            expect(fixedStars.conjunctions[0].interpretation).toMatch(/^Canopus conjunct (MOON|ASC): voyages/);
+            expect(fixedStars.parans).toEqual([]);
+            expect(lotContacts[0]).toMatchObject({ lot: 'FORTUNE', planet: 'SUN', orb: 0 });
+        });
+
+        test('should return no contacts without a birth moment or ascendant', () => {
+            expect(detector.detectFixedStarContacts()).toEqual({ conjunctions: [], parans: [] });
+            expect(detector.detectLotContacts()).toEqual([]);
+        });
+    });
+
     describe('Edge Cases', () => {
         test('should handle planets at exact 0° and 360°', () => {
             const edgeChart = {
@@ -68,6 +68,25 @@ const PLANETARY_DATA = {
     PLUTO: { name: 'Pluto', symbol: '♇', meanMotion: 0.0039898 }
 };
 
+/**
+ * Minor Bodies and Lunar Points with Names, Symbols, and Mean Motion.
+ * Optional chart points, kept apart from PLANETARY_DATA so the ten planets
+ * stay the default set.
+ */
+const MINOR_BODY_DATA = {
+    CHIRON: { name: 'Chiron', symbol: '⚷', meanMotion: 0.019548 },
+    CERES: { name: 'Ceres', symbol: '⚳', meanMotion: 0.21408 },
+    PALLAS: { name: 'Pallas', symbol: '⚴', meanMotion: 0.2135 },
+    JUNO: { name: 'Juno', symbol: '⚵', meanMotion: 0.2258 },
+    VESTA: { name: 'Vesta', symbol: '⚶', meanMotion: 0.27156 },
+    MEAN_NODE: { name: 'Mean Node', symbol: '☊', meanMotion: -0.0529539 },
+    TRUE_NODE: { name: 'True Node', symbol: '☊', meanMotion: -0.0529539 },
+    MEAN_SOUTH_NODE: { name: 'Mean South Node', symbol: '☋', meanMotion: -0.0529539 },
+    TRUE_SOUTH_NODE: { name: 'True South Node', symbol: '☋', meanMotion: -0.0529539 },
+    MEAN_LILITH: { name: 'Mean Lilith', symbol: '⚸', meanMotion: 0.111404 },
+    OSCULATING_LILITH: { name: 'Osculating Lilith', symbol: '⚸', meanMotion: 0.111404 }
+};
+
 /**
  * Zodiac Signs Array (Tropical Zodiac)
  */
@@ -141,6 +160,7 @@ class TransitError extends WesternAstroError {
 module.exports = {
     WESTERN_ASTRO_CONSTANTS,
     PLANETARY_DATA,
+    MINOR_BODY_DATA,
     ZODIAC_SIGNS,
     ASPECTS,
     TRANSIT_CONSTANTS,
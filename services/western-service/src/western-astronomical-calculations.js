@@ -71,7 +71,7 @@ function calculateJulianDay(year, month, day, hour = 0, minute = 0, second = 0,
     const utcHour = hour - timezoneOffset;
 
     // Convert time to decimal day
-    const decimalDay = day + (utcHour + minute / WESTERN_ASTRO_CONSTANTS.MINUTES_PER_DEGREE + second / WESTERN_ASTRO_CONSTANTS.SECONDS_PER_DAY) / 24;
+    const decimalDay = day + (utcHour + minute / WESTERN_ASTRO_CONSTANTS.MINUTES_PER_DEGREE + second / (WESTERN_ASTRO_CONSTANTS.MINUTES_PER_DEGREE * WESTERN_ASTRO_CONSTANTS.SECONDS_PER_MINUTE)) / 24;
 
     // Adjust for January and February
     if (month <= 2) {
@@ -83,7 +83,7 @@ function calculateJulianDay(year, month, day, hour = 0, minute = 0, second = 0,
     const A = Math.floor(year / 100);
     const B = 2 - A + Math.floor(A / 4);
 
-    const JD = Math.floor(WESTERN_ASTRO_CONSTANTS.TROPICAL_YEAR * (year + 4716)) +
+    const JD = Math.floor(365.25 * (year + 4716)) +
                Math.floor(30.6001 * (month + 1)) +
                decimalDay + B - 1524.5;
 
@@ -99,6 +99,74 @@ function calculateJulianCenturies(julianDay) {
     return (julianDay - WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000) / WESTERN_ASTRO_CONSTANTS.JULIAN_CENTURY;
 }
 
+/**
+ * Calculate Delta T (TT - UT), the correction from Universal Time to the
+ * dynamical time used by the ephemeris theories. Uses the Espenak & Meeus
+ * polynomial fits (NASA Five Millennium Canon of Solar Eclipses, 2006).
+ * @param {number} julianDay - Julian Day Number (UT)
+ * @returns {number} Delta T in seconds
+ */
+function calculateDeltaT(julianDay) {
+    const year = 2000 + (julianDay - WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000) / 365.25;
+    let t;
+
+    if (year < 1600 || year >= 2150) {
+        const u = (year - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+    if (year < 1700) {
+        t = year - 1600;
+        return 120 - 0.9808 * t - 0.01532 * t * t + t * t * t / 7129;
+    }
+    if (year < 1800) {
+        t = year - 1700;
+        return 8.83 + 0.1603 * t - 0.0059285 * t * t + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+    }
+    if (year < 1860) {
+        t = year - 1800;
+        return 13.72 - 0.332447 * t + 0.0068612 * t * t + 0.0041116 * t ** 3 - 0.00037436 * t ** 4 +
+               0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+    }
+    if (year < 1900) {
+        t = year - 1860;
+        return 7.62 + 0.5737 * t - 0.251754 * t * t + 0.01680668 * t ** 3 - 0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (year < 1920) {
+        t = year - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t * t + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (year < 1941) {
+        t = year - 1920;
+        return 21.20 + 0.84493 * t - 0.0761 * t * t + 0.0020936 * t ** 3;
+    }
+    if (year < 1961) {
+        t = year - 1950;
+        return 29.07 + 0.407 * t - t * t / 233 + t ** 3 / 2547;
+    }
+    if (year < 1986) {
+        t = year - 1975;
+        return 45.45 + 1.067 * t - t * t / 260 - t ** 3 / 718;
+    }
+    if (year < 2005) {
+        t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year < 2050) {
+        t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+}
+
+/**
+ * Convert a Julian Day in Universal Time to Terrestrial (dynamical) Time
+ * @param {number} julianDay - Julian Day Number (UT)
+ * @returns {number} Julian Ephemeris Day (TT)
+ */
+function toDynamicalTime(julianDay) {
+    return julianDay + calculateDeltaT(julianDay) / WESTERN_ASTRO_CONSTANTS.SECONDS_PER_DAY;
+}
+
 /**
  * Calculate Greenwich Mean Sidereal Time
  * @param {number} julianDay - Julian Day Number
@@ -127,6 +195,8 @@ function calculateLST(gmst, longitude) {
 module.exports = {
     calculateJulianDay,
     calculateJulianCenturies,
+    calculateDeltaT,
+    toDynamicalTime,
     calculateGMST,
     calculateLST,
     ValidationError
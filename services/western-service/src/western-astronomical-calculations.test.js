@@ -10,6 +10,8 @@
 const {
     calculateJulianDay,
     calculateJulianCenturies,
+    calculateDeltaT,
+    toDynamicalTime,
     calculateGMST,
     calculateLST,
     ValidationError
@@ -159,6 +161,19 @@ describe('Western Astronomical Calculations', () => {
         });
     });
 
+    describe('calculateDeltaT', () => {
+        test('matches observed Delta T values', () => {
+            expect(calculateDeltaT(WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000)).toBeCloseTo(63.8, 0);
+            expect(calculateDeltaT(calculateJulianDay(1900, 1, 1, 0, 0, 0))).toBeCloseTo(-2.7, 0);
+        });
+
+        test('toDynamicalTime adds Delta T in days', () => {
+            const jd = WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000;
+            const expected = jd + calculateDeltaT(jd) / WESTERN_ASTRO_CONSTANTS.SECONDS_PER_DAY;
+            expect(toDynamicalTime(jd)).toBeCloseTo(expected, 10);
+        });
+    });
+
     describe('calculateGMST', () => {
         test('returns valid angle for J2000 epoch', () => {
             const result = calculateGMST(WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000);
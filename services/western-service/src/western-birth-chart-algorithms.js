@@ -16,9 +16,13 @@ const { degToRad, radToDeg, normalizeAngle } = require('./western-math-utils');
  * @param {number} lst - Local Sidereal Time in degrees
  * @param {number} latitude - Geographical latitude in degrees
  * @returns {number} Ascendant longitude in degrees
- * @throws {Error} If latitude is out of valid range
+ * @throws {Error} If an input is not finite or latitude is out of valid range
  */
 function calculateAscendant(lst, latitude) {
+    if (!Number.isFinite(lst) || !Number.isFinite(latitude)) {
+        throw new Error('Local Sidereal Time and latitude must be finite numbers');
+    }
+
     // Bounds checking for latitude to prevent domain errors in trigonometric functions
     if (Math.abs(latitude) >= 90) {
         throw new Error('Latitude must be between -90 and 90 degrees');
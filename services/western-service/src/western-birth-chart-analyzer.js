@@ -12,6 +12,8 @@
 const { WESTERN_BIRTH_CHART_CONSTANTS } = require('./western-birth-chart-constants');
 const { normalizeAngle, angularDistance } = require('./math-utils');
 const AspectCalculator = require('./aspect-calculator');
+const { WesternFixedStarsCalculator } = require('./western-fixed-stars-calculator');
+const { WesternArabicLotsCalculator } = require('./western-arabic-lots-calculator');
 
 /**
  * Custom error classes for birth chart analysis
@@ -559,6 +561,8 @@ class WesternBirthChartAnalyzer {
     constructor() {
         this.supportedFrameworks = ['traditional', 'modern', 'evolutionary'];
         this.supportedHouseSystems = ['placidus', 'koch', 'equal', 'whole-sign'];
+        this.fixedStarsCalculator = new WesternFixedStarsCalculator();
+        this.lotsCalculator = new WesternArabicLotsCalculator();
     }
 
     /**
@@ -588,12 +592,16 @@ class WesternBirthChartAnalyzer {
             const planetaryAnalysis = this._analyzePlanets(positions.planets, houses, aspects);
             const houseAnalysis = this._analyzeHouses(houses, positions.planets, aspects);
 
+            // Fixed stars and Arabic lots
+            const { fixedStars, lots } = this._calculateFixedStarsAndLots(positions, birthData);
+
             // Synthesize interpretation
             const synthesis = this._synthesizeChart(positions, houses, aspects, patterns, options);
 
             // Format results
             return this._formatAnalysisResults(birthData, positions, houses, aspects, patterns,
-                                             planetaryAnalysis, houseAnalysis, synthesis, options);
+                                             planetaryAnalysis, houseAnalysis, synthesis, options,
+                                             fixedStars, lots);
 
         } catch (error) {
             throw new Error(`Birth chart analysis failed: ${error.message}`);
@@ -671,6 +679,32 @@ class WesternBirthChartAnalyzer {
         return aspectCalculator.calculateAspects(planets).aspects || [];
     }
 
+    /**
+     * Private method: Calculate fixed star contacts and Arabic lots
+     */
+    _calculateFixedStarsAndLots(positions, birthData) {
+        const chart = {
+            birthDate: new Date(`${birthData.date}T${birthData.time}Z`),
+            birthData: { latitude: birthData.location.latitude },
+            planets: {}
+        };
+        positions.planets.forEach(p => {
+            chart.planets[p.name.toUpperCase()] = { longitude: p.longitude };
+        });
+        positions.points.forEach(p => {
+            chart[p.name] = { longitude: p.longitude };
+        });
+
+        try {
+            return {
+                fixedStars: this.fixedStarsCalculator.analyzeChart(chart),
+                lots: this.lotsCalculator.calculateLots(chart).lots
+            };
+        } catch (error) {
+            throw new BirthChartCalculationError(`Fixed star and lot calculation failed: ${error.message}`);
+        }
+    }
+
     /**
      * Private method: Detect patterns
      */
@@ -726,7 +760,8 @@ class WesternBirthChartAnalyzer {
      * Private method: Format analysis results
      */
     _formatAnalysisResults(birthData, positions, houses, aspects, patterns,
-                          planetaryAnalysis, houseAnalysis, synthesis, options) {
+                          planetaryAnalysis, houseAnalysis, synthesis, options,
+                          fixedStars, lots) {
         return {
             analysisTime: new Date().toISOString(),
             birthData: birthData,
@@ -735,6 +770,8 @@ class WesternBirthChartAnalyzer {
             houses: houses,
             aspects: aspects,
             patterns: patterns,
+            fixedStars: fixedStars,
+            lots: lots,
             planetaryAnalysis: planetaryAnalysis,
             houseAnalysis: houseAnalysis,
             synthesis: synthesis,
@@ -8,42 +8,47 @@
  * @since 2025-10-08
  */
 
-const { WESTERN_ASTRO_CONSTANTS, ZODIAC_SIGNS } = require('./western-astro-constants');
-const { calculateJulianDay, calculateGMST, calculateLST } = require('./western-astronomical-calculations');
+const { WESTERN_ASTRO_CONSTANTS, ZODIAC_SIGNS, WesternAstroError, ValidationError, CalculationError } = require('./western-astro-constants');
+const { calculateJulianDay, calculateGMST, calculateLST, ValidationError: DateValidationError } = require('./western-astronomical-calculations');
 const { calculateAscendant, calculateMidheaven } = require('./western-birth-chart-algorithms');
 const { calculatePlanetaryPositions } = require('./western-planetary-calculator');
-const { calculatePlacidusHouses, calculateEqualHouses, calculateKochHouses } = require('./house-systems');
-const { calculateAspects } = require('./western-aspect-calculator');
+const { calculatePlacidusHouses, calculateEqualHouses, calculateKochHouses } = require('./western-house-systems');
+const WesternAspectCalculator = require('./western-aspect-calculator');
+const { WesternFixedStarsCalculator } = require('./western-fixed-stars-calculator');
+const { WesternArabicLotsCalculator } = require('./western-arabic-lots-calculator');
 
 /**
- * Custom error classes for specific error types
+ * Custom error classes for specific calculation stages
  */
-class ValidationError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'ValidationError';
-    }
-}
-
-class AstronomicalError extends Error {
+class AstronomicalError extends CalculationError {
     constructor(message) {
         super(message);
         this.name = 'AstronomicalError';
     }
 }
 
-class CalculationError extends Error {
+class PlanetaryError extends CalculationError {
     constructor(message) {
         super(message);
-        this.name = 'CalculationError';
+        this.name = 'PlanetaryError';
     }
 }
 
-class PlanetaryError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'PlanetaryError';
+/**
+ * Report a failed chart step as ErrorClass when the failure is one the engines
+ * raise themselves: a plain Error such as the Placidus polar-latitude limit, a
+ * date range error or a WesternAstroError. Other errors (TypeError,
+ * ReferenceError, ...) are bugs and are passed through for a 500 response.
+ * @param {Error} error - Caught error
+ * @param {Function} ErrorClass - CalculationError or one of its stage subclasses
+ * @param {string} stage - Failing step, the message prefix
+ * @returns {Error} Error to throw
+ */
+function wrapCalculationError(error, ErrorClass, stage) {
+    if (error.constructor === Error || error instanceof DateValidationError || error instanceof WesternAstroError) {
+        return new ErrorClass(`${stage} failed: ${error.message}`);
     }
+    return error;
 }
 
 /**
@@ -54,6 +59,11 @@ class WesternBirthChartGenerator {
         this.houseSystem = options.houseSystem || 'PLACIDUS'; // PLACIDUS, EQUAL, KOCH
         this.includeAspects = options.includeAspects !== false;
         this.includeMinorAspects = options.includeMinorAspects || false;
+        this.includeFixedStars = options.includeFixedStars !== false;
+        this.includeLots = options.includeLots !== false;
+        this.minorBodies = options.minorBodies || []; // e.g. CHIRON, CERES, TRUE_NODE, MEAN_LILITH
+        this.fixedStarsCalculator = new WesternFixedStarsCalculator({ stars: options.fixedStars });
+        this.lotsCalculator = new WesternArabicLotsCalculator({ lots: options.lots });
     }
 
     /**
@@ -81,10 +91,16 @@ class WesternBirthChartGenerator {
             // Step 6: Create birth chart object
             const birthChart = this._createBirthChartObject(birthData, astroData, chartElements, planetaryData, aspects);
 
+            // Step 7: Add fixed star contacts and Arabic lots
+            this._addFixedStarsAndLots(birthChart);
+
             return birthChart;
 
         } catch (error) {
-            throw new Error(`Birth chart generation failed: ${error.message}`);
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw wrapCalculationError(error, CalculationError, 'Birth chart generation');
         }
     }
 
@@ -149,7 +165,7 @@ class WesternBirthChartGenerator {
 
             return { julianDay, gmst, lst };
         } catch (error) {
-            throw new AstronomicalError(`Astronomical calculation failed: ${error.message}`);
+            throw wrapCalculationError(error, AstronomicalError, 'Astronomical calculation');
         }
     }
 
@@ -177,7 +193,7 @@ class WesternBirthChartGenerator {
 
             return { ascendant, midheaven, houses };
         } catch (error) {
-            throw new CalculationError(`Chart elements calculation failed: ${error.message}`);
+            throw wrapCalculationError(error, CalculationError, 'Chart elements calculation');
         }
     }
 
@@ -186,11 +202,11 @@ class WesternBirthChartGenerator {
      */
     async _calculatePlanetaryData(julianDay) {
         try {
-            const positions = calculatePlanetaryPositions(julianDay);
+            const positions = calculatePlanetaryPositions(julianDay, this.minorBodies);
 
             return { positions };
         } catch (error) {
-            throw new PlanetaryError(`Planetary calculation failed: ${error.message}`);
+            throw wrapCalculationError(error, PlanetaryError, 'Planetary calculation');
         }
     }
 
@@ -203,9 +219,10 @@ class WesternBirthChartGenerator {
                 return [];
             }
 
-            return calculateAspects(positions);
+            const planets = Object.entries(positions).map(([name, longitude]) => ({ name, longitude }));
+            return new WesternAspectCalculator().calculateAspects(planets).aspects;
         } catch (error) {
-            throw new CalculationError(`Aspect calculation failed: ${error.message}`);
+            throw wrapCalculationError(error, CalculationError, 'Aspect calculation');
         }
     }
 
@@ -233,6 +250,7 @@ class WesternBirthChartGenerator {
                     degree: chartElements.midheaven % WESTERN_ASTRO_CONSTANTS.DEGREES_PER_SIGN
                 },
 
+                houseSystem: this.houseSystem.toUpperCase(),
                 houses: chartElements.houses,
 
                 planets: this.formatPlanetaryPositions(planetaryData.positions, chartElements.houses),
@@ -245,7 +263,19 @@ class WesternBirthChartGenerator {
                 patterns: null // Will be calculated
             };
         } catch (error) {
-            throw new CalculationError(`Birth chart object creation failed: ${error.message}`);
+            throw wrapCalculationError(error, CalculationError, 'Birth chart object creation');
+        }
+    }
+
+    /**
+     * Private method: Add fixed stars and lots to a chart
+     */
+    _addFixedStarsAndLots(birthChart) {
+        try {
+            birthChart.fixedStars = this.includeFixedStars ? this.fixedStarsCalculator.analyzeChart(birthChart) : null;
+            birthChart.lots = this.includeLots ? this.lotsCalculator.calculateLots(birthChart).lots : null;
+        } catch (error) {
+            throw wrapCalculationError(error, CalculationError, 'Fixed star and lot calculation');
         }
     }
 
@@ -0,0 +1,156 @@
+/**
+ * ZodiaCore - Western Chart Adapter
+ *
+ * Converts between WesternBirthChartGenerator charts and the service-neutral
+ * Chart document (backend/charts/chart-schema.json). Charts coming in from
+ * other services are moved into the tropical zodiac and keep their house
+ * divisions; the result carries the angles block the synastry and composite
+ * generators read, so a sidereal chart from the Vedic service can be compared
+ * with a Western one directly.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ValidationError } = require('./western-astro-constants');
+const { WesternBirthChartGenerator } = require('./western-birth-chart-generator');
+const WesternAspectCalculator = require('./western-aspect-calculator');
+
+// The chart schema is shared through the backend; a service deployed without
+// it cannot read or write chart documents
+let chartDocument = null;
+try {
+    chartDocument = require('../../../backend/charts/chart-document');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+const {
+    CHART_SCHEMA_VERSION,
+    BODY_IDS,
+    validateChart,
+    momentFromJulianDay,
+    deriveAngles,
+    convertZodiac,
+    normalizeLongitude
+} = chartDocument || {};
+
+// Used only for its position formatting and house lookup
+const positionFormatter = new WesternBirthChartGenerator({ includeFixedStars: false, includeLots: false });
+const aspectCalculator = new WesternAspectCalculator();
+
+/**
+ * Longitude with its sign index and degree within the sign
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} { longitude, sign, degree }
+ */
+function toSignPosition(longitude) {
+    return { longitude, sign: Math.floor(longitude / 30), degree: longitude % 30 };
+}
+
+/**
+ * Fail early when chart documents cannot be read or written
+ * @throws {Error} If the shared backend chart modules are not deployed
+ */
+function assertChartDocuments() {
+    if (!chartDocument) {
+        throw new Error('Chart documents require the shared backend chart modules');
+    }
+}
+
+/**
+ * Convert a Western birth chart to a Chart document
+ * @param {Object} chart - Chart from WesternBirthChartGenerator
+ * @param {Object} [options] - Document options
+ * @param {string} [options.type='natal'] - Chart type
+ * @param {string} [options.label] - Label, such as the person's name
+ * @param {Date} [options.generatedAt] - Generation time (defaults to now)
+ * @returns {Object} Chart document
+ */
+function toCanonical(chart, { type = 'natal', label, generatedAt = new Date() } = {}) {
+    assertChartDocuments();
+    const bodies = {};
+    for (const [id, position] of Object.entries(chart.planets)) {
+        if (BODY_IDS.includes(id)) {
+            bodies[id] = { longitude: normalizeLongitude(position.longitude), retrograde: Boolean(position.retrograde) };
+        }
+    }
+
+    const { birthData = {} } = chart;
+    const document = {
+        schemaVersion: CHART_SCHEMA_VERSION,
+        type,
+        moment: momentFromJulianDay(chart.julianDay),
+        location: Number.isFinite(birthData.latitude) && Number.isFinite(birthData.longitude)
+            ? { latitude: birthData.latitude, longitude: birthData.longitude }
+            : null,
+        zodiac: 'tropical',
+        ayanamsa: null,
+        houseSystem: chart.houseSystem || 'PLACIDUS',
+        houses: chart.houses.map(normalizeLongitude),
+        angles: deriveAngles(chart.ascendant.longitude, chart.midheaven.longitude),
+        bodies,
+        source: { service: 'western', generator: 'WesternBirthChartGenerator', generatedAt: generatedAt.toISOString() }
+    };
+    if (label !== undefined) {
+        document.label = label;
+    }
+    return document;
+}
+
+/**
+ * Convert a Chart document to the chart shape the Western engines read
+ * @param {Object} document - Chart document
+ * @returns {Object} Western chart: birthData, julianDay, ascendant, midheaven,
+ *   houseSystem, houses, planets, aspects and the ASC/MC/DSC/IC angles
+ * @throws {ValidationError} If the document does not match the chart schema
+ */
+function fromCanonical(document) {
+    assertChartDocuments();
+    const { valid, errors } = validateChart(document);
+    if (!valid) {
+        throw new ValidationError(`Invalid chart document: ${errors.join('; ')}`);
+    }
+
+    const tropical = convertZodiac(document, 'tropical');
+    const longitudes = {};
+    for (const [id, body] of Object.entries(tropical.bodies)) {
+        longitudes[id] = body.longitude;
+    }
+    const planets = positionFormatter.formatPlanetaryPositions(longitudes, tropical.houses);
+    for (const [id, body] of Object.entries(tropical.bodies)) {
+        planets[id].retrograde = body.retrograde !== undefined ? body.retrograde : body.speed < 0;
+    }
+
+    const utc = new Date(document.moment.utc);
+    return {
+        birthData: {
+            year: utc.getUTCFullYear(),
+            month: utc.getUTCMonth() + 1,
+            day: utc.getUTCDate(),
+            hour: utc.getUTCHours(),
+            minute: utc.getUTCMinutes(),
+            second: utc.getUTCSeconds(),
+            latitude: document.location ? document.location.latitude : undefined,
+            longitude: document.location ? document.location.longitude : undefined,
+            timezone: 0
+        },
+        julianDay: document.moment.julianDay,
+        ascendant: toSignPosition(tropical.angles.ASC),
+        midheaven: toSignPosition(tropical.angles.MC),
+        angles: tropical.angles,
+        houseSystem: document.houseSystem,
+        houses: tropical.houses,
+        planets,
+        aspects: aspectCalculator.calculateAspects(
+            Object.entries(longitudes).map(([name, longitude]) => ({ name, longitude }))
+        ).aspects
+    };
+}
+
+module.exports = {
+    toCanonical,
+    fromCanonical
+};
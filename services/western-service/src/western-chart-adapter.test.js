@@ -0,0 +1,85 @@
+/**
+ * Western Chart Adapter Tests
+ */
+
+const { WesternBirthChartGenerator } = require('./western-birth-chart-generator');
+const WesternSynastryGenerator = require('./western-synastry-generator');
+const { toCanonical, fromCanonical } = require('./western-chart-adapter');
+const { ValidationError } = require('./western-astro-constants');
+const { validateChart } = require('../../../backend/charts/chart-document');
+
+const BIRTH_DATA = { year: 1990, month: 5, day: 15, hour: 18, minute: 30, second: 0, latitude: 40.7128, longitude: -74.006, timezone: 0 };
+const PARTNER_DATA = { year: 1988, month: 11, day: 2, hour: 6, minute: 15, second: 0, latitude: 51.5074, longitude: -0.1278, timezone: 0 };
+
+describe('Western chart adapter', () => {
+    let chart;
+
+    beforeAll(async () => {
+        chart = await new WesternBirthChartGenerator({ houseSystem: 'KOCH', minorBodies: ['CHIRON', 'TRUE_NODE'] })
+            .generateBirthChart(BIRTH_DATA);
+    });
+
+    test('writes a tropical chart document with the generator house system', () => {
+        const document = toCanonical(chart, { generatedAt: new Date(0) });
+
+        expect(validateChart(document)).toEqual({ valid: true, errors: [] });
+        expect(document).toMatchObject({
+            moment: { utc: '1990-05-15T18:30:00.000Z' },
+            zodiac: 'tropical',
+            ayanamsa: null,
+            houseSystem: 'KOCH',
+            houses: chart.houses,
+            angles: { ASC: chart.ascendant.longitude, MC: chart.midheaven.longitude },
+            source: { service: 'western', generator: 'WesternBirthChartGenerator' }
+        });
+        expect(Object.keys(document.bodies)).toHaveLength(12);
+        expect(document.bodies.CHIRON.longitude).toBe(chart.planets.CHIRON.longitude);
+    });
+
+    test('reads its own documents back unchanged', () => {
+        const restored = fromCanonical(toCanonical(chart));
+
+        expect(restored.ascendant).toEqual(chart.ascendant);
+        expect(restored.midheaven).toEqual(chart.midheaven);
+        expect(restored.houseSystem).toBe('KOCH');
+        expect(restored.houses).toEqual(chart.houses);
+        expect(restored.planets).toEqual(chart.planets);
+        expect(restored.aspects).toEqual(chart.aspects);
+        expect(restored.birthData).toMatchObject(BIRTH_DATA);
+    });
+
+    test('moves sidereal charts into the tropical zodiac for synastry', async () => {
+        const partner = await new WesternBirthChartGenerator().generateBirthChart(PARTNER_DATA);
+        const sidereal = {
+            ...toCanonical(partner),
+            zodiac: 'sidereal',
+            ayanamsa: { system: 'LAHIRI', value: 23.7 },
+            houseSystem: 'WHOLE_SIGN',
+            houses: [180, 210, 240, 270, 300, 330, 0, 30, 60, 90, 120, 150],
+            angles: { ASC: 195, MC: 105, DSC: 15, IC: 285 },
+            bodies: { SUN: { longitude: 196.3 }, MOON: { longitude: 10, speed: -1 }, MEAN_NODE: { longitude: 330.2, retrograde: true } },
+            source: { service: 'vedic', generator: 'VedicBirthChartGenerator' }
+        };
+
+        const converted = fromCanonical(sidereal);
+        expect(converted.planets.SUN.longitude).toBeCloseTo(220, 10);
+        expect(converted.planets.SUN).toMatchObject({ sign: 7, house: 1, retrograde: false });
+        expect(converted.planets.MOON.retrograde).toBe(true);
+        expect(converted.houses[0]).toBeCloseTo(203.7, 10);
+        expect(converted.angles.ASC).toBeCloseTo(218.7, 10);
+        expect(converted.angles.IC).toBeCloseTo(308.7, 10);
+
+        // The converted chart feeds the synastry generator without further glue
+        const synastry = new WesternSynastryGenerator(fromCanonical(toCanonical(chart)), converted).generateSynastryChart();
+        expect(synastry.houseOverlays).toHaveLength(15);
+        expect(synastry.houseOverlays.filter(overlay => overlay.person === 2).map(overlay => overlay.planet))
+            .toEqual(['SUN', 'MOON', 'MEAN_NODE']);
+        expect(synastry.interAspects.length).toBeGreaterThan(0);
+    });
+
+    test('rejects documents that do not match the schema', () => {
+        expect(() => fromCanonical({ ...toCanonical(chart), houses: [] })).toThrow(ValidationError);
+        expect(() => fromCanonical({ ...toCanonical(chart), bodies: {} }))
+            .toThrow('Invalid chart document: chart.bodies: Must have at least 1 entries');
+    });
+});
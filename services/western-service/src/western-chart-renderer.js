@@ -0,0 +1,388 @@
+/**
+ * ZodiaCore - Western Chart Renderer
+ *
+ * Draws WesternBirthChartGenerator charts as a wheel: the zodiac band on the
+ * outside, house cusps with the ascendant on the left, planets spread apart
+ * where they crowd, and aspect lines across the centre. The output is
+ * deterministic SVG; PNG output goes through the shared rasterizer.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ZODIAC_SIGNS, PLANETARY_DATA, MINOR_BODY_DATA } = require('./western-astro-constants');
+const { normalizeAngle } = require('./western-math-utils');
+
+// Drawing needs the shared SVG builder and rasterizer; when the backend
+// modules are not deployed with the service, rendering reports them missing
+let svgBuilder = null;
+let svgRasterizer = null;
+try {
+    svgBuilder = require('../../../backend/rendering/svg-builder');
+    svgRasterizer = require('../../../backend/rendering/svg-rasterizer');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+    }
+}
+const { element, text, formatNumber, svgDocument } = svgBuilder || {};
+const { rasterizeSvg } = svgRasterizer || {};
+
+const DEFAULT_SIZE = 500;
+const MIN_SIZE = 200;
+const MAX_SIZE = 2000;
+
+// Ring radii as fractions of the chart size
+const RADII = {
+    angles: 0.47,
+    outer: 0.44,
+    zodiac: 0.37,
+    houses: 0.315,
+    planets: 0.265,
+    degrees: 0.222,
+    aspects: 0.19
+};
+
+// Closest two planet glyphs may sit, in degrees of arc
+const MIN_GLYPH_SEPARATION = 7;
+
+// Text presentation selector keeps sign glyphs from rendering as emoji
+const SIGN_SYMBOLS = ['♈', '♉', '♊', '♋', '♌', '♍', '♎', '♏', '♐', '♑', '♒', '♓']
+    .map(symbol => `${symbol}\uFE0E`);
+
+// Fire, earth, air and water tints, repeating from Aries
+const ELEMENT_FILLS = ['#fbe3d6', '#e6efd8', '#fdf6d3', '#dde9f6'];
+
+const ASPECT_STYLES = {
+    opposition: { stroke: '#c0392b' },
+    square: { stroke: '#c0392b' },
+    trine: { stroke: '#2e6fbf' },
+    sextile: { stroke: '#2e6fbf' },
+    quincunx: { stroke: '#2e8b57', dash: '4 3' },
+    'semi-sextile': { stroke: '#2e8b57', dash: '4 3' },
+    'semi-square': { stroke: '#8e44ad', dash: '4 3' },
+    'sesqui-square': { stroke: '#8e44ad', dash: '4 3' }
+};
+
+const COLORS = {
+    line: '#333333',
+    cusp: '#999999',
+    text: '#1a1a1a',
+    angle: '#c0392b',
+    muted: '#666666'
+};
+
+/**
+ * Place a zodiac longitude on the wheel
+ * @param {number} center - Wheel centre
+ * @param {number} radius - Radius in pixels
+ * @param {number} longitude - Zodiac longitude in degrees
+ * @param {number} ascendant - Ascendant longitude, drawn at nine o'clock
+ * @returns {Array<number>} [x, y]
+ */
+function wheelPoint(center, radius, longitude, ascendant) {
+    // Longitude increases anticlockwise from the ascendant on the left
+    const angle = ((180 + longitude - ascendant) * Math.PI) / 180;
+    return [center + radius * Math.cos(angle), center - radius * Math.sin(angle)];
+}
+
+/**
+ * Spread crowded planets so their glyphs do not overlap
+ * @param {Array<Object>} planets - { key, longitude }, any order
+ * @returns {Map<string, number>} Display longitude for each planet
+ */
+function spreadGlyphs(planets) {
+    const sorted = [...planets].sort((a, b) => a.longitude - b.longitude || a.key.localeCompare(b.key));
+
+    // Unroll the circle at its widest gap so no cluster straddles the cut
+    let cut = 0;
+    let widestGap = -1;
+    sorted.forEach((planet, index) => {
+        const previous = sorted[(index + sorted.length - 1) % sorted.length];
+        const gap = normalizeAngle(planet.longitude - previous.longitude) || (sorted.length === 1 ? 360 : 0);
+        if (gap > widestGap) {
+            widestGap = gap;
+            cut = index;
+        }
+    });
+    const ordered = [...sorted.slice(cut), ...sorted.slice(0, cut)];
+    const unrolled = ordered.map(planet => planet.longitude + (planet.longitude < ordered[0].longitude ? 360 : 0));
+    const display = [...unrolled];
+
+    // Push each glyph forward past its neighbour, then centre every crowded cluster on its planets
+    for (let pass = 0; pass < 3; pass++) {
+        for (let i = 1; i < display.length; i++) {
+            if (display[i] - display[i - 1] < MIN_GLYPH_SEPARATION) {
+                display[i] = display[i - 1] + MIN_GLYPH_SEPARATION;
+            }
+        }
+        let start = 0;
+        for (let i = 1; i <= display.length; i++) {
+            const clusterEnds = i === display.length || display[i] - display[i - 1] > MIN_GLYPH_SEPARATION + 1e-9;
+            if (clusterEnds) {
+                const shift = (unrolled.slice(start, i).reduce((sum, longitude) => sum + longitude, 0) -
+                    display.slice(start, i).reduce((sum, longitude) => sum + longitude, 0)) / (i - start);
+                for (let j = start; j < i; j++) {
+                    display[j] += shift;
+                }
+                start = i;
+            }
+        }
+    }
+
+    return new Map(ordered.map((planet, index) => [planet.key, normalizeAngle(display[index])]));
+}
+
+/**
+ * Read the planets, houses and aspects to draw from a chart
+ * @param {Object} chart - WesternBirthChartGenerator output (or the /birth-chart API response)
+ * @returns {Object} { ascendant, midheaven, houses, planets: [{ key, longitude, retrograde }], aspects }
+ * @throws {TypeError} If the chart has no ascendant or planets
+ */
+function normalizeChart(chart) {
+    if (!chart || typeof chart !== 'object' || !chart.planets || typeof chart.planets !== 'object') {
+        throw new TypeError('A chart with planets is required');
+    }
+    const ascendant = chart.ascendant && chart.ascendant.longitude;
+    if (!Number.isFinite(ascendant)) {
+        throw new TypeError('Chart must have an ascendant longitude');
+    }
+
+    const planets = Object.entries(chart.planets).map(([key, planet]) => {
+        const longitude = typeof planet === 'number' ? planet : planet.longitude;
+        if (!Number.isFinite(longitude)) {
+            throw new TypeError(`Invalid longitude for ${key}`);
+        }
+        return { key, longitude: normalizeAngle(longitude), retrograde: Boolean(planet.retrograde) };
+    });
+
+    const houses = Array.isArray(chart.houses) && chart.houses.length === 12
+        ? chart.houses.map(cusp => (typeof cusp === 'number' ? cusp : cusp.cusp))
+        : Array.from({ length: 12 }, (_, index) => normalizeAngle(ascendant + index * 30));
+
+    // Generator aspects name both planets in `planets`; API responses use planet1/planet2
+    const aspects = (chart.aspects || []).map(aspect => ({
+        planets: aspect.planets || [aspect.planet1, aspect.planet2],
+        type: aspect.type || aspect.aspect,
+        strength: aspect.strength
+    }));
+
+    return {
+        ascendant: normalizeAngle(ascendant),
+        midheaven: chart.midheaven && Number.isFinite(chart.midheaven.longitude)
+            ? normalizeAngle(chart.midheaven.longitude)
+            : null,
+        houses,
+        planets,
+        aspects
+    };
+}
+
+/**
+ * Draw the zodiac band
+ * @param {number} size - Chart size
+ * @param {number} ascendant - Ascendant longitude
+ * @param {boolean} glyphs - Use sign glyphs rather than abbreviations
+ * @returns {string} Group element
+ */
+function renderZodiac(size, ascendant, glyphs) {
+    const c = size / 2;
+    const outer = RADII.outer * size;
+    const inner = RADII.zodiac * size;
+    const children = [];
+
+    for (let sign = 0; sign < 12; sign++) {
+        const start = sign * 30;
+        const [ox1, oy1] = wheelPoint(c, outer, start, ascendant);
+        const [ox2, oy2] = wheelPoint(c, outer, start + 30, ascendant);
+        const [ix1, iy1] = wheelPoint(c, inner, start, ascendant);
+        const [ix2, iy2] = wheelPoint(c, inner, start + 30, ascendant);
+        // Arcs run anticlockwise on screen (sweep flag 0) from the sign's start
+        const path = [
+            'M', ox1, oy1,
+            'A', outer, outer, 0, 0, 0, ox2, oy2,
+            'L', ix2, iy2,
+            'A', inner, inner, 0, 0, 1, ix1, iy1,
+            'Z'
+        ].map(part => (typeof part === 'number' ? formatNumber(part) : part)).join(' ');
+        const [lx, ly] = wheelPoint(c, (outer + inner) / 2, start + 15, ascendant);
+
+        children.push(element('g', { class: `sign sign-${sign + 1}` }, [
+            element('path', { d: path, fill: ELEMENT_FILLS[sign % 4], stroke: COLORS.line, 'stroke-width': 1 }),
+            text(lx, ly, glyphs ? SIGN_SYMBOLS[sign] : ZODIAC_SIGNS[sign].slice(0, 3), {
+                'font-size': size * (glyphs ? 0.04 : 0.026),
+                fill: COLORS.text
+            })
+        ]));
+    }
+
+    return element('g', { class: 'zodiac' }, children);
+}
+
+/**
+ * Draw house cusps, house numbers and the angles
+ * @param {number} size - Chart size
+ * @param {Object} normalized - Output of normalizeChart
+ * @returns {string} Group element
+ */
+function renderHouses(size, normalized) {
+    const c = size / 2;
+    const { ascendant, houses } = normalized;
+    const children = [
+        element('circle', { cx: c, cy: c, r: RADII.houses * size, fill: 'none', stroke: COLORS.cusp, 'stroke-width': 1 }),
+        element('circle', { cx: c, cy: c, r: RADII.aspects * size, fill: '#ffffff', stroke: COLORS.line, 'stroke-width': 1 })
+    ];
+
+    houses.forEach((cusp, index) => {
+        const isAngle = index % 3 === 0;
+        const [x1, y1] = wheelPoint(c, RADII.zodiac * size, cusp, ascendant);
+        const [x2, y2] = wheelPoint(c, RADII.aspects * size, cusp, ascendant);
+        children.push(element('line', {
+            x1, y1, x2, y2,
+            stroke: isAngle ? COLORS.angle : COLORS.cusp,
+            'stroke-width': isAngle ? 2 : 1,
+            class: `cusp cusp-${index + 1}`
+        }));
+
+        const next = houses[(index + 1) % 12];
+        const middle = cusp + normalizeAngle(next - cusp) / 2;
+        const [nx, ny] = wheelPoint(c, ((RADII.zodiac + RADII.houses) / 2) * size, middle, ascendant);
+        children.push(text(nx, ny, String(index + 1), { 'font-size': size * 0.024, fill: COLORS.muted }));
+    });
+
+    const angles = [['AC', ascendant], ['DC', normalizeAngle(ascendant + 180)]];
+    if (normalized.midheaven !== null) {
+        angles.push(['MC', normalized.midheaven], ['IC', normalizeAngle(normalized.midheaven + 180)]);
+    }
+    for (const [label, longitude] of angles) {
+        const [x, y] = wheelPoint(c, RADII.angles * size, longitude, ascendant);
+        children.push(text(x, y, label, { 'font-size': size * 0.024, fill: COLORS.angle, 'font-weight': 'bold' }));
+    }
+
+    return element('g', { class: 'houses' }, children);
+}
+
+/**
+ * Draw the planet glyphs with their degree in sign
+ * @param {number} size - Chart size
+ * @param {Object} normalized - Output of normalizeChart
+ * @param {boolean} glyphs - Use planet glyphs rather than names
+ * @returns {string} Group element
+ */
+function renderPlanets(size, normalized, glyphs) {
+    const c = size / 2;
+    const { ascendant } = normalized;
+    const display = spreadGlyphs(normalized.planets);
+    const children = [];
+
+    for (const planet of normalized.planets) {
+        const shown = display.get(planet.key);
+        const [tx1, ty1] = wheelPoint(c, RADII.houses * size, planet.longitude, ascendant);
+        const [tx2, ty2] = wheelPoint(c, (RADII.houses - 0.015) * size, planet.longitude, ascendant);
+        const [gx, gy] = wheelPoint(c, RADII.planets * size, shown, ascendant);
+        const [dx, dy] = wheelPoint(c, RADII.degrees * size, shown, ascendant);
+
+        const data = PLANETARY_DATA[planet.key] || MINOR_BODY_DATA[planet.key];
+        let label = planet.key.slice(0, 2);
+        if (data) {
+            label = glyphs ? data.symbol : data.name.slice(0, 2);
+        }
+        const degree = `${Math.floor(planet.longitude % 30)}°${planet.retrograde ? 'R' : ''}`;
+
+        children.push(element('g', { class: `planet planet-${planet.key.toLowerCase()}` }, [
+            element('line', { x1: tx1, y1: ty1, x2: tx2, y2: ty2, stroke: COLORS.line, 'stroke-width': 1 }),
+            text(gx, gy, label, { 'font-size': size * (glyphs ? 0.042 : 0.03), fill: COLORS.text }),
+            text(dx, dy, degree, { 'font-size': size * 0.02, fill: COLORS.muted })
+        ]));
+    }
+
+    return element('g', { class: 'planets' }, children);
+}
+
+/**
+ * Draw aspect lines between the true planet positions on the inner circle
+ * @param {number} size - Chart size
+ * @param {Object} normalized - Output of normalizeChart
+ * @returns {string} Group element
+ */
+function renderAspects(size, normalized) {
+    const c = size / 2;
+    const radius = RADII.aspects * size;
+    const longitudes = new Map(normalized.planets.map(planet => [planet.key, planet.longitude]));
+    const lines = [];
+
+    for (const aspect of normalized.aspects) {
+        const style = ASPECT_STYLES[aspect.type];
+        const [from, to] = aspect.planets;
+        if (!style || !longitudes.has(from) || !longitudes.has(to)) {
+            // Conjunctions have no line to draw; unknown points are skipped
+            continue;
+        }
+        const [x1, y1] = wheelPoint(c, radius, longitudes.get(from), normalized.ascendant);
+        const [x2, y2] = wheelPoint(c, radius, longitudes.get(to), normalized.ascendant);
+        const strength = Number.isFinite(aspect.strength) ? Math.max(0, Math.min(1, aspect.strength)) : 0.5;
+
+        lines.push(element('line', {
+            x1, y1, x2, y2,
+            stroke: style.stroke,
+            'stroke-width': 0.5 + strength * 1.5,
+            'stroke-dasharray': style.dash,
+            class: `aspect aspect-${aspect.type}`
+        }));
+    }
+
+    return element('g', { class: 'aspects', 'stroke-linecap': 'round' }, lines);
+}
+
+/**
+ * Render a Western chart wheel as SVG
+ * @param {Object} chart - WesternBirthChartGenerator output (or the /birth-chart API response)
+ * @param {Object} options - Rendering options
+ * @param {number} options.size - Width and height in pixels (200-2000, default 500)
+ * @param {boolean} options.aspects - Draw aspect lines (default true)
+ * @param {boolean} options.glyphs - Use astrological glyphs rather than abbreviations (default true)
+ * @param {string} options.title - Accessible title
+ * @returns {string} SVG document
+ * @throws {RangeError} If the size is invalid
+ * @throws {Error} If the shared rendering modules are not deployed
+ * @throws {TypeError} If the chart cannot be drawn
+ */
+function renderWesternChart(chart, options = {}) {
+    if (!svgBuilder || !svgRasterizer) {
+        throw new Error('Chart rendering requires the shared backend rendering modules');
+    }
+    const { size = DEFAULT_SIZE, aspects = true, glyphs = true, title = 'Western birth chart' } = options;
+    if (!Number.isFinite(size) || size < MIN_SIZE || size > MAX_SIZE) {
+        throw new RangeError(`Chart size must be between ${MIN_SIZE} and ${MAX_SIZE} pixels`);
+    }
+
+    const normalized = normalizeChart(chart);
+    const body = [
+        renderZodiac(size, normalized.ascendant, glyphs),
+        renderHouses(size, normalized)
+    ];
+    if (aspects) {
+        body.push(renderAspects(size, normalized));
+    }
+    body.push(renderPlanets(size, normalized, glyphs));
+
+    return svgDocument({ width: size, height: size, title }, element('g', { class: 'western-chart' }, body));
+}
+
+/**
+ * Render a Western chart wheel as PNG
+ * @param {Object} chart - WesternBirthChartGenerator output
+ * @param {Object} options - renderWesternChart options; size is the PNG width
+ * @returns {Buffer} PNG image
+ * @throws {RasterizerUnavailableError} If no rasterizer is installed
+ */
+function renderWesternChartPng(chart, options = {}) {
+    return rasterizeSvg(renderWesternChart(chart, options));
+}
+
+module.exports = {
+    renderWesternChart,
+    renderWesternChartPng,
+    spreadGlyphs
+};
@@ -0,0 +1,97 @@
+/**
+ * Western Chart Renderer Tests
+ */
+
+const { renderWesternChart, spreadGlyphs } = require('./western-chart-renderer');
+
+const chart = {
+    ascendant: { longitude: 100, sign: 3, degree: 10 },
+    midheaven: { longitude: 10, sign: 0, degree: 10 },
+    houses: [100, 128, 158, 190, 222, 253, 280, 308, 338, 10, 42, 73],
+    planets: {
+        SUN: { longitude: 54.5 },
+        MOON: { longitude: 174.2 },
+        MERCURY: { longitude: 56 },
+        VENUS: { longitude: 58.9 },
+        MARS: { longitude: 280, retrograde: true }
+    },
+    aspects: [
+        { planets: ['SUN', 'MOON'], type: 'trine', strength: 0.9 },
+        { planets: ['SUN', 'MERCURY'], type: 'conjunction', strength: 0.8 },
+        { planets: ['MOON', 'MARS'], type: 'sextile', strength: 0.2 }
+    ]
+};
+
+describe('renderWesternChart', () => {
+    test('renders identical SVG for identical charts', () => {
+        const svg = renderWesternChart(chart);
+
+        expect(renderWesternChart(JSON.parse(JSON.stringify(chart)))).toBe(svg);
+        expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="500" height="500"/);
+        expect(svg).not.toMatch(/\d\.\d{3}/);
+    });
+
+    test('puts the ascendant on the left and the midheaven above', () => {
+        const svg = renderWesternChart(chart);
+        const cusp = (house) => svg.match(new RegExp(`<line ([^>]*)class="cusp cusp-${house}"`))[1];
+
+        // 1st cusp runs from the zodiac band (r = 185) to the aspect circle (r = 95) at nine o'clock
+        expect(cusp(1)).toContain('x1="65" y1="250" x2="155" y2="250"');
+        // 10th cusp 90° further anticlockwise, straight up
+        expect(cusp(10)).toContain('x1="250" y1="65" x2="250" y2="155"');
+    });
+
+    test('draws a line for each aspect other than conjunctions', () => {
+        const svg = renderWesternChart(chart);
+        const aspectLines = [...svg.matchAll(/class="aspect aspect-([a-z-]+)"/g)].map(match => match[1]);
+
+        expect(aspectLines).toEqual(['trine', 'sextile']);
+        expect(svg).toContain('stroke-width="1.85"');
+        expect(renderWesternChart(chart, { aspects: false })).not.toContain('class="aspects"');
+    });
+
+    test('accepts the API response shape', () => {
+        const apiChart = {
+            ...chart,
+            aspects: [{ planet1: 'SUN', planet2: 'MOON', aspect: 'trine', strength: 0.9 }]
+        };
+
+        expect(renderWesternChart(apiChart)).toContain('class="aspect aspect-trine"');
+    });
+
+    test('uses glyphs or abbreviations', () => {
+        expect(renderWesternChart(chart)).toContain('>☉</text>');
+        expect(renderWesternChart(chart)).toContain('>10°R</text>');
+        const plain = renderWesternChart(chart, { glyphs: false });
+        expect(plain).toContain('>Su</text>');
+        expect(plain).toContain('>Tau</text>');
+    });
+
+    test('rejects charts without an ascendant and out-of-range sizes', () => {
+        expect(() => renderWesternChart({ planets: {} })).toThrow(/ascendant/);
+        expect(() => renderWesternChart(chart, { size: 100 })).toThrow(RangeError);
+    });
+});
+
+describe('spreadGlyphs', () => {
+    test('keeps crowded glyphs apart, centred on their planets', () => {
+        const display = spreadGlyphs(Object.entries(chart.planets).map(([key, planet]) => ({ key, longitude: planet.longitude })));
+
+        expect(display.get('MERCURY') - display.get('SUN')).toBeCloseTo(7, 9);
+        expect(display.get('VENUS') - display.get('MERCURY')).toBeCloseTo(7, 9);
+        expect((display.get('SUN') + display.get('MERCURY') + display.get('VENUS')) / 3).toBeCloseTo((54.5 + 56 + 58.9) / 3, 9);
+        expect(display.get('MOON')).toBeCloseTo(174.2, 9);
+    });
+
+    test('spreads clusters across 0° Aries', () => {
+        const display = spreadGlyphs([
+            { key: 'SUN', longitude: 358 },
+            { key: 'MOON', longitude: 1 },
+            { key: 'MARS', longitude: 180 }
+        ]);
+
+        expect(display.get('SUN')).toBeCloseTo(356, 9);
+        expect(display.get('MOON')).toBeCloseTo(3, 9);
+        expect(display.get('MARS')).toBeCloseTo(180, 9);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * ZodiaCore - Western Compatibility Utilities
+ *
+ * Shared helpers for synastry and composite chart calculations:
+ * inter-chart aspect detection and shorter-arc midpoints.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { RELATIONSHIP_CHART_CONSTANTS } = require('./western-relationship-constants');
+const { normalizeAngle } = require('./western-math-utils');
+
+/**
+ * Aspects considered between two charts, keyed as in
+ * RELATIONSHIP_CHART_CONSTANTS.ASPECT_WEIGHTS
+ */
+const SYNASTRY_ASPECTS = {
+    CONJUNCTION: { angle: 0, orb: RELATIONSHIP_CHART_CONSTANTS.ASPECT_ORB_TOLERANCE },
+    SEXTILE: { angle: 60, orb: 6 },
+    SQUARE: { angle: 90, orb: RELATIONSHIP_CHART_CONSTANTS.ASPECT_ORB_TOLERANCE },
+    TRINE: { angle: 120, orb: RELATIONSHIP_CHART_CONSTANTS.ASPECT_ORB_TOLERANCE },
+    QUINCUNX: { angle: 150, orb: 3 },
+    OPPOSITION: { angle: 180, orb: RELATIONSHIP_CHART_CONSTANTS.ASPECT_ORB_TOLERANCE }
+};
+
+/**
+ * Calculate the closest aspect between two longitudes
+ * @param {number} longitude1 - First longitude in degrees
+ * @param {number} longitude2 - Second longitude in degrees
+ * @returns {Object|null} Aspect ({ type, angle, orb, exactness }) or null if none is within orb
+ */
+function calculateAspect(longitude1, longitude2) {
+    const diff = Math.abs(normalizeAngle(longitude1) - normalizeAngle(longitude2));
+    const separation = Math.min(diff, 360 - diff);
+
+    let closest = null;
+    for (const [type, aspect] of Object.entries(SYNASTRY_ASPECTS)) {
+        const orb = Math.abs(separation - aspect.angle);
+        if (orb <= aspect.orb && (!closest || orb < closest.orb)) {
+            closest = {
+                type,
+                angle: aspect.angle,
+                orb,
+                exactness: 1 - (orb / aspect.orb)
+            };
+        }
+    }
+
+    return closest;
+}
+
+/**
+ * Calculate the midpoint of the shorter arc between two longitudes
+ * @param {number} longitude1 - First longitude in degrees
+ * @param {number} longitude2 - Second longitude in degrees
+ * @returns {number} Midpoint longitude in degrees (0-360)
+ */
+function calculateMidpoint(longitude1, longitude2) {
+    let midpoint = (longitude1 + longitude2) / 2;
+
+    // Across the 0° Aries point the simple average lands on the far side
+    if (Math.abs(longitude1 - longitude2) > 180) {
+        midpoint += 180;
+    }
+
+    return normalizeAngle(midpoint);
+}
+
+module.exports = {
+    SYNASTRY_ASPECTS,
+    calculateAspect,
+    calculateMidpoint
+};
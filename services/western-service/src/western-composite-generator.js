@@ -10,10 +10,10 @@
  * @license MIT
  */
 
-const { calculateMidpoint } = require('./compatibility-utils');
+const { calculateMidpoint } = require('./western-compatibility-utils');
 const { RELATIONSHIP_CHART_CONSTANTS } = require('./western-relationship-constants');
-const { ValidationError, CalculationError } = require('./errors');
-const { calculateWholeSignHouses } = require('./house-systems');
+const { ValidationError, CalculationError } = require('./western-astro-constants');
+const { calculateWholeSignHouses } = require('./western-house-systems');
 
 /**
  * Western Composite Chart Generator Class
@@ -256,7 +256,7 @@ class WesternCompositeGenerator {
      * @returns {Object|null} Aspect object or null
      */
     findAspect(pos1, pos2) {
-        const { calculateAspect } = require('./compatibility-utils');
+        const { calculateAspect } = require('./western-compatibility-utils');
         return calculateAspect(pos1, pos2);
     }
 
@@ -11,6 +11,8 @@ const { WesternAspectDetector } = require('./western-aspect-detector');
 const { WesternLifeAreaAnalyzer } = require('./western-life-area-analyzer');
 const { WesternPredictiveAnalyzer } = require('./western-predictive-analyzer');
 const { WesternRemedyGenerator } = require('./western-remedy-generator');
+const { WesternArabicLotsCalculator } = require('./western-arabic-lots-calculator');
+const { ValidationError } = require('./western-astro-constants');
 const { WESTERN_INTERPRETATION_CONSTANTS } = require('./western-deep-horoscope-constants');
 
 class WesternDeepHoroscopeInterpreter {
@@ -32,6 +34,7 @@ class WesternDeepHoroscopeInterpreter {
         this.lifeAreaAnalyzer = new WesternLifeAreaAnalyzer(birthChart);
         this.predictiveAnalyzer = new WesternPredictiveAnalyzer(birthChart);
         this.remedyGenerator = new WesternRemedyGenerator(birthChart);
+        this.lotsCalculator = new WesternArabicLotsCalculator();
     }
 
     /**
@@ -51,6 +54,10 @@ class WesternDeepHoroscopeInterpreter {
                 // Aspects and configurations
                 aspects: this.aspectDetector.detectAllAspects(),
 
+                // Fixed stars and Arabic lots
+                fixedStars: this.analyzeFixedStars(),
+                lots: this.analyzeLots(),
+
                 // Life area assessments
                 lifeAreas: this.lifeAreaAnalyzer.analyzeAllLifeAreas(),
 
@@ -175,6 +182,61 @@ class WesternDeepHoroscopeInterpreter {
         return interpretation;
     }
 
+    /**
+     * Fixed star contacts, singling out royal stars and stars on the angles or luminaries
+     * @returns {Object} Conjunctions, parans, prominent stars and a summary
+     */
+    analyzeFixedStars() {
+        const { conjunctions, parans } = this.aspectDetector.detectFixedStarContacts();
+        const prominent = conjunctions.filter(contact =>
+            contact.royal || ['ASC', 'MC', 'SUN', 'MOON'].includes(contact.point)
+        );
+
+        let summary = 'No fixed star falls on a natal planet or angle.';
+        if (prominent.length > 0) {
+            summary = `Prominent stars: ${prominent.map(contact => `${contact.name} on ${contact.point}`).join(', ')}.`;
+        } else if (conjunctions.length > 0) {
+            summary = `Fixed stars on ${conjunctions.map(contact => contact.point).join(', ')} add a secondary note.`;
+        }
+
+        return { conjunctions, parans, prominent, summary };
+    }
+
+    /**
+     * Arabic lots with their sign, whole-sign house and lord
+     * @returns {Object} { sect, lots, contacts }; empty without the ascendant longitude
+     */
+    analyzeLots() {
+        let result;
+        try {
+            result = this.birthChart.lots
+                ? { sect: this.lotsCalculator.timeLords.isDayChart(this.birthChart) ? 'diurnal' : 'nocturnal', lots: this.birthChart.lots }
+                : this.lotsCalculator.calculateLots(this.birthChart);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            return { sect: null, lots: {}, contacts: [] };
+        }
+
+        const ascendantSign = Math.floor(this.lotsCalculator.timeLords.getAscendant(this.birthChart) / 30);
+        const lots = {};
+        for (const [key, lot] of Object.entries(result.lots)) {
+            const house = ((lot.sign - ascendantSign + 12) % 12) + 1;
+            const lord = this.getSignRuler(lot.signName);
+            lots[key] = {
+                name: lot.name,
+                longitude: lot.longitude,
+                sign: lot.signName,
+                degree: lot.degree,
+                house,
+                lord,
+                reversed: lot.reversed,
+                interpretation: `${lot.name} in ${lot.signName} (house ${house}), ruled by ${lord}: ${lot.meaning || 'its significations'} are shown through this house and its lord.`
+            };
+        }
+
+        return { sect: result.sect, lots, contacts: this.aspectDetector.detectLotContacts() };
+    }
+
     /**
      * Format planetary positions for display
      * @returns {Object} Formatted positions
@@ -331,7 +393,7 @@ class WesternDeepHoroscopeInterpreter {
      * @returns {string} Ruling planet
      */
     getSignRuler(sign) {
-        return WESTERN_INTERPRETATION_CONSTANTS.RULERSHIPS.find(([planet, signs]) =>
+        return Object.entries(WESTERN_INTERPRETATION_CONSTANTS.RULERSHIPS).find(([planet, signs]) =>
             signs.includes(sign)
         )?.[0] || 'SUN';
     }
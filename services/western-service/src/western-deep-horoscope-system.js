@@ -82,7 +82,8 @@ class WesternDeepHoroscopeSystem {
             birthData: birthData,
             ascendant: {
                 sign: 'Leo',
-                degree: 15.5
+                degree: 15.5,
+                longitude: 135.5
             },
             planets: {
                 SUN: { sign: 'Leo', longitude: 135, house: 1 },
@@ -127,6 +128,10 @@ class WesternDeepHoroscopeSystem {
             // Aspects and Configurations
             aspects: interpretation.aspects,
 
+            // Fixed Stars and Arabic Lots
+            fixedStars: interpretation.fixedStars,
+            lots: interpretation.lots,
+
             // Predictions
             predictions: interpretation.predictions,
 
@@ -0,0 +1,705 @@
+/**
+ * ZodiaCore - Western Astronomical Event Finder
+ *
+ * Searches a date range for astronomical events instead of sampling single
+ * dates: sign and nakshatra ingresses, stations and retrograde periods,
+ * exact aspects between two transiting bodies, new and full moons, tithis, and
+ * solar and lunar eclipses with their type, magnitude and Saros series.
+ *
+ * Each search samples a quantity (the sign a body is in, the sign of its
+ * speed, the quadrant of the Moon's elongation) at a fixed step and refines
+ * every change by bisection to about a second. Eclipses are classified at
+ * greatest eclipse from the geometry of the Sun, Moon and Earth (Meeus,
+ * Astronomical Algorithms, ch. 54). Positions come from VSOP87Calculator, so
+ * any body it supports can be searched. All times are Julian Days (UT).
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const VSOP87Calculator = require('./western-vsop87-calculator');
+const { normalizeAngle, degToRad, radToDeg } = require('./western-math-utils');
+const { toDynamicalTime } = require('./western-astronomical-calculations');
+const {
+    WESTERN_ASTRO_CONSTANTS,
+    PLANETARY_DATA,
+    ZODIAC_SIGNS,
+    ASPECTS,
+    ValidationError
+} = require('./western-astro-constants');
+
+// Bisection stops when the bracket is under a second
+const TIME_TOLERANCE = 1 / 86400;
+// Central difference step for speeds, in days
+const SPEED_STEP = 0.01;
+// The longest range one search may cover, in days
+const MAX_SEARCH_DAYS = 100 * 365.25;
+
+// Bodies whose position is sampled every 6 hours rather than daily
+const FAST_BODIES = ['MOON', 'TRUE_NODE', 'TRUE_SOUTH_NODE', 'OSCULATING_LILITH'];
+const DEFAULT_STEP = 1;
+const FAST_STEP = 0.25;
+
+// The Sun, Moon and mean lunar points never station
+const NON_STATIONING_BODIES = ['SUN', 'MOON', 'MEAN_NODE', 'MEAN_SOUTH_NODE', 'MEAN_LILITH'];
+
+const DEFAULT_ASPECTS = ['CONJUNCTION', 'SEXTILE', 'SQUARE', 'TRINE', 'OPPOSITION'];
+
+const NAKSHATRA_NAMES = [
+    'Ashwini', 'Bharani', 'Krittika', 'Rohini', 'Mrigashira', 'Ardra', 'Punarvasu',
+    'Pushya', 'Ashlesha', 'Magha', 'Purva Phalguni', 'Uttara Phalguni', 'Hasta',
+    'Chitra', 'Swati', 'Vishakha', 'Anuradha', 'Jyeshtha', 'Mula', 'Purva Ashadha',
+    'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Purva Bhadrapada',
+    'Uttara Bhadrapada', 'Revati'
+];
+
+const DIVISIONS = {
+    sign: { size: 30, names: ZODIAC_SIGNS },
+    nakshatra: { size: 360 / 27, names: NAKSHATRA_NAMES }
+};
+
+const LUNATION_PHASES = ['new-moon', 'first-quarter', 'full-moon', 'last-quarter'];
+
+// Lahiri ayanamsa at J2000.0, used when no ayanamsa function is supplied
+const LAHIRI_J2000 = 23.857054;
+
+const KM_PER_AU = 149597870.7;
+const EARTH_RADIUS_KM = 6378.14;
+const MOON_RADIUS_KM = 1737.4;
+const SUN_RADIUS_KM = 696000;
+const SYNODIC_MONTH = 29.530588861;
+// Meeus' lunation 0: the new moon of 2000 January 6
+const LUNATION_EPOCH = 2451550.09766;
+// The Moon's latitude at syzygy beyond which no eclipse is possible
+const ECLIPSE_LATITUDE_LIMIT = 1.7;
+// Half-width in days of the window searched for greatest eclipse
+const GREATEST_ECLIPSE_WINDOW = 0.3;
+// Earth's shadow is enlarged by its atmosphere; Danjon's rule scales the Moon's parallax
+const SHADOW_ENLARGEMENT = 1.01;
+
+// Eclipses one Saros (223 lunations) apart share a series; one Inex (358
+// lunations) apart belong to consecutive series. 38 is 358's inverse mod 223.
+const SAROS_LUNATIONS = 223;
+const INEX_LUNATIONS = 358;
+const INEX_INVERSE = 38;
+const SAROS_REFERENCES = {
+    solar: { julianDay: 2457987.268, saros: 145 }, // Total solar eclipse of 2017 August 21
+    lunar: { julianDay: 2459891.958, saros: 136 } // Total lunar eclipse of 2022 November 8
+};
+
+/**
+ * Wrap an angle to (-180, 180]
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Wrapped angle
+ */
+function wrapAngle(angle) {
+    const normalized = normalizeAngle(angle);
+    return normalized > 180 ? normalized - 360 : normalized;
+}
+
+/**
+ * Convert a Julian Day (UT) to a JavaScript Date
+ * @param {number} julianDay - Julian Day
+ * @returns {Date} UTC date
+ */
+function julianDayToDate(julianDay) {
+    return new Date(Math.round((julianDay - 2440587.5) * 86400000));
+}
+
+/**
+ * Astronomical Event Finder Class
+ */
+class WesternEventFinder {
+    /**
+     * Constructor
+     * @param {Object} options - { ayanamsa: function of the Julian Day giving the
+     *   ayanamsa in degrees, for sidereal signs and nakshatras (default Lahiri) }
+     */
+    constructor(options = {}) {
+        this.ephemeris = new VSOP87Calculator();
+        this.ayanamsa = options.ayanamsa || (julianDay =>
+            LAHIRI_J2000 + (julianDay - WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000) / 365.25 *
+            WESTERN_ASTRO_CONSTANTS.PRECESSION_RATE / 3600);
+    }
+
+    /**
+     * Apparent longitude of a body
+     * @param {string} body - Body key (SUN, MOON, MARS, CHIRON, TRUE_NODE, ...)
+     * @param {number} julianDay - Julian Day (UT)
+     * @param {string} zodiac - 'tropical' or 'sidereal'
+     * @returns {number} Longitude in degrees
+     */
+    getLongitude(body, julianDay, zodiac = 'tropical') {
+        const longitude = this.ephemeris.getPlanetPosition(body, julianDay);
+        return zodiac === 'sidereal' ? normalizeAngle(longitude - this.ayanamsa(julianDay)) : longitude;
+    }
+
+    /**
+     * Longitudinal speed of a body, negative when retrograde
+     * @param {string} body - Body key
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {number} Speed in degrees per day
+     */
+    getSpeed(body, julianDay) {
+        const before = this.ephemeris.getPlanetPosition(body, julianDay - SPEED_STEP);
+        const after = this.ephemeris.getPlanetPosition(body, julianDay + SPEED_STEP);
+        return wrapAngle(after - before) / (2 * SPEED_STEP);
+    }
+
+    /**
+     * Find when a body enters each sign or nakshatra
+     * @param {string} body - Body key
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @param {Object} options - { division: 'sign' | 'nakshatra', zodiac: 'tropical' | 'sidereal' };
+     *   nakshatras are always sidereal
+     * @returns {Array} Ingress events in date order
+     */
+    findIngresses(body, startJulianDay, endJulianDay, options = {}) {
+        this._validateRange(body, startJulianDay, endJulianDay);
+        const divisionName = options.division || 'sign';
+        const division = DIVISIONS[divisionName];
+        if (!division) {
+            throw new ValidationError(`Unknown division: ${divisionName}`);
+        }
+        const zodiac = divisionName === 'nakshatra' ? 'sidereal' : (options.zodiac || 'tropical');
+        const indexAt = julianDay => Math.floor(this.getLongitude(body, julianDay, zodiac) / division.size);
+
+        return this._findChanges(indexAt, startJulianDay, endJulianDay, this._stepFor(body)).map(change => {
+            // Leaving backwards through the start of a division means entering the one before
+            const retrograde = change.to === (change.from + division.names.length - 1) % division.names.length;
+            return {
+                type: 'ingress',
+                body,
+                julianDay: change.julianDay,
+                date: julianDayToDate(change.julianDay),
+                division: divisionName,
+                zodiac,
+                from: change.from,
+                to: change.to,
+                fromName: division.names[change.from],
+                toName: division.names[change.to],
+                retrograde
+            };
+        });
+    }
+
+    /**
+     * Find when a body stations retrograde or direct
+     * @param {string} body - Body key
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @returns {Array} Station events in date order
+     */
+    findStations(body, startJulianDay, endJulianDay) {
+        this._validateRange(body, startJulianDay, endJulianDay);
+        if (NON_STATIONING_BODIES.includes(body)) {
+            return [];
+        }
+        const isRetrograde = julianDay => this.getSpeed(body, julianDay) < 0;
+
+        return this._findChanges(isRetrograde, startJulianDay, endJulianDay, this._stepFor(body)).map(change => {
+            const longitude = this.getLongitude(body, change.julianDay);
+            return {
+                type: 'station',
+                body,
+                julianDay: change.julianDay,
+                date: julianDayToDate(change.julianDay),
+                direction: change.to ? 'retrograde' : 'direct',
+                longitude,
+                sign: ZODIAC_SIGNS[Math.floor(longitude / 30)]
+            };
+        });
+    }
+
+    /**
+     * Find the retrograde periods of a body: from each station retrograde to
+     * the following station direct. A period under way at either end of the
+     * range has a null start or end.
+     * @param {string} body - Body key
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @returns {Array} Periods { body, start, end } with station events or null
+     */
+    findRetrogradePeriods(body, startJulianDay, endJulianDay) {
+        const stations = this.findStations(body, startJulianDay, endJulianDay);
+        const periods = [];
+        let current = !NON_STATIONING_BODIES.includes(body) && this.getSpeed(body, startJulianDay) < 0
+            ? { body, start: null, end: null }
+            : null;
+
+        for (const station of stations) {
+            if (station.direction === 'retrograde') {
+                current = { body, start: station, end: null };
+            } else if (current) {
+                current.end = station;
+                periods.push(current);
+                current = null;
+            }
+        }
+        if (current) {
+            periods.push(current);
+        }
+
+        return periods;
+    }
+
+    /**
+     * Find when two transiting bodies form exact aspects
+     * @param {string} body1 - First body key
+     * @param {string} body2 - Second body key
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @param {Object} options - { aspects: ASPECTS keys (default the major aspects) }
+     * @returns {Array} Aspect events in date order
+     */
+    findAspects(body1, body2, startJulianDay, endJulianDay, options = {}) {
+        this._validateRange(body1, startJulianDay, endJulianDay);
+        this._validateRange(body2, startJulianDay, endJulianDay);
+        const step = Math.min(this._stepFor(body1), this._stepFor(body2));
+        const events = [];
+
+        for (const key of options.aspects || DEFAULT_ASPECTS) {
+            const aspect = ASPECTS[key];
+            if (!aspect) {
+                throw new ValidationError(`Unknown aspect: ${key}`);
+            }
+            const angles = aspect.angle === 0 || aspect.angle === 180 ? [aspect.angle] : [aspect.angle, 360 - aspect.angle];
+
+            for (const angle of angles) {
+                const offset = julianDay => wrapAngle(
+                    this.getLongitude(body1, julianDay) - this.getLongitude(body2, julianDay) - angle
+                );
+                const changes = this._findChanges(julianDay => offset(julianDay) >= 0, startJulianDay, endJulianDay, step);
+
+                // Skip the jumps where the offset wraps from +180° to -180°
+                for (const { julianDay } of changes.filter(change => Math.abs(offset(change.julianDay)) < 1)) {
+                    events.push({
+                        type: 'aspect',
+                        bodies: [body1, body2],
+                        aspect: key,
+                        aspectName: aspect.name,
+                        angle: aspect.angle,
+                        julianDay,
+                        date: julianDayToDate(julianDay),
+                        longitudes: [this.getLongitude(body1, julianDay), this.getLongitude(body2, julianDay)]
+                    });
+                }
+            }
+        }
+
+        return events.sort((a, b) => a.julianDay - b.julianDay);
+    }
+
+    /**
+     * Find new and full moons, and optionally the quarters
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @param {Object} options - { quarters: include first and last quarters (default false) }
+     * @returns {Array} Lunation events in date order
+     */
+    findLunations(startJulianDay, endJulianDay, options = {}) {
+        this._validateRange('MOON', startJulianDay, endJulianDay);
+        const quadrantAt = julianDay => Math.floor(this._elongation(julianDay) / 90);
+
+        return this._findChanges(quadrantAt, startJulianDay, endJulianDay, DEFAULT_STEP)
+            .map(change => ({ julianDay: change.julianDay, phase: LUNATION_PHASES[change.to] }))
+            .filter(({ phase }) => options.quarters || phase === 'new-moon' || phase === 'full-moon')
+            .map(({ julianDay, phase }) => {
+                const longitude = this.getLongitude('MOON', julianDay);
+                return {
+                    type: 'lunation',
+                    phase,
+                    julianDay,
+                    date: julianDayToDate(julianDay),
+                    longitude,
+                    sign: ZODIAC_SIGNS[Math.floor(longitude / 30)]
+                };
+            });
+    }
+
+    /**
+     * Find when each tithi (lunar day, 12° of Moon-Sun elongation) begins
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @returns {Array} Tithi events in date order; number runs 1-30 from the new moon
+     */
+    findTithis(startJulianDay, endJulianDay) {
+        this._validateRange('MOON', startJulianDay, endJulianDay);
+        const tithiAt = julianDay => Math.floor(this._elongation(julianDay) / 12);
+
+        return this._findChanges(tithiAt, startJulianDay, endJulianDay, FAST_STEP).map(change => ({
+            type: 'tithi',
+            julianDay: change.julianDay,
+            date: julianDayToDate(change.julianDay),
+            number: change.to + 1,
+            paksha: change.to < 15 ? 'Shukla' : 'Krishna'
+        }));
+    }
+
+    /**
+     * Find when each karana (half a tithi, 6° of Moon-Sun elongation) begins
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @returns {Array} Karana events in date order; number runs 1-60 from the new moon
+     */
+    findKaranas(startJulianDay, endJulianDay) {
+        this._validateRange('MOON', startJulianDay, endJulianDay);
+        const karanaAt = julianDay => Math.floor(this._elongation(julianDay) / 6);
+
+        return this._findChanges(karanaAt, startJulianDay, endJulianDay, FAST_STEP).map(change => ({
+            type: 'karana',
+            julianDay: change.julianDay,
+            date: julianDayToDate(change.julianDay),
+            number: change.to + 1
+        }));
+    }
+
+    /**
+     * Find solar and lunar eclipses
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @param {Object} options - { solar: include solar eclipses, lunar: include lunar eclipses (both default true) }
+     * @returns {Array} Eclipse events at greatest eclipse, in date order
+     */
+    findEclipses(startJulianDay, endJulianDay, options = {}) {
+        const includeSolar = options.solar !== false;
+        const includeLunar = options.lunar !== false;
+        const eclipses = [];
+
+        for (const lunation of this.findLunations(startJulianDay, endJulianDay)) {
+            const solar = lunation.phase === 'new-moon';
+            if ((solar && !includeSolar) || (!solar && !includeLunar)) {
+                continue;
+            }
+            const moon = this.ephemeris.calculateApparentPosition('MOON', toDynamicalTime(lunation.julianDay));
+            if (Math.abs(moon.latitude) > ECLIPSE_LATITUDE_LIMIT) {
+                continue;
+            }
+
+            const eclipse = solar ? this.classifySolarEclipse(lunation.julianDay) : this.classifyLunarEclipse(lunation.julianDay);
+            if (eclipse) {
+                eclipses.push(eclipse);
+            }
+        }
+
+        return eclipses;
+    }
+
+    /**
+     * Classify the solar eclipse, if any, at a new moon. gamma is the
+     * distance of the Moon's shadow axis from the Earth's centre in Earth
+     * radii, u the radius of the umbral cone there (negative when the umbra
+     * reaches the Earth).
+     * @param {number} newMoonJulianDay - Julian Day of the new moon
+     * @returns {Object|null} Solar eclipse event or null
+     */
+    classifySolarEclipse(newMoonJulianDay) {
+        const julianDay = this._minimize(t => Math.abs(this._solarGeometry(t).gamma), newMoonJulianDay);
+        const { gamma, u, moonDistance, sunDistance } = this._solarGeometry(julianDay);
+        const absGamma = Math.abs(gamma);
+
+        if (absGamma > 1.5433 + u) {
+            return null;
+        }
+
+        let kind;
+        let magnitude;
+        const central = absGamma < 0.9972;
+        if (central || absGamma < 1.0260) {
+            // Umbra or antumbra touches the Earth: the ratio of apparent diameters from
+            // the point of greatest eclipse gives the magnitude
+            if (u < 0) {
+                kind = 'total';
+            } else {
+                kind = u > 0.0047 || !central ? 'annular' : 'hybrid';
+            }
+            const observerDistance = moonDistance - EARTH_RADIUS_KM * Math.sqrt(Math.max(0, 1 - gamma * gamma));
+            magnitude = (MOON_RADIUS_KM / observerDistance) / (SUN_RADIUS_KM / sunDistance);
+        } else {
+            kind = 'partial';
+            magnitude = (1.5433 + u - absGamma) / (0.5461 + 2 * u);
+        }
+
+        const longitude = this.getLongitude('SUN', julianDay);
+        return {
+            type: 'solar-eclipse',
+            kind,
+            central,
+            julianDay,
+            date: julianDayToDate(julianDay),
+            magnitude,
+            gamma,
+            saros: this._sarosSeries('solar', julianDay),
+            longitude,
+            sign: ZODIAC_SIGNS[Math.floor(longitude / 30)]
+        };
+    }
+
+    /**
+     * Classify the lunar eclipse, if any, at a full moon, from the Moon's
+     * angular distance to the centre of the Earth's shadow
+     * @param {number} fullMoonJulianDay - Julian Day of the full moon
+     * @returns {Object|null} Lunar eclipse event or null
+     */
+    classifyLunarEclipse(fullMoonJulianDay) {
+        const julianDay = this._minimize(t => this._lunarGeometry(t).separation, fullMoonJulianDay);
+        const geometry = this._lunarGeometry(julianDay);
+        const moonDiameter = 2 * geometry.moonSemiDiameter;
+        const umbralMagnitude = (geometry.umbraRadius + geometry.moonSemiDiameter - geometry.separation) / moonDiameter;
+        const penumbralMagnitude = (geometry.penumbraRadius + geometry.moonSemiDiameter - geometry.separation) / moonDiameter;
+
+        if (penumbralMagnitude <= 0) {
+            return null;
+        }
+
+        let kind = 'penumbral';
+        if (umbralMagnitude >= 1) {
+            kind = 'total';
+        } else if (umbralMagnitude > 0) {
+            kind = 'partial';
+        }
+
+        const longitude = this.getLongitude('MOON', julianDay);
+        return {
+            type: 'lunar-eclipse',
+            kind,
+            julianDay,
+            date: julianDayToDate(julianDay),
+            magnitude: umbralMagnitude > 0 ? umbralMagnitude : penumbralMagnitude,
+            umbralMagnitude,
+            penumbralMagnitude,
+            gamma: geometry.gamma,
+            saros: this._sarosSeries('lunar', julianDay),
+            longitude,
+            sign: ZODIAC_SIGNS[Math.floor(longitude / 30)]
+        };
+    }
+
+    /**
+     * Find every event in a range, merged in date order
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @param {Object} options - { bodies (default the planets of PLANETARY_DATA),
+     *   ingresses, nakshatras, stations, lunations, eclipses (booleans; nakshatras
+     *   default false, the rest true), aspectPairs: [[body1, body2], ...], aspects, zodiac }
+     * @returns {Array} Events in date order
+     */
+    findEvents(startJulianDay, endJulianDay, options = {}) {
+        const bodies = options.bodies || Object.keys(PLANETARY_DATA);
+        const events = [];
+
+        for (const body of bodies) {
+            if (options.ingresses !== false) {
+                events.push(...this.findIngresses(body, startJulianDay, endJulianDay, { zodiac: options.zodiac }));
+            }
+            if (options.nakshatras) {
+                events.push(...this.findIngresses(body, startJulianDay, endJulianDay, { division: 'nakshatra' }));
+            }
+            if (options.stations !== false) {
+                events.push(...this.findStations(body, startJulianDay, endJulianDay));
+            }
+        }
+        for (const [body1, body2] of options.aspectPairs || []) {
+            events.push(...this.findAspects(body1, body2, startJulianDay, endJulianDay, { aspects: options.aspects }));
+        }
+        if (options.lunations !== false) {
+            events.push(...this.findLunations(startJulianDay, endJulianDay));
+        }
+        if (options.eclipses !== false) {
+            events.push(...this.findEclipses(startJulianDay, endJulianDay));
+        }
+
+        return events.sort((a, b) => a.julianDay - b.julianDay);
+    }
+
+    /**
+     * Private method: Sample a discrete quantity and bisect every change
+     * @param {Function} valueAt - Julian Day -> comparable value
+     * @returns {Array} Changes { julianDay, from, to }
+     */
+    _findChanges(valueAt, startJulianDay, endJulianDay, step) {
+        const changes = [];
+        let t0 = startJulianDay;
+        let v0 = valueAt(t0);
+
+        while (t0 < endJulianDay) {
+            const t1 = Math.min(t0 + step, endJulianDay);
+            const v1 = valueAt(t1);
+
+            if (v1 !== v0) {
+                let low = t0;
+                let high = t1;
+                while (high - low > TIME_TOLERANCE) {
+                    const mid = (low + high) / 2;
+                    if (valueAt(mid) === v0) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                changes.push({ julianDay: (low + high) / 2, from: v0, to: valueAt(high) });
+            }
+
+            t0 = t1;
+            v0 = v1;
+        }
+
+        return changes;
+    }
+
+    /**
+     * Private method: Golden-section search for the minimum of f near a time
+     */
+    _minimize(f, centre) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = centre - GREATEST_ECLIPSE_WINDOW;
+        let b = centre + GREATEST_ECLIPSE_WINDOW;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let fc = f(c);
+        let fd = f(d);
+
+        while (b - a > TIME_TOLERANCE) {
+            if (fc < fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - ratio * (b - a);
+                fc = f(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + ratio * (b - a);
+                fd = f(d);
+            }
+        }
+
+        return (a + b) / 2;
+    }
+
+    /**
+     * Private method: Elongation of the Moon from the Sun, 0-360°
+     */
+    _elongation(julianDay) {
+        return normalizeAngle(this.getLongitude('MOON', julianDay) - this.getLongitude('SUN', julianDay));
+    }
+
+    /**
+     * Private method: Geocentric ecliptic positions of the Sun and Moon in km
+     */
+    _sunAndMoon(julianDay) {
+        const jde = toDynamicalTime(julianDay);
+        const toVector = (position) => {
+            const distance = position.distance * KM_PER_AU;
+            const lon = degToRad(position.longitude);
+            const lat = degToRad(position.latitude);
+            return [
+                distance * Math.cos(lat) * Math.cos(lon),
+                distance * Math.cos(lat) * Math.sin(lon),
+                distance * Math.sin(lat)
+            ];
+        };
+        return {
+            sun: toVector(this.ephemeris.calculateApparentPosition('SUN', jde)),
+            moon: toVector(this.ephemeris.calculateApparentPosition('MOON', jde))
+        };
+    }
+
+    /**
+     * Private method: Shadow axis distance (gamma) and umbral radius (u) in Earth radii
+     */
+    _solarGeometry(julianDay) {
+        const { sun, moon } = this._sunAndMoon(julianDay);
+        const axis = moon.map((value, i) => value - sun[i]);
+        const sunMoonDistance = Math.hypot(...axis);
+        const direction = axis.map(value => value / sunMoonDistance);
+        const moonDistance = Math.hypot(...moon);
+
+        // Perpendicular from the Earth's centre to the line through the Sun and Moon
+        const along = moon[0] * direction[0] + moon[1] * direction[1] + moon[2] * direction[2];
+        const closest = moon.map((value, i) => value - along * direction[i]);
+        const gamma = Math.sign(closest[2] || 1) * Math.hypot(...closest) / EARTH_RADIUS_KM;
+        // The cone narrows by (R_sun - R_moon) / (Sun-Moon distance) per km beyond the Moon
+        const moonToPlane = -along;
+        const u = ((SUN_RADIUS_KM - MOON_RADIUS_KM) * moonToPlane / sunMoonDistance - MOON_RADIUS_KM) / EARTH_RADIUS_KM;
+
+        return { gamma, u, moonDistance, sunDistance: Math.hypot(...sun) };
+    }
+
+    /**
+     * Private method: Angular radii of the Earth's shadow at the Moon and the
+     * Moon's distance from its centre, in degrees
+     */
+    _lunarGeometry(julianDay) {
+        const { sun, moon } = this._sunAndMoon(julianDay);
+        const sunDistance = Math.hypot(...sun);
+        const moonDistance = Math.hypot(...moon);
+
+        const moonParallax = radToDeg(Math.asin(EARTH_RADIUS_KM / moonDistance));
+        const sunParallax = radToDeg(Math.asin(EARTH_RADIUS_KM / sunDistance));
+        const sunSemiDiameter = radToDeg(Math.asin(SUN_RADIUS_KM / sunDistance));
+        const moonSemiDiameter = radToDeg(Math.asin(MOON_RADIUS_KM / moonDistance));
+
+        // Angle between the Moon and the antisolar point
+        const cosine = -(sun[0] * moon[0] + sun[1] * moon[1] + sun[2] * moon[2]) / (sunDistance * moonDistance);
+        const separation = radToDeg(Math.acos(Math.min(1, Math.max(-1, cosine))));
+
+        return {
+            separation,
+            moonSemiDiameter,
+            umbraRadius: SHADOW_ENLARGEMENT * moonParallax + sunParallax - sunSemiDiameter,
+            penumbraRadius: SHADOW_ENLARGEMENT * moonParallax + sunParallax + sunSemiDiameter,
+            gamma: Math.sign(moon[2] || 1) * moonDistance * Math.sin(degToRad(separation)) / EARTH_RADIUS_KM
+        };
+    }
+
+    /**
+     * Private method: Saros series from the lunation count to a reference eclipse
+     */
+    _sarosSeries(kind, julianDay) {
+        const reference = SAROS_REFERENCES[kind];
+        const offset = kind === 'lunar' ? 0.5 : 0;
+        const lunation = t => Math.round((t - LUNATION_EPOCH) / SYNODIC_MONTH - offset);
+        const lunations = lunation(julianDay) - lunation(reference.julianDay);
+
+        // lunations = 223 s + 358 i; i is fixed modulo 223, so take the solution
+        // with the fewest Saros steps
+        let inex = ((lunations * INEX_INVERSE) % SAROS_LUNATIONS + SAROS_LUNATIONS) % SAROS_LUNATIONS;
+        const saros = (lunations - INEX_LUNATIONS * inex) / SAROS_LUNATIONS;
+        const shift = Math.round(saros / INEX_LUNATIONS);
+        inex += SAROS_LUNATIONS * shift;
+
+        return reference.saros + inex;
+    }
+
+    /**
+     * Private method: Sampling step for a body
+     */
+    _stepFor(body) {
+        return FAST_BODIES.includes(body) ? FAST_STEP : DEFAULT_STEP;
+    }
+
+    /**
+     * Private method: Validate a body and a search range
+     */
+    _validateRange(body, startJulianDay, endJulianDay) {
+        if (!this.ephemeris.isSupported(body)) {
+            throw new ValidationError(`Unsupported body: ${body}`);
+        }
+        if (!Number.isFinite(startJulianDay) || !Number.isFinite(endJulianDay) || endJulianDay <= startJulianDay) {
+            throw new ValidationError('The search range must be two Julian Days with the end after the start');
+        }
+        if (endJulianDay - startJulianDay > MAX_SEARCH_DAYS) {
+            throw new ValidationError(`The search range must not exceed ${MAX_SEARCH_DAYS} days`);
+        }
+    }
+}
+
+module.exports = {
+    WesternEventFinder,
+    NAKSHATRA_NAMES,
+    julianDayToDate
+};
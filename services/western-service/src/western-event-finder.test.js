@@ -0,0 +1,136 @@
+/**
+ * Western Astronomical Event Finder Tests
+ */
+
+const { WesternEventFinder, julianDayToDate } = require('./western-event-finder');
+const { gregorianToJulianDay } = require('./western-math-utils');
+const { ValidationError } = require('./western-astro-constants');
+
+const jd = (year, month, day, hour = 0, minute = 0) => gregorianToJulianDay(year, month, day, hour, minute, 0);
+const MINUTE = 1 / 1440;
+
+describe('WesternEventFinder', () => {
+    const finder = new WesternEventFinder();
+
+    test('times the stations and retrograde periods of Mercury in 2024', () => {
+        const stations = finder.findStations('MERCURY', jd(2024, 1, 1), jd(2025, 1, 1));
+
+        expect(stations.map(station => station.direction)).toEqual(
+            ['direct', 'retrograde', 'direct', 'retrograde', 'direct', 'retrograde', 'direct']
+        );
+        expect(Math.abs(stations[1].julianDay - jd(2024, 4, 1, 22, 14))).toBeLessThan(5 * MINUTE);
+        expect(Math.abs(stations[2].julianDay - jd(2024, 4, 25, 12, 54))).toBeLessThan(5 * MINUTE);
+        expect(stations[1].sign).toBe('Aries');
+
+        const periods = finder.findRetrogradePeriods('MERCURY', jd(2024, 3, 1), jd(2024, 12, 1));
+        expect(periods).toHaveLength(3);
+        expect(periods[0].start.julianDay).toBe(stations[1].julianDay);
+        expect(periods[0].end.julianDay).toBe(stations[2].julianDay);
+        // Under way at the end of the range
+        expect(periods[2].end).toBeNull();
+        expect(finder.findStations('SUN', jd(2024, 1, 1), jd(2025, 1, 1))).toEqual([]);
+    });
+
+    test('finds sign ingresses, including retrograde re-entries', () => {
+        const ingresses = finder.findIngresses('SATURN', jd(2023, 1, 1), jd(2026, 1, 1));
+
+        expect(ingresses.map(ingress => `${ingress.toName}${ingress.retrograde ? ' R' : ''}`))
+            .toEqual(['Pisces', 'Aries', 'Pisces R']);
+        expect(Math.abs(ingresses[0].julianDay - jd(2023, 3, 7, 13, 34))).toBeLessThan(0.01);
+        expect(ingresses[1].date.toISOString().slice(0, 10)).toBe('2025-05-25');
+    });
+
+    test('finds nakshatra and sidereal ingresses with the chosen ayanamsa', () => {
+        const [nakshatra] = finder.findIngresses('MOON', jd(2024, 4, 8, 12), jd(2024, 4, 10), { division: 'nakshatra' });
+        expect(nakshatra).toMatchObject({ division: 'nakshatra', zodiac: 'sidereal', fromName: 'Revati', toName: 'Ashwini' });
+
+        // With a zero ayanamsa the sidereal zodiac is the tropical one
+        const tropical = new WesternEventFinder({ ayanamsa: () => 0 });
+        const [sunInAries] = tropical.findIngresses('SUN', jd(2024, 3, 15), jd(2024, 3, 25), { zodiac: 'sidereal' });
+        expect(Math.abs(sunInAries.julianDay - jd(2024, 3, 20, 3, 6))).toBeLessThan(5 * MINUTE);
+
+        const [sidereal] = finder.findIngresses('SUN', jd(2024, 4, 1), jd(2024, 4, 30), { zodiac: 'sidereal' });
+        expect(sidereal.toName).toBe('Aries');
+        expect(sidereal.date.toISOString().slice(0, 10)).toBe('2024-04-13');
+    });
+
+    test('finds new and full moons, the quarters and tithis', () => {
+        const lunations = finder.findLunations(jd(2024, 1, 1), jd(2024, 2, 1));
+        expect(lunations.map(lunation => lunation.phase)).toEqual(['new-moon', 'full-moon']);
+        expect(Math.abs(lunations[0].julianDay - jd(2024, 1, 11, 11, 57))).toBeLessThan(2 * MINUTE);
+        expect(Math.abs(lunations[1].julianDay - jd(2024, 1, 25, 17, 54))).toBeLessThan(2 * MINUTE);
+        expect(lunations[1].sign).toBe('Leo');
+
+        expect(finder.findLunations(jd(2024, 1, 1), jd(2024, 2, 1), { quarters: true }).map(lunation => lunation.phase))
+            .toEqual(['last-quarter', 'new-moon', 'first-quarter', 'full-moon']);
+
+        // The first tithi begins at the new moon and the sixteenth at the full moon
+        const tithis = finder.findTithis(jd(2024, 1, 11), jd(2024, 1, 26));
+        expect(tithis[0]).toMatchObject({ type: 'tithi', number: 1, paksha: 'Shukla' });
+        expect(Math.abs(tithis[0].julianDay - lunations[0].julianDay)).toBeLessThan(MINUTE);
+        expect(tithis.at(-1)).toMatchObject({ number: 16, paksha: 'Krishna' });
+        expect(Math.abs(tithis.at(-1).julianDay - lunations[1].julianDay)).toBeLessThan(MINUTE);
+
+        // Each tithi begins with the first of its two karanas
+        const karanas = finder.findKaranas(jd(2024, 1, 11), jd(2024, 1, 26));
+        for (const tithi of tithis) {
+            const karana = karanas.find(change => Math.abs(change.julianDay - tithi.julianDay) < MINUTE);
+            expect(karana).toMatchObject({ type: 'karana', number: 2 * tithi.number - 1 });
+        }
+    });
+
+    test('finds exact aspects between transiting bodies', () => {
+        const aspects = finder.findAspects('JUPITER', 'SATURN', jd(2020, 1, 1), jd(2021, 6, 1));
+
+        expect(aspects.map(aspect => aspect.aspect)).toEqual(['CONJUNCTION']);
+        expect(aspects[0].date.toISOString().slice(0, 10)).toBe('2020-12-21');
+        expect(aspects[0].longitudes[0]).toBeCloseTo(aspects[0].longitudes[1], 5);
+
+        // Sun square Mars happens from both sides of the zodiac
+        const squares = finder.findAspects('SUN', 'MARS', jd(2024, 1, 1), jd(2026, 1, 1), { aspects: ['SQUARE'] });
+        for (const square of squares) {
+            expect(Math.abs(Math.abs(square.longitudes[0] - square.longitudes[1]) % 180 - 90)).toBeLessThan(1e-4);
+        }
+    });
+
+    test('classifies eclipses with magnitude and Saros series', () => {
+        const eclipses = finder.findEclipses(jd(2024, 1, 1), jd(2025, 1, 1));
+
+        expect(eclipses.map(eclipse => `${eclipse.type} ${eclipse.kind} ${eclipse.saros}`)).toEqual([
+            'lunar-eclipse penumbral 113',
+            'solar-eclipse total 139',
+            'lunar-eclipse partial 118',
+            'solar-eclipse annular 144'
+        ]);
+        // 2024 April 8: greatest eclipse 18:17 UT, magnitude 1.0566, gamma 0.3431
+        expect(Math.abs(eclipses[1].julianDay - jd(2024, 4, 8, 18, 17))).toBeLessThan(5 * MINUTE);
+        expect(eclipses[1].magnitude).toBeCloseTo(1.057, 2);
+        expect(eclipses[1].gamma).toBeCloseTo(0.343, 2);
+        expect(eclipses[2].umbralMagnitude).toBeCloseTo(0.085, 2);
+
+        const [hybrid] = finder.findEclipses(jd(2023, 4, 1), jd(2023, 5, 1), { lunar: false });
+        expect(hybrid).toMatchObject({ kind: 'hybrid', saros: 129 });
+        const [partial] = finder.findEclipses(jd(2022, 10, 1), jd(2022, 11, 1));
+        expect(partial).toMatchObject({ type: 'solar-eclipse', kind: 'partial', central: false, saros: 124 });
+        expect(partial.magnitude).toBeCloseTo(0.862, 2);
+        const [total] = finder.findEclipses(jd(2022, 11, 1), jd(2022, 12, 1));
+        expect(total.umbralMagnitude).toBeCloseTo(1.359, 2);
+    });
+
+    test('merges every kind of event in date order and validates the search', () => {
+        const events = finder.findEvents(jd(2024, 3, 1), jd(2024, 4, 30), {
+            bodies: ['MERCURY'],
+            aspectPairs: [['SUN', 'MERCURY']]
+        });
+        const types = new Set(events.map(event => event.type));
+
+        expect([...types].sort()).toEqual(['aspect', 'ingress', 'lunation', 'lunar-eclipse', 'solar-eclipse', 'station'].sort());
+        expect(events.every((event, i) => i === 0 || event.julianDay >= events[i - 1].julianDay)).toBe(true);
+        expect(julianDayToDate(2451545).toISOString()).toBe('2000-01-01T12:00:00.000Z');
+
+        expect(() => finder.findStations('VULCAN', jd(2024, 1, 1), jd(2024, 2, 1))).toThrow(ValidationError);
+        expect(() => finder.findLunations(jd(2024, 2, 1), jd(2024, 1, 1))).toThrow(/end after the start/);
+        expect(() => finder.findLunations(jd(1900, 1, 1), jd(2024, 1, 1))).toThrow(/must not exceed/);
+        expect(() => finder.findAspects('SUN', 'MOON', jd(2024, 1, 1), jd(2024, 2, 1), { aspects: ['SEPTILE'] })).toThrow(/SEPTILE/);
+    });
+});
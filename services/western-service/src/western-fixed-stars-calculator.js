@@ -0,0 +1,310 @@
+/**
+ * ZodiaCore - Western Fixed Stars Calculator
+ *
+ * Bundled catalog of the Behenian, royal and other bright fixed stars with
+ * J2000 ecliptic positions, precessed to the date of the chart. Finds
+ * conjunctions in longitude to natal planets and angles, and parans: a star
+ * and a planet on the angles (rising, culminating, setting, anti-culminating)
+ * at the same moment of the birth day at the birth latitude.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { WESTERN_ASTRO_CONSTANTS, ZODIAC_SIGNS, ValidationError } = require('./western-astro-constants');
+const { calculateJulianDay } = require('./western-astronomical-calculations');
+const { eclipticToEquatorial, diurnalSemiArc } = require('./western-primary-directions-calculator');
+const { normalizeAngle } = require('./western-math-utils');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+const DAYS_PER_JULIAN_YEAR = 365.25;
+
+/**
+ * Tropical ecliptic longitude and latitude at J2000 in degrees, visual
+ * magnitude and Ptolemaic nature. Proper motion is ignored; it moves even
+ * Arcturus by under a tenth of a degree in a century.
+ */
+const FIXED_STARS = {
+    ALGOL: { name: 'Algol', longitude: 56.17, latitude: 22.43, magnitude: 2.1, nature: ['SATURN', 'JUPITER'], behenian: true, meaning: 'intensity, danger and the loss of one\'s head, turned to fierce resolve' },
+    ALCYONE: { name: 'Alcyone', longitude: 60.00, latitude: 4.05, magnitude: 2.9, nature: ['MOON', 'MARS'], behenian: true, meaning: 'vision, mourning and ambition' },
+    ALDEBARAN: { name: 'Aldebaran', longitude: 69.79, latitude: -5.47, magnitude: 0.9, nature: ['MARS'], behenian: true, royal: true, meaning: 'integrity, courage and success that must be kept honestly' },
+    RIGEL: { name: 'Rigel', longitude: 76.83, latitude: -31.12, magnitude: 0.1, nature: ['JUPITER', 'SATURN'], meaning: 'teaching, inventiveness and lasting achievement' },
+    CAPELLA: { name: 'Capella', longitude: 81.86, latitude: 22.86, magnitude: 0.1, nature: ['MARS', 'MERCURY'], behenian: true, meaning: 'curiosity, independence and a love of learning' },
+    POLARIS: { name: 'Polaris', longitude: 88.57, latitude: 66.10, magnitude: 2.0, nature: ['SATURN', 'VENUS'], meaning: 'direction, steadfastness and a sense of purpose' },
+    BETELGEUSE: { name: 'Betelgeuse', longitude: 88.75, latitude: -16.03, magnitude: 0.5, nature: ['MARS', 'MERCURY'], meaning: 'martial honour, fortune and acclaim' },
+    SIRIUS: { name: 'Sirius', longitude: 104.08, latitude: -39.61, magnitude: -1.5, nature: ['JUPITER', 'MARS'], behenian: true, meaning: 'ambition, devotion and fame that can burn brightly' },
+    CANOPUS: { name: 'Canopus', longitude: 104.97, latitude: -75.82, magnitude: -0.7, nature: ['SATURN', 'JUPITER'], meaning: 'voyages, guidance and piety' },
+    CASTOR: { name: 'Castor', longitude: 110.24, latitude: 10.09, magnitude: 1.6, nature: ['MERCURY'], meaning: 'writing, wit and sudden reversals' },
+    POLLUX: { name: 'Pollux', longitude: 113.22, latitude: 6.68, magnitude: 1.1, nature: ['MARS'], meaning: 'boldness, athleticism and a sharp tongue' },
+    PROCYON: { name: 'Procyon', longitude: 115.79, latitude: -16.02, magnitude: 0.3, nature: ['MERCURY', 'MARS'], behenian: true, meaning: 'quick but short-lived success' },
+    ALPHARD: { name: 'Alphard', longitude: 147.29, latitude: -22.38, magnitude: 2.0, nature: ['SATURN', 'VENUS'], meaning: 'passion, wisdom and trouble through envy' },
+    REGULUS: { name: 'Regulus', longitude: 149.83, latitude: 0.46, magnitude: 1.4, nature: ['MARS', 'JUPITER'], behenian: true, royal: true, meaning: 'leadership, honour and success if revenge is avoided' },
+    DENEBOLA: { name: 'Denebola', longitude: 171.62, latitude: 12.27, magnitude: 2.1, nature: ['SATURN', 'VENUS'], meaning: 'independence, nobility and going against the grain' },
+    VINDEMIATRIX: { name: 'Vindemiatrix', longitude: 189.93, latitude: 16.20, magnitude: 2.8, nature: ['SATURN', 'MERCURY'], meaning: 'the harvest gatherer: falsity, disgrace or hard-won wisdom' },
+    ALGORAB: { name: 'Algorab', longitude: 193.45, latitude: -12.20, magnitude: 3.0, nature: ['MARS', 'SATURN'], behenian: true, meaning: 'persistence, scheming and destructiveness' },
+    SPICA: { name: 'Spica', longitude: 203.84, latitude: -2.05, magnitude: 1.0, nature: ['VENUS', 'MARS'], behenian: true, meaning: 'gifts, brilliance and protection' },
+    ARCTURUS: { name: 'Arcturus', longitude: 204.23, latitude: 30.73, magnitude: -0.1, nature: ['MARS', 'JUPITER'], behenian: true, meaning: 'pathfinding, prosperity and a different approach' },
+    ALPHECCA: { name: 'Alphecca', longitude: 222.30, latitude: 44.32, magnitude: 2.2, nature: ['VENUS', 'MERCURY'], behenian: true, meaning: 'honour, artistic ability and a gift that comes with a cost' },
+    ZUBENELGENUBI: { name: 'Zubenelgenubi', longitude: 225.08, latitude: 0.33, magnitude: 2.8, nature: ['SATURN', 'MARS'], meaning: 'social reform, unforgiveness and loss' },
+    ZUBENESCHAMALI: { name: 'Zubeneschamali', longitude: 229.37, latitude: 8.50, magnitude: 2.6, nature: ['JUPITER', 'MERCURY'], meaning: 'good fortune, ambition and lasting honours' },
+    ANTARES: { name: 'Antares', longitude: 249.76, latitude: -4.57, magnitude: 1.1, nature: ['MARS', 'JUPITER'], behenian: true, royal: true, meaning: 'obsession, daring and success if self-destruction is avoided' },
+    RASALHAGUE: { name: 'Rasalhague', longitude: 262.45, latitude: 35.83, magnitude: 2.1, nature: ['SATURN', 'VENUS'], meaning: 'healing, knowledge and misfortune through women' },
+    VEGA: { name: 'Vega', longitude: 285.32, latitude: 61.73, magnitude: 0.0, nature: ['VENUS', 'MERCURY'], behenian: true, meaning: 'charisma, artistry and a magical touch' },
+    ALTAIR: { name: 'Altair', longitude: 301.78, latitude: 29.30, magnitude: 0.8, nature: ['MARS', 'JUPITER'], meaning: 'boldness, confidence and sudden but fleeting wealth' },
+    DENEB_ALGEDI: { name: 'Deneb Algedi', longitude: 323.54, latitude: -2.60, magnitude: 2.9, nature: ['SATURN', 'JUPITER'], behenian: true, meaning: 'law, justice and sorrow turned to wisdom' },
+    FOMALHAUT: { name: 'Fomalhaut', longitude: 333.87, latitude: -21.13, magnitude: 1.2, nature: ['VENUS', 'MERCURY'], behenian: true, royal: true, meaning: 'idealism, mysticism and success if ideals stay pure' },
+    DENEB_ADIGE: { name: 'Deneb Adige', longitude: 335.33, latitude: 59.91, magnitude: 1.3, nature: ['VENUS', 'MERCURY'], meaning: 'intellect, ingenuity and a talent for learning' },
+    ACHERNAR: { name: 'Achernar', longitude: 345.32, latitude: -59.38, magnitude: 0.5, nature: ['JUPITER'], meaning: 'success in public office and religion' },
+    MARKAB: { name: 'Markab', longitude: 353.49, latitude: 19.41, magnitude: 2.5, nature: ['MARS', 'MERCURY'], meaning: 'steadiness, honours and danger from cuts and fire' },
+    SCHEAT: { name: 'Scheat', longitude: 359.37, latitude: 31.13, magnitude: 2.4, nature: ['MARS', 'MERCURY'], meaning: 'independent thought, misfortune and drowning' }
+};
+
+// Conjunction orb by visual magnitude: the brighter the star, the wider the orb
+const CONJUNCTION_ORBS = [
+    { maxMagnitude: 1.0, orb: 1.5 },
+    { maxMagnitude: 2.0, orb: 1.0 },
+    { maxMagnitude: Infinity, orb: 0.5 }
+];
+
+// Paran orb in degrees of right ascension, i.e. four minutes of sidereal time per degree
+const DEFAULT_PARAN_ORB = 1;
+
+const NATAL_ANGLES = ['ASC', 'MC'];
+
+// Names of the four angular events a body makes each day
+const PARAN_EVENTS = ['rising', 'culminating', 'setting', 'anti-culminating'];
+const MERIDIAN_EVENTS = ['culminating', 'anti-culminating'];
+
+/**
+ * Fixed stars calculator
+ */
+class WesternFixedStarsCalculator {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.stars - Extra catalog entries, merged over FIXED_STARS
+     */
+    constructor(options = {}) {
+        this.catalog = { ...FIXED_STARS, ...(options.stars || {}) };
+    }
+
+    /**
+     * Julian Day of the chart, from julianDay, birthDate or the birth data fields
+     * @param {Object} chart - Birth chart
+     * @returns {number} Julian Day (UT)
+     * @throws {ValidationError} If the chart carries no birth moment
+     */
+    getJulianDay(chart) {
+        if (Number.isFinite(chart?.julianDay)) {
+            return chart.julianDay;
+        }
+        if (chart?.birthDate) {
+            const birthDate = new Date(chart.birthDate);
+            if (!isNaN(birthDate.getTime())) {
+                return birthDate.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY;
+            }
+        }
+        const data = chart?.birthData;
+        if (data && ['year', 'month', 'day'].every(field => Number.isFinite(data[field]))) {
+            return calculateJulianDay(data.year, data.month, data.day, data.hour || 0, data.minute || 0, data.second || 0, data.timezone || 0);
+        }
+        throw new ValidationError('Fixed stars require the Julian Day, birth date or birth data of the chart');
+    }
+
+    /**
+     * Catalog positions precessed from J2000 to a date
+     * @param {number} julianDay - Julian Day
+     * @param {Array<string>} stars - Catalog keys (default all)
+     * @returns {Object} Star positions by key
+     */
+    getStarPositions(julianDay, stars = Object.keys(this.catalog)) {
+        const years = (julianDay - WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000) / DAYS_PER_JULIAN_YEAR;
+        const precession = years * WESTERN_ASTRO_CONSTANTS.PRECESSION_RATE / 3600;
+        const positions = {};
+
+        for (const key of stars) {
+            const star = this.catalog[key];
+            if (!star) {
+                throw new ValidationError(`Unknown fixed star: ${key}`);
+            }
+            const longitude = normalizeAngle(star.longitude + precession);
+            positions[key] = {
+                ...star,
+                key,
+                longitude,
+                sign: Math.floor(longitude / 30),
+                signName: ZODIAC_SIGNS[Math.floor(longitude / 30)],
+                degree: longitude % 30
+            };
+        }
+        return positions;
+    }
+
+    /**
+     * Conjunction orb for a star
+     * @param {Object} star - Catalog entry
+     * @param {number} orb - Fixed orb overriding the magnitude table
+     * @returns {number} Orb in degrees
+     */
+    getConjunctionOrb(star, orb) {
+        if (Number.isFinite(orb)) return orb;
+        return CONJUNCTION_ORBS.find(entry => star.magnitude <= entry.maxMagnitude).orb;
+    }
+
+    /**
+     * Natal points a star can be conjunct: planets plus the ASC and MC
+     * @param {Object} chart - Birth chart
+     * @returns {Object} Longitudes by point name
+     */
+    getNatalPoints(chart) {
+        const points = {};
+        for (const [name, planet] of Object.entries(chart.planets || {})) {
+            const longitude = typeof planet === 'number' ? planet : planet?.longitude;
+            if (Number.isFinite(longitude)) points[name] = longitude;
+        }
+        const angles = { ASC: chart.ascendant, MC: chart.midheaven };
+        for (const name of NATAL_ANGLES) {
+            const longitude = typeof angles[name] === 'number' ? angles[name] : angles[name]?.longitude;
+            if (Number.isFinite(longitude)) points[name] = longitude;
+        }
+        return points;
+    }
+
+    /**
+     * Conjunctions in longitude between the stars and the natal points
+     * @param {Object} chart - Birth chart
+     * @param {Object} positions - Precessed star positions
+     * @param {number} orb - Fixed orb, or undefined for orbs by magnitude
+     * @returns {Array} Conjunctions, closest first
+     */
+    findConjunctions(chart, positions, orb) {
+        const conjunctions = [];
+        const points = this.getNatalPoints(chart);
+
+        for (const star of Object.values(positions)) {
+            const allowed = this.getConjunctionOrb(star, orb);
+            for (const [point, longitude] of Object.entries(points)) {
+                const separation = Math.abs(normalizeAngle(longitude - star.longitude + 180) - 180);
+                if (separation <= allowed) {
+                    conjunctions.push({
+                        star: star.key,
+                        name: star.name,
+                        point,
+                        orb: separation,
+                        nature: star.nature,
+                        behenian: !!star.behenian,
+                        royal: !!star.royal
+                    });
+                }
+            }
+        }
+        return conjunctions.sort((a, b) => a.orb - b.orb);
+    }
+
+    /**
+     * Sidereal times (RAMC) at which a body rises, culminates, sets and
+     * anti-culminates at a latitude. Circumpolar bodies only cross the
+     * meridian; bodies that never rise have no events.
+     * @param {number} longitude - Ecliptic longitude in degrees
+     * @param {number} latitude - Ecliptic latitude in degrees
+     * @param {number} geoLatitude - Geographical latitude in degrees
+     * @returns {Object} RAMC in degrees by event name
+     */
+    getAngularEvents(longitude, latitude, geoLatitude) {
+        const { rightAscension, declination } = eclipticToEquatorial(longitude, latitude);
+        const semiArc = diurnalSemiArc(declination, geoLatitude);
+
+        if (semiArc === null && geoLatitude * declination < 0) {
+            return {};
+        }
+        const events = {
+            culminating: rightAscension,
+            'anti-culminating': normalizeAngle(rightAscension + 180)
+        };
+        if (semiArc !== null) {
+            events.rising = normalizeAngle(rightAscension - semiArc);
+            events.setting = normalizeAngle(rightAscension + semiArc);
+        }
+        return events;
+    }
+
+    /**
+     * Parans between stars and planets at the birth latitude
+     * @param {Object} chart - Birth chart with planets
+     * @param {Object} positions - Precessed star positions
+     * @param {number} geoLatitude - Geographical latitude in degrees
+     * @param {number} orb - Orb in degrees of right ascension
+     * @returns {Array} Parans, closest first
+     */
+    findParans(chart, positions, geoLatitude, orb = DEFAULT_PARAN_ORB) {
+        const parans = [];
+        const planetEvents = {};
+        for (const [name, planet] of Object.entries(chart.planets || {})) {
+            if (Number.isFinite(planet?.longitude)) {
+                planetEvents[name] = this.getAngularEvents(planet.longitude, planet.latitude || 0, geoLatitude);
+            }
+        }
+
+        for (const star of Object.values(positions)) {
+            const starEvents = this.getAngularEvents(star.longitude, star.latitude, geoLatitude);
+            for (const [planet, events] of Object.entries(planetEvents)) {
+                for (const starEvent of PARAN_EVENTS) {
+                    for (const planetEvent of PARAN_EVENTS) {
+                        if (starEvents[starEvent] === undefined || events[planetEvent] === undefined) continue;
+                        // Meridian parans come in pairs twelve hours apart; keep the one where the star culminates
+                        if (starEvent === 'anti-culminating' && MERIDIAN_EVENTS.includes(planetEvent)) continue;
+                        const separation = Math.abs(normalizeAngle(events[planetEvent] - starEvents[starEvent] + 180) - 180);
+                        if (separation <= orb) {
+                            parans.push({
+                                star: star.key,
+                                name: star.name,
+                                planet,
+                                starEvent,
+                                planetEvent,
+                                orb: separation,
+                                nature: star.nature
+                            });
+                        }
+                    }
+                }
+            }
+        }
+        return parans.sort((a, b) => a.orb - b.orb);
+    }
+
+    /**
+     * Fixed star positions, conjunctions and parans for a chart. Parans are
+     * skipped when the chart has no birth latitude.
+     * @param {Object} chart - Birth chart with planets, angles and birth data
+     * @param {Object} options - Options
+     * @param {Array<string>} options.stars - Catalog keys to use (default all)
+     * @param {number} options.orb - Conjunction orb (default by magnitude)
+     * @param {number} options.paranOrb - Paran orb in degrees of RA (default 1)
+     * @returns {Object} { julianDay, stars, conjunctions, parans }
+     * @throws {ValidationError} If the chart has no planets or birth moment
+     */
+    analyzeChart(chart, options = {}) {
+        if (!chart || !chart.planets || typeof chart.planets !== 'object') {
+            throw new ValidationError('Fixed stars require a birth chart with planets');
+        }
+        const julianDay = this.getJulianDay(chart);
+        const positions = this.getStarPositions(julianDay, options.stars);
+        const geoLatitude = chart.birthData?.latitude;
+
+        return {
+            julianDay,
+            stars: positions,
+            conjunctions: this.findConjunctions(chart, positions, options.orb),
+            parans: Number.isFinite(geoLatitude)
+                ? this.findParans(chart, positions, geoLatitude, options.paranOrb)
+                : []
+        };
+    }
+}
+
+module.exports = {
+    WesternFixedStarsCalculator,
+    FIXED_STARS,
+    CONJUNCTION_ORBS
+};
@@ -0,0 +1,100 @@
+/**
+ * Western Fixed Stars Calculator Tests
+ */
+
+const { WesternFixedStarsCalculator, FIXED_STARS } = require('./western-fixed-stars-calculator');
+const { eclipticToEquatorial, diurnalSemiArc } = require('./western-primary-directions-calculator');
+const { eclipticLongitudeFromRA } = require('./western-house-systems');
+const { ValidationError, WESTERN_ASTRO_CONSTANTS } = require('./western-astro-constants');
+
+const J2000 = WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000;
+const OBLIQUITY_RAD = WESTERN_ASTRO_CONSTANTS.EARTH_OBLIQUITY * Math.PI / 180;
+
+describe('WesternFixedStarsCalculator', () => {
+    const calculator = new WesternFixedStarsCalculator();
+
+    test('bundles the fifteen Behenian stars and the four royal stars', () => {
+        const stars = Object.values(FIXED_STARS);
+
+        expect(stars.filter(star => star.behenian)).toHaveLength(15);
+        expect(stars.filter(star => star.royal).map(star => star.name).sort())
+            .toEqual(['Aldebaran', 'Antares', 'Fomalhaut', 'Regulus']);
+    });
+
+    test('precesses J2000 longitudes to the chart date', () => {
+        const atEpoch = calculator.getStarPositions(J2000, ['REGULUS']);
+        const later = calculator.getStarPositions(J2000 + 72 * 365.25, ['REGULUS', 'SCHEAT']);
+
+        expect(atEpoch.REGULUS.longitude).toBeCloseTo(149.83, 9);
+        // About a degree every 72 years: Regulus moved into Virgo in 2011
+        expect(later.REGULUS.longitude - 149.83).toBeCloseTo(72 * 50.2719 / 3600, 9);
+        expect(later.REGULUS.signName).toBe('Virgo');
+        expect(later.SCHEAT.longitude).toBeLessThan(1);
+        expect(later.SCHEAT.latitude).toBe(FIXED_STARS.SCHEAT.latitude);
+        expect(() => calculator.getStarPositions(J2000, ['BARNARD'])).toThrow(/BARNARD/);
+    });
+
+    test('finds conjunctions with orbs by magnitude', () => {
+        const chart = {
+            julianDay: J2000,
+            planets: { SUN: { longitude: 149.83 + 1.2 }, MOON: { longitude: 104.08 - 1.2 } },
+            ascendant: { longitude: 249.76 + 0.3 },
+            midheaven: 56.17 + 0.6
+        };
+        const { conjunctions } = calculator.analyzeChart(chart);
+
+        // Sirius is bright enough for 1.5°, Regulus only 1° and Algol 0.5°
+        expect(conjunctions.map(contact => `${contact.name} ${contact.point}`)).toEqual(['Antares ASC', 'Sirius MOON']);
+        expect(conjunctions[0]).toMatchObject({ star: 'ANTARES', behenian: true, royal: true, nature: ['MARS', 'JUPITER'] });
+        expect(conjunctions[0].orb).toBeCloseTo(0.3, 9);
+        expect(calculator.analyzeChart(chart, { orb: 2 }).conjunctions).toHaveLength(4);
+    });
+
+    test('times the angular events of stars that rise, never set or never rise', () => {
+        const { rightAscension, declination } = eclipticToEquatorial(149.83, 0.46);
+        const regulus = calculator.getAngularEvents(149.83, 0.46, 51.5);
+        const semiArc = diurnalSemiArc(declination, 51.5);
+
+        expect(regulus.culminating).toBeCloseTo(rightAscension, 9);
+        expect(regulus.rising).toBeCloseTo(rightAscension - semiArc, 9);
+        expect(regulus.setting).toBeCloseTo(rightAscension + semiArc, 9);
+        expect(Object.keys(calculator.getAngularEvents(88.57, 66.10, 51.5)).sort()).toEqual(['anti-culminating', 'culminating']);
+        expect(calculator.getAngularEvents(104.97, -75.82, 51.5)).toEqual({});
+    });
+
+    test('finds parans between stars and planets at the birth latitude', () => {
+        const { rightAscension } = eclipticToEquatorial(203.84, -2.05);
+        // At the equator every semi-arc is 90°: a planet 90° of RA east of Spica rises as Spica culminates
+        const chart = {
+            julianDay: J2000,
+            birthData: { latitude: 0 },
+            planets: {
+                VENUS: { longitude: eclipticLongitudeFromRA(rightAscension + 90, OBLIQUITY_RAD) },
+                MARS: { longitude: 203.84, latitude: -2.05 }
+            }
+        };
+        const { parans } = calculator.analyzeChart(chart, { stars: ['SPICA'], paranOrb: 0.01 });
+
+        expect(parans.map(paran => `${paran.planet} ${paran.planetEvent} / ${paran.starEvent}`).sort()).toEqual([
+            'MARS culminating / culminating',
+            'MARS rising / rising',
+            'MARS setting / setting',
+            'VENUS anti-culminating / rising',
+            'VENUS culminating / setting',
+            'VENUS rising / culminating',
+            'VENUS setting / anti-culminating'
+        ]);
+        expect(parans.every(paran => paran.orb < 1e-9)).toBe(true);
+        expect(calculator.analyzeChart({ ...chart, birthData: {} }).parans).toEqual([]);
+    });
+
+    test('dates the chart from its Julian Day, birth date or birth data', () => {
+        const birthDate = new Date(Date.UTC(2000, 0, 1, 12));
+
+        expect(calculator.getJulianDay({ julianDay: 2448027 })).toBe(2448027);
+        expect(calculator.getJulianDay({ birthDate })).toBeCloseTo(J2000, 9);
+        expect(calculator.getJulianDay({ birthData: { year: 2000, month: 1, day: 1, hour: 12, minute: 0 } })).toBeCloseTo(J2000, 9);
+        expect(() => calculator.analyzeChart({ planets: {} })).toThrow(ValidationError);
+        expect(() => calculator.analyzeChart({})).toThrow(/planets/);
+    });
+});
@@ -155,6 +155,4 @@ const WESTERN_HOROSCOPE_CONSTANTS = {
 
 module.exports = {
     WESTERN_HOROSCOPE_CONSTANTS
-};</path>
-<line_count>150</line_count>
-</write_to_file>
\ No newline at end of file
+};
@@ -468,6 +468,4 @@ module.exports = {
     WesternHoroscopeGenerator,
     SimplifiedAspectCalculator,
     VoidOfCourseCalculator
-};</path>
-<line_count>350</line_count>
-</write_to_file>
\ No newline at end of file
+};
@@ -245,6 +245,4 @@ module.exports = {
     findPlanetaryHour,
     getRatingFromScore,
     getPredictionLevel
-};</path>
-<line_count>200</line_count>
-</write_to_file>
\ No newline at end of file
+};
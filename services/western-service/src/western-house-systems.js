@@ -28,45 +28,67 @@ function calculatePlacidusHouses(lst, latitude, obliquity = WESTERN_ASTRO_CONSTA
     const houses = new Array(12);
     const latRad = degToRad(latitude);
     const oblRad = degToRad(obliquity);
+    const ramc = normalizeAngle(lst);
 
-    // Calculate MC and IC (10th and 4th house cusps)
-    houses[9] = normalizeAngle(lst); // MC (10th house)
-    houses[3] = normalizeAngle(lst + 180); // IC (4th house)
+    // MC/IC and Ascendant/Descendant
+    houses[9] = eclipticLongitudeFromRA(ramc, oblRad);
+    houses[3] = normalizeAngle(houses[9] + 180);
+    houses[0] = calculateAscendant(lst, latitude);
+    houses[6] = normalizeAngle(houses[0] + 180);
 
-    // Calculate Ascendant and Descendant
-    const ascendant = calculateAscendant(lst, latitude);
-    houses[0] = ascendant; // Ascendant (1st house)
-    houses[6] = normalizeAngle(ascendant + 180); // Descendant (7th house)
-
-    // Calculate intermediate houses using Placidus formula
-    for (let i = 1; i <= 2; i++) {
-        const f = i / 3; // Fractional part for house division
-
-        // 2nd and 3rd houses
-        const ra2 = calculatePlacidusRA(f, latRad, oblRad);
-        houses[i] = normalizeAngle(radToDeg(ra2));
-        houses[i + 6] = normalizeAngle(houses[i] + 180);
-
-        // 11th and 12th houses
-        const ra11 = calculatePlacidusRA(1 - f, latRad, oblRad);
-        houses[10 + i] = normalizeAngle(radToDeg(ra11) + 180);
-        houses[4 + i] = normalizeAngle(houses[10 + i] + 180);
-    }
+    // Intermediate cusps trisect the diurnal (11, 12) and nocturnal (2, 3) semi-arcs
+    houses[10] = calculatePlacidusCusp(ramc, 30, 1 / 3, latRad, oblRad);
+    houses[11] = calculatePlacidusCusp(ramc, 60, 2 / 3, latRad, oblRad);
+    houses[1] = calculatePlacidusCusp(ramc, 120, 2 / 3, latRad, oblRad);
+    houses[2] = calculatePlacidusCusp(ramc, 150, 1 / 3, latRad, oblRad);
+
+    houses[4] = normalizeAngle(houses[10] + 180);
+    houses[5] = normalizeAngle(houses[11] + 180);
+    houses[7] = normalizeAngle(houses[1] + 180);
+    houses[8] = normalizeAngle(houses[2] + 180);
 
     return houses;
 }
 
 /**
- * Helper function for Placidus RA calculation
- * @param {number} f - Fractional time
+ * Helper function for Placidus cusp calculation.
+ * Iterates on the cusp's right ascension until it sits at the requested
+ * fraction of its semi-arc.
+ * @param {number} ramc - Right ascension of the MC in degrees
+ * @param {number} offset - Base hour-angle offset from the MC in degrees
+ * @param {number} fraction - Fraction of the ascensional difference to apply
  * @param {number} latRad - Latitude in radians
  * @param {number} oblRad - Obliquity in radians
- * @returns {number} Right ascension in radians
+ * @returns {number} Cusp ecliptic longitude in degrees
  */
-function calculatePlacidusRA(f, latRad, oblRad) {
-    const D = Math.asin(Math.sin(oblRad) * Math.sin(f * Math.PI / 2));
-    const ampl = Math.asin(Math.tan(D) * Math.tan(latRad));
-    return ampl;
+function calculatePlacidusCusp(ramc, offset, fraction, latRad, oblRad) {
+    let ra = ramc + offset;
+    let longitude = eclipticLongitudeFromRA(ra, oblRad);
+
+    for (let i = 0; i < 50; i++) {
+        const declination = Math.asin(Math.sin(oblRad) * Math.sin(degToRad(longitude)));
+        const product = Math.max(-1, Math.min(1, Math.tan(latRad) * Math.tan(declination)));
+        const nextRa = ramc + offset + fraction * radToDeg(Math.asin(product));
+
+        if (Math.abs(nextRa - ra) < 1e-8) {
+            break;
+        }
+        ra = nextRa;
+        longitude = eclipticLongitudeFromRA(ra, oblRad);
+    }
+
+    return longitude;
+}
+
+/**
+ * Convert the right ascension of an ecliptic point to its longitude
+ * @param {number} ra - Right ascension in degrees
+ * @param {number} oblRad - Obliquity in radians
+ * @returns {number} Ecliptic longitude in degrees
+ */
+function eclipticLongitudeFromRA(ra, oblRad) {
+    const raRad = degToRad(ra);
+    return normalizeAngle(radToDeg(Math.atan2(Math.sin(raRad), Math.cos(raRad) * Math.cos(oblRad))));
 }
 
 /**
@@ -103,6 +125,16 @@ function calculateEqualHouses(ascendantLongitude) {
     return houses;
 }
 
+/**
+ * Calculate Whole Sign Houses (each house is the whole sign, starting with the rising sign)
+ * @param {number} ascendantLongitude - Ascendant longitude in degrees
+ * @returns {Array} Whole sign house cusps (12 values)
+ */
+function calculateWholeSignHouses(ascendantLongitude) {
+    const firstCusp = Math.floor(normalizeAngle(ascendantLongitude) / 30) * 30;
+    return calculateEqualHouses(firstCusp);
+}
+
 /**
  * Calculate Koch Houses
  * @param {number} lst - Local Sidereal Time in degrees
@@ -139,5 +171,8 @@ function calculateKochHouses(lst, latitude) {
 module.exports = {
     calculatePlacidusHouses,
     calculateEqualHouses,
-    calculateKochHouses
+    calculateWholeSignHouses,
+    calculateKochHouses,
+    calculateAscendant,
+    eclipticLongitudeFromRA
 };
\ No newline at end of file
@@ -11,9 +11,41 @@
 
 const { RETURN_CHART_CONSTANTS } = require('./western-return-chart-constants');
 const { calculateJulianDay, calculateGMST, calculateLST } = require('./western-astronomical-calculations');
-const { calculatePlacidusHouses, calculateAscendantFromLST } = require('./house-systems');
+const { calculatePlacidusHouses, calculateEqualHouses, calculateAscendant } = require('./western-house-systems');
 const { calculatePlanetaryPositions } = require('./western-planetary-calculator');
 const { normalizeAngle } = require('./western-math-utils');
+const { readEphemerisPosition } = require('./western-return-time-calculator');
+
+/**
+ * Get house number for a given longitude
+ * @param {number} longitude - Longitude in degrees
+ * @param {Array} houses - House cusps array
+ * @returns {number} House number (1-12)
+ */
+function getHouseForPosition(longitude, houses) {
+    for (let i = 0; i < houses.length; i++) {
+        const nextHouse = houses[(i + 1) % houses.length];
+        if (isInHouse(longitude, houses[i], nextHouse)) {
+            return i + 1;
+        }
+    }
+    return 1; // Default to first house
+}
+
+/**
+ * Check if longitude is within house boundaries
+ * @param {number} longitude - Longitude to check
+ * @param {number} cusp1 - First house cusp
+ * @param {number} cusp2 - Second house cusp
+ * @returns {boolean} True if in house
+ */
+function isInHouse(longitude, cusp1, cusp2) {
+    if (cusp1 < cusp2) {
+        return longitude >= cusp1 && longitude < cusp2;
+    }
+    // Handle 360° wraparound
+    return longitude >= cusp1 || longitude < cusp2;
+}
 
 /**
  * Location-Adjusted Return Chart Generator
@@ -32,12 +64,12 @@ class LocationAdjustedReturnChart {
      */
     generateAdjustedChart() {
         const julianDay = calculateJulianDay(
-            this.returnTime.getFullYear(),
-            this.returnTime.getMonth() + 1,
-            this.returnTime.getDate(),
-            this.returnTime.getHours(),
-            this.returnTime.getMinutes(),
-            this.returnTime.getSeconds()
+            this.returnTime.getUTCFullYear(),
+            this.returnTime.getUTCMonth() + 1,
+            this.returnTime.getUTCDate(),
+            this.returnTime.getUTCHours(),
+            this.returnTime.getUTCMinutes(),
+            this.returnTime.getUTCSeconds()
         );
 
         // Calculate planetary positions at return time and location
@@ -63,7 +95,7 @@ class LocationAdjustedReturnChart {
             metadata: {
                 calculationTime: new Date(),
                 system: 'Western Astrology',
-                houseSystem: RETURN_CHART_CONSTANTS.HOUSE_SYSTEMS.PLACIDUS
+                houseSystem: this.getHouseSystem(this.castingLocation)
             }
         };
     }
@@ -77,7 +109,7 @@ class LocationAdjustedReturnChart {
         const positions = {};
 
         for (const planet of RETURN_CHART_CONSTANTS.PLANETS) {
-            positions[planet] = this.ephemeris.calculatePlanetPosition(planet, julianDay, this.castingLocation);
+            positions[planet] = readEphemerisPosition(this.ephemeris, planet, julianDay, this.castingLocation);
         }
 
         return positions;
@@ -99,10 +131,24 @@ class LocationAdjustedReturnChart {
         // Calculate obliquity (simplified - could be more precise)
         const obliquity = 23.439; // Current obliquity approximation
 
-        // Use Placidus house system for return charts
+        // Placidus for return charts, Equal houses where Placidus is undefined
+        if (this.getHouseSystem(location) === RETURN_CHART_CONSTANTS.HOUSE_SYSTEMS.EQUAL) {
+            return calculateEqualHouses(calculateAscendant(lst, location.latitude));
+        }
         return calculatePlacidusHouses(lst, location.latitude, obliquity);
     }
 
+    /**
+     * House system used for a casting location
+     * @param {Object} location - Location coordinates
+     * @returns {string} One of RETURN_CHART_CONSTANTS.HOUSE_SYSTEMS
+     */
+    getHouseSystem(location) {
+        return Math.abs(location.latitude) > RETURN_CHART_CONSTANTS.PLACIDUS_MAX_LATITUDE
+            ? RETURN_CHART_CONSTANTS.HOUSE_SYSTEMS.EQUAL
+            : RETURN_CHART_CONSTANTS.HOUSE_SYSTEMS.PLACIDUS;
+    }
+
     /**
      * Calculate aspects between return chart planets
      * @param {Object} positions - Planetary positions
@@ -200,29 +246,7 @@ class LocationAdjustedReturnChart {
      * @returns {number} House number (1-12)
      */
     getHouseForPosition(longitude, houses) {
-        for (let i = 0; i < houses.length; i++) {
-            const nextHouse = houses[(i + 1) % houses.length];
-            if (this.isInHouse(longitude, houses[i], nextHouse)) {
-                return i + 1;
-            }
-        }
-        return 1; // Default to first house
-    }
-
-    /**
-     * Check if longitude is within house boundaries
-     * @param {number} longitude - Longitude to check
-     * @param {number} cusp1 - First house cusp
-     * @param {number} cusp2 - Second house cusp
-     * @returns {boolean} True if in house
-     */
-    isInHouse(longitude, cusp1, cusp2) {
-        if (cusp1 < cusp2) {
-            return longitude >= cusp1 && longitude < cusp2;
-        } else {
-            // Handle 360° wraparound
-            return longitude >= cusp1 || longitude < cusp2;
-        }
+        return getHouseForPosition(longitude, houses);
     }
 
     /**
@@ -273,5 +297,6 @@ class LocationAdjustedReturnChart {
 }
 
 module.exports = {
-    LocationAdjustedReturnChart
+    LocationAdjustedReturnChart,
+    getHouseForPosition
 };
\ No newline at end of file
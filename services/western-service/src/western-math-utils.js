@@ -46,6 +46,67 @@ function radiansToDegrees(radians) {
     return radians * (180 / Math.PI);
 }
 
+// Short aliases used throughout the Western calculation modules
+const degToRad = degreesToRadians;
+const radToDeg = radiansToDegrees;
+const angularDistance = angularSeparation;
+
+/**
+ * Convert decimal degrees to degrees, minutes and seconds
+ * @param {number} decimal - Angle in decimal degrees
+ * @returns {Object} { degrees, minutes, seconds }; the sign is carried by degrees
+ */
+function degToDMS(decimal) {
+    const sign = decimal < 0 ? -1 : 1;
+    const absolute = Math.abs(decimal);
+    const degrees = Math.floor(absolute);
+    const minutesFloat = (absolute - degrees) * 60;
+    const minutes = Math.floor(minutesFloat);
+    const seconds = (minutesFloat - minutes) * 60;
+
+    return { degrees: sign * degrees || 0, minutes, seconds };
+}
+
+/**
+ * Convert degrees, minutes and seconds to decimal degrees
+ * @param {number} degrees - Whole degrees (sign applies to the whole angle)
+ * @param {number} minutes - Whole minutes (0-59)
+ * @param {number} seconds - Seconds (0 to below 60)
+ * @returns {number} Angle in decimal degrees
+ */
+function dmsToDeg(degrees, minutes, seconds) {
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 59) {
+        throw new Error('Minutes must be between 0 and 59');
+    }
+    if (seconds < 0 || seconds >= 60) {
+        throw new Error('Seconds must be between 0 and 59 (fractional seconds allowed)');
+    }
+    const sign = degrees < 0 ? -1 : 1;
+    return sign * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+}
+
+/**
+ * Convert a Gregorian calendar date and UT time to a Julian Day (Meeus, ch. 7)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (UT)
+ * @param {number} minute - Minute
+ * @param {number} second - Second
+ * @returns {number} Julian Day
+ */
+function gregorianToJulianDay(year, month, day, hour = 0, minute = 0, second = 0) {
+    if (month <= 2) {
+        year -= 1;
+        month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    const dayFraction = (hour + minute / 60 + second / 3600) / 24;
+
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + dayFraction + b - 1524.5;
+}
+
 /**
  * Check if a value is a valid number (not NaN or infinite)
  * @param {any} value - Value to check
@@ -60,5 +121,11 @@ module.exports = {
     normalizeAngle,
     degreesToRadians,
     radiansToDegrees,
+    degToRad,
+    radToDeg,
+    angularDistance,
+    degToDMS,
+    dmsToDeg,
+    gregorianToJulianDay,
     isValidNumber
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Western Astrology Minor Bodies and Lunar Points
+ *
+ * Bundled osculating orbital elements for Chiron and the four major
+ * asteroids, with a two-body (Keplerian) propagator, and the lunar points:
+ * the mean and true nodes and the mean and osculating Black Moon Lilith
+ * (the lunar apogee). Everything is computed offline from the elements and
+ * the Moon's ELP-2000 position.
+ *
+ * The elements are heliocentric, referred to the ecliptic and equinox of
+ * J2000.0. Planetary perturbations are ignored, so positions drift from the
+ * true ones by a few arcminutes a year away from the epoch for the
+ * asteroids; Chiron, perturbed by Saturn and Uranus, stays within about a
+ * degree between 1950 and 2050.
+ *
+ * @version 1.0.0
+ */
+
+const { normalizeAngle, degToRad, radToDeg } = require('./western-math-utils');
+
+// Gaussian gravitational constant in degrees per day: mean motion at 1 AU
+const GAUSSIAN_MEAN_MOTION = 0.9856076686;
+
+// GM of the Earth plus the Moon in km^3/day^2
+const EARTH_MOON_GM = (398600.4418 + 4902.8001) * 86400 * 86400;
+
+const KEPLER_TOLERANCE = 1e-12;
+const KEPLER_MAX_ITERATIONS = 30;
+
+/**
+ * Osculating elements: epoch as a Julian Ephemeris Day, semi-major axis in
+ * AU, eccentricity, and inclination, ascending node, argument of perihelion
+ * and mean anomaly at the epoch in degrees
+ */
+const MINOR_BODY_ELEMENTS = {
+    CHIRON: { epoch: 2458225.5, a: 13.7, e: 0.379, i: 6.93, node: 209.3, perihelion: 339.3, meanAnomaly: 158.72 },
+    CERES: { epoch: 2459600.5, a: 2.7675, e: 0.0785, i: 10.58, node: 80.27, perihelion: 73.73, meanAnomaly: 291.4 },
+    PALLAS: { epoch: 2460600.5, a: 2.7703, e: 0.2304, i: 34.92, node: 172.91, perihelion: 310.89, meanAnomaly: 126.07 },
+    JUNO: { epoch: 2458439.5, a: 2.6694, e: 0.2562, i: 12.99, node: 169.85, perihelion: 247.96, meanAnomaly: 358.45 },
+    VESTA: { epoch: 2459277.5, a: 2.3615, e: 0.0894, i: 7.142, node: 103.81, perihelion: 151.2, meanAnomaly: 278.98 }
+};
+
+const LUNAR_POINTS = ['MEAN_NODE', 'TRUE_NODE', 'MEAN_SOUTH_NODE', 'TRUE_SOUTH_NODE', 'MEAN_LILITH', 'OSCULATING_LILITH'];
+
+/**
+ * Solve Kepler's equation E - e sin E = M by Newton's method
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity (< 1)
+ * @returns {number} Eccentric anomaly in radians
+ */
+function solveKepler(meanAnomaly, eccentricity) {
+    let E = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+    for (let i = 0; i < KEPLER_MAX_ITERATIONS; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+    }
+    return E;
+}
+
+/**
+ * Heliocentric position from osculating elements, two-body motion
+ * @param {Object} elements - Orbital elements (see MINOR_BODY_ELEMENTS)
+ * @param {number} jde - Julian Ephemeris Day (TT)
+ * @returns {Object} J2000.0 ecliptic { longitude, latitude } in degrees and radius in AU
+ */
+function heliocentricFromElements(elements, jde) {
+    const { a, e } = elements;
+    const meanMotion = GAUSSIAN_MEAN_MOTION / Math.pow(a, 1.5);
+    const M = degToRad(normalizeAngle(elements.meanAnomaly + meanMotion * (jde - elements.epoch)));
+    const E = solveKepler(M, e);
+
+    const radius = a * (1 - e * Math.cos(E));
+    const trueAnomaly = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+    const u = degToRad(elements.perihelion) + trueAnomaly;
+    const node = degToRad(elements.node);
+    const inclination = degToRad(elements.i);
+
+    const x = Math.cos(node) * Math.cos(u) - Math.sin(node) * Math.sin(u) * Math.cos(inclination);
+    const y = Math.sin(node) * Math.cos(u) + Math.cos(node) * Math.sin(u) * Math.cos(inclination);
+    const z = Math.sin(u) * Math.sin(inclination);
+
+    return {
+        longitude: normalizeAngle(radToDeg(Math.atan2(y, x))),
+        latitude: radToDeg(Math.asin(z)),
+        radius
+    };
+}
+
+/**
+ * Mean longitude of the Moon's ascending node (Meeus 47.7)
+ * @param {number} T - Julian centuries from J2000.0 (TT)
+ * @returns {number} Longitude in degrees, mean equinox of date
+ */
+function meanLunarNode(T) {
+    return normalizeAngle(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T +
+                          T * T * T / 467441 - T * T * T * T / 60616000);
+}
+
+/**
+ * Mean longitude of the lunar apogee, the mean Black Moon Lilith: the mean
+ * perigee of Meeus 47.7 plus 180°
+ * @param {number} T - Julian centuries from J2000.0 (TT)
+ * @returns {number} Longitude in degrees, mean equinox of date
+ */
+function meanLunarApogee(T) {
+    return normalizeAngle(83.3532465 + 4069.0137287 * T - 0.0103200 * T * T -
+                          T * T * T / 80053 + T * T * T * T / 18999000 + 180);
+}
+
+/**
+ * Node and apogee of the osculating lunar orbit: the two-body ellipse fitted
+ * to the Moon's geocentric position and velocity at one instant
+ * @param {Array<number>} position - Geocentric ecliptic [x, y, z] in km
+ * @param {Array<number>} velocity - Velocity [x, y, z] in km/day
+ * @returns {Object} { node, apogee, apogeeLatitude } in degrees
+ */
+function osculatingLunarOrbit(position, velocity) {
+    const [x, y, z] = position;
+    const [vx, vy, vz] = velocity;
+    const r = Math.hypot(x, y, z);
+
+    // Angular momentum h = r x v; the ascending node lies along z x h
+    const hx = y * vz - z * vy;
+    const hy = z * vx - x * vz;
+    const hz = x * vy - y * vx;
+
+    // Eccentricity vector (v x h) / GM - r / |r| points at the perigee
+    const ex = (vy * hz - vz * hy) / EARTH_MOON_GM - x / r;
+    const ey = (vz * hx - vx * hz) / EARTH_MOON_GM - y / r;
+    const ez = (vx * hy - vy * hx) / EARTH_MOON_GM - z / r;
+
+    return {
+        node: normalizeAngle(radToDeg(Math.atan2(hx, -hy))),
+        apogee: normalizeAngle(radToDeg(Math.atan2(-ey, -ex))),
+        apogeeLatitude: radToDeg(Math.asin(-ez / Math.hypot(ex, ey, ez)))
+    };
+}
+
+module.exports = {
+    MINOR_BODY_ELEMENTS,
+    LUNAR_POINTS,
+    solveKepler,
+    heliocentricFromElements,
+    meanLunarNode,
+    meanLunarApogee,
+    osculatingLunarOrbit
+};
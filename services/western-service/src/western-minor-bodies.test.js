@@ -0,0 +1,108 @@
+/**
+ * Western Minor Bodies and Lunar Points Tests
+ */
+
+const {
+    MINOR_BODY_ELEMENTS,
+    solveKepler,
+    heliocentricFromElements,
+    meanLunarNode
+} = require('./western-minor-bodies');
+const VSOP87Calculator = require('./western-vsop87-calculator');
+const TransitCalculator = require('./western-transit-calculator');
+const WesternSynastryGenerator = require('./western-synastry-generator');
+const { calculatePlanetaryPositions } = require('./western-planetary-calculator');
+const { WesternBirthChartGenerator } = require('./western-birth-chart-generator');
+const { gregorianToJulianDay } = require('./western-math-utils');
+const { PLANETARY_DATA, MINOR_BODY_DATA } = require('./western-astro-constants');
+
+const J2000 = 2451545.0;
+const separation = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+describe('Western minor bodies', () => {
+    const calculator = new VSOP87Calculator();
+    const longitudeOn = (body, year, month, day) =>
+        calculator.getPlanetPosition(body, gregorianToJulianDay(year, month, day, 0, 0, 0));
+
+    test('solves Kepler\'s equation and places bodies on their ellipse', () => {
+        for (const e of [0, 0.0785, 0.379, 0.95]) {
+            const E = solveKepler(1.2, e);
+            expect(E - e * Math.sin(E)).toBeCloseTo(1.2, 12);
+        }
+
+        const { a, e, epoch } = MINOR_BODY_ELEMENTS.CHIRON;
+        const radius = heliocentricFromElements(MINOR_BODY_ELEMENTS.CHIRON, epoch).radius;
+        expect(radius).toBeGreaterThan(a * (1 - e));
+        expect(radius).toBeLessThan(a * (1 + e));
+    });
+
+    test('matches observed oppositions and sign ingresses', () => {
+        // Oppositions fall opposite the Sun
+        expect(separation(longitudeOn('CERES', 2023, 3, 21), longitudeOn('SUN', 2023, 3, 21))).toBeGreaterThan(179);
+        expect(separation(longitudeOn('CERES', 2021, 11, 27), 65)).toBeLessThan(1);
+        expect(separation(longitudeOn('VESTA', 2018, 6, 19), 268)).toBeLessThan(1);
+        expect(separation(longitudeOn('VESTA', 2023, 12, 21), 89.5)).toBeLessThan(1);
+        expect(separation(longitudeOn('JUNO', 2018, 11, 17), 55)).toBeLessThan(1);
+        expect(separation(longitudeOn('PALLAS', 2023, 1, 9), longitudeOn('SUN', 2023, 1, 9))).toBeGreaterThan(179);
+        expect(separation(longitudeOn('PALLAS', 2020, 7, 14), 290.9)).toBeLessThan(1);
+        expect(separation(longitudeOn('PALLAS', 2025, 8, 8), 315.6)).toBeLessThan(1);
+        // Chiron entered Pisces in April 2010 and left Aries for good in February 2019
+        expect(separation(longitudeOn('CHIRON', 2010, 4, 20), 330)).toBeLessThan(1);
+        expect(separation(longitudeOn('CHIRON', 2019, 2, 18), 0)).toBeLessThan(1);
+    });
+
+    test('keeps the true node and osculating Lilith near their mean positions', () => {
+        expect(calculator.getPlanetPosition('MEAN_NODE', J2000)).toBeCloseTo(125.04, 1);
+        expect(calculator.getPlanetPosition('MEAN_LILITH', J2000)).toBeCloseTo(263.35, 1);
+        expect(meanLunarNode(0)).toBeCloseTo(125.0445479, 9);
+
+        for (let jd = J2000; jd < J2000 + 365; jd += 23.3) {
+            const trueNode = calculator.getPlanetPosition('TRUE_NODE', jd);
+            expect(separation(trueNode, calculator.getPlanetPosition('MEAN_NODE', jd))).toBeLessThan(2);
+            expect(separation(calculator.getPlanetPosition('TRUE_SOUTH_NODE', jd), trueNode)).toBeCloseTo(180, 9);
+            expect(separation(calculator.getPlanetPosition('OSCULATING_LILITH', jd),
+                calculator.getPlanetPosition('MEAN_LILITH', jd))).toBeLessThan(30);
+        }
+    });
+
+    test('adds requested minor bodies to planetary positions and charts', async () => {
+        const positions = calculatePlanetaryPositions(J2000, ['CHIRON', 'TRUE_NODE']);
+        expect(Object.keys(positions)).toEqual([...Object.keys(PLANETARY_DATA), 'CHIRON', 'TRUE_NODE']);
+        expect(() => calculatePlanetaryPositions(J2000, ['ERIS'])).toThrow(/ERIS/);
+
+        const birthData = { year: 1990, month: 5, day: 15, hour: 12, minute: 0, second: 0, latitude: 51.5, longitude: -0.1 };
+        const plain = await new WesternBirthChartGenerator().generateBirthChart(birthData);
+        const chart = await new WesternBirthChartGenerator({ minorBodies: Object.keys(MINOR_BODY_DATA) })
+            .generateBirthChart(birthData);
+
+        expect(Object.keys(plain.planets)).toEqual(Object.keys(PLANETARY_DATA));
+        expect(Object.keys(chart.planets)).toHaveLength(21);
+        expect(chart.planets.CHIRON.house).toBeGreaterThanOrEqual(1);
+        expect(chart.aspects.some(aspect => aspect.planets.includes('CHIRON'))).toBe(true);
+    });
+
+    test('transits minor bodies, including the retrograde nodes', () => {
+        const transits = new TransitCalculator({ minorBodies: ['MEAN_NODE', 'CHIRON'] });
+
+        const active = transits.calculateActiveTransits({ SUN: 125 }, J2000);
+        expect(active.find(transit => transit.transitingPlanet === 'MEAN_NODE')).toMatchObject({ aspect: 'Conjunction' });
+
+        // The node reaches 100° moving backwards from 125°, about 25° / 0.053° per day later
+        const exact = transits.calculateExactTransit(100, 'MEAN_NODE', 'CONJUNCTION', J2000);
+        expect(exact.julianDay - J2000).toBeCloseTo(25 / 0.0529539, -1);
+        expect(calculator.getPlanetPosition('MEAN_NODE', exact.julianDay)).toBeCloseTo(100, 1);
+        expect(transits.calculateTransitDuration({ transitingPlanet: 'MEAN_NODE', aspect: 'Conjunction' }))
+            .toBeGreaterThan(0);
+    });
+
+    test('connects the lunar nodes of two charts in synastry', () => {
+        const chart = (node) => ({
+            planets: { SUN: { longitude: 10 }, TRUE_NODE: { longitude: node }, TRUE_SOUTH_NODE: { longitude: node + 180 } },
+            angles: { ASC: { longitude: 0 }, MC: { longitude: 270 } }
+        });
+        const connections = new WesternSynastryGenerator(chart(100), chart(101)).calculateLunarNodeConnections();
+
+        expect(connections.map(connection => `${connection.type} ${connection.node}`))
+            .toEqual(['north-node TRUE_NODE', 'south-node TRUE_SOUTH_NODE']);
+    });
+});
@@ -1,70 +1,33 @@
 /**
  * Western Astrology Planetary Calculator
  *
- * This module provides simplified planetary position calculations for Western astrology.
- * For production use, consider integrating with Swiss Ephemeris for higher accuracy.
+ * Apparent tropical longitudes of the Sun, Moon and planets, delegating to the
+ * VSOP87D / ELP-2000 ephemeris in western-vsop87-calculator.js, and optionally
+ * of Chiron, the major asteroids, the lunar nodes and Black Moon Lilith.
  *
- * @version 1.0.0
+ * @version 2.0.0
  * @since 2025-10-08
  */
 
-const { WESTERN_ASTRO_CONSTANTS } = require('./western-astro-constants');
-const { calculateJulianCenturies } = require('./western-astronomical-calculations');
-const { normalizeAngle, degToRad } = require('./western-math-utils');
+const VSOP87Calculator = require('./western-vsop87-calculator');
+const { PLANETARY_DATA, MINOR_BODY_DATA } = require('./western-astro-constants');
+
+const ephemeris = new VSOP87Calculator();
 
 /**
- * Calculate approximate planetary positions using simplified formulas
- * @param {number} julianDay - Julian Day Number
+ * Calculate planetary positions
+ * @param {number} julianDay - Julian Day Number (UT)
+ * @param {Array<string>} minorBodies - Keys of MINOR_BODY_DATA to add to the planets
  * @returns {Object} Planetary positions in degrees
  */
-function calculatePlanetaryPositions(julianDay) {
-    const T = calculateJulianCenturies(julianDay);
-    const positions = {};
-
-    // Sun's position (simplified)
-    positions.SUN = normalizeAngle(280.459 + 0.98564736 * (julianDay - WESTERN_ASTRO_CONSTANTS.JULIAN_DAY_J2000));
-
-    // Moon's position (simplified - more complex calculation needed for accuracy)
-    const L = normalizeAngle(218.3164477 + 481267.88123421 * T);
-    const D = normalizeAngle(297.8501921 + 445267.1114034 * T);
-    const M = normalizeAngle(357.5291092 + 35999.0502909 * T);
-    const F = normalizeAngle(93.272095 + 483202.0175233 * T);
-
-    // Moon longitude correction (simplified)
-    const moonCorrection = 6.288774 * Math.sin(degToRad(L)) +
-                          1.274027 * Math.sin(degToRad(2*D - L)) +
-                          0.658314 * Math.sin(degToRad(2*D));
-
-    positions.MOON = normalizeAngle(L + moonCorrection);
-
-    // Mercury (simplified Keplerian approximation)
-    const mercuryM = normalizeAngle(252.250906 + 149472.6746358 * T);
-    positions.MERCURY = normalizeAngle(mercuryM); // Simplified
-
-    // Venus
-    const venusM = normalizeAngle(181.979801 + 58517.815676 * T);
-    positions.VENUS = normalizeAngle(venusM);
-
-    // Mars
-    const marsM = normalizeAngle(355.433 + 19140.2993 * T);
-    positions.MARS = normalizeAngle(marsM);
-
-    // Jupiter
-    const jupiterM = normalizeAngle(34.351 + 3034.9057 * T);
-    positions.JUPITER = normalizeAngle(jupiterM);
-
-    // Saturn
-    const saturnM = normalizeAngle(50.078 + 1222.114 * T);
-    positions.SATURN = normalizeAngle(saturnM);
-
-    // Outer planets (simplified)
-    positions.URANUS = normalizeAngle(313.24 + 428.38 * T);
-    positions.NEPTUNE = normalizeAngle(304.13 + 218.49 * T);
-    positions.PLUTO = normalizeAngle(238.13 + 145.37 * T);
-
-    return positions;
+function calculatePlanetaryPositions(julianDay, minorBodies = []) {
+    const unknown = minorBodies.filter(body => !MINOR_BODY_DATA[body]);
+    if (unknown.length > 0) {
+        throw new Error(`Unsupported minor bodies: ${unknown.join(', ')}`);
+    }
+    return ephemeris.calculateAllPositions(julianDay, [...Object.keys(PLANETARY_DATA), ...minorBodies]);
 }
 
 module.exports = {
     calculatePlanetaryPositions
-};
\ No newline at end of file
+};
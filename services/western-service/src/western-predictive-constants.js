@@ -115,7 +115,11 @@ const PREDICTIVE_CONSTANTS = {
     TECHNIQUES: {
         SECONDARY: 'secondary',
         SOLAR_ARC: 'solar_arc',
-        TRANSITS: 'transits'
+        TRANSITS: 'transits',
+        PROFECTIONS: 'profections',
+        FIRDARIA: 'firdaria',
+        ZODIACAL_RELEASING: 'zodiacal_releasing',
+        PRIMARY_DIRECTIONS: 'primary_directions'
     },
 
     // Framework Types
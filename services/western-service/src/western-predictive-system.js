@@ -18,6 +18,8 @@ const WesternTransitCalculator = require('./western-transit-calculator');
 const PredictiveTimingCalculator = require('./predictive-timing-calculator');
 const WesternPredictiveInterpreter = require('./western-predictive-interpreter');
 const WesternPredictiveIntegration = require('./western-predictive-integration');
+const { WesternTimeLordsCalculator } = require('./western-time-lords-calculator');
+const { WesternPrimaryDirectionsCalculator } = require('./western-primary-directions-calculator');
 
 /**
  * Custom error classes for predictive calculations
@@ -49,6 +51,8 @@ class WesternPredictiveSystem {
         this.solarArcCalculator = new SolarArcProgressionsCalculator();
         this.transitCalculator = new WesternTransitCalculator();
         this.timingCalculator = new PredictiveTimingCalculator();
+        this.timeLordsCalculator = new WesternTimeLordsCalculator();
+        this.primaryDirectionsCalculator = new WesternPrimaryDirectionsCalculator();
         this.interpreter = new WesternPredictiveInterpreter();
         this.integration = new WesternPredictiveIntegration();
 
@@ -160,6 +164,28 @@ class WesternPredictiveSystem {
         return this.timingCalculator.calculatePredictiveTiming(birthChart, targetDate, eventType);
     }
 
+    /**
+     * Calculate profections, firdaria and zodiacal releasing only
+     * @param {Object} birthChart - Birth chart data
+     * @param {Date} targetDate - Target date
+     * @param {Object} options - Time-lord options (zodiacal releasing levels)
+     * @returns {Object} Time-lord periods with timing windows and peak periods
+     */
+    calculateTimeLords(birthChart, targetDate, options = {}) {
+        this._validateInputs(birthChart, targetDate);
+        return this.timeLordsCalculator.generateTimeline(birthChart, targetDate, options);
+    }
+
+    /**
+     * Calculate dated primary directions of the natal chart
+     * @param {Object} birthChart - Birth chart with sidereal time or location and birth time
+     * @param {Object} options - Method, time key, direction types and significators
+     * @returns {Object} Directions sorted by date
+     */
+    calculatePrimaryDirections(birthChart, options = {}) {
+        return this.primaryDirectionsCalculator.calculateDirections(birthChart, options);
+    }
+
     /**
      * Private method: Validate input parameters
      */
@@ -227,11 +253,35 @@ class WesternPredictiveSystem {
      * Private method: Calculate timing
      */
     _calculateTiming(birthChart, targetDate, eventType) {
+        let timing;
         try {
-            return this.timingCalculator.calculatePredictiveTiming(birthChart, targetDate, eventType);
+            timing = this.timingCalculator.calculatePredictiveTiming(birthChart, targetDate, eventType);
         } catch (error) {
             throw new PredictiveCalculationError(`Timing: ${error.message}`);
         }
+        return this._mergeTimeLords(timing, birthChart, targetDate);
+    }
+
+    /**
+     * Private method: Add time-lord windows and peaks to the timing timeline
+     * Charts without an ascendant keep the timing as it is.
+     */
+    _mergeTimeLords(timing, birthChart, targetDate) {
+        if (!Number.isFinite(this.timeLordsCalculator.getAscendant(birthChart))) {
+            return timing;
+        }
+
+        try {
+            const { windows, peakPeriods, ...timeLords } = this.timeLordsCalculator.generateTimeline(birthChart, targetDate);
+            return {
+                ...timing,
+                windows: [...(timing.windows || []), ...windows],
+                peakPeriods: [...(timing.peakPeriods || []), ...peakPeriods],
+                timeLords
+            };
+        } catch (error) {
+            throw new PredictiveCalculationError(`Time lords: ${error.message}`);
+        }
     }
 
     /**
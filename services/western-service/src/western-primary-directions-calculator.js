@@ -0,0 +1,443 @@
+/**
+ * ZodiaCore - Western Primary Directions Calculator
+ *
+ * Primary directions in the Placidus semi-arc and Regiomontanus methods.
+ * Promissors (planets and lots) are carried by the diurnal rotation to the
+ * mundane position of a significator (an angle, planet or lot), either by
+ * their ecliptic aspect points (zodiacal) or by proportional house position
+ * (mundo). The arc of rotation is converted to years of life with the
+ * Ptolemy, Naibod or true solar arc key and returned as dated directions.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { WESTERN_ASTRO_CONSTANTS, ASPECTS, ValidationError } = require('./western-astro-constants');
+const { calculateGMST, calculateLST } = require('./western-astronomical-calculations');
+const { calculateAscendant, eclipticLongitudeFromRA } = require('./western-house-systems');
+const { degToRad, radToDeg, normalizeAngle } = require('./western-math-utils');
+const { WesternTimeLordsCalculator } = require('./western-time-lords-calculator');
+const VSOP87Calculator = require('./western-vsop87-calculator');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+
+// Degrees of arc per year of life; the true solar arc is measured per chart
+const DIRECTION_KEYS = {
+    ptolemy: 1,
+    naibod: 0.98564733,
+    solar_arc: null
+};
+
+const DIRECTION_METHODS = ['placidus', 'regiomontanus'];
+const DIRECTION_TYPES = ['zodiacal', 'mundo'];
+const DIRECTION_MOTIONS = ['direct', 'converse'];
+
+// Angles sit at fixed mundane positions: 0 at the MC, increasing westward
+const ANGLE_POSITIONS = { MC: 0, ASC: 270 };
+
+const DEFAULT_SIGNIFICATORS = ['ASC', 'MC', 'SUN', 'MOON', 'FORTUNE'];
+const DEFAULT_ASPECTS = ['CONJUNCTION', 'SEXTILE', 'SQUARE', 'TRINE', 'OPPOSITION'];
+const DEFAULT_MAX_YEARS = 90;
+
+// The Sun's right ascension gains 0.91-1.11° a day, so this bounds the days a solar arc needs
+const MIN_SOLAR_ARC_PER_DAY = 0.9;
+
+/**
+ * Right ascension and declination of an ecliptic position
+ * @param {number} longitude - Ecliptic longitude in degrees
+ * @param {number} latitude - Ecliptic latitude in degrees
+ * @param {number} obliquity - Obliquity of the ecliptic in degrees
+ * @returns {Object} { rightAscension, declination } in degrees
+ */
+function eclipticToEquatorial(longitude, latitude = 0, obliquity = WESTERN_ASTRO_CONSTANTS.EARTH_OBLIQUITY) {
+    const lonRad = degToRad(longitude);
+    const latRad = degToRad(latitude);
+    const oblRad = degToRad(obliquity);
+
+    const declination = Math.asin(
+        Math.sin(latRad) * Math.cos(oblRad) + Math.cos(latRad) * Math.sin(oblRad) * Math.sin(lonRad)
+    );
+    const rightAscension = Math.atan2(
+        Math.sin(lonRad) * Math.cos(oblRad) - Math.tan(latRad) * Math.sin(oblRad),
+        Math.cos(lonRad)
+    );
+
+    return { rightAscension: normalizeAngle(radToDeg(rightAscension)), declination: radToDeg(declination) };
+}
+
+/**
+ * Diurnal semi-arc of a point, 90° plus its ascensional difference
+ * @param {number} declination - Declination in degrees
+ * @param {number} latitude - Geographical latitude in degrees
+ * @returns {number|null} Semi-arc in degrees, or null if the point never rises or sets
+ */
+function diurnalSemiArc(declination, latitude) {
+    const product = Math.tan(degToRad(latitude)) * Math.tan(degToRad(declination));
+    if (Math.abs(product) >= 1) {
+        return null;
+    }
+    return 90 + radToDeg(Math.asin(product));
+}
+
+/**
+ * Mundane position of a point: the MC at 0, Descendant 90, IC 180 and
+ * Ascendant 270, so that each house spans 30°
+ */
+const MUNDANE_POSITION = {
+    /**
+     * Placidus: the hour angle as a proportion of the point's own semi-arc
+     * @param {number} hourAngle - Hour angle in degrees, west positive
+     * @param {number} declination - Declination in degrees
+     * @param {number} latitude - Geographical latitude in degrees
+     * @returns {number|null} Mundane position in degrees
+     */
+    placidus(hourAngle, declination, latitude) {
+        const semiArc = diurnalSemiArc(declination, latitude);
+        if (semiArc === null) return null;
+
+        const h = normalizeAngle(hourAngle);
+        if (h <= semiArc) return 90 * h / semiArc;
+        if (h >= 360 - semiArc) return 270 + 90 * (h - 360 + semiArc) / semiArc;
+        return 90 + 180 * (h - semiArc) / (360 - 2 * semiArc);
+    },
+
+    /**
+     * Regiomontanus: the equator hour angle of the circle of position through
+     * the north and south points of the horizon
+     * @param {number} hourAngle - Hour angle in degrees, west positive
+     * @param {number} declination - Declination in degrees
+     * @param {number} latitude - Geographical latitude in degrees
+     * @returns {number|null} Mundane position in degrees
+     */
+    regiomontanus(hourAngle, declination, latitude) {
+        if (diurnalSemiArc(declination, latitude) === null) return null;
+
+        const hRad = degToRad(hourAngle);
+        const decRad = degToRad(declination);
+        const latRad = degToRad(latitude);
+        return normalizeAngle(radToDeg(Math.atan2(
+            Math.cos(latRad) * Math.cos(decRad) * Math.sin(hRad),
+            Math.cos(latRad) * Math.cos(decRad) * Math.cos(hRad) + Math.sin(latRad) * Math.sin(decRad)
+        )));
+    }
+};
+
+/**
+ * Hour angle at which a point reaches a mundane position (inverse of MUNDANE_POSITION)
+ */
+const HOUR_ANGLE_AT = {
+    placidus(position, declination, latitude) {
+        const semiArc = diurnalSemiArc(declination, latitude);
+        if (semiArc === null) return null;
+
+        const p = normalizeAngle(position);
+        if (p <= 90) return semiArc * p / 90;
+        if (p >= 270) return 360 - semiArc + semiArc * (p - 270) / 90;
+        return semiArc + (360 - 2 * semiArc) * (p - 90) / 180;
+    },
+
+    // sin(E - H) = -sin E tan φ tan δ, taking the branch continuous with H = E on the equator
+    regiomontanus(position, declination, latitude) {
+        const product = Math.sin(degToRad(position)) * Math.tan(degToRad(latitude)) * Math.tan(degToRad(declination));
+        if (Math.abs(product) >= 1 || diurnalSemiArc(declination, latitude) === null) return null;
+
+        return normalizeAngle(position + radToDeg(Math.asin(product)));
+    }
+};
+
+/**
+ * Western primary directions calculator
+ */
+class WesternPrimaryDirectionsCalculator {
+    constructor() {
+        this.vsop87 = new VSOP87Calculator();
+        this.timeLords = new WesternTimeLordsCalculator();
+    }
+
+    /**
+     * Resolve the sky at birth: RAMC, geographical latitude, angles, lots and
+     * the birth moment. The RAMC is the chart's local sidereal time, or is
+     * computed from its Julian Day and geographical longitude.
+     * @param {Object} birthChart - Chart with planets and lst or julianDay, and birthData or location
+     * @returns {Object} Chart frame used by the direction methods
+     * @throws {ValidationError} If the chart lacks positions, location or birth time
+     */
+    prepareChart(birthChart) {
+        if (!birthChart || !birthChart.planets) {
+            throw new ValidationError('Primary directions require a birth chart with planets');
+        }
+
+        const location = birthChart.location || birthChart.birthData || {};
+        const latitude = Number.isFinite(birthChart.latitude) ? birthChart.latitude : location.latitude;
+        if (!Number.isFinite(latitude) || Math.abs(latitude) >= 90) {
+            throw new ValidationError('Primary directions require the geographical latitude of birth');
+        }
+
+        let julianDay = birthChart.julianDay;
+        if (!Number.isFinite(julianDay) && birthChart.birthDate) {
+            julianDay = new Date(birthChart.birthDate).getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY;
+        }
+        if (!Number.isFinite(julianDay)) {
+            throw new ValidationError('Primary directions require the birth date or Julian Day');
+        }
+
+        let ramc = Number.isFinite(birthChart.ramc) ? birthChart.ramc : birthChart.lst;
+        if (!Number.isFinite(ramc)) {
+            if (!Number.isFinite(location.longitude)) {
+                throw new ValidationError('Primary directions require the local sidereal time or the geographical longitude');
+            }
+            ramc = calculateLST(calculateGMST(julianDay), location.longitude);
+        }
+        ramc = normalizeAngle(ramc);
+
+        const oblRad = degToRad(WESTERN_ASTRO_CONSTANTS.EARTH_OBLIQUITY);
+        const angles = {
+            ASC: calculateAscendant(ramc, latitude),
+            MC: eclipticLongitudeFromRA(ramc, oblRad)
+        };
+
+        const points = {};
+        for (const [name, planet] of Object.entries(birthChart.planets)) {
+            if (Number.isFinite(planet?.longitude)) {
+                points[name] = { longitude: planet.longitude, latitude: Number.isFinite(planet.latitude) ? planet.latitude : 0 };
+            }
+        }
+        if (points.SUN && points.MOON) {
+            const lots = this.timeLords.calculateLots({ ascendant: angles.ASC, planets: points });
+            points.FORTUNE = { longitude: lots.fortune, latitude: 0 };
+            points.SPIRIT = { longitude: lots.spirit, latitude: 0 };
+        }
+
+        return {
+            ramc,
+            latitude,
+            julianDay,
+            birthDate: new Date((julianDay - UNIX_EPOCH_JULIAN_DAY) * MS_PER_DAY),
+            angles,
+            points
+        };
+    }
+
+    /**
+     * Mundane position of a chart point
+     * @param {Object} frame - Chart frame from prepareChart
+     * @param {string} name - ASC, MC, or a planet or lot name
+     * @param {string} method - placidus or regiomontanus
+     * @param {boolean} withLatitude - Use the point's ecliptic latitude (mundo)
+     * @returns {number|null} Mundane position in degrees, or null for circumpolar points
+     */
+    getMundanePosition(frame, name, method, withLatitude = false) {
+        if (name in ANGLE_POSITIONS) {
+            return ANGLE_POSITIONS[name];
+        }
+        const point = frame.points[name];
+        const { rightAscension, declination } = eclipticToEquatorial(point.longitude, withLatitude ? point.latitude : 0);
+        return MUNDANE_POSITION[method](frame.ramc - rightAscension, declination, frame.latitude);
+    }
+
+    /**
+     * Arc of primary motion carrying a point to a mundane position
+     * @param {Object} frame - Chart frame from prepareChart
+     * @param {number} longitude - Ecliptic longitude of the moving point
+     * @param {number} latitude - Ecliptic latitude of the moving point
+     * @param {number} position - Target mundane position
+     * @param {string} method - placidus or regiomontanus
+     * @param {string} motion - direct (with the diurnal rotation) or converse (against it)
+     * @returns {number|null} Arc in degrees of right ascension, or null if the point cannot get there
+     */
+    calculateArc(frame, longitude, latitude, position, method, motion = 'direct') {
+        const { rightAscension, declination } = eclipticToEquatorial(longitude, latitude);
+        const target = HOUR_ANGLE_AT[method](position, declination, frame.latitude);
+        if (target === null) {
+            return null;
+        }
+
+        const hourAngle = normalizeAngle(frame.ramc - rightAscension);
+        return motion === 'direct' ? normalizeAngle(target - hourAngle) : normalizeAngle(hourAngle - target);
+    }
+
+    /**
+     * Convert an arc of direction to years of life
+     * @param {number} arc - Arc in degrees
+     * @param {string} key - ptolemy, naibod or solar_arc
+     * @param {Object} frame - Chart frame from prepareChart (needed for the solar arc)
+     * @returns {number|null} Years after birth, or null beyond the solar arc table
+     */
+    arcToYears(arc, key, frame) {
+        if (key !== 'solar_arc') {
+            return arc / DIRECTION_KEYS[key];
+        }
+
+        const table = frame.solarArcs;
+        const day = table.findIndex(gain => gain >= arc);
+        if (day === -1) {
+            return null;
+        }
+        if (day === 0) {
+            return 0;
+        }
+        return day - 1 + (arc - table[day - 1]) / (table[day] - table[day - 1]);
+    }
+
+    /**
+     * Build the true solar arc table: the Sun's gain in right ascension after
+     * each whole day from birth, one day standing for one year of life
+     * @param {Object} frame - Chart frame from prepareChart
+     * @param {number} maxArc - Largest arc to cover
+     */
+    buildSolarArcTable(frame, maxArc) {
+        const natal = eclipticToEquatorial(this.vsop87.getPlanetPosition('SUN', frame.julianDay)).rightAscension;
+        const days = Math.ceil(maxArc / MIN_SOLAR_ARC_PER_DAY) + 1;
+        const table = [0];
+
+        for (let day = 1; day <= days; day++) {
+            const longitude = this.vsop87.getPlanetPosition('SUN', frame.julianDay + day);
+            const gain = normalizeAngle(eclipticToEquatorial(longitude).rightAscension - natal);
+            // Unwrap past a full circle of right ascension
+            table.push(gain + 360 * Math.floor((table[day - 1] - gain + 180) / 360));
+        }
+        frame.solarArcs = table;
+    }
+
+    /**
+     * Primary directions of the chart, dated by the selected key
+     * @param {Object} birthChart - Birth chart (see prepareChart)
+     * @param {Object} options - Calculation options
+     * @param {string} options.method - placidus (default) or regiomontanus
+     * @param {string} options.key - naibod (default), ptolemy or solar_arc
+     * @param {string[]} options.types - zodiacal and/or mundo (default both)
+     * @param {string[]} options.motions - direct and/or converse (default both)
+     * @param {string[]} options.promissors - Planets and lots to direct (default all planets)
+     * @param {string[]} options.significators - Angles, planets and lots (default ASC, MC, SUN, MOON, FORTUNE)
+     * @param {string[]} options.aspects - ASPECTS keys (default the Ptolemaic aspects)
+     * @param {number} options.maxYears - Latest age to report (default 90)
+     * @returns {Object} Chart frame summary and directions sorted by date
+     * @throws {ValidationError} If an option or point name is unknown
+     */
+    calculateDirections(birthChart, options = {}) {
+        const {
+            method = 'placidus',
+            key = 'naibod',
+            types = DIRECTION_TYPES,
+            motions = DIRECTION_MOTIONS,
+            aspects = DEFAULT_ASPECTS,
+            maxYears = DEFAULT_MAX_YEARS
+        } = options;
+
+        if (!DIRECTION_METHODS.includes(method)) {
+            throw new ValidationError(`Unknown direction method: ${method}`);
+        }
+        if (!(key in DIRECTION_KEYS)) {
+            throw new ValidationError(`Unknown direction key: ${key}`);
+        }
+        for (const type of types) {
+            if (!DIRECTION_TYPES.includes(type)) {
+                throw new ValidationError(`Unknown direction type: ${type}`);
+            }
+        }
+        for (const motion of motions) {
+            if (!DIRECTION_MOTIONS.includes(motion)) {
+                throw new ValidationError(`Unknown direction motion: ${motion}`);
+            }
+        }
+        for (const aspect of aspects) {
+            if (!ASPECTS[aspect]) {
+                throw new ValidationError(`Unknown aspect: ${aspect}`);
+            }
+        }
+        if (!(maxYears > 0)) {
+            throw new ValidationError('Maximum years must be positive');
+        }
+
+        const frame = this.prepareChart(birthChart);
+        const promissors = options.promissors || Object.keys(birthChart.planets).filter(name => frame.points[name]);
+        const significators = options.significators || DEFAULT_SIGNIFICATORS.filter(name => name in ANGLE_POSITIONS || frame.points[name]);
+
+        for (const name of promissors) {
+            if (!frame.points[name]) {
+                throw new ValidationError(`Unknown promissor: ${name}${name in ANGLE_POSITIONS ? ' (angles can only be significators)' : ''}`);
+            }
+        }
+        for (const name of significators) {
+            if (!(name in ANGLE_POSITIONS) && !frame.points[name]) {
+                throw new ValidationError(`Unknown significator: ${name}`);
+            }
+        }
+
+        // Solar arcs never exceed about 1.11° a year
+        const maxArc = key === 'solar_arc' ? maxYears * 1.12 : maxYears * DIRECTION_KEYS[key];
+        if (key === 'solar_arc') {
+            this.buildSolarArcTable(frame, maxArc);
+        }
+
+        const directions = [];
+        const addDirection = (direction, arc) => {
+            if (arc === null || arc > maxArc) return;
+            const years = this.arcToYears(arc, key, frame);
+            if (years === null || years > maxYears) return;
+            directions.push({
+                ...direction,
+                arc,
+                years,
+                date: new Date(frame.birthDate.getTime() + years * WESTERN_ASTRO_CONSTANTS.TROPICAL_YEAR * MS_PER_DAY)
+            });
+        };
+
+        for (const significator of significators) {
+            for (const promissor of promissors) {
+                if (promissor === significator) continue;
+                const point = frame.points[promissor];
+
+                for (const aspect of aspects) {
+                    const angle = ASPECTS[aspect].angle;
+                    const sides = angle === 0 || angle === 180 ? [null] : ['sinister', 'dexter'];
+
+                    for (const side of sides) {
+                        const offset = side === 'dexter' ? -angle : angle;
+                        const base = { promissor, significator, aspect: ASPECTS[aspect].name, aspectAngle: angle, side, method };
+
+                        for (const motion of motions) {
+                            if (types.includes('zodiacal')) {
+                                // The promissor's aspect point on the ecliptic goes to the significator's place
+                                const position = this.getMundanePosition(frame, significator, method);
+                                if (position !== null) {
+                                    const arc = this.calculateArc(frame, point.longitude + offset, 0, position, method, motion);
+                                    addDirection({ ...base, type: 'zodiacal', motion }, arc);
+                                }
+                            }
+                            if (types.includes('mundo')) {
+                                // The promissor's body goes to the mundane aspect of the significator;
+                                // sinister aspects fall in the following houses
+                                const position = this.getMundanePosition(frame, significator, method, true);
+                                if (position !== null) {
+                                    const arc = this.calculateArc(frame, point.longitude, point.latitude, position - offset, method, motion);
+                                    addDirection({ ...base, type: 'mundo', motion }, arc);
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        directions.sort((a, b) => a.years - b.years);
+
+        return {
+            method,
+            key,
+            ramc: frame.ramc,
+            latitude: frame.latitude,
+            angles: frame.angles,
+            directions
+        };
+    }
+}
+
+module.exports = {
+    WesternPrimaryDirectionsCalculator,
+    DIRECTION_KEYS,
+    eclipticToEquatorial,
+    diurnalSemiArc
+};
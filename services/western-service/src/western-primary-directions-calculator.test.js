@@ -0,0 +1,138 @@
+/**
+ * Western Primary Directions Calculator Tests
+ */
+
+const {
+    WesternPrimaryDirectionsCalculator,
+    eclipticToEquatorial,
+    diurnalSemiArc
+} = require('./western-primary-directions-calculator');
+const { ValidationError, WESTERN_ASTRO_CONSTANTS } = require('./western-astro-constants');
+const { calculateGMST, calculateLST } = require('./western-astronomical-calculations');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const chart = {
+    birthDate: new Date(Date.UTC(1990, 4, 15, 12)),
+    lst: 200,
+    birthData: { latitude: 51.5, longitude: -0.1 },
+    planets: {
+        SUN: { longitude: 54.5 },
+        MOON: { longitude: 174.2, latitude: 4 },
+        MARS: { longitude: 330 }
+    }
+};
+const equatorChart = { ...chart, lst: 0, birthData: { latitude: 0 }, planets: { ...chart.planets, MARS: { longitude: 30 } } };
+
+function find(result, criteria) {
+    return result.directions.find(direction => Object.entries(criteria).every(([key, value]) => direction[key] === value));
+}
+
+describe('WesternPrimaryDirectionsCalculator', () => {
+    const calculator = new WesternPrimaryDirectionsCalculator();
+    const only = { aspects: ['CONJUNCTION'], motions: ['direct'], maxYears: 120 };
+
+    test('brings a promissor to the MC by its right ascension at the equator', () => {
+        const { rightAscension } = eclipticToEquatorial(30);
+        for (const method of ['placidus', 'regiomontanus']) {
+            const result = calculator.calculateDirections(equatorChart, { ...only, method, types: ['zodiacal'] });
+            const direction = find(result, { promissor: 'MARS', significator: 'MC' });
+
+            expect(result.angles).toEqual({ ASC: 90, MC: 0 });
+            expect(direction.arc).toBeCloseTo(rightAscension, 9);
+            expect(direction.years).toBeCloseTo(rightAscension / 0.98564733, 9);
+        }
+    });
+
+    test('directs to the ascendant by oblique ascension in both methods', () => {
+        const { rightAscension, declination } = eclipticToEquatorial(54.5);
+        const ascensionalDifference = diurnalSemiArc(declination, 51.5) - 90;
+        const expected = rightAscension - ascensionalDifference - 200 - 90 + 360;
+
+        const placidus = calculator.calculateDirections(chart, { ...only, types: ['zodiacal'], maxYears: 200 });
+        const regiomontanus = calculator.calculateDirections(chart, { ...only, types: ['zodiacal'], maxYears: 200, method: 'regiomontanus' });
+
+        expect(find(placidus, { promissor: 'SUN', significator: 'ASC' }).arc).toBeCloseTo(expected, 9);
+        expect(find(regiomontanus, { promissor: 'SUN', significator: 'ASC' }).arc).toBeCloseTo(expected, 9);
+        // The methods divide the quadrants differently between the angles
+        expect(find(placidus, { promissor: 'MARS', significator: 'MOON' }).arc)
+            .not.toBeCloseTo(find(regiomontanus, { promissor: 'MARS', significator: 'MOON' }).arc, 2);
+    });
+
+    test('runs converse directions against the diurnal rotation', () => {
+        const frame = calculator.prepareChart(chart);
+        const direct = calculator.calculateArc(frame, 174.2, 0, 0, 'placidus', 'direct');
+        const converse = calculator.calculateArc(frame, 174.2, 0, 0, 'placidus', 'converse');
+
+        // The Moon culminated 26° of right ascension before birth
+        expect(converse).toBeCloseTo(200 - eclipticToEquatorial(174.2).rightAscension, 9);
+        expect(direct + converse).toBeCloseTo(360, 9);
+        expect(calculator.calculateArc(frame, 174.2, 4, calculator.getMundanePosition(frame, 'MOON', 'regiomontanus', true), 'regiomontanus')).toBeCloseTo(0, 9);
+    });
+
+    test('directs in mundo with the promissor\'s latitude and house position', () => {
+        const result = calculator.calculateDirections(chart, { motions: ['direct'], significators: ['MC'], promissors: ['MOON'], maxYears: 120 });
+        const { rightAscension, declination } = eclipticToEquatorial(174.2, 4);
+
+        // The dexter square of the MC in mundo is the Descendant: the Moon sets
+        expect(find(result, { type: 'mundo', aspect: 'Square', side: 'dexter' }).arc)
+            .toBeCloseTo(diurnalSemiArc(declination, 51.5) - (200 - rightAscension), 9);
+        // Its northern latitude lengthens the Moon's semi-arc, so it sets later
+        const frame = calculator.prepareChart(chart);
+        expect(calculator.calculateArc(frame, 174.2, 0, 90, 'placidus')).toBeLessThan(find(result, { type: 'mundo', aspect: 'Square', side: 'dexter' }).arc - 1);
+    });
+
+    test('converts arcs with the Ptolemy, Naibod and true solar arc keys', () => {
+        const ptolemy = calculator.calculateDirections(chart, { key: 'ptolemy' });
+        const naibod = calculator.calculateDirections(chart, { maxYears: 40 });
+        const solarArc = calculator.calculateDirections(chart, { key: 'solar_arc', maxYears: 40 });
+        const frame = calculator.prepareChart(chart);
+        calculator.buildSolarArcTable(frame, 20);
+
+        expect(ptolemy.directions.every(direction => direction.years === direction.arc)).toBe(true);
+        expect(calculator.arcToYears(frame.solarArcs[10], 'solar_arc', frame)).toBeCloseTo(10, 9);
+        // In mid-May the Sun gains close to a degree of right ascension a day
+        expect(frame.solarArcs[10]).toBeCloseTo(10, 0);
+        expect(solarArc.directions.length).toBeGreaterThan(0);
+        for (const direction of solarArc.directions) {
+            const naibodYears = direction.arc / 0.98564733;
+            expect(direction.years).toBeLessThanOrEqual(40);
+            expect(Math.abs(direction.years - naibodYears)).toBeLessThan(0.05 * naibodYears + 0.1);
+        }
+        expect(solarArc.directions.map(direction => direction.promissor + direction.significator + direction.aspect + direction.type + direction.motion).slice(0, 5))
+            .toEqual(naibod.directions.map(direction => direction.promissor + direction.significator + direction.aspect + direction.type + direction.motion).slice(0, 5));
+    });
+
+    test('lists dated directions to angles, luminaries and Fortune', () => {
+        const result = calculator.calculateDirections(chart, { maxYears: 60 });
+        const significators = new Set(result.directions.map(direction => direction.significator));
+
+        expect([...significators].sort()).toEqual(['ASC', 'FORTUNE', 'MC', 'MOON', 'SUN']);
+        expect(new Set(result.directions.map(direction => `${direction.type} ${direction.motion}`)).size).toBe(4);
+        for (const [index, direction] of result.directions.entries()) {
+            expect(direction.years).toBeLessThanOrEqual(60);
+            expect(direction.date.getTime() - chart.birthDate.getTime())
+                .toBeCloseTo(direction.years * WESTERN_ASTRO_CONSTANTS.TROPICAL_YEAR * MS_PER_DAY, -1);
+            if (index > 0) expect(direction.years).toBeGreaterThanOrEqual(result.directions[index - 1].years);
+        }
+    });
+
+    test('computes the RAMC from the Julian Day and longitude when the chart has no sidereal time', () => {
+        const julianDay = 2448027;
+        const frame = calculator.prepareChart({ ...chart, lst: undefined, birthDate: undefined, julianDay });
+
+        expect(frame.ramc).toBeCloseTo(calculateLST(calculateGMST(julianDay), -0.1), 9);
+        expect(frame.birthDate).toEqual(new Date(Date.UTC(1990, 4, 15, 12)));
+        expect(frame.points.FORTUNE.longitude).toBeCloseTo(calculator.timeLords.calculateLots({ ascendant: frame.angles.ASC, planets: chart.planets }).fortune, 9);
+    });
+
+    test('rejects unknown options and incomplete charts', () => {
+        expect(() => calculator.calculateDirections(chart, { method: 'campanus' })).toThrow(ValidationError);
+        expect(() => calculator.calculateDirections(chart, { key: 'cardan' })).toThrow(/cardan/);
+        expect(() => calculator.calculateDirections(chart, { motions: ['zodiacal'] })).toThrow(/motion/);
+        expect(() => calculator.calculateDirections(chart, { promissors: ['MC'] })).toThrow(/only be significators/);
+        expect(() => calculator.calculateDirections(chart, { significators: ['VERTEX'] })).toThrow(/VERTEX/);
+        expect(() => calculator.calculateDirections({ ...chart, birthData: {} })).toThrow(/latitude/);
+        expect(() => calculator.calculateDirections({ ...chart, lst: undefined, birthData: { latitude: 51.5 } })).toThrow(/sidereal time/);
+    });
+});
@@ -25,6 +25,7 @@ const RETURN_CHART_CONSTANTS = {
 
     // Location Considerations
     LOCATION_PRECISION: 0.0001, // degrees
+    PLACIDUS_MAX_LATITUDE: 60, // degrees; Equal houses are cast beyond it
 
     // Chart Casting Methods
     CASTING_METHODS: {
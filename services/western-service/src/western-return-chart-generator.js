@@ -10,7 +10,7 @@
 
 const { RETURN_CHART_CONSTANTS } = require('./western-return-chart-constants');
 const { ReturnTimeCalculator } = require('./western-return-time-calculator');
-const { LocationAdjustedReturnChart } = require('./western-location-adjusted-return-chart');
+const { LocationAdjustedReturnChart, getHouseForPosition } = require('./western-location-adjusted-return-chart');
 
 /**
  * Main Return Chart Generator Class
@@ -115,6 +115,16 @@ class ReturnChartGenerator {
         };
     }
 
+    /**
+     * Get house number for a longitude, as counted in the chart's angularity
+     * @param {number} longitude - Longitude in degrees
+     * @param {Array} houses - House cusps array
+     * @returns {number} House number (1-12)
+     */
+    getHouseForPosition(longitude, houses) {
+        return getHouseForPosition(longitude, houses);
+    }
+
     /**
      * Generate both solar and lunar returns for a period
      * @param {Date} targetDate - Target date for returns
@@ -234,6 +234,11 @@ class ReturnChartInterpreter {
         const angular = [];
         const houses = birthChart.houses;
 
+        // Natal houses are optional (unknown birth time); no planet is angular then
+        if (!Array.isArray(houses)) {
+            return angular;
+        }
+
         for (const [planet, position] of Object.entries(birthChart.planets)) {
             const house = this.getHouseForPosition(position.longitude, houses);
             if (RETURN_CHART_CONSTANTS.ANGULAR_HOUSES.includes(house)) {
@@ -259,16 +264,18 @@ class ReturnChartInterpreter {
 
             if (returnPos && birthPos) {
                 const signChange = Math.floor(returnPos.longitude / 30) !== Math.floor(birthPos.longitude / 30);
-                const houseChange = this.getHouseForPosition(returnPos.longitude, returnChart.chart.houses) !==
-                                   this.getHouseForPosition(birthPos.longitude, birthChart.houses);
+                const returnHouse = this.getHouseForPosition(returnPos.longitude, returnChart.chart.houses);
+                const birthHouse = Array.isArray(birthChart.houses)
+                    ? this.getHouseForPosition(birthPos.longitude, birthChart.houses)
+                    : null;
 
                 analysis[planet] = {
                     signChanged: signChange,
-                    houseChanged: houseChange,
+                    houseChanged: birthHouse !== null && returnHouse !== birthHouse,
                     returnSign: Math.floor(returnPos.longitude / 30),
-                    returnHouse: this.getHouseForPosition(returnPos.longitude, returnChart.chart.houses),
+                    returnHouse: returnHouse,
                     birthSign: Math.floor(birthPos.longitude / 30),
-                    birthHouse: this.getHouseForPosition(birthPos.longitude, birthChart.houses)
+                    birthHouse: birthHouse
                 };
             }
         }
@@ -10,6 +10,7 @@
  */
 
 const { RETURN_CHART_CONSTANTS } = require('./western-return-chart-constants');
+const { ValidationError, CalculationError } = require('./western-astro-constants');
 const { ReturnChartGenerator } = require('./western-return-chart-generator');
 const { ReturnChartValidator } = require('./western-return-chart-validator');
 const { ReturnChartInterpreter } = require('./western-return-chart-interpreter');
@@ -24,6 +25,8 @@ class WesternReturnChartSystem {
      * @param {Object} options - System options
      */
     constructor(birthChart, options = {}) {
+        this._validateBirthChart(birthChart);
+
         this.birthChart = birthChart;
         this.options = {
             ephemerisCalculator: options.ephemerisCalculator || null,
@@ -51,25 +54,18 @@ class WesternReturnChartSystem {
      * @returns {Promise<Object>} Complete return chart with validation and interpretation
      */
     async generateReturnChart(type, targetDate, castingLocation = null) {
-        try {
-            // Validate input parameters
-            this._validateInputParameters(type, targetDate, castingLocation);
+        // Input problems surface as ValidationError; the engine's as CalculationError
+        this._validateInputParameters(type, targetDate, castingLocation);
 
-            let returnChart;
+        const returnType = type.toLowerCase();
+        const isSolar = returnType === RETURN_CHART_CONSTANTS.TYPES.SOLAR;
+        this._validateNatalLongitude(isSolar ? 'SUN' : 'MOON');
 
+        try {
             // Generate the return chart
-            switch (type.toLowerCase()) {
-                case RETURN_CHART_CONSTANTS.TYPES.SOLAR:
-                    returnChart = await this.generator.generateSolarReturn(targetDate.getFullYear(), castingLocation);
-                    break;
-
-                case RETURN_CHART_CONSTANTS.TYPES.LUNAR:
-                    returnChart = await this.generator.generateLunarReturn(targetDate, castingLocation);
-                    break;
-
-                default:
-                    throw new Error(`Unsupported return chart type: ${type}. Must be 'solar' or 'lunar'`);
-            }
+            const returnChart = isSolar
+                ? await this.generator.generateSolarReturn(targetDate.getFullYear(), castingLocation)
+                : await this.generator.generateLunarReturn(targetDate, castingLocation);
 
             // Validate the generated chart
             let validation = null;
@@ -80,7 +76,7 @@ class WesternReturnChartSystem {
             // Interpret the chart
             let interpretation = null;
             if (this.options.interpretationEnabled) {
-                interpretation = type === RETURN_CHART_CONSTANTS.TYPES.SOLAR
+                interpretation = isSolar
                     ? this.interpreter.interpretSolarReturn(returnChart, this.birthChart)
                     : this.interpreter.interpretLunarReturn(returnChart, this.birthChart);
             }
@@ -108,7 +104,7 @@ class WesternReturnChartSystem {
             return result;
 
         } catch (error) {
-            throw new Error(`Return chart generation failed: ${error.message}`);
+            throw new CalculationError(`Return chart generation failed: ${error.message}`);
         }
     }
 
@@ -232,6 +228,36 @@ class WesternReturnChartSystem {
         }
     }
 
+    /**
+     * Private method: Validate the natal chart the returns are based on
+     * @param {Object} birthChart - Birth chart
+     */
+    _validateBirthChart(birthChart) {
+        if (!birthChart || typeof birthChart !== 'object') {
+            throw new ValidationError('Birth chart must be an object');
+        }
+
+        if (!(birthChart.birthDate instanceof Date) || isNaN(birthChart.birthDate.getTime())) {
+            throw new ValidationError('Birth date must be a valid Date object');
+        }
+
+        // The birth place is the default casting location
+        this._validateLocation(birthChart.location, 'Birth location');
+    }
+
+    /**
+     * Private method: Validate the natal longitude a return is timed against
+     * @param {string} planet - 'SUN' for solar returns, 'MOON' for lunar returns
+     */
+    _validateNatalLongitude(planet) {
+        const position = this.birthChart.planets && this.birthChart.planets[planet];
+        const longitude = position && position.longitude;
+
+        if (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < 0 || longitude >= 360) {
+            throw new ValidationError(`Birth chart ${planet} longitude must be a number between 0 and 360`);
+        }
+    }
+
     /**
      * Private method: Validate input parameters
      * @param {string} type - Chart type
@@ -239,38 +265,38 @@ class WesternReturnChartSystem {
      * @param {Object} castingLocation - Casting location
      */
     _validateInputParameters(type, targetDate, castingLocation) {
-        if (!type || typeof type !== 'string') {
-            throw new Error('Chart type must be a non-empty string');
-        }
-
         const validTypes = Object.values(RETURN_CHART_CONSTANTS.TYPES);
-        if (!validTypes.includes(type.toLowerCase())) {
-            throw new Error(`Invalid chart type '${type}'. Must be one of: ${validTypes.join(', ')}`);
+        if (typeof type !== 'string' || !validTypes.includes(type.toLowerCase())) {
+            throw new ValidationError(`Unsupported return chart type. Must be one of: ${validTypes.join(', ')}`);
         }
 
         if (!(targetDate instanceof Date) || isNaN(targetDate.getTime())) {
-            throw new Error('Target date must be a valid Date object');
+            throw new ValidationError('Target date must be a valid Date object');
         }
 
         if (castingLocation) {
-            if (typeof castingLocation !== 'object' ||
-                typeof castingLocation.latitude !== 'number' ||
-                typeof castingLocation.longitude !== 'number') {
-                throw new Error('Casting location must be an object with latitude and longitude properties');
-            }
+            this._validateLocation(castingLocation, 'Casting location');
+        }
+    }
 
-            // Sanitize numeric inputs
-            const lat = parseFloat(castingLocation.latitude);
-            const lon = parseFloat(castingLocation.longitude);
+    /**
+     * Private method: Validate a location
+     * @param {Object} location - { latitude, longitude } in degrees
+     * @param {string} label - Name of the location in messages
+     */
+    _validateLocation(location, label) {
+        if (!location || typeof location !== 'object' ||
+            typeof location.latitude !== 'number' || !Number.isFinite(location.latitude) ||
+            typeof location.longitude !== 'number' || !Number.isFinite(location.longitude)) {
+            throw new ValidationError(`${label} must be an object with numeric latitude and longitude`);
+        }
 
-            if (isNaN(lat) || isNaN(lon)) {
-                throw new Error('Location coordinates must be valid numbers');
-            }
+        if (Math.abs(location.latitude) > 90) {
+            throw new ValidationError('Latitude must be between -90 and 90 degrees');
+        }
 
-            // Check for extreme values that might cause calculation issues
-            if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
-                throw new Error('Coordinates out of valid range');
-            }
+        if (Math.abs(location.longitude) > 180) {
+            throw new ValidationError('Longitude must be between -180 and 180 degrees');
         }
     }
 
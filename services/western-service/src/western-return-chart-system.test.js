@@ -308,7 +308,7 @@ describe('WesternReturnChartSystem', () => {
             const chart = await system.generateReturnChart('solar', new Date(2024, 5, 15));
 
             const startTime = Date.now();
-            const interpretation = system.interpreter.interpretSolarReturn(chart.chart, mockBirthChart);
+            const interpretation = system.interpreter.interpretSolarReturn(chart, mockBirthChart);
             const endTime = Date.now();
             const duration = endTime - startTime;
 
@@ -371,12 +371,17 @@ describe('WesternReturnChartSystem', () => {
         test('should validate house cusp accuracy within 0.1 degrees', async () => {
             const result = await system.generateReturnChart('solar', new Date(2024, 5, 15));
 
-            // Check that house cusps are properly distributed
+            // Check that house cusps are properly distributed; Placidus houses at
+            // New York's latitude range from about 20 to 46 degrees
             const houses = result.chart.houses;
-            for (let i = 0; i < houses.length - 1; i++) {
-                const diff = Math.abs(houses[i + 1] - houses[i]);
-                expect(diff).toBeGreaterThanOrEqual(25); // Minimum house size
-                expect(diff).toBeLessThanOrEqual(35); // Maximum house size
+            for (let i = 0; i < houses.length; i++) {
+                const diff = (houses[(i + 1) % 12] - houses[i] + 360) % 360;
+                expect(diff).toBeGreaterThanOrEqual(15); // Minimum house size
+                expect(diff).toBeLessThanOrEqual(50); // Maximum house size
+
+                // Opposite cusps are 180 degrees apart
+                const opposite = (houses[(i + 6) % 12] - houses[i] + 360) % 360;
+                expect(Math.abs(opposite - 180)).toBeLessThanOrEqual(0.1);
             }
         });
 
@@ -403,8 +408,8 @@ describe('WesternReturnChartSystem', () => {
         test('should validate return time calculation within 60 seconds', async () => {
             const result = await system.generateReturnChart('solar', new Date(2024, 5, 15));
 
-            // Calculate expected return time window
-            const expectedDate = new Date(2024, mockBirthChart.birthDate.getMonth(), mockBirthChart.birthDate.getDate());
+            // The Sun reaches 84.5° at 2024-06-15 02:33:05 UT (astronomy-engine SearchSunLongitude)
+            const expectedDate = new Date(Date.UTC(2024, 5, 15, 2, 33, 5));
             const timeDiff = Math.abs(result.returnTime.getTime() - expectedDate.getTime());
             const secondsDiff = timeDiff / 1000;
 
@@ -642,11 +647,12 @@ describe('ReturnChartInterpreter', () => {
 
         mockReturnChart = {
             type: 'solar',
+            returnTime: new Date(2024, 5, 15),
             chart: {
-                positions: { SUN: { longitude: 84.5 } },
+                positions: { SUN: { longitude: 84.5 }, MOON: { longitude: 123.7 } },
                 houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330],
                 aspects: [],
-                angularity: { angularCount: 2 }
+                angularity: { angular: ['SUN', 'MOON'], angularCount: 2 }
             }
         };
     });
@@ -735,7 +741,7 @@ describe('Western Return Chart System Integration', () => {
 
     test('should handle ephemeris calculation failures gracefully', async () => {
         const mockEphemeris = {
-            calculatePlanetPosition: jest.fn().mockRejectedValue(new Error('Ephemeris calculation failed'))
+            calculatePlanetPosition: vi.fn().mockRejectedValue(new Error('Ephemeris calculation failed'))
         };
 
         const failingSystem = new WesternReturnChartSystem(mockBirthChart, { ephemerisCalculator: mockEphemeris });
@@ -802,8 +808,21 @@ describe('Western Return Chart System Integration', () => {
             ephemerisCalculator: null
         });
 
+        // Without an ephemeris calculator the built-in one times the return
+        const result = await incompleteSystem.generateReturnChart('solar', new Date(2024, 5, 15));
+        expect(result.returnTime).toBeInstanceOf(Date);
+        expect(result.chart.positions.SUN.longitude).toBeCloseTo(mockBirthChart.planets.SUN.longitude, 2);
+    });
+
+    test('should reject positions an ephemeris cannot provide', async () => {
+        const emptyEphemeris = {
+            calculatePlanetPosition: vi.fn().mockReturnValue(undefined)
+        };
+
+        const incompleteSystem = new WesternReturnChartSystem(mockBirthChart, { ephemerisCalculator: emptyEphemeris });
+
         await expect(incompleteSystem.generateReturnChart('solar', new Date()))
-            .rejects.toThrow();
+            .rejects.toThrow('Ephemeris returned no valid position for SUN');
     });
 
     test('should handle invalid birth chart data', async () => {
@@ -818,7 +837,7 @@ describe('Western Return Chart System Integration', () => {
 
     test('should handle network timeouts during ephemeris calculations', async () => {
         const timeoutEphemeris = {
-            calculatePlanetPosition: jest.fn().mockImplementation(
+            calculatePlanetPosition: vi.fn().mockImplementation(
                 () => new Promise(resolve => setTimeout(() => resolve({ longitude: 0, latitude: 0 }), 10000))
             )
         };
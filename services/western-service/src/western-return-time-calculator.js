@@ -12,6 +12,34 @@ const { RETURN_CHART_CONSTANTS } = require('./western-return-chart-constants');
 const { calculateJulianDay } = require('./western-astronomical-calculations');
 const { calculatePlanetaryPositions } = require('./western-planetary-calculator');
 const { normalizeAngle } = require('./western-math-utils');
+const { CalculationError } = require('./western-astro-constants');
+
+const MOON_MEAN_DAILY_MOTION = 13.176396; // degrees per day
+
+/**
+ * Read a position from an ephemeris calculator and check it is usable
+ * @param {Object} ephemeris - Object with calculatePlanetPosition(planet, julianDay, location)
+ * @param {string} planet - Planet name
+ * @param {number} julianDay - Julian day
+ * @param {Object} location - Location object
+ * @returns {Object} Position object with a finite longitude
+ * @throws {CalculationError} When the ephemeris returns no usable position
+ */
+function readEphemerisPosition(ephemeris, planet, julianDay, location) {
+    const position = ephemeris.calculatePlanetPosition(planet, julianDay, location);
+
+    if (position && typeof position.then === 'function') {
+        // Return searches iterate synchronously; settle the promise so a late rejection is not left unhandled
+        Promise.resolve(position).catch(() => {});
+        throw new CalculationError(`Ephemeris returned a promise for ${planet}; positions must be calculated synchronously`);
+    }
+
+    if (!position || typeof position.longitude !== 'number' || !Number.isFinite(position.longitude)) {
+        throw new CalculationError(`Ephemeris returned no valid position for ${planet}`);
+    }
+
+    return position;
+}
 
 /**
  * Calculate exact solar return time using iterative approximation
@@ -51,8 +79,13 @@ class ReturnTimeCalculator {
      * @returns {Date} Exact lunar return time
      */
     calculateLunarReturn(natalMoonLongitude, birthDate, targetDate, location) {
-        const searchStart = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
-        const searchEnd = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate() + 2);
+        // Start Newton-Raphson from the mean-motion estimate of the next return
+        // so it converges on the return after targetDate rather than the nearest one
+        const startTime = new Date(targetDate);
+        const moon = readEphemerisPosition(this.ephemeris, 'MOON', this.toJulianDay(startTime), location);
+        const daysAhead = normalizeAngle(natalMoonLongitude - moon.longitude) / MOON_MEAN_DAILY_MOTION;
+        const searchStart = new Date(startTime.getTime() + daysAhead * 86400000);
+        const searchEnd = new Date(searchStart.getTime() + 2 * 86400000);
 
         return this.findReturnTime(
             natalMoonLongitude,
@@ -81,19 +114,12 @@ class ReturnTimeCalculator {
         let prevError = Infinity;
 
         while (iteration < maxIterations) {
-            const julianDay = calculateJulianDay(
-                currentTime.getFullYear(),
-                currentTime.getMonth() + 1,
-                currentTime.getDate(),
-                currentTime.getHours(),
-                currentTime.getMinutes(),
-                currentTime.getSeconds()
-            );
-
-            const position = this.ephemeris.calculatePlanetPosition(planet, julianDay, location);
-            const error = this.angularSeparation(position.longitude, targetLongitude);
-
-            if (error < tolerance) {
+            const julianDay = this.toJulianDay(currentTime);
+
+            const position = readEphemerisPosition(this.ephemeris, planet, julianDay, location);
+            const error = this.signedDifference(targetLongitude, position.longitude);
+
+            if (Math.abs(error) < tolerance) {
                 return currentTime;
             }
 
@@ -119,7 +145,7 @@ class ReturnTimeCalculator {
             iteration++;
         }
 
-        throw new Error(`Return time calculation did not converge for ${planet} after ${maxIterations} iterations`);
+        throw new CalculationError(`Return time calculation did not converge for ${planet} after ${maxIterations} iterations`);
     }
 
     /**
@@ -131,10 +157,36 @@ class ReturnTimeCalculator {
      */
     calculatePositionDerivative(planet, julianDay, location) {
         const delta = 0.01; // Small time increment in days
-        const pos1 = this.ephemeris.calculatePlanetPosition(planet, julianDay, location);
-        const pos2 = this.ephemeris.calculatePlanetPosition(planet, julianDay + delta, location);
+        const pos1 = readEphemerisPosition(this.ephemeris, planet, julianDay, location);
+        const pos2 = readEphemerisPosition(this.ephemeris, planet, julianDay + delta, location);
+
+        return this.signedDifference(pos2.longitude, pos1.longitude) / delta;
+    }
+
+    /**
+     * Convert a Date to a Julian Day using its UTC components
+     * @param {Date} date - Moment to convert
+     * @returns {number} Julian Day
+     */
+    toJulianDay(date) {
+        return calculateJulianDay(
+            date.getUTCFullYear(),
+            date.getUTCMonth() + 1,
+            date.getUTCDate(),
+            date.getUTCHours(),
+            date.getUTCMinutes(),
+            date.getUTCSeconds()
+        );
+    }
 
-        return (pos2.longitude - pos1.longitude) / delta;
+    /**
+     * Signed shortest arc from one longitude to another
+     * @param {number} to - Target longitude in degrees
+     * @param {number} from - Starting longitude in degrees
+     * @returns {number} Difference in degrees (-180 to 180)
+     */
+    signedDifference(to, from) {
+        return normalizeAngle(to - from + 180) - 180;
     }
 
     /**
@@ -195,5 +247,6 @@ class ReturnTimeCalculator {
 }
 
 module.exports = {
-    ReturnTimeCalculator
+    ReturnTimeCalculator,
+    readEphemerisPosition
 };
\ No newline at end of file
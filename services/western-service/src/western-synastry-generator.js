@@ -9,9 +9,9 @@
  * @license MIT
  */
 
-const { calculateAspect } = require('./compatibility-utils');
+const { calculateAspect } = require('./western-compatibility-utils');
 const { RELATIONSHIP_CHART_CONSTANTS } = require('./western-relationship-constants');
-const { ValidationError, CalculationError } = require('./errors');
+const { ValidationError, CalculationError } = require('./western-astro-constants');
 
 /**
  * Synastry Chart Generator Class
@@ -253,35 +253,32 @@ class WesternSynastryGenerator {
     }
 
     /**
-     * Calculate lunar node connections
+     * Calculate lunar node connections. The true node is preferred, then the
+     * mean node, then the Vedic RAHU/KETU keys; both charts must carry the
+     * same kind of node.
      * @returns {Array} Array of lunar node connections
      */
     calculateLunarNodeConnections() {
         const connections = [];
-
-        // North Node connections
-        if (this.chart1.planets.RAHU && this.chart2.planets.RAHU) {
-            const aspect = this.findAspect(
-                this.chart1.planets.RAHU.longitude,
-                this.chart2.planets.RAHU.longitude
-            );
-            if (aspect) {
-                connections.push({
-                    type: 'north-node',
-                    aspect: aspect
-                });
+        const nodes = [
+            { type: 'north-node', keys: ['TRUE_NODE', 'MEAN_NODE', 'RAHU'] },
+            { type: 'south-node', keys: ['TRUE_SOUTH_NODE', 'MEAN_SOUTH_NODE', 'KETU'] }
+        ];
+
+        for (const { type, keys } of nodes) {
+            const key = keys.find(node => this.chart1.planets[node] && this.chart2.planets[node]);
+            if (!key) {
+                continue;
             }
-        }
 
-        // South Node connections
-        if (this.chart1.planets.KETU && this.chart2.planets.KETU) {
             const aspect = this.findAspect(
-                this.chart1.planets.KETU.longitude,
-                this.chart2.planets.KETU.longitude
+                this.chart1.planets[key].longitude,
+                this.chart2.planets[key].longitude
             );
             if (aspect) {
                 connections.push({
-                    type: 'south-node',
+                    type,
+                    node: key,
                     aspect: aspect
                 });
             }
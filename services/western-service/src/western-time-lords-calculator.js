@@ -0,0 +1,437 @@
+/**
+ * ZodiaCore - Western Time-Lords Calculator
+ *
+ * Hellenistic time-lord techniques: annual and monthly profections with the
+ * lord of the year, firdaria in the diurnal and nocturnal sequences, and
+ * zodiacal releasing from the Lots of Spirit and Fortune with peak periods
+ * and loosing of the bond. Results also come as timing windows and peak
+ * periods, the timeline format the predictive interpreter reads.
+ *
+ * @version 1.0.0
+ * @author ZodiaCore Development Team
+ * @license MIT
+ */
+
+const { ZODIAC_SIGNS, ValidationError } = require('./western-astro-constants');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Traditional (pre-modern) sign rulers
+const SIGN_RULERS = [
+    'MARS', 'VENUS', 'MERCURY', 'MOON', 'SUN', 'MERCURY',
+    'VENUS', 'MARS', 'JUPITER', 'SATURN', 'SATURN', 'JUPITER'
+];
+
+// Firdaria in years; the nocturnal order follows Abu Ma'shar
+const FIRDARIA_SEQUENCES = {
+    diurnal: [
+        ['SUN', 10], ['VENUS', 8], ['MERCURY', 13], ['MOON', 9], ['SATURN', 11],
+        ['JUPITER', 12], ['MARS', 7], ['NORTH_NODE', 3], ['SOUTH_NODE', 2]
+    ],
+    nocturnal: [
+        ['MOON', 9], ['SATURN', 11], ['JUPITER', 12], ['MARS', 7], ['NORTH_NODE', 3],
+        ['SOUTH_NODE', 2], ['SUN', 10], ['VENUS', 8], ['MERCURY', 13]
+    ]
+};
+const FIRDARIA_CYCLE_YEARS = 75;
+
+// Sub-periods of a planetary firdar follow the Chaldean order from its lord
+const CHALDEAN_ORDER = ['SATURN', 'JUPITER', 'MARS', 'SUN', 'VENUS', 'MERCURY', 'MOON'];
+
+// Zodiacal releasing: minor years of each sign's ruler (Capricorn 27 per Valens)
+const MINOR_YEARS = [15, 8, 20, 25, 19, 20, 8, 15, 12, 27, 30, 12];
+
+// Days per unit of a sign's years at each releasing level, on 360-day years
+const RELEASING_LEVEL_DAYS = { 1: 360, 2: 30, 3: 2.5, 4: 5 / 24 };
+
+// Peak strength by house counted from the Lot of Fortune
+const FORTUNE_ANGLE_STRENGTH = { 10: 0.9, 1: 0.8, 7: 0.8, 4: 0.6 };
+
+/**
+ * Longitude wrapped to 0-360
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Angle 0-360
+ */
+function normalizeAngle(angle) {
+    return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Same date and time a whole number of calendar years or months later (UTC)
+ * @param {Date} date - Start date
+ * @param {number} years - Years to add
+ * @param {number} months - Months to add
+ * @returns {Date} Shifted date
+ */
+function addCalendarTime(date, years, months = 0) {
+    return new Date(Date.UTC(
+        date.getUTCFullYear() + years, date.getUTCMonth() + months, date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+    ));
+}
+
+/**
+ * Western time-lords calculator
+ */
+class WesternTimeLordsCalculator {
+    /**
+     * Validate a birth chart and its birth date
+     * @param {Object} birthChart - Chart with birthDate, ascendant and planets
+     * @param {Date} targetDate - Date being examined
+     * @returns {Date} Birth date
+     * @throws {ValidationError} If positions or dates are missing or out of order
+     */
+    validate(birthChart, targetDate) {
+        if (!birthChart || !birthChart.planets || !Number.isFinite(this.getAscendant(birthChart))) {
+            throw new ValidationError('Time lords require a birth chart with the ascendant longitude');
+        }
+        for (const planet of ['SUN', 'MOON']) {
+            if (!Number.isFinite(birthChart.planets[planet]?.longitude)) {
+                throw new ValidationError(`Time lords require the longitude of ${planet}`);
+            }
+        }
+
+        const birthDate = new Date(birthChart.birthDate);
+        if (!birthChart.birthDate || isNaN(birthDate.getTime())) {
+            throw new ValidationError('Time lords require the birth date');
+        }
+        if (!(targetDate instanceof Date) || isNaN(targetDate.getTime())) {
+            throw new ValidationError('Target date must be a valid Date');
+        }
+        if (targetDate < birthDate) {
+            throw new ValidationError('Target date must not be before birth');
+        }
+        return birthDate;
+    }
+
+    /**
+     * Ascendant longitude, given either as a number or as { longitude }
+     * @param {Object} birthChart - Birth chart
+     * @returns {number|undefined} Longitude in degrees
+     */
+    getAscendant(birthChart) {
+        const ascendant = birthChart?.ascendant;
+        return typeof ascendant === 'number' ? ascendant : ascendant?.longitude;
+    }
+
+    getSign(longitude) {
+        return Math.floor(normalizeAngle(longitude) / 30);
+    }
+
+    /**
+     * Whether the chart is diurnal: the Sun above the horizon, in houses 7-12
+     * @param {Object} birthChart - Birth chart
+     * @returns {boolean} True for a day chart
+     */
+    isDayChart(birthChart) {
+        return normalizeAngle(birthChart.planets.SUN.longitude - this.getAscendant(birthChart)) >= 180;
+    }
+
+    /**
+     * Lots of Fortune and Spirit, reversed for night charts
+     * @param {Object} birthChart - Birth chart
+     * @returns {Object} { fortune, spirit } longitudes
+     */
+    calculateLots(birthChart) {
+        const ascendant = this.getAscendant(birthChart);
+        const sun = birthChart.planets.SUN.longitude;
+        const moon = birthChart.planets.MOON.longitude;
+        const day = this.isDayChart(birthChart);
+
+        return {
+            fortune: normalizeAngle(day ? ascendant + moon - sun : ascendant + sun - moon),
+            spirit: normalizeAngle(day ? ascendant + sun - moon : ascendant + moon - sun)
+        };
+    }
+
+    /**
+     * Annual and monthly profections. The ascendant moves one sign per year of
+     * life, and within the year one sign per month from the birthday.
+     * @param {Object} birthChart - Birth chart
+     * @param {Date} targetDate - Date being examined
+     * @returns {Object} { annual, monthly } profections with their lords
+     */
+    calculateProfections(birthChart, targetDate) {
+        const birthDate = this.validate(birthChart, targetDate);
+        const ascendantSign = this.getSign(this.getAscendant(birthChart));
+
+        let age = targetDate.getUTCFullYear() - birthDate.getUTCFullYear();
+        if (addCalendarTime(birthDate, age) > targetDate) age--;
+        let month = 0;
+        while (month < 11 && addCalendarTime(birthDate, age, month + 1) <= targetDate) month++;
+
+        const describe = (house, startDate, endDate) => {
+            const sign = (ascendantSign + house - 1) % 12;
+            return {
+                house,
+                sign,
+                signName: ZODIAC_SIGNS[sign],
+                lord: SIGN_RULERS[sign],
+                startDate,
+                endDate
+            };
+        };
+
+        const annual = describe((age % 12) + 1, addCalendarTime(birthDate, age), addCalendarTime(birthDate, age + 1));
+        const monthly = describe(((age + month) % 12) + 1, addCalendarTime(birthDate, age, month), addCalendarTime(birthDate, age, month + 1));
+
+        return {
+            annual: { age, ...annual },
+            monthly: { month: month + 1, ...monthly }
+        };
+    }
+
+    /**
+     * Firdaria periods from birth, with the one running at the target date.
+     * Planetary firdars split into seven equal sub-periods; the nodes have none.
+     * @param {Object} birthChart - Birth chart
+     * @param {Date} targetDate - Date being examined
+     * @returns {Object} Sect, the periods of the current 75-year cycle and the current period
+     */
+    calculateFirdaria(birthChart, targetDate) {
+        const birthDate = this.validate(birthChart, targetDate);
+        const sect = this.isDayChart(birthChart) ? 'diurnal' : 'nocturnal';
+
+        let cycleStart = 0;
+        while (addCalendarTime(birthDate, cycleStart + FIRDARIA_CYCLE_YEARS) <= targetDate) {
+            cycleStart += FIRDARIA_CYCLE_YEARS;
+        }
+        let startYears = cycleStart;
+
+        const periods = FIRDARIA_SEQUENCES[sect].map(([lord, years]) => {
+            const startDate = addCalendarTime(birthDate, startYears);
+            const endDate = addCalendarTime(birthDate, startYears + years);
+            startYears += years;
+
+            const isNode = lord.endsWith('_NODE');
+            const subLength = (endDate - startDate) / 7;
+            const first = CHALDEAN_ORDER.indexOf(lord);
+            const subPeriods = isNode ? [] : CHALDEAN_ORDER.map((_, index) => ({
+                lord: CHALDEAN_ORDER[(first + index) % 7],
+                startDate: new Date(startDate.getTime() + index * subLength),
+                endDate: new Date(startDate.getTime() + (index + 1) * subLength)
+            }));
+
+            return { lord, years, startDate, endDate, subPeriods };
+        });
+
+        const current = periods.find(period => targetDate >= period.startDate && targetDate < period.endDate);
+        const currentSub = current.subPeriods.find(sub => targetDate >= sub.startDate && targetDate < sub.endDate) || null;
+
+        return {
+            sect,
+            periods,
+            current: {
+                lord: current.lord,
+                subLord: currentSub ? currentSub.lord : null,
+                startDate: current.startDate,
+                endDate: current.endDate,
+                subPeriod: currentSub
+            }
+        };
+    }
+
+    /**
+     * Release one level of periods from a sign. Below the first level a run
+     * through all twelve signs is followed by a jump to the sign opposite the
+     * start (loosing of the bond).
+     * @param {number} startSign - First sign
+     * @param {Date} startDate - Start of the first period
+     * @param {Date} endDate - End of the enclosing period
+     * @param {number} level - Releasing level 1-4
+     * @param {number} fortuneSign - Sign of the Lot of Fortune, for peaks
+     * @returns {Array<Object>} Periods in order, the last cut at endDate
+     */
+    releaseLevel(startSign, startDate, endDate, level, fortuneSign) {
+        const periods = [];
+        let sign = startSign;
+        let runStart = startSign;
+        let count = 0;
+        let time = startDate.getTime();
+        let loosing = false;
+
+        while (time < endDate.getTime()) {
+            const length = MINOR_YEARS[sign] * RELEASING_LEVEL_DAYS[level] * MS_PER_DAY;
+            const houseFromFortune = ((sign - fortuneSign + 12) % 12) + 1;
+            periods.push({
+                level,
+                sign,
+                signName: ZODIAC_SIGNS[sign],
+                lord: SIGN_RULERS[sign],
+                years: MINOR_YEARS[sign],
+                startDate: new Date(time),
+                endDate: new Date(Math.min(time + length, endDate.getTime())),
+                houseFromFortune,
+                peak: houseFromFortune in FORTUNE_ANGLE_STRENGTH,
+                loosingOfBond: loosing
+            });
+            time += length;
+            count++;
+            loosing = false;
+
+            if (level > 1 && count === 12) {
+                // Jump across to the sign opposite the one the run started from
+                sign = (runStart + 6) % 12;
+                runStart = sign;
+                count = 0;
+                loosing = true;
+            } else {
+                sign = (sign + 1) % 12;
+            }
+        }
+
+        return periods;
+    }
+
+    /**
+     * Zodiacal releasing from a lot: first-level periods from birth and the
+     * sub-periods running at the target date down to the requested level
+     * @param {Object} birthChart - Birth chart
+     * @param {Date} targetDate - Date being examined
+     * @param {Object} options - Options
+     * @param {string} options.lot - 'spirit' (default) or 'fortune'
+     * @param {number} options.levels - Levels to release, 1-4 (default 2)
+     * @returns {Object} Lot, periods by level and the current period at each level
+     */
+    calculateZodiacalReleasing(birthChart, targetDate, options = {}) {
+        const birthDate = this.validate(birthChart, targetDate);
+        const lot = options.lot || 'spirit';
+        const levels = options.levels ?? 2;
+        if (!['spirit', 'fortune'].includes(lot)) {
+            throw new ValidationError(`Unsupported lot for zodiacal releasing: ${lot}`);
+        }
+        if (!Number.isInteger(levels) || levels < 1 || levels > 4) {
+            throw new ValidationError('Zodiacal releasing levels must be an integer from 1 to 4');
+        }
+
+        const lots = this.calculateLots(birthChart);
+        const lotSign = this.getSign(lots[lot]);
+        const fortuneSign = this.getSign(lots.fortune);
+
+        // First-level periods run until the one containing the target date ends
+        const horizon = new Date(targetDate.getTime() + 360 * 30 * MS_PER_DAY);
+        const firstLevel = this.releaseLevel(lotSign, birthDate, horizon, 1, fortuneSign)
+            .filter(period => period.startDate <= targetDate);
+
+        const periods = { 1: firstLevel };
+        const current = [firstLevel[firstLevel.length - 1]];
+        for (let level = 2; level <= levels; level++) {
+            const parent = current[current.length - 1];
+            periods[level] = this.releaseLevel(parent.sign, parent.startDate, parent.endDate, level, fortuneSign);
+            current.push(periods[level].find(period => targetDate >= period.startDate && targetDate < period.endDate));
+        }
+
+        return {
+            lot,
+            longitude: lots[lot],
+            sign: lotSign,
+            signName: ZODIAC_SIGNS[lotSign],
+            fortuneSign,
+            periods,
+            current
+        };
+    }
+
+    /**
+     * All time-lord techniques as timing windows and peak periods
+     * @param {Object} birthChart - Birth chart
+     * @param {Date} targetDate - Date being examined
+     * @param {Object} options - Options
+     * @param {number} options.levels - Zodiacal releasing levels (default 2)
+     * @returns {Object} Technique results with windows and peakPeriods
+     */
+    generateTimeline(birthChart, targetDate, options = {}) {
+        const profections = this.calculateProfections(birthChart, targetDate);
+        const firdaria = this.calculateFirdaria(birthChart, targetDate);
+        const zodiacalReleasing = {
+            spirit: this.calculateZodiacalReleasing(birthChart, targetDate, { lot: 'spirit', levels: options.levels }),
+            fortune: this.calculateZodiacalReleasing(birthChart, targetDate, { lot: 'fortune', levels: options.levels })
+        };
+
+        const { annual, monthly } = profections;
+        const windows = [
+            {
+                type: 'profection',
+                date: targetDate,
+                startDate: annual.startDate,
+                endDate: annual.endDate,
+                lord: annual.lord,
+                strength: 0.7,
+                indicators: 1,
+                significance: `Year of ${annual.lord}: ${annual.signName} profected to the ${annual.house}${this.ordinalSuffix(annual.house)} house`
+            },
+            {
+                type: 'profection_month',
+                date: targetDate,
+                startDate: monthly.startDate,
+                endDate: monthly.endDate,
+                lord: monthly.lord,
+                strength: 0.5,
+                indicators: 1,
+                significance: `Month of ${monthly.lord}: ${monthly.signName} profected to the ${monthly.house}${this.ordinalSuffix(monthly.house)} house`
+            },
+            {
+                type: 'firdaria',
+                date: targetDate,
+                startDate: firdaria.current.startDate,
+                endDate: firdaria.current.endDate,
+                lord: firdaria.current.lord,
+                strength: 0.7,
+                indicators: 1,
+                significance: `${firdaria.current.lord} firdar` +
+                    (firdaria.current.subLord ? `, ${firdaria.current.subLord} sub-period` : '')
+            }
+        ];
+
+        const peakPeriods = [];
+        for (const releasing of Object.values(zodiacalReleasing)) {
+            for (const period of releasing.current.slice(0, 2)) {
+                windows.push({
+                    type: 'zodiacal_releasing',
+                    date: targetDate,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                    lord: period.lord,
+                    sign: period.sign,
+                    strength: FORTUNE_ANGLE_STRENGTH[period.houseFromFortune] || 0.5,
+                    indicators: 1,
+                    significance: `Level ${period.level} ${period.signName} period from the Lot of ${this.capitalize(releasing.lot)}` +
+                        (period.loosingOfBond ? ' (loosing of the bond)' : '')
+                });
+            }
+
+            // Upcoming second-level peaks of the current first-level period
+            for (const period of releasing.periods[2] || []) {
+                if (period.peak && period.endDate > targetDate) {
+                    peakPeriods.push({
+                        date: period.startDate.toISOString(),
+                        type: 'zodiacal_releasing_peak',
+                        strength: FORTUNE_ANGLE_STRENGTH[period.houseFromFortune],
+                        significance: `${period.signName} peak from the Lot of ${this.capitalize(releasing.lot)}, ` +
+                            `${period.houseFromFortune}${this.ordinalSuffix(period.houseFromFortune)} from Fortune`,
+                        duration: `${period.years} months`
+                    });
+                }
+            }
+        }
+        peakPeriods.sort((a, b) => a.date.localeCompare(b.date));
+
+        return { profections, firdaria, zodiacalReleasing, windows, peakPeriods };
+    }
+
+    ordinalSuffix(n) {
+        if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+        return ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+    }
+
+    capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+}
+
+module.exports = {
+    WesternTimeLordsCalculator,
+    SIGN_RULERS,
+    FIRDARIA_SEQUENCES,
+    MINOR_YEARS
+};
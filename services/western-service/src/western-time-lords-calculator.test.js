@@ -0,0 +1,134 @@
+/**
+ * Western Time-Lords Calculator Tests
+ */
+
+const { WesternTimeLordsCalculator } = require('./western-time-lords-calculator');
+const { ValidationError } = require('./western-astro-constants');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cancer rising with the Sun in the 11th: a day chart
+const chart = {
+    birthDate: new Date(Date.UTC(1990, 4, 15, 12)),
+    ascendant: { longitude: 100 },
+    planets: {
+        SUN: { longitude: 54.5 },
+        MOON: { longitude: 174.2 }
+    }
+};
+const nightChart = { ...chart, planets: { ...chart.planets, SUN: { longitude: 200 } } };
+const targetDate = new Date(Date.UTC(2026, 9, 19));
+
+describe('WesternTimeLordsCalculator', () => {
+    const calculator = new WesternTimeLordsCalculator();
+
+    test('finds the sect and the lots', () => {
+        expect(calculator.isDayChart(chart)).toBe(true);
+        expect(calculator.isDayChart(nightChart)).toBe(false);
+        expect(calculator.isDayChart({ ...chart, ascendant: 100 })).toBe(true);
+
+        const lots = calculator.calculateLots(chart);
+        expect(lots.fortune).toBeCloseTo(219.7, 9);  // Scorpio
+        expect(lots.spirit).toBeCloseTo(340.3, 9);   // Pisces
+    });
+
+    test('profects the ascendant by year and month', () => {
+        const { annual, monthly } = calculator.calculateProfections(chart, targetDate);
+
+        // Age 36 returns to the 1st house, Cancer, ruled by the Moon
+        expect(annual).toMatchObject({ age: 36, house: 1, signName: 'Cancer', lord: 'MOON' });
+        expect(annual.startDate).toEqual(new Date(Date.UTC(2026, 4, 15, 12)));
+        // Sixth month of the year: the 6th house, Sagittarius
+        expect(monthly).toMatchObject({ month: 6, house: 6, signName: 'Sagittarius', lord: 'JUPITER' });
+        expect(monthly.endDate).toEqual(new Date(Date.UTC(2026, 10, 15, 12)));
+        // The day before the birthday still belongs to the previous year
+        expect(calculator.calculateProfections(chart, new Date(Date.UTC(2026, 4, 15))).annual)
+            .toMatchObject({ age: 35, house: 12, lord: 'MERCURY' });
+    });
+
+    test('runs firdaria in the order of the chart\'s sect', () => {
+        const day = calculator.calculateFirdaria(chart, targetDate);
+
+        expect(day.sect).toBe('diurnal');
+        expect(day.periods.map(period => period.lord).slice(0, 4)).toEqual(['SUN', 'VENUS', 'MERCURY', 'MOON']);
+        // Moon firdar from age 31 to 40, fifth sub-period ruled by the Sun
+        expect(day.current).toMatchObject({ lord: 'MOON', subLord: 'SUN' });
+        expect(day.current.startDate).toEqual(new Date(Date.UTC(2021, 4, 15, 12)));
+        expect(day.periods[0].subPeriods.map(sub => sub.lord))
+            .toEqual(['SUN', 'VENUS', 'MERCURY', 'MOON', 'SATURN', 'JUPITER', 'MARS']);
+        expect(day.periods[7]).toMatchObject({ lord: 'NORTH_NODE', subPeriods: [] });
+
+        const night = calculator.calculateFirdaria(nightChart, targetDate);
+        expect(night.sect).toBe('nocturnal');
+        expect(night.current.lord).toBe('MARS');
+    });
+
+    test('restarts firdaria every 75 years', () => {
+        const firdaria = calculator.calculateFirdaria(chart, new Date(Date.UTC(2066, 0, 1)));
+
+        expect(firdaria.current).toMatchObject({ lord: 'SUN', subLord: 'SUN' });
+        expect(firdaria.periods[0].startDate).toEqual(new Date(Date.UTC(2065, 4, 15, 12)));
+    });
+
+    test('releases from the Lot of Spirit with 360-day years', () => {
+        const releasing = calculator.calculateZodiacalReleasing(chart, targetDate, { levels: 3 });
+        const firstLevel = releasing.periods[1];
+
+        expect(releasing.signName).toBe('Pisces');
+        expect(firstLevel.map(period => period.signName)).toEqual(['Pisces', 'Aries', 'Taurus', 'Gemini']);
+        expect(firstLevel[1].startDate.getTime() - chart.birthDate.getTime()).toBe(12 * 360 * MS_PER_DAY);
+        expect(releasing.current.map(period => period.signName)).toEqual(['Gemini', 'Cancer', releasing.current[2].signName]);
+        expect(releasing.current[2].level).toBe(3);
+        expect(releasing.periods[3][0].signName).toBe('Cancer');
+    });
+
+    test('marks peaks angular to Fortune', () => {
+        const releasing = calculator.calculateZodiacalReleasing(chart, targetDate);
+        const leo = releasing.periods[2].find(period => period.signName === 'Leo');
+
+        // Fortune in Scorpio: Leo is its 10th
+        expect(leo).toMatchObject({ houseFromFortune: 10, peak: true });
+        expect(releasing.current[1]).toMatchObject({ houseFromFortune: 9, peak: false });
+    });
+
+    test('looses the bond after twelve sub-periods', () => {
+        const start = new Date(Date.UTC(2000, 0, 1));
+        const end = new Date(start.getTime() + 27 * 360 * MS_PER_DAY);
+        const periods = calculator.releaseLevel(9, start, end, 2, 7);
+
+        expect(periods[11]).toMatchObject({ signName: 'Sagittarius', loosingOfBond: false });
+        expect(periods[12]).toMatchObject({ signName: 'Cancer', loosingOfBond: true });
+        expect(periods[13].signName).toBe('Leo');
+        expect(periods[periods.length - 1].endDate).toEqual(end);
+    });
+
+    test('reports the timeline as timing windows and peak periods', () => {
+        const timeline = calculator.generateTimeline(chart, targetDate);
+
+        expect(timeline.windows.map(window => window.type)).toEqual([
+            'profection', 'profection_month', 'firdaria',
+            'zodiacal_releasing', 'zodiacal_releasing', 'zodiacal_releasing', 'zodiacal_releasing'
+        ]);
+        expect(timeline.windows[0].significance).toBe('Year of MOON: Cancer profected to the 1st house');
+        expect(timeline.windows[2].significance).toBe('MOON firdar, SUN sub-period');
+        expect(timeline.peakPeriods[0]).toMatchObject({ strength: 0.9, significance: 'Leo peak from the Lot of Fortune, 10th from Fortune' });
+        for (const peak of timeline.peakPeriods) {
+            expect(peak).toEqual({
+                date: expect.any(String),
+                type: 'zodiacal_releasing_peak',
+                strength: expect.any(Number),
+                significance: expect.stringMatching(/from Fortune$/),
+                duration: expect.stringMatching(/months$/)
+            });
+        }
+        expect(timeline.peakPeriods.map(peak => peak.date)).toEqual([...timeline.peakPeriods.map(peak => peak.date)].sort());
+    });
+
+    test('rejects incomplete charts and dates before birth', () => {
+        expect(() => calculator.calculateProfections({ ...chart, birthDate: undefined }, targetDate)).toThrow(ValidationError);
+        expect(() => calculator.calculateFirdaria({ ...chart, ascendant: {} }, targetDate)).toThrow(/ascendant/);
+        expect(() => calculator.calculateZodiacalReleasing(chart, new Date(Date.UTC(1980, 0, 1)))).toThrow(/before birth/);
+        expect(() => calculator.calculateZodiacalReleasing(chart, targetDate, { lot: 'eros' })).toThrow(/eros/);
+        expect(() => calculator.calculateZodiacalReleasing(chart, targetDate, { levels: 5 })).toThrow(ValidationError);
+    });
+});
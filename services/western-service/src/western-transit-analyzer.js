@@ -11,7 +11,7 @@
 const VSOP87Calculator = require('./western-vsop87-calculator');
 const TransitCalculator = require('./western-transit-calculator');
 const TransitInterpreter = require('./western-transit-interpreter');
-const { WESTERN_ASTRO_CONSTANTS, TRANSIT_CONSTANTS, PLANETARY_DATA, ValidationError, CalculationError } = require('./western-astro-constants');
+const { WESTERN_ASTRO_CONSTANTS, TRANSIT_CONSTANTS, PLANETARY_DATA, MINOR_BODY_DATA, ValidationError, CalculationError } = require('./western-astro-constants');
 const { gregorianToJulianDay } = require('./western-math-utils');
 
 /**
@@ -35,9 +35,12 @@ class TransitCalculationError extends Error {
  * Complete Western Astrology Transit Analysis System
  */
 class WesternTransitAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - { minorBodies: MINOR_BODY_DATA keys to transit alongside the planets }
+     */
+    constructor(options = {}) {
         this.calculator = new VSOP87Calculator();
-        this.transitCalculator = new TransitCalculator();
+        this.transitCalculator = new TransitCalculator({ minorBodies: options.minorBodies });
         this.interpreter = new TransitInterpreter();
     }
 
@@ -61,8 +64,8 @@ class WesternTransitAnalyzer {
                 ...options
             };
 
-            // Calculate current date
-            const currentJulianDay = this._calculateCurrentJulianDay();
+            // Calculate analysis date (defaults to now)
+            const currentJulianDay = this._calculateCurrentJulianDay(analysisOptions.date);
 
             // Get active transits
             const activeTransits = this.transitCalculator.calculateActiveTransits(
@@ -96,7 +99,10 @@ class WesternTransitAnalyzer {
             return report;
 
         } catch (error) {
-            throw new Error(`Transit analysis failed: ${error.message}`);
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new CalculationError(`Transit analysis failed: ${error.message}`);
         }
     }
 
@@ -114,11 +120,15 @@ class WesternTransitAnalyzer {
             throw new ValidationError('Invalid birth chart: missing or invalid planetary positions');
         }
 
-        const requiredPlanets = Object.keys(PLANETARY_DATA);
-        for (const planet of requiredPlanets) {
-            const position = birthChart.planets[planet];
-            if (typeof position !== 'number' || isNaN(position) || position < 0 || position >= 360) {
-                throw new ValidationError(`Invalid position for planet ${planet}: must be a number between 0 and 360`);
+        // Any subset of natal points can be transited, but not none
+        const positions = Object.values(birthChart.planets);
+        if (positions.length === 0) {
+            throw new ValidationError('Invalid birth chart: no planetary positions');
+        }
+        for (const position of positions) {
+            if (typeof position !== 'number' || !Number.isFinite(position) || position < 0 || position >= 360) {
+                // Neither the point nor the value is echoed back into the message
+                throw new ValidationError('Invalid birth chart: positions must be numbers between 0 and 360');
             }
         }
 
@@ -139,17 +149,17 @@ class WesternTransitAnalyzer {
 
     /**
      * Private method: Calculate current Julian Day
-     * @returns {number} Current Julian Day
+     * @param {Date} [date] - Moment to analyze (defaults to now)
+     * @returns {number} Julian Day (UT)
      */
-    _calculateCurrentJulianDay() {
-        const now = new Date();
+    _calculateCurrentJulianDay(date = new Date()) {
         return gregorianToJulianDay(
-            now.getFullYear(),
-            now.getMonth() + 1,
-            now.getDate(),
-            now.getHours(),
-            now.getMinutes(),
-            now.getSeconds()
+            date.getUTCFullYear(),
+            date.getUTCMonth() + 1,
+            date.getUTCDate(),
+            date.getUTCHours(),
+            date.getUTCMinutes(),
+            date.getUTCSeconds()
         );
     }
 
@@ -234,10 +244,10 @@ class WesternTransitAnalyzer {
      */
     analyzePlanetPair(natalPlanet, transitingPlanet, birthChart) {
         // Input validation
-        if (!natalPlanet || !PLANETARY_DATA[natalPlanet]) {
+        if (!natalPlanet || !(PLANETARY_DATA[natalPlanet] || MINOR_BODY_DATA[natalPlanet])) {
             throw new ValidationError(`Invalid natal planet: ${natalPlanet}`);
         }
-        if (!transitingPlanet || !PLANETARY_DATA[transitingPlanet]) {
+        if (!transitingPlanet || !(PLANETARY_DATA[transitingPlanet] || MINOR_BODY_DATA[transitingPlanet])) {
             throw new ValidationError(`Invalid transiting planet: ${transitingPlanet}`);
         }
 
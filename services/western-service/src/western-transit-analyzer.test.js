@@ -438,7 +438,7 @@ describe('WesternTransitAnalyzer', () => {
         test('wraps errors in TransitCalculationError', async () => {
             // Mock the transit calculator to throw an error
             const originalMethod = analyzer.transitCalculator.calculateActiveTransits;
-            analyzer.transitCalculator.calculateActiveTransits = jest.fn().mockImplementation(() => {
+            analyzer.transitCalculator.calculateActiveTransits = vi.fn().mockImplementation(() => {
                 throw new Error('Calculation failed');
             });
 
@@ -15,6 +15,242 @@ const {
     calculateAspectStrength,
     isApplying
 } = require('./western-horoscope-utils');
+const VSOP87Calculator = require('./western-vsop87-calculator');
+const { WESTERN_ASTRO_CONSTANTS, PLANETARY_DATA, MINOR_BODY_DATA, ASPECTS } = require('./western-astro-constants');
+
+const MINOR_ASPECTS = ['SEMI_SEXTILE', 'SEMI_SQUARE', 'QUINTILE', 'SESQUIQUADRATE', 'BIQUINTILE'];
+
+/**
+ * Normalize an aspect name ('Semi-sextile', 'SEMI_SEXTILE') to its ASPECTS key
+ * @param {string} aspect - Aspect name or key
+ * @returns {string} ASPECTS key
+ */
+function toAspectKey(aspect) {
+    return String(aspect).toUpperCase().replace(/[-\s]/g, '_');
+}
+
+/**
+ * Look up the name, symbol and mean motion of a planet or minor body
+ * @param {string} body - PLANETARY_DATA or MINOR_BODY_DATA key
+ * @returns {Object|undefined} Body data
+ */
+function getBodyData(body) {
+    return PLANETARY_DATA[body] || MINOR_BODY_DATA[body];
+}
+
+/**
+ * Transit Calculator (ZC3.2)
+ * Detects aspects between transiting and natal planets and predicts
+ * upcoming transit events using VSOP87 positions.
+ */
+class TransitCalculator {
+    /**
+     * @param {Object} options - { minorBodies: MINOR_BODY_DATA keys to transit alongside the planets }
+     */
+    constructor(options = {}) {
+        this.vsopCalculator = new VSOP87Calculator();
+        this.bodies = [...Object.keys(PLANETARY_DATA), ...(options.minorBodies || [])];
+    }
+
+    /**
+     * Calculate all active transits for a natal chart
+     * @param {Object} natalPositions - Natal longitudes keyed by planet
+     * @param {number} currentJulianDay - Julian Day of the transit moment
+     * @returns {Array} Active transit aspects
+     */
+    calculateActiveTransits(natalPositions, currentJulianDay) {
+        const transitingPositions = this.vsopCalculator.calculateAllPositions(currentJulianDay, this.bodies);
+        const transits = [];
+
+        for (const [natalPlanet, natalLongitude] of Object.entries(natalPositions)) {
+            for (const [transitingPlanet, transitLongitude] of Object.entries(transitingPositions)) {
+                const aspect = this.findTransitAspect(natalLongitude, transitLongitude);
+                if (aspect) {
+                    transits.push({
+                        natalPlanet,
+                        transitingPlanet,
+                        aspect: aspect.name,
+                        exactAngle: aspect.exactAngle,
+                        orb: aspect.orb,
+                        intensity: aspect.intensity,
+                        isExact: aspect.isExact,
+                        julianDay: currentJulianDay
+                    });
+                }
+            }
+        }
+
+        return transits;
+    }
+
+    /**
+     * Find the closest aspect between natal and transiting positions
+     * @param {number} natalLongitude - Natal longitude in degrees
+     * @param {number} transitLongitude - Transiting longitude in degrees
+     * @returns {Object|null} Aspect details or null if none is within orb
+     */
+    findTransitAspect(natalLongitude, transitLongitude) {
+        const separation = angularSeparation(natalLongitude, transitLongitude);
+        let closest = null;
+
+        for (const aspect of Object.values(ASPECTS)) {
+            const orb = Math.abs(separation - aspect.angle);
+            if (orb <= aspect.orb && (!closest || orb < closest.orb)) {
+                closest = {
+                    name: aspect.name,
+                    exactAngle: separation,
+                    orb,
+                    intensity: aspect.intensity,
+                    isExact: orb < 0.01
+                };
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Predict transit events within a date range. Each aspect is reported
+     * once, on the day it comes into orb.
+     * @param {Object} natalPositions - Natal longitudes keyed by planet
+     * @param {number} startJulianDay - Start of the range
+     * @param {number} endJulianDay - End of the range
+     * @returns {Array} Predicted transit events in date order
+     */
+    predictTransits(natalPositions, startJulianDay, endJulianDay) {
+        const predictions = [];
+        const days = Math.ceil(endJulianDay - startJulianDay);
+        let previous = new Set();
+
+        for (let day = 0; day <= days; day++) {
+            const julianDay = startJulianDay + day;
+            const current = new Set();
+
+            for (const transit of this.calculateActiveTransits(natalPositions, julianDay)) {
+                const key = `${transit.transitingPlanet}:${transit.aspect}:${transit.natalPlanet}`;
+                current.add(key);
+                if (!previous.has(key)) {
+                    predictions.push(transit);
+                }
+            }
+
+            previous = current;
+        }
+
+        return predictions;
+    }
+
+    /**
+     * Estimate when a transiting planet next perfects an aspect to a natal point
+     * @param {number} natalLongitude - Natal longitude in degrees
+     * @param {string} transitingPlanet - Transiting planet key (e.g. 'SATURN')
+     * @param {string} aspectType - Aspect key (e.g. 'CONJUNCTION')
+     * @param {number} startJulianDay - Search start
+     * @returns {Object} Exact transit timing
+     * @throws {Error} If the aspect type is unknown
+     */
+    calculateExactTransit(natalLongitude, transitingPlanet, aspectType, startJulianDay) {
+        const aspect = ASPECTS[toAspectKey(aspectType)];
+        if (!aspect) {
+            throw new Error(`Invalid aspect type: ${aspectType}`);
+        }
+
+        const targetLongitude = normalizeAngle(natalLongitude + aspect.angle);
+        const currentPosition = this.vsopCalculator.getPlanetPosition(transitingPlanet, startJulianDay);
+
+        // Mean motion gives an estimate good to about a day for the faster planets;
+        // the nodes move backwards through the zodiac
+        const { meanMotion } = getBodyData(transitingPlanet);
+        const arc = meanMotion < 0
+            ? normalizeAngle(currentPosition - targetLongitude)
+            : normalizeAngle(targetLongitude - currentPosition);
+        const daysToTransit = arc / Math.abs(meanMotion);
+        const exactJulianDay = startJulianDay + daysToTransit;
+
+        return {
+            julianDay: exactJulianDay,
+            date: this.julianDayToDate(exactJulianDay),
+            aspect: aspect.name,
+            orb: 0,
+            intensity: aspect.intensity
+        };
+    }
+
+    /**
+     * Estimate how long a transit stays within orb, from mean motion
+     * @param {Object} transit - Transit with transitingPlanet and aspect
+     * @returns {number} Duration in days
+     */
+    calculateTransitDuration(transit) {
+        const aspect = ASPECTS[toAspectKey(transit.aspect)];
+        const planet = getBodyData(transit.transitingPlanet);
+        if (!aspect || !planet) {
+            return 0;
+        }
+
+        return (2 * aspect.orb) / Math.abs(planet.meanMotion);
+    }
+
+    /**
+     * Filter transits by intensity, aspect class, planets and aspect types
+     * @param {Array} transits - Transits to filter
+     * @param {Object} options - { minIntensity, includeMinorAspects, planets, aspects }
+     * @returns {Array} Matching transits
+     */
+    filterTransits(transits, options = {}) {
+        const aspectKeys = options.aspects ? options.aspects.map(toAspectKey) : null;
+
+        return transits.filter(transit => {
+            if (options.minIntensity !== undefined && (transit.intensity || 0) < options.minIntensity) {
+                return false;
+            }
+
+            const key = toAspectKey(transit.aspect);
+            if (!options.includeMinorAspects && MINOR_ASPECTS.includes(key)) {
+                return false;
+            }
+
+            if (options.planets && !options.planets.includes(transit.natalPlanet) &&
+                !options.planets.includes(transit.transitingPlanet)) {
+                return false;
+            }
+
+            if (aspectKeys && !aspectKeys.includes(key)) {
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Convert Julian Day to Gregorian date (Meeus)
+     * @param {number} julianDay - Julian Day
+     * @returns {Object} { year, month, day } with fractional day
+     */
+    julianDayToDate(julianDay) {
+        const jd = julianDay + 0.5;
+        const z = Math.floor(jd);
+        const f = jd - z;
+
+        let a = z;
+        if (z >= WESTERN_ASTRO_CONSTANTS.GREGORIAN_CALENDAR_START) {
+            const alpha = Math.floor((z - 1867216.25) / 36524.25);
+            a = z + 1 + alpha - Math.floor(alpha / 4);
+        }
+
+        const b = a + 1524;
+        const c = Math.floor((b - 122.1) / 365.25);
+        const d = Math.floor(365.25 * c);
+        const e = Math.floor((b - d) / 30.6001);
+
+        const day = b - d - Math.floor(30.6001 * e) + f;
+        const month = e < 14 ? e - 1 : e - 13;
+        const year = month > 2 ? c - 4716 : c - 4715;
+
+        return { year, month, day };
+    }
+}
 
 class WesternTransitCalculator {
     constructor() {
@@ -221,9 +457,7 @@ class SimplifiedPlanetaryCalculator {
     }
 }
 
-module.exports = {
-    WesternTransitCalculator,
-    SimplifiedPlanetaryCalculator
-};</path>
-<line_count>180</line_count>
-</write_to_file>
\ No newline at end of file
+module.exports = TransitCalculator;
+module.exports.TransitCalculator = TransitCalculator;
+module.exports.WesternTransitCalculator = WesternTransitCalculator;
+module.exports.SimplifiedPlanetaryCalculator = SimplifiedPlanetaryCalculator;
@@ -8,7 +8,16 @@
  * @since 2025-10-08
  */
 
-const { PLANETARY_DATA } = require('./western-astro-constants');
+const { PLANETARY_DATA, MINOR_BODY_DATA } = require('./western-astro-constants');
+
+/**
+ * Look up the name and mean motion of a planet or minor body
+ * @param {string} body - PLANETARY_DATA or MINOR_BODY_DATA key
+ * @returns {Object|undefined} Body data
+ */
+function getBodyData(body) {
+    return PLANETARY_DATA[body] || MINOR_BODY_DATA[body];
+}
 
 /**
  * Transit Interpretation Engine
@@ -25,7 +34,18 @@ class TransitInterpreter {
             SATURN: ['responsibility', 'limitations', 'career', 'structure'],
             URANUS: ['innovation', 'freedom', 'technology', 'sudden changes'],
             NEPTUNE: ['spirituality', 'dreams', 'creativity', 'illusion'],
-            PLUTO: ['transformation', 'power', 'death', 'rebirth']
+            PLUTO: ['transformation', 'power', 'death', 'rebirth'],
+            CHIRON: ['healing', 'wounds', 'mentorship', 'acceptance'],
+            CERES: ['nurturing', 'food', 'loss', 'cycles of care'],
+            PALLAS: ['strategy', 'wisdom', 'justice', 'creative intelligence'],
+            JUNO: ['commitment', 'marriage', 'partnership', 'loyalty'],
+            VESTA: ['devotion', 'focus', 'service', 'sacred work'],
+            MEAN_NODE: ['destiny', 'growth', 'purpose', 'connections'],
+            TRUE_NODE: ['destiny', 'growth', 'purpose', 'connections'],
+            MEAN_SOUTH_NODE: ['past patterns', 'release', 'innate talents', 'detachment'],
+            TRUE_SOUTH_NODE: ['past patterns', 'release', 'innate talents', 'detachment'],
+            MEAN_LILITH: ['shadow', 'independence', 'taboo', 'raw instinct'],
+            OSCULATING_LILITH: ['shadow', 'independence', 'taboo', 'raw instinct']
         };
 
         this.aspectEffects = {
@@ -120,9 +140,9 @@ class TransitInterpreter {
     calculateDuration(transit, aspectEffect) {
         const baseDuration = aspectEffect.duration || 7;
 
-        // Adjust for planetary speeds
-        const natalSpeed = PLANETARY_DATA[transit.natalPlanet]?.meanMotion || 1;
-        const transitSpeed = PLANETARY_DATA[transit.transitingPlanet]?.meanMotion || 1;
+        // Adjust for planetary speeds; the nodes move backwards
+        const natalSpeed = Math.abs(getBodyData(transit.natalPlanet)?.meanMotion || 1);
+        const transitSpeed = Math.abs(getBodyData(transit.transitingPlanet)?.meanMotion || 1);
 
         // Slower planets have longer-lasting effects
         const speedFactor = Math.sqrt(natalSpeed / transitSpeed);
@@ -161,8 +181,8 @@ class TransitInterpreter {
      * @returns {string} Description text
      */
     generateDescription(transit, affectedAreas, aspectEffect) {
-        const planet1 = PLANETARY_DATA[transit.natalPlanet]?.name || transit.natalPlanet;
-        const planet2 = PLANETARY_DATA[transit.transitingPlanet]?.name || transit.transitingPlanet;
+        const planet1 = getBodyData(transit.natalPlanet)?.name || transit.natalPlanet;
+        const planet2 = getBodyData(transit.transitingPlanet)?.name || transit.transitingPlanet;
 
         return `${planet2} is transiting in ${transit.aspect} to your natal ${planet1}, ` +
                `affecting ${affectedAreas.slice(0, 2).join(' and ')}. ` +
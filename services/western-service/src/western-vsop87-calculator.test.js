@@ -15,7 +15,7 @@ describe('VSOP87Calculator', () => {
 
     test('calculates Sun position at J2000', () => {
         const position = calculator.calculateLongitude('SUN', 0);
-        expect(position).toBeCloseTo(280.459, 1); // Approximate value
+        expect(position).toBeCloseTo(280.368, 2); // Apparent longitude, equinox of date
     });
 
     test('returns normalized angles', () => {
@@ -64,4 +64,77 @@ describe('VSOP87Calculator', () => {
         // Restore
         calculator.vsopTerms = originalTerms;
     });
-});
\ No newline at end of file
+
+    describe('reference positions', () => {
+        // Tolerance in degrees
+        const ARCSECOND = 1 / 3600;
+
+        // VSOP87 reference check values at J2000.0 (heliocentric, equinox of date)
+        const J2000_CHECK_VALUES = {
+            MERCURY: [4.4293481036, -0.0527573409, 0.4664714751],
+            VENUS: [3.1870221833, 0.0569782849, 0.7202129253],
+            EARTH: [1.7519238681, -0.0000039656, 0.9833276819],
+            MARS: [6.2735389983, -0.0247779824, 1.3912076925],
+            JUPITER: [0.6334614186, -0.0205001039, 4.9653813154],
+            SATURN: [0.7980038761, -0.0401984149, 9.1838483701],
+            URANUS: [5.5225485803, -0.0119527838, 19.9240482891],
+            NEPTUNE: [5.3045629252, 0.0042236789, 30.1205328392]
+        };
+
+        test.each(Object.entries(J2000_CHECK_VALUES))('%s heliocentric position at J2000.0', (body, [L, B, R]) => {
+            const position = calculator.calculateHeliocentricPosition(body, 2451545.0);
+            expect(Math.abs(position.longitude - L * 180 / Math.PI)).toBeLessThan(ARCSECOND);
+            expect(Math.abs(position.latitude - B * 180 / Math.PI)).toBeLessThan(ARCSECOND);
+            expect(Math.abs(position.radius - R) / R).toBeLessThan(2e-4);
+        });
+
+        test('Earth matches Meeus example 25.b', () => {
+            const earth = calculator.calculateHeliocentricPosition('EARTH', 2448908.5);
+            expect(earth.longitude).toBeCloseTo(19.907372, 5);
+            expect(earth.latitude).toBeCloseTo(-0.000179, 5);
+            expect(earth.radius).toBeCloseTo(0.99760775, 7);
+        });
+
+        test('apparent Sun matches Meeus example 25.b', () => {
+            const sun = calculator.calculateApparentPosition('SUN', 2448908.5);
+            expect(Math.abs(sun.longitude - 199.906060)).toBeLessThan(ARCSECOND);
+        });
+
+        test('Venus matches Meeus examples 32.a and 33.a', () => {
+            const heliocentric = calculator.calculateHeliocentricPosition('VENUS', 2448976.5);
+            expect(Math.abs(heliocentric.longitude - 26.11428)).toBeLessThan(ARCSECOND);
+            expect(heliocentric.latitude).toBeCloseTo(-2.62070, 4);
+            expect(heliocentric.radius).toBeCloseTo(0.724603, 6);
+
+            // Ecliptic equivalent of the published apparent RA 21h04m41.454s, Dec -18d53'16.84"
+            const apparent = calculator.calculateApparentPosition('VENUS', 2448976.5);
+            expect(Math.abs(apparent.longitude - 313.08150)).toBeLessThan(2 * ARCSECOND);
+            expect(apparent.distance).toBeCloseTo(0.910947, 5);
+        });
+
+        test('Moon matches Meeus example 47.a', () => {
+            const moon = calculator.calculateMoonPosition(2448724.5);
+            expect(moon.longitude).toBeCloseTo(133.162655, 5);
+            expect(moon.latitude).toBeCloseTo(-3.229126, 5);
+            expect(moon.distance).toBeCloseTo(368409.7, 0);
+
+            const apparent = calculator.calculateApparentPosition('MOON', 2448724.5);
+            expect(Math.abs(apparent.longitude - 133.167265)).toBeLessThan(ARCSECOND);
+        });
+
+        test('Pluto matches Meeus example 37.a', () => {
+            // Published values are referred to J2000.0; at T = 0 no precession applies
+            const T = (2448908.5 - 2451545.0) / 36525;
+            const pluto = calculator.calculatePlutoHeliocentric(2448908.5);
+            expect(pluto.radius).toBeCloseTo(29.711111, 5);
+            expect(Math.abs(pluto.longitude - (232.74071 + 1.396971 * T))).toBeLessThan(10 * ARCSECOND);
+        });
+
+        test('UT input is converted to dynamical time', () => {
+            const jd = 2451545.0;
+            const deltaT = 63.8 / 86400;
+            expect(calculator.getPlanetPosition('MOON', jd))
+                .toBeCloseTo(calculator.calculateApparentPosition('MOON', jd + deltaT).longitude, 3);
+        });
+    });
+});